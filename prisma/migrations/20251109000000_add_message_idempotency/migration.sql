@@ -0,0 +1,10 @@
+-- Remove duplicate provider messages created by webhook retries, keeping the oldest row
+DELETE FROM "messages" m
+USING "messages" d
+WHERE m.account_id = d.account_id
+  AND m.whatsapp_message_id = d.whatsapp_message_id
+  AND m.whatsapp_message_id IS NOT NULL
+  AND (m.created_at, m.id) > (d.created_at, d.id);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "messages_account_id_whatsapp_message_id_key" ON "messages"("account_id", "whatsapp_message_id");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "payload" JSONB,
+ADD COLUMN     "interactive_reply_id" TEXT,
+ADD COLUMN     "context_message_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "messages_interactive_reply_id_idx" ON "messages"("interactive_reply_id");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "conversations" ADD COLUMN     "snoozed_until" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "conversations_snoozed_until_idx" ON "conversations"("snoozed_until");
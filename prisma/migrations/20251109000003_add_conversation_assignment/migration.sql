@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "team_members" ADD COLUMN     "skills" JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN     "is_available" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "assignment_rules" (
+    "id" TEXT NOT NULL,
+    "team_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "strategy" TEXT NOT NULL DEFAULT 'round_robin',
+    "account_id" TEXT,
+    "contact_tags" JSONB NOT NULL DEFAULT '[]',
+    "agent_ids" JSONB NOT NULL DEFAULT '[]',
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "last_assigned_user_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "assignment_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "assignment_rules_team_id_is_active_idx" ON "assignment_rules"("team_id", "is_active");
+
+-- AddForeignKey
+ALTER TABLE "assignment_rules" ADD CONSTRAINT "assignment_rules_team_id_fkey" FOREIGN KEY ("team_id") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "team_members" ADD COLUMN     "presence" TEXT NOT NULL DEFAULT 'offline',
+ADD COLUMN     "presence_changed_at" TIMESTAMP(3),
+ADD COLUMN     "last_seen_at" TIMESTAMP(3),
+ADD COLUMN     "working_hours" JSONB;
+
+-- CreateIndex
+CREATE INDEX "team_members_team_id_presence_idx" ON "team_members"("team_id", "presence");
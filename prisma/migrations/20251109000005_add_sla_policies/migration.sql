@@ -0,0 +1,67 @@
+-- CreateTable
+CREATE TABLE "sla_policies" (
+    "id" TEXT NOT NULL,
+    "team_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "account_id" TEXT,
+    "contact_tags" JSONB NOT NULL DEFAULT '[]',
+    "first_response_minutes" INTEGER,
+    "next_response_minutes" INTEGER,
+    "resolution_minutes" INTEGER,
+    "warning_percent" INTEGER NOT NULL DEFAULT 80,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "sla_policies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "conversation_slas" (
+    "id" TEXT NOT NULL,
+    "team_id" TEXT NOT NULL,
+    "conversation_id" TEXT NOT NULL,
+    "policy_id" TEXT,
+    "account_id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "started_at" TIMESTAMP(3) NOT NULL,
+    "first_response_due_at" TIMESTAMP(3),
+    "first_responded_at" TIMESTAMP(3),
+    "next_response_due_at" TIMESTAMP(3),
+    "resolution_due_at" TIMESTAMP(3),
+    "resolved_at" TIMESTAMP(3),
+    "first_response_breached" BOOLEAN NOT NULL DEFAULT false,
+    "next_responses" INTEGER NOT NULL DEFAULT 0,
+    "next_response_breaches" INTEGER NOT NULL DEFAULT 0,
+    "resolution_breached" BOOLEAN NOT NULL DEFAULT false,
+    "alerts" JSONB NOT NULL DEFAULT '[]',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "conversation_slas_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "sla_policies_team_id_is_active_idx" ON "sla_policies"("team_id", "is_active");
+
+-- CreateIndex
+CREATE INDEX "conversation_slas_conversation_id_status_idx" ON "conversation_slas"("conversation_id", "status");
+
+-- CreateIndex
+CREATE INDEX "conversation_slas_team_id_created_at_idx" ON "conversation_slas"("team_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "conversation_slas_status_idx" ON "conversation_slas"("status");
+
+-- AddForeignKey
+ALTER TABLE "sla_policies" ADD CONSTRAINT "sla_policies_team_id_fkey" FOREIGN KEY ("team_id") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversation_slas" ADD CONSTRAINT "conversation_slas_conversation_id_fkey" FOREIGN KEY ("conversation_id") REFERENCES "conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversation_slas" ADD CONSTRAINT "conversation_slas_policy_id_fkey" FOREIGN KEY ("policy_id") REFERENCES "sla_policies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversation_slas" ADD CONSTRAINT "conversation_slas_team_id_fkey" FOREIGN KEY ("team_id") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "canned_responses" (
+    "id" TEXT NOT NULL,
+    "team_id" TEXT NOT NULL,
+    "shortcode" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "category" TEXT,
+    "media_url" TEXT,
+    "media_type" TEXT,
+    "usage_count" INTEGER NOT NULL DEFAULT 0,
+    "last_used_at" TIMESTAMP(3),
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "canned_responses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "canned_responses_team_id_shortcode_key" ON "canned_responses"("team_id", "shortcode");
+
+-- CreateIndex
+CREATE INDEX "canned_responses_team_id_category_idx" ON "canned_responses"("team_id", "category");
+
+-- AddForeignKey
+ALTER TABLE "canned_responses" ADD CONSTRAINT "canned_responses_team_id_fkey" FOREIGN KEY ("team_id") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,59 @@
+-- CreateTable
+CREATE TABLE "contact_consents" (
+    "id" TEXT NOT NULL,
+    "team_id" TEXT NOT NULL,
+    "contact_id" TEXT NOT NULL,
+    "channel" TEXT NOT NULL DEFAULT 'whatsapp',
+    "purpose" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "proof_message_id" TEXT,
+    "changed_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "contact_consents_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "consent_events" (
+    "id" TEXT NOT NULL,
+    "team_id" TEXT NOT NULL,
+    "contact_id" TEXT NOT NULL,
+    "channel" TEXT NOT NULL DEFAULT 'whatsapp',
+    "purpose" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "proof_message_id" TEXT,
+    "keyword" TEXT,
+    "recorded_by" TEXT,
+    "note" TEXT,
+    "occurred_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "consent_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "contact_consents_contact_id_channel_purpose_key" ON "contact_consents"("contact_id", "channel", "purpose");
+
+-- CreateIndex
+CREATE INDEX "contact_consents_team_id_purpose_status_idx" ON "contact_consents"("team_id", "purpose", "status");
+
+-- CreateIndex
+CREATE INDEX "consent_events_team_id_occurred_at_idx" ON "consent_events"("team_id", "occurred_at");
+
+-- CreateIndex
+CREATE INDEX "consent_events_contact_id_occurred_at_idx" ON "consent_events"("contact_id", "occurred_at");
+
+-- AddForeignKey
+ALTER TABLE "contact_consents" ADD CONSTRAINT "contact_consents_contact_id_fkey" FOREIGN KEY ("contact_id") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contact_consents" ADD CONSTRAINT "contact_consents_team_id_fkey" FOREIGN KEY ("team_id") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "consent_events" ADD CONSTRAINT "consent_events_contact_id_fkey" FOREIGN KEY ("contact_id") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "consent_events" ADD CONSTRAINT "consent_events_team_id_fkey" FOREIGN KEY ("team_id") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
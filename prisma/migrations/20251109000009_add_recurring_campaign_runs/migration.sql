@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "campaigns" ADD COLUMN "parent_campaign_id" TEXT,
+ADD COLUMN "run_number" INTEGER,
+ADD COLUMN "next_run_at" TIMESTAMP(3),
+ADD COLUMN "occurrence_count" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "campaigns_parent_campaign_id_idx" ON "campaigns"("parent_campaign_id");
+
+-- CreateIndex
+CREATE INDEX "campaigns_status_next_run_at_idx" ON "campaigns"("status", "next_run_at");
+
+-- AddForeignKey
+ALTER TABLE "campaigns" ADD CONSTRAINT "campaigns_parent_campaign_id_fkey" FOREIGN KEY ("parent_campaign_id") REFERENCES "campaigns"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "campaigns" ADD COLUMN "send_time_config" JSONB;
+
+-- AlterTable
+ALTER TABLE "campaign_messages" ADD COLUMN "scheduled_for" TIMESTAMP(3);
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "marketing_sends" (
+    "id" TEXT NOT NULL,
+    "team_id" TEXT NOT NULL,
+    "contact_id" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "reference_id" TEXT,
+    "send_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "marketing_sends_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "marketing_sends_contact_id_send_at_idx" ON "marketing_sends"("contact_id", "send_at");
+
+-- CreateIndex
+CREATE INDEX "marketing_sends_team_id_send_at_idx" ON "marketing_sends"("team_id", "send_at");
+
+-- CreateIndex
+CREATE INDEX "marketing_sends_reference_id_idx" ON "marketing_sends"("reference_id");
+
+-- AddForeignKey
+ALTER TABLE "marketing_sends" ADD CONSTRAINT "marketing_sends_contact_id_fkey" FOREIGN KEY ("contact_id") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "marketing_sends" ADD CONSTRAINT "marketing_sends_team_id_fkey" FOREIGN KEY ("team_id") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "campaigns" ADD COLUMN "sender_pool" JSONB;
+
+-- AlterTable
+ALTER TABLE "campaign_messages" ADD COLUMN "account_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "contact_senders" (
+    "id" TEXT NOT NULL,
+    "contact_id" TEXT NOT NULL,
+    "account_id" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "contact_senders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "campaign_messages_account_id_idx" ON "campaign_messages"("account_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "contact_senders_contact_id_key" ON "contact_senders"("contact_id");
+
+-- CreateIndex
+CREATE INDEX "contact_senders_account_id_idx" ON "contact_senders"("account_id");
+
+-- AddForeignKey
+ALTER TABLE "campaign_messages" ADD CONSTRAINT "campaign_messages_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "whatsapp_accounts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contact_senders" ADD CONSTRAINT "contact_senders_contact_id_fkey" FOREIGN KEY ("contact_id") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contact_senders" ADD CONSTRAINT "contact_senders_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "whatsapp_accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,66 @@
+-- AlterTable
+ALTER TABLE "campaigns" ADD COLUMN "track_links" BOOLEAN NOT NULL DEFAULT true;
+
+-- AlterTable
+ALTER TABLE "campaign_messages" ADD COLUMN "clicked_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "tracked_links" (
+    "id" TEXT NOT NULL,
+    "team_id" TEXT NOT NULL,
+    "campaign_id" TEXT NOT NULL,
+    "campaign_message_id" TEXT,
+    "contact_id" TEXT,
+    "code" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "clicks" INTEGER NOT NULL DEFAULT 0,
+    "first_clicked_at" TIMESTAMP(3),
+    "last_clicked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tracked_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "order_attributions" (
+    "id" TEXT NOT NULL,
+    "team_id" TEXT NOT NULL,
+    "order_id" TEXT NOT NULL,
+    "campaign_id" TEXT NOT NULL,
+    "campaign_message_id" TEXT NOT NULL,
+    "contact_id" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "revenue" DECIMAL(10,2) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "touched_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_attributions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tracked_links_code_key" ON "tracked_links"("code");
+
+-- CreateIndex
+CREATE INDEX "tracked_links_campaign_id_idx" ON "tracked_links"("campaign_id");
+
+-- CreateIndex
+CREATE INDEX "tracked_links_campaign_message_id_idx" ON "tracked_links"("campaign_message_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "order_attributions_order_id_model_key" ON "order_attributions"("order_id", "model");
+
+-- CreateIndex
+CREATE INDEX "order_attributions_campaign_id_model_idx" ON "order_attributions"("campaign_id", "model");
+
+-- CreateIndex
+CREATE INDEX "order_attributions_team_id_idx" ON "order_attributions"("team_id");
+
+-- AddForeignKey
+ALTER TABLE "tracked_links" ADD CONSTRAINT "tracked_links_campaign_id_fkey" FOREIGN KEY ("campaign_id") REFERENCES "campaigns"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_attributions" ADD CONSTRAINT "order_attributions_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "ecommerce_orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_attributions" ADD CONSTRAINT "order_attributions_campaign_id_fkey" FOREIGN KEY ("campaign_id") REFERENCES "campaigns"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE "campaigns" ADD COLUMN "is_sequence" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "sequence_config" JSONB;
+
+-- AlterTable
+ALTER TABLE "campaign_messages" ADD COLUMN "step" INTEGER NOT NULL DEFAULT 0;
+
+-- DropIndex
+DROP INDEX "campaign_messages_campaign_id_contact_id_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "campaign_messages_campaign_id_contact_id_step_key" ON "campaign_messages"("campaign_id", "contact_id", "step");
+
+-- CreateIndex
+CREATE INDEX "campaign_messages_campaign_id_step_idx" ON "campaign_messages"("campaign_id", "step");
+
+-- CreateIndex
+CREATE INDEX "campaigns_is_sequence_idx" ON "campaigns"("is_sequence");
+
+-- CreateTable
+CREATE TABLE "campaign_enrollments" (
+    "id" TEXT NOT NULL,
+    "campaign_id" TEXT NOT NULL,
+    "contact_id" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "next_step" INTEGER NOT NULL DEFAULT 0,
+    "next_step_at" TIMESTAMP(3),
+    "enrolled_at" TIMESTAMP(3),
+    "exit_reason" TEXT,
+    "exited_at" TIMESTAMP(3),
+    "completed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "campaign_enrollments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "campaign_enrollments_campaign_id_contact_id_key" ON "campaign_enrollments"("campaign_id", "contact_id");
+
+-- CreateIndex
+CREATE INDEX "campaign_enrollments_campaign_id_status_next_step_at_idx" ON "campaign_enrollments"("campaign_id", "status", "next_step_at");
+
+-- CreateIndex
+CREATE INDEX "campaign_enrollments_contact_id_idx" ON "campaign_enrollments"("contact_id");
+
+-- AddForeignKey
+ALTER TABLE "campaign_enrollments" ADD CONSTRAINT "campaign_enrollments_campaign_id_fkey" FOREIGN KEY ("campaign_id") REFERENCES "campaigns"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "campaign_enrollments" ADD CONSTRAINT "campaign_enrollments_contact_id_fkey" FOREIGN KEY ("contact_id") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
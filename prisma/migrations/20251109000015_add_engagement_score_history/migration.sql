@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "engagement_score_history" (
+    "id" TEXT NOT NULL,
+    "team_id" TEXT NOT NULL,
+    "contact_id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "score" INTEGER NOT NULL,
+    "components" JSONB NOT NULL DEFAULT '{}',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "engagement_score_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "engagement_score_history_contact_id_date_key" ON "engagement_score_history"("contact_id", "date");
+
+-- CreateIndex
+CREATE INDEX "engagement_score_history_team_id_date_idx" ON "engagement_score_history"("team_id", "date");
+
+-- AddForeignKey
+ALTER TABLE "engagement_score_history" ADD CONSTRAINT "engagement_score_history_contact_id_fkey" FOREIGN KEY ("contact_id") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "engagement_score_history" ADD CONSTRAINT "engagement_score_history_team_id_fkey" FOREIGN KEY ("team_id") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "contacts" ADD COLUMN "merged_into_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "contacts_merged_into_id_idx" ON "contacts"("merged_into_id");
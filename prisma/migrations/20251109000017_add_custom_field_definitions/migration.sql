@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "custom_field_definitions" (
+    "id" TEXT NOT NULL,
+    "team_id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "required" BOOLEAN NOT NULL DEFAULT false,
+    "default_value" JSONB,
+    "options" JSONB NOT NULL DEFAULT '[]',
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "custom_field_definitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "custom_field_definitions_team_id_key_key" ON "custom_field_definitions"("team_id", "key");
+
+-- CreateIndex
+CREATE INDEX "custom_field_definitions_team_id_idx" ON "custom_field_definitions"("team_id");
+
+-- AddForeignKey
+ALTER TABLE "custom_field_definitions" ADD CONSTRAINT "custom_field_definitions_team_id_fkey" FOREIGN KEY ("team_id") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "contact_imports" ADD COLUMN     "updated_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "merged_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "headers" JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN     "rows" JSONB,
+ADD COLUMN     "mapping" JSONB,
+ADD COLUMN     "duplicate_strategy" TEXT NOT NULL DEFAULT 'skip',
+ADD COLUMN     "default_country" TEXT,
+ADD COLUMN     "dry_run" JSONB;
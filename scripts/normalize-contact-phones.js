@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Normalize Contact Phone Numbers
+ *
+ * One-off migration that rewrites the phone numbers of every team's contacts
+ * in E.164, reading numbers without a country code in the contact's country
+ * or the team's default country. Contacts it cannot fix are listed.
+ *
+ * Usage:
+ *   node scripts/normalize-contact-phones.js [--dry-run]
+ */
+
+import 'dotenv/config';
+import prisma from '../src/config/database.js';
+import phoneNumberService from '../src/services/phoneNumberService.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  const results = await phoneNumberService.normalizeAllPhones({ dryRun });
+
+  console.log(dryRun ? '🔍 Dry run, nothing was saved' : '✅ Contact phone numbers normalized');
+  console.log();
+
+  for (const result of results) {
+    if (result.error) {
+      console.log(`❌ Team ${result.teamId}: ${result.error}`);
+      continue;
+    }
+
+    console.log(
+      `Team ${result.teamId}: ${result.checked} checked, ${result.valid} already valid, ` +
+        `${result.normalized} normalized, ${result.unfixable} could not be fixed`
+    );
+
+    for (const contact of result.contacts) {
+      const conflict = contact.conflictingContactId
+        ? ` (contact ${contact.conflictingContactId})`
+        : '';
+      console.log(`   ⚠️  ${contact.id} ${contact.phone}: ${contact.reason}${conflict}`);
+    }
+  }
+} catch (error) {
+  console.error('❌ Error normalizing contact phone numbers:', error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -43,7 +43,15 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
+// Keep the raw body around for webhook signature (HMAC) verification
+app.use(
+  express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Parse URL-encoded bodies
 // Note: Multipart form data is handled by multer middleware in specific routes
 
@@ -113,8 +121,17 @@ import queueRoutes from './routes/queueRoutes.js';
 import authRoutes from './routes/authRoutes.js';
 import whatsappRoutes from './routes/whatsappRoutes.js';
 import messageRoutes from './routes/messageRoutes.js';
+import inboxRoutes from './routes/inboxRoutes.js';
 import contactRoutes from './routes/contactRoutes.js';
+import consentRoutes from './routes/consentRoutes.js';
+import marketingLimitsRoutes from './routes/marketingLimitsRoutes.js';
+import personalizationRoutes from './routes/personalizationRoutes.js';
+import engagementRoutes from './routes/engagementRoutes.js';
+import phoneNumberRoutes from './routes/phoneNumberRoutes.js';
+import customFieldRoutes from './routes/customFieldRoutes.js';
 import campaignRoutes from './routes/campaignRoutes.js';
+import templateRoutes from './routes/templateRoutes.js';
+import cannedResponseRoutes from './routes/cannedResponseRoutes.js';
 import flowRoutes from './routes/flowRoutes.js';
 import aiRoutes from './routes/aiRoutes.js';
 import cronRoutes from './routes/cronRoutes.js';
@@ -122,6 +139,8 @@ import analyticsRoutes from './routes/analyticsRoutes.js';
 import ecommerceRoutes from './routes/ecommerceRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import teamRoutes from './routes/teamRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import linkRoutes from './routes/linkRoutes.js';
 
 // API root endpoint
 app.get('/api/v1', (req, res) => {
@@ -136,8 +155,17 @@ app.get('/api/v1', (req, res) => {
       queues: '/api/v1/queues',
       auth: '/api/v1/auth',
       contacts: '/api/v1/contacts',
+      consent: '/api/v1/consent',
+      marketingLimits: '/api/v1/marketing-limits',
+      personalization: '/api/v1/personalization',
+      engagement: '/api/v1/engagement',
+      phoneNumbers: '/api/v1/phone-numbers',
+      customFields: '/api/v1/custom-fields',
       messages: '/api/v1/messages',
+      inbox: '/api/v1/inbox',
       campaigns: '/api/v1/campaigns',
+      templates: '/api/v1/templates',
+      cannedResponses: '/api/v1/canned-responses',
       flows: '/api/v1/flows',
       ai: '/api/v1/ai',
       ecommerce: '/api/v1/ecommerce',
@@ -145,6 +173,7 @@ app.get('/api/v1', (req, res) => {
       analytics: '/api/v1/analytics',
       team: '/api/v1/team',
       webhooks: '/api/v1/webhooks',
+      links: '/l/:code',
     },
   });
 });
@@ -154,8 +183,17 @@ app.use('/api/v1/queues', queueRoutes);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/whatsapp', whatsappRoutes);
 app.use('/api/v1/messages', messageRoutes);
+app.use('/api/v1/inbox', inboxRoutes);
 app.use('/api/v1/contacts', contactRoutes);
+app.use('/api/v1/consent', consentRoutes);
+app.use('/api/v1/marketing-limits', marketingLimitsRoutes);
+app.use('/api/v1/personalization', personalizationRoutes);
+app.use('/api/v1/engagement', engagementRoutes);
+app.use('/api/v1/phone-numbers', phoneNumberRoutes);
+app.use('/api/v1/custom-fields', customFieldRoutes);
 app.use('/api/v1/campaigns', campaignRoutes);
+app.use('/api/v1/templates', templateRoutes);
+app.use('/api/v1/canned-responses', cannedResponseRoutes);
 app.use('/api/v1/flows', flowRoutes);
 app.use('/api/v1/ai', aiRoutes);
 app.use('/api/v1/cron', cronRoutes);
@@ -163,8 +201,10 @@ app.use('/api/v1/analytics', analyticsRoutes);
 app.use('/api/v1/ecommerce', ecommerceRoutes);
 app.use('/api/v1/payments', paymentRoutes);
 app.use('/api/v1/team', teamRoutes);
-// Additional routes will be added here as they are implemented:
-// app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+
+// Tracked links in campaign messages, kept short for the message text
+app.use('/l', linkRoutes);
 
 // ============================================
 // Error Handling
@@ -122,6 +122,10 @@ const config = {
     qrCodeTimeout: 120000, // 2 minutes
     reconnectAttempts: 5,
     reconnectDelay: 5000, // 5 seconds
+    cloudApi: {
+      baseUrl: process.env.WHATSAPP_CLOUD_API_BASE_URL || 'https://graph.facebook.com',
+      apiVersion: process.env.WHATSAPP_CLOUD_API_VERSION || 'v21.0',
+    },
   },
 
   // CORS
@@ -39,12 +39,21 @@ export const PERMISSIONS = {
   'contacts:import': ['Owner', 'Admin', 'Manager'],
   'contacts:export': ['Owner', 'Admin', 'Manager'],
   'contacts:bulk-action': ['Owner', 'Admin', 'Manager'],
+  'contacts:merge': ['Owner', 'Admin', 'Manager'],
 
   // Messages
   'messages:send': ['Owner', 'Admin', 'Manager', 'Agent'],
   'messages:read': ['Owner', 'Admin', 'Manager', 'Agent'],
   'messages:delete': ['Owner', 'Admin', 'Manager'],
 
+  // Team Inbox
+  'conversations:read': ['Owner', 'Admin', 'Manager', 'Agent'],
+  'conversations:update': ['Owner', 'Admin', 'Manager', 'Agent'],
+  'conversations:assign': ['Owner', 'Admin', 'Manager'],
+  'conversations:routing': ['Owner', 'Admin', 'Manager'],
+  'presence:read': ['Owner', 'Admin', 'Manager'],
+  'sla:manage': ['Owner', 'Admin', 'Manager'],
+
   // Campaigns
   'campaigns:create': ['Owner', 'Admin', 'Manager'],
   'campaigns:read': ['Owner', 'Admin', 'Manager', 'Agent'],
@@ -54,6 +63,19 @@ export const PERMISSIONS = {
   'campaigns:pause': ['Owner', 'Admin', 'Manager'],
   'campaigns:duplicate': ['Owner', 'Admin', 'Manager'],
 
+  // Message Templates
+  'templates:create': ['Owner', 'Admin', 'Manager'],
+  'templates:read': ['Owner', 'Admin', 'Manager', 'Agent'],
+  'templates:update': ['Owner', 'Admin', 'Manager'],
+  'templates:delete': ['Owner', 'Admin', 'Manager'],
+  'templates:submit': ['Owner', 'Admin', 'Manager'],
+
+  // Canned Responses (saved replies)
+  'canned-responses:create': ['Owner', 'Admin', 'Manager'],
+  'canned-responses:read': ['Owner', 'Admin', 'Manager', 'Agent'],
+  'canned-responses:update': ['Owner', 'Admin', 'Manager'],
+  'canned-responses:delete': ['Owner', 'Admin', 'Manager'],
+
   // Flows (Automation)
   'flows:create': ['Owner', 'Admin', 'Manager'],
   'flows:read': ['Owner', 'Admin', 'Manager', 'Agent'],
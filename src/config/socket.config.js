@@ -3,6 +3,8 @@ import { createAdapter } from '@socket.io/redis-adapter';
 import { getRedisClient } from './redis.js';
 import { logger } from '../utils/logger.js';
 import { verifyToken } from '../utils/jwt.js';
+import prisma from './database.js';
+import presenceService from '../services/presenceService.js';
 
 let io = null;
 
@@ -69,6 +71,7 @@ export const initializeSocketIO = (httpServer) => {
       socket.userId = decoded.sub;
       socket.userEmail = decoded.email;
       socket.userRole = decoded.role;
+      socket.teamId = await resolveTeamId(decoded.sub);
 
       logger.debug(`Socket authenticated for user: ${socket.userEmail}`);
       next();
@@ -87,6 +90,12 @@ export const initializeSocketIO = (httpServer) => {
     socket.join(userRoom);
     logger.debug(`Socket ${socket.id} joined room: ${userRoom}`);
 
+    // Join team room (shared inbox updates) and mark the agent online
+    if (socket.teamId) {
+      socket.join(`team:${socket.teamId}`);
+      presenceService.handleConnect(socket.teamId, socket.userId);
+    }
+
     // Handle client events
     socket.on('subscribe:whatsapp', (accountId) => {
       const whatsappRoom = `whatsapp:${accountId}`;
@@ -153,6 +162,18 @@ export const initializeSocketIO = (httpServer) => {
       logger.info(
         `Client disconnected: ${socket.id} (User: ${socket.userEmail}, Reason: ${reason})`
       );
+
+      // Offline once the user's last socket (any tab or server) is gone
+      if (socket.teamId) {
+        io.in(userRoom)
+          .fetchSockets()
+          .then((remaining) => {
+            if (remaining.length === 0) {
+              return presenceService.handleDisconnect(socket.teamId, socket.userId);
+            }
+          })
+          .catch((error) => logger.error('Failed to check remaining sockets:', error));
+      }
     });
 
     // Error handler
@@ -174,6 +195,27 @@ export const initializeSocketIO = (httpServer) => {
   return io;
 };
 
+/**
+ * Resolve the team a user belongs to (owned team first, then membership)
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Team ID
+ */
+const resolveTeamId = async (userId) => {
+  const ownedTeam = await prisma.teams.findFirst({
+    where: { owner_id: userId },
+    select: { id: true },
+  });
+  if (ownedTeam) {
+    return ownedTeam.id;
+  }
+
+  const membership = await prisma.team_members.findFirst({
+    where: { user_id: userId },
+    select: { team_id: true },
+  });
+  return membership?.team_id || null;
+};
+
 /**
  * Get Socket.io server instance
  * @returns {Object} Socket.io server instance
@@ -200,6 +242,21 @@ export const emitToUser = (userId, event, data) => {
   logger.debug(`Emitted ${event} to user:${userId}`);
 };
 
+/**
+ * Emit event to every member of a team
+ * @param {string} teamId - Team ID
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ */
+export const emitToTeam = (teamId, event, data) => {
+  if (!io) {
+    logger.warn('Socket.io not initialized, cannot emit event');
+    return;
+  }
+  io.to(`team:${teamId}`).emit(event, data);
+  logger.debug(`Emitted ${event} to team:${teamId}`);
+};
+
 /**
  * Emit event to WhatsApp account room
  * @param {string} accountId - WhatsApp account ID
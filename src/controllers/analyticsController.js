@@ -5,6 +5,8 @@
 
 import analyticsService from '../services/analyticsService.js';
 import flowAnalyticsService from '../services/flowAnalyticsService.js';
+import campaignAttributionService from '../services/campaignAttributionService.js';
+import campaignPreviewService from '../services/campaignPreviewService.js';
 import logger from '../utils/logger.js';
 import { PrismaClient } from '@prisma/client';
 
@@ -237,6 +239,22 @@ export async function getCampaignAnalytics(req, res) {
     const avgReadRate = totalDelivered > 0 ? ((totalRead / totalDelivered) * 100).toFixed(2) : 0;
     const avgReplyRate = totalSent > 0 ? ((totalReplied / totalSent) * 100).toFixed(2) : 0;
 
+    // Link clicks and the revenue of orders attributed to the campaigns
+    const [pricing, attribution] = await Promise.all([
+      campaignPreviewService.getPricing(teamId),
+      campaignAttributionService.getSettings(teamId),
+    ]);
+    const performance = await campaignAttributionService.getCampaignPerformance(
+      campaigns.map((c) => c.id),
+      pricing,
+      attribution
+    );
+    const performanceValues = [...performance.values()];
+    const totalClicks = performanceValues.reduce((sum, p) => sum + p.uniqueClicks, 0);
+    const totalOrders = performanceValues.reduce((sum, p) => sum + p.orders, 0);
+    const revenue = round(performanceValues.reduce((sum, p) => sum + p.revenue, 0));
+    const cost = round(performanceValues.reduce((sum, p) => sum + p.cost, 0));
+
     // Group by status
     const byStatus = campaigns.reduce((acc, campaign) => {
       acc[campaign.status] = (acc[campaign.status] || 0) + 1;
@@ -257,10 +275,23 @@ export async function getCampaignAnalytics(req, res) {
         deliveryRate: c.messages_sent > 0 ? ((c.messages_delivered / c.messages_sent) * 100).toFixed(2) : 0,
         readRate: c.messages_delivered > 0 ? ((c.messages_read / c.messages_delivered) * 100).toFixed(2) : 0,
         replyRate: c.messages_sent > 0 ? ((c.messages_replied / c.messages_sent) * 100).toFixed(2) : 0,
+        ...getCampaignPerformanceSummary(performance.get(c.id), c.messages_sent),
       }))
       .sort((a, b) => parseFloat(b.readRate) - parseFloat(a.readRate))
       .slice(0, 10);
 
+    // Campaigns that earned the most from attributed orders
+    const topCampaignsByRevenue = campaigns
+      .filter((c) => performance.get(c.id).orders > 0)
+      .map((c) => ({
+        id: c.id,
+        name: c.name,
+        sent: c.messages_sent,
+        ...getCampaignPerformanceSummary(performance.get(c.id), c.messages_sent),
+      }))
+      .sort((a, b) => b.revenue - a.revenue)
+      .slice(0, 10);
+
     res.json({
       success: true,
       data: {
@@ -272,14 +303,26 @@ export async function getCampaignAnalytics(req, res) {
           totalRead,
           totalReplied,
           totalFailed,
+          totalClicks,
+          totalOrders,
+          revenue,
+          cost,
+          roi: cost > 0 ? round((revenue - cost) / cost) : null,
         },
         rates: {
           avgDelivery: parseFloat(avgDeliveryRate),
           avgRead: parseFloat(avgReadRate),
           avgReply: parseFloat(avgReplyRate),
+          avgClick: totalSent > 0 ? round((totalClicks / totalSent) * 100) : 0,
+        },
+        attribution: {
+          model: attribution.model,
+          windowDays: attribution.windowDays,
+          currency: pricing.currency,
         },
         byStatus,
         topCampaigns,
+        topCampaignsByRevenue,
         period: {
           start: start.toISOString(),
           end: end.toISOString(),
@@ -295,6 +338,29 @@ export async function getCampaignAnalytics(req, res) {
   }
 }
 
+/**
+ * Clicks, orders, revenue and ROI of one campaign
+ * @param {Object} performance - From campaignAttributionService.getCampaignPerformance
+ * @param {number} sent - Messages sent
+ * @returns {Object}
+ */
+function getCampaignPerformanceSummary(performance, sent) {
+  return {
+    clicks: performance.uniqueClicks,
+    totalClicks: performance.clicks,
+    clickRate: sent > 0 ? round((performance.uniqueClicks / sent) * 100) : 0,
+    orders: performance.orders,
+    revenue: performance.revenue,
+    revenueByCurrency: performance.revenueByCurrency,
+    cost: performance.cost,
+    roi: performance.roi,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
 /**
  * Get contact analytics (growth and segmentation stats)
  * GET /api/v1/analytics/contacts
@@ -754,6 +820,33 @@ export async function getAllFlowsAnalytics(req, res) {
   }
 }
 
+/**
+ * Get SLA compliance metrics, overall and per policy
+ * GET /api/v1/analytics/sla
+ */
+export async function getSlaAnalytics(req, res) {
+  try {
+    const { startDate, endDate, accountId } = req.query;
+    const teamId = req.user.teamId;
+
+    const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const end = endDate ? new Date(endDate) : new Date();
+
+    const metrics = await analyticsService.getSlaMetrics(teamId, accountId || null, start, end);
+
+    res.json({
+      success: true,
+      data: metrics,
+    });
+  } catch (error) {
+    logger.error('Error in getSlaAnalytics:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
 // ============= Helper Functions =============
 
 /**
@@ -889,4 +982,5 @@ export default {
   getChatbotAnalytics,
   getFlowAnalytics,
   getAllFlowsAnalytics,
+  getSlaAnalytics,
 };
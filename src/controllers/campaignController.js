@@ -5,7 +5,11 @@
  */
 
 import * as campaignService from '../services/campaignService.js';
+import sendTimeService from '../services/sendTimeService.js';
+import campaignPreviewService from '../services/campaignPreviewService.js';
+import campaignAttributionService from '../services/campaignAttributionService.js';
 import logger from '../utils/logger.js';
+import { TemplateSyntaxError } from '../utils/errors.js';
 
 /**
  * Create a new campaign
@@ -26,7 +30,13 @@ export async function createCampaign(req, res) {
   } catch (error) {
     logger.error('Error in createCampaign controller:', error);
 
-    if (error.message.includes('not found') || error.message.includes('No recipients')) {
+    if (
+      error.message.includes('not found') ||
+      error.message.includes('No recipients') ||
+      error.message.startsWith('Recurring') ||
+      error.message.startsWith('Template') ||
+      error.message.startsWith('Invalid template')
+    ) {
       return res.status(400).json({
         success: false,
         message: error.message,
@@ -128,7 +138,13 @@ export async function updateCampaign(req, res) {
   } catch (error) {
     logger.error('Error in updateCampaign controller:', error);
 
-    if (error.message.includes('Cannot update')) {
+    if (
+      error.message.includes('Cannot update') ||
+      error.message.startsWith('Sender pool') ||
+      error.message.startsWith('A custom audience') ||
+      error.message.startsWith('Template') ||
+      error.message.startsWith('Invalid template')
+    ) {
       return res.status(400).json({
         success: false,
         message: error.message,
@@ -217,6 +233,258 @@ export async function getCampaignRecipients(req, res) {
   }
 }
 
+/**
+ * Get the runs of a recurring campaign
+ * GET /api/v1/campaigns/:id/runs
+ */
+export async function getCampaignRuns(req, res) {
+  try {
+    const teamId = req.user.teamId;
+    const { id } = req.params;
+
+    const result = await campaignService.getCampaignRuns(
+      teamId,
+      id,
+      req.validatedQuery || req.query
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        series: result.series,
+        runs: result.runs,
+        totals: result.totals,
+      },
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error('Error in getCampaignRuns controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch campaign runs',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the team's send-time optimization defaults
+ * GET /api/v1/campaigns/send-time-settings
+ */
+export async function getSendTimeSettings(req, res) {
+  try {
+    const settings = await sendTimeService.getSettings(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in getSendTimeSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get send time settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update the team's send-time optimization defaults
+ * PUT /api/v1/campaigns/send-time-settings
+ */
+export async function updateSendTimeSettings(req, res) {
+  try {
+    const settings = await sendTimeService.updateSettings(req.user.teamId, req.body);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Send time settings updated successfully',
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in updateSendTimeSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update send time settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the team's messaging prices used for cost estimates
+ * GET /api/v1/campaigns/pricing-settings
+ */
+export async function getPricingSettings(req, res) {
+  try {
+    const pricing = await campaignPreviewService.getPricing(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: pricing,
+    });
+  } catch (error) {
+    logger.error('Error in getPricingSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get pricing settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update the team's messaging prices used for cost estimates
+ * PUT /api/v1/campaigns/pricing-settings
+ */
+export async function updatePricingSettings(req, res) {
+  try {
+    const pricing = await campaignPreviewService.updatePricing(req.user.teamId, req.body);
+
+    if (!pricing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Pricing settings updated successfully',
+      data: pricing,
+    });
+  } catch (error) {
+    logger.error('Error in updatePricingSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update pricing settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the team's order attribution window and model
+ * GET /api/v1/campaigns/attribution-settings
+ */
+export async function getAttributionSettings(req, res) {
+  try {
+    const settings = await campaignAttributionService.getSettings(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in getAttributionSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get attribution settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update the team's order attribution window and model
+ * PUT /api/v1/campaigns/attribution-settings
+ */
+export async function updateAttributionSettings(req, res) {
+  try {
+    const settings = await campaignAttributionService.updateSettings(req.user.teamId, req.body);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Attribution settings updated successfully',
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in updateAttributionSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update attribution settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Dry-run a campaign: audience, sample messages, time and cost estimate
+ * GET /api/v1/campaigns/:id/preview
+ */
+export async function previewCampaign(req, res) {
+  try {
+    const teamId = req.user.teamId;
+    const { id } = req.params;
+
+    const preview = await campaignPreviewService.previewCampaign(
+      teamId,
+      id,
+      req.validatedQuery || req.query
+    );
+
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: preview,
+    });
+  } catch (error) {
+    logger.error('Error in previewCampaign controller:', error);
+
+    if (
+      error.message.includes('required') ||
+      error.message.includes('Segment not found') ||
+      error instanceof TemplateSyntaxError
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview campaign',
+      error: error.message,
+    });
+  }
+}
+
 /**
  * Start campaign execution
  * POST /api/v1/campaigns/:id/start
@@ -394,7 +662,11 @@ export async function createABTest(req, res) {
   } catch (error) {
     logger.error('Error in createABTest controller:', error);
 
-    if (error.message.includes('not found') || error.message.includes('No recipients')) {
+    if (
+      error.message.includes('not found') ||
+      error.message.includes('No recipients') ||
+      error.message.startsWith('Invalid template')
+    ) {
       return res.status(400).json({
         success: false,
         message: error.message,
@@ -483,7 +755,13 @@ export async function selectWinningVariant(req, res) {
   } catch (error) {
     logger.error('Error in selectWinningVariant controller:', error);
 
-    if (error.message.includes('not an A/B test') || error.message.includes('not found')) {
+    if (
+      error.message.includes('not an A/B test') ||
+      error.message.includes('not found') ||
+      error.message.includes('already been rolled out') ||
+      error.message.includes('already been selected') ||
+      error.message.includes('still being sent')
+    ) {
       return res.status(400).json({
         success: false,
         message: error.message,
@@ -497,3 +775,76 @@ export async function selectWinningVariant(req, res) {
     });
   }
 }
+
+/**
+ * Create sequence campaign
+ * POST /api/v1/campaigns/sequence
+ */
+export async function createSequence(req, res) {
+  try {
+    const userId = req.user.id;
+    const teamId = req.user.teamId;
+
+    const campaign = await campaignService.createSequenceCampaign(userId, teamId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sequence campaign created successfully',
+      data: campaign,
+    });
+  } catch (error) {
+    logger.error('Error in createSequence controller:', error);
+
+    if (
+      error.message.includes('not found') ||
+      error.message.includes('No recipients') ||
+      error.message.startsWith('Sender pool') ||
+      error.message.startsWith('Template') ||
+      error.message.startsWith('Invalid template')
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create sequence campaign',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get sequence results
+ * GET /api/v1/campaigns/:id/sequence/results
+ */
+export async function getSequenceResults(req, res) {
+  try {
+    const teamId = req.user.teamId;
+    const { id } = req.params;
+
+    const results = await campaignService.getSequenceResults(teamId, id);
+
+    if (!results) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sequence campaign not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: results,
+    });
+  } catch (error) {
+    logger.error('Error in getSequenceResults controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sequence results',
+      error: error.message,
+    });
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * Canned Response Controller
+ *
+ * Handles HTTP requests for the team's saved replies
+ */
+
+import cannedResponseService from '../services/cannedResponseService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Errors caused by the request
+ */
+function isClientError(error) {
+  return error.message.includes('not found') || error.message.includes('already exists');
+}
+
+/**
+ * Send a 404 for canned responses outside the team
+ */
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Canned response not found',
+  });
+}
+
+/**
+ * Create a canned response
+ * POST /api/v1/canned-responses
+ */
+export async function createCannedResponse(req, res) {
+  try {
+    const cannedResponse = await cannedResponseService.createCannedResponse(
+      req.user.teamId,
+      req.user.id,
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Canned response created successfully',
+      data: cannedResponse,
+    });
+  } catch (error) {
+    logger.error('Error in createCannedResponse controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create canned response',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * List canned responses
+ * GET /api/v1/canned-responses
+ */
+export async function getCannedResponses(req, res) {
+  try {
+    const query = req.validatedQuery || req.query;
+    const result = await cannedResponseService.getCannedResponses(req.user.teamId, query);
+
+    res.status(200).json({
+      success: true,
+      data: result.cannedResponses,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error('Error in getCannedResponses controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch canned responses',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * List canned response categories
+ * GET /api/v1/canned-responses/categories
+ */
+export async function getCategories(req, res) {
+  try {
+    const categories = await cannedResponseService.getCategories(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: categories,
+    });
+  } catch (error) {
+    logger.error('Error in getCategories controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch canned response categories',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a canned response
+ * GET /api/v1/canned-responses/:id
+ */
+export async function getCannedResponseById(req, res) {
+  try {
+    const cannedResponse = await cannedResponseService.getCannedResponseById(
+      req.user.teamId,
+      req.params.id
+    );
+
+    if (!cannedResponse) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: cannedResponse,
+    });
+  } catch (error) {
+    logger.error('Error in getCannedResponseById controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch canned response',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update a canned response
+ * PUT /api/v1/canned-responses/:id
+ */
+export async function updateCannedResponse(req, res) {
+  try {
+    const cannedResponse = await cannedResponseService.updateCannedResponse(
+      req.user.teamId,
+      req.params.id,
+      req.body
+    );
+
+    if (!cannedResponse) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Canned response updated successfully',
+      data: cannedResponse,
+    });
+  } catch (error) {
+    logger.error('Error in updateCannedResponse controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update canned response',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Delete a canned response
+ * DELETE /api/v1/canned-responses/:id
+ */
+export async function deleteCannedResponse(req, res) {
+  try {
+    const deleted = await cannedResponseService.deleteCannedResponse(
+      req.user.teamId,
+      req.params.id
+    );
+
+    if (!deleted) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Canned response deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error in deleteCannedResponse controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete canned response',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Render a canned response for a contact
+ * POST /api/v1/canned-responses/:id/preview
+ */
+export async function previewCannedResponse(req, res) {
+  try {
+    const preview = await cannedResponseService.previewCannedResponse(
+      req.user.teamId,
+      req.params.id,
+      req.body.contactId
+    );
+
+    if (!preview) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: preview,
+    });
+  } catch (error) {
+    logger.error('Error in previewCannedResponse controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview canned response',
+      error: error.message,
+    });
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Consent Controller
+ *
+ * Handles HTTP requests for contact consent, keyword settings and the
+ * consent history export
+ */
+
+import consentService from '../services/consentService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Errors caused by the request
+ */
+function isClientError(error) {
+  return error.message.includes('not found') || error.message.includes('cannot be both');
+}
+
+/**
+ * Get the team's consent settings
+ * GET /api/v1/consent/settings
+ */
+export async function getSettings(req, res) {
+  try {
+    const settings = await consentService.getSettings(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in getSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get consent settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update the team's consent settings
+ * PUT /api/v1/consent/settings
+ */
+export async function updateSettings(req, res) {
+  try {
+    const settings = await consentService.updateSettings(req.user.teamId, req.body);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Consent settings updated successfully',
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in updateSettings controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update consent settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a contact's consent and history
+ * GET /api/v1/consent/contacts/:contactId
+ */
+export async function getContactConsent(req, res) {
+  try {
+    const consent = await consentService.getContactConsent(req.user.teamId, req.params.contactId);
+
+    if (!consent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: consent,
+    });
+  } catch (error) {
+    logger.error('Error in getContactConsent controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get contact consent',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Record a consent change for a contact
+ * POST /api/v1/consent/contacts/:contactId
+ */
+export async function recordContactConsent(req, res) {
+  try {
+    const consent = await consentService.recordContactConsent(
+      req.user.teamId,
+      req.user.id,
+      req.params.contactId,
+      req.body
+    );
+
+    if (!consent) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Consent recorded successfully',
+      data: consent,
+    });
+  } catch (error) {
+    logger.error('Error in recordContactConsent controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record consent',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Export the consent history as CSV
+ * GET /api/v1/consent/export
+ */
+export async function exportConsentHistory(req, res) {
+  try {
+    const filters = req.validatedQuery || req.query;
+    const csv = await consentService.exportConsentHistory(req.user.teamId, filters);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename=consent-history.csv');
+
+    logger.info('Consent history exported', {
+      userId: req.user.id,
+      teamId: req.user.teamId,
+    });
+
+    res.status(200).send(csv);
+  } catch (error) {
+    logger.error('Error in exportConsentHistory controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export consent history',
+      error: error.message,
+    });
+  }
+}
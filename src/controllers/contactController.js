@@ -1,6 +1,45 @@
 import contactService from '../services/contactService.js';
+import contactMergeService from '../services/contactMergeService.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Respond with an error of an uploaded import's dry run or start
+ */
+function handleUploadedImportError(error, res, fallbackMessage) {
+  if (error.message === 'Import not found') {
+    return res.status(404).json({
+      error: 'NotFound',
+      message: error.message,
+    });
+  }
+
+  if (error.message === 'Unauthorized access to import') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: error.message,
+    });
+  }
+
+  if (error.message === 'Import has already been started') {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Invalid column mapping')) {
+    return res.status(400).json({
+      error: 'ValidationError',
+      message: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    error: 'InternalServerError',
+    message: fallbackMessage,
+  });
+}
+
 /**
  * Contact Controller - Handle contact-related HTTP requests
  */
@@ -48,6 +87,16 @@ class ContactController {
         });
       }
 
+      if (
+        error.message.startsWith('Invalid phone number') ||
+        error.message.startsWith('Invalid custom fields')
+      ) {
+        return res.status(400).json({
+          error: 'ValidationError',
+          message: error.message,
+        });
+      }
+
       return res.status(500).json({
         error: 'InternalServerError',
         message: 'Failed to create contact',
@@ -166,6 +215,13 @@ class ContactController {
         });
       }
 
+      if (error.message.startsWith('Invalid custom fields')) {
+        return res.status(400).json({
+          error: 'ValidationError',
+          message: error.message,
+        });
+      }
+
       return res.status(500).json({
         error: 'InternalServerError',
         message: 'Failed to update contact',
@@ -220,7 +276,7 @@ class ContactController {
     try {
       const userId = req.user.id;
       const teamId = req.user.teamId;
-      const { whatsappAccountId } = req.validatedData;
+      const { whatsappAccountId, defaultCountry, duplicateStrategy } = req.validatedData;
       const file = req.file;
 
       if (!file) {
@@ -230,7 +286,10 @@ class ContactController {
         });
       }
 
-      const result = await contactService.importContacts(file, userId, whatsappAccountId, teamId);
+      const result = await contactService.importContacts(file, userId, whatsappAccountId, teamId, {
+        defaultCountry,
+        duplicateStrategy,
+      });
 
       logger.info('Contact import initiated', {
         userId,
@@ -256,6 +315,108 @@ class ContactController {
     }
   }
 
+  /**
+   * Upload a file to import and preview its columns
+   */
+  async previewImport(req, res) {
+    try {
+      const userId = req.user.id;
+      const teamId = req.user.teamId;
+      const { whatsappAccountId } = req.validatedData;
+      const file = req.file;
+
+      if (!file) {
+        return res.status(400).json({
+          error: 'ValidationError',
+          message: 'File is required',
+        });
+      }
+
+      const result = await contactService.previewImport(file, userId, whatsappAccountId, teamId);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Import file uploaded',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Error previewing contact import', {
+        error: error.message,
+        userId: req.user.id,
+      });
+
+      if (
+        error.message.startsWith('Unsupported file type') ||
+        error.message === 'No contacts found in file' ||
+        error.message.startsWith('File contains too many contacts')
+      ) {
+        return res.status(400).json({
+          error: 'ValidationError',
+          message: error.message,
+        });
+      }
+
+      return res.status(500).json({
+        error: 'InternalServerError',
+        message: 'Failed to preview import',
+      });
+    }
+  }
+
+  /**
+   * Dry run an uploaded import with a column mapping
+   */
+  async dryRunImport(req, res) {
+    try {
+      const result = await contactService.dryRunImport(
+        req.params.importId,
+        req.user.id,
+        req.validatedData
+      );
+
+      return res.status(202).json({
+        success: true,
+        message: 'Import dry run started',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Error starting contact import dry run', {
+        error: error.message,
+        importId: req.params.importId,
+        userId: req.user.id,
+      });
+
+      return handleUploadedImportError(error, res, 'Failed to start import dry run');
+    }
+  }
+
+  /**
+   * Start an uploaded import with a column mapping
+   */
+  async startImport(req, res) {
+    try {
+      const result = await contactService.startImport(
+        req.params.importId,
+        req.user.id,
+        req.validatedData
+      );
+
+      return res.status(202).json({
+        success: true,
+        message: 'Contact import started',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Error starting contact import', {
+        error: error.message,
+        importId: req.params.importId,
+        userId: req.user.id,
+      });
+
+      return handleUploadedImportError(error, res, 'Failed to start import');
+    }
+  }
+
   /**
    * Get import status
    */
@@ -325,6 +486,13 @@ class ContactController {
         userId: req.user.id,
       });
 
+      if (error.message.startsWith('Unknown export column')) {
+        return res.status(400).json({
+          error: 'ValidationError',
+          message: error.message,
+        });
+      }
+
       return res.status(500).json({
         error: 'InternalServerError',
         message: 'Failed to export contacts',
@@ -332,6 +500,31 @@ class ContactController {
     }
   }
 
+  /**
+   * Get the columns contacts can be exported with, including custom fields
+   * GET /api/v1/contacts/export/columns
+   */
+  async getExportColumns(req, res) {
+    try {
+      const columns = await contactService.getExportColumns(req.user.teamId);
+
+      return res.status(200).json({
+        success: true,
+        data: columns,
+      });
+    } catch (error) {
+      logger.error('Error getting export columns', {
+        error: error.message,
+        userId: req.user.id,
+      });
+
+      return res.status(500).json({
+        error: 'InternalServerError',
+        message: 'Failed to get export columns',
+      });
+    }
+  }
+
   /**
    * Get all tags
    * GET /api/v1/contacts/tags
@@ -398,6 +591,87 @@ class ContactController {
       });
     }
   }
+
+  /**
+   * Find contacts that are likely the same person
+   * GET /api/v1/contacts/duplicates
+   */
+  async findDuplicates(req, res) {
+    try {
+      const result = await contactMergeService.findDuplicates(req.user.teamId, req.validatedData);
+
+      return res.status(200).json({
+        success: true,
+        data: result.groups,
+        total: result.total,
+      });
+    } catch (error) {
+      logger.error('Error finding duplicate contacts', {
+        error: error.message,
+        userId: req.user.id,
+      });
+
+      return res.status(500).json({
+        error: 'InternalServerError',
+        message: 'Failed to find duplicate contacts',
+      });
+    }
+  }
+
+  /**
+   * Merge duplicate contacts into one
+   * POST /api/v1/contacts/merge
+   */
+  async mergeContacts(req, res) {
+    try {
+      const { primaryContactId, duplicateContactIds, fieldSources } = req.validatedData;
+
+      const result = await contactMergeService.mergeContacts(
+        req.user.teamId,
+        primaryContactId,
+        duplicateContactIds,
+        {
+          fieldSources,
+          userId: req.user.id,
+          ipAddress: req.ip || req.connection.remoteAddress,
+          userAgent: req.get('user-agent'),
+        }
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Contacts merged successfully',
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Error merging contacts', {
+        error: error.message,
+        userId: req.user.id,
+      });
+
+      if (error.message === 'Contact not found') {
+        return res.status(404).json({
+          error: 'NotFound',
+          message: error.message,
+        });
+      }
+
+      if (
+        error.message === 'Cannot merge a contact into itself' ||
+        error.message === 'Field sources must be one of the merged contacts'
+      ) {
+        return res.status(400).json({
+          error: 'ValidationError',
+          message: error.message,
+        });
+      }
+
+      return res.status(500).json({
+        error: 'InternalServerError',
+        message: 'Failed to merge contacts',
+      });
+    }
+  }
 }
 
 export default new ContactController();
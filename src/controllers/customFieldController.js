@@ -0,0 +1,150 @@
+/**
+ * Custom Field Controller
+ *
+ * Handles HTTP requests for the team's contact custom field definitions
+ */
+
+import customFieldService from '../services/customFieldService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Errors caused by the request
+ */
+function isClientError(error) {
+  return (
+    error.message.includes('already exists') ||
+    error.message.includes('reserved') ||
+    error.message.includes('option') ||
+    error.message.startsWith('Invalid default value')
+  );
+}
+
+/**
+ * Send a 404 for custom fields outside the team
+ */
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Custom field not found',
+  });
+}
+
+/**
+ * List the team's custom field definitions
+ * GET /api/v1/custom-fields
+ */
+export async function getCustomFields(req, res) {
+  try {
+    const definitions = await customFieldService.getDefinitions(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: definitions,
+    });
+  } catch (error) {
+    logger.error('Error in getCustomFields controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch custom fields',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Define a custom field
+ * POST /api/v1/custom-fields
+ */
+export async function createCustomField(req, res) {
+  try {
+    const definition = await customFieldService.createDefinition(req.user.teamId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom field created successfully',
+      data: definition,
+    });
+  } catch (error) {
+    logger.error('Error in createCustomField controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create custom field',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update a custom field definition
+ * PUT /api/v1/custom-fields/:id
+ */
+export async function updateCustomField(req, res) {
+  try {
+    const definition = await customFieldService.updateDefinition(
+      req.user.teamId,
+      req.params.id,
+      req.body
+    );
+
+    if (!definition) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Custom field updated successfully',
+      data: definition,
+    });
+  } catch (error) {
+    logger.error('Error in updateCustomField controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update custom field',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Delete a custom field definition; contacts keep their values
+ * DELETE /api/v1/custom-fields/:id
+ */
+export async function deleteCustomField(req, res) {
+  try {
+    const deleted = await customFieldService.deleteDefinition(req.user.teamId, req.params.id);
+
+    if (!deleted) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Custom field deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error in deleteCustomField controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete custom field',
+      error: error.message,
+    });
+  }
+}
@@ -3,7 +3,9 @@ import ShopifyClient from '../services/ecommerce/shopifyClient.js';
 import woocommerceService from '../services/ecommerce/woocommerce/woocommerceService.js';
 import WooCommerceClient from '../services/ecommerce/woocommerce/woocommerceClient.js';
 import prisma from '../config/database.js';
+import personalizationService from '../services/personalizationService.js';
 import logger from '../utils/logger.js';
+import { TemplateSyntaxError } from '../utils/errors.js';
 
 /**
  * Initiate Shopify OAuth
@@ -763,14 +765,32 @@ export async function notifyOrder(req, res) {
       });
     }
 
-    // Generate message
-    let notificationMessage = message;
-    if (!notificationMessage && template) {
-      // Use template
-      notificationMessage = generateOrderNotificationMessage(order, template);
-    } else if (!notificationMessage) {
-      // Default message
-      notificationMessage = `Hi ${order.customer_name || 'there'}! Your order #${order.order_number} has been updated. Status: ${order.status}. Thank you for your purchase!`;
+    // Generate message: the given text or a notification template, personalized for the order
+    const orderAutomationService = (await import('../services/ecommerce/orderAutomationService.js'))
+      .default;
+    const settings = await personalizationService.getSettings(teamId);
+    let notificationMessage;
+    try {
+      notificationMessage = message
+        ? personalizationService.renderContent(
+            message,
+            { contact: order.contacts, order },
+            settings
+          )
+        : orderAutomationService.generateOrderNotification(order, {
+            notification: template || 'updated',
+            templates: order.integration?.metadata?.notifications?.templates,
+            contact: order.contacts,
+            settings,
+          });
+    } catch (error) {
+      if (error instanceof TemplateSyntaxError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
     }
 
     // Queue message for sending
@@ -809,20 +829,6 @@ export async function notifyOrder(req, res) {
   }
 }
 
-/**
- * Generate order notification message
- */
-function generateOrderNotificationMessage(order, template) {
-  const templates = {
-    created: `Hi ${order.customer_name || 'there'}! 🎉\n\nYour order #${order.order_number} has been received!\n\nTotal: ${order.currency} ${order.total_amount}\n\nWe'll notify you when it ships. Thank you for your purchase!`,
-    fulfilled: `Hi ${order.customer_name || 'there'}! 📦\n\nGreat news! Your order #${order.order_number} has been fulfilled and is on its way!\n\n${order.tracking_number ? `Tracking: ${order.tracking_number}\n${order.tracking_url || ''}` : ''}\n\nThank you for shopping with us!`,
-    shipped: `Hi ${order.customer_name || 'there'}! 🚚\n\nYour order #${order.order_number} has been shipped!\n\nTracking: ${order.tracking_number}\n${order.tracking_url || ''}\n\nExpected delivery soon!`,
-    delivered: `Hi ${order.customer_name || 'there'}! ✅\n\nYour order #${order.order_number} has been delivered!\n\nWe hope you love your purchase. If you have any questions, just reply to this message!`,
-  };
-
-  return templates[template] || templates.created;
-}
-
 /**
  * List abandoned carts
  * GET /api/v1/ecommerce/abandoned-carts
@@ -0,0 +1,127 @@
+/**
+ * Engagement Controller
+ *
+ * Handles HTTP requests for engagement scoring settings and score history
+ */
+
+import engagementScoreService from '../services/engagementScoreService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get the team's engagement scoring settings
+ * GET /api/v1/engagement/settings
+ */
+export async function getSettings(req, res) {
+  try {
+    const settings = await engagementScoreService.getSettings(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in getSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get engagement settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update the team's engagement scoring settings
+ * PUT /api/v1/engagement/settings
+ */
+export async function updateSettings(req, res) {
+  try {
+    const { teamId } = req.user;
+    const settings = await engagementScoreService.updateSettings(teamId, req.body);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+
+    // Score the team's contacts with the new settings (async, don't wait)
+    engagementScoreService.recalculateTeam(teamId).catch((error) => {
+      logger.error('Error recalculating engagement scores', { error: error.message, teamId });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Engagement settings updated successfully',
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in updateSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update engagement settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the daily average engagement score of the team's contacts
+ * GET /api/v1/engagement/trend
+ */
+export async function getTrend(req, res) {
+  try {
+    const { days } = req.validatedQuery || req.query;
+    const trend = await engagementScoreService.getTeamTrend(req.user.teamId, Number(days) || 30);
+
+    res.status(200).json({
+      success: true,
+      data: trend,
+    });
+  } catch (error) {
+    logger.error('Error in getTrend controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get engagement trend',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a contact's engagement score history
+ * GET /api/v1/engagement/contacts/:contactId/history
+ */
+export async function getContactHistory(req, res) {
+  try {
+    const { days } = req.validatedQuery || req.query;
+    const history = await engagementScoreService.getContactHistory(
+      req.user.teamId,
+      req.params.contactId,
+      Number(days) || 30
+    );
+
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    logger.error('Error in getContactHistory controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get engagement history',
+      error: error.message,
+    });
+  }
+}
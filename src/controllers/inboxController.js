@@ -0,0 +1,811 @@
+/**
+ * Inbox Controller
+ *
+ * Handles HTTP requests for the shared team inbox
+ */
+
+import inboxService from '../services/inboxService.js';
+import assignmentService from '../services/assignmentService.js';
+import presenceService from '../services/presenceService.js';
+import slaService from '../services/slaService.js';
+import noteService from '../services/noteService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Errors caused by the request or the state of the sending account
+ */
+function isClientError(error) {
+  return (
+    error.message.includes('not found') ||
+    error.message.includes('not connected') ||
+    error.message.startsWith('Daily message limit') ||
+    error.message.startsWith('Unauthorized') ||
+    error.message.startsWith('Agent is not') ||
+    error.message.startsWith('Mentioned user')
+  );
+}
+
+/**
+ * Send a 404 for conversations outside the team
+ */
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Conversation not found',
+  });
+}
+
+/**
+ * Build a handler for a simple conversation state change
+ */
+function conversationAction(action, successMessage, failureMessage) {
+  return async (req, res) => {
+    try {
+      const conversation = await action(req);
+
+      if (!conversation) {
+        return notFound(res);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: successMessage,
+        data: conversation,
+      });
+    } catch (error) {
+      logger.error(`Error in inbox controller (${successMessage}):`, error);
+
+      res.status(500).json({
+        success: false,
+        message: failureMessage,
+        error: error.message,
+      });
+    }
+  };
+}
+
+/**
+ * List conversations
+ * GET /api/v1/inbox/conversations
+ */
+export async function getConversations(req, res) {
+  try {
+    const query = req.validatedQuery || req.query;
+    const result = await inboxService.getConversations(req.user.teamId, req.user.id, query);
+
+    res.status(200).json({
+      success: true,
+      data: result.conversations,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error('Error in getConversations controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversations',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get a conversation
+ * GET /api/v1/inbox/conversations/:id
+ */
+export async function getConversationById(req, res) {
+  try {
+    const conversation = await inboxService.getConversationById(req.user.teamId, req.params.id);
+
+    if (!conversation) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: conversation,
+    });
+  } catch (error) {
+    logger.error('Error in getConversationById controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversation',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the message thread of a conversation
+ * GET /api/v1/inbox/conversations/:id/messages
+ */
+export async function getConversationMessages(req, res) {
+  try {
+    const query = req.validatedQuery || req.query;
+    const result = await inboxService.getConversationMessages(
+      req.user.teamId,
+      req.params.id,
+      query
+    );
+
+    if (!result) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.messages,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error('Error in getConversationMessages controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch messages',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Reply to a conversation
+ * POST /api/v1/inbox/conversations/:id/reply
+ */
+export async function replyToConversation(req, res) {
+  try {
+    const message = await inboxService.replyToConversation(
+      req.user.teamId,
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+
+    if (!message) {
+      return notFound(res);
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Reply queued for sending',
+      data: message,
+    });
+  } catch (error) {
+    logger.error('Error in replyToConversation controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send reply',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Mark a conversation as read
+ * POST /api/v1/inbox/conversations/:id/read
+ */
+export const markAsRead = conversationAction(
+  (req) => inboxService.markAsRead(req.user.teamId, req.params.id),
+  'Conversation marked as read',
+  'Failed to mark conversation as read'
+);
+
+/**
+ * Star or unstar a conversation
+ * POST /api/v1/inbox/conversations/:id/star
+ */
+export const setStarred = conversationAction(
+  (req) => inboxService.setStarred(req.user.teamId, req.params.id, req.body.starred),
+  'Conversation star updated',
+  'Failed to update conversation star'
+);
+
+/**
+ * Close a conversation
+ * POST /api/v1/inbox/conversations/:id/close
+ */
+export const closeConversation = conversationAction(
+  (req) => inboxService.closeConversation(req.user.teamId, req.params.id),
+  'Conversation closed',
+  'Failed to close conversation'
+);
+
+/**
+ * Reopen a conversation
+ * POST /api/v1/inbox/conversations/:id/reopen
+ */
+export const reopenConversation = conversationAction(
+  (req) => inboxService.reopenConversation(req.user.teamId, req.params.id),
+  'Conversation reopened',
+  'Failed to reopen conversation'
+);
+
+/**
+ * Snooze a conversation
+ * POST /api/v1/inbox/conversations/:id/snooze
+ */
+export const snoozeConversation = conversationAction(
+  (req) => inboxService.snoozeConversation(req.user.teamId, req.params.id, req.body.until),
+  'Conversation snoozed',
+  'Failed to snooze conversation'
+);
+
+/**
+ * Assign or unassign a conversation
+ * POST /api/v1/inbox/conversations/:id/assign
+ */
+export async function assignConversation(req, res) {
+  try {
+    const conversation = await assignmentService.assignConversation(
+      req.user.teamId,
+      req.params.id,
+      req.body.agentId,
+      req.user.id
+    );
+
+    if (!conversation) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: req.body.agentId ? 'Conversation assigned' : 'Conversation unassigned',
+      data: conversation,
+    });
+  } catch (error) {
+    logger.error('Error in assignConversation controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign conversation',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * List agents with routing settings and open conversation load
+ * GET /api/v1/inbox/agents
+ */
+export async function getAgents(req, res) {
+  try {
+    const agents = await assignmentService.getAgents(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: agents,
+    });
+  } catch (error) {
+    logger.error('Error in getAgents controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch agents',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update an agent's skills and availability
+ * PUT /api/v1/inbox/agents/:userId
+ */
+export async function updateAgentRouting(req, res) {
+  try {
+    const routing = await assignmentService.updateAgentRouting(
+      req.user.teamId,
+      req.params.userId,
+      req.body
+    );
+
+    if (!routing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Agent routing updated',
+      data: routing,
+    });
+  } catch (error) {
+    logger.error('Error in updateAgentRouting controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update agent routing',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Live presence and working hours of the team
+ * GET /api/v1/inbox/presence
+ */
+export async function getTeamPresence(req, res) {
+  try {
+    const result = await presenceService.getTeamPresence(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: result.members,
+      summary: result.summary,
+    });
+  } catch (error) {
+    logger.error('Error in getTeamPresence controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch team presence',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Set your own presence
+ * PUT /api/v1/inbox/presence
+ */
+export async function setPresence(req, res) {
+  try {
+    const presence = await presenceService.setPresence(
+      req.user.teamId,
+      req.user.id,
+      req.body.status
+    );
+
+    if (!presence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Presence updated',
+      data: presence,
+    });
+  } catch (error) {
+    logger.error('Error in setPresence controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update presence',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * List assignment rules
+ * GET /api/v1/inbox/assignment-rules
+ */
+export async function getAssignmentRules(req, res) {
+  try {
+    const rules = await assignmentService.getRules(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: rules,
+    });
+  } catch (error) {
+    logger.error('Error in getAssignmentRules controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch assignment rules',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Create an assignment rule
+ * POST /api/v1/inbox/assignment-rules
+ */
+export async function createAssignmentRule(req, res) {
+  try {
+    const rule = await assignmentService.createRule(req.user.teamId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Assignment rule created',
+      data: rule,
+    });
+  } catch (error) {
+    logger.error('Error in createAssignmentRule controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create assignment rule',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update an assignment rule
+ * PUT /api/v1/inbox/assignment-rules/:id
+ */
+export async function updateAssignmentRule(req, res) {
+  try {
+    const rule = await assignmentService.updateRule(req.user.teamId, req.params.id, req.body);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment rule not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment rule updated',
+      data: rule,
+    });
+  } catch (error) {
+    logger.error('Error in updateAssignmentRule controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update assignment rule',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Delete an assignment rule
+ * DELETE /api/v1/inbox/assignment-rules/:id
+ */
+export async function deleteAssignmentRule(req, res) {
+  try {
+    const deleted = await assignmentService.deleteRule(req.user.teamId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment rule not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment rule deleted',
+    });
+  } catch (error) {
+    logger.error('Error in deleteAssignmentRule controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete assignment rule',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the SLA cycles of a conversation
+ * GET /api/v1/inbox/conversations/:id/sla
+ */
+export async function getConversationSla(req, res) {
+  try {
+    const cycles = await slaService.getConversationSla(req.user.teamId, req.params.id);
+
+    if (!cycles) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: cycles,
+    });
+  } catch (error) {
+    logger.error('Error in getConversationSla controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversation SLA',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * List SLA policies
+ * GET /api/v1/inbox/sla-policies
+ */
+export async function getSlaPolicies(req, res) {
+  try {
+    const policies = await slaService.getPolicies(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: policies,
+    });
+  } catch (error) {
+    logger.error('Error in getSlaPolicies controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SLA policies',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Create an SLA policy
+ * POST /api/v1/inbox/sla-policies
+ */
+export async function createSlaPolicy(req, res) {
+  try {
+    const policy = await slaService.createPolicy(req.user.teamId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'SLA policy created',
+      data: policy,
+    });
+  } catch (error) {
+    logger.error('Error in createSlaPolicy controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create SLA policy',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update an SLA policy
+ * PUT /api/v1/inbox/sla-policies/:id
+ */
+export async function updateSlaPolicy(req, res) {
+  try {
+    const policy = await slaService.updatePolicy(req.user.teamId, req.params.id, req.body);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'SLA policy updated',
+      data: policy,
+    });
+  } catch (error) {
+    logger.error('Error in updateSlaPolicy controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update SLA policy',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Delete an SLA policy
+ * DELETE /api/v1/inbox/sla-policies/:id
+ */
+export async function deleteSlaPolicy(req, res) {
+  try {
+    const deleted = await slaService.deletePolicy(req.user.teamId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'SLA policy not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'SLA policy deleted',
+    });
+  } catch (error) {
+    logger.error('Error in deleteSlaPolicy controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete SLA policy',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Send a 404 for notes outside the team
+ */
+function noteNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Note not found',
+  });
+}
+
+/**
+ * Send the error response of a note write
+ */
+function noteError(res, error, failureMessage) {
+  if (error.message.startsWith('Only the author')) {
+    return res.status(403).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (isClientError(error)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: failureMessage,
+    error: error.message,
+  });
+}
+
+/**
+ * Get the conversation timeline (messages and internal notes)
+ * GET /api/v1/inbox/conversations/:id/timeline
+ */
+export async function getConversationTimeline(req, res) {
+  try {
+    const query = req.validatedQuery || req.query;
+    const result = await noteService.getConversationTimeline(req.user.teamId, req.params.id, query);
+
+    if (!result) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.items,
+      nextBefore: result.nextBefore,
+    });
+  } catch (error) {
+    logger.error('Error in getConversationTimeline controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversation timeline',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * List the internal notes of a conversation
+ * GET /api/v1/inbox/conversations/:id/notes
+ */
+export async function getNotes(req, res) {
+  try {
+    const query = req.validatedQuery || req.query;
+    const result = await noteService.getNotes(req.user.teamId, req.params.id, query);
+
+    if (!result) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.notes,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error('Error in getNotes controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notes',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Add an internal note to a conversation
+ * POST /api/v1/inbox/conversations/:id/notes
+ */
+export async function createNote(req, res) {
+  try {
+    const note = await noteService.createNote(
+      req.user.teamId,
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+
+    if (!note) {
+      return notFound(res);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: note,
+    });
+  } catch (error) {
+    logger.error('Error in createNote controller:', error);
+    noteError(res, error, 'Failed to add note');
+  }
+}
+
+/**
+ * Edit an internal note
+ * PUT /api/v1/inbox/notes/:id
+ */
+export async function updateNote(req, res) {
+  try {
+    const note = await noteService.updateNote(
+      req.user.teamId,
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+
+    if (!note) {
+      return noteNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Note updated',
+      data: note,
+    });
+  } catch (error) {
+    logger.error('Error in updateNote controller:', error);
+    noteError(res, error, 'Failed to update note');
+  }
+}
+
+/**
+ * Delete an internal note
+ * DELETE /api/v1/inbox/notes/:id
+ */
+export async function deleteNote(req, res) {
+  try {
+    const deleted = await noteService.deleteNote(req.user.teamId, req.user.id, req.params.id);
+
+    if (!deleted) {
+      return noteNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Note deleted',
+    });
+  } catch (error) {
+    logger.error('Error in deleteNote controller:', error);
+    noteError(res, error, 'Failed to delete note');
+  }
+}
@@ -0,0 +1,24 @@
+import campaignAttributionService from '../services/campaignAttributionService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Follow a tracked link from a campaign message
+ * GET /l/:code
+ */
+export async function followLink(req, res) {
+  try {
+    const url = await campaignAttributionService.recordClick(req.params.code, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null,
+    });
+
+    if (!url) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    return res.redirect(302, url);
+  } catch (error) {
+    logger.error('Error following tracked link:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Marketing Limits Controller
+ *
+ * Handles HTTP requests for the team's quiet hours and frequency caps
+ */
+
+import marketingLimitsService from '../services/marketingLimitsService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get the team's marketing limits
+ * GET /api/v1/marketing-limits/settings
+ */
+export async function getSettings(req, res) {
+  try {
+    const settings = await marketingLimitsService.getSettings(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in getSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get marketing limits',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update the team's marketing limits
+ * PUT /api/v1/marketing-limits/settings
+ */
+export async function updateSettings(req, res) {
+  try {
+    const settings = await marketingLimitsService.updateSettings(req.user.teamId, req.body);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Marketing limits updated successfully',
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in updateSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update marketing limits',
+      error: error.message,
+    });
+  }
+}
@@ -16,6 +16,7 @@ class MessageController {
       const userId = req.user.id;
       const messageData = {
         userId,
+        teamId: req.user.teamId,
         ...req.body,
       };
 
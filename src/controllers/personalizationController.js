@@ -0,0 +1,89 @@
+/**
+ * Personalization Controller
+ *
+ * Handles HTTP requests for personalization settings and content checks
+ */
+
+import personalizationService from '../services/personalizationService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get the team's personalization defaults
+ * GET /api/v1/personalization/settings
+ */
+export async function getSettings(req, res) {
+  try {
+    const settings = await personalizationService.getSettings(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in getSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get personalization settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update the team's personalization defaults
+ * PUT /api/v1/personalization/settings
+ */
+export async function updateSettings(req, res) {
+  try {
+    const settings = await personalizationService.updateSettings(req.user.teamId, req.body);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Personalization settings updated successfully',
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in updateSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update personalization settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Check message content for syntax errors and unknown variables
+ * POST /api/v1/personalization/validate
+ */
+export async function validateContent(req, res) {
+  try {
+    const { content, context, variables } = req.body;
+    const result = await personalizationService.validateContent(req.user.teamId, content, {
+      context,
+      variables,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error in validateContent controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate content',
+      error: error.message,
+    });
+  }
+}
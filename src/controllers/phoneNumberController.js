@@ -0,0 +1,117 @@
+/**
+ * Phone Number Controller
+ *
+ * Handles HTTP requests for phone number settings and normalizing contact numbers
+ */
+
+import phoneNumberService from '../services/phoneNumberService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get the team's phone number settings
+ * GET /api/v1/phone-numbers/settings
+ */
+export async function getSettings(req, res) {
+  try {
+    const settings = await phoneNumberService.getSettings(req.user.teamId);
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in getSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get phone number settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update the team's phone number settings
+ * PUT /api/v1/phone-numbers/settings
+ */
+export async function updateSettings(req, res) {
+  try {
+    const settings = await phoneNumberService.updateSettings(req.user.teamId, req.body);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number settings updated successfully',
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Error in updateSettings controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update phone number settings',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Normalize the phone numbers of the team's contacts to E.164
+ * POST /api/v1/phone-numbers/normalize
+ */
+export async function normalizeContacts(req, res) {
+  try {
+    const result = await phoneNumberService.normalizeTeamPhones(req.user.teamId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: result.dryRun
+        ? 'Phone number normalization previewed'
+        : 'Contact phone numbers normalized successfully',
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Error in normalizeContacts controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to normalize contact phone numbers',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the contacts whose phone numbers cannot be normalized
+ * GET /api/v1/phone-numbers/report
+ */
+export async function getReport(req, res) {
+  try {
+    const { page, limit } = req.validatedQuery || req.query;
+    const report = await phoneNumberService.getPhoneReport(req.user.teamId, {
+      page: Number(page) || 1,
+      limit: Number(limit) || 50,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report.contacts,
+      total: report.total,
+      fixable: report.fixable,
+    });
+  } catch (error) {
+    logger.error('Error in getReport controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get phone number report',
+      error: error.message,
+    });
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * Template Controller
+ *
+ * Handles HTTP requests for WhatsApp message template management
+ */
+
+import templateService from '../services/templateService.js';
+import { WhatsAppConnectionError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Errors caused by the request (bad content, wrong state, provider rejection)
+ */
+function isClientError(error) {
+  return (
+    error instanceof WhatsAppConnectionError ||
+    error.message.includes('not found') ||
+    error.message.includes('already exists') ||
+    error.message.startsWith('Invalid template') ||
+    error.message.startsWith('Cannot') ||
+    error.message.startsWith('Template has not')
+  );
+}
+
+/**
+ * Create a new template
+ * POST /api/v1/templates
+ */
+export async function createTemplate(req, res) {
+  try {
+    const teamId = req.user.teamId;
+
+    const template = await templateService.createTemplate(teamId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Error in createTemplate controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create template',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get templates with filters
+ * GET /api/v1/templates
+ */
+export async function getTemplates(req, res) {
+  try {
+    const teamId = req.user.teamId;
+
+    const query = req.validatedQuery || req.query;
+    const result = await templateService.getTemplates(teamId, query);
+
+    res.status(200).json({
+      success: true,
+      data: result.templates,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    logger.error('Error in getTemplates controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch templates',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get template by ID
+ * GET /api/v1/templates/:id
+ */
+export async function getTemplateById(req, res) {
+  try {
+    const teamId = req.user.teamId;
+    const { id } = req.params;
+
+    const template = await templateService.getTemplateById(teamId, id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Error in getTemplateById controller:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch template',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update template
+ * PUT /api/v1/templates/:id
+ */
+export async function updateTemplate(req, res) {
+  try {
+    const teamId = req.user.teamId;
+    const { id } = req.params;
+
+    const template = await templateService.updateTemplate(teamId, id, req.body);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Error in updateTemplate controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update template',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Delete template
+ * DELETE /api/v1/templates/:id
+ */
+export async function deleteTemplate(req, res) {
+  try {
+    const teamId = req.user.teamId;
+    const { id } = req.params;
+
+    const result = await templateService.deleteTemplate(teamId, id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Error in deleteTemplate controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete template',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Submit template for WhatsApp approval
+ * POST /api/v1/templates/:id/submit
+ */
+export async function submitTemplate(req, res) {
+  try {
+    const teamId = req.user.teamId;
+    const { id } = req.params;
+
+    const template = await templateService.submitTemplate(teamId, id, req.body.examples);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message:
+        template.status === 'approved' ? 'Template approved' : 'Template submitted for approval',
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Error in submitTemplate controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit template',
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Refresh template approval status from WhatsApp
+ * POST /api/v1/templates/:id/sync
+ */
+export async function syncTemplateStatus(req, res) {
+  try {
+    const teamId = req.user.teamId;
+    const { id } = req.params;
+
+    const template = await templateService.syncTemplateStatus(teamId, id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    logger.error('Error in syncTemplateStatus controller:', error);
+
+    if (isClientError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync template status',
+      error: error.message,
+    });
+  }
+}
@@ -0,0 +1,62 @@
+import whatsappWebhookService from '../services/whatsappWebhookService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * WhatsApp webhook verification handshake
+ * GET /api/v1/webhooks/whatsapp/:accountId
+ */
+export async function verifyWhatsAppWebhook(req, res) {
+  try {
+    const { accountId } = req.params;
+
+    const account = await whatsappWebhookService.getWebhookAccount(accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const challenge = whatsappWebhookService.verifyHandshake(account, req.query);
+    if (challenge === null) {
+      logger.warn(`WhatsApp webhook verification failed for account ${accountId}`);
+      return res.status(403).json({ error: 'Verification failed' });
+    }
+
+    logger.info(`WhatsApp webhook verified for account ${accountId}`);
+    return res.status(200).type('text/plain').send(challenge);
+  } catch (error) {
+    logger.error('Error verifying WhatsApp webhook:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * WhatsApp webhook: messages, statuses and template updates
+ * POST /api/v1/webhooks/whatsapp/:accountId
+ */
+export async function receiveWhatsAppWebhook(req, res) {
+  try {
+    const { accountId } = req.params;
+
+    const account = await whatsappWebhookService.getWebhookAccount(accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const isValid = whatsappWebhookService.verifySignature(
+      account,
+      req.rawBody,
+      req.headers['x-hub-signature-256']
+    );
+
+    if (!isValid) {
+      logger.warn(`Invalid WhatsApp webhook signature for account ${accountId}`);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const result = await whatsappWebhookService.processPayload(account, req.body);
+
+    return res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error processing WhatsApp webhook:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -10,7 +10,7 @@ export async function connectAccount(req, res) {
   try {
     const userId = req.user.id;
     const teamId = req.user.teamId;
-    const { phoneNumber, displayName } = req.body;
+    const { phoneNumber, displayName, type, credentials } = req.body;
 
     if (!teamId) {
       return res.status(400).json({
@@ -22,6 +22,8 @@ export async function connectAccount(req, res) {
     const result = await whatsappService.connectWhatsAppAccount(userId, teamId, {
       phoneNumber,
       displayName,
+      type,
+      credentials,
     });
 
     logger.info(`WhatsApp connection initiated for user ${userId}, team ${teamId}`);
@@ -23,9 +23,9 @@ class WhatsAppEventEmitter extends EventEmitter {
   /**
    * Emit message acknowledgment event
    */
-  emitMessageAck(accountId, messageId, ack) {
+  emitMessageAck(accountId, messageId, ack, details = {}) {
     logger.debug(`Emitting message ack event for account ${accountId}`);
-    this.emit('message:ack', { accountId, messageId, ack });
+    this.emit('message:ack', { accountId, messageId, ack, details });
   }
 
   /**
@@ -39,7 +39,10 @@ class MessageHandler {
 
       // Lazy load messageService to avoid circular dependency at module level
       const messageService = await import('../services/messageService.js');
-      await messageService.default.handleIncomingMessage(accountId, message);
+      await messageService.default.handleIncomingMessage({
+        ...message,
+        whatsappAccountId: accountId,
+      });
 
       logger.debug(`Successfully processed incoming message for account ${accountId}`);
     } catch (error) {
@@ -50,13 +53,13 @@ class MessageHandler {
   /**
    * Handle message acknowledgment
    */
-  async handleMessageAck({ accountId, messageId, ack }) {
+  async handleMessageAck({ accountId, messageId, ack, details = {} }) {
     try {
       logger.debug(`Processing message ack for account ${accountId}, message ${messageId}`);
 
       // Lazy load messageService
       const messageService = await import('../services/messageService.js');
-      await messageService.default.updateMessageStatus(messageId, ack);
+      await messageService.default.updateMessageStatus(accountId, messageId, ack, details);
 
       logger.debug(`Successfully processed message ack for account ${accountId}`);
     } catch (error) {
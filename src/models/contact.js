@@ -1,4 +1,5 @@
 import prisma from '../config/database.js';
+import { getLegacyPhoneForms } from '../utils/phone.js';
 
 /**
  * Contact Model - Maps between camelCase API and snake_case database
@@ -76,9 +77,13 @@ class ContactModel {
 
   /**
    * Find contact by phone number
+   * The number of a contact merged into another finds that one. Contacts stored
+   * before numbers were normalized are found by the legacy forms of the number.
+   * @param {string} phone - Normalized (E.164) number
+   * @param {string} [rawPhone] - Number as received or entered
    */
-  async findByPhone(teamId, phone) {
-    const dbContact = await prisma.contacts.findUnique({
+  async findByPhone(teamId, phone, rawPhone = null) {
+    let dbContact = await prisma.contacts.findUnique({
       where: {
         team_id_phone: {
           team_id: teamId,
@@ -86,6 +91,19 @@ class ContactModel {
         },
       },
     });
+
+    const legacyPhones = getLegacyPhoneForms(phone, rawPhone);
+    if (!dbContact && legacyPhones.length > 0) {
+      dbContact = await prisma.contacts.findFirst({
+        where: { team_id: teamId, phone: { in: legacyPhones } },
+        orderBy: { created_at: 'asc' },
+      });
+    }
+
+    if (dbContact?.merged_into_id) {
+      return this.findById(dbContact.merged_into_id);
+    }
+
     return this.mapToModel(dbContact);
   }
 
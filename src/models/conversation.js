@@ -0,0 +1,138 @@
+import prisma from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Conversation Model - Maps between camelCase API and snake_case database
+ */
+class ConversationModel {
+  /**
+   * Map database fields to camelCase
+   */
+  mapToModel(dbConversation) {
+    if (!dbConversation) return null;
+    return {
+      id: dbConversation.id,
+      teamId: dbConversation.team_id,
+      accountId: dbConversation.account_id,
+      contactId: dbConversation.contact_id,
+      status: dbConversation.status,
+      assignedAgentId: dbConversation.assigned_agent_id,
+      unreadCount: dbConversation.unread_count,
+      lastMessageAt: dbConversation.last_message_at,
+      lastMessagePreview: dbConversation.last_message_preview,
+      isStarred: dbConversation.is_starred,
+      snoozedUntil: dbConversation.snoozed_until,
+      createdAt: dbConversation.created_at,
+      updatedAt: dbConversation.updated_at,
+    };
+  }
+
+  /**
+   * Find conversation by ID
+   */
+  async findById(id) {
+    const dbConversation = await prisma.conversations.findUnique({
+      where: { id },
+    });
+    return this.mapToModel(dbConversation);
+  }
+
+  /**
+   * Find conversation for an account/contact pair
+   */
+  async findByAccountAndContact(accountId, contactId) {
+    const dbConversation = await prisma.conversations.findUnique({
+      where: {
+        account_id_contact_id: {
+          account_id: accountId,
+          contact_id: contactId,
+        },
+      },
+    });
+    return this.mapToModel(dbConversation);
+  }
+
+  /**
+   * Get the account/contact conversation, creating it (open, nothing unread) if needed
+   */
+  async findOrCreate({ teamId, accountId, contactId }) {
+    const dbConversation = await prisma.conversations.upsert({
+      where: {
+        account_id_contact_id: {
+          account_id: accountId,
+          contact_id: contactId,
+        },
+      },
+      create: {
+        id: uuidv4(),
+        team_id: teamId,
+        account_id: accountId,
+        contact_id: contactId,
+        status: 'open',
+        unread_count: 0,
+        updated_at: new Date(),
+      },
+      update: {},
+    });
+    return this.mapToModel(dbConversation);
+  }
+
+  /**
+   * Record a message on the account/contact conversation, creating it if needed
+   * Inbound messages bump the unread count and reopen closed or snoozed conversations
+   */
+  async touchForMessage({ teamId, accountId, contactId, preview, inbound, at = new Date() }) {
+    const lastMessagePreview = preview ? preview.substring(0, 255) : null;
+
+    const dbConversation = await prisma.conversations.upsert({
+      where: {
+        account_id_contact_id: {
+          account_id: accountId,
+          contact_id: contactId,
+        },
+      },
+      create: {
+        id: uuidv4(),
+        team_id: teamId,
+        account_id: accountId,
+        contact_id: contactId,
+        status: 'open',
+        unread_count: inbound ? 1 : 0,
+        last_message_at: at,
+        last_message_preview: lastMessagePreview,
+        updated_at: new Date(),
+      },
+      update: {
+        last_message_at: at,
+        last_message_preview: lastMessagePreview,
+        ...(inbound && { unread_count: { increment: 1 }, status: 'open', snoozed_until: null }),
+        updated_at: new Date(),
+      },
+    });
+    return this.mapToModel(dbConversation);
+  }
+
+  /**
+   * Update conversation
+   */
+  async update(id, data) {
+    const updateData = { updated_at: new Date() };
+
+    if (data.status !== undefined) updateData.status = data.status;
+    if (data.assignedAgentId !== undefined) updateData.assigned_agent_id = data.assignedAgentId;
+    if (data.unreadCount !== undefined) updateData.unread_count = data.unreadCount;
+    if (data.isStarred !== undefined) updateData.is_starred = data.isStarred;
+    if (data.snoozedUntil !== undefined) updateData.snoozed_until = data.snoozedUntil;
+    if (data.lastMessageAt !== undefined) updateData.last_message_at = data.lastMessageAt;
+    if (data.lastMessagePreview !== undefined)
+      updateData.last_message_preview = data.lastMessagePreview;
+
+    const dbConversation = await prisma.conversations.update({
+      where: { id },
+      data: updateData,
+    });
+    return this.mapToModel(dbConversation);
+  }
+}
+
+export default new ConversationModel();
@@ -24,6 +24,9 @@ class MessageModel {
       mediaSize: dbMessage.media_size,
       templateName: dbMessage.template_name,
       templateVariables: dbMessage.template_variables,
+      payload: dbMessage.payload,
+      interactiveReplyId: dbMessage.interactive_reply_id,
+      contextMessageId: dbMessage.context_message_id,
       status: dbMessage.status,
       errorMessage: dbMessage.error_message,
       sentAt: dbMessage.sent_at,
@@ -53,6 +56,9 @@ class MessageModel {
         media_size: data.mediaSize || data.media_size,
         template_name: data.templateName || data.template_name,
         template_variables: data.templateVariables || data.template_variables,
+        payload: data.payload || undefined,
+        interactive_reply_id: data.interactiveReplyId || data.interactive_reply_id,
+        context_message_id: data.contextMessageId || data.context_message_id,
         status: data.status || 'pending',
         error_message: data.errorMessage || data.error_message,
         sent_at: data.sentAt || data.sent_at,
@@ -74,14 +80,31 @@ class MessageModel {
     return this.mapToModel(dbMessage);
   }
 
+  /**
+   * Find message by WhatsApp (provider) message ID
+   * Provider IDs are only unique per account
+   */
+  async findByWhatsAppMessageId(accountId, whatsappMessageId) {
+    if (!accountId || !whatsappMessageId) return null;
+    const dbMessage = await prisma.messages.findUnique({
+      where: {
+        account_id_whatsapp_message_id: {
+          account_id: accountId,
+          whatsapp_message_id: whatsappMessageId,
+        },
+      },
+    });
+    return this.mapToModel(dbMessage);
+  }
+
   /**
    * Find messages by conversation ID
    */
   async findByConversationId(conversationId, options = {}) {
-    const { skip = 0, take = 50 } = options;
+    const { skip = 0, take = 50, before } = options;
 
     const dbMessages = await prisma.messages.findMany({
-      where: { conversation_id: conversationId },
+      where: { conversation_id: conversationId, ...(before && { created_at: { lt: before } }) },
       skip,
       take,
       orderBy: { created_at: 'desc' },
@@ -116,6 +139,46 @@ class MessageModel {
     return this.mapToModel(dbMessage);
   }
 
+  /**
+   * Update message status, stamping the matching sent/delivered/read timestamp
+   * Statuses are stored lowercase (sent, delivered, read, failed)
+   */
+  async updateStatus(id, status, data = {}) {
+    const normalized = status.toLowerCase();
+    const timestamps = {
+      sent: { sentAt: new Date() },
+      delivered: { deliveredAt: new Date() },
+      read: { readAt: new Date() },
+    };
+
+    return this.update(id, { ...timestamps[normalized], ...data, status: normalized });
+  }
+
+  /**
+   * Move a message to a new status only if it is currently in one of `fromStatuses`
+   * Guards against out-of-order receipts racing each other
+   * @returns {Promise<Object|null>} Updated message, or null if the guard did not match
+   */
+  async advanceStatus(id, status, fromStatuses, data = {}) {
+    const normalized = status.toLowerCase();
+    const timestamps = {
+      sent: { sent_at: new Date() },
+      delivered: { delivered_at: new Date() },
+      read: { read_at: new Date() },
+    };
+
+    const { count } = await prisma.messages.updateMany({
+      where: { id, status: { in: fromStatuses } },
+      data: {
+        ...timestamps[normalized],
+        ...(data.errorMessage !== undefined && { error_message: data.errorMessage }),
+        status: normalized,
+      },
+    });
+
+    return count > 0 ? this.findById(id) : null;
+  }
+
   /**
    * Delete message
    */
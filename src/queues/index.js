@@ -1,6 +1,7 @@
 import Queue from 'bull';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import marketingLimitsService from '../services/marketingLimitsService.js';
 
 /**
  * Create Bull queue with standard configuration
@@ -321,6 +322,59 @@ export const addJob = async (queueName, data, options = {}) => {
   return await queue.add(data, options);
 };
 
+/**
+ * Add a message sending job
+ * Marketing jobs ({ purpose: 'marketing', teamId, contactId }) go through the team's
+ * quiet hours and frequency caps first: they are delayed past quiet hours, or not
+ * queued at all when the contact reached a cap.
+ * @param {Object} data - Job data; marketing jobs also carry `source` and `referenceId`
+ * @param {Object} options - Bull job options
+ * @returns {Promise<Object>} { job, status: 'queued'|'deferred'|'suppressed', sendAt, reason }
+ */
+export const addMessageJob = async (data, options = {}) => {
+  const delay = options.delay || 0;
+  let sendAt = new Date(Date.now() + delay);
+
+  if (data.purpose !== 'marketing' || !data.teamId || !data.contactId) {
+    const job = await messageQueue.add(data, options);
+    return { job, status: 'queued', sendAt, reason: null };
+  }
+
+  const decision = await marketingLimitsService.reserveSend(data.teamId, data.contactId, {
+    sendAt,
+    source: data.source,
+    referenceId: data.referenceId,
+  });
+
+  if (decision.action === 'suppress') {
+    return { job: null, status: 'suppressed', sendAt: null, reason: decision.reason };
+  }
+
+  const jobData = { ...data };
+  if (decision.action === 'defer') {
+    sendAt = decision.sendAt;
+    jobData.scheduledFor = sendAt.toISOString();
+    logger.info('Marketing message deferred', {
+      contactId: data.contactId,
+      source: data.source,
+      reason: decision.reason,
+      sendAt,
+    });
+  }
+
+  const job = await messageQueue.add(jobData, {
+    ...options,
+    delay: Math.max(0, sendAt.getTime() - Date.now()),
+  });
+
+  return {
+    job,
+    status: decision.action === 'defer' ? 'deferred' : 'queued',
+    sendAt,
+    reason: decision.reason,
+  };
+};
+
 /**
  * Helper function to get a queue by name
  */
@@ -347,5 +401,6 @@ export default {
   getQueueHealth,
   getAllQueuesHealth,
   addJob,
+  addMessageJob,
   getQueue,
 };
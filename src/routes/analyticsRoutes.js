@@ -72,6 +72,13 @@ router.get('/flows/:flowId', authorize('analytics:read'), analyticsController.ge
  */
 router.get('/flows', authorize('analytics:read'), analyticsController.getAllFlowsAnalytics);
 
+/**
+ * @route   GET /api/v1/analytics/sla
+ * @desc    Get conversation SLA compliance, overall and per policy
+ * @access  Private (requires analytics:read permission)
+ */
+router.get('/sla', authorize('analytics:read'), analyticsController.getSlaAnalytics);
+
 /**
  * @route   POST /api/v1/analytics/reports/schedule
  * @desc    Schedule a recurring report
@@ -39,6 +39,81 @@ router.get(
   campaignController.getCampaigns
 );
 
+/**
+ * GET /api/v1/campaigns/send-time-settings
+ * Get the team's default delivery window for send-time optimization
+ * Requires: settings:read permission
+ */
+router.get(
+  '/send-time-settings',
+  authenticate,
+  authorize('settings:read'),
+  campaignController.getSendTimeSettings
+);
+
+/**
+ * PUT /api/v1/campaigns/send-time-settings
+ * Update the team's default delivery window for send-time optimization
+ * Requires: settings:update permission
+ */
+router.put(
+  '/send-time-settings',
+  authenticate,
+  authorize('settings:update'),
+  validateBody(campaignValidator.updateSendTimeSettingsSchema),
+  campaignController.updateSendTimeSettings
+);
+
+/**
+ * GET /api/v1/campaigns/pricing-settings
+ * Get the team's messaging prices used for cost estimates
+ * Requires: settings:read permission
+ */
+router.get(
+  '/pricing-settings',
+  authenticate,
+  authorize('settings:read'),
+  campaignController.getPricingSettings
+);
+
+/**
+ * PUT /api/v1/campaigns/pricing-settings
+ * Update the team's messaging prices used for cost estimates
+ * Requires: settings:update permission
+ */
+router.put(
+  '/pricing-settings',
+  authenticate,
+  authorize('settings:update'),
+  validateBody(campaignValidator.updatePricingSettingsSchema),
+  campaignController.updatePricingSettings
+);
+
+/**
+ * GET /api/v1/campaigns/attribution-settings
+ * Get the team's order attribution window and model
+ * Requires: settings:read permission
+ */
+router.get(
+  '/attribution-settings',
+  authenticate,
+  authorize('settings:read'),
+  campaignController.getAttributionSettings
+);
+
+/**
+ * PUT /api/v1/campaigns/attribution-settings
+ * Update the team's order attribution window and model
+ * Requires: settings:update permission
+ */
+router.put(
+  '/attribution-settings',
+  authenticate,
+  authorize('settings:update'),
+  validateBody(campaignValidator.updateAttributionSettingsSchema),
+  campaignController.updateAttributionSettings
+);
+
 /**
  * GET /api/v1/campaigns/:id
  * Get campaign details with stats
@@ -93,6 +168,34 @@ router.get(
   campaignController.getCampaignRecipients
 );
 
+/**
+ * GET /api/v1/campaigns/:id/runs
+ * Get the runs of a recurring campaign with their stats
+ * Requires: campaigns:read permission
+ */
+router.get(
+  '/:id/runs',
+  authenticate,
+  authorize('campaigns:read'),
+  validateParams(campaignValidator.campaignIdSchema),
+  validateQuery(campaignValidator.listRunsSchema),
+  campaignController.getCampaignRuns
+);
+
+/**
+ * GET /api/v1/campaigns/:id/preview
+ * Dry-run a campaign: audience, sample messages, time and cost estimate
+ * Requires: campaigns:read permission
+ */
+router.get(
+  '/:id/preview',
+  authenticate,
+  authorize('campaigns:read'),
+  validateParams(campaignValidator.campaignIdSchema),
+  validateQuery(campaignValidator.previewCampaignSchema),
+  campaignController.previewCampaign
+);
+
 /**
  * POST /api/v1/campaigns/:id/start
  * Start campaign execution
@@ -184,4 +287,30 @@ router.post(
   campaignController.selectWinningVariant
 );
 
+/**
+ * POST /api/v1/campaigns/sequence
+ * Create sequence campaign
+ * Requires: campaigns:create permission
+ */
+router.post(
+  '/sequence',
+  authenticate,
+  authorize('campaigns:create'),
+  validateBody(campaignValidator.createSequenceSchema),
+  campaignController.createSequence
+);
+
+/**
+ * GET /api/v1/campaigns/:id/sequence/results
+ * Get sequence results per step
+ * Requires: campaigns:read permission
+ */
+router.get(
+  '/:id/sequence/results',
+  authenticate,
+  authorize('campaigns:read'),
+  validateParams(campaignValidator.campaignIdSchema),
+  campaignController.getSequenceResults
+);
+
 export default router;
@@ -0,0 +1,108 @@
+/**
+ * Canned Response Routes
+ *
+ * Routes for the team's saved replies library with RBAC
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { validateBody, validateQuery, validateParams } from '../middleware/validation.js';
+import * as cannedResponseController from '../controllers/cannedResponseController.js';
+import * as cannedResponseValidator from '../validators/cannedResponseValidator.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/canned-responses
+ * Create a canned response
+ * Requires: canned-responses:create permission
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('canned-responses:create'),
+  validateBody(cannedResponseValidator.createCannedResponseSchema),
+  cannedResponseController.createCannedResponse
+);
+
+/**
+ * GET /api/v1/canned-responses
+ * List canned responses (search matches shortcode prefix, title and content)
+ * Requires: canned-responses:read permission
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('canned-responses:read'),
+  validateQuery(cannedResponseValidator.listCannedResponsesSchema),
+  cannedResponseController.getCannedResponses
+);
+
+/**
+ * GET /api/v1/canned-responses/categories
+ * List categories with their number of canned responses
+ * Requires: canned-responses:read permission
+ */
+router.get(
+  '/categories',
+  authenticate,
+  authorize('canned-responses:read'),
+  cannedResponseController.getCategories
+);
+
+/**
+ * GET /api/v1/canned-responses/:id
+ * Get canned response details
+ * Requires: canned-responses:read permission
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorize('canned-responses:read'),
+  validateParams(cannedResponseValidator.cannedResponseIdSchema),
+  cannedResponseController.getCannedResponseById
+);
+
+/**
+ * PUT /api/v1/canned-responses/:id
+ * Update a canned response
+ * Requires: canned-responses:update permission
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('canned-responses:update'),
+  validateParams(cannedResponseValidator.cannedResponseIdSchema),
+  validateBody(cannedResponseValidator.updateCannedResponseSchema),
+  cannedResponseController.updateCannedResponse
+);
+
+/**
+ * DELETE /api/v1/canned-responses/:id
+ * Delete a canned response
+ * Requires: canned-responses:delete permission
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('canned-responses:delete'),
+  validateParams(cannedResponseValidator.cannedResponseIdSchema),
+  cannedResponseController.deleteCannedResponse
+);
+
+/**
+ * POST /api/v1/canned-responses/:id/preview
+ * Render a canned response with a contact's variables
+ * Requires: canned-responses:read permission
+ */
+router.post(
+  '/:id/preview',
+  authenticate,
+  authorize('canned-responses:read'),
+  validateParams(cannedResponseValidator.cannedResponseIdSchema),
+  validateBody(cannedResponseValidator.previewCannedResponseSchema),
+  cannedResponseController.previewCannedResponse
+);
+
+export default router;
@@ -0,0 +1,77 @@
+/**
+ * Consent Routes
+ *
+ * Routes for contact consent, opt-out/opt-in keyword settings and the
+ * compliance export with RBAC
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { validateBody, validateQuery, validateParams } from '../middleware/validation.js';
+import * as consentController from '../controllers/consentController.js';
+import * as consentValidator from '../validators/consentValidator.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/consent/settings
+ * Get opt-out/opt-in keywords, confirmation replies and the marketing opt-in rule
+ * Requires: settings:read permission
+ */
+router.get('/settings', authenticate, authorize('settings:read'), consentController.getSettings);
+
+/**
+ * PUT /api/v1/consent/settings
+ * Update consent settings
+ * Requires: settings:update permission
+ */
+router.put(
+  '/settings',
+  authenticate,
+  authorize('settings:update'),
+  validateBody(consentValidator.updateConsentSettingsSchema),
+  consentController.updateSettings
+);
+
+/**
+ * GET /api/v1/consent/export
+ * Export the consent history as CSV
+ * Requires: contacts:export permission
+ */
+router.get(
+  '/export',
+  authenticate,
+  authorize('contacts:export'),
+  validateQuery(consentValidator.exportConsentSchema),
+  consentController.exportConsentHistory
+);
+
+/**
+ * GET /api/v1/consent/contacts/:contactId
+ * Get a contact's current consent and history
+ * Requires: contacts:read permission
+ */
+router.get(
+  '/contacts/:contactId',
+  authenticate,
+  authorize('contacts:read'),
+  validateParams(consentValidator.contactIdSchema),
+  consentController.getContactConsent
+);
+
+/**
+ * POST /api/v1/consent/contacts/:contactId
+ * Record a consent change (e.g. consent given on a web form or by phone)
+ * Requires: contacts:update permission
+ */
+router.post(
+  '/contacts/:contactId',
+  authenticate,
+  authorize('contacts:update'),
+  validateParams(consentValidator.contactIdSchema),
+  validateBody(consentValidator.recordConsentSchema),
+  consentController.recordContactConsent
+);
+
+export default router;
@@ -16,7 +16,11 @@ import {
   updateContactSchema,
   queryContactsSchema,
   importContactsSchema,
+  previewImportSchema,
+  runImportSchema,
   exportContactsSchema,
+  findDuplicatesSchema,
+  mergeContactsSchema,
 } from '../validators/contactValidator.js';
 import {
   validate as validateSegment,
@@ -68,6 +72,18 @@ router.get(
   contactController.exportContacts
 );
 
+/**
+ * GET /api/v1/contacts/export/columns
+ * Get the columns contacts can be exported with, including custom fields
+ * Requires: contacts:export permission
+ */
+router.get(
+  '/export/columns',
+  authenticate,
+  authorize('contacts:export'),
+  contactController.getExportColumns
+);
+
 /**
  * GET /api/v1/contacts/tags
  * Get all tags
@@ -94,6 +110,32 @@ router.post(
   contactController.bulkAction
 );
 
+/**
+ * GET /api/v1/contacts/duplicates
+ * Find contacts that are likely the same person
+ * Requires: contacts:read permission
+ */
+router.get(
+  '/duplicates',
+  authenticate,
+  authorize('contacts:read'),
+  validate(findDuplicatesSchema, 'query'),
+  contactController.findDuplicates
+);
+
+/**
+ * POST /api/v1/contacts/merge
+ * Merge duplicate contacts into a primary contact
+ * Requires: contacts:merge permission
+ */
+router.post(
+  '/merge',
+  authenticate,
+  authorize('contacts:merge'),
+  validate(mergeContactsSchema),
+  contactController.mergeContacts
+);
+
 /**
  * POST /api/v1/contacts/import
  * Import contacts from CSV/Excel
@@ -108,6 +150,46 @@ router.post(
   contactController.importContacts
 );
 
+/**
+ * POST /api/v1/contacts/import/preview
+ * Upload a file to import and preview its columns
+ * Requires: contacts:import permission
+ */
+router.post(
+  '/import/preview',
+  authenticate,
+  authorize('contacts:import'),
+  uploadSingle('file'),
+  validate(previewImportSchema),
+  contactController.previewImport
+);
+
+/**
+ * POST /api/v1/contacts/import/:importId/dry-run
+ * Count what an uploaded import would import, update, merge, skip and fail
+ * Requires: contacts:import permission
+ */
+router.post(
+  '/import/:importId/dry-run',
+  authenticate,
+  authorize('contacts:import'),
+  validate(runImportSchema),
+  contactController.dryRunImport
+);
+
+/**
+ * POST /api/v1/contacts/import/:importId/start
+ * Start an uploaded import with a column mapping
+ * Requires: contacts:import permission
+ */
+router.post(
+  '/import/:importId/start',
+  authenticate,
+  authorize('contacts:import'),
+  validate(runImportSchema),
+  contactController.startImport
+);
+
 /**
  * GET /api/v1/contacts/import/:importId
  * Get import status
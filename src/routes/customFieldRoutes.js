@@ -0,0 +1,63 @@
+/**
+ * Custom Field Routes
+ *
+ * Routes for the team's contact custom field definitions with RBAC
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { validateBody, validateParams } from '../middleware/validation.js';
+import * as customFieldController from '../controllers/customFieldController.js';
+import * as customFieldValidator from '../validators/customFieldValidator.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/custom-fields
+ * List the team's custom field definitions
+ * Requires: contacts:read permission
+ */
+router.get('/', authenticate, authorize('contacts:read'), customFieldController.getCustomFields);
+
+/**
+ * POST /api/v1/custom-fields
+ * Define a custom field
+ * Requires: settings:update permission
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('settings:update'),
+  validateBody(customFieldValidator.createCustomFieldSchema),
+  customFieldController.createCustomField
+);
+
+/**
+ * PUT /api/v1/custom-fields/:id
+ * Update a custom field's label, required flag, default, options or position
+ * Requires: settings:update permission
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('settings:update'),
+  validateParams(customFieldValidator.customFieldIdSchema),
+  validateBody(customFieldValidator.updateCustomFieldSchema),
+  customFieldController.updateCustomField
+);
+
+/**
+ * DELETE /api/v1/custom-fields/:id
+ * Delete a custom field definition; contacts keep their values
+ * Requires: settings:update permission
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('settings:update'),
+  validateParams(customFieldValidator.customFieldIdSchema),
+  customFieldController.deleteCustomField
+);
+
+export default router;
@@ -0,0 +1,62 @@
+/**
+ * Engagement Routes
+ *
+ * Routes for engagement scoring settings and score history with RBAC
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { validateBody, validateQuery } from '../middleware/validation.js';
+import * as engagementController from '../controllers/engagementController.js';
+import * as engagementValidator from '../validators/engagementValidator.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/engagement/settings
+ * Get the weights and decay engagement scores are calculated with
+ * Requires: settings:read permission
+ */
+router.get('/settings', authenticate, authorize('settings:read'), engagementController.getSettings);
+
+/**
+ * PUT /api/v1/engagement/settings
+ * Update the weights and decay, and recalculate the team's scores
+ * Requires: settings:update permission
+ */
+router.put(
+  '/settings',
+  authenticate,
+  authorize('settings:update'),
+  validateBody(engagementValidator.updateEngagementSchema),
+  engagementController.updateSettings
+);
+
+/**
+ * GET /api/v1/engagement/trend
+ * Daily average engagement score of the team's contacts
+ * Requires: analytics:read permission
+ */
+router.get(
+  '/trend',
+  authenticate,
+  authorize('analytics:read'),
+  validateQuery(engagementValidator.historyQuerySchema),
+  engagementController.getTrend
+);
+
+/**
+ * GET /api/v1/engagement/contacts/:contactId/history
+ * A contact's daily engagement score and what earned it
+ * Requires: contacts:read permission
+ */
+router.get(
+  '/contacts/:contactId/history',
+  authenticate,
+  authorize('contacts:read'),
+  validateQuery(engagementValidator.historyQuerySchema),
+  engagementController.getContactHistory
+);
+
+export default router;
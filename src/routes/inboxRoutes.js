@@ -0,0 +1,373 @@
+/**
+ * Inbox Routes
+ *
+ * Routes for the shared team inbox with RBAC
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { validateBody, validateQuery, validateParams } from '../middleware/validation.js';
+import * as inboxController from '../controllers/inboxController.js';
+import * as inboxValidator from '../validators/inboxValidator.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/inbox/conversations
+ * List inbox conversations (filters: view, status, starred, accountId, tag, search)
+ * Requires: conversations:read permission
+ */
+router.get(
+  '/conversations',
+  authenticate,
+  authorize('conversations:read'),
+  validateQuery(inboxValidator.listConversationsSchema),
+  inboxController.getConversations
+);
+
+/**
+ * GET /api/v1/inbox/conversations/:id
+ * Get a conversation with its contact, account and assigned agent
+ * Requires: conversations:read permission
+ */
+router.get(
+  '/conversations/:id',
+  authenticate,
+  authorize('conversations:read'),
+  validateParams(inboxValidator.conversationIdSchema),
+  inboxController.getConversationById
+);
+
+/**
+ * GET /api/v1/inbox/conversations/:id/messages
+ * Get the conversation thread, newest first
+ * Requires: conversations:read permission
+ */
+router.get(
+  '/conversations/:id/messages',
+  authenticate,
+  authorize('conversations:read'),
+  validateParams(inboxValidator.conversationIdSchema),
+  validateQuery(inboxValidator.listMessagesSchema),
+  inboxController.getConversationMessages
+);
+
+/**
+ * GET /api/v1/inbox/conversations/:id/sla
+ * Get the conversation's SLA timers (current and past cycles)
+ * Requires: conversations:read permission
+ */
+router.get(
+  '/conversations/:id/sla',
+  authenticate,
+  authorize('conversations:read'),
+  validateParams(inboxValidator.conversationIdSchema),
+  inboxController.getConversationSla
+);
+
+/**
+ * GET /api/v1/inbox/conversations/:id/timeline
+ * Get messages and internal notes in one timeline, newest first
+ * Requires: conversations:read permission
+ */
+router.get(
+  '/conversations/:id/timeline',
+  authenticate,
+  authorize('conversations:read'),
+  validateParams(inboxValidator.conversationIdSchema),
+  validateQuery(inboxValidator.timelineSchema),
+  inboxController.getConversationTimeline
+);
+
+/**
+ * GET /api/v1/inbox/conversations/:id/notes
+ * List the conversation's internal notes, newest first
+ * Requires: conversations:read permission
+ */
+router.get(
+  '/conversations/:id/notes',
+  authenticate,
+  authorize('conversations:read'),
+  validateParams(inboxValidator.conversationIdSchema),
+  validateQuery(inboxValidator.listMessagesSchema),
+  inboxController.getNotes
+);
+
+/**
+ * POST /api/v1/inbox/conversations/:id/notes
+ * Add an internal note (never sent to the contact) and notify @mentioned members
+ * Requires: conversations:update permission
+ */
+router.post(
+  '/conversations/:id/notes',
+  authenticate,
+  authorize('conversations:update'),
+  validateParams(inboxValidator.conversationIdSchema),
+  validateBody(inboxValidator.createNoteSchema),
+  inboxController.createNote
+);
+
+/**
+ * PUT /api/v1/inbox/notes/:id
+ * Edit your own internal note
+ * Requires: conversations:update permission
+ */
+router.put(
+  '/notes/:id',
+  authenticate,
+  authorize('conversations:update'),
+  validateParams(inboxValidator.noteIdSchema),
+  validateBody(inboxValidator.updateNoteSchema),
+  inboxController.updateNote
+);
+
+/**
+ * DELETE /api/v1/inbox/notes/:id
+ * Delete your own internal note
+ * Requires: conversations:update permission
+ */
+router.delete(
+  '/notes/:id',
+  authenticate,
+  authorize('conversations:update'),
+  validateParams(inboxValidator.noteIdSchema),
+  inboxController.deleteNote
+);
+
+/**
+ * POST /api/v1/inbox/conversations/:id/reply
+ * Reply from the conversation's WhatsApp account
+ * Requires: messages:send permission
+ */
+router.post(
+  '/conversations/:id/reply',
+  authenticate,
+  authorize('messages:send'),
+  validateParams(inboxValidator.conversationIdSchema),
+  validateBody(inboxValidator.replySchema),
+  inboxController.replyToConversation
+);
+
+/**
+ * POST /api/v1/inbox/conversations/:id/read
+ * Reset the conversation's unread count
+ * Requires: conversations:update permission
+ */
+router.post(
+  '/conversations/:id/read',
+  authenticate,
+  authorize('conversations:update'),
+  validateParams(inboxValidator.conversationIdSchema),
+  inboxController.markAsRead
+);
+
+/**
+ * POST /api/v1/inbox/conversations/:id/star
+ * Star or unstar a conversation
+ * Requires: conversations:update permission
+ */
+router.post(
+  '/conversations/:id/star',
+  authenticate,
+  authorize('conversations:update'),
+  validateParams(inboxValidator.conversationIdSchema),
+  validateBody(inboxValidator.starSchema),
+  inboxController.setStarred
+);
+
+/**
+ * POST /api/v1/inbox/conversations/:id/close
+ * Close a conversation
+ * Requires: conversations:update permission
+ */
+router.post(
+  '/conversations/:id/close',
+  authenticate,
+  authorize('conversations:update'),
+  validateParams(inboxValidator.conversationIdSchema),
+  inboxController.closeConversation
+);
+
+/**
+ * POST /api/v1/inbox/conversations/:id/reopen
+ * Reopen a closed or snoozed conversation
+ * Requires: conversations:update permission
+ */
+router.post(
+  '/conversations/:id/reopen',
+  authenticate,
+  authorize('conversations:update'),
+  validateParams(inboxValidator.conversationIdSchema),
+  inboxController.reopenConversation
+);
+
+/**
+ * POST /api/v1/inbox/conversations/:id/snooze
+ * Snooze a conversation until a given time
+ * Requires: conversations:update permission
+ */
+router.post(
+  '/conversations/:id/snooze',
+  authenticate,
+  authorize('conversations:update'),
+  validateParams(inboxValidator.conversationIdSchema),
+  validateBody(inboxValidator.snoozeSchema),
+  inboxController.snoozeConversation
+);
+
+/**
+ * POST /api/v1/inbox/conversations/:id/assign
+ * Assign a conversation to an agent (agentId null unassigns)
+ * Requires: conversations:assign permission
+ */
+router.post(
+  '/conversations/:id/assign',
+  authenticate,
+  authorize('conversations:assign'),
+  validateParams(inboxValidator.conversationIdSchema),
+  validateBody(inboxValidator.assignSchema),
+  inboxController.assignConversation
+);
+
+/**
+ * GET /api/v1/inbox/agents
+ * List agents with skills, availability and open conversation load
+ * Requires: conversations:read permission
+ */
+router.get('/agents', authenticate, authorize('conversations:read'), inboxController.getAgents);
+
+/**
+ * PUT /api/v1/inbox/agents/:userId
+ * Update an agent's routing skills, availability and working hours
+ * Requires: conversations:routing permission
+ */
+router.put(
+  '/agents/:userId',
+  authenticate,
+  authorize('conversations:routing'),
+  validateParams(inboxValidator.agentIdSchema),
+  validateBody(inboxValidator.agentRoutingSchema),
+  inboxController.updateAgentRouting
+);
+
+/**
+ * GET /api/v1/inbox/presence
+ * Live presence and working hours of team members
+ * Requires: presence:read permission
+ */
+router.get('/presence', authenticate, authorize('presence:read'), inboxController.getTeamPresence);
+
+/**
+ * PUT /api/v1/inbox/presence
+ * Set your own presence (online, away, offline)
+ * Requires: conversations:update permission
+ */
+router.put(
+  '/presence',
+  authenticate,
+  authorize('conversations:update'),
+  validateBody(inboxValidator.presenceSchema),
+  inboxController.setPresence
+);
+
+/**
+ * GET /api/v1/inbox/assignment-rules
+ * List assignment rules by priority
+ * Requires: conversations:routing permission
+ */
+router.get(
+  '/assignment-rules',
+  authenticate,
+  authorize('conversations:routing'),
+  inboxController.getAssignmentRules
+);
+
+/**
+ * POST /api/v1/inbox/assignment-rules
+ * Create an assignment rule
+ * Requires: conversations:routing permission
+ */
+router.post(
+  '/assignment-rules',
+  authenticate,
+  authorize('conversations:routing'),
+  validateBody(inboxValidator.createRuleSchema),
+  inboxController.createAssignmentRule
+);
+
+/**
+ * PUT /api/v1/inbox/assignment-rules/:id
+ * Update an assignment rule
+ * Requires: conversations:routing permission
+ */
+router.put(
+  '/assignment-rules/:id',
+  authenticate,
+  authorize('conversations:routing'),
+  validateParams(inboxValidator.ruleIdSchema),
+  validateBody(inboxValidator.updateRuleSchema),
+  inboxController.updateAssignmentRule
+);
+
+/**
+ * DELETE /api/v1/inbox/assignment-rules/:id
+ * Delete an assignment rule
+ * Requires: conversations:routing permission
+ */
+router.delete(
+  '/assignment-rules/:id',
+  authenticate,
+  authorize('conversations:routing'),
+  validateParams(inboxValidator.ruleIdSchema),
+  inboxController.deleteAssignmentRule
+);
+
+/**
+ * GET /api/v1/inbox/sla-policies
+ * List SLA policies by priority
+ * Requires: sla:manage permission
+ */
+router.get('/sla-policies', authenticate, authorize('sla:manage'), inboxController.getSlaPolicies);
+
+/**
+ * POST /api/v1/inbox/sla-policies
+ * Create an SLA policy
+ * Requires: sla:manage permission
+ */
+router.post(
+  '/sla-policies',
+  authenticate,
+  authorize('sla:manage'),
+  validateBody(inboxValidator.createSlaPolicySchema),
+  inboxController.createSlaPolicy
+);
+
+/**
+ * PUT /api/v1/inbox/sla-policies/:id
+ * Update an SLA policy
+ * Requires: sla:manage permission
+ */
+router.put(
+  '/sla-policies/:id',
+  authenticate,
+  authorize('sla:manage'),
+  validateParams(inboxValidator.slaPolicyIdSchema),
+  validateBody(inboxValidator.updateSlaPolicySchema),
+  inboxController.updateSlaPolicy
+);
+
+/**
+ * DELETE /api/v1/inbox/sla-policies/:id
+ * Delete an SLA policy
+ * Requires: sla:manage permission
+ */
+router.delete(
+  '/sla-policies/:id',
+  authenticate,
+  authorize('sla:manage'),
+  validateParams(inboxValidator.slaPolicyIdSchema),
+  inboxController.deleteSlaPolicy
+);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import * as linkController from '../controllers/linkController.js';
+import { globalLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Tracked links in campaign messages (no auth - opened by message recipients)
+ */
+
+/**
+ * @route   GET /l/:code
+ * @desc    Record a click and redirect to the original URL
+ * @access  Public
+ */
+router.get('/:code', globalLimiter, linkController.followLink);
+
+export default router;
@@ -0,0 +1,41 @@
+/**
+ * Marketing Limits Routes
+ *
+ * Routes for the team's quiet hours and per-contact frequency caps with RBAC
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { validateBody } from '../middleware/validation.js';
+import * as marketingLimitsController from '../controllers/marketingLimitsController.js';
+import * as marketingLimitsValidator from '../validators/marketingLimitsValidator.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/marketing-limits/settings
+ * Get quiet hours and frequency caps for marketing messages
+ * Requires: settings:read permission
+ */
+router.get(
+  '/settings',
+  authenticate,
+  authorize('settings:read'),
+  marketingLimitsController.getSettings
+);
+
+/**
+ * PUT /api/v1/marketing-limits/settings
+ * Update quiet hours and frequency caps
+ * Requires: settings:update permission
+ */
+router.put(
+  '/settings',
+  authenticate,
+  authorize('settings:update'),
+  validateBody(marketingLimitsValidator.updateMarketingLimitsSchema),
+  marketingLimitsController.updateSettings
+);
+
+export default router;
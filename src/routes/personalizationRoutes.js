@@ -0,0 +1,54 @@
+/**
+ * Personalization Routes
+ *
+ * Routes for personalization defaults and message content checks with RBAC
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { validateBody } from '../middleware/validation.js';
+import * as personalizationController from '../controllers/personalizationController.js';
+import * as personalizationValidator from '../validators/personalizationValidator.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/personalization/settings
+ * Get the default locale and time zone messages are formatted in
+ * Requires: settings:read permission
+ */
+router.get(
+  '/settings',
+  authenticate,
+  authorize('settings:read'),
+  personalizationController.getSettings
+);
+
+/**
+ * PUT /api/v1/personalization/settings
+ * Update the default locale and time zone
+ * Requires: settings:update permission
+ */
+router.put(
+  '/settings',
+  authenticate,
+  authorize('settings:update'),
+  validateBody(personalizationValidator.updatePersonalizationSchema),
+  personalizationController.updateSettings
+);
+
+/**
+ * POST /api/v1/personalization/validate
+ * Check message content for syntax errors and unknown variables before sending
+ * Requires: contacts:read permission
+ */
+router.post(
+  '/validate',
+  authenticate,
+  authorize('contacts:read'),
+  validateBody(personalizationValidator.validateContentSchema),
+  personalizationController.validateContent
+);
+
+export default router;
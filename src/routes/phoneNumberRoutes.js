@@ -0,0 +1,67 @@
+/**
+ * Phone Number Routes
+ *
+ * Routes for phone number settings and normalizing contact numbers with RBAC
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { validateBody, validateQuery } from '../middleware/validation.js';
+import * as phoneNumberController from '../controllers/phoneNumberController.js';
+import * as phoneNumberValidator from '../validators/phoneNumberValidator.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/phone-numbers/settings
+ * Get the default country of numbers without a country code
+ * Requires: settings:read permission
+ */
+router.get(
+  '/settings',
+  authenticate,
+  authorize('settings:read'),
+  phoneNumberController.getSettings
+);
+
+/**
+ * PUT /api/v1/phone-numbers/settings
+ * Update the default country of numbers without a country code
+ * Requires: settings:update permission
+ */
+router.put(
+  '/settings',
+  authenticate,
+  authorize('settings:update'),
+  validateBody(phoneNumberValidator.updatePhoneSettingsSchema),
+  phoneNumberController.updateSettings
+);
+
+/**
+ * POST /api/v1/phone-numbers/normalize
+ * Normalize the phone numbers of the team's contacts to E.164
+ * Requires: contacts:update permission
+ */
+router.post(
+  '/normalize',
+  authenticate,
+  authorize('contacts:update'),
+  validateBody(phoneNumberValidator.normalizePhonesSchema),
+  phoneNumberController.normalizeContacts
+);
+
+/**
+ * GET /api/v1/phone-numbers/report
+ * Contacts whose phone numbers cannot be normalized, and why
+ * Requires: contacts:read permission
+ */
+router.get(
+  '/report',
+  authenticate,
+  authorize('contacts:read'),
+  validateQuery(phoneNumberValidator.phoneReportQuerySchema),
+  phoneNumberController.getReport
+);
+
+export default router;
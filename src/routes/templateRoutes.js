@@ -0,0 +1,109 @@
+/**
+ * Template Routes
+ *
+ * Routes for WhatsApp message template management with RBAC
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { authorize } from '../middleware/rbac.js';
+import { validateBody, validateQuery, validateParams } from '../middleware/validation.js';
+import * as templateController from '../controllers/templateController.js';
+import * as templateValidator from '../validators/templateValidator.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/templates
+ * Create a new template (saved as draft)
+ * Requires: templates:create permission
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize('templates:create'),
+  validateBody(templateValidator.createTemplateSchema),
+  templateController.createTemplate
+);
+
+/**
+ * GET /api/v1/templates
+ * List templates
+ * Requires: templates:read permission
+ */
+router.get(
+  '/',
+  authenticate,
+  authorize('templates:read'),
+  validateQuery(templateValidator.listTemplatesSchema),
+  templateController.getTemplates
+);
+
+/**
+ * GET /api/v1/templates/:id
+ * Get template details and expected placeholders
+ * Requires: templates:read permission
+ */
+router.get(
+  '/:id',
+  authenticate,
+  authorize('templates:read'),
+  validateParams(templateValidator.templateIdSchema),
+  templateController.getTemplateById
+);
+
+/**
+ * PUT /api/v1/templates/:id
+ * Update template content (returns it to draft)
+ * Requires: templates:update permission
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('templates:update'),
+  validateParams(templateValidator.templateIdSchema),
+  validateBody(templateValidator.updateTemplateSchema),
+  templateController.updateTemplate
+);
+
+/**
+ * DELETE /api/v1/templates/:id
+ * Delete template
+ * Requires: templates:delete permission
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('templates:delete'),
+  validateParams(templateValidator.templateIdSchema),
+  templateController.deleteTemplate
+);
+
+/**
+ * POST /api/v1/templates/:id/submit
+ * Submit template for WhatsApp approval
+ * Requires: templates:submit permission
+ */
+router.post(
+  '/:id/submit',
+  authenticate,
+  authorize('templates:submit'),
+  validateParams(templateValidator.templateIdSchema),
+  validateBody(templateValidator.submitTemplateSchema),
+  templateController.submitTemplate
+);
+
+/**
+ * POST /api/v1/templates/:id/sync
+ * Poll WhatsApp for the template's approval status
+ * Requires: templates:read permission
+ */
+router.post(
+  '/:id/sync',
+  authenticate,
+  authorize('templates:read'),
+  validateParams(templateValidator.templateIdSchema),
+  templateController.syncTemplateStatus
+);
+
+export default router;
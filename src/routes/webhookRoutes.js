@@ -0,0 +1,24 @@
+import express from 'express';
+import * as webhookController from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+/**
+ * Provider webhooks (no auth - verified by verify token / HMAC signature)
+ */
+
+/**
+ * @route   GET /api/v1/webhooks/whatsapp/:accountId
+ * @desc    Cloud API verify-token handshake
+ * @access  Public
+ */
+router.get('/whatsapp/:accountId', webhookController.verifyWhatsAppWebhook);
+
+/**
+ * @route   POST /api/v1/webhooks/whatsapp/:accountId
+ * @desc    Cloud API message, status and template events
+ * @access  Public (X-Hub-Signature-256)
+ */
+router.post('/whatsapp/:accountId', webhookController.receiveWhatsAppWebhook);
+
+export default router;
@@ -143,6 +143,9 @@ async function aggregateMetrics(teamId, whatsappAccountId, startDate, endDate) {
   // Conversation metrics
   const conversationMetrics = await aggregateConversationMetrics(whereClause);
 
+  // SLA compliance of conversation cycles started in the period
+  const slaMetrics = await aggregateSlaMetrics(whereClause);
+
   // Calculate rates
   const deliveryRate = calculateDeliveryRate(messageMetrics.delivered, messageMetrics.sent);
   const readRate = calculateReadRate(messageMetrics.read, messageMetrics.delivered);
@@ -189,8 +192,9 @@ async function aggregateMetrics(teamId, whatsappAccountId, startDate, endDate) {
       total: conversationMetrics.total,
       open: conversationMetrics.open,
       closed: conversationMetrics.closed,
-      avgResponseTime: conversationMetrics.avgResponseTime
+      avgResponseTime: slaMetrics.firstResponse.avgMinutes ?? 0
     },
+    sla: slaMetrics,
     generatedAt: new Date().toISOString()
   };
 }
@@ -374,14 +378,135 @@ async function aggregateConversationMetrics(whereClause) {
     prisma.conversations.count({ where: { ...whereClause, status: 'closed' } })
   ]);
 
-  // Calculate average response time (simplified - would need more complex query in production)
-  const avgResponseTime = 0; // TODO: Implement response time calculation
-
   return {
     total,
     open,
-    closed,
-    avgResponseTime
+    closed
+  };
+}
+
+/**
+ * Percentage of measured targets that were met (null when nothing was measured)
+ */
+function complianceRate(measured, breached) {
+  return measured > 0 ? Math.round(((measured - breached) / measured) * 10000) / 100 : null;
+}
+
+const minutesBetween = (from, to) => (new Date(to) - new Date(from)) / 60000;
+
+const average = (values) =>
+  values.length > 0
+    ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+    : null;
+
+/**
+ * Aggregate SLA compliance of conversation SLA cycles
+ * @param {Object} whereClause - conversation_slas filter (team_id, account_id, created_at)
+ * @returns {Promise<Object>} Compliance per target; breaches include targets missed while still running
+ */
+async function aggregateSlaMetrics(whereClause) {
+  const cycles = await prisma.conversation_slas.findMany({
+    where: whereClause,
+    select: {
+      policy_id: true,
+      status: true,
+      started_at: true,
+      first_response_due_at: true,
+      first_responded_at: true,
+      first_response_breached: true,
+      next_responses: true,
+      next_response_breaches: true,
+      resolution_due_at: true,
+      resolved_at: true,
+      resolution_breached: true,
+    },
+  });
+
+  const firstResponses = cycles.filter(
+    (c) => c.first_response_due_at && (c.first_responded_at || c.first_response_breached)
+  );
+  const firstResponseBreaches = firstResponses.filter((c) => c.first_response_breached).length;
+
+  const nextResponses = cycles.reduce((sum, c) => sum + c.next_responses, 0);
+  const nextResponseBreaches = cycles.reduce((sum, c) => sum + c.next_response_breaches, 0);
+
+  const resolutions = cycles.filter(
+    (c) => c.resolution_due_at && (c.resolved_at || c.resolution_breached)
+  );
+  const resolutionBreaches = resolutions.filter((c) => c.resolution_breached).length;
+
+  const breachedCycles = cycles.filter(
+    (c) => c.first_response_breached || c.next_response_breaches > 0 || c.resolution_breached
+  ).length;
+
+  return {
+    cycles: cycles.length,
+    active: cycles.filter((c) => c.status === 'active').length,
+    breachedCycles,
+    complianceRate: complianceRate(cycles.length, breachedCycles),
+    firstResponse: {
+      measured: firstResponses.length,
+      breached: firstResponseBreaches,
+      complianceRate: complianceRate(firstResponses.length, firstResponseBreaches),
+      avgMinutes: average(
+        cycles
+          .filter((c) => c.first_responded_at)
+          .map((c) => minutesBetween(c.started_at, c.first_responded_at))
+      ),
+    },
+    nextResponse: {
+      measured: nextResponses,
+      breached: nextResponseBreaches,
+      complianceRate: complianceRate(nextResponses, nextResponseBreaches),
+    },
+    resolution: {
+      measured: resolutions.length,
+      breached: resolutionBreaches,
+      complianceRate: complianceRate(resolutions.length, resolutionBreaches),
+      avgMinutes: average(
+        cycles.filter((c) => c.resolved_at).map((c) => minutesBetween(c.started_at, c.resolved_at))
+      ),
+    },
+  };
+}
+
+/**
+ * Get SLA compliance for a period, overall and per policy
+ * @param {string} teamId - Team ID
+ * @param {string|null} whatsappAccountId - WhatsApp Account ID
+ * @param {Date} startDate - Start date (cycles started from)
+ * @param {Date} endDate - End date
+ * @returns {Promise<Object>} { overall, policies: [{ policyId, name, ...metrics }] }
+ */
+async function getSlaMetrics(teamId, whatsappAccountId, startDate, endDate) {
+  const whereClause = {
+    team_id: teamId,
+    created_at: { gte: startDate, lte: endDate },
+    ...(whatsappAccountId && { account_id: whatsappAccountId }),
+  };
+
+  const policies = await prisma.sla_policies.findMany({
+    where: { team_id: teamId },
+    select: { id: true, name: true },
+    orderBy: [{ priority: 'desc' }, { created_at: 'asc' }],
+  });
+
+  const [overall, ...perPolicy] = await Promise.all([
+    aggregateSlaMetrics(whereClause),
+    ...policies.map((policy) => aggregateSlaMetrics({ ...whereClause, policy_id: policy.id })),
+  ]);
+
+  return {
+    period: {
+      start: startDate.toISOString(),
+      end: endDate.toISOString(),
+    },
+    overall,
+    policies: policies.map((policy, i) => ({
+      policyId: policy.id,
+      name: policy.name,
+      ...perPolicy[i],
+    })),
   };
 }
 
@@ -593,5 +718,6 @@ export default {
   getDashboardMetrics,
   invalidateCache,
   aggregateMetrics,
+  getSlaMetrics,
   getDateRange
 };
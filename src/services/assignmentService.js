@@ -0,0 +1,471 @@
+/**
+ * Assignment Service
+ *
+ * Routes inbox conversations to human agents using team assignment rules.
+ *
+ * Rules are evaluated by descending priority; the first rule whose conditions
+ * (account, contact tags) match and that has an eligible agent wins:
+ * - round_robin: rotate through the rule's agents
+ * - least_open:  agent with the fewest open conversations (ties rotate)
+ * - skill:       agents whose skills match a contact tag or the WhatsApp account,
+ *                then fewest open conversations
+ *
+ * Eligible agents are active, non-suspended team members that are available,
+ * online (see presenceService) and inside their working hours.
+ */
+
+import crypto from 'crypto';
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import conversationModel from '../models/conversation.js';
+import teamService from './teamService.js';
+import { isWithinWorkingHours } from './presenceService.js';
+import { emitConversationUpdated, emitSystemNotification } from '../sockets/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Map an assignment rule to camelCase
+ */
+function mapRule(dbRule) {
+  if (!dbRule) return null;
+  return {
+    id: dbRule.id,
+    teamId: dbRule.team_id,
+    name: dbRule.name,
+    strategy: dbRule.strategy,
+    accountId: dbRule.account_id,
+    contactTags: dbRule.contact_tags,
+    agentIds: dbRule.agent_ids,
+    priority: dbRule.priority,
+    isActive: dbRule.is_active,
+    lastAssignedUserId: dbRule.last_assigned_user_id,
+    createdAt: dbRule.created_at,
+    updatedAt: dbRule.updated_at,
+  };
+}
+
+/**
+ * Map rule fields from the API to database columns
+ */
+function toRuleData(data) {
+  const ruleData = {};
+  if (data.name !== undefined) ruleData.name = data.name;
+  if (data.strategy !== undefined) ruleData.strategy = data.strategy;
+  if (data.accountId !== undefined) ruleData.account_id = data.accountId;
+  if (data.contactTags !== undefined) ruleData.contact_tags = data.contactTags;
+  if (data.agentIds !== undefined) ruleData.agent_ids = data.agentIds;
+  if (data.priority !== undefined) ruleData.priority = data.priority;
+  if (data.isActive !== undefined) ruleData.is_active = data.isActive;
+  return ruleData;
+}
+
+/**
+ * Create an assignment rule
+ */
+async function createRule(teamId, data) {
+  const rule = await prisma.assignment_rules.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: teamId,
+      ...toRuleData(data),
+      updated_at: new Date(),
+    },
+  });
+
+  logger.info(`Assignment rule created: ${rule.id}`, { teamId, strategy: rule.strategy });
+  return mapRule(rule);
+}
+
+/**
+ * List the team's assignment rules in evaluation order
+ */
+async function getRules(teamId) {
+  const rules = await prisma.assignment_rules.findMany({
+    where: { team_id: teamId },
+    orderBy: [{ priority: 'desc' }, { created_at: 'asc' }],
+  });
+  return rules.map(mapRule);
+}
+
+/**
+ * Update an assignment rule
+ * @returns {Promise<Object|null>} Updated rule, or null if not found
+ */
+async function updateRule(teamId, ruleId, data) {
+  const existing = await prisma.assignment_rules.findFirst({
+    where: { id: ruleId, team_id: teamId },
+  });
+
+  if (!existing) {
+    return null;
+  }
+
+  const rule = await prisma.assignment_rules.update({
+    where: { id: ruleId },
+    data: { ...toRuleData(data), updated_at: new Date() },
+  });
+
+  return mapRule(rule);
+}
+
+/**
+ * Delete an assignment rule
+ * @returns {Promise<boolean>} Whether a rule was deleted
+ */
+async function deleteRule(teamId, ruleId) {
+  const { count } = await prisma.assignment_rules.deleteMany({
+    where: { id: ruleId, team_id: teamId },
+  });
+  return count > 0;
+}
+
+/**
+ * List team members with their routing settings and open conversation load
+ */
+async function getAgents(teamId) {
+  const [members, openCounts] = await Promise.all([
+    prisma.team_members.findMany({
+      where: { team_id: teamId, status: { in: ['Active', 'Suspended'] } },
+      include: {
+        users: {
+          select: {
+            email: true,
+            first_name: true,
+            last_name: true,
+            avatar_url: true,
+            timezone: true,
+          },
+        },
+      },
+      orderBy: { created_at: 'asc' },
+    }),
+    countOpenConversations(teamId),
+  ]);
+
+  return members.map((member) => ({
+    userId: member.user_id,
+    email: member.users.email,
+    firstName: member.users.first_name,
+    lastName: member.users.last_name,
+    avatarUrl: member.users.avatar_url,
+    role: member.role,
+    status: member.status,
+    skills: member.skills,
+    isAvailable: member.is_available,
+    presence: member.presence,
+    lastSeenAt: member.last_seen_at,
+    timezone: member.users.timezone,
+    workingHours: member.working_hours,
+    isWorkingHours: isWithinWorkingHours(member.working_hours, member.users.timezone),
+    openConversations: openCounts[member.user_id] || 0,
+  }));
+}
+
+/**
+ * Update an agent's skills, availability and working hours for routing
+ * @param {Object} data - { skills, isAvailable, workingHours } (workingHours null clears the schedule)
+ * @returns {Promise<Object|null>} Routing settings, or null if the user is not a team member
+ */
+async function updateAgentRouting(teamId, userId, { skills, isAvailable, workingHours }) {
+  const member = await prisma.team_members.findFirst({
+    where: { team_id: teamId, user_id: userId },
+  });
+
+  if (!member) {
+    return null;
+  }
+
+  const updated = await prisma.team_members.update({
+    where: { id: member.id },
+    data: {
+      ...(skills !== undefined && { skills }),
+      ...(isAvailable !== undefined && { is_available: isAvailable }),
+      ...(workingHours !== undefined && { working_hours: workingHours ?? Prisma.DbNull }),
+    },
+  });
+
+  return {
+    userId,
+    skills: updated.skills,
+    isAvailable: updated.is_available,
+    workingHours: updated.working_hours,
+  };
+}
+
+/**
+ * Open conversation counts per assigned agent
+ * @returns {Promise<Object>} { [userId]: count }
+ */
+async function countOpenConversations(teamId) {
+  const groups = await prisma.conversations.groupBy({
+    by: ['assigned_agent_id'],
+    where: { team_id: teamId, status: 'open', assigned_agent_id: { not: null } },
+    _count: { _all: true },
+  });
+
+  return Object.fromEntries(groups.map((g) => [g.assigned_agent_id, g._count._all]));
+}
+
+/**
+ * Team members that can currently receive conversations
+ */
+async function getEligibleAgents(teamId) {
+  const members = await prisma.team_members.findMany({
+    where: {
+      team_id: teamId,
+      status: 'Active',
+      suspended_at: null,
+      is_available: true,
+      presence: 'online',
+    },
+    select: {
+      user_id: true,
+      skills: true,
+      working_hours: true,
+      users: { select: { timezone: true } },
+    },
+  });
+
+  return members.filter((member) =>
+    isWithinWorkingHours(member.working_hours, member.users.timezone)
+  );
+}
+
+/**
+ * Whether a rule's conditions match the conversation
+ */
+function ruleMatches(rule, conversation, contactTags) {
+  if (rule.account_id && rule.account_id !== conversation.account_id) {
+    return false;
+  }
+
+  const requiredTags = rule.contact_tags || [];
+  if (requiredTags.length > 0 && !requiredTags.some((tag) => contactTags.includes(tag))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Candidates ordered for rotation: the agent after the rule's last assignee comes first
+ */
+function rotate(candidates, lastAssignedUserId) {
+  const sorted = [...candidates].sort((a, b) => (a.user_id < b.user_id ? -1 : 1));
+  const start = sorted.findIndex((c) => c.user_id > (lastAssignedUserId || ''));
+  return start <= 0 ? sorted : [...sorted.slice(start), ...sorted.slice(0, start)];
+}
+
+/**
+ * Choose an agent for a conversation under a rule
+ * @returns {Promise<string|null>} Agent user ID
+ */
+async function pickAgent(rule, agents, conversation, contactTags) {
+  const pool = (rule.agent_ids || []).length
+    ? agents.filter((agent) => rule.agent_ids.includes(agent.user_id))
+    : agents;
+
+  let candidates = pool;
+
+  if (rule.strategy === 'skill') {
+    const wanted = [...contactTags, conversation.account_id, conversation.whatsapp_accounts?.name]
+      .filter(Boolean)
+      .map((skill) => skill.toLowerCase());
+
+    candidates = pool.filter((agent) =>
+      (agent.skills || []).some((skill) => wanted.includes(String(skill).toLowerCase()))
+    );
+  }
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const ordered = rotate(candidates, rule.last_assigned_user_id);
+
+  if (rule.strategy === 'round_robin') {
+    return ordered[0].user_id;
+  }
+
+  // least_open and skill: lowest load, rotation order breaks ties
+  const openCounts = await countOpenConversations(conversation.team_id);
+  const [chosen] = ordered
+    .map((agent, index) => ({ agent, index, load: openCounts[agent.user_id] || 0 }))
+    .sort((a, b) => a.load - b.load || a.index - b.index);
+
+  return chosen.agent.user_id;
+}
+
+/**
+ * Log an assignment change and notify the team and the new agent
+ * @param {Object} conversation - Conversation row as it was before the change
+ */
+async function recordAssignment(conversation, agentId, { performedBy, rule = null, reason }) {
+  const teamId = conversation.team_id;
+  const actor = performedBy || (await getTeamOwnerId(teamId));
+
+  await teamService.logActivity(
+    teamId,
+    agentId || conversation.assigned_agent_id || actor,
+    actor,
+    agentId ? 'conversation.assigned' : 'conversation.unassigned',
+    'conversation',
+    conversation.id,
+    {
+      contact_id: conversation.contact_id,
+      previous_agent_id: conversation.assigned_agent_id,
+      reason,
+      automatic: !!rule,
+      ...(rule && { rule_id: rule.id, rule_name: rule.name, strategy: rule.strategy }),
+    }
+  );
+
+  const updated = conversationModel.mapToModel({
+    ...conversation,
+    assigned_agent_id: agentId,
+  });
+  emitConversationUpdated(teamId, updated, agentId ? 'assigned' : 'unassigned');
+
+  if (agentId && agentId !== performedBy) {
+    emitSystemNotification(agentId, {
+      type: 'conversation_assigned',
+      title: 'New conversation assigned to you',
+      message: conversation.last_message_preview || undefined,
+      conversationId: conversation.id,
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Manually assign (or unassign) a conversation
+ * @param {string|null} agentId - Agent user ID, or null to unassign
+ * @param {string} performedBy - User making the change
+ * @returns {Promise<Object|null>} Updated conversation, or null if not in the team
+ */
+async function assignConversation(teamId, conversationId, agentId, performedBy) {
+  const conversation = await prisma.conversations.findFirst({
+    where: { id: conversationId, team_id: teamId },
+  });
+
+  if (!conversation) {
+    return null;
+  }
+
+  if (agentId) {
+    const member = await prisma.team_members.findFirst({
+      where: { team_id: teamId, user_id: agentId, status: 'Active' },
+    });
+    if (!member && agentId !== (await getTeamOwnerId(teamId))) {
+      throw new Error('Agent is not an active team member');
+    }
+  }
+
+  await prisma.conversations.update({
+    where: { id: conversationId },
+    data: { assigned_agent_id: agentId, updated_at: new Date() },
+  });
+
+  return recordAssignment(conversation, agentId, { performedBy, reason: 'manual' });
+}
+
+/**
+ * Route an unassigned conversation with the team's assignment rules
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - { reason: 'incoming_message' | 'handoff', performedBy }
+ * @returns {Promise<string|null>} Assigned agent user ID, or null if no rule applied
+ */
+async function autoAssignConversation(conversationId, options = {}) {
+  const { reason = 'incoming_message', performedBy } = options;
+
+  try {
+    const conversation = await prisma.conversations.findUnique({
+      where: { id: conversationId },
+      include: {
+        whatsapp_accounts: { select: { name: true } },
+        contacts: { select: { contact_tags: { select: { tags: { select: { name: true } } } } } },
+      },
+    });
+
+    if (!conversation || conversation.assigned_agent_id) {
+      return null;
+    }
+
+    const rules = await prisma.assignment_rules.findMany({
+      where: { team_id: conversation.team_id, is_active: true },
+      orderBy: [{ priority: 'desc' }, { created_at: 'asc' }],
+    });
+
+    if (rules.length === 0) {
+      return null;
+    }
+
+    const contactTags = conversation.contacts.contact_tags.map((ct) => ct.tags.name);
+    const agents = await getEligibleAgents(conversation.team_id);
+
+    for (const rule of rules) {
+      if (!ruleMatches(rule, conversation, contactTags)) {
+        continue;
+      }
+
+      const agentId = await pickAgent(rule, agents, conversation, contactTags);
+      if (!agentId) {
+        continue;
+      }
+
+      // Claim the conversation only if nobody assigned it in the meantime
+      const { count } = await prisma.conversations.updateMany({
+        where: { id: conversationId, assigned_agent_id: null },
+        data: { assigned_agent_id: agentId, updated_at: new Date() },
+      });
+      if (count === 0) {
+        return null;
+      }
+
+      await prisma.assignment_rules.update({
+        where: { id: rule.id },
+        data: { last_assigned_user_id: agentId },
+      });
+
+      await recordAssignment(conversation, agentId, { performedBy, rule, reason });
+
+      logger.info(`Conversation ${conversationId} assigned to ${agentId}`, {
+        ruleId: rule.id,
+        strategy: rule.strategy,
+        reason,
+      });
+
+      return agentId;
+    }
+
+    logger.info(`No eligible agent for conversation ${conversationId}`, { reason });
+    return null;
+  } catch (error) {
+    // Routing must never break message processing or handoffs
+    logger.error('Error auto-assigning conversation', { error: error.message, conversationId });
+    return null;
+  }
+}
+
+/**
+ * Team owner, recorded as the actor of automatic assignments
+ */
+async function getTeamOwnerId(teamId) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { owner_id: true },
+  });
+  return team.owner_id;
+}
+
+export default {
+  createRule,
+  getRules,
+  updateRule,
+  deleteRule,
+  getAgents,
+  updateAgentRouting,
+  assignConversation,
+  autoAssignConversation,
+};
@@ -0,0 +1,385 @@
+/**
+ * Campaign Attribution Service
+ *
+ * Measures what campaigns earn. Links in campaign messages are replaced with
+ * short tracked links, one per recipient, that record a click before
+ * redirecting (GET /l/:code). E-commerce orders are attributed to the
+ * campaign messages their customer received within the attribution window:
+ * the first one (first touch) and the last one (last touch), so campaign
+ * revenue and ROI can be reported under either model.
+ */
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import config from '../config/index.js';
+import { getMessageRate } from './campaignPreviewService.js';
+import engagementScoreService from './engagementScoreService.js';
+import logger from '../utils/logger.js';
+
+export const ATTRIBUTION_MODELS = ['first_touch', 'last_touch'];
+
+// Orders in these statuses earned nothing
+const EXCLUDED_ORDER_STATUSES = ['Cancelled', 'Refunded', 'Failed'];
+
+const DEFAULT_SETTINGS = {
+  // Days after a campaign message during which an order is credited to it
+  windowDays: 7,
+  // Model reported by default in analytics and reports
+  model: 'last_touch',
+  // Only credit messages whose links were clicked, counting from the click
+  requireClick: false,
+};
+
+const LINK_PATTERN = /https?:\/\/[^\s<>"']+/gi;
+
+/**
+ * Get the team's attribution settings merged over the defaults
+ * @returns {Promise<Object>} Settings
+ */
+async function getSettings(teamId) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  return { ...DEFAULT_SETTINGS, ...(team?.settings?.attribution || {}) };
+}
+
+/**
+ * Update the team's attribution settings
+ * @param {Object} data - Partial settings
+ * @returns {Promise<Object|null>} Settings, or null if the team does not exist
+ */
+async function updateSettings(teamId, data) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  if (!team) {
+    return null;
+  }
+
+  const attribution = { ...(team.settings?.attribution || {}), ...data };
+
+  await prisma.teams.update({
+    where: { id: teamId },
+    data: { settings: { ...(team.settings || {}), attribution } },
+  });
+
+  return { ...DEFAULT_SETTINGS, ...attribution };
+}
+
+/**
+ * Base URL of tracked links
+ */
+function getLinkBase() {
+  return `${config.app.url.replace(/\/+$/, '')}/l/`;
+}
+
+/**
+ * Links in message content, in order of appearance and without repeats
+ * Trailing punctuation ends a sentence, not the link; links that are already
+ * tracked are left alone.
+ * @param {string} content - Message text
+ * @returns {Array<string>} URLs
+ */
+export function findLinks(content, linkBase = getLinkBase()) {
+  const links = (String(content || '').match(LINK_PATTERN) || [])
+    .map((link) => link.replace(/[.,;:!?)\]}]+$/, ''))
+    .filter((link) => !link.startsWith(linkBase));
+
+  return [...new Set(links)];
+}
+
+/**
+ * Replace the links in a campaign message with tracked links for its recipient
+ * Sending the same message again reuses its links, so a retry does not split
+ * its clicks.
+ * @param {string} content - Rendered message text
+ * @param {Object} target - { teamId, campaignId, campaignMessageId, contactId }
+ * @returns {Promise<string>} Content with tracked links
+ */
+async function trackLinks(content, { teamId, campaignId, campaignMessageId, contactId }) {
+  const linkBase = getLinkBase();
+  const urls = findLinks(content, linkBase);
+
+  if (urls.length === 0) {
+    return content;
+  }
+
+  const existing = await prisma.tracked_links.findMany({
+    where: { campaign_message_id: campaignMessageId, url: { in: urls } },
+    select: { code: true, url: true },
+  });
+  const codes = new Map(existing.map((link) => [link.url, link.code]));
+
+  for (const url of urls) {
+    if (codes.has(url)) {
+      continue;
+    }
+
+    const link = await prisma.tracked_links.create({
+      data: {
+        id: crypto.randomUUID(),
+        team_id: teamId,
+        campaign_id: campaignId,
+        campaign_message_id: campaignMessageId,
+        contact_id: contactId,
+        code: crypto.randomBytes(6).toString('base64url'),
+        url,
+      },
+    });
+    codes.set(url, link.code);
+  }
+
+  // Longest first, so a link is not replaced inside a longer one that starts with it
+  return [...codes.keys()]
+    .sort((a, b) => b.length - a.length)
+    .reduce((text, url) => text.split(url).join(`${linkBase}${codes.get(url)}`), content);
+}
+
+/**
+ * Record a click on a tracked link
+ * @param {string} code - Link code
+ * @param {Object} request - { ipAddress, userAgent }
+ * @returns {Promise<string|null>} URL to redirect to, or null for unknown codes
+ */
+async function recordClick(code, { ipAddress = null, userAgent = null } = {}) {
+  const link = await prisma.tracked_links.findUnique({ where: { code } });
+
+  if (!link) {
+    return null;
+  }
+
+  const now = new Date();
+
+  await prisma.tracked_links.update({
+    where: { id: link.id },
+    data: {
+      clicks: { increment: 1 },
+      first_clicked_at: link.first_clicked_at || now,
+      last_clicked_at: now,
+    },
+  });
+
+  if (link.campaign_message_id) {
+    await prisma.campaign_messages.updateMany({
+      where: { id: link.campaign_message_id, clicked_at: null },
+      data: { clicked_at: now },
+    });
+  }
+
+  await prisma.analytics_events.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: link.team_id,
+      event_type: 'campaign_link_clicked',
+      event_data: {
+        campaignId: link.campaign_id,
+        campaignMessageId: link.campaign_message_id,
+        linkId: link.id,
+        url: link.url,
+      },
+      contact_id: link.contact_id,
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      timestamp: now,
+    },
+  });
+
+  // Clicks count towards the contact's engagement score (async, don't wait; never rejects)
+  if (link.contact_id) {
+    engagementScoreService.recalculateContact(link.contact_id);
+  }
+
+  return link.url;
+}
+
+/**
+ * Credit an order to the campaign messages its customer received before it
+ * Messages sent within the window before the order count as touches (or, with
+ * requireClick, messages clicked within it). The earliest is the first touch,
+ * the latest the last touch. Attributing an order again updates its revenue.
+ * @param {Object} order - ecommerce_orders row
+ * @returns {Promise<Array<Object>>} order_attributions rows (none without a touch)
+ */
+async function attributeOrder(order) {
+  if (!order.contact_id) {
+    return [];
+  }
+
+  const settings = await getSettings(order.team_id);
+  const orderedAt = new Date(order.created_at);
+  const window = {
+    gte: new Date(orderedAt.getTime() - settings.windowDays * 24 * 60 * 60 * 1000),
+    lte: orderedAt,
+  };
+  const touchField = settings.requireClick ? 'clicked_at' : 'sent_at';
+
+  const touches = await prisma.campaign_messages.findMany({
+    where: {
+      contact_id: order.contact_id,
+      campaigns: { team_id: order.team_id },
+      [touchField]: window,
+    },
+    select: { id: true, campaign_id: true, sent_at: true, clicked_at: true },
+    orderBy: { [touchField]: 'asc' },
+  });
+
+  if (touches.length === 0) {
+    return [];
+  }
+
+  const byModel = {
+    first_touch: touches[0],
+    last_touch: touches[touches.length - 1],
+  };
+
+  const attributions = await Promise.all(
+    ATTRIBUTION_MODELS.map((model) => {
+      const touch = byModel[model];
+
+      return prisma.order_attributions.upsert({
+        where: { order_id_model: { order_id: order.id, model } },
+        create: {
+          id: crypto.randomUUID(),
+          team_id: order.team_id,
+          order_id: order.id,
+          campaign_id: touch.campaign_id,
+          campaign_message_id: touch.id,
+          contact_id: order.contact_id,
+          model,
+          revenue: order.total_amount,
+          currency: order.currency,
+          touched_at: touch[touchField],
+        },
+        update: {
+          revenue: order.total_amount,
+          currency: order.currency,
+        },
+      });
+    })
+  );
+
+  logger.info('Order attributed to campaigns', {
+    orderId: order.id,
+    firstTouch: byModel.first_touch.campaign_id,
+    lastTouch: byModel.last_touch.campaign_id,
+  });
+
+  return attributions;
+}
+
+/**
+ * Clicks, attributed orders and revenue, cost and ROI of campaigns
+ * Revenue is reported per currency; ROI compares revenue in the pricing
+ * currency with the cost of the messages sent, and is null without a cost.
+ * @param {Array<string>} campaignIds - Campaign IDs
+ * @param {Object} pricing - From campaignPreviewService.getPricing
+ * @param {Object} settings - From getSettings
+ * @returns {Promise<Map<string, Object>>} Campaign ID -> performance
+ */
+async function getCampaignPerformance(campaignIds, pricing, settings = DEFAULT_SETTINGS) {
+  const performance = new Map(
+    campaignIds.map((id) => [
+      id,
+      {
+        clicks: 0,
+        uniqueClicks: 0,
+        orders: 0,
+        revenue: 0,
+        revenueByCurrency: {},
+        cost: 0,
+        roi: null,
+        byModel: Object.fromEntries(
+          ATTRIBUTION_MODELS.map((model) => [model, { orders: 0, revenueByCurrency: {} }])
+        ),
+      },
+    ])
+  );
+
+  if (campaignIds.length === 0) {
+    return performance;
+  }
+
+  const [clicks, uniqueClicks, attributions, sentByCountry] = await Promise.all([
+    prisma.tracked_links.groupBy({
+      by: ['campaign_id'],
+      where: { campaign_id: { in: campaignIds } },
+      _sum: { clicks: true },
+    }),
+    prisma.campaign_messages.groupBy({
+      by: ['campaign_id'],
+      where: { campaign_id: { in: campaignIds }, clicked_at: { not: null } },
+      _count: true,
+    }),
+    prisma.order_attributions.groupBy({
+      by: ['campaign_id', 'model', 'currency'],
+      where: {
+        campaign_id: { in: campaignIds },
+        ecommerce_orders: { status: { notIn: EXCLUDED_ORDER_STATUSES } },
+      },
+      _sum: { revenue: true },
+      _count: true,
+    }),
+    prisma.$queryRaw`
+      SELECT cm.campaign_id, UPPER(c.country) AS country, COUNT(*)::int AS sent
+      FROM campaign_messages cm
+      JOIN contacts c ON c.id = cm.contact_id
+      WHERE cm.campaign_id = ANY(${campaignIds}) AND cm.sent_at IS NOT NULL
+      GROUP BY cm.campaign_id, UPPER(c.country)
+    `,
+  ]);
+
+  clicks.forEach((row) => {
+    performance.get(row.campaign_id).clicks = row._sum.clicks || 0;
+  });
+
+  uniqueClicks.forEach((row) => {
+    performance.get(row.campaign_id).uniqueClicks = row._count;
+  });
+
+  attributions.forEach((row) => {
+    const entry = performance.get(row.campaign_id).byModel[row.model];
+    const revenue = Number(String(row._sum.revenue || 0));
+
+    entry.orders += row._count;
+    entry.revenueByCurrency[row.currency] = round(
+      (entry.revenueByCurrency[row.currency] || 0) + revenue
+    );
+  });
+
+  sentByCountry.forEach((row) => {
+    const entry = performance.get(row.campaign_id);
+    entry.cost += row.sent * getMessageRate(pricing, row.country);
+  });
+
+  performance.forEach((entry) => {
+    const reported = entry.byModel[settings.model] || entry.byModel[DEFAULT_SETTINGS.model];
+
+    // Message prices have up to four decimals
+    entry.cost = round(entry.cost, 4);
+    entry.orders = reported.orders;
+    entry.revenueByCurrency = reported.revenueByCurrency;
+    entry.revenue = reported.revenueByCurrency[pricing.currency] || 0;
+    entry.roi = entry.cost > 0 ? round((entry.revenue - entry.cost) / entry.cost) : null;
+  });
+
+  return performance;
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+export default {
+  getSettings,
+  updateSettings,
+  findLinks,
+  trackLinks,
+  recordClick,
+  attributeOrder,
+  getCampaignPerformance,
+};
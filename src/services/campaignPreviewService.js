@@ -0,0 +1,313 @@
+/**
+ * Campaign Preview Service
+ *
+ * Dry runs of campaigns before they start: who would receive them and who is
+ * left out, how their messages render for real contacts, when the last one
+ * would go out and what they would cost. Nothing is queued, reserved or
+ * assigned while previewing.
+ */
+
+import prisma from '../config/database.js';
+import { analyzeAudience } from './campaignService.js';
+import marketingLimitsService from './marketingLimitsService.js';
+import { getPoolAccountIds, isAccountAvailable } from './senderPoolService.js';
+import { DELIVERY_HORIZON_HOURS } from './sendTimeService.js';
+import personalizationService, {
+  buildContext,
+  getContactRenderOptions,
+} from './personalizationService.js';
+import { getMessageContent, renderMessage } from '../utils/messageRendering.js';
+
+const DEFAULT_PRICING = {
+  currency: 'USD',
+  // Price of one marketing message, unless its recipient's country has its own
+  defaultRate: 0,
+  // ISO 3166-1 alpha-2 country -> price of one marketing message
+  countryRates: {},
+};
+
+/**
+ * Get the team's messaging prices merged over the defaults
+ * @returns {Promise<Object>} Pricing
+ */
+async function getPricing(teamId) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  return { ...DEFAULT_PRICING, ...(team?.settings?.messagingPricing || {}) };
+}
+
+/**
+ * Update the team's messaging prices
+ * countryRates is replaced as a whole.
+ * @param {Object} data - Partial pricing
+ * @returns {Promise<Object|null>} Pricing, or null if the team does not exist
+ */
+async function updatePricing(teamId, data) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  if (!team) {
+    return null;
+  }
+
+  const messagingPricing = { ...(team.settings?.messagingPricing || {}), ...data };
+
+  await prisma.teams.update({
+    where: { id: teamId },
+    data: { settings: { ...(team.settings || {}), messagingPricing } },
+  });
+
+  return { ...DEFAULT_PRICING, ...messagingPricing };
+}
+
+/**
+ * Price of one marketing message to a country
+ * @param {Object} pricing - From getPricing
+ * @param {string|null} country - ISO 3166-1 alpha-2 country
+ * @returns {number}
+ */
+export function getMessageRate(pricing, country) {
+  return pricing.countryRates?.[country?.toUpperCase()] ?? pricing.defaultRate;
+}
+
+/**
+ * Estimated cost of messaging a set of contacts
+ * @param {Array<Object>} contacts - Contact rows (country)
+ * @param {Object} pricing - From getPricing
+ * @returns {Object} { currency, total, byCountry: [{ country, recipients, rate, cost }] }
+ */
+export function estimateCost(contacts, pricing) {
+  const countries = new Map();
+
+  contacts.forEach((contact) => {
+    const country = contact.country?.toUpperCase() || null;
+    countries.set(country, (countries.get(country) || 0) + 1);
+  });
+
+  const round = (value) => Math.round(value * 10000) / 10000;
+  const byCountry = [...countries.entries()]
+    .map(([country, recipients]) => {
+      const rate = getMessageRate(pricing, country);
+      return { country, recipients, rate, cost: round(recipients * rate) };
+    })
+    .sort((a, b) => b.cost - a.cost || b.recipients - a.recipients);
+
+  return {
+    currency: pricing.currency,
+    total: round(byCountry.reduce((sum, entry) => sum + entry.cost, 0)),
+    byCountry,
+  };
+}
+
+/**
+ * Time the campaign worker takes to queue a number of messages at its throttle
+ * @param {number} count - Messages
+ * @param {Object} throttleConfig - { messagesPerMinute, batchSize, delayBetweenBatches }
+ * @returns {number} Milliseconds from the first message to the last
+ */
+export function estimateSendDuration(count, throttleConfig = {}) {
+  if (count <= 0) {
+    return 0;
+  }
+
+  const messagesPerMinute = throttleConfig.messagesPerMinute || 20;
+  const batchSize = throttleConfig.batchSize || 100;
+  const delayBetweenBatches = throttleConfig.delayBetweenBatches || 0;
+
+  return (
+    (count - 1) * Math.ceil(60000 / messagesPerMinute) +
+    (Math.ceil(count / batchSize) - 1) * delayBetweenBatches
+  );
+}
+
+/**
+ * Moment a campaign would start: its scheduled time or next run, or now
+ */
+function getStartAt(campaign, now) {
+  const plannedAt = campaign.next_run_at || campaign.scheduled_at;
+  return plannedAt && plannedAt > now ? plannedAt : now;
+}
+
+/**
+ * Sends left on the campaign's accounts on the day it starts
+ * Daily counters reset at midnight, so a campaign starting on a later day has
+ * the accounts' full limits.
+ * @returns {Promise<Object>} { accounts, remaining }
+ */
+async function getSendingCapacity(campaign, startAt, now) {
+  const accounts = await prisma.whatsapp_accounts.findMany({
+    where: { id: { in: getPoolAccountIds(campaign) } },
+    select: {
+      id: true,
+      status: true,
+      is_active: true,
+      health_score: true,
+      daily_message_limit: true,
+      messages_sent_today: true,
+    },
+  });
+
+  const nextReset = new Date(now);
+  nextReset.setHours(24, 0, 0, 0);
+  const startsToday = startAt < nextReset;
+
+  const available = accounts.filter((account) =>
+    startsToday ? isAccountAvailable(account) : account.is_active
+  );
+
+  return {
+    accounts: available.length,
+    remaining: available.reduce(
+      (sum, account) =>
+        sum +
+        Math.max(0, account.daily_message_limit - (startsToday ? account.messages_sent_today : 0)),
+      0
+    ),
+  };
+}
+
+/**
+ * Dry-run a campaign
+ * The audience is calculated as it is now, so the preview of a campaign whose
+ * contacts changed since it was created reflects the changes.
+ * @param {Object} options - { sampleSize }
+ * @returns {Promise<Object|null>} Preview, or null if the campaign does not exist
+ */
+async function previewCampaign(teamId, campaignId, { sampleSize = 3 } = {}, now = new Date()) {
+  const campaign = await prisma.campaigns.findFirst({
+    where: { id: campaignId, team_id: teamId },
+  });
+
+  if (!campaign) {
+    return null;
+  }
+
+  const startAt = getStartAt(campaign, now);
+  const { contacts: eligible, exclusions } = await analyzeAudience(
+    teamId,
+    campaign.audienceType,
+    campaign.audience_config || {}
+  );
+
+  // Frequency caps leave out contacts; quiet hours push sends back
+  const { suppressed, deferred } = await marketingLimitsService.previewSends(
+    teamId,
+    eligible,
+    startAt
+  );
+  const contacts = eligible.filter((contact) => !suppressed.has(contact.id));
+
+  // A/B test holdouts are picked at random; they only lower the count
+  const holdoutPercentage = campaign.is_ab_test
+    ? campaign.ab_test_config?.holdoutPercentage || 0
+    : 0;
+  const holdout = Math.round((contacts.length * holdoutPercentage) / 100);
+  const recipients = contacts.slice(0, contacts.length - holdout);
+
+  const [pricing, capacity, samples] = await Promise.all([
+    getPricing(teamId),
+    getSendingCapacity(campaign, startAt, now),
+    renderSamples(campaign, recipients.slice(0, sampleSize)),
+  ]);
+
+  const sendDuration = estimateSendDuration(recipients.length, campaign.throttle_config || {});
+  let completionAt = new Date(startAt.getTime() + sendDuration);
+
+  // Optimized sends spread over the horizon, or past it when the throttle cannot fit them
+  if (campaign.send_time_config?.enabled) {
+    completionAt = new Date(
+      startAt.getTime() + Math.max(DELIVERY_HORIZON_HOURS * 60 * 60 * 1000, sendDuration)
+    );
+  }
+
+  deferred.forEach((sendAt) => {
+    if (sendAt > completionAt) completionAt = sendAt;
+  });
+
+  const warnings = [];
+  if (capacity.accounts === 0) {
+    warnings.push('No sending account is connected and under its daily message limit');
+  } else if (recipients.length > capacity.remaining) {
+    warnings.push(
+      `${recipients.length - capacity.remaining} messages exceed the remaining daily message limit of the sending accounts`
+    );
+  }
+
+  return {
+    campaignId: campaign.id,
+    audience: {
+      recipients: recipients.length,
+      excluded: {
+        ...exclusions,
+        frequencyCapped: suppressed.size,
+        ...(campaign.is_ab_test ? { holdout } : {}),
+      },
+      deferredByQuietHours: recipients.filter((contact) => deferred.has(contact.id)).length,
+    },
+    samples,
+    estimate: {
+      startAt,
+      completionAt,
+      durationMinutes: Math.ceil((completionAt.getTime() - startAt.getTime()) / 60000),
+      messagesPerMinute: campaign.throttle_config?.messagesPerMinute || 20,
+      sendTimeOptimization: Boolean(campaign.send_time_config?.enabled),
+      sendingAccounts: capacity.accounts,
+      remainingDailyLimit: capacity.remaining,
+    },
+    cost: estimateCost(recipients, pricing),
+    warnings,
+  };
+}
+
+/**
+ * Render the campaign's message for a few recipients
+ * A/B tests cycle through their variants so every variant is shown.
+ * @param {Array<Object>} recipients - Contact rows (id)
+ * @returns {Promise<Array<Object>>}
+ */
+async function renderSamples(campaign, recipients) {
+  if (recipients.length === 0) {
+    return [];
+  }
+
+  const contacts = await prisma.contacts.findMany({
+    where: { id: { in: recipients.map((recipient) => recipient.id) } },
+  });
+  const contactsById = new Map(contacts.map((contact) => [contact.id, contact]));
+  const settings = await personalizationService.getSettings(campaign.team_id);
+  const variants = campaign.is_ab_test ? campaign.ab_test_config?.variants || [] : [];
+
+  return recipients.map((recipient, index) => {
+    const contact = contactsById.get(recipient.id);
+    const variantId = variants.length > 0 ? variants[index % variants.length].id : null;
+    const message = renderMessage(
+      getMessageContent(campaign, variantId),
+      buildContext({ contact, variables: campaign.template_variables }),
+      getContactRenderOptions(contact, settings)
+    );
+
+    return {
+      contactId: contact.id,
+      name: [contact.first_name, contact.last_name].filter(Boolean).join(' ') || null,
+      phone: contact.phone,
+      variantId,
+      type: message.type,
+      content: message.content,
+      templateId: message.templateId,
+      templateVariables: message.templateVariables,
+    };
+  });
+}
+
+export default {
+  getPricing,
+  updatePricing,
+  estimateCost,
+  estimateSendDuration,
+  previewCampaign,
+};
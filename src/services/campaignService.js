@@ -7,108 +7,158 @@
 import { PrismaClient } from '@prisma/client';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
+import templateService from './templateService.js';
+import consentService from './consentService.js';
+import senderPoolService from './senderPoolService.js';
+import { getNextOccurrence } from '../utils/recurrence.js';
+import { getStepDueAt, isEnrollmentOpen } from '../utils/campaignSequence.js';
+import { getPhoneDigits, isValidPhone } from '../utils/phone.js';
+import { parseTemplate } from '../utils/personalization.js';
+import { TemplateSyntaxError } from '../utils/errors.js';
+import { probabilityToBeBest, twoProportionZTest } from '../utils/abTestStatistics.js';
 
 const prisma = new PrismaClient();
 
-/**
- * Calculate recipients based on audience configuration
- */
-async function calculateRecipients(teamId, audienceType, audienceConfig) {
-  let contactIds = [];
+// Defaults of experiments created before holdouts and significance testing existed
+const DEFAULT_MIN_SAMPLE_SIZE = 100;
+const DEFAULT_CONFIDENCE_LEVEL = 0.95;
 
-  try {
-    switch (audienceType) {
-      case 'all':
-        // Get all active contacts for the team
-        const allContacts = await prisma.contacts.findMany({
-          where: {
-            team_id: teamId,
-            is_blocked: false,
-            deleted_at: null,
-          },
-          select: { id: true },
-        });
-        contactIds = allContacts.map((c) => c.id);
-        break;
+// Enrollments of a sequence checked for exit conditions at a time
+const SEQUENCE_BATCH_SIZE = 500;
 
-      case 'segment':
-        // Get contacts matching segment conditions
-        if (!audienceConfig.segmentId) {
-          throw new Error('Segment ID is required for segment audience type');
-        }
+// Fields of a campaign update that change its sequence
+const SEQUENCE_FIELDS = ['steps', 'exitConditions', 'exitTags', 'enrollNewContacts', 'enrollUntil'];
 
-        const segment = await prisma.segments.findUnique({
-          where: { id: audienceConfig.segmentId },
-        });
+/**
+ * Conversions and trials compared for each winner criterion
+ */
+const WINNER_CRITERIA = {
+  delivery_rate: { conversions: 'delivered', trials: 'sent' },
+  read_rate: { conversions: 'read', trials: 'delivered' },
+  reply_rate: { conversions: 'replied', trials: 'delivered' },
+  engagement_rate: { conversions: 'engaged', trials: 'delivered' },
+};
 
-        if (!segment) {
-          throw new Error('Segment not found');
-        }
+/**
+ * Build the contact query of an audience, before blocked and opted-out contacts are left out
+ */
+async function getAudienceWhere(teamId, audienceType, audienceConfig) {
+  switch (audienceType) {
+    case 'all':
+      // All contacts of the team
+      return { team_id: teamId, deleted_at: null };
+
+    case 'segment': {
+      // Contacts matching segment conditions
+      if (!audienceConfig.segmentId) {
+        throw new Error('Segment ID is required for segment audience type');
+      }
 
-        // Build dynamic query based on segment conditions
-        const conditions = segment.conditions || {};
-        const whereClause = buildSegmentWhereClause(teamId, conditions);
+      const segment = await prisma.segments.findUnique({
+        where: { id: audienceConfig.segmentId },
+      });
 
-        const segmentContacts = await prisma.contacts.findMany({
-          where: whereClause,
-          select: { id: true },
-        });
-        contactIds = segmentContacts.map((c) => c.id);
-        break;
+      if (!segment) {
+        throw new Error('Segment not found');
+      }
 
-      case 'custom':
-        // Use provided contact IDs
-        if (!audienceConfig.contactIds || audienceConfig.contactIds.length === 0) {
-          throw new Error('Contact IDs are required for custom audience type');
-        }
+      // Build dynamic query based on segment conditions
+      const whereClause = buildSegmentWhereClause(teamId, segment.conditions || {});
+      delete whereClause.is_blocked;
+      return whereClause;
+    }
 
-        // Verify contacts exist and belong to team
-        const customContacts = await prisma.contacts.findMany({
-          where: {
-            id: { in: audienceConfig.contactIds },
-            team_id: teamId,
-            is_blocked: false,
-            deleted_at: null,
-          },
-          select: { id: true },
-        });
-        contactIds = customContacts.map((c) => c.id);
-        break;
+    case 'custom':
+      // Provided contact IDs that belong to the team
+      if (!audienceConfig.contactIds || audienceConfig.contactIds.length === 0) {
+        throw new Error('Contact IDs are required for custom audience type');
+      }
 
-      case 'tags':
-        // Get contacts with specific tags
-        if (!audienceConfig.tags || audienceConfig.tags.length === 0) {
-          throw new Error('Tags are required for tags audience type');
-        }
+      return { id: { in: audienceConfig.contactIds }, team_id: teamId, deleted_at: null };
+
+    case 'tags':
+      // Contacts with specific tags
+      if (!audienceConfig.tags || audienceConfig.tags.length === 0) {
+        throw new Error('Tags are required for tags audience type');
+      }
 
-        const taggedContacts = await prisma.contacts.findMany({
-          where: {
-            team_id: teamId,
-            is_blocked: false,
-            deleted_at: null,
-            contact_tags: {
-              some: {
-                tags: {
-                  name: { in: audienceConfig.tags },
-                },
-              },
+      return {
+        team_id: teamId,
+        deleted_at: null,
+        contact_tags: {
+          some: {
+            tags: {
+              name: { in: audienceConfig.tags },
             },
           },
-          select: { id: true },
-        });
-        contactIds = taggedContacts.map((c) => c.id);
-        break;
+        },
+      };
 
-      default:
-        throw new Error(`Invalid audience type: ${audienceType}`);
-    }
+    default:
+      throw new Error(`Invalid audience type: ${audienceType}`);
+  }
+}
 
+/**
+ * Resolve an audience into recipients and the contacts left out of it
+ * Blocked and opted-out contacts, contacts without a usable phone number, and
+ * contacts whose number already belongs to an earlier recipient are left out.
+ * @returns {Promise<Object>} { contacts: recipients (id, phone, country, custom_fields),
+ *   exclusions: { blocked, optedOut, invalidPhone, duplicates } }
+ */
+export async function analyzeAudience(teamId, audienceType, audienceConfig) {
+  // Contacts who opted out of marketing are never campaign recipients
+  const [where, consentWhere] = await Promise.all([
+    getAudienceWhere(teamId, audienceType, audienceConfig),
+    consentService.getConsentWhere(teamId, 'marketing'),
+  ]);
+
+  const [candidates, consenting] = await Promise.all([
+    prisma.contacts.findMany({
+      where,
+      select: { id: true, phone: true, is_blocked: true, country: true, custom_fields: true },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.contacts.findMany({
+      where: { ...where, ...consentWhere },
+      select: { id: true },
+    }),
+  ]);
+
+  const consentingIds = new Set(consenting.map((contact) => contact.id));
+  const excludedIds = new Set(audienceConfig.excludeContactIds || []);
+  const exclusions = { blocked: 0, optedOut: 0, invalidPhone: 0, duplicates: 0 };
+  const phones = new Set();
+  const contacts = [];
+
+  for (const contact of candidates) {
     // Exclude specific contacts if provided
-    if (audienceConfig.excludeContactIds && audienceConfig.excludeContactIds.length > 0) {
-      contactIds = contactIds.filter((id) => !audienceConfig.excludeContactIds.includes(id));
+    if (excludedIds.has(contact.id)) continue;
+
+    if (contact.is_blocked) {
+      exclusions.blocked++;
+    } else if (!consentingIds.has(contact.id)) {
+      exclusions.optedOut++;
+    } else if (!isValidPhone(contact.phone)) {
+      exclusions.invalidPhone++;
+    } else if (phones.has(getPhoneDigits(contact.phone))) {
+      exclusions.duplicates++;
+    } else {
+      phones.add(getPhoneDigits(contact.phone));
+      contacts.push(contact);
     }
+  }
 
-    return contactIds;
+  return { contacts, exclusions };
+}
+
+/**
+ * Calculate recipients based on audience configuration
+ */
+async function calculateRecipients(teamId, audienceType, audienceConfig) {
+  try {
+    const { contacts } = await analyzeAudience(teamId, audienceType, audienceConfig);
+    return contacts.map((contact) => contact.id);
   } catch (error) {
     logger.error('Error calculating campaign recipients:', error);
     throw error;
@@ -173,6 +223,68 @@ function buildSegmentWhereClause(teamId, conditions) {
   return whereClause;
 }
 
+/**
+ * Whether a campaign is a recurring series (runs are separate campaigns)
+ */
+function isRecurringSeries(campaign) {
+  return campaign.schedule_type === 'recurring' && !campaign.parent_campaign_id;
+}
+
+/**
+ * Next run of a recurring series, or null once it has ended
+ */
+function getNextRunAt(recurringConfig, occurrenceCount, after) {
+  if (recurringConfig.maxOccurrences && occurrenceCount >= recurringConfig.maxOccurrences) {
+    return null;
+  }
+
+  return getNextOccurrence(recurringConfig, after);
+}
+
+/**
+ * Check that message content and template variable values are valid personalization templates
+ * Unknown variables only render empty; POST /personalization/validate reports them.
+ * @param {string|null} messageContent
+ * @param {Object|null} templateVariables
+ */
+function assertPersonalization(messageContent, templateVariables) {
+  const sources = [
+    ['message content', messageContent],
+    ...Object.entries(templateVariables || {}).map(([key, value]) => [
+      `template variable "${key}"`,
+      value,
+    ]),
+  ];
+
+  sources.forEach(([label, source]) => {
+    if (typeof source !== 'string') return;
+    try {
+      parseTemplate(source);
+    } catch (error) {
+      if (error instanceof TemplateSyntaxError) {
+        throw new Error(
+          `Invalid template syntax in ${label} (line ${error.line}): ${error.message}`
+        );
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Queue a campaign for the campaign worker
+ */
+async function queueCampaign(campaign) {
+  const { campaignQueue } = await import('../queues/index.js');
+  await campaignQueue.add(
+    { campaignId: campaign.id },
+    {
+      priority: campaign.priority === 'high' ? 1 : campaign.priority === 'low' ? 10 : 5,
+      attempts: 2,
+    }
+  );
+}
+
 /**
  * Create a new campaign
  */
@@ -191,6 +303,45 @@ export async function createCampaign(userId, teamId, campaignData) {
       throw new Error('WhatsApp account not found or inactive');
     }
 
+    // The campaign's own account is always part of its sender pool
+    const senderPool = campaignData.senderPool
+      ? {
+          accountIds: await senderPoolService.validatePool(teamId, [
+            campaignData.accountId,
+            ...campaignData.senderPool.accountIds,
+          ]),
+        }
+      : null;
+
+    assertPersonalization(campaignData.messageContent, campaignData.templateVariables);
+
+    // Verify template is approved and every placeholder has a value
+    if (campaignData.templateId) {
+      await templateService.assertCampaignTemplate(
+        teamId,
+        campaignData.accountId,
+        campaignData.templateId,
+        campaignData.templateVariables
+      );
+    }
+
+    // Recurring campaigns are a series; each run gets its own recipients when it starts
+    const isRecurring = campaignData.scheduleType === 'recurring';
+    let recurringConfig = null;
+    let nextRunAt = null;
+
+    if (isRecurring) {
+      recurringConfig = {
+        ...campaignData.recurringConfig,
+        startAt: new Date(campaignData.recurringConfig.startAt || Date.now()).toISOString(),
+      };
+      nextRunAt = getNextOccurrence(recurringConfig, new Date());
+
+      if (!nextRunAt) {
+        throw new Error('Recurring schedule has no upcoming runs');
+      }
+    }
+
     // Calculate recipients
     const recipientIds = await calculateRecipients(
       teamId,
@@ -198,7 +349,8 @@ export async function createCampaign(userId, teamId, campaignData) {
       campaignData.audienceConfig
     );
 
-    if (recipientIds.length === 0) {
+    // A series may start with an empty audience that grows before its runs
+    if (recipientIds.length === 0 && !isRecurring) {
       throw new Error('No recipients found for the specified audience');
     }
 
@@ -206,7 +358,7 @@ export async function createCampaign(userId, teamId, campaignData) {
     let status = 'draft';
     if (campaignData.scheduleType === 'now') {
       status = 'scheduled'; // Will be picked up by worker immediately
-    } else if (campaignData.scheduleType === 'scheduled') {
+    } else if (campaignData.scheduleType === 'scheduled' || isRecurring) {
       status = 'scheduled';
     }
 
@@ -226,16 +378,25 @@ export async function createCampaign(userId, teamId, campaignData) {
         audienceType: campaignData.audienceType,
         audience_config: campaignData.audienceConfig,
         schedule_type: campaignData.scheduleType,
-        scheduled_at: campaignData.scheduledAt || new Date(),
-        recurring_config: campaignData.recurringConfig || null,
+        scheduled_at: campaignData.scheduledAt || nextRunAt || new Date(),
+        recurring_config: recurringConfig,
+        next_run_at: nextRunAt,
         throttle_config: campaignData.throttleConfig,
+        send_time_config: campaignData.sendTimeOptimization || null,
+        sender_pool: senderPool,
+        track_links: campaignData.trackLinks ?? true,
         status,
-        total_recipients: recipientIds.length,
+        total_recipients: isRecurring ? 0 : recipientIds.length,
         created_at: new Date(),
         updated_at: new Date(),
       },
     });
 
+    if (isRecurring) {
+      logger.info(`Recurring campaign created: ${campaign.id}, first run at ${nextRunAt}`);
+      return campaign;
+    }
+
     // Create campaign recipients
     const campaignMessages = recipientIds.map((contactId) => ({
       id: uuidv4(),
@@ -269,9 +430,10 @@ export async function getCampaigns(teamId, filters) {
 
     const skip = (page - 1) * limit;
 
-    // Build where clause
+    // Build where clause (runs of recurring campaigns are listed under their series)
     const where = {
       team_id: teamId,
+      parent_campaign_id: null,
     };
 
     if (status) {
@@ -408,6 +570,7 @@ export async function getCampaignById(teamId, campaignId) {
     return {
       ...campaign,
       stats,
+      senders: campaign.sender_pool ? await senderPoolService.getPoolStats(campaign) : undefined,
     };
   } catch (error) {
     logger.error('Error fetching campaign:', error);
@@ -437,13 +600,138 @@ export async function updateCampaign(teamId, campaignId, updateData) {
       throw new Error(`Cannot update campaign with status: ${existingCampaign.status}`);
     }
 
+    assertPersonalization(updateData.messageContent, updateData.templateVariables);
+
+    // Re-check template placeholders when the variables change
+    if (updateData.templateVariables !== undefined && existingCampaign.template_id) {
+      await templateService.assertCampaignTemplate(
+        teamId,
+        existingCampaign.account_id,
+        existingCampaign.template_id,
+        updateData.templateVariables
+      );
+    }
+
+    if (updateData.recurringConfig !== undefined && !isRecurringSeries(existingCampaign)) {
+      throw new Error('Cannot update the recurrence of a campaign that is not recurring');
+    }
+
+    const isSequenceUpdate = SEQUENCE_FIELDS.some((field) => updateData[field] !== undefined);
+    if (isSequenceUpdate && !existingCampaign.is_sequence) {
+      throw new Error('Cannot update the steps of a campaign that is not a sequence');
+    }
+
+    if (updateData.enrollNewContacts && existingCampaign.audienceType === 'custom') {
+      throw new Error('A custom audience cannot enroll new contacts');
+    }
+
+    if (existingCampaign.is_sequence && updateData.messageContent !== undefined) {
+      throw new Error('Cannot update the message of a sequence; update its steps instead');
+    }
+
+    const data = { updated_at: new Date() };
+
+    if (isSequenceUpdate) {
+      const senderPool =
+        updateData.senderPool !== undefined ? updateData.senderPool : existingCampaign.sender_pool;
+      const config = existingCampaign.sequence_config;
+
+      if (updateData.steps) {
+        await assertSequenceSteps(
+          teamId,
+          existingCampaign.account_id,
+          updateData.steps,
+          senderPool
+        );
+      }
+
+      // Contacts keep their place; a changed delay applies from the step after the one they wait for
+      const steps = updateData.steps ? buildSequenceSteps(updateData.steps) : config.steps;
+      data.sequence_config = {
+        ...config,
+        steps,
+        ...(updateData.exitConditions !== undefined && {
+          exitConditions: updateData.exitConditions,
+        }),
+        ...(updateData.exitTags !== undefined && { exitTags: updateData.exitTags }),
+        ...(updateData.enrollNewContacts !== undefined && {
+          enrollNewContacts: updateData.enrollNewContacts,
+        }),
+        ...(updateData.enrollUntil !== undefined && {
+          enrollUntil: updateData.enrollUntil ? updateData.enrollUntil.toISOString() : null,
+        }),
+      };
+
+      if (updateData.steps) {
+        data.messageType = steps[0].messageType;
+        data.message_content = steps[0].messageContent;
+        data.template_id = steps[0].templateId;
+        data.template_variables = steps[0].templateVariables;
+      }
+    }
+    if (updateData.recurringConfig !== undefined) {
+      // Keep counting intervals from the original first run unless a new start is given
+      const startAt =
+        updateData.recurringConfig.startAt || existingCampaign.recurring_config?.startAt;
+      data.recurring_config = {
+        ...updateData.recurringConfig,
+        startAt: new Date(startAt || Date.now()).toISOString(),
+      };
+    }
+
+    // A series waiting for its next run needs the run time recalculated
+    const nextStatus = updateData.status ?? existingCampaign.status;
+    if (
+      isRecurringSeries(existingCampaign) &&
+      nextStatus === 'scheduled' &&
+      (data.recurring_config || existingCampaign.status !== 'scheduled')
+    ) {
+      data.next_run_at = getNextRunAt(
+        data.recurring_config || existingCampaign.recurring_config,
+        existingCampaign.occurrence_count,
+        new Date()
+      );
+
+      if (!data.next_run_at) {
+        throw new Error('Cannot update campaign: the recurring schedule has no upcoming runs');
+      }
+    }
+
+    if (updateData.name !== undefined) data.name = updateData.name;
+    if (updateData.description !== undefined) data.description = updateData.description;
+    if (updateData.messageContent !== undefined) data.message_content = updateData.messageContent;
+    if (updateData.templateVariables !== undefined)
+      data.template_variables = updateData.templateVariables;
+    if (updateData.scheduledAt !== undefined) data.scheduled_at = updateData.scheduledAt;
+    if (updateData.throttleConfig !== undefined) data.throttle_config = updateData.throttleConfig;
+    if (updateData.sendTimeOptimization !== undefined) {
+      data.send_time_config = updateData.sendTimeOptimization;
+    }
+    if (updateData.senderPool !== undefined) {
+      const sendsTemplates =
+        existingCampaign.messageType === 'template' ||
+        (data.sequence_config || existingCampaign.sequence_config)?.steps?.some(
+          (step) => step.messageType === 'template'
+        );
+      if (updateData.senderPool && sendsTemplates) {
+        throw new Error('Sender pools cannot be used with template messages');
+      }
+      data.sender_pool = updateData.senderPool
+        ? {
+            accountIds: await senderPoolService.validatePool(teamId, [
+              existingCampaign.account_id,
+              ...updateData.senderPool.accountIds,
+            ]),
+          }
+        : null;
+    }
+    if (updateData.trackLinks !== undefined) data.track_links = updateData.trackLinks;
+    if (updateData.status !== undefined) data.status = updateData.status;
+
     // Update campaign
     const campaign = await prisma.campaigns.update({
       where: { id: campaignId },
-      data: {
-        ...updateData,
-        updated_at: new Date(),
-      },
+      data,
     });
 
     logger.info(`Campaign updated: ${campaignId}`);
@@ -477,6 +765,19 @@ export async function deleteCampaign(teamId, campaignId) {
       throw new Error('Cannot delete a running campaign. Please pause it first.');
     }
 
+    // Deleting a series deletes its runs
+    if (isRecurringSeries(campaign)) {
+      const runningRuns = await prisma.campaigns.count({
+        where: { parent_campaign_id: campaignId, status: 'running' },
+      });
+
+      if (runningRuns > 0) {
+        throw new Error(
+          'Cannot delete a recurring campaign while a run is in progress. Please pause it first.'
+        );
+      }
+    }
+
     // Delete campaign and related messages (cascade)
     await prisma.campaigns.delete({
       where: { id: campaignId },
@@ -508,7 +809,7 @@ export async function getCampaignRecipients(teamId, campaignId, filters) {
       return null;
     }
 
-    const { page, limit, status, sortBy, sortOrder } = filters;
+    const { page, limit, status, step, sortBy, sortOrder } = filters;
     const skip = (page - 1) * limit;
 
     // Build where clause
@@ -520,6 +821,10 @@ export async function getCampaignRecipients(teamId, campaignId, filters) {
       where.status = status;
     }
 
+    if (step !== undefined) {
+      where.step = step;
+    }
+
     // Get total count
     const total = await prisma.campaign_messages.count({ where });
 
@@ -586,13 +891,29 @@ export async function startCampaign(teamId, campaignId) {
       throw new Error('Cannot start a completed campaign');
     }
 
-    // Verify WhatsApp account is connected
-    if (campaign.whatsapp_accounts.status !== 'connected') {
+    if (isRecurringSeries(campaign)) {
+      throw new Error('Cannot start a recurring campaign; its runs start on schedule');
+    }
+
+    // Verify WhatsApp account is connected; a sender pool needs any one of its accounts
+    if (campaign.sender_pool) {
+      const senders = await senderPoolService.getAvailableAccounts(campaign);
+      if (senders.length === 0) {
+        throw new Error(
+          'No WhatsApp account of the sender pool is connected and under its daily message limit.'
+        );
+      }
+    } else if (campaign.whatsapp_accounts.status !== 'connected') {
       throw new Error(
         `WhatsApp account is not connected. Please connect the account before starting the campaign.`
       );
     }
 
+    // Contacts enrolled in a sequence count its delays from its start
+    if (campaign.is_sequence) {
+      await advanceSequence(campaign);
+    }
+
     // Update campaign status to scheduled
     const updatedCampaign = await prisma.campaigns.update({
       where: { id: campaignId },
@@ -653,6 +974,14 @@ export async function pauseCampaign(teamId, campaignId) {
       },
     });
 
+    // Pausing a series also pauses its queued and running runs
+    if (isRecurringSeries(campaign)) {
+      await prisma.campaigns.updateMany({
+        where: { parent_campaign_id: campaignId, status: { in: ['scheduled', 'running'] } },
+        data: { status: 'paused', updated_at: new Date() },
+      });
+    }
+
     logger.info(`Campaign ${campaignId} paused`);
 
     return updatedCampaign;
@@ -687,13 +1016,17 @@ export async function resumeCampaign(teamId, campaignId) {
       throw new Error('Only paused campaigns can be resumed');
     }
 
-    // Verify WhatsApp account is still connected
-    if (campaign.whatsapp_accounts.status !== 'connected') {
+    // Verify WhatsApp account is still connected (for a sender pool, the worker fails over)
+    if (!campaign.sender_pool && campaign.whatsapp_accounts.status !== 'connected') {
       throw new Error(
         `WhatsApp account is not connected. Please connect the account before resuming the campaign.`
       );
     }
 
+    if (isRecurringSeries(campaign)) {
+      return resumeRecurringCampaign(campaign);
+    }
+
     // Update campaign status to scheduled
     const updatedCampaign = await prisma.campaigns.update({
       where: { id: campaignId },
@@ -704,14 +1037,7 @@ export async function resumeCampaign(teamId, campaignId) {
     });
 
     // Queue campaign for execution
-    const { campaignQueue } = await import('../queues/index.js');
-    await campaignQueue.add(
-      { campaignId },
-      {
-        priority: campaign.priority === 'high' ? 1 : campaign.priority === 'low' ? 10 : 5,
-        attempts: 2,
-      }
-    );
+    await queueCampaign(campaign);
 
     logger.info(`Campaign ${campaignId} resumed and queued for execution`);
 
@@ -754,10 +1080,17 @@ export async function duplicateCampaign(userId, teamId, campaignId) {
         template_variables: originalCampaign.template_variables,
         audienceType: originalCampaign.audienceType,
         audience_config: originalCampaign.audience_config,
-        schedule_type: 'manual',
+        schedule_type: isRecurringSeries(originalCampaign) ? 'recurring' : 'manual',
         scheduled_at: null,
-        recurring_config: originalCampaign.recurring_config,
+        recurring_config: isRecurringSeries(originalCampaign)
+          ? originalCampaign.recurring_config
+          : null,
         throttle_config: originalCampaign.throttle_config,
+        send_time_config: originalCampaign.send_time_config,
+        sender_pool: originalCampaign.sender_pool,
+        track_links: originalCampaign.track_links,
+        is_sequence: originalCampaign.is_sequence,
+        sequence_config: originalCampaign.sequence_config,
         status: 'draft',
         total_recipients: 0,
         created_at: new Date(),
@@ -765,26 +1098,32 @@ export async function duplicateCampaign(userId, teamId, campaignId) {
       },
     });
 
-    // Recalculate recipients for the duplicate
-    const recipientIds = await calculateRecipients(
-      teamId,
-      duplicateCampaign.audienceType,
-      duplicateCampaign.audience_config
-    );
+    // Recalculate recipients for the duplicate (a series gets them per run)
+    const recipientIds = isRecurringSeries(duplicateCampaign)
+      ? []
+      : await calculateRecipients(
+          teamId,
+          duplicateCampaign.audienceType,
+          duplicateCampaign.audience_config
+        );
 
-    // Create campaign recipients
+    // Create campaign recipients; a sequence enrolls them and sends its steps once it starts
     if (recipientIds.length > 0) {
-      const campaignMessages = recipientIds.map((contactId) => ({
-        id: uuidv4(),
-        campaign_id: duplicateCampaign.id,
-        contact_id: contactId,
-        status: 'pending',
-        created_at: new Date(),
-      }));
-
-      await prisma.campaign_messages.createMany({
-        data: campaignMessages,
-      });
+      if (duplicateCampaign.is_sequence) {
+        await createEnrollments(duplicateCampaign.id, recipientIds);
+      } else {
+        const campaignMessages = recipientIds.map((contactId) => ({
+          id: uuidv4(),
+          campaign_id: duplicateCampaign.id,
+          contact_id: contactId,
+          status: 'pending',
+          created_at: new Date(),
+        }));
+
+        await prisma.campaign_messages.createMany({
+          data: campaignMessages,
+        });
+      }
 
       // Update total recipients
       await prisma.campaigns.update({
@@ -803,192 +1142,633 @@ export async function duplicateCampaign(userId, teamId, campaignId) {
 }
 
 /**
- * Assign variant to recipients using weighted random distribution
+ * Resume a paused recurring series and its paused runs
+ * Runs that were due while the series was paused are skipped, not sent late.
  */
-function assignVariants(recipientIds, variants) {
-  const assignments = [];
+async function resumeRecurringCampaign(series) {
+  const nextRunAt = getNextRunAt(series.recurring_config, series.occurrence_count, new Date());
+
+  const updatedCampaign = await prisma.campaigns.update({
+    where: { id: series.id },
+    data: {
+      status: nextRunAt ? 'scheduled' : 'completed',
+      next_run_at: nextRunAt,
+      completed_at: nextRunAt ? null : new Date(),
+      updated_at: new Date(),
+    },
+  });
 
-  // Create cumulative distribution for weighted random selection
-  const cumulativeDistribution = [];
-  let cumulative = 0;
+  const pausedRuns = await prisma.campaigns.findMany({
+    where: { parent_campaign_id: series.id, status: 'paused' },
+  });
 
-  for (const variant of variants) {
-    cumulative += variant.percentage;
-    cumulativeDistribution.push({
-      variantId: variant.id,
-      threshold: cumulative,
+  for (const run of pausedRuns) {
+    await prisma.campaigns.update({
+      where: { id: run.id },
+      data: { status: 'scheduled', updated_at: new Date() },
     });
+    await queueCampaign(run);
   }
 
-  // Assign each recipient to a variant
-  for (const contactId of recipientIds) {
-    const random = Math.random() * 100;
-    const assignment = cumulativeDistribution.find((d) => random < d.threshold);
-
-    assignments.push({
-      contactId,
-      variantId: assignment.variantId,
-    });
-  }
+  logger.info(`Recurring campaign ${series.id} resumed`, {
+    nextRunAt,
+    resumedRuns: pausedRuns.length,
+  });
 
-  return assignments;
+  return updatedCampaign;
 }
 
 /**
- * Calculate metrics for a specific variant
+ * Start the next run of a recurring series
+ * The run is a campaign of its own (parent_campaign_id = series) with the
+ * audience as it is now, so its stats never mix with other runs.
+ * @returns {Promise<Object|null>} Run, or null when the occurrence was skipped
  */
-async function calculateVariantMetrics(campaignId, variantId) {
-  const stats = await prisma.campaign_messages.aggregate({
-    where: {
-      campaign_id: campaignId,
-      variant_id: variantId,
-    },
-    _count: {
-      id: true,
+async function createCampaignRun(series, now) {
+  // Never overlap runs: skip this occurrence while the previous run is still sending
+  const activeRuns = await prisma.campaigns.count({
+    where: { parent_campaign_id: series.id, status: { in: ['scheduled', 'running'] } },
+  });
+  const skip = activeRuns > 0;
+
+  const runNumber = series.occurrence_count + 1;
+  const occurrenceCount = skip ? series.occurrence_count : runNumber;
+  const nextRunAt = getNextRunAt(series.recurring_config, occurrenceCount, now);
+
+  // Claim the occurrence by moving the series on; another scheduler instance may have done so already
+  const claimed = await prisma.campaigns.updateMany({
+    where: { id: series.id, status: 'scheduled', next_run_at: series.next_run_at },
+    data: {
+      occurrence_count: occurrenceCount,
+      next_run_at: nextRunAt,
+      started_at: series.started_at || (skip ? null : now),
+      ...(nextRunAt ? {} : { status: 'completed', completed_at: now }),
+      updated_at: new Date(),
     },
   });
 
-  const statusCounts = await prisma.campaign_messages.groupBy({
-    by: ['status'],
-    where: {
-      campaign_id: campaignId,
-      variant_id: variantId,
-    },
-    _count: {
-      id: true,
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  if (skip) {
+    logger.warn(`Skipping run of recurring campaign ${series.id}: previous run still active`);
+    return null;
+  }
+
+  const recipientIds = await calculateRecipients(
+    series.team_id,
+    series.audienceType,
+    series.audience_config
+  );
+
+  const run = await prisma.campaigns.create({
+    data: {
+      id: uuidv4(),
+      team_id: series.team_id,
+      user_id: series.user_id,
+      account_id: series.account_id,
+      template_id: series.template_id,
+      name: `${series.name} #${runNumber}`,
+      description: series.description,
+      messageType: series.messageType,
+      message_content: series.message_content,
+      template_variables: series.template_variables,
+      audienceType: series.audienceType,
+      audience_config: series.audience_config,
+      schedule_type: 'now',
+      scheduled_at: now,
+      throttle_config: series.throttle_config,
+      send_time_config: series.send_time_config,
+      sender_pool: series.sender_pool,
+      track_links: series.track_links,
+      status: 'scheduled',
+      total_recipients: recipientIds.length,
+      parent_campaign_id: series.id,
+      run_number: runNumber,
+      created_at: new Date(),
+      updated_at: new Date(),
     },
   });
 
-  const total = stats._count.id;
-  const sent =
-    statusCounts.find((s) => ['sent', 'delivered', 'read'].includes(s.status))?._count.id || 0;
-  const delivered =
-    statusCounts.find((s) => ['delivered', 'read'].includes(s.status))?._count.id || 0;
-  const read = statusCounts.find((s) => s.status === 'read')?._count.id || 0;
+  if (recipientIds.length > 0) {
+    await prisma.campaign_messages.createMany({
+      data: recipientIds.map((contactId) => ({
+        id: uuidv4(),
+        campaign_id: run.id,
+        contact_id: contactId,
+        status: 'pending',
+        created_at: new Date(),
+      })),
+    });
+  }
+
+  // The worker completes runs without recipients straight away
+  await queueCampaign(run);
 
-  // Count replies
-  const replied = await prisma.campaign_messages.count({
-    where: {
-      campaign_id: campaignId,
-      variant_id: variantId,
-      replied_at: { not: null },
-    },
+  logger.info(`Recurring campaign ${series.id} run #${runNumber} started`, {
+    runId: run.id,
+    recipients: recipientIds.length,
+    nextRunAt,
   });
 
-  return {
-    total,
-    sent,
-    delivered,
-    read,
-    replied,
-    deliveryRate: sent > 0 ? ((delivered / sent) * 100).toFixed(2) : 0,
-    readRate: delivered > 0 ? ((read / delivered) * 100).toFixed(2) : 0,
-    replyRate: delivered > 0 ? ((replied / delivered) * 100).toFixed(2) : 0,
-    engagementRate: delivered > 0 ? (((read + replied) / delivered) * 100).toFixed(2) : 0,
-  };
+  return run;
 }
 
 /**
- * Select winning variant based on criteria
+ * Start the runs of recurring campaigns that are due (called by cron job)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { due, started, skipped, failed }
  */
-async function selectWinningVariant(campaignId, winnerCriteria) {
-  const campaign = await prisma.campaigns.findUnique({
-    where: { id: campaignId },
+export async function processRecurringCampaigns(now = new Date()) {
+  const dueSeries = await prisma.campaigns.findMany({
+    where: {
+      schedule_type: 'recurring',
+      parent_campaign_id: null,
+      status: 'scheduled',
+      next_run_at: { lte: now },
+    },
+    orderBy: { next_run_at: 'asc' },
   });
 
-  if (!campaign || !campaign.is_ab_test || !campaign.ab_test_config) {
-    throw new Error('Invalid A/B test campaign');
-  }
-
-  const variants = campaign.ab_test_config.variants;
-  const variantMetrics = [];
-
-  // Calculate metrics for each variant
-  for (const variant of variants) {
-    const metrics = await calculateVariantMetrics(campaignId, variant.id);
-    variantMetrics.push({
-      variantId: variant.id,
-      variantName: variant.name,
-      metrics,
-    });
-  }
-
-  // Select winner based on criteria
-  let winner = variantMetrics[0];
-  const criteriaMap = {
-    delivery_rate: 'deliveryRate',
-    read_rate: 'readRate',
-    reply_rate: 'replyRate',
-    engagement_rate: 'engagementRate',
-  };
-
-  const metricKey = criteriaMap[winnerCriteria];
+  const result = { due: dueSeries.length, started: 0, skipped: 0, failed: 0 };
 
-  for (const variant of variantMetrics) {
-    if (parseFloat(variant.metrics[metricKey]) > parseFloat(winner.metrics[metricKey])) {
-      winner = variant;
+  for (const series of dueSeries) {
+    try {
+      const run = await createCampaignRun(series, now);
+      if (run) {
+        result.started++;
+      } else {
+        result.skipped++;
+      }
+    } catch (error) {
+      result.failed++;
+      logger.error(`Error starting run of recurring campaign ${series.id}:`, error);
     }
   }
 
-  return {
-    winningVariantId: winner.variantId,
-    variantMetrics,
-  };
+  return result;
 }
 
 /**
- * Create A/B test campaign
+ * Get the runs of a recurring campaign with their stats and series totals
  */
-export async function createABTestCampaign(userId, teamId, abTestData) {
+export async function getCampaignRuns(teamId, campaignId, filters) {
   try {
-    // Verify WhatsApp account belongs to team
-    const account = await prisma.whatsapp_accounts.findFirst({
+    const series = await prisma.campaigns.findFirst({
       where: {
-        id: abTestData.accountId,
+        id: campaignId,
         team_id: teamId,
-        is_active: true,
       },
     });
 
-    if (!account) {
-      throw new Error('WhatsApp account not found or inactive');
+    if (!series) {
+      return null;
     }
 
-    // Calculate recipients
-    const recipientIds = await calculateRecipients(
-      teamId,
-      abTestData.audienceType,
-      abTestData.audienceConfig
-    );
+    const { page, limit, status } = filters;
+    const where = { parent_campaign_id: campaignId };
 
-    if (recipientIds.length === 0) {
-      throw new Error('No recipients found for the specified audience');
+    if (status) {
+      where.status = status;
     }
 
-    // Generate variant IDs
-    const variants = abTestData.variants.map((variant) => ({
-      ...variant,
-      id: uuidv4(),
-    }));
-
-    // Determine initial status
-    let status = 'draft';
-    if (abTestData.scheduleType === 'now') {
-      status = 'scheduled';
-    } else if (abTestData.scheduleType === 'scheduled') {
-      status = 'scheduled';
-    }
+    const [total, runs, totals] = await Promise.all([
+      prisma.campaigns.count({ where }),
+      prisma.campaigns.findMany({
+        where,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { run_number: 'desc' },
+        select: {
+          id: true,
+          name: true,
+          run_number: true,
+          status: true,
+          scheduled_at: true,
+          started_at: true,
+          completed_at: true,
+          total_recipients: true,
+          messages_sent: true,
+          messages_delivered: true,
+          messages_read: true,
+          messages_replied: true,
+          messages_failed: true,
+        },
+      }),
+      prisma.campaigns.aggregate({
+        where: { parent_campaign_id: campaignId },
+        _count: true,
+        _sum: {
+          total_recipients: true,
+          messages_sent: true,
+          messages_delivered: true,
+          messages_read: true,
+          messages_replied: true,
+          messages_failed: true,
+        },
+      }),
+    ]);
 
-    // Create A/B test configuration
-    const abTestConfig = {
-      variants,
-      winnerCriteria: abTestData.winnerCriteria,
-      testDuration: abTestData.testDuration,
+    return {
+      series: {
+        id: series.id,
+        status: series.status,
+        recurringConfig: series.recurring_config,
+        nextRunAt: series.next_run_at,
+        occurrenceCount: series.occurrence_count,
+      },
+      runs,
+      totals: { runs: totals._count, ...totals._sum },
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error('Error fetching campaign runs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ */
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Split variant slots of a cohort by percentage, rounding with the largest remainder
+ * @returns {Array<number>} Recipients per variant, summing to cohortSize
+ */
+function allocateVariants(cohortSize, variants) {
+  const exact = variants.map((variant) => (cohortSize * variant.percentage) / 100);
+  const counts = exact.map(Math.floor);
+  let remaining = cohortSize - counts.reduce((sum, count) => sum + count, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        counts[index]++;
+        remaining--;
+      }
+    });
+
+  return counts;
+}
+
+/**
+ * Split an A/B test audience into holdout, test cohort (by variant) and rollout audience
+ * @param {Array<string>} recipientIds - Contact IDs
+ * @param {Object} abTestConfig - { variants, holdoutPercentage, testCohortPercentage }
+ * @returns {Array<Object>} [{ contactId, variantId, status: 'holdout'|'pending'|'awaiting_rollout' }]
+ */
+function splitAudience(recipientIds, abTestConfig) {
+  const { variants, holdoutPercentage = 0, testCohortPercentage = 100 } = abTestConfig;
+  const contactIds = shuffle([...recipientIds]);
+
+  const holdoutSize = Math.round((contactIds.length * holdoutPercentage) / 100);
+  const audienceSize = contactIds.length - holdoutSize;
+  // Every variant gets at least one recipient when the audience allows it
+  const cohortSize = Math.max(
+    Math.round((audienceSize * testCohortPercentage) / 100),
+    Math.min(audienceSize, variants.length)
+  );
+
+  const assignments = contactIds
+    .slice(0, holdoutSize)
+    .map((contactId) => ({ contactId, variantId: null, status: 'holdout' }));
+
+  let offset = holdoutSize;
+  allocateVariants(cohortSize, variants).forEach((count, index) => {
+    contactIds.slice(offset, offset + count).forEach((contactId) => {
+      assignments.push({ contactId, variantId: variants[index].id, status: 'pending' });
+    });
+    offset += count;
+  });
+
+  contactIds.slice(offset).forEach((contactId) => {
+    assignments.push({ contactId, variantId: null, status: 'awaiting_rollout' });
+  });
+
+  return assignments;
+}
+
+/**
+ * Calculate metrics for a specific variant
+ * Only the test cohort counts; rollout recipients have no variant_id.
+ */
+async function calculateVariantMetrics(campaignId, variantId) {
+  return calculateMessageMetrics({ campaign_id: campaignId, variant_id: variantId });
+}
+
+/**
+ * Calculate delivery, read, reply and engagement metrics of campaign messages
+ * @param {Object} where - campaign_messages filter
+ */
+async function calculateMessageMetrics(where) {
+  const [statusCounts, replied, engaged] = await Promise.all([
+    prisma.campaign_messages.groupBy({
+      by: ['status'],
+      where,
+      _count: { id: true },
+    }),
+    prisma.campaign_messages.count({
+      where: { ...where, replied_at: { not: null } },
+    }),
+    prisma.campaign_messages.count({
+      where: {
+        ...where,
+        status: { in: ['delivered', 'read'] },
+        OR: [{ status: 'read' }, { replied_at: { not: null } }],
+      },
+    }),
+  ]);
+
+  const countOf = (statuses) =>
+    statusCounts
+      .filter((s) => statuses.includes(s.status))
+      .reduce((sum, s) => sum + s._count.id, 0);
+
+  const total = statusCounts.reduce((sum, s) => sum + s._count.id, 0);
+  const sent = countOf(['sent', 'delivered', 'read']);
+  const delivered = countOf(['delivered', 'read']);
+  const read = countOf(['read']);
+
+  return {
+    total,
+    sent,
+    delivered,
+    read,
+    replied,
+    engaged,
+    deliveryRate: sent > 0 ? ((delivered / sent) * 100).toFixed(2) : 0,
+    readRate: delivered > 0 ? ((read / delivered) * 100).toFixed(2) : 0,
+    replyRate: delivered > 0 ? ((replied / delivered) * 100).toFixed(2) : 0,
+    engagementRate: delivered > 0 ? ((engaged / delivered) * 100).toFixed(2) : 0,
+  };
+}
+
+/**
+ * Compare variants on the winner criterion
+ * The leader is significant when it beats every other variant in a two-proportion
+ * z-test at the confidence level (Bonferroni-corrected for the number of comparisons)
+ * and every variant has reached the minimum sample size.
+ * @param {Object} abTestConfig - Campaign ab_test_config
+ * @param {Array<Object>} variantResults - [{ variantId, metrics }]
+ * @returns {Object} { statistics (per variant), analysis }
+ */
+function analyzeExperiment(abTestConfig, variantResults) {
+  const winnerCriteria = abTestConfig.winnerCriteria || 'read_rate';
+  const criterion = WINNER_CRITERIA[winnerCriteria];
+  const confidenceLevel = abTestConfig.confidenceLevel || DEFAULT_CONFIDENCE_LEVEL;
+  const minSampleSize = abTestConfig.minSampleSize || DEFAULT_MIN_SAMPLE_SIZE;
+
+  const samples = variantResults.map(({ metrics }) => ({
+    conversions: metrics[criterion.conversions],
+    trials: metrics[criterion.trials],
+  }));
+  const rates = samples.map((s) => (s.trials > 0 ? s.conversions / s.trials : 0));
+  const leaderIndex = rates.indexOf(Math.max(...rates));
+  const leader = samples[leaderIndex];
+
+  const pValues = samples.map((s, index) =>
+    index === leaderIndex
+      ? null
+      : twoProportionZTest(leader.conversions, leader.trials, s.conversions, s.trials).pValue
+  );
+  const probabilities = probabilityToBeBest(samples);
+
+  const alpha = (1 - confidenceLevel) / Math.max(samples.length - 1, 1);
+  const hasMinimumSample = samples.every((s) => s.trials >= minSampleSize);
+  const significant = hasMinimumSample && pValues.every((p) => p === null || p < alpha);
+  const leaderVariantId = variantResults[leaderIndex].variantId;
+
+  return {
+    statistics: samples.map((s, index) => ({
+      sampleSize: s.trials,
+      conversions: s.conversions,
+      conversionRate: parseFloat((rates[index] * 100).toFixed(2)),
+      pValue: pValues[index] === null ? null : parseFloat(pValues[index].toFixed(4)),
+      probabilityToBeBest: probabilities[index],
+    })),
+    analysis: {
+      winnerCriteria,
+      confidenceLevel,
+      minSampleSize,
+      hasMinimumSample,
+      significant,
+      leaderVariantId,
+      recommendedWinnerId: significant ? leaderVariantId : null,
+    },
+  };
+}
+
+/**
+ * Reply rate of the holdout group since the test started
+ * Holdout contacts get no message, so any inbound message counts as a response.
+ */
+async function calculateHoldoutMetrics(campaignId, since) {
+  const holdout = await prisma.campaign_messages.findMany({
+    where: { campaign_id: campaignId, status: 'holdout' },
+    select: { contact_id: true },
+  });
+
+  if (holdout.length === 0 || !since) {
+    return { size: holdout.length, responded: 0, responseRate: 0 };
+  }
+
+  const responders = await prisma.messages.groupBy({
+    by: ['contact_id'],
+    where: {
+      contact_id: { in: holdout.map((h) => h.contact_id) },
+      senderType: 'contact',
+      created_at: { gte: since },
+    },
+  });
+
+  return {
+    size: holdout.length,
+    responded: responders.length,
+    responseRate: ((responders.length / holdout.length) * 100).toFixed(2),
+  };
+}
+
+/**
+ * Metrics and statistical comparison of every variant of an A/B test campaign
+ */
+async function evaluateExperiment(campaign) {
+  const variantResults = [];
+
+  for (const variant of campaign.ab_test_config.variants) {
+    variantResults.push({
+      variantId: variant.id,
+      variantName: variant.name,
+      messageType: variant.messageType,
+      messageContent: variant.messageContent,
+      percentage: variant.percentage,
+      metrics: await calculateVariantMetrics(campaign.id, variant.id),
+    });
+  }
+
+  const { statistics, analysis } = analyzeExperiment(campaign.ab_test_config, variantResults);
+
+  return {
+    variants: variantResults.map((result, index) => ({
+      ...result,
+      statistics: statistics[index],
+    })),
+    analysis,
+  };
+}
+
+/**
+ * Send the winning variant to the recipients awaiting rollout
+ * A running or completed campaign is queued again to send them. The winner is
+ * claimed first, so a manual pick and the rollout job cannot both roll out.
+ * @param {Object} campaign - A/B test campaign row
+ * @param {string} variantId - Winning variant
+ * @param {Object} decision - { reason: 'significant'|'inconclusive'|'manual', ... }
+ * @returns {Promise<Object|null>} Updated campaign, or null if a winner was already selected
+ */
+async function rolloutWinner(campaign, variantId, decision) {
+  const awaiting = await prisma.campaign_messages.count({
+    where: { campaign_id: campaign.id, status: 'awaiting_rollout' },
+  });
+
+  if (awaiting > 0 && campaign.status === 'running') {
+    const sending = await prisma.campaign_messages.count({
+      where: { campaign_id: campaign.id, status: 'pending' },
+    });
+    if (sending > 0) {
+      throw new Error('The test cohort is still being sent');
+    }
+  }
+
+  const now = new Date();
+  const claimed = await prisma.campaigns.updateMany({
+    where: { id: campaign.id, winning_variant_id: null },
+    data: { winning_variant_id: variantId, updated_at: now },
+  });
+
+  if (claimed.count === 0) {
+    logger.info(`Winning variant of campaign ${campaign.id} was already selected`, {
+      reason: decision.reason,
+    });
+    return null;
+  }
+
+  const { count } = await prisma.campaign_messages.updateMany({
+    where: { campaign_id: campaign.id, status: 'awaiting_rollout' },
+    data: { status: 'pending' },
+  });
+
+  const restart = count > 0 && ['running', 'completed'].includes(campaign.status);
+
+  const updatedCampaign = await prisma.campaigns.update({
+    where: { id: campaign.id },
+    data: {
+      ab_test_config: {
+        ...campaign.ab_test_config,
+        testCompletedAt: campaign.ab_test_config.testCompletedAt || now.toISOString(),
+        rolloutStatus: count > 0 ? 'rolled_out' : campaign.ab_test_config.rolloutStatus,
+        decision: { ...decision, variantId, rolloutSize: count, decidedAt: now.toISOString() },
+      },
+      ...(restart ? { status: 'scheduled', completed_at: null } : {}),
+      updated_at: now,
+    },
+  });
+
+  if (restart) {
+    await queueCampaign(updatedCampaign);
+  }
+
+  logger.info(
+    `Winning variant ${variantId} of campaign ${campaign.id} rolled out to ${count} recipients`,
+    { reason: decision.reason }
+  );
+
+  return updatedCampaign;
+}
+
+/**
+ * Create A/B test campaign
+ */
+export async function createABTestCampaign(userId, teamId, abTestData) {
+  try {
+    // Verify WhatsApp account belongs to team
+    const account = await prisma.whatsapp_accounts.findFirst({
+      where: {
+        id: abTestData.accountId,
+        team_id: teamId,
+        is_active: true,
+      },
+    });
+
+    if (!account) {
+      throw new Error('WhatsApp account not found or inactive');
+    }
+
+    abTestData.variants.forEach((variant) =>
+      assertPersonalization(variant.messageContent, variant.templateVariables)
+    );
+
+    // Calculate recipients
+    const recipientIds = await calculateRecipients(
+      teamId,
+      abTestData.audienceType,
+      abTestData.audienceConfig
+    );
+
+    if (recipientIds.length === 0) {
+      throw new Error('No recipients found for the specified audience');
+    }
+
+    // Generate variant IDs
+    const variants = abTestData.variants.map((variant) => ({
+      ...variant,
+      id: uuidv4(),
+    }));
+
+    // Determine initial status
+    let status = 'draft';
+    if (abTestData.scheduleType === 'now') {
+      status = 'scheduled';
+    } else if (abTestData.scheduleType === 'scheduled') {
+      status = 'scheduled';
+    }
+
+    // Create A/B test configuration
+    const abTestConfig = {
+      variants,
+      winnerCriteria: abTestData.winnerCriteria,
+      testDuration: abTestData.testDuration,
       autoSelectWinner: abTestData.autoSelectWinner,
+      holdoutPercentage: abTestData.holdoutPercentage ?? 0,
+      testCohortPercentage: abTestData.testCohortPercentage ?? 100,
+      minSampleSize: abTestData.minSampleSize ?? DEFAULT_MIN_SAMPLE_SIZE,
+      confidenceLevel: abTestData.confidenceLevel ?? DEFAULT_CONFIDENCE_LEVEL,
+      rolloutIfInconclusive: abTestData.rolloutIfInconclusive ?? true,
       testStartedAt: null,
       testCompletedAt: null,
     };
 
+    // Split the audience into holdout, test cohort and rollout audience
+    const assignments = splitAudience(recipientIds, abTestConfig);
+    const holdoutSize = assignments.filter((a) => a.status === 'holdout').length;
+    const awaitingSize = assignments.filter((a) => a.status === 'awaiting_rollout').length;
+
+    abTestConfig.rolloutStatus = awaitingSize > 0 ? 'awaiting' : 'not_required';
+
     // Create campaign
     const campaign = await prisma.campaigns.create({
       data: {
@@ -1005,8 +1785,10 @@ export async function createABTestCampaign(userId, teamId, abTestData) {
         schedule_type: abTestData.scheduleType,
         scheduled_at: abTestData.scheduledAt || new Date(),
         throttle_config: abTestData.throttleConfig,
+        track_links: abTestData.trackLinks ?? true,
         status,
-        total_recipients: recipientIds.length,
+        // The holdout is never messaged
+        total_recipients: recipientIds.length - holdoutSize,
         is_ab_test: true,
         ab_test_config: abTestConfig,
         created_at: new Date(),
@@ -1014,16 +1796,13 @@ export async function createABTestCampaign(userId, teamId, abTestData) {
       },
     });
 
-    // Assign variants to recipients
-    const variantAssignments = assignVariants(recipientIds, variants);
-
     // Create campaign messages with variant assignments
-    const campaignMessages = variantAssignments.map((assignment) => ({
+    const campaignMessages = assignments.map((assignment) => ({
       id: uuidv4(),
       campaign_id: campaign.id,
       contact_id: assignment.contactId,
       variant_id: assignment.variantId,
-      status: 'pending',
+      status: assignment.status,
       created_at: new Date(),
     }));
 
@@ -1033,7 +1812,8 @@ export async function createABTestCampaign(userId, teamId, abTestData) {
     });
 
     logger.info(
-      `A/B test campaign created: ${campaign.id} with ${recipientIds.length} recipients and ${variants.length} variants`
+      `A/B test campaign created: ${campaign.id} with ${recipientIds.length} recipients and ${variants.length} variants`,
+      { holdoutSize, awaitingRollout: awaitingSize }
     );
 
     return campaign;
@@ -1065,45 +1845,46 @@ export async function getABTestResults(teamId, campaignId) {
       throw new Error('Campaign is not an A/B test');
     }
 
-    const variants = campaign.ab_test_config.variants;
-    const variantResults = [];
-
-    // Calculate metrics for each variant
-    for (const variant of variants) {
-      const metrics = await calculateVariantMetrics(campaignId, variant.id);
-      variantResults.push({
-        variantId: variant.id,
-        variantName: variant.name,
-        messageType: variant.messageType,
-        messageContent: variant.messageContent,
-        percentage: variant.percentage,
-        metrics,
-      });
-    }
+    const config = campaign.ab_test_config;
+    const { variants, analysis } = await evaluateExperiment(campaign);
 
     // Determine if test is complete
-    const testStartedAt = campaign.ab_test_config.testStartedAt
-      ? new Date(campaign.ab_test_config.testStartedAt)
-      : null;
-    const testDuration = campaign.ab_test_config.testDuration;
+    const testStartedAt = config.testStartedAt ? new Date(config.testStartedAt) : null;
+    const testDuration = config.testDuration;
     const isTestComplete =
       testStartedAt && Date.now() - testStartedAt.getTime() >= testDuration * 60 * 60 * 1000;
 
+    const [holdout, awaitingRollout] = await Promise.all([
+      calculateHoldoutMetrics(campaignId, testStartedAt),
+      prisma.campaign_messages.count({
+        where: { campaign_id: campaignId, status: 'awaiting_rollout' },
+      }),
+    ]);
+
     return {
       campaign: {
         id: campaign.id,
         name: campaign.name,
         status: campaign.status,
         totalRecipients: campaign.total_recipients,
-        winnerCriteria: campaign.ab_test_config.winnerCriteria,
-        testDuration: campaign.ab_test_config.testDuration,
-        autoSelectWinner: campaign.ab_test_config.autoSelectWinner,
-        testStartedAt: campaign.ab_test_config.testStartedAt,
-        testCompletedAt: campaign.ab_test_config.testCompletedAt,
+        winnerCriteria: config.winnerCriteria,
+        testDuration: config.testDuration,
+        autoSelectWinner: config.autoSelectWinner,
+        holdoutPercentage: config.holdoutPercentage ?? 0,
+        testCohortPercentage: config.testCohortPercentage ?? 100,
+        testStartedAt: config.testStartedAt,
+        testCompletedAt: config.testCompletedAt,
         winningVariantId: campaign.winning_variant_id,
         isTestComplete,
       },
-      variants: variantResults,
+      variants,
+      analysis,
+      holdout,
+      rollout: {
+        status: config.rolloutStatus || 'not_required',
+        awaitingRecipients: awaitingRollout,
+        decision: config.decision || null,
+      },
     };
   } catch (error) {
     logger.error('Error fetching A/B test results:', error);
@@ -1112,7 +1893,7 @@ export async function getABTestResults(teamId, campaignId) {
 }
 
 /**
- * Manually select winning variant
+ * Manually select winning variant and roll it out to the remaining audience
  */
 export async function selectWinner(teamId, campaignId, variantId) {
   try {
@@ -1139,24 +1920,636 @@ export async function selectWinner(teamId, campaignId, variantId) {
       throw new Error('Variant not found');
     }
 
-    // Update campaign with winning variant
-    const updatedCampaign = await prisma.campaigns.update({
-      where: { id: campaignId },
+    if (campaign.ab_test_config.rolloutStatus === 'rolled_out') {
+      throw new Error('The winning variant has already been rolled out');
+    }
+
+    const updatedCampaign = await rolloutWinner(campaign, variantId, { reason: 'manual' });
+    if (!updatedCampaign) {
+      throw new Error('A winning variant has already been selected');
+    }
+
+    return updatedCampaign;
+  } catch (error) {
+    logger.error('Error selecting winning variant:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pick and roll out the winners of A/B tests whose test window has ended (called by cron job)
+ * Significant leaders are rolled out. Without significance the leader is rolled out
+ * when rolloutIfInconclusive is set; otherwise the test is marked inconclusive and
+ * waits for a manual pick.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { due, rolledOut, inconclusive, skipped, failed }
+ */
+export async function processABTestRollouts(now = new Date()) {
+  const candidates = await prisma.campaigns.findMany({
+    where: {
+      is_ab_test: true,
+      winning_variant_id: null,
+      status: { in: ['running', 'completed'] },
+    },
+  });
+
+  const due = candidates.filter((campaign) => {
+    const config = campaign.ab_test_config;
+    if (!config?.autoSelectWinner || !config.testStartedAt) return false;
+    if (config.rolloutStatus === 'inconclusive') return false;
+
+    const testEndsAt = new Date(config.testStartedAt).getTime() + config.testDuration * 3600000;
+    return testEndsAt <= now.getTime();
+  });
+
+  const result = { due: due.length, rolledOut: 0, inconclusive: 0, skipped: 0, failed: 0 };
+
+  for (const campaign of due) {
+    try {
+      // Wait for the test cohort to be sent before judging it
+      const sending = await prisma.campaign_messages.count({
+        where: { campaign_id: campaign.id, status: 'pending' },
+      });
+      if (sending > 0) {
+        result.skipped++;
+        continue;
+      }
+
+      const { variants, analysis } = await evaluateExperiment(campaign);
+      const leader = variants.find((v) => v.variantId === analysis.leaderVariantId);
+      const decision = {
+        winnerCriteria: analysis.winnerCriteria,
+        significant: analysis.significant,
+        pValues: Object.fromEntries(variants.map((v) => [v.variantId, v.statistics.pValue])),
+        probabilityToBeBest: leader.statistics.probabilityToBeBest,
+      };
+
+      if (analysis.significant || campaign.ab_test_config.rolloutIfInconclusive !== false) {
+        const rolledOut = await rolloutWinner(campaign, analysis.leaderVariantId, {
+          ...decision,
+          reason: analysis.significant ? 'significant' : 'inconclusive',
+        });
+        result[rolledOut ? 'rolledOut' : 'skipped']++;
+      } else {
+        await prisma.campaigns.update({
+          where: { id: campaign.id },
+          data: {
+            ab_test_config: {
+              ...campaign.ab_test_config,
+              testCompletedAt: now.toISOString(),
+              rolloutStatus: 'inconclusive',
+              decision: { ...decision, reason: 'inconclusive', decidedAt: now.toISOString() },
+            },
+            updated_at: now,
+          },
+        });
+        result.inconclusive++;
+        logger.info(`A/B test ${campaign.id} was inconclusive, waiting for a manual winner`);
+      }
+    } catch (error) {
+      result.failed++;
+      logger.error(`Error rolling out winner of A/B test ${campaign.id}:`, error);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Steps of a sequence as stored in sequence_config
+ */
+function buildSequenceSteps(steps) {
+  return steps.map((step, index) => ({
+    name: step.name || `Step ${index + 1}`,
+    delay: step.delay,
+    messageType: step.messageType,
+    messageContent: step.messageContent || null,
+    templateId: step.templateId || null,
+    templateVariables: step.templateVariables || null,
+  }));
+}
+
+/**
+ * Check the content of sequence steps before they are saved
+ */
+async function assertSequenceSteps(teamId, accountId, steps, senderPool) {
+  for (const step of steps) {
+    assertPersonalization(step.messageContent, step.templateVariables);
+
+    if (step.messageType === 'template') {
+      if (senderPool) {
+        throw new Error('Sender pools cannot be used with template messages');
+      }
+      await templateService.assertCampaignTemplate(
+        teamId,
+        accountId,
+        step.templateId,
+        step.templateVariables
+      );
+    }
+  }
+}
+
+/**
+ * Enroll contacts in a sequence that has not started yet
+ */
+async function createEnrollments(campaignId, contactIds) {
+  await prisma.campaign_enrollments.createMany({
+    data: contactIds.map((contactId) => ({
+      id: uuidv4(),
+      campaign_id: campaignId,
+      contact_id: contactId,
+      status: 'active',
+      next_step: 0,
+      created_at: new Date(),
+      updated_at: new Date(),
+    })),
+    skipDuplicates: true,
+  });
+}
+
+/**
+ * Create sequence campaign
+ * Recipients are enrolled when it is created and get its first step when it
+ * starts; every later step is sent once its delay after enrollment has passed.
+ */
+export async function createSequenceCampaign(userId, teamId, sequenceData) {
+  try {
+    // Verify WhatsApp account belongs to team
+    const account = await prisma.whatsapp_accounts.findFirst({
+      where: {
+        id: sequenceData.accountId,
+        team_id: teamId,
+        is_active: true,
+      },
+    });
+
+    if (!account) {
+      throw new Error('WhatsApp account not found or inactive');
+    }
+
+    await assertSequenceSteps(
+      teamId,
+      sequenceData.accountId,
+      sequenceData.steps,
+      sequenceData.senderPool
+    );
+
+    const senderPool = sequenceData.senderPool
+      ? {
+          accountIds: await senderPoolService.validatePool(teamId, [
+            sequenceData.accountId,
+            ...sequenceData.senderPool.accountIds,
+          ]),
+        }
+      : null;
+
+    // Calculate recipients
+    const recipientIds = await calculateRecipients(
+      teamId,
+      sequenceData.audienceType,
+      sequenceData.audienceConfig
+    );
+
+    // A sequence that enrolls new contacts may start with an empty audience
+    if (recipientIds.length === 0 && !sequenceData.enrollNewContacts) {
+      throw new Error('No recipients found for the specified audience');
+    }
+
+    const steps = buildSequenceSteps(sequenceData.steps);
+    const sequenceConfig = {
+      steps,
+      exitConditions: sequenceData.exitConditions,
+      exitTags: sequenceData.exitTags || [],
+      enrollNewContacts: sequenceData.enrollNewContacts,
+      enrollUntil: sequenceData.enrollUntil ? sequenceData.enrollUntil.toISOString() : null,
+    };
+
+    // Create campaign; its own content is that of the first step
+    const campaign = await prisma.campaigns.create({
       data: {
-        winning_variant_id: variantId,
-        ab_test_config: {
-          ...campaign.ab_test_config,
-          testCompletedAt: new Date().toISOString(),
-        },
+        id: uuidv4(),
+        team_id: teamId,
+        user_id: userId,
+        account_id: sequenceData.accountId,
+        template_id: steps[0].templateId,
+        name: sequenceData.name,
+        description: sequenceData.description || null,
+        messageType: steps[0].messageType,
+        message_content: steps[0].messageContent,
+        template_variables: steps[0].templateVariables,
+        audienceType: sequenceData.audienceType,
+        audience_config: sequenceData.audienceConfig,
+        schedule_type: sequenceData.scheduleType,
+        scheduled_at: sequenceData.scheduledAt || new Date(),
+        throttle_config: sequenceData.throttleConfig,
+        send_time_config: sequenceData.sendTimeOptimization || null,
+        sender_pool: senderPool,
+        track_links: sequenceData.trackLinks ?? true,
+        status: 'scheduled',
+        total_recipients: recipientIds.length,
+        is_sequence: true,
+        sequence_config: sequenceConfig,
+        created_at: new Date(),
         updated_at: new Date(),
       },
     });
 
-    logger.info(`Winning variant ${variantId} selected for campaign ${campaignId}`);
+    await createEnrollments(campaign.id, recipientIds);
 
-    return updatedCampaign;
+    logger.info(
+      `Sequence campaign created: ${campaign.id} with ${recipientIds.length} recipients and ${steps.length} steps`
+    );
+
+    return campaign;
   } catch (error) {
-    logger.error('Error selecting winning variant:', error);
+    logger.error('Error creating sequence campaign:', error);
     throw error;
   }
 }
+
+/**
+ * Latest time per contact of rows grouped by contact_id with _max.created_at
+ */
+function latestByContact(rows) {
+  return new Map(rows.map((row) => [row.contact_id, row._max.created_at]));
+}
+
+/**
+ * Find the enrollments that meet an exit condition of their sequence
+ * Only what happened since a contact was enrolled counts. A reply is also
+ * recorded on the last step the contact was sent.
+ * @param {Object} campaign - Sequence campaign row
+ * @param {Array<Object>} enrollments - Active enrollments
+ * @returns {Promise<Map<string, string>>} Enrollment ID -> exit reason
+ */
+async function findSequenceExits(campaign, enrollments) {
+  const config = campaign.sequence_config;
+  const exitConditions = config.exitConditions || [];
+  const contactIds = enrollments.map((enrollment) => enrollment.contact_id);
+  const since = new Date(Math.min(...enrollments.map((e) => new Date(e.enrolled_at).getTime())));
+  const exits = new Map();
+
+  const exitWhen = (reason, happenedAt) => {
+    enrollments.forEach((enrollment) => {
+      const at = happenedAt.get(enrollment.contact_id);
+      if (!exits.has(enrollment.id) && at && at >= enrollment.enrolled_at) {
+        exits.set(enrollment.id, reason);
+      }
+    });
+  };
+
+  if (exitConditions.includes('opted_out')) {
+    const consentWhere = await consentService.getConsentWhere(campaign.team_id, 'marketing');
+    const consenting = await prisma.contacts.findMany({
+      where: { id: { in: contactIds }, ...consentWhere },
+      select: { id: true },
+    });
+    const consentingIds = new Set(consenting.map((contact) => contact.id));
+
+    enrollments
+      .filter((enrollment) => !consentingIds.has(enrollment.contact_id))
+      .forEach((enrollment) => exits.set(enrollment.id, 'opted_out'));
+  }
+
+  if (exitConditions.includes('replied')) {
+    const replies = latestByContact(
+      await prisma.messages.groupBy({
+        by: ['contact_id'],
+        where: {
+          contact_id: { in: contactIds },
+          senderType: 'contact',
+          created_at: { gte: since },
+        },
+        _max: { created_at: true },
+      })
+    );
+    exitWhen('replied', replies);
+
+    for (const enrollment of enrollments) {
+      if (exits.get(enrollment.id) !== 'replied') continue;
+
+      const answered = await prisma.campaign_messages.findFirst({
+        where: {
+          campaign_id: campaign.id,
+          contact_id: enrollment.contact_id,
+          sent_at: { not: null, lte: replies.get(enrollment.contact_id) },
+        },
+        orderBy: { step: 'desc' },
+        select: { id: true, replied_at: true },
+      });
+
+      if (answered && !answered.replied_at) {
+        await prisma.campaign_messages.update({
+          where: { id: answered.id },
+          data: { replied_at: replies.get(enrollment.contact_id) },
+        });
+      }
+    }
+  }
+
+  if (exitConditions.includes('clicked')) {
+    const clicks = await prisma.campaign_messages.groupBy({
+      by: ['contact_id'],
+      where: {
+        campaign_id: campaign.id,
+        contact_id: { in: contactIds },
+        clicked_at: { gte: since },
+      },
+      _max: { clicked_at: true },
+    });
+    exitWhen('clicked', new Map(clicks.map((row) => [row.contact_id, row._max.clicked_at])));
+  }
+
+  if (exitConditions.includes('purchased')) {
+    const orders = await prisma.ecommerce_orders.groupBy({
+      by: ['contact_id'],
+      where: {
+        team_id: campaign.team_id,
+        contact_id: { in: contactIds },
+        created_at: { gte: since },
+      },
+      _max: { created_at: true },
+    });
+    exitWhen('purchased', latestByContact(orders));
+  }
+
+  if (exitConditions.includes('tag_added')) {
+    const tags = await prisma.contact_tags.groupBy({
+      by: ['contact_id'],
+      where: {
+        contact_id: { in: contactIds },
+        created_at: { gte: since },
+        ...(config.exitTags?.length > 0 ? { tags: { name: { in: config.exitTags } } } : {}),
+      },
+      _max: { created_at: true },
+    });
+    exitWhen('tag_added', latestByContact(tags));
+  }
+
+  return exits;
+}
+
+/**
+ * Enroll contacts who joined the audience of a sequence since it started
+ * @returns {Promise<number>} Contacts enrolled
+ */
+async function enrollNewContacts(campaign, now) {
+  const [recipientIds, enrolled] = await Promise.all([
+    calculateRecipients(campaign.team_id, campaign.audienceType, campaign.audience_config),
+    prisma.campaign_enrollments.findMany({
+      where: { campaign_id: campaign.id },
+      select: { contact_id: true },
+    }),
+  ]);
+
+  // Contacts who left the sequence are never enrolled again
+  const enrolledIds = new Set(enrolled.map((enrollment) => enrollment.contact_id));
+  const newIds = recipientIds.filter((contactId) => !enrolledIds.has(contactId));
+
+  if (newIds.length === 0) {
+    return 0;
+  }
+
+  const firstStepAt = getStepDueAt(now, campaign.sequence_config.steps[0]);
+  const { count } = await prisma.campaign_enrollments.createMany({
+    data: newIds.map((contactId) => ({
+      id: uuidv4(),
+      campaign_id: campaign.id,
+      contact_id: contactId,
+      status: 'active',
+      next_step: 0,
+      next_step_at: firstStepAt,
+      enrolled_at: now,
+      created_at: now,
+      updated_at: now,
+    })),
+    skipDuplicates: true,
+  });
+
+  await prisma.campaigns.update({
+    where: { id: campaign.id },
+    data: { total_recipients: { increment: count } },
+  });
+
+  return count;
+}
+
+/**
+ * Move the contacts of a sequence on to the steps that are due
+ * Contacts enrolled before the sequence started count from now. Contacts who
+ * meet an exit condition leave it; the others get a pending message for their
+ * next step, for the campaign worker to send.
+ * @param {Object} campaign - Sequence campaign row
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { enrolled, exited, queued, completed }
+ */
+async function advanceSequence(campaign, now = new Date()) {
+  const { steps } = campaign.sequence_config;
+  const result = { enrolled: 0, exited: 0, queued: 0, completed: 0 };
+
+  const started = await prisma.campaign_enrollments.updateMany({
+    where: { campaign_id: campaign.id, enrolled_at: null },
+    data: { enrolled_at: now, next_step_at: getStepDueAt(now, steps[0]), updated_at: now },
+  });
+  result.enrolled += started.count;
+
+  if (isEnrollmentOpen(campaign.sequence_config, now)) {
+    result.enrolled += await enrollNewContacts(campaign, now);
+  }
+
+  const due = await prisma.campaign_enrollments.findMany({
+    where: { campaign_id: campaign.id, status: 'active', next_step_at: { lte: now } },
+    orderBy: { next_step_at: 'asc' },
+  });
+
+  for (let i = 0; i < due.length; i += SEQUENCE_BATCH_SIZE) {
+    const batch = due.slice(i, i + SEQUENCE_BATCH_SIZE);
+    const exits = await findSequenceExits(campaign, batch);
+    const continuing = batch.filter(
+      (enrollment) => !exits.has(enrollment.id) && enrollment.next_step < steps.length
+    );
+
+    await prisma.campaign_messages.createMany({
+      data: continuing.map((enrollment) => ({
+        id: uuidv4(),
+        campaign_id: campaign.id,
+        contact_id: enrollment.contact_id,
+        step: enrollment.next_step,
+        status: 'pending',
+        created_at: now,
+      })),
+      skipDuplicates: true,
+    });
+    result.queued += continuing.length;
+
+    for (const enrollment of batch) {
+      const nextStep = enrollment.next_step + 1;
+      const reason = exits.get(enrollment.id);
+      let data;
+
+      if (reason) {
+        data = { status: 'exited', exit_reason: reason, exited_at: now, next_step_at: null };
+        result.exited++;
+      } else if (nextStep < steps.length) {
+        data = {
+          next_step: nextStep,
+          next_step_at: getStepDueAt(enrollment.enrolled_at, steps[nextStep]),
+        };
+      } else {
+        // Also completes contacts whose step was removed from the sequence after they were enrolled
+        data = { next_step: nextStep, status: 'completed', completed_at: now, next_step_at: null };
+        result.completed++;
+      }
+
+      // Another scheduler may have moved the enrollment on already
+      await prisma.campaign_enrollments.updateMany({
+        where: { id: enrollment.id, status: 'active', next_step: enrollment.next_step },
+        data: { ...data, updated_at: now },
+      });
+    }
+  }
+
+  if (due.length > 0 || result.enrolled > 0) {
+    logger.info(`Sequence campaign ${campaign.id} advanced`, result);
+  }
+
+  return result;
+}
+
+/**
+ * Get sequence results: metrics per step and where enrolled contacts are
+ */
+export async function getSequenceResults(teamId, campaignId) {
+  try {
+    const campaign = await prisma.campaigns.findFirst({
+      where: {
+        id: campaignId,
+        team_id: teamId,
+        is_sequence: true,
+      },
+    });
+
+    if (!campaign) {
+      return null;
+    }
+
+    const config = campaign.sequence_config;
+    const [enrollmentCounts, steps] = await Promise.all([
+      prisma.campaign_enrollments.groupBy({
+        by: ['status', 'exit_reason'],
+        where: { campaign_id: campaignId },
+        _count: { id: true },
+      }),
+      Promise.all(
+        config.steps.map(async (step, index) => {
+          const where = { campaign_id: campaignId, step: index };
+          const [metrics, clicked, waiting] = await Promise.all([
+            calculateMessageMetrics(where),
+            prisma.campaign_messages.count({ where: { ...where, clicked_at: { not: null } } }),
+            prisma.campaign_enrollments.count({
+              where: { campaign_id: campaignId, status: 'active', next_step: index },
+            }),
+          ]);
+
+          return {
+            step: index,
+            name: step.name,
+            delay: step.delay,
+            messageType: step.messageType,
+            waiting,
+            ...metrics,
+            clicked,
+            clickRate: metrics.delivered > 0 ? ((clicked / metrics.delivered) * 100).toFixed(2) : 0,
+          };
+        })
+      ),
+    ]);
+
+    const enrollments = { total: 0, active: 0, completed: 0, exited: 0, exitReasons: {} };
+    enrollmentCounts.forEach((row) => {
+      enrollments.total += row._count.id;
+      enrollments[row.status] = (enrollments[row.status] || 0) + row._count.id;
+      if (row.exit_reason) {
+        enrollments.exitReasons[row.exit_reason] = row._count.id;
+      }
+    });
+
+    return {
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        totalRecipients: campaign.total_recipients,
+        exitConditions: config.exitConditions,
+        exitTags: config.exitTags || [],
+        enrollNewContacts: config.enrollNewContacts,
+        enrollUntil: config.enrollUntil,
+        startedAt: campaign.started_at,
+      },
+      steps,
+      enrollments,
+    };
+  } catch (error) {
+    logger.error('Error fetching sequence results:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send the steps of running sequences that are due (called by cron job)
+ * A sequence waits until the worker has sent its previous step. Sequences
+ * with new step messages are queued again; those without contacts left to
+ * message, and no longer enrolling, are queued for the worker to complete.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { running, advanced, completed, skipped, failed }
+ */
+export async function processSequenceCampaigns(now = new Date()) {
+  const campaigns = await prisma.campaigns.findMany({
+    where: { is_sequence: true, status: 'running' },
+  });
+
+  const result = { running: campaigns.length, advanced: 0, completed: 0, skipped: 0, failed: 0 };
+
+  for (const campaign of campaigns) {
+    try {
+      const sending = await prisma.campaign_messages.count({
+        where: { campaign_id: campaign.id, status: { in: ['pending', 'queued'] } },
+      });
+      if (sending > 0) {
+        result.skipped++;
+        continue;
+      }
+
+      const progress = await advanceSequence(campaign, now);
+      const active = await prisma.campaign_enrollments.count({
+        where: { campaign_id: campaign.id, status: 'active' },
+      });
+      const finished = active === 0 && !isEnrollmentOpen(campaign.sequence_config, now);
+
+      if (progress.queued === 0 && !finished) {
+        continue;
+      }
+
+      // The worker only picks up campaigns that are not running
+      const claimed = await prisma.campaigns.updateMany({
+        where: { id: campaign.id, status: 'running' },
+        data: { status: 'scheduled', updated_at: now },
+      });
+
+      if (claimed.count > 0) {
+        await queueCampaign(campaign);
+        if (progress.queued > 0) {
+          result.advanced++;
+        } else {
+          result.completed++;
+        }
+      }
+    } catch (error) {
+      result.failed++;
+      logger.error(`Error advancing sequence campaign ${campaign.id}:`, error);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,373 @@
+/**
+ * Canned Response Service
+ *
+ * Team-scoped saved replies that agents insert by shortcode (e.g. /refund).
+ * Content may reference contact variables such as {{first_name}} or
+ * {{custom_fields.order_id}}, which are filled in for the recipient when the
+ * reply is sent from the inbox or a flow send_message node.
+ */
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const VARIABLE_REGEX = /{{\s*([\w.]+)\s*}}/g;
+
+// Contact columns that may be used as variables
+const CONTACT_VARIABLES = ['first_name', 'last_name', 'full_name', 'phone', 'email'];
+
+/**
+ * Normalize a shortcode: lowercase, without the leading slash agents type
+ */
+function normalizeShortcode(shortcode) {
+  return shortcode.trim().replace(/^\//, '').toLowerCase();
+}
+
+/**
+ * Map a canned_responses row to the API shape
+ */
+function mapCannedResponse(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    shortcode: row.shortcode,
+    title: row.title,
+    content: row.content,
+    category: row.category,
+    mediaUrl: row.media_url,
+    mediaType: row.media_type,
+    variables: extractVariables(row.content),
+    usageCount: row.usage_count,
+    lastUsedAt: row.last_used_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Map API payload (camelCase) to database columns
+ */
+function toCannedResponseData(data) {
+  const dbData = {};
+
+  if (data.shortcode !== undefined) dbData.shortcode = normalizeShortcode(data.shortcode);
+  if (data.title !== undefined) dbData.title = data.title;
+  if (data.content !== undefined) dbData.content = data.content;
+  if (data.category !== undefined) dbData.category = data.category;
+  if (data.mediaUrl !== undefined) dbData.media_url = data.mediaUrl;
+  if (data.mediaType !== undefined) dbData.media_type = data.mediaType;
+
+  return dbData;
+}
+
+/**
+ * Variable names referenced by content, in order of first use
+ * @param {string} content - Canned response text
+ * @returns {string[]}
+ */
+function extractVariables(content) {
+  if (!content) return [];
+  return [...new Set([...content.matchAll(VARIABLE_REGEX)].map((match) => match[1]))];
+}
+
+/**
+ * Value of a variable for a contact
+ * Supports contact columns, custom_fields.<key> and, as a fallback, extra
+ * variables (flow execution variables). An optional "contact." prefix is accepted.
+ * @returns {string|undefined}
+ */
+function resolveVariable(name, contact, variables) {
+  const key = name.replace(/^contact\./, '');
+
+  if (contact) {
+    if (key === 'full_name') {
+      const fullName = [contact.first_name, contact.last_name].filter(Boolean).join(' ');
+      if (fullName) return fullName;
+    } else if (CONTACT_VARIABLES.includes(key) && contact[key]) {
+      return contact[key];
+    } else if (key.startsWith('custom_fields.')) {
+      const value = key
+        .slice('custom_fields.'.length)
+        .split('.')
+        .reduce((current, part) => current?.[part], contact.custom_fields);
+      if (value !== undefined && value !== null) return String(value);
+    }
+  }
+
+  const value = variables?.[name];
+  return value !== undefined && value !== null && typeof value !== 'object'
+    ? String(value)
+    : undefined;
+}
+
+/**
+ * Fill {{variables}} in content for a contact
+ * Variables without a value are replaced with an empty string so placeholders
+ * never reach the customer.
+ * @param {string} content - Canned response text
+ * @param {Object|null} contact - contacts row
+ * @param {Object} variables - Extra variables (e.g. flow execution variables)
+ * @returns {Object} { content, missing } where missing lists unresolved variables
+ */
+function renderContent(content, contact, variables = {}) {
+  const missing = new Set();
+
+  const rendered = (content || '').replace(VARIABLE_REGEX, (match, name) => {
+    const value = resolveVariable(name, contact, variables);
+    if (value === undefined) {
+      missing.add(name);
+      return '';
+    }
+    return value;
+  });
+
+  return { content: rendered, missing: [...missing] };
+}
+
+/**
+ * Find a canned response by ID or shortcode
+ * @param {Object} ref - { cannedResponseId } or { shortcode }
+ */
+async function findCannedResponse(teamId, ref) {
+  if (ref.cannedResponseId) {
+    return prisma.canned_responses.findFirst({
+      where: { id: ref.cannedResponseId, team_id: teamId },
+    });
+  }
+
+  if (ref.shortcode) {
+    return prisma.canned_responses.findFirst({
+      where: { team_id: teamId, shortcode: normalizeShortcode(ref.shortcode) },
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Throw if another canned response in the team already uses the shortcode
+ */
+async function assertShortcodeAvailable(teamId, shortcode, excludeId = null) {
+  const existing = await prisma.canned_responses.findFirst({
+    where: { team_id: teamId, shortcode, ...(excludeId && { id: { not: excludeId } }) },
+    select: { id: true },
+  });
+
+  if (existing) {
+    throw new Error(`Canned response with shortcode /${shortcode} already exists`);
+  }
+}
+
+/**
+ * Create a canned response
+ * @param {string} userId - Author
+ */
+async function createCannedResponse(teamId, userId, data) {
+  const dbData = toCannedResponseData(data);
+  await assertShortcodeAvailable(teamId, dbData.shortcode);
+
+  const cannedResponse = await prisma.canned_responses.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: teamId,
+      created_by: userId,
+      ...dbData,
+      updated_at: new Date(),
+    },
+  });
+
+  logger.info(`Canned response created: ${cannedResponse.id} (/${cannedResponse.shortcode})`);
+
+  return mapCannedResponse(cannedResponse);
+}
+
+/**
+ * List canned responses
+ * @param {Object} filters - { category, search, page, limit, sortBy, sortOrder }
+ * @returns {Promise<Object>} { cannedResponses, pagination }
+ */
+async function getCannedResponses(teamId, filters = {}) {
+  const {
+    page = 1,
+    limit = 50,
+    category,
+    search,
+    sortBy = 'shortcode',
+    sortOrder = 'asc',
+  } = filters;
+
+  const where = { team_id: teamId };
+
+  if (category) where.category = category;
+  if (search) {
+    where.OR = [
+      { shortcode: { startsWith: normalizeShortcode(search) } },
+      { title: { contains: search, mode: 'insensitive' } },
+      { content: { contains: search, mode: 'insensitive' } },
+    ];
+  }
+
+  const [cannedResponses, total] = await Promise.all([
+    prisma.canned_responses.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { [sortBy]: sortOrder },
+    }),
+    prisma.canned_responses.count({ where }),
+  ]);
+
+  return {
+    cannedResponses: cannedResponses.map(mapCannedResponse),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Categories in use with their number of canned responses
+ * @returns {Promise<Object[]>} [{ category, count }]
+ */
+async function getCategories(teamId) {
+  const groups = await prisma.canned_responses.groupBy({
+    by: ['category'],
+    where: { team_id: teamId, category: { not: null } },
+    _count: { _all: true },
+    orderBy: { category: 'asc' },
+  });
+
+  return groups.map((group) => ({ category: group.category, count: group._count._all }));
+}
+
+/**
+ * Get a canned response
+ * @returns {Promise<Object|null>}
+ */
+async function getCannedResponseById(teamId, id) {
+  const cannedResponse = await prisma.canned_responses.findFirst({
+    where: { id, team_id: teamId },
+  });
+
+  return mapCannedResponse(cannedResponse);
+}
+
+/**
+ * Update a canned response
+ * @returns {Promise<Object|null>} Updated canned response, or null if not found
+ */
+async function updateCannedResponse(teamId, id, data) {
+  const existing = await prisma.canned_responses.findFirst({
+    where: { id, team_id: teamId },
+    select: { id: true },
+  });
+
+  if (!existing) {
+    return null;
+  }
+
+  const dbData = toCannedResponseData(data);
+  if (dbData.shortcode) {
+    await assertShortcodeAvailable(teamId, dbData.shortcode, id);
+  }
+
+  // Removing the media also clears its type
+  if (dbData.media_url === null) {
+    dbData.media_type = null;
+  }
+
+  const cannedResponse = await prisma.canned_responses.update({
+    where: { id },
+    data: { ...dbData, updated_at: new Date() },
+  });
+
+  return mapCannedResponse(cannedResponse);
+}
+
+/**
+ * Delete a canned response
+ * @returns {Promise<boolean>} Whether a canned response was deleted
+ */
+async function deleteCannedResponse(teamId, id) {
+  const result = await prisma.canned_responses.deleteMany({
+    where: { id, team_id: teamId },
+  });
+
+  return result.count > 0;
+}
+
+/**
+ * Render a canned response into outbound message fields for a contact
+ * Media canned responses become media messages with the text as caption.
+ * @param {Object} ref - { cannedResponseId } or { shortcode }
+ * @param {Object|null} contact - contacts row to fill variables from
+ * @param {Object} variables - Extra variables (e.g. flow execution variables)
+ * @returns {Promise<Object>} { cannedResponseId, type, content, mediaUrl, missingVariables }
+ */
+async function renderCannedResponse(teamId, ref, contact, variables = {}) {
+  const cannedResponse = await findCannedResponse(teamId, ref);
+
+  if (!cannedResponse) {
+    throw new Error('Canned response not found');
+  }
+
+  const { content, missing } = renderContent(cannedResponse.content, contact, variables);
+
+  return {
+    cannedResponseId: cannedResponse.id,
+    type: cannedResponse.media_url ? cannedResponse.media_type : 'Text',
+    content,
+    mediaUrl: cannedResponse.media_url,
+    missingVariables: missing,
+  };
+}
+
+/**
+ * Render a canned response for one of the team's contacts (composer preview)
+ * @returns {Promise<Object|null>} Rendered message, or null if the canned response is not found
+ */
+async function previewCannedResponse(teamId, id, contactId) {
+  const existing = await findCannedResponse(teamId, { cannedResponseId: id });
+
+  if (!existing) {
+    return null;
+  }
+
+  const contact = await prisma.contacts.findFirst({
+    where: { id: contactId, team_id: teamId },
+  });
+
+  if (!contact) {
+    throw new Error('Contact not found');
+  }
+
+  return renderCannedResponse(teamId, { cannedResponseId: id }, contact);
+}
+
+/**
+ * Count a send of a canned response
+ */
+async function recordUsage(id) {
+  await prisma.canned_responses.update({
+    where: { id },
+    data: { usage_count: { increment: 1 }, last_used_at: new Date() },
+  });
+}
+
+export default {
+  createCannedResponse,
+  getCannedResponses,
+  getCategories,
+  getCannedResponseById,
+  updateCannedResponse,
+  deleteCannedResponse,
+  renderCannedResponse,
+  previewCannedResponse,
+  recordUsage,
+  renderContent,
+};
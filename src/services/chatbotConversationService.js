@@ -5,6 +5,7 @@
 
 import prisma from '../config/database.js';
 import { queueChatbotConversation } from '../workers/chatbotWorker.js';
+import assignmentService from './assignmentService.js';
 import logger from '../utils/logger.js';
 
 class ChatbotConversationService {
@@ -18,7 +19,7 @@ class ChatbotConversationService {
       // Find active chatbots for this WhatsApp account
       const chatbots = await prisma.chatbots.findMany({
         where: {
-          account_id: message.whatsappAccountId,
+          account_id: message.accountId,
           is_active: true,
         },
         include: {
@@ -98,9 +99,16 @@ class ChatbotConversationService {
       return true;
     }
 
+    // Button/list reply triggers
+    if (triggers.replyIds && Array.isArray(triggers.replyIds) && message.interactiveReplyId) {
+      if (triggers.replyIds.includes(message.interactiveReplyId)) {
+        return true;
+      }
+    }
+
     // Keyword triggers
     if (triggers.keywords && Array.isArray(triggers.keywords) && triggers.keywords.length > 0) {
-      const messageContent = message.content.toLowerCase();
+      const messageContent = (message.content || '').toLowerCase();
       const hasKeyword = triggers.keywords.some((keyword) =>
         messageContent.includes(keyword.toLowerCase())
       );
@@ -303,6 +311,7 @@ class ChatbotConversationService {
           chatbots: {
             select: {
               user_id: true,
+              account_id: true,
             },
           },
         },
@@ -335,7 +344,8 @@ class ChatbotConversationService {
           contacts: {
             select: {
               id: true,
-              name: true,
+              first_name: true,
+              last_name: true,
               phone: true,
             },
           },
@@ -347,6 +357,24 @@ class ChatbotConversationService {
         reason,
       });
 
+      // Route the inbox conversation to a human agent
+      const inboxConversation = await prisma.conversations.findUnique({
+        where: {
+          account_id_contact_id: {
+            account_id: conversation.chatbots.account_id,
+            contact_id: conversation.contact_id,
+          },
+        },
+        select: { id: true },
+      });
+
+      if (inboxConversation) {
+        await assignmentService.autoAssignConversation(inboxConversation.id, {
+          reason: 'handoff',
+          performedBy: userId,
+        });
+      }
+
       return updatedConversation;
     } catch (error) {
       logger.error('Error handing off conversation', {
@@ -376,6 +404,7 @@ class ChatbotConversationService {
           chatbots: {
             select: {
               user_id: true,
+              account_id: true,
             },
           },
         },
@@ -0,0 +1,413 @@
+/**
+ * Consent Service
+ *
+ * Per-contact messaging consent. The current state of each channel and purpose
+ * is kept in contact_consents, and every change is appended to consent_events
+ * so the history can be exported for compliance. Inbound STOP/START style
+ * keywords change consent automatically, and every automated outbound path
+ * (campaigns, flows, cart recovery, order notifications) checks it before
+ * sending.
+ */
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { generateCSV } from '../utils/fileParser.js';
+import logger from '../utils/logger.js';
+
+export const CONSENT_CHANNELS = ['whatsapp'];
+export const CONSENT_PURPOSES = ['marketing', 'transactional'];
+export const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+
+const DEFAULT_SETTINGS = {
+  optOutKeywords: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+  optInKeywords: ['START', 'SUBSCRIBE', 'UNSTOP'],
+  // Purposes a keyword opts the contact out of (or back in to)
+  keywordPurposes: ['marketing'],
+  sendConfirmation: true,
+  optOutReply:
+    'You have been unsubscribed and will no longer receive marketing messages from us. Reply START to subscribe again.',
+  optInReply: 'You are subscribed again. Reply STOP at any time to unsubscribe.',
+  // When set, marketing is only sent to contacts with an explicit opt-in
+  requireMarketingOptIn: false,
+};
+
+const HISTORY_CSV_HEADERS = [
+  'occurredAt',
+  'contactId',
+  'phone',
+  'name',
+  'channel',
+  'purpose',
+  'status',
+  'source',
+  'keyword',
+  'proofMessageId',
+  'recordedBy',
+  'note',
+];
+
+/**
+ * Map a contact_consents row to the API shape
+ */
+function mapConsent(consent) {
+  if (!consent) return null;
+
+  return {
+    id: consent.id,
+    contactId: consent.contact_id,
+    channel: consent.channel,
+    purpose: consent.purpose,
+    status: consent.status,
+    source: consent.source,
+    proofMessageId: consent.proof_message_id,
+    changedAt: consent.changed_at,
+  };
+}
+
+/**
+ * Map a consent_events row to the API shape
+ */
+function mapConsentEvent(event) {
+  return {
+    id: event.id,
+    contactId: event.contact_id,
+    channel: event.channel,
+    purpose: event.purpose,
+    status: event.status,
+    source: event.source,
+    proofMessageId: event.proof_message_id,
+    keyword: event.keyword,
+    recordedBy: event.recorded_by,
+    note: event.note,
+    occurredAt: event.occurred_at,
+  };
+}
+
+/**
+ * Uppercase a keyword and drop surrounding whitespace and punctuation ("stop!" -> "STOP")
+ */
+export function normalizeKeyword(text) {
+  if (typeof text !== 'string') return '';
+  return text
+    .trim()
+    .toUpperCase()
+    .replace(/^[^A-Z0-9]+|[^A-Z0-9]+$/g, '');
+}
+
+/**
+ * Get the team's consent settings merged over the defaults
+ * @returns {Promise<Object>} Settings
+ */
+async function getSettings(teamId) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  return { ...DEFAULT_SETTINGS, ...(team?.settings?.consent || {}) };
+}
+
+/**
+ * Update the team's consent settings
+ * @param {Object} data - Partial settings
+ * @returns {Promise<Object|null>} Settings, or null if the team does not exist
+ */
+async function updateSettings(teamId, data) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  if (!team) {
+    return null;
+  }
+
+  const consent = { ...(team.settings?.consent || {}), ...data };
+  for (const key of ['optOutKeywords', 'optInKeywords']) {
+    if (consent[key]) {
+      consent[key] = [...new Set(consent[key].map(normalizeKeyword).filter(Boolean))];
+    }
+  }
+
+  const overlap = (consent.optOutKeywords || DEFAULT_SETTINGS.optOutKeywords).filter((keyword) =>
+    (consent.optInKeywords || DEFAULT_SETTINGS.optInKeywords).includes(keyword)
+  );
+  if (overlap.length > 0) {
+    throw new Error(`Keyword ${overlap[0]} cannot be both an opt-out and an opt-in keyword`);
+  }
+
+  await prisma.teams.update({
+    where: { id: teamId },
+    data: { settings: { ...(team.settings || {}), consent } },
+  });
+
+  return { ...DEFAULT_SETTINGS, ...consent };
+}
+
+/**
+ * Record a consent change: updates the current state and appends to the history
+ * @param {Object} data - { channel, purpose, status, source, proofMessageId, keyword, recordedBy, note, occurredAt }
+ * @returns {Promise<Object>} Current consent
+ */
+async function recordConsent(teamId, contactId, data) {
+  const {
+    channel = 'whatsapp',
+    purpose,
+    status,
+    source,
+    proofMessageId = null,
+    keyword = null,
+    recordedBy = null,
+    note = null,
+  } = data;
+  const occurredAt = data.occurredAt ? new Date(data.occurredAt) : new Date();
+
+  const [consent] = await prisma.$transaction([
+    prisma.contact_consents.upsert({
+      where: { contact_id_channel_purpose: { contact_id: contactId, channel, purpose } },
+      create: {
+        id: crypto.randomUUID(),
+        team_id: teamId,
+        contact_id: contactId,
+        channel,
+        purpose,
+        status,
+        source,
+        proof_message_id: proofMessageId,
+        changed_at: occurredAt,
+        updated_at: new Date(),
+      },
+      update: {
+        status,
+        source,
+        proof_message_id: proofMessageId,
+        changed_at: occurredAt,
+        updated_at: new Date(),
+      },
+    }),
+    prisma.consent_events.create({
+      data: {
+        id: crypto.randomUUID(),
+        team_id: teamId,
+        contact_id: contactId,
+        channel,
+        purpose,
+        status,
+        source,
+        proof_message_id: proofMessageId,
+        keyword,
+        recorded_by: recordedBy,
+        note,
+        occurred_at: occurredAt,
+      },
+    }),
+  ]);
+
+  logger.info(`Contact ${contactId} ${status} for ${purpose} (${source})`, { teamId, channel });
+
+  return mapConsent(consent);
+}
+
+/**
+ * Record a consent change made through the API
+ * @param {string} userId - User recording the change
+ * @returns {Promise<Object|null>} Current consent, or null if the contact is not in the team
+ */
+async function recordContactConsent(teamId, userId, contactId, data) {
+  const contact = await prisma.contacts.findFirst({
+    where: { id: contactId, team_id: teamId, deleted_at: null },
+    select: { id: true },
+  });
+
+  if (!contact) {
+    return null;
+  }
+
+  if (data.proofMessageId) {
+    const proof = await prisma.messages.findFirst({
+      where: { id: data.proofMessageId, contact_id: contactId },
+      select: { id: true },
+    });
+
+    if (!proof) {
+      throw new Error('Proof message not found');
+    }
+  }
+
+  return recordConsent(teamId, contactId, { ...data, recordedBy: userId });
+}
+
+/**
+ * Decide whether a contact may receive a message for a purpose
+ * Without a record contacts may receive everything, unless the team requires
+ * an explicit marketing opt-in.
+ * @param {string} purpose - 'marketing' or 'transactional'
+ * @param {Object} [settings] - Team consent settings, loaded when omitted
+ * @returns {Promise<Object>} { allowed, reason }
+ */
+async function checkConsent(teamId, contactId, purpose, settings) {
+  const consent = await prisma.contact_consents.findUnique({
+    where: {
+      contact_id_channel_purpose: { contact_id: contactId, channel: 'whatsapp', purpose },
+    },
+    select: { status: true },
+  });
+
+  if (consent?.status === 'opted_out') {
+    return { allowed: false, reason: `Contact opted out of ${purpose} messages` };
+  }
+
+  if (purpose === 'marketing' && consent?.status !== 'opted_in') {
+    const { requireMarketingOptIn } = settings || (await getSettings(teamId));
+    if (requireMarketingOptIn) {
+      return { allowed: false, reason: 'Contact has not opted in to marketing messages' };
+    }
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Prisma contacts filter matching the contacts that may receive a purpose
+ * Merge into a contacts where clause to exclude opted-out contacts up front.
+ * @returns {Promise<Object>} Where fragment
+ */
+async function getConsentWhere(teamId, purpose) {
+  const { requireMarketingOptIn } = await getSettings(teamId);
+
+  if (purpose === 'marketing' && requireMarketingOptIn) {
+    return {
+      contact_consents: { some: { channel: 'whatsapp', purpose, status: 'opted_in' } },
+    };
+  }
+
+  return {
+    contact_consents: { none: { channel: 'whatsapp', purpose, status: 'opted_out' } },
+  };
+}
+
+/**
+ * Apply an opt-out/opt-in keyword sent by a contact
+ * Text that is not exactly a configured keyword is ignored.
+ * @param {Object} contact - Contact ({ id })
+ * @param {Object} message - Inbound message ({ id, content })
+ * @returns {Promise<Object|null>} { action, keyword, reply } or null when no keyword matched
+ */
+async function handleInboundKeyword(teamId, contact, message) {
+  const keyword = normalizeKeyword(message.content);
+  if (!keyword) return null;
+
+  const settings = await getSettings(teamId);
+
+  let status;
+  if (settings.optOutKeywords.includes(keyword)) {
+    status = 'opted_out';
+  } else if (settings.optInKeywords.includes(keyword)) {
+    status = 'opted_in';
+  } else {
+    return null;
+  }
+
+  for (const purpose of settings.keywordPurposes) {
+    await recordConsent(teamId, contact.id, {
+      purpose,
+      status,
+      source: 'keyword',
+      proofMessageId: message.id,
+      keyword,
+      occurredAt: message.createdAt,
+    });
+  }
+
+  const reply = status === 'opted_out' ? settings.optOutReply : settings.optInReply;
+
+  return {
+    action: status,
+    keyword,
+    reply: settings.sendConfirmation && reply ? reply : null,
+  };
+}
+
+/**
+ * Current consent and full history of a contact
+ * @returns {Promise<Object|null>} { consents, canReceive, history }, or null if the contact is not in the team
+ */
+async function getContactConsent(teamId, contactId) {
+  const contact = await prisma.contacts.findFirst({
+    where: { id: contactId, team_id: teamId },
+    select: { id: true },
+  });
+
+  if (!contact) {
+    return null;
+  }
+
+  const [consents, history, settings] = await Promise.all([
+    prisma.contact_consents.findMany({
+      where: { contact_id: contactId },
+      orderBy: { purpose: 'asc' },
+    }),
+    prisma.consent_events.findMany({
+      where: { contact_id: contactId },
+      orderBy: { occurred_at: 'desc' },
+    }),
+    getSettings(teamId),
+  ]);
+
+  const canReceive = {};
+  for (const purpose of CONSENT_PURPOSES) {
+    canReceive[purpose] = (await checkConsent(teamId, contactId, purpose, settings)).allowed;
+  }
+
+  return {
+    consents: consents.map(mapConsent),
+    canReceive,
+    history: history.map(mapConsentEvent),
+  };
+}
+
+/**
+ * Export the team's consent history as CSV, oldest first
+ * @param {Object} filters - { from, to, contactId, purpose, status }
+ * @returns {Promise<string>} CSV
+ */
+async function exportConsentHistory(teamId, filters = {}) {
+  const where = { team_id: teamId };
+
+  if (filters.contactId) where.contact_id = filters.contactId;
+  if (filters.purpose) where.purpose = filters.purpose;
+  if (filters.status) where.status = filters.status;
+  if (filters.from || filters.to) {
+    where.occurred_at = {};
+    if (filters.from) where.occurred_at.gte = new Date(filters.from);
+    if (filters.to) where.occurred_at.lte = new Date(filters.to);
+  }
+
+  const events = await prisma.consent_events.findMany({
+    where,
+    orderBy: { occurred_at: 'asc' },
+    include: {
+      contacts: { select: { phone: true, first_name: true, last_name: true } },
+    },
+  });
+
+  const rows = events.map((event) => ({
+    ...mapConsentEvent(event),
+    phone: event.contacts?.phone,
+    name: [event.contacts?.first_name, event.contacts?.last_name].filter(Boolean).join(' '),
+  }));
+
+  return generateCSV(rows, HISTORY_CSV_HEADERS) || HISTORY_CSV_HEADERS.join(',');
+}
+
+export default {
+  getSettings,
+  updateSettings,
+  recordConsent,
+  recordContactConsent,
+  checkConsent,
+  getConsentWhere,
+  handleInboundKeyword,
+  getContactConsent,
+  exportConsentHistory,
+};
@@ -0,0 +1,446 @@
+/**
+ * Contact Merge Service
+ *
+ * Finds contacts that are likely the same person (see utils/contactMatching.js)
+ * and merges them. Merging moves everything recorded against the duplicates
+ * onto the surviving (primary) contact, fills in its fields by rule, soft
+ * deletes the duplicates and records the merge in audit_logs. A merged
+ * contact keeps its phone number and points to the primary (merged_into_id),
+ * so messages and orders from that number reach the primary.
+ */
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import ContactModel from '../models/contact.js';
+import engagementScoreService from './engagementScoreService.js';
+import { findDuplicateGroups } from '../utils/contactMatching.js';
+import logger from '../utils/logger.js';
+
+// Fields taken from the primary contact, or from the first duplicate that has them
+export const MERGE_FIELDS = [
+  'email',
+  'first_name',
+  'last_name',
+  'company',
+  'city',
+  'country',
+  'source',
+];
+
+// Records that move onto the primary contact as they are
+const MOVED_RELATIONS = [
+  'messages',
+  'ecommerce_orders',
+  'abandoned_carts',
+  'flow_executions',
+  'chatbot_conversations',
+  'conversation_notes',
+  'consent_events',
+  'marketing_sends',
+  'tracked_links',
+  'order_attributions',
+  'analytics_events',
+];
+
+// Records that belong to a conversation, moved when two conversations are folded into one
+const CONVERSATION_RELATIONS = [
+  'messages',
+  'conversation_notes',
+  'conversation_slas',
+  'flow_executions',
+  'chatbot_conversations',
+];
+
+// Contacts with long histories move many rows
+const MERGE_TIMEOUT_MS = 60 * 1000;
+
+const CONTACT_FIELDS = {
+  id: true,
+  team_id: true,
+  phone: true,
+  email: true,
+  first_name: true,
+  last_name: true,
+  company: true,
+  city: true,
+  country: true,
+  source: true,
+  notes: true,
+  custom_fields: true,
+  is_blocked: true,
+  last_contacted_at: true,
+  created_at: true,
+  updated_at: true,
+};
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Contact that is best kept when merging a group: the one contacted last, else the oldest
+ */
+function suggestPrimary(contacts) {
+  return [...contacts].sort(
+    (a, b) =>
+      (b.last_contacted_at?.getTime() || 0) - (a.last_contacted_at?.getTime() || 0) ||
+      a.created_at.getTime() - b.created_at.getTime()
+  )[0];
+}
+
+/**
+ * Find groups of the team's contacts that are likely the same person
+ * @param {string} teamId - Team ID
+ * @param {Object} options - { matchNames, minConfidence, limit }
+ * @returns {Promise<Object>} { groups, total }
+ */
+async function findDuplicates(teamId, { matchNames = true, minConfidence = 0, limit = 50 } = {}) {
+  const contacts = await prisma.contacts.findMany({
+    where: { team_id: teamId, deleted_at: null },
+    select: {
+      id: true,
+      phone: true,
+      email: true,
+      first_name: true,
+      last_name: true,
+      source: true,
+      last_contacted_at: true,
+      created_at: true,
+    },
+  });
+
+  const byId = new Map(contacts.map((contact) => [contact.id, contact]));
+  const groups = findDuplicateGroups(contacts, { matchNames }).filter(
+    (group) => group.confidence >= minConfidence
+  );
+
+  return {
+    groups: groups.slice(0, limit).map((group) => {
+      const members = group.contactIds.map((id) => byId.get(id));
+
+      return {
+        reasons: group.reasons,
+        confidence: group.confidence,
+        suggestedPrimaryId: suggestPrimary(members).id,
+        contacts: members.map((contact) => ({
+          id: contact.id,
+          phone: contact.phone,
+          email: contact.email,
+          firstName: contact.first_name,
+          lastName: contact.last_name,
+          source: contact.source,
+          lastContactedAt: contact.last_contacted_at,
+          createdAt: contact.created_at,
+        })),
+      };
+    }),
+    total: groups.length,
+  };
+}
+
+/**
+ * Fields of the merged contact
+ * Each MERGE_FIELDS field is the primary's value, else that of the most recently
+ * updated duplicate that has one, unless `fieldSources` names the contact to
+ * take it from. Notes are joined, custom fields are merged key by key (primary
+ * first), the contact is blocked if any of them was, and keeps the earliest
+ * creation and latest contact times. The phone number is always the primary's.
+ * @param {Object} primary - Primary contact row
+ * @param {Array<Object>} duplicates - Duplicate contact rows
+ * @param {Object} fieldSources - Field -> contact ID to take it from
+ * @returns {Object} contacts update data
+ */
+export function resolveMergedFields(primary, duplicates, fieldSources = {}) {
+  const byRecency = [...duplicates].sort((a, b) => b.updated_at - a.updated_at);
+  const all = [primary, ...byRecency];
+  const data = {};
+
+  MERGE_FIELDS.forEach((field) => {
+    const source = fieldSources[field] && all.find((contact) => contact.id === fieldSources[field]);
+    data[field] = source
+      ? source[field]
+      : (all.find((contact) => !isBlank(contact[field])) || primary)[field];
+  });
+
+  const notes = [...new Set(all.map((contact) => contact.notes?.trim()).filter(Boolean))];
+  data.notes = notes.length > 0 ? notes.join('\n\n') : primary.notes;
+
+  data.custom_fields = Object.assign(
+    {},
+    ...[...all].reverse().map((contact) => contact.custom_fields || {})
+  );
+  data.is_blocked = all.some((contact) => contact.is_blocked);
+
+  const contactedAt = all.map((contact) => contact.last_contacted_at).filter(Boolean);
+  data.last_contacted_at =
+    contactedAt.length > 0 ? new Date(Math.max(...contactedAt.map(Number))) : null;
+  data.created_at = new Date(Math.min(...all.map((contact) => Number(contact.created_at))));
+
+  return data;
+}
+
+/**
+ * Move the duplicates' conversations to the primary contact
+ * A duplicate's conversation on an account the primary already has a
+ * conversation on is folded into that one: its messages, notes, SLA timers,
+ * flow executions and chatbot sessions move, unread counts add up.
+ * @returns {Promise<Object>} { moved, folded }
+ */
+async function mergeConversations(tx, primaryId, duplicateIds) {
+  const [primaryConversations, duplicateConversations] = await Promise.all([
+    tx.conversations.findMany({ where: { contact_id: primaryId } }),
+    tx.conversations.findMany({
+      where: { contact_id: { in: duplicateIds } },
+      orderBy: { last_message_at: 'desc' },
+    }),
+  ]);
+  const byAccount = new Map(
+    primaryConversations.map((conversation) => [conversation.account_id, conversation])
+  );
+  const result = { moved: 0, folded: 0 };
+
+  for (const conversation of duplicateConversations) {
+    const target = byAccount.get(conversation.account_id);
+
+    if (!target) {
+      await tx.conversations.update({
+        where: { id: conversation.id },
+        data: { contact_id: primaryId, updated_at: new Date() },
+      });
+      byAccount.set(conversation.account_id, conversation);
+      result.moved++;
+      continue;
+    }
+
+    for (const relation of CONVERSATION_RELATIONS) {
+      await tx[relation].updateMany({
+        where: { conversation_id: conversation.id },
+        data: { conversation_id: target.id },
+      });
+    }
+
+    const isLater = (conversation.last_message_at || 0) > (target.last_message_at || 0);
+    await tx.conversations.update({
+      where: { id: target.id },
+      data: {
+        unread_count: { increment: conversation.unread_count },
+        ...(isLater && {
+          last_message_at: conversation.last_message_at,
+          last_message_preview: conversation.last_message_preview,
+        }),
+        updated_at: new Date(),
+      },
+    });
+    await tx.conversations.delete({ where: { id: conversation.id } });
+    result.folded++;
+  }
+
+  return result;
+}
+
+/**
+ * Move the duplicates' rows of a relation that allows one row per key and contact
+ * Rows whose key the primary (or an earlier duplicate) already has stay with
+ * their duplicate.
+ * @returns {Promise<number>} Rows moved
+ */
+async function moveUniqueRows(tx, model, keyOf, primaryId, duplicateIds) {
+  const [primaryRows, duplicateRows] = await Promise.all([
+    tx[model].findMany({ where: { contact_id: primaryId } }),
+    tx[model].findMany({ where: { contact_id: { in: duplicateIds } } }),
+  ]);
+  const taken = new Set(primaryRows.map(keyOf));
+  const ids = duplicateRows
+    .filter((row) => !taken.has(keyOf(row)) && taken.add(keyOf(row)))
+    .map((row) => row.id);
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const { count } = await tx[model].updateMany({
+    where: { id: { in: ids } },
+    data: { contact_id: primaryId },
+  });
+  return count;
+}
+
+/**
+ * Merge the duplicates' consent into the primary's
+ * Per channel and purpose, the most recent change wins.
+ */
+async function mergeConsents(tx, primaryId, duplicateIds) {
+  const [primaryConsents, duplicateConsents] = await Promise.all([
+    tx.contact_consents.findMany({ where: { contact_id: primaryId } }),
+    tx.contact_consents.findMany({
+      where: { contact_id: { in: duplicateIds } },
+      orderBy: { changed_at: 'desc' },
+    }),
+  ]);
+  const keyOf = (consent) => `${consent.channel}:${consent.purpose}`;
+  const current = new Map(primaryConsents.map((consent) => [keyOf(consent), consent]));
+
+  for (const consent of duplicateConsents) {
+    const existing = current.get(keyOf(consent));
+
+    if (!existing) {
+      await tx.contact_consents.update({
+        where: { id: consent.id },
+        data: { contact_id: primaryId, updated_at: new Date() },
+      });
+      current.set(keyOf(consent), consent);
+    } else if (consent.changed_at > existing.changed_at) {
+      await tx.contact_consents.update({
+        where: { id: existing.id },
+        data: {
+          status: consent.status,
+          source: consent.source,
+          proof_message_id: consent.proof_message_id,
+          changed_at: consent.changed_at,
+          updated_at: new Date(),
+        },
+      });
+      current.set(keyOf(consent), { ...existing, changed_at: consent.changed_at });
+    }
+  }
+}
+
+/**
+ * Merge duplicate contacts into a primary contact
+ * @param {string} teamId - Team ID
+ * @param {string} primaryId - Contact that is kept
+ * @param {Array<string>} duplicateIds - Contacts merged into it and deleted
+ * @param {Object} options - { fieldSources, userId, ipAddress, userAgent }
+ * @returns {Promise<Object>} { contact, mergedContactIds, moved }
+ */
+async function mergeContacts(
+  teamId,
+  primaryId,
+  duplicateIds,
+  { fieldSources = {}, userId = null, ipAddress = null, userAgent = null } = {}
+) {
+  const ids = [...new Set(duplicateIds)].filter((id) => id !== primaryId);
+
+  if (ids.length === 0) {
+    throw new Error('Cannot merge a contact into itself');
+  }
+
+  const contacts = await prisma.contacts.findMany({
+    where: { id: { in: [primaryId, ...ids] }, team_id: teamId, deleted_at: null },
+    select: CONTACT_FIELDS,
+  });
+
+  if (contacts.length !== ids.length + 1) {
+    throw new Error('Contact not found');
+  }
+
+  const invalidSource = Object.values(fieldSources).find(
+    (id) => !contacts.some((contact) => contact.id === id)
+  );
+  if (invalidSource) {
+    throw new Error('Field sources must be one of the merged contacts');
+  }
+
+  const primary = contacts.find((contact) => contact.id === primaryId);
+  const duplicates = contacts.filter((contact) => contact.id !== primaryId);
+  const data = resolveMergedFields(primary, duplicates, fieldSources);
+  const now = new Date();
+
+  const moved = await prisma.$transaction(
+    async (tx) => {
+      const counts = {};
+
+      counts.conversations = await mergeConversations(tx, primaryId, ids);
+
+      for (const relation of MOVED_RELATIONS) {
+        const { count } = await tx[relation].updateMany({
+          where: { contact_id: { in: ids } },
+          data: { contact_id: primaryId },
+        });
+        counts[relation] = count;
+      }
+
+      counts.campaign_messages = await moveUniqueRows(
+        tx,
+        'campaign_messages',
+        (row) => `${row.campaign_id}:${row.step}`,
+        primaryId,
+        ids
+      );
+      counts.campaign_enrollments = await moveUniqueRows(
+        tx,
+        'campaign_enrollments',
+        (row) => row.campaign_id,
+        primaryId,
+        ids
+      );
+      counts.contact_tags = await moveUniqueRows(
+        tx,
+        'contact_tags',
+        (row) => row.tag_id,
+        primaryId,
+        ids
+      );
+      counts.contact_senders = await moveUniqueRows(
+        tx,
+        'contact_senders',
+        () => 'sender',
+        primaryId,
+        ids
+      );
+
+      await mergeConsents(tx, primaryId, ids);
+
+      // Scores are recalculated from the moved activity
+      await tx.engagement_score_history.deleteMany({ where: { contact_id: { in: ids } } });
+
+      // Lookups by phone number find the primary from now on, also for earlier merges
+      await tx.contacts.updateMany({
+        where: { id: { in: ids } },
+        data: { deleted_at: now, merged_into_id: primaryId, updated_at: now },
+      });
+      await tx.contacts.updateMany({
+        where: { merged_into_id: { in: ids } },
+        data: { merged_into_id: primaryId },
+      });
+      await tx.contacts.update({
+        where: { id: primaryId },
+        data: { ...data, updated_at: now },
+      });
+
+      await tx.audit_logs.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: teamId,
+          user_id: userId,
+          action: 'contact.merged',
+          resource_type: 'contact',
+          resource_id: primaryId,
+          old_values: { primary, duplicates },
+          new_values: { contact: data, mergedContactIds: ids, moved: counts },
+          ip_address: ipAddress,
+          user_agent: userAgent,
+          timestamp: now,
+        },
+      });
+
+      return counts;
+    },
+    { timeout: MERGE_TIMEOUT_MS }
+  );
+
+  await engagementScoreService.recalculateContact(primaryId);
+
+  logger.info('Contacts merged', { teamId, primaryId, mergedContactIds: ids, userId });
+
+  return {
+    contact: await ContactModel.findById(primaryId),
+    mergedContactIds: ids,
+    moved,
+  };
+}
+
+export default {
+  findDuplicates,
+  mergeContacts,
+};
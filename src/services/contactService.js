@@ -3,6 +3,18 @@ import ContactModel from '../models/contact.js';
 import WhatsAppAccountModel from '../models/whatsappAccount.js';
 import logger from '../utils/logger.js';
 import prisma from '../config/database.js';
+import phoneNumberService from './phoneNumberService.js';
+import customFieldService from './customFieldService.js';
+
+/**
+ * Text of a custom field value in an export
+ * Multi-select values stay arrays, which generateCSV writes comma-separated.
+ */
+function formatExportValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
 
 /**
  * Contact Service - Business logic for contact operations
@@ -65,8 +77,27 @@ class ContactService {
         throw new Error('Unauthorized access to WhatsApp account');
       }
 
+      const { phone, error: phoneError } = await phoneNumberService.parseTeamPhone(
+        whatsappAccount.teamId,
+        data.phone,
+        data.country
+      );
+      if (phoneError) {
+        throw new Error(`Invalid phone number: ${phoneError}`);
+      }
+
+      const customFields = await customFieldService.validateContactFields(
+        whatsappAccount.teamId,
+        data.customFields,
+        { applyDefaults: true }
+      );
+
       // Check for duplicate contact
-      const existingContact = await ContactModel.findByPhone(whatsappAccount.teamId, data.phone);
+      const existingContact = await ContactModel.findByPhone(
+        whatsappAccount.teamId,
+        phone,
+        data.phone
+      );
 
       if (existingContact) {
         throw new Error('Contact with this phone number already exists');
@@ -76,14 +107,14 @@ class ContactService {
       const contact = await ContactModel.create({
         id: crypto.randomUUID(),
         teamId: whatsappAccount.teamId,
-        phone: data.phone,
+        phone,
         email: data.email,
         firstName: data.name ? data.name.split(' ')[0] : undefined,
         lastName: data.name ? data.name.split(' ').slice(1).join(' ') : undefined,
         company: data.company,
         city: data.city,
         country: data.country,
-        customFields: data.customFields || {},
+        customFields,
         source: data.source || 'Manual',
         notes: data.notes,
       });
@@ -304,7 +335,35 @@ class ContactService {
       });
 
       contact.messages = messages;
-      contact._count = { messages: messageCount };
+
+      // Load internal notes left by agents on the contact's conversations
+      const [noteCount, notes] = await Promise.all([
+        prisma.conversation_notes.count({ where: { contact_id: contactId } }),
+        prisma.conversation_notes.findMany({
+          where: { contact_id: contactId },
+          orderBy: { created_at: 'desc' },
+          take: 20,
+          include: {
+            users: { select: { id: true, email: true, first_name: true, last_name: true } },
+          },
+        }),
+      ]);
+
+      contact.conversationNotes = notes.map((note) => ({
+        id: note.id,
+        conversationId: note.conversation_id,
+        content: note.content,
+        mentions: note.mentions,
+        author: {
+          id: note.users.id,
+          email: note.users.email,
+          firstName: note.users.first_name,
+          lastName: note.users.last_name,
+        },
+        createdAt: note.created_at,
+        updatedAt: note.updated_at,
+      }));
+      contact._count = { messages: messageCount, conversationNotes: noteCount };
 
       logger.info('Contact retrieved', {
         contactId,
@@ -344,6 +403,14 @@ class ContactService {
         data.lastName = nameParts.slice(1).join(' ') || undefined;
       }
 
+      // The custom fields sent replace the contact's custom fields
+      if (data.customFields !== undefined) {
+        data.customFields = await customFieldService.validateContactFields(
+          contact.teamId,
+          data.customFields
+        );
+      }
+
       const updatedContact = await ContactModel.update(contactId, data);
 
       // Handle tags if provided
@@ -462,47 +529,66 @@ class ContactService {
     }
   }
 
+  /**
+   * Parse the rows of an uploaded CSV or Excel file
+   * @param {Object} file - Uploaded file
+   * @returns {Promise<Array<Object>>} Rows keyed by column header
+   */
+  async parseImportFile(file) {
+    const { parseCSV, parseExcel } = await import('../utils/fileParser.js');
+
+    // Parse file based on type
+    let rows = [];
+    const fileType = file.mimetype;
+
+    if (fileType === 'text/csv' || file.originalname.endsWith('.csv')) {
+      rows = await parseCSV(file.buffer);
+    } else if (
+      fileType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
+      fileType === 'application/vnd.ms-excel' ||
+      file.originalname.endsWith('.xlsx') ||
+      file.originalname.endsWith('.xls')
+    ) {
+      rows = parseExcel(file.buffer);
+    } else {
+      throw new Error('Unsupported file type. Please upload CSV or Excel file.');
+    }
+
+    if (!rows || rows.length === 0) {
+      throw new Error('No contacts found in file');
+    }
+
+    if (rows.length > 100000) {
+      throw new Error('File contains too many contacts. Maximum 100,000 contacts allowed.');
+    }
+
+    return rows;
+  }
+
   /**
    * Import contacts from file
+   * Columns are matched to contact fields by their header; use previewImport
+   * to map them.
    * @param {Object} file - Uploaded file
    * @param {string} userId - User ID
    * @param {string} whatsappAccountId - WhatsApp account ID
    * @param {string} teamId - Team ID
+   * @param {Object} [options] - { defaultCountry, duplicateStrategy } - defaultCountry overrides the team's default country
    * @returns {Promise<Object>} Import job details
    */
-  async importContacts(file, userId, whatsappAccountId, teamId) {
+  async importContacts(
+    file,
+    userId,
+    whatsappAccountId,
+    teamId,
+    { defaultCountry, duplicateStrategy = 'skip' } = {}
+  ) {
     try {
-      const { parseCSV, parseExcel } = await import('../utils/fileParser.js');
       const contactImportQueue = (await import('../queues/contactImportQueue.js')).default;
-      const { v4: uuidv4 } = await import('uuid');
-
-      // Parse file based on type
-      let contacts = [];
-      const fileType = file.mimetype;
-
-      if (fileType === 'text/csv' || file.originalname.endsWith('.csv')) {
-        contacts = await parseCSV(file.buffer);
-      } else if (
-        fileType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-        fileType === 'application/vnd.ms-excel' ||
-        file.originalname.endsWith('.xlsx') ||
-        file.originalname.endsWith('.xls')
-      ) {
-        contacts = parseExcel(file.buffer);
-      } else {
-        throw new Error('Unsupported file type. Please upload CSV or Excel file.');
-      }
-
-      if (!contacts || contacts.length === 0) {
-        throw new Error('No contacts found in file');
-      }
-
-      if (contacts.length > 100000) {
-        throw new Error('File contains too many contacts. Maximum 100,000 contacts allowed.');
-      }
+      const contacts = await this.parseImportFile(file);
 
       // Create import record
-      const importId = uuidv4();
+      const importId = crypto.randomUUID();
       await prisma.contact_imports.create({
         data: {
           id: importId,
@@ -510,8 +596,10 @@ class ContactService {
           user_id: userId,
           account_id: whatsappAccountId,
           filename: file.originalname,
-          file_type: fileType,
+          file_type: file.mimetype,
           total_count: contacts.length,
+          duplicate_strategy: duplicateStrategy,
+          default_country: defaultCountry || null,
           status: 'Pending',
         },
       });
@@ -523,6 +611,9 @@ class ContactService {
         teamId,
         contacts,
         importId,
+        duplicateStrategy,
+        defaultCountry:
+          defaultCountry || (await phoneNumberService.getSettings(teamId)).defaultCountry,
       });
 
       logger.info('Contact import queued', {
@@ -550,24 +641,213 @@ class ContactService {
   }
 
   /**
-   * Get import status
+   * Upload a file to import and preview it
+   * The rows are kept on the import until it is started with a column mapping
+   * (see startImport).
+   * @param {Object} file - Uploaded file
+   * @param {string} userId - User ID
+   * @param {string} whatsappAccountId - WhatsApp account ID
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Object>} { importId, filename, totalRows, headers, sampleRows, suggestedMapping, fields }
+   */
+  async previewImport(file, userId, whatsappAccountId, teamId) {
+    try {
+      const { IMPORT_FIELDS, getFileHeaders, suggestColumnMapping } = await import(
+        '../utils/importMapping.js'
+      );
+
+      const rows = await this.parseImportFile(file);
+      const headers = getFileHeaders(rows);
+      const definitions = await customFieldService.getDefinitions(teamId);
+      const suggestedMapping = suggestColumnMapping(headers, definitions);
+
+      const importId = crypto.randomUUID();
+      await prisma.contact_imports.create({
+        data: {
+          id: importId,
+          team_id: teamId,
+          user_id: userId,
+          account_id: whatsappAccountId,
+          filename: file.originalname,
+          file_type: file.mimetype,
+          total_count: rows.length,
+          headers,
+          rows,
+          mapping: suggestedMapping,
+          status: 'Uploaded',
+        },
+      });
+
+      logger.info('Contact import uploaded', {
+        userId,
+        whatsappAccountId,
+        totalRows: rows.length,
+        importId,
+      });
+
+      return {
+        importId,
+        filename: file.originalname,
+        totalRows: rows.length,
+        headers,
+        sampleRows: rows.slice(0, 5),
+        suggestedMapping,
+        fields: [
+          ...Object.entries(IMPORT_FIELDS).map(([key, label]) => ({ key, label, custom: false })),
+          ...definitions.map((definition) => ({
+            key: `custom_fields.${definition.key}`,
+            label: definition.label,
+            type: definition.type,
+            required: definition.required,
+            custom: true,
+          })),
+        ],
+      };
+    } catch (error) {
+      logger.error('Error previewing contact import', {
+        error: error.message,
+        userId,
+        whatsappAccountId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get an import of the user
+   * @throws {Error} If the import does not exist or belongs to another user
+   */
+  async getUserImport(importId, userId) {
+    const importRecord = await prisma.contact_imports.findUnique({
+      where: { id: importId },
+    });
+
+    if (!importRecord) {
+      throw new Error('Import not found');
+    }
+
+    if (importRecord.user_id !== userId) {
+      throw new Error('Unauthorized access to import');
+    }
+
+    return importRecord;
+  }
+
+  /**
+   * Queue a job of an uploaded import
+   * Options not given are those of the last dry run, else the suggested mapping,
+   * skipping duplicates and the team's default country.
+   * @param {Object} options - { mapping, duplicateStrategy, defaultCountry }
+   * @param {boolean} dryRun - Count what the import would do without saving contacts
+   */
+  async queueUploadedImport(importId, userId, options, dryRun) {
+    const { validateColumnMapping } = await import('../utils/importMapping.js');
+    const contactImportQueue = (await import('../queues/contactImportQueue.js')).default;
+
+    const importRecord = await this.getUserImport(importId, userId);
+
+    if (importRecord.status !== 'Uploaded') {
+      throw new Error('Import has already been started');
+    }
+
+    const mapping = options.mapping || importRecord.mapping;
+    const mappingErrors = validateColumnMapping(mapping, importRecord.headers);
+    if (mappingErrors.length > 0) {
+      throw new Error(`Invalid column mapping: ${mappingErrors.join('; ')}`);
+    }
+
+    const duplicateStrategy = options.duplicateStrategy || importRecord.duplicate_strategy;
+    const defaultCountry = options.defaultCountry || importRecord.default_country;
+
+    await prisma.contact_imports.update({
+      where: { id: importId },
+      data: {
+        mapping,
+        duplicate_strategy: duplicateStrategy,
+        default_country: defaultCountry,
+        ...(dryRun ? { dry_run: { status: 'Pending' } } : { status: 'Pending' }),
+      },
+    });
+
+    const job = await contactImportQueue.add({
+      userId,
+      whatsappAccountId: importRecord.account_id,
+      teamId: importRecord.team_id,
+      importId,
+      mapping,
+      duplicateStrategy,
+      dryRun,
+      defaultCountry:
+        defaultCountry ||
+        (await phoneNumberService.getSettings(importRecord.team_id)).defaultCountry,
+    });
+
+    logger.info(dryRun ? 'Contact import dry run queued' : 'Contact import queued', {
+      userId,
+      importId,
+      duplicateStrategy,
+      jobId: job.id,
+    });
+
+    return {
+      importId,
+      jobId: job.id,
+      totalContacts: importRecord.total_count,
+      duplicateStrategy,
+      status: 'Pending',
+    };
+  }
+
+  /**
+   * Count what an uploaded import would import, update, merge, skip and fail
+   * The counts are reported as dryRun by getImportStatus; no contact is saved.
    * @param {string} importId - Import ID
    * @param {string} userId - User ID
-   * @returns {Promise<Object>} Import status
+   * @param {Object} [options] - { mapping, duplicateStrategy, defaultCountry }
+   * @returns {Promise<Object>} Dry run job details
    */
-  async getImportStatus(importId, userId) {
+  async dryRunImport(importId, userId, options = {}) {
     try {
-      const importRecord = await prisma.contact_imports.findUnique({
-        where: { id: importId },
+      return await this.queueUploadedImport(importId, userId, options, true);
+    } catch (error) {
+      logger.error('Error queuing contact import dry run', {
+        error: error.message,
+        importId,
+        userId,
       });
+      throw error;
+    }
+  }
 
-      if (!importRecord) {
-        throw new Error('Import not found');
-      }
+  /**
+   * Start an uploaded import
+   * @param {string} importId - Import ID
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { mapping, duplicateStrategy, defaultCountry }
+   * @returns {Promise<Object>} Import job details
+   */
+  async startImport(importId, userId, options = {}) {
+    try {
+      return await this.queueUploadedImport(importId, userId, options, false);
+    } catch (error) {
+      logger.error('Error starting contact import', {
+        error: error.message,
+        importId,
+        userId,
+      });
+      throw error;
+    }
+  }
 
-      if (importRecord.user_id !== userId) {
-        throw new Error('Unauthorized access to import');
-      }
+  /**
+   * Get import status
+   * @param {string} importId - Import ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Import status
+   */
+  async getImportStatus(importId, userId) {
+    try {
+      const importRecord = await this.getUserImport(importId, userId);
 
       return {
         id: importRecord.id,
@@ -575,10 +855,17 @@ class ContactService {
         totalCount: importRecord.total_count,
         processedCount: importRecord.processed_count,
         importedCount: importRecord.imported_count,
+        updatedCount: importRecord.updated_count,
+        mergedCount: importRecord.merged_count,
         skippedCount: importRecord.skipped_count,
         failedCount: importRecord.failed_count,
         status: importRecord.status,
         errors: importRecord.errors,
+        headers: importRecord.headers,
+        mapping: importRecord.mapping,
+        duplicateStrategy: importRecord.duplicate_strategy,
+        defaultCountry: importRecord.default_country,
+        dryRun: importRecord.dry_run,
         startedAt: importRecord.started_at,
         completedAt: importRecord.completed_at,
         createdAt: importRecord.created_at,
@@ -597,12 +884,28 @@ class ContactService {
    * Export contacts to CSV
    * @param {string} userId - User ID
    * @param {string} teamId - Team ID
-   * @param {Object} filters - Export filters
+   * @param {Object} filters - Export filters; columns is a comma-separated list of getExportColumns keys
    * @returns {Promise<string>} CSV string
    */
   async exportContacts(userId, teamId, filters = {}) {
     try {
-      const { generateCSV } = await import('../utils/fileParser.js');
+      const { generateCSV, CONTACT_CSV_HEADERS } = await import('../utils/fileParser.js');
+
+      const definitions = await customFieldService.getDefinitions(teamId);
+      const customFieldKeys = definitions.map((definition) => definition.key);
+      const columns = filters.columns
+        ? filters.columns
+            .split(',')
+            .map((column) => column.trim())
+            .filter(Boolean)
+        : CONTACT_CSV_HEADERS;
+
+      const unknownColumn = columns.find(
+        (column) => !CONTACT_CSV_HEADERS.includes(column) && !customFieldKeys.includes(column)
+      );
+      if (unknownColumn) {
+        throw new Error(`Unknown export column: ${unknownColumn}`);
+      }
 
       // Build query
       const where = {
@@ -654,14 +957,18 @@ class ContactService {
           last_contacted_at: true,
           created_at: true,
           notes: true,
+          custom_fields: true,
         },
         orderBy: {
           created_at: 'desc',
         },
       });
 
-      // Transform contacts for CSV
+      // Transform contacts for CSV; custom field columns are headed by their key so files re-import
       const transformedContacts = contacts.map((contact) => ({
+        ...Object.fromEntries(
+          customFieldKeys.map((key) => [key, formatExportValue(contact.custom_fields?.[key])])
+        ),
         phone: contact.phone,
         name: `${contact.first_name || ''} ${contact.last_name || ''}`.trim(),
         email: contact.email || '',
@@ -675,7 +982,7 @@ class ContactService {
         createdAt: contact.created_at,
       }));
 
-      const csv = generateCSV(transformedContacts);
+      const csv = generateCSV(transformedContacts, columns);
 
       logger.info('Contacts exported', {
         userId,
@@ -694,6 +1001,31 @@ class ContactService {
     }
   }
 
+  /**
+   * Columns contacts can be exported with: the contact columns, then the team's custom fields
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Array>} [{ key, label, type, custom }] - type is set for custom fields
+   */
+  async getExportColumns(teamId) {
+    const { CONTACT_CSV_COLUMNS } = await import('../utils/fileParser.js');
+    const definitions = await customFieldService.getDefinitions(teamId);
+
+    return [
+      ...Object.entries(CONTACT_CSV_COLUMNS).map(([key, label]) => ({
+        key,
+        label,
+        type: null,
+        custom: false,
+      })),
+      ...definitions.map((definition) => ({
+        key: definition.key,
+        label: definition.label,
+        type: definition.type,
+        custom: true,
+      })),
+    ];
+  }
+
   /**
    * Get all tags for a team
    */
@@ -759,7 +1091,7 @@ class ContactService {
       if (segmentId) {
         const segmentService = (await import('./segmentService.js')).default;
         const segment = await segmentService.getSegmentById(segmentId, teamId);
-        const where = segmentService.buildSegmentQuery(segment.conditions, teamId);
+        const where = await segmentService.buildTeamSegmentQuery(segment.conditions, teamId);
 
         const contacts = await prisma.contacts.findMany({
           where,
@@ -10,6 +10,15 @@ import whatsappService from './whatsappService.js';
 import flowAnalyticsService from './flowAnalyticsService.js';
 import analyticsService from './analyticsService.js';
 import reportService from './reportService.js';
+import templateService from './templateService.js';
+import inboxService from './inboxService.js';
+import slaService from './slaService.js';
+import engagementScoreService from './engagementScoreService.js';
+import {
+  processABTestRollouts,
+  processRecurringCampaigns,
+  processSequenceCampaigns,
+} from './campaignService.js';
 import { PrismaClient } from '@prisma/client';
 
 const prisma = new PrismaClient();
@@ -62,6 +71,27 @@ class CronScheduler {
       // Expired report cleanup - daily at 1 AM
       this.scheduleExpiredReportCleanup();
 
+      // Template approval status polling - every 30 minutes
+      this.scheduleTemplateStatusSync();
+
+      // Snoozed conversation wake-up - every minute
+      this.scheduleSnoozedConversationWakeup();
+
+      // SLA warnings and breach alerts - every minute
+      this.scheduleSlaTimerCheck();
+
+      // Recurring campaign runs - every minute
+      this.scheduleRecurringCampaignRuns();
+
+      // A/B test winner rollout - every 5 minutes
+      this.scheduleABTestRollouts();
+
+      // Sequence campaign steps - every minute
+      this.scheduleSequenceCampaignSteps();
+
+      // Engagement score recalculation - daily at 4:30 AM
+      this.scheduleEngagementScoreRecalculation();
+
       this.isInitialized = true;
       logger.info('Cron scheduler initialized successfully');
     } catch (error) {
@@ -471,6 +501,209 @@ class CronScheduler {
     logger.info(`Scheduled job: ${jobName} (daily at 1 AM)`);
   }
 
+  /**
+   * Schedule template approval status polling (every 30 minutes)
+   * Fallback for template status webhooks that were missed or not configured
+   */
+  scheduleTemplateStatusSync() {
+    const jobName = 'template-status-sync';
+
+    // Run every 30 minutes: */30 * * * *
+    const job = cron.schedule(
+      '*/30 * * * *',
+      async () => {
+        try {
+          logger.info('Running scheduled template status sync...');
+          const result = await templateService.syncPendingTemplates();
+          logger.info('Scheduled template status sync completed', result);
+        } catch (error) {
+          logger.error('Error in scheduled template status sync:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: process.env.TZ || 'UTC',
+      }
+    );
+
+    this.jobs.set(jobName, job);
+    logger.info(`Scheduled job: ${jobName} (every 30 minutes)`);
+  }
+
+  /**
+   * Reopen snoozed inbox conversations whose snooze has expired
+   */
+  scheduleSnoozedConversationWakeup() {
+    const jobName = 'snoozed-conversation-wakeup';
+
+    // Run every minute: * * * * *
+    const job = cron.schedule(
+      '* * * * *',
+      async () => {
+        try {
+          const result = await inboxService.wakeSnoozedConversations();
+          if (result.reopened > 0) {
+            logger.info('Snoozed conversations reopened', result);
+          }
+        } catch (error) {
+          logger.error('Error in scheduled snoozed conversation wake-up:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: process.env.TZ || 'UTC',
+      }
+    );
+
+    this.jobs.set(jobName, job);
+    logger.info(`Scheduled job: ${jobName} (every minute)`);
+  }
+
+  /**
+   * Check running SLA timers and send warnings and breach alerts
+   */
+  scheduleSlaTimerCheck() {
+    const jobName = 'sla-timer-check';
+
+    // Run every minute: * * * * *
+    const job = cron.schedule(
+      '* * * * *',
+      async () => {
+        try {
+          const result = await slaService.checkSlaTimers();
+          if (result.warnings > 0 || result.breaches > 0) {
+            logger.info('SLA alerts sent', result);
+          }
+        } catch (error) {
+          logger.error('Error in scheduled SLA timer check:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: process.env.TZ || 'UTC',
+      }
+    );
+
+    this.jobs.set(jobName, job);
+    logger.info(`Scheduled job: ${jobName} (every minute)`);
+  }
+
+  /**
+   * Start the runs of recurring campaigns that are due
+   */
+  scheduleRecurringCampaignRuns() {
+    const jobName = 'recurring-campaign-runs';
+
+    // Run every minute: * * * * *
+    const job = cron.schedule(
+      '* * * * *',
+      async () => {
+        try {
+          const result = await processRecurringCampaigns();
+          if (result.due > 0) {
+            logger.info('Recurring campaign runs processed', result);
+          }
+        } catch (error) {
+          logger.error('Error in scheduled recurring campaign runs:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: process.env.TZ || 'UTC',
+      }
+    );
+
+    this.jobs.set(jobName, job);
+    logger.info(`Scheduled job: ${jobName} (every minute)`);
+  }
+
+  /**
+   * Roll out the winners of A/B tests whose test window has ended
+   */
+  scheduleABTestRollouts() {
+    const jobName = 'ab-test-rollouts';
+
+    // Run every 5 minutes: */5 * * * *
+    const job = cron.schedule(
+      '*/5 * * * *',
+      async () => {
+        try {
+          const result = await processABTestRollouts();
+          if (result.due > 0) {
+            logger.info('A/B test rollouts processed', result);
+          }
+        } catch (error) {
+          logger.error('Error in scheduled A/B test rollouts:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: process.env.TZ || 'UTC',
+      }
+    );
+
+    this.jobs.set(jobName, job);
+    logger.info(`Scheduled job: ${jobName} (every 5 minutes)`);
+  }
+
+  /**
+   * Send the steps of sequence campaigns that are due
+   */
+  scheduleSequenceCampaignSteps() {
+    const jobName = 'sequence-campaign-steps';
+
+    // Run every minute: * * * * *
+    const job = cron.schedule(
+      '* * * * *',
+      async () => {
+        try {
+          const result = await processSequenceCampaigns();
+          if (result.advanced > 0 || result.completed > 0 || result.failed > 0) {
+            logger.info('Sequence campaign steps processed', result);
+          }
+        } catch (error) {
+          logger.error('Error in scheduled sequence campaign steps:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: process.env.TZ || 'UTC',
+      }
+    );
+
+    this.jobs.set(jobName, job);
+    logger.info(`Scheduled job: ${jobName} (every minute)`);
+  }
+
+  /**
+   * Recalculate every contact's engagement score (daily at 4:30 AM)
+   * Scores decay without activity, so contacts that were not active are scored too
+   */
+  scheduleEngagementScoreRecalculation() {
+    const jobName = 'engagement-score-recalculation';
+
+    // Run every day at 4:30 AM: 30 4 * * *
+    const job = cron.schedule(
+      '30 4 * * *',
+      async () => {
+        try {
+          logger.info('Running scheduled engagement score recalculation...');
+          const result = await engagementScoreService.recalculateAllScores();
+          logger.info('Scheduled engagement score recalculation completed', result);
+        } catch (error) {
+          logger.error('Error in scheduled engagement score recalculation:', error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: process.env.TZ || 'UTC',
+      }
+    );
+
+    this.jobs.set(jobName, job);
+    logger.info(`Scheduled job: ${jobName} (daily at 4:30 AM)`);
+  }
+
   /**
    * Stop a specific cron job
    */
@@ -581,6 +814,20 @@ class CronScheduler {
           return await reportService.processScheduledReports();
         case 'expired-report-cleanup':
           return await reportService.cleanupExpiredReports();
+        case 'template-status-sync':
+          return await templateService.syncPendingTemplates();
+        case 'snoozed-conversation-wakeup':
+          return await inboxService.wakeSnoozedConversations();
+        case 'sla-timer-check':
+          return await slaService.checkSlaTimers();
+        case 'recurring-campaign-runs':
+          return await processRecurringCampaigns();
+        case 'ab-test-rollouts':
+          return await processABTestRollouts();
+        case 'sequence-campaign-steps':
+          return await processSequenceCampaigns();
+        case 'engagement-score-recalculation':
+          return await engagementScoreService.recalculateAllScores();
         default:
           throw new Error(`Unknown job: ${jobName}`);
       }
@@ -0,0 +1,224 @@
+/**
+ * Custom Field Service
+ *
+ * Team-defined contact custom fields. A definition gives a key of
+ * contacts.custom_fields a label, a type, whether it is required and a
+ * default; contacts created, updated or imported are checked against them
+ * and segment rules on the key compare values by type. Keys without a
+ * definition stay free-form.
+ */
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import logger from '../utils/logger.js';
+import {
+  RESERVED_KEYS,
+  coerceValue,
+  isEmptyValue,
+  validateCustomFields,
+} from '../utils/customFields.js';
+
+/**
+ * Map a custom_field_definitions row to the API shape
+ */
+function mapDefinition(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    key: row.key,
+    label: row.label,
+    type: row.type,
+    required: row.required,
+    defaultValue: row.default_value,
+    options: row.options || [],
+    position: row.position,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Check a definition's options and default value, converting the default to its type
+ * @param {Object} definition - { label, type, options, defaultValue }
+ * @returns {*} Default value to store
+ */
+function checkDefinition(definition) {
+  const { type, options } = definition;
+
+  if (type === 'select' || type === 'multi_select') {
+    if (!options || options.length === 0) {
+      throw new Error('Select fields need at least one option');
+    }
+  } else if (options && options.length > 0) {
+    throw new Error('Only select fields have options');
+  }
+
+  if (isEmptyValue(definition.defaultValue)) {
+    return null;
+  }
+
+  const { value, error } = coerceValue(definition, definition.defaultValue);
+  if (error) {
+    throw new Error(`Invalid default value: ${error}`);
+  }
+
+  return value;
+}
+
+/**
+ * List the team's custom field definitions in display order
+ * @returns {Promise<Array<Object>>}
+ */
+async function getDefinitions(teamId) {
+  const definitions = await prisma.custom_field_definitions.findMany({
+    where: { team_id: teamId },
+    orderBy: [{ position: 'asc' }, { created_at: 'asc' }],
+  });
+
+  return definitions.map(mapDefinition);
+}
+
+/**
+ * Get a custom field definition
+ * @returns {Promise<Object|null>}
+ */
+async function getDefinitionById(teamId, id) {
+  const definition = await prisma.custom_field_definitions.findFirst({
+    where: { id, team_id: teamId },
+  });
+
+  return mapDefinition(definition);
+}
+
+/**
+ * Define a custom field
+ * Contacts already storing the key keep their values as they are; they are
+ * checked the next time their custom fields are saved.
+ * @param {Object} data - { key, label, type, required, defaultValue, options, position }
+ */
+async function createDefinition(teamId, data) {
+  if (RESERVED_KEYS.includes(data.key)) {
+    throw new Error(`Key ${data.key} is reserved for a contact field`);
+  }
+
+  const existing = await prisma.custom_field_definitions.findUnique({
+    where: { team_id_key: { team_id: teamId, key: data.key } },
+    select: { id: true },
+  });
+
+  if (existing) {
+    throw new Error(`Custom field ${data.key} already exists`);
+  }
+
+  const defaultValue = checkDefinition(data);
+  // New fields are listed last unless placed
+  let { position } = data;
+  if (position === undefined) {
+    position = await prisma.custom_field_definitions.count({ where: { team_id: teamId } });
+  }
+
+  const definition = await prisma.custom_field_definitions.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: teamId,
+      key: data.key,
+      label: data.label,
+      type: data.type,
+      required: data.required || false,
+      default_value: defaultValue,
+      options: data.options || [],
+      position,
+      updated_at: new Date(),
+    },
+  });
+
+  logger.info(`Custom field defined: ${definition.key} (${definition.type}) for team ${teamId}`);
+
+  return mapDefinition(definition);
+}
+
+/**
+ * Update a custom field definition
+ * The key and type cannot change, as stored values and segment rules use them.
+ * @param {Object} data - { label, required, defaultValue, options, position }
+ * @returns {Promise<Object|null>} Updated definition, or null if not found
+ */
+async function updateDefinition(teamId, id, data) {
+  const existing = await getDefinitionById(teamId, id);
+
+  if (!existing) {
+    return null;
+  }
+
+  const merged = { ...existing, ...data };
+  const defaultValue = checkDefinition(merged);
+
+  const definition = await prisma.custom_field_definitions.update({
+    where: { id },
+    data: {
+      label: merged.label,
+      required: merged.required,
+      default_value: defaultValue,
+      options: merged.options,
+      position: merged.position,
+      updated_at: new Date(),
+    },
+  });
+
+  return mapDefinition(definition);
+}
+
+/**
+ * Delete a custom field definition
+ * Contacts keep the values they store under its key, which becomes free-form.
+ * @returns {Promise<boolean>} Whether a definition was deleted
+ */
+async function deleteDefinition(teamId, id) {
+  const result = await prisma.custom_field_definitions.deleteMany({
+    where: { id, team_id: teamId },
+  });
+
+  return result.count > 0;
+}
+
+/**
+ * Types of the team's custom fields by key, for segment rules
+ * @returns {Promise<Object>} { [key]: type }
+ */
+async function getFieldTypes(teamId) {
+  const definitions = await prisma.custom_field_definitions.findMany({
+    where: { team_id: teamId },
+    select: { key: true, type: true },
+  });
+
+  return Object.fromEntries(definitions.map((definition) => [definition.key, definition.type]));
+}
+
+/**
+ * Check a contact's custom fields against the team's definitions
+ * @param {Object} values - Custom fields of the contact
+ * @param {Object} [options] - { applyDefaults } - fill missing fields with their default (new contacts)
+ * @returns {Promise<Object>} Custom fields converted to their types
+ * @throws {Error} "Invalid custom fields: ..." listing the fields that are missing or invalid
+ */
+async function validateContactFields(teamId, values, options = {}) {
+  const definitions = await getDefinitions(teamId);
+  const result = validateCustomFields(definitions, values, options);
+
+  if (result.errors.length > 0) {
+    throw new Error(`Invalid custom fields: ${result.errors.join('; ')}`);
+  }
+
+  return result.values;
+}
+
+export default {
+  getDefinitions,
+  getDefinitionById,
+  createDefinition,
+  updateDefinition,
+  deleteDefinition,
+  getFieldTypes,
+  validateContactFields,
+};
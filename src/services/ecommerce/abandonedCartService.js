@@ -1,6 +1,18 @@
 import prisma from '../../config/database.js';
 import logger from '../../utils/logger.js';
-import { addJob } from '../../queues/index.js';
+import { addJob, addMessageJob } from '../../queues/index.js';
+import consentService from '../consentService.js';
+import personalizationService from '../personalizationService.js';
+
+// Integrations override it in metadata.cartRecovery.template; see docs/PERSONALIZATION.md
+const RECOVERY_TEMPLATE = `Hi {{cart.customer_name | default: first_name | "there"}}! 👋
+
+We noticed you left {{cart.item_count}} {{#if cart.item_count == 1}}item{{else}}items{{/if}} in your cart worth {{cart.total | currency}}.
+
+Complete your purchase now and get it delivered to you:
+{{cart.url}}
+
+Need help? Just reply to this message!`;
 
 /**
  * Abandoned Cart Recovery Service
@@ -204,7 +216,8 @@ class AbandonedCartService {
       }
 
       // Prepare recovery message
-      const message = this.generateRecoveryMessage(cart);
+      const settings = await personalizationService.getSettings(cart.team_id);
+      const message = this.generateRecoveryMessage(cart, settings);
 
       // Send message via WhatsApp
       const phoneNumber = cart.customer_phone || cart.contacts?.phone;
@@ -213,8 +226,25 @@ class AbandonedCartService {
         return { skipped: true, reason: 'No phone number' };
       }
 
-      // Queue message for sending
-      await addJob('sendMessage', {
+      // Recovery messages are marketing
+      const contactId =
+        cart.contact_id ||
+        (
+          await prisma.contacts.findFirst({
+            where: { team_id: cart.team_id, phone: phoneNumber },
+            select: { id: true },
+          })
+        )?.id;
+      if (contactId) {
+        const consent = await consentService.checkConsent(cart.team_id, contactId, 'marketing');
+        if (!consent.allowed) {
+          logger.info('Contact opted out, skipping recovery', { cartId, contactId });
+          return { skipped: true, reason: 'Contact opted out' };
+        }
+      }
+
+      // Queue message for sending; quiet hours may defer it and frequency caps suppress it
+      const queued = await addMessageJob({
         accountId: whatsappAccount.id,
         to: phoneNumber,
         message,
@@ -223,8 +253,18 @@ class AbandonedCartService {
           cartId: cart.id,
           externalCartId: cart.external_cart_id,
         },
+        teamId: cart.team_id,
+        contactId,
+        purpose: 'marketing',
+        source: 'abandoned_cart',
+        referenceId: cart.id,
       });
 
+      if (queued.status === 'suppressed') {
+        logger.info('Recovery message suppressed', { cartId, contactId, reason: queued.reason });
+        return { skipped: true, reason: queued.reason };
+      }
+
       // Update cart with recovery sent timestamp
       await prisma.abandoned_carts.update({
         where: { id: cartId },
@@ -252,21 +292,19 @@ class AbandonedCartService {
 
   /**
    * Generate recovery message text
-   * @param {Object} cart - Cart object
+   * @param {Object} cart - Cart object (integration and contacts included)
+   * @param {Object} settings - Team's personalization settings
    * @returns {string} Message text
+   * @throws {TemplateSyntaxError} If the integration's template is invalid
    */
-  generateRecoveryMessage(cart) {
-    const itemCount = Array.isArray(cart.items) ? cart.items.length : 0;
-    const itemText = itemCount === 1 ? 'item' : 'items';
-
-    return `Hi ${cart.customer_name || 'there'}! 👋
-
-We noticed you left ${itemCount} ${itemText} in your cart worth ${cart.currency} ${cart.total_amount}.
-
-Complete your purchase now and get it delivered to you:
-${cart.cart_url}
-
-Need help? Just reply to this message!`;
+  generateRecoveryMessage(cart, settings) {
+    const template = cart.integration?.metadata?.cartRecovery?.template || RECOVERY_TEMPLATE;
+
+    return personalizationService.renderContent(
+      template,
+      { contact: cart.contacts, cart },
+      settings
+    );
   }
 
   /**
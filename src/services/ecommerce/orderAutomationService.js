@@ -1,8 +1,28 @@
 import prisma from '../../config/database.js';
 import logger from '../../utils/logger.js';
 import { addJob } from '../../queues/index.js';
+import consentService from '../consentService.js';
+import personalizationService from '../personalizationService.js';
+import campaignAttributionService from '../campaignAttributionService.js';
+import engagementScoreService from '../engagementScoreService.js';
 import crypto from 'crypto';
 
+// Notification per order status, plus the ones sent by hand (POST /orders/:id/notify).
+// Integrations override them in metadata.notifications.templates; see docs/PERSONALIZATION.md.
+const NOTIFICATION_TEMPLATES = {
+  pending: `Hi {{order.customer_name | "there"}}! 🛍️\n\nThank you for your order #{{order.number}}!\n\nTotal: {{order.total | currency}}\n\nWe're processing your order and will update you soon.`,
+  processing: `Hi {{order.customer_name | "there"}}! ⚙️\n\nYour order #{{order.number}} is being processed!\n\nTotal: {{order.total | currency}}\n\nWe'll notify you once it's ready to ship.`,
+  completed: `Hi {{order.customer_name | "there"}}! ✅\n\nGreat news! Your order #{{order.number}} is complete!\n\nTotal: {{order.total | currency}}\n\nThank you for your purchase!`,
+  cancelled: `Hi {{order.customer_name | "there"}}! ❌\n\nYour order #{{order.number}} has been cancelled.\n\nIf you have any questions, please reply to this message.`,
+  refunded: `Hi {{order.customer_name | "there"}}! 💰\n\nYour refund for order #{{order.number}} has been processed.\n\nAmount: {{order.total | currency}}\n\nPlease allow 5-10 business days for the refund to appear.`,
+  failed: `Hi {{order.customer_name | "there"}}! ⚠️\n\nThere was an issue with your order #{{order.number}}.\n\nPlease contact us for assistance.`,
+  created: `Hi {{order.customer_name | "there"}}! 🎉\n\nYour order #{{order.number}} has been received!\n\nTotal: {{order.total | currency}}\n\nWe'll notify you when it ships. Thank you for your purchase!`,
+  fulfilled: `Hi {{order.customer_name | "there"}}! 📦\n\nGreat news! Your order #{{order.number}} has been fulfilled and is on its way!\n\n{{#if order.tracking_number}}Tracking: {{order.tracking_number}}\n{{order.tracking_url}}{{/if}}\n\nThank you for shopping with us!`,
+  shipped: `Hi {{order.customer_name | "there"}}! 🚚\n\nYour order #{{order.number}} has been shipped!\n\nTracking: {{order.tracking_number}}\n{{order.tracking_url}}\n\nExpected delivery soon!`,
+  delivered: `Hi {{order.customer_name | "there"}}! ✅\n\nYour order #{{order.number}} has been delivered!\n\nWe hope you love your purchase. If you have any questions, just reply to this message!`,
+  updated: `Hi {{order.customer_name | "there"}}! Your order #{{order.number}} has been updated. Status: {{order.status}}. Thank you for your purchase!`,
+};
+
 /**
  * Order Automation Service
  * Handles automatic order notifications and contact linking
@@ -16,7 +36,10 @@ class OrderAutomationService {
   async processOrder(order) {
     try {
       // Link order to contact
-      await this.linkOrderToContact(order);
+      const contactId = await this.linkOrderToContact(order);
+
+      // Credit the order to the campaigns its customer received
+      await this.attributeOrder({ ...order, contact_id: contactId });
 
       // Check if automatic notifications are enabled
       const integration = await prisma.ecommerce_integrations.findUnique({
@@ -35,7 +58,7 @@ class OrderAutomationService {
       const shouldNotify = notificationSettings.enabled !== false;
 
       if (shouldNotify) {
-        await this.sendOrderNotification(order);
+        await this.sendOrderNotification(order, notificationSettings.templates);
       }
 
       // Trigger flow events
@@ -54,6 +77,28 @@ class OrderAutomationService {
     }
   }
 
+  /**
+   * Attribute order revenue to campaigns and score the customer's engagement
+   * Attribution is reporting only; a failure must not retry the order job and
+   * send its notification again.
+   * @param {Object} order - Order object
+   * @returns {Promise<void>}
+   */
+  async attributeOrder(order) {
+    try {
+      await campaignAttributionService.attributeOrder(order);
+    } catch (error) {
+      logger.error('Error attributing order to campaigns', {
+        error: error.message,
+        orderId: order.id,
+      });
+    }
+
+    if (order.contact_id) {
+      await engagementScoreService.recalculateContact(order.contact_id);
+    }
+  }
+
   /**
    * Link order to existing contact or create new one
    * @param {Object} order - Order object
@@ -135,9 +180,10 @@ class OrderAutomationService {
   /**
    * Send order notification
    * @param {Object} order - Order object
+   * @param {Object} templates - Integration's notification templates by status
    * @returns {Promise<void>}
    */
-  async sendOrderNotification(order) {
+  async sendOrderNotification(order, templates = {}) {
     try {
       // Get WhatsApp account
       const whatsappAccount = await prisma.whatsapp_accounts.findFirst({
@@ -162,8 +208,24 @@ class OrderAutomationService {
         return;
       }
 
+      if (order.contact_id) {
+        const consent = await consentService.checkConsent(
+          order.team_id,
+          order.contact_id,
+          'transactional'
+        );
+        if (!consent.allowed) {
+          logger.info('Contact opted out of order notifications', { orderId: order.id });
+          return;
+        }
+      }
+
       // Generate notification message based on order status
-      const message = this.generateOrderNotification(order);
+      const [contact, settings] = await Promise.all([
+        order.contact_id ? prisma.contacts.findUnique({ where: { id: order.contact_id } }) : null,
+        personalizationService.getSettings(order.team_id),
+      ]);
+      const message = this.generateOrderNotification(order, { templates, contact, settings });
 
       // Queue message
       await addJob('sendMessage', {
@@ -193,25 +255,23 @@ class OrderAutomationService {
 
   /**
    * Generate order notification message
+   * Unknown notifications fall back to the one for pending orders.
    * @param {Object} order - Order object
+   * @param {Object} options - { notification (defaults to the order's status), templates, contact, settings }
    * @returns {string} Notification message
+   * @throws {TemplateSyntaxError} If an integration's template is invalid
    */
-  generateOrderNotification(order) {
-    const status = order.status.toLowerCase();
-    const customerName = order.customer_name || 'there';
-    const orderNumber = order.order_number;
-    const amount = `${order.currency} ${order.total_amount}`;
-
-    const templates = {
-      pending: `Hi ${customerName}! 🛍️\n\nThank you for your order #${orderNumber}!\n\nTotal: ${amount}\n\nWe're processing your order and will update you soon.`,
-      processing: `Hi ${customerName}! ⚙️\n\nYour order #${orderNumber} is being processed!\n\nTotal: ${amount}\n\nWe'll notify you once it's ready to ship.`,
-      completed: `Hi ${customerName}! ✅\n\nGreat news! Your order #${orderNumber} is complete!\n\nTotal: ${amount}\n\nThank you for your purchase!`,
-      cancelled: `Hi ${customerName}! ❌\n\nYour order #${orderNumber} has been cancelled.\n\nIf you have any questions, please reply to this message.`,
-      refunded: `Hi ${customerName}! 💰\n\nYour refund for order #${orderNumber} has been processed.\n\nAmount: ${amount}\n\nPlease allow 5-10 business days for the refund to appear.`,
-      failed: `Hi ${customerName}! ⚠️\n\nThere was an issue with your order #${orderNumber}.\n\nPlease contact us for assistance.`,
-    };
-
-    return templates[status] || templates.pending;
+  generateOrderNotification(
+    order,
+    { notification = order.status.toLowerCase(), templates = {}, contact = null, settings } = {}
+  ) {
+    const template =
+      templates?.[notification] ||
+      NOTIFICATION_TEMPLATES[notification] ||
+      templates?.pending ||
+      NOTIFICATION_TEMPLATES.pending;
+
+    return personalizationService.renderContent(template, { contact, order }, settings);
   }
 
   /**
@@ -1,7 +1,9 @@
 import ShopifyClient from './shopifyClient.js';
 import prisma from '../../config/database.js';
+import phoneNumberService from '../phoneNumberService.js';
 import { encryptCredentials, decryptCredentials } from '../../utils/encryption.js';
 import logger from '../../utils/logger.js';
+import { getLegacyPhoneForms } from '../../utils/phone.js';
 import crypto from 'crypto';
 
 class ShopifyService {
@@ -209,6 +211,7 @@ class ShopifyService {
         billing_address: orderData.billing_address,
         fulfillment_status: orderData.fulfillment_status,
         payment_status: orderData.financial_status,
+        created_at: orderData.created_at ? new Date(orderData.created_at) : undefined,
       },
       update: {
         status: this.mapOrderStatus(orderData.financial_status),
@@ -262,6 +265,7 @@ class ShopifyService {
 
   /**
    * Find or create contact from customer data
+   * Numbers without a country code are read in the customer's country
    */
   async findOrCreateContact(teamId, customer) {
     if (!customer || !customer.phone) return null;
@@ -269,19 +273,46 @@ class ShopifyService {
     const phone = customer.phone.replace(/\D/g, '');
     if (!phone) return null;
 
-    let contact = await prisma.contacts.findFirst({
-      where: {
-        team_id: teamId,
-        phone: { contains: phone },
-      },
-    });
+    const { phone: normalizedPhone } = await phoneNumberService.parseTeamPhone(
+      teamId,
+      customer.phone,
+      customer.default_address?.country_code
+    );
+
+    let contact =
+      normalizedPhone &&
+      (await prisma.contacts.findUnique({
+        where: { team_id_phone: { team_id: teamId, phone: normalizedPhone } },
+      }));
+
+    // Contacts stored before numbers were normalized
+    const legacyPhones = getLegacyPhoneForms(normalizedPhone, customer.phone);
+    if (!contact && legacyPhones.length > 0) {
+      contact = await prisma.contacts.findFirst({
+        where: { team_id: teamId, phone: { in: legacyPhones } },
+        orderBy: { created_at: 'asc' },
+      });
+    }
+    if (!contact) {
+      contact = await prisma.contacts.findFirst({
+        where: {
+          team_id: teamId,
+          phone: { contains: phone },
+        },
+      });
+    }
+
+    // Contacts merged into another one hand their orders on
+    if (contact?.merged_into_id) {
+      contact = await prisma.contacts.findUnique({ where: { id: contact.merged_into_id } });
+    }
 
     if (!contact) {
       contact = await prisma.contacts.create({
         data: {
           id: crypto.randomUUID(),
           team_id: teamId,
-          phone: customer.phone,
+          phone: normalizedPhone || customer.phone,
           email: customer.email,
           first_name: customer.first_name,
           last_name: customer.last_name,
@@ -1,7 +1,10 @@
 import WooCommerceClient from './woocommerceClient.js';
 import prisma from '../../../config/database.js';
+import phoneNumberService from '../../phoneNumberService.js';
 import { encryptCredentials, decryptCredentials } from '../../../utils/encryption.js';
 import logger from '../../../utils/logger.js';
+import { getLegacyPhoneForms } from '../../../utils/phone.js';
+import orderAutomationService from '../orderAutomationService.js';
 import crypto from 'crypto';
 
 class WooCommerceService {
@@ -194,7 +197,7 @@ class WooCommerceService {
   async processOrder(integration, orderData) {
     const contact = await this.findOrCreateContact(integration.team_id, orderData.billing);
 
-    await prisma.ecommerce_orders.upsert({
+    const order = await prisma.ecommerce_orders.upsert({
       where: {
         integration_id_external_order_id: {
           integration_id: integration.id,
@@ -226,6 +229,10 @@ class WooCommerceService {
           date_paid: orderData.date_paid,
           date_completed: orderData.date_completed,
         },
+        // WooCommerce dates are UTC without a zone designator
+        created_at: orderData.date_created_gmt
+          ? new Date(`${orderData.date_created_gmt}Z`)
+          : undefined,
       },
       update: {
         status: this.mapOrderStatus(orderData.status),
@@ -244,6 +251,8 @@ class WooCommerceService {
       },
     });
 
+    await orderAutomationService.attributeOrder(order);
+
     logger.info(`Processed WooCommerce order ${orderData.id} for integration ${integration.id}`);
   }
 
@@ -294,6 +303,7 @@ class WooCommerceService {
 
   /**
    * Find or create contact from customer data
+   * Numbers without a country code are read in the customer's country
    */
   async findOrCreateContact(teamId, billingData) {
     if (!billingData || !billingData.phone) return null;
@@ -301,19 +311,46 @@ class WooCommerceService {
     const phone = billingData.phone.replace(/\D/g, '');
     if (!phone) return null;
 
-    let contact = await prisma.contacts.findFirst({
-      where: {
-        team_id: teamId,
-        phone: { contains: phone },
-      },
-    });
+    const { phone: normalizedPhone } = await phoneNumberService.parseTeamPhone(
+      teamId,
+      billingData.phone,
+      billingData.country
+    );
+
+    let contact =
+      normalizedPhone &&
+      (await prisma.contacts.findUnique({
+        where: { team_id_phone: { team_id: teamId, phone: normalizedPhone } },
+      }));
+
+    // Contacts stored before numbers were normalized
+    const legacyPhones = getLegacyPhoneForms(normalizedPhone, billingData.phone);
+    if (!contact && legacyPhones.length > 0) {
+      contact = await prisma.contacts.findFirst({
+        where: { team_id: teamId, phone: { in: legacyPhones } },
+        orderBy: { created_at: 'asc' },
+      });
+    }
+    if (!contact) {
+      contact = await prisma.contacts.findFirst({
+        where: {
+          team_id: teamId,
+          phone: { contains: phone },
+        },
+      });
+    }
+
+    // Contacts merged into another one hand their orders on
+    if (contact?.merged_into_id) {
+      contact = await prisma.contacts.findUnique({ where: { id: contact.merged_into_id } });
+    }
 
     if (!contact) {
       contact = await prisma.contacts.create({
         data: {
           id: crypto.randomUUID(),
           team_id: teamId,
-          phone: billingData.phone,
+          phone: normalizedPhone || billingData.phone,
           email: billingData.email,
           first_name: billingData.first_name,
           last_name: billingData.last_name,
@@ -411,6 +411,47 @@ class EmailService {
     });
   }
 
+  /**
+   * Send SLA warning or breach alert
+   * @param {Object} user - Recipient ({ email, first_name })
+   * @param {Object} alert - { type, title, metricLabel, contactName, accountName, policyName, dueAt, conversationId }
+   */
+  async sendSlaAlert(user, alert) {
+    return this.sendEmail({
+      to: user.email,
+      subject: alert.title,
+      template: 'sla-alert',
+      templateData: {
+        firstName: user.first_name,
+        ...alert,
+        isBreach: alert.type === 'breach',
+        dueAt: new Date(alert.dueAt).toUTCString(),
+        conversationUrl: `${config.app.url}/inbox/${alert.conversationId}`,
+        appName: config.app.name,
+      },
+      priority: alert.type === 'breach' ? 'high' : 'normal',
+    });
+  }
+
+  /**
+   * Notify a team member that they were @mentioned in an internal note
+   * @param {Object} user - Recipient ({ email, first_name })
+   * @param {Object} mention - { title, authorName, contactName, content, conversationId }
+   */
+  async sendMentionNotification(user, mention) {
+    return this.sendEmail({
+      to: user.email,
+      subject: mention.title,
+      template: 'note-mention',
+      templateData: {
+        firstName: user.first_name,
+        ...mention,
+        conversationUrl: `${config.app.url}/inbox/${mention.conversationId}`,
+        appName: config.app.name,
+      },
+    });
+  }
+
   /**
    * Verify email service connection
    * @returns {boolean} Connection status
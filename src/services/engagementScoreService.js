@@ -0,0 +1,410 @@
+/**
+ * Engagement Score Service
+ *
+ * Keeps contacts.engagement_score up to date. A contact's score (0-100) adds
+ * up its inbound messages, reads of messages sent to it, replies, link clicks
+ * and orders within the lookback window, each worth the team's weight for it
+ * and losing half its worth every decay half-life. A contact is scored again
+ * whenever it is active, and every contact is scored nightly so scores decay
+ * without activity. Each day's score is kept for trend charts.
+ */
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import {
+  ENGAGEMENT_SIGNALS,
+  calculateEngagementScore,
+  findReplies,
+} from '../utils/engagementScore.js';
+import logger from '../utils/logger.js';
+
+// Orders in these statuses are not engagement
+const EXCLUDED_ORDER_STATUSES = ['Cancelled', 'Refunded', 'Failed'];
+
+// Contacts are scored in batches during the nightly pass
+const BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  // Points each activity earns when it just happened
+  weights: {
+    inboundMessage: 2,
+    read: 1,
+    reply: 5,
+    click: 4,
+    order: 15,
+  },
+  // Days after which an activity earns half its points
+  decayHalfLifeDays: 30,
+  // Activity older than this does not count
+  lookbackDays: 90,
+  // Days of score history kept
+  historyDays: 365,
+};
+
+function mergeSettings(stored = {}) {
+  return {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    weights: { ...DEFAULT_SETTINGS.weights, ...(stored.weights || {}) },
+  };
+}
+
+/**
+ * Get the team's engagement scoring settings merged over the defaults
+ * @returns {Promise<Object>} Settings
+ */
+async function getSettings(teamId) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  return mergeSettings(team?.settings?.engagement);
+}
+
+/**
+ * Update the team's engagement scoring settings
+ * Scores follow the new settings from the next recalculation.
+ * @param {Object} data - Partial settings; weights are merged one by one
+ * @returns {Promise<Object|null>} Settings, or null if the team does not exist
+ */
+async function updateSettings(teamId, data) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  if (!team) {
+    return null;
+  }
+
+  const stored = team.settings?.engagement || {};
+  const engagement = {
+    ...stored,
+    ...data,
+    ...(data.weights && { weights: { ...(stored.weights || {}), ...data.weights } }),
+  };
+
+  await prisma.teams.update({
+    where: { id: teamId },
+    data: { settings: { ...(team.settings || {}), engagement } },
+  });
+
+  return mergeSettings(engagement);
+}
+
+/**
+ * Start of the UTC day, the date score history is kept under
+ */
+function getHistoryDate(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * When each contact was active since a given time
+ * @param {Array<string>} contactIds
+ * @param {Date} since - Start of the lookback window
+ * @returns {Promise<Map<string, Object>>} Contact ID -> signal -> activity times
+ */
+async function getActivity(contactIds, since) {
+  const [messages, clicks, orders] = await Promise.all([
+    prisma.messages.findMany({
+      where: {
+        contact_id: { in: contactIds },
+        OR: [{ created_at: { gte: since } }, { read_at: { gte: since } }],
+      },
+      select: {
+        contact_id: true,
+        conversation_id: true,
+        senderType: true,
+        created_at: true,
+        read_at: true,
+      },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.tracked_links.findMany({
+      where: { contact_id: { in: contactIds }, last_clicked_at: { gte: since } },
+      select: { contact_id: true, last_clicked_at: true },
+    }),
+    prisma.ecommerce_orders.findMany({
+      where: {
+        contact_id: { in: contactIds },
+        created_at: { gte: since },
+        status: { notIn: EXCLUDED_ORDER_STATUSES },
+      },
+      select: { contact_id: true, created_at: true },
+    }),
+  ]);
+
+  const activity = new Map(
+    contactIds.map((id) => [id, Object.fromEntries(ENGAGEMENT_SIGNALS.map((s) => [s, []]))])
+  );
+  const messagesByContact = new Map();
+
+  messages.forEach((message) => {
+    const entry = activity.get(message.contact_id);
+
+    if (message.senderType === 'contact') {
+      if (message.created_at >= since) entry.inboundMessage.push(message.created_at);
+    } else if (message.read_at && message.read_at >= since) {
+      entry.read.push(message.read_at);
+    }
+
+    if (!messagesByContact.has(message.contact_id)) messagesByContact.set(message.contact_id, []);
+    messagesByContact.get(message.contact_id).push(message);
+  });
+
+  messagesByContact.forEach((contactMessages, contactId) => {
+    activity.get(contactId).reply = findReplies(contactMessages).filter((at) => at >= since);
+  });
+
+  clicks.forEach((link) => activity.get(link.contact_id).click.push(link.last_clicked_at));
+  orders.forEach((order) => activity.get(order.contact_id).order.push(order.created_at));
+
+  return activity;
+}
+
+/**
+ * Score contacts of one team, store changed scores and record today's history
+ * History is recorded for contacts with a score or whose score changed, so a
+ * day without a row means a score of 0.
+ * @param {Array<Object>} contacts - { id, team_id, engagement_score }
+ * @param {Object} settings - From getSettings
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<Object>>} { contactId, score, previousScore, components }
+ */
+async function scoreContacts(contacts, settings, now) {
+  const since = new Date(now.getTime() - settings.lookbackDays * DAY_MS);
+  const activity = await getActivity(
+    contacts.map((contact) => contact.id),
+    since
+  );
+
+  const results = contacts.map((contact) => ({
+    contactId: contact.id,
+    teamId: contact.team_id,
+    previousScore: contact.engagement_score,
+    ...calculateEngagementScore(activity.get(contact.id), settings, now),
+  }));
+
+  const changed = results.filter((result) => result.score !== result.previousScore);
+  const recorded = results.filter(
+    (result) => result.score > 0 || result.score !== result.previousScore
+  );
+  const date = getHistoryDate(now);
+
+  await prisma.$transaction([
+    ...changed.map((result) =>
+      prisma.contacts.update({
+        where: { id: result.contactId },
+        data: { engagement_score: result.score },
+      })
+    ),
+    prisma.engagement_score_history.deleteMany({
+      where: { contact_id: { in: recorded.map((result) => result.contactId) }, date },
+    }),
+    prisma.engagement_score_history.createMany({
+      data: recorded.map((result) => ({
+        id: crypto.randomUUID(),
+        team_id: result.teamId,
+        contact_id: result.contactId,
+        date,
+        score: result.score,
+        components: result.components,
+      })),
+    }),
+  ]);
+
+  return results;
+}
+
+/**
+ * Recalculate a contact's score after it was active
+ * Never rejects: scoring must not fail the message, click or order that triggered it.
+ * @param {string} contactId - Contact ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} { contactId, score, previousScore, components }, or null
+ */
+async function recalculateContact(contactId, now = new Date()) {
+  try {
+    const contact = await prisma.contacts.findUnique({
+      where: { id: contactId },
+      select: { id: true, team_id: true, engagement_score: true, deleted_at: true },
+    });
+
+    if (!contact || contact.deleted_at) {
+      return null;
+    }
+
+    const settings = await getSettings(contact.team_id);
+    const [result] = await scoreContacts([contact], settings, now);
+
+    return result;
+  } catch (error) {
+    logger.error('Failed to recalculate engagement score', {
+      error: error.message,
+      contactId,
+    });
+    return null;
+  }
+}
+
+/**
+ * Recalculate the scores of all of a team's contacts
+ * @param {string} teamId - Team ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { contacts, changed }
+ */
+async function recalculateTeam(teamId, now = new Date()) {
+  const settings = await getSettings(teamId);
+  const summary = { contacts: 0, changed: 0 };
+  let cursor;
+
+  for (;;) {
+    const contacts = await prisma.contacts.findMany({
+      where: { team_id: teamId, deleted_at: null },
+      select: { id: true, team_id: true, engagement_score: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+    });
+
+    if (contacts.length === 0) {
+      break;
+    }
+
+    const results = await scoreContacts(contacts, settings, now);
+    summary.contacts += results.length;
+    summary.changed += results.filter((result) => result.score !== result.previousScore).length;
+
+    if (contacts.length < BATCH_SIZE) {
+      break;
+    }
+    cursor = contacts[contacts.length - 1].id;
+  }
+
+  return summary;
+}
+
+/**
+ * Nightly pass: recalculate every team's scores and drop expired history
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { teams, contacts, changed, failed, pruned }
+ */
+async function recalculateAllScores(now = new Date()) {
+  const teams = await prisma.teams.findMany({ select: { id: true } });
+  const summary = { teams: teams.length, contacts: 0, changed: 0, failed: 0, pruned: 0 };
+
+  for (const team of teams) {
+    try {
+      const result = await recalculateTeam(team.id, now);
+      summary.contacts += result.contacts;
+      summary.changed += result.changed;
+
+      const { historyDays } = await getSettings(team.id);
+      const { count } = await prisma.engagement_score_history.deleteMany({
+        where: {
+          team_id: team.id,
+          date: { lt: getHistoryDate(new Date(now.getTime() - historyDays * DAY_MS)) },
+        },
+      });
+      summary.pruned += count;
+    } catch (error) {
+      summary.failed++;
+      logger.error('Failed to recalculate team engagement scores', {
+        error: error.message,
+        teamId: team.id,
+      });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * A contact's current score and daily score history
+ * @param {string} teamId - Team ID
+ * @param {string} contactId - Contact ID
+ * @param {number} days - Days of history
+ * @returns {Promise<Object|null>} { contactId, score, history }, or null if not found
+ */
+async function getContactHistory(teamId, contactId, days = 30, now = new Date()) {
+  const contact = await prisma.contacts.findFirst({
+    where: { id: contactId, team_id: teamId, deleted_at: null },
+    select: { id: true, engagement_score: true },
+  });
+
+  if (!contact) {
+    return null;
+  }
+
+  const rows = await prisma.engagement_score_history.findMany({
+    where: {
+      contact_id: contactId,
+      date: { gte: getHistoryDate(new Date(now.getTime() - (days - 1) * DAY_MS)) },
+    },
+    select: { date: true, score: true, components: true },
+    orderBy: { date: 'asc' },
+  });
+
+  return {
+    contactId: contact.id,
+    score: contact.engagement_score,
+    history: rows.map((row) => ({
+      date: row.date.toISOString().slice(0, 10),
+      score: row.score,
+      components: row.components,
+    })),
+  };
+}
+
+/**
+ * Daily average engagement score of a team's contacts
+ * Contacts without history on a day scored 0 that day.
+ * @param {string} teamId - Team ID
+ * @param {number} days - Days of trend, ending today
+ * @returns {Promise<Array<Object>>} { date, averageScore, engagedContacts, contacts }
+ */
+async function getTeamTrend(teamId, days = 30, now = new Date()) {
+  const today = getHistoryDate(now);
+  const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+  const rows = await prisma.$queryRaw`
+    SELECT day::date AS date,
+      COALESCE(h.total, 0)::int AS total,
+      COALESCE(h.engaged, 0)::int AS engaged,
+      (
+        SELECT COUNT(*) FROM contacts c
+        WHERE c.team_id = ${teamId}
+          AND c.created_at < day + INTERVAL '1 day'
+          AND (c.deleted_at IS NULL OR c.deleted_at >= day + INTERVAL '1 day')
+      )::int AS contacts
+    FROM generate_series(${since}::date, ${today}::date, INTERVAL '1 day') AS day
+    LEFT JOIN (
+      SELECT date, SUM(score) AS total, COUNT(*) FILTER (WHERE score > 0) AS engaged
+      FROM engagement_score_history
+      WHERE team_id = ${teamId} AND date >= ${since}::date
+      GROUP BY date
+    ) h ON h.date = day::date
+    ORDER BY day
+  `;
+
+  return rows.map((row) => ({
+    date: new Date(row.date).toISOString().slice(0, 10),
+    averageScore: row.contacts > 0 ? Math.round((row.total / row.contacts) * 100) / 100 : 0,
+    engagedContacts: row.engaged,
+    contacts: row.contacts,
+  }));
+}
+
+export default {
+  getSettings,
+  updateSettings,
+  recalculateContact,
+  recalculateTeam,
+  recalculateAllScores,
+  getContactHistory,
+  getTeamTrend,
+};
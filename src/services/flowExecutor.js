@@ -7,6 +7,9 @@ import prisma from '../config/database.js';
 import { logger } from '../utils/logger.js';
 import messageService from './messageService.js';
 import contactService from './contactService.js';
+import cannedResponseService from './cannedResponseService.js';
+import consentService from './consentService.js';
+import personalizationService from './personalizationService.js';
 import { flowQueue } from '../queues/index.js';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -314,8 +317,36 @@ async function handleSendMessageNode(node, execution, contact, flow) {
   const nodeData = node.data || node.config || {};
   const { message, messageType = 'text', mediaUrl } = nodeData;
 
-  // Replace variables in message
-  const processedMessage = replaceVariables(message, execution.variables, contact);
+  let type = messageType.charAt(0).toUpperCase() + messageType.slice(1);
+  let processedMessage;
+  let processedMediaUrl = mediaUrl
+    ? replaceVariables(mediaUrl, execution.variables, contact)
+    : null;
+
+  // A canned response (by ID or shortcode) supplies the message instead of node text
+  const cannedResponse =
+    nodeData.cannedResponseId || nodeData.shortcode
+      ? await cannedResponseService.renderCannedResponse(
+          flow.team_id,
+          { cannedResponseId: nodeData.cannedResponseId, shortcode: nodeData.shortcode },
+          contact,
+          execution.variables
+        )
+      : null;
+
+  if (cannedResponse) {
+    type = cannedResponse.type;
+    processedMessage = cannedResponse.content;
+    processedMediaUrl = cannedResponse.mediaUrl;
+  } else {
+    // Personalize the message ({{contact.first_name | "there"}}, {{#if ...}}, flow variables)
+    const settings = await personalizationService.getSettings(flow.team_id);
+    processedMessage = personalizationService.renderContent(
+      message,
+      { contact, variables: execution.variables },
+      settings
+    );
+  }
 
   // Send message (skip actual sending in test mode)
   if (execution.variables.testMode) {
@@ -326,15 +357,51 @@ async function handleSendMessageNode(node, execution, contact, flow) {
     return { variables: { lastMessageId: 'test-message-id' } };
   }
 
-  // Send message
+  // Nodes send marketing unless marked as transactional (order updates, OTPs, ...)
+  const purpose = nodeData.purpose || 'marketing';
+  const consent = await consentService.checkConsent(flow.team_id, contact.id, purpose);
+  if (!consent.allowed) {
+    logger.info(`Send message node skipped: ${consent.reason}`, {
+      nodeId: node.id,
+      contactId: contact.id,
+    });
+    return { variables: { lastMessageId: null, messageSkipped: 'opted_out' } };
+  }
+
+  // Send message from the node's account, or the account the flow was triggered on
   const result = await messageService.sendMessage({
-    whatsappAccountId: flow.team_id, // This should be the account ID
+    teamId: flow.team_id,
+    whatsappAccountId: nodeData.accountId || execution.variables.trigger?.accountId,
     contactId: contact.id,
-    type: messageType,
+    type,
     content: processedMessage,
-    mediaUrl: mediaUrl ? replaceVariables(mediaUrl, execution.variables, contact) : null,
+    mediaUrl: processedMediaUrl,
+    // Structured fields for Buttons/List/Location/Contact messages (see messageTypes.js)
+    buttons: nodeData.buttons,
+    header: nodeData.header,
+    footer: nodeData.footer,
+    buttonText: nodeData.buttonText,
+    sections: nodeData.sections,
+    location: nodeData.location,
+    contacts: nodeData.contacts,
+    // Marketing nodes are subject to the team's quiet hours and frequency caps
+    purpose,
+    source: 'flow',
+    referenceId: execution.id,
   });
 
+  if (result.suppressed) {
+    logger.info(`Send message node skipped: ${result.reason}`, {
+      nodeId: node.id,
+      contactId: contact.id,
+    });
+    return { variables: { lastMessageId: null, messageSkipped: 'frequency_capped' } };
+  }
+
+  if (cannedResponse) {
+    await cannedResponseService.recordUsage(cannedResponse.cannedResponseId);
+  }
+
   logger.debug(`Send message node executed`, { nodeId: node.id, messageId: result.id });
   return { variables: { lastMessageId: result.id } };
 }
@@ -543,8 +610,11 @@ function evaluateCondition(condition, variables, contact) {
   if (field.startsWith('contact.')) {
     const contactField = field.replace('contact.', '');
     fieldValue = contact[contactField] || contact.custom_fields?.[contactField];
-  } else {
+  } else if (field in variables) {
     fieldValue = variables[field];
+  } else {
+    // Dotted paths, e.g. trigger.interactiveReplyId for button/list replies
+    fieldValue = field.split('.').reduce((value, key) => value?.[key], variables);
   }
 
   // Evaluate based on operator
@@ -240,6 +240,13 @@ function matchesMessageConditions(config, eventData) {
     return false;
   }
 
+  // Check selected button/list option if specified
+  if (config.replyIds && config.replyIds.length > 0) {
+    if (!config.replyIds.includes(eventData.interactiveReplyId)) {
+      return false;
+    }
+  }
+
   return true;
 }
 
@@ -256,6 +263,8 @@ export async function triggerOnMessageReceived(message, contact, conversation) {
     message: message.content,
     messageType: message.messageType,
     messageId: message.id,
+    interactiveReplyId: message.interactiveReplyId || null,
+    contextMessageId: message.contextMessageId || null,
   });
 }
 
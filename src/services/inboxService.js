@@ -0,0 +1,338 @@
+/**
+ * Inbox Service
+ *
+ * Shared team inbox for human agents, built on the conversations table
+ * (one conversation per WhatsApp account/contact pair)
+ */
+
+import prisma from '../config/database.js';
+import conversationModel from '../models/conversation.js';
+import messageModel from '../models/message.js';
+import messageService from './messageService.js';
+import slaService from './slaService.js';
+import cannedResponseService from './cannedResponseService.js';
+import { emitConversationUpdated } from '../sockets/index.js';
+import logger from '../utils/logger.js';
+
+const conversationInclude = {
+  contacts: {
+    select: { id: true, phone: true, first_name: true, last_name: true, email: true },
+  },
+  users: {
+    select: { id: true, email: true, first_name: true, last_name: true, avatar_url: true },
+  },
+  whatsapp_accounts: {
+    select: { id: true, name: true, phone: true, type: true },
+  },
+};
+
+/**
+ * Map a conversation row with its relations to the inbox shape
+ */
+function mapConversation(dbConversation) {
+  if (!dbConversation) return null;
+
+  const { contacts, users, whatsapp_accounts: account } = dbConversation;
+
+  return {
+    ...conversationModel.mapToModel(dbConversation),
+    contact: contacts && {
+      id: contacts.id,
+      phone: contacts.phone,
+      firstName: contacts.first_name,
+      lastName: contacts.last_name,
+      email: contacts.email,
+    },
+    assignedAgent: users
+      ? {
+          id: users.id,
+          email: users.email,
+          firstName: users.first_name,
+          lastName: users.last_name,
+          avatarUrl: users.avatar_url,
+        }
+      : null,
+    account: account || null,
+  };
+}
+
+/**
+ * List inbox conversations
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Requesting agent (for the "mine" view)
+ * @param {Object} filters - { view, status, starred, accountId, tag, search, page, limit }
+ * @returns {Promise<Object>} { conversations, pagination }
+ */
+async function getConversations(teamId, userId, filters = {}) {
+  const {
+    page = 1,
+    limit = 20,
+    view = 'all',
+    status,
+    starred,
+    accountId,
+    tag,
+    search,
+    sortOrder = 'desc',
+  } = filters;
+
+  const where = { team_id: teamId };
+
+  if (view === 'mine') where.assigned_agent_id = userId;
+  if (view === 'unassigned') where.assigned_agent_id = null;
+  if (status) where.status = status;
+  if (starred !== undefined) where.is_starred = starred;
+  if (accountId) where.account_id = accountId;
+
+  if (tag || search) {
+    where.contacts = {
+      ...(tag && { contact_tags: { some: { tags: { name: tag } } } }),
+      ...(search && {
+        OR: [
+          { phone: { contains: search } },
+          { first_name: { contains: search, mode: 'insensitive' } },
+          { last_name: { contains: search, mode: 'insensitive' } },
+          { email: { contains: search, mode: 'insensitive' } },
+        ],
+      }),
+    };
+  }
+
+  const [conversations, total] = await Promise.all([
+    prisma.conversations.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { last_message_at: { sort: sortOrder, nulls: 'last' } },
+      include: conversationInclude,
+    }),
+    prisma.conversations.count({ where }),
+  ]);
+
+  return {
+    conversations: conversations.map(mapConversation),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get a single conversation
+ * @returns {Promise<Object|null>} Conversation, or null if not in the team
+ */
+async function getConversationById(teamId, conversationId) {
+  const conversation = await prisma.conversations.findFirst({
+    where: { id: conversationId, team_id: teamId },
+    include: conversationInclude,
+  });
+
+  return mapConversation(conversation);
+}
+
+/**
+ * Get the message thread of a conversation, newest first
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object|null>} { messages, pagination }, or null if not in the team
+ */
+async function getConversationMessages(teamId, conversationId, options = {}) {
+  const { page = 1, limit = 50 } = options;
+
+  const conversation = await prisma.conversations.findFirst({
+    where: { id: conversationId, team_id: teamId },
+    select: { id: true },
+  });
+
+  if (!conversation) {
+    return null;
+  }
+
+  const [messages, total] = await Promise.all([
+    messageModel.findByConversationId(conversationId, {
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.messages.count({ where: { conversation_id: conversationId } }),
+  ]);
+
+  return {
+    messages,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Apply an inbox change to a conversation and notify the team
+ * @param {string} change - Change name sent with the socket event
+ * @returns {Promise<Object|null>} Updated conversation, or null if not in the team
+ */
+async function updateConversation(teamId, conversationId, data, change) {
+  const existing = await prisma.conversations.findFirst({
+    where: { id: conversationId, team_id: teamId },
+    select: { id: true },
+  });
+
+  if (!existing) {
+    return null;
+  }
+
+  await conversationModel.update(conversationId, data);
+  const conversation = await getConversationById(teamId, conversationId);
+
+  emitConversationUpdated(teamId, conversation, change);
+  logger.info(`Conversation ${conversationId} ${change}`, { teamId });
+
+  return conversation;
+}
+
+/**
+ * Reply to a conversation from its WhatsApp account
+ * Replying marks the conversation read and reopens it if it was closed or snoozed
+ * @param {Object} data - Message type and content (see messageValidator.messageContentFields),
+ *   or { cannedResponseId } / { shortcode } to send a canned response rendered for the contact
+ * @returns {Promise<Object|null>} Queued message, or null if the conversation is not in the team
+ */
+async function replyToConversation(teamId, userId, conversationId, data) {
+  const conversation = await prisma.conversations.findFirst({
+    where: { id: conversationId, team_id: teamId },
+    include: { contacts: true },
+  });
+
+  if (!conversation) {
+    return null;
+  }
+
+  let content = data;
+  let cannedResponseId = null;
+
+  if (data.cannedResponseId || data.shortcode) {
+    const rendered = await cannedResponseService.renderCannedResponse(
+      teamId,
+      data,
+      conversation.contacts
+    );
+    cannedResponseId = rendered.cannedResponseId;
+    content = { type: rendered.type, content: rendered.content, mediaUrl: rendered.mediaUrl };
+  }
+
+  const message = await messageService.sendMessage({
+    ...content,
+    teamId,
+    userId,
+    whatsappAccountId: conversation.account_id,
+    contactId: conversation.contact_id,
+  });
+
+  if (cannedResponseId) {
+    await cannedResponseService.recordUsage(cannedResponseId);
+  }
+
+  await updateConversation(
+    teamId,
+    conversationId,
+    { status: 'open', snoozedUntil: null, unreadCount: 0 },
+    'replied'
+  );
+
+  return message;
+}
+
+/**
+ * Reset the unread count of a conversation
+ */
+async function markAsRead(teamId, conversationId) {
+  return updateConversation(teamId, conversationId, { unreadCount: 0 }, 'read');
+}
+
+/**
+ * Star or unstar a conversation
+ */
+async function setStarred(teamId, conversationId, isStarred) {
+  return updateConversation(
+    teamId,
+    conversationId,
+    { isStarred },
+    isStarred ? 'starred' : 'unstarred'
+  );
+}
+
+/**
+ * Close a conversation (a new inbound message reopens it) and end its SLA cycle
+ */
+async function closeConversation(teamId, conversationId) {
+  const conversation = await updateConversation(
+    teamId,
+    conversationId,
+    { status: 'closed', snoozedUntil: null },
+    'closed'
+  );
+
+  if (conversation) {
+    await slaService.resolveConversation(conversationId);
+  }
+
+  return conversation;
+}
+
+/**
+ * Reopen a closed or snoozed conversation
+ */
+async function reopenConversation(teamId, conversationId) {
+  return updateConversation(
+    teamId,
+    conversationId,
+    { status: 'open', snoozedUntil: null },
+    'reopened'
+  );
+}
+
+/**
+ * Hide a conversation until a given time (or until the contact writes again)
+ * @param {Date} until - When the conversation returns to the open inbox
+ */
+async function snoozeConversation(teamId, conversationId, until) {
+  return updateConversation(
+    teamId,
+    conversationId,
+    { status: 'snoozed', snoozedUntil: new Date(until) },
+    'snoozed'
+  );
+}
+
+/**
+ * Reopen conversations whose snooze has expired (cron)
+ * @returns {Promise<Object>} { reopened }
+ */
+async function wakeSnoozedConversations() {
+  const due = await prisma.conversations.findMany({
+    where: { status: 'snoozed', snoozed_until: { lte: new Date() } },
+    select: { id: true, team_id: true },
+  });
+
+  for (const { id, team_id: teamId } of due) {
+    await updateConversation(teamId, id, { status: 'open', snoozedUntil: null }, 'unsnoozed');
+  }
+
+  return { reopened: due.length };
+}
+
+export default {
+  getConversations,
+  getConversationById,
+  getConversationMessages,
+  replyToConversation,
+  markAsRead,
+  setStarred,
+  closeConversation,
+  reopenConversation,
+  snoozeConversation,
+  wakeSnoozedConversations,
+};
@@ -0,0 +1,298 @@
+/**
+ * Marketing Limits Service
+ *
+ * Team-wide quiet hours and per-contact frequency caps for marketing messages.
+ * Campaigns, flows and cart recovery all reserve their sends here (through
+ * addMessageJob) so the caps count every marketing message a contact gets.
+ * Sends inside quiet hours are deferred to the end of the quiet period; sends
+ * over a cap are suppressed.
+ */
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { getContactTimezone } from './sendTimeService.js';
+import { getCalendarParts, getNextOccurrence } from '../utils/recurrence.js';
+import logger from '../utils/logger.js';
+
+export const MARKETING_SOURCES = ['campaign', 'flow', 'abandoned_cart'];
+
+// Contacts are loaded in chunks to keep the queries small
+const CHUNK_SIZE = 1000;
+
+const DEFAULT_SETTINGS = {
+  // Local time of the contact; the period may cross midnight
+  quietHours: { enabled: false, start: '21:00', end: '08:00' },
+  // Marketing messages per contact per local calendar day / week (from Monday); null for no cap
+  maxPerDay: null,
+  maxPerWeek: null,
+  // Time zone for contacts without a known one
+  timezone: 'UTC',
+};
+
+/**
+ * Get the team's marketing limits merged over the defaults
+ * @returns {Promise<Object>} Settings
+ */
+async function getSettings(teamId) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  const limits = team?.settings?.marketingLimits || {};
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...limits,
+    quietHours: { ...DEFAULT_SETTINGS.quietHours, ...(limits.quietHours || {}) },
+  };
+}
+
+/**
+ * Update the team's marketing limits
+ * @param {Object} data - Partial settings
+ * @returns {Promise<Object|null>} Settings, or null if the team does not exist
+ */
+async function updateSettings(teamId, data) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  if (!team) {
+    return null;
+  }
+
+  const current = team.settings?.marketingLimits || {};
+  const marketingLimits = {
+    ...current,
+    ...data,
+    quietHours: { ...(current.quietHours || {}), ...(data.quietHours || {}) },
+  };
+
+  await prisma.teams.update({
+    where: { id: teamId },
+    data: { settings: { ...(team.settings || {}), marketingLimits } },
+  });
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...marketingLimits,
+    quietHours: { ...DEFAULT_SETTINGS.quietHours, ...marketingLimits.quietHours },
+  };
+}
+
+/**
+ * End of the quiet period a moment falls in, or null outside quiet hours
+ * @param {Object} quietHours - { enabled, start, end } ('HH:mm')
+ * @returns {Date|null}
+ */
+export function getQuietHoursEnd(quietHours, timezone, at) {
+  if (!quietHours?.enabled) {
+    return null;
+  }
+
+  const { hour, minute } = getCalendarParts(at, timezone);
+  const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  const { start, end } = quietHours;
+  const isQuiet = start <= end ? time >= start && time < end : time >= start || time < end;
+
+  return isQuiet ? getNextOccurrence({ frequency: 'daily', time: end, timezone }, at) : null;
+}
+
+/**
+ * Local calendar day or week (from Monday) a moment falls in
+ * @param {string} period - 'day' or 'week'
+ * @returns {Object} { start, end }
+ */
+function getPeriodBounds(period, timezone, at) {
+  const days = period === 'week' ? 7 : 1;
+  const config =
+    period === 'week'
+      ? { frequency: 'weekly', daysOfWeek: [1], time: '00:00', timezone }
+      : { frequency: 'daily', time: '00:00', timezone };
+
+  return {
+    start: getNextOccurrence(config, new Date(at.getTime() - days * 24 * 60 * 60 * 1000)),
+    end: getNextOccurrence(config, at),
+  };
+}
+
+/**
+ * Frequency caps a team has set, as [period, limit] pairs
+ */
+function getCaps(settings) {
+  return [
+    ['day', settings.maxPerDay],
+    ['week', settings.maxPerWeek],
+  ].filter(([, limit]) => limit);
+}
+
+/**
+ * Reason a send is suppressed by a frequency cap
+ */
+function getCapReason(period, limit) {
+  return `Frequency cap reached: ${limit} marketing message${limit === 1 ? '' : 's'} per ${period}`;
+}
+
+/**
+ * Apply quiet hours and frequency caps to a marketing send and reserve it
+ * Reserved sends count towards the caps of later sends. Reservations of a contact
+ * are made one at a time (transaction-scoped advisory lock), so concurrent
+ * workers cannot both pass a cap.
+ * @param {Object} send - { sendAt, source, referenceId }
+ * @returns {Promise<Object>} { action: 'send'|'defer'|'suppress', sendAt, reason }
+ */
+async function reserveSend(teamId, contactId, { sendAt = new Date(), source, referenceId } = {}) {
+  const [settings, contact] = await Promise.all([
+    getSettings(teamId),
+    prisma.contacts.findFirst({
+      where: { id: contactId, team_id: teamId },
+      select: { country: true, custom_fields: true },
+    }),
+  ]);
+
+  if (!contact) {
+    return { action: 'send', sendAt, reason: null };
+  }
+
+  const timezone = getContactTimezone(contact, settings.timezone);
+  const quietHoursEnd = getQuietHoursEnd(settings.quietHours, timezone, sendAt);
+  const plannedAt = quietHoursEnd || sendAt;
+
+  const reason = await prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${contactId}))`;
+
+    for (const [period, limit] of getCaps(settings)) {
+      const { start, end } = getPeriodBounds(period, timezone, plannedAt);
+      const count = await tx.marketing_sends.count({
+        where: { contact_id: contactId, send_at: { gte: start, lt: end } },
+      });
+
+      if (count >= limit) {
+        return getCapReason(period, limit);
+      }
+    }
+
+    await tx.marketing_sends.create({
+      data: {
+        id: crypto.randomUUID(),
+        team_id: teamId,
+        contact_id: contactId,
+        source,
+        reference_id: referenceId || null,
+        send_at: plannedAt,
+      },
+    });
+
+    return null;
+  });
+
+  if (reason) {
+    logger.info('Marketing send suppressed', { teamId, contactId, source, reason });
+    return { action: 'suppress', sendAt: null, reason };
+  }
+
+  if (quietHoursEnd) {
+    return { action: 'defer', sendAt: quietHoursEnd, reason: 'Quiet hours' };
+  }
+
+  return { action: 'send', sendAt, reason: null };
+}
+
+/**
+ * Apply quiet hours and frequency caps to a batch of sends without reserving them
+ * Used to preview campaigns; the sends of the batch do not count towards each other's caps.
+ * @param {Array<Object>} contacts - Contact rows (id, country, custom_fields)
+ * @param {Date} sendAt - Planned send time of the batch
+ * @returns {Promise<Object>} { suppressed: Map of contact id -> reason, deferred: Map of contact id -> send time }
+ */
+async function previewSends(teamId, contacts, sendAt = new Date()) {
+  const settings = await getSettings(teamId);
+  const caps = getCaps(settings);
+  const suppressed = new Map();
+  const deferred = new Map();
+
+  // A week either side of the send covers every period a deferred send can fall in
+  const sends = new Map();
+  if (caps.length > 0) {
+    const range = {
+      gte: new Date(sendAt.getTime() - 8 * 24 * 60 * 60 * 1000),
+      lt: new Date(sendAt.getTime() + 9 * 24 * 60 * 60 * 1000),
+    };
+
+    for (let i = 0; i < contacts.length; i += CHUNK_SIZE) {
+      const rows = await prisma.marketing_sends.findMany({
+        where: {
+          contact_id: { in: contacts.slice(i, i + CHUNK_SIZE).map((contact) => contact.id) },
+          send_at: range,
+        },
+        select: { contact_id: true, send_at: true },
+      });
+
+      rows.forEach((row) => {
+        if (!sends.has(row.contact_id)) sends.set(row.contact_id, []);
+        sends.get(row.contact_id).push(row.send_at);
+      });
+    }
+  }
+
+  // Most contacts share a time zone and send time, so their periods are computed once
+  const bounds = new Map();
+  const getBounds = (period, timezone, at) => {
+    const key = `${period}|${timezone}|${at.getTime()}`;
+    if (!bounds.has(key)) bounds.set(key, getPeriodBounds(period, timezone, at));
+    return bounds.get(key);
+  };
+
+  for (const contact of contacts) {
+    const timezone = getContactTimezone(contact, settings.timezone);
+    const quietHoursEnd = getQuietHoursEnd(settings.quietHours, timezone, sendAt);
+    const plannedAt = quietHoursEnd || sendAt;
+    const contactSends = sends.get(contact.id) || [];
+
+    const cap = caps.find(([period, limit]) => {
+      const { start, end } = getBounds(period, timezone, plannedAt);
+      return contactSends.filter((at) => at >= start && at < end).length >= limit;
+    });
+
+    if (cap) {
+      suppressed.set(contact.id, getCapReason(...cap));
+    } else if (quietHoursEnd) {
+      deferred.set(contact.id, quietHoursEnd);
+    }
+  }
+
+  return { suppressed, deferred };
+}
+
+/**
+ * Release a reserved send that will not go out (e.g. a message of a paused campaign)
+ * Only the latest reservation made for the reference is released, so other
+ * sends of the contact keep counting towards the caps.
+ * @param {string} referenceId - Reference the send was reserved with (e.g. campaign message ID)
+ * @returns {Promise<boolean>} Whether a reservation was released
+ */
+async function releaseSend(contactId, referenceId) {
+  const reservation = await prisma.marketing_sends.findFirst({
+    where: { contact_id: contactId, reference_id: referenceId },
+    orderBy: { created_at: 'desc' },
+    select: { id: true },
+  });
+
+  if (!reservation) {
+    return false;
+  }
+
+  await prisma.marketing_sends.delete({ where: { id: reservation.id } });
+  return true;
+}
+
+export default {
+  getSettings,
+  updateSettings,
+  getQuietHoursEnd,
+  reserveSend,
+  previewSends,
+  releaseSend,
+};
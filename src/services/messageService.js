@@ -5,12 +5,22 @@
 
 import messageModel from '../models/message.js';
 import contactModel from '../models/contact.js';
+import conversationModel from '../models/conversation.js';
 import whatsappAccountModel from '../models/whatsappAccountWrapper.js';
 import { queueMessage } from '../workers/messageWorker.js';
+import { addMessageJob } from '../queues/index.js';
 import { uploadToS3 } from '../utils/fileUpload.js';
 import chatbotConversationService from './chatbotConversationService.js';
+import assignmentService from './assignmentService.js';
+import slaService from './slaService.js';
+import consentService from './consentService.js';
+import engagementScoreService from './engagementScoreService.js';
+import phoneNumberService from './phoneNumberService.js';
 import logger from '../utils/logger.js';
+import { normalizePhone } from '../utils/phone.js';
 import { v4 as uuidv4 } from 'uuid';
+import { buildPayload, describeMessage } from './whatsapp/messageTypes.js';
+import { triggerOnMessageReceived } from './flowTriggers.js';
 import {
   emitMessageStatusUpdate,
   emitMessageReceived,
@@ -18,25 +28,46 @@ import {
   emitMessageDelivered,
   emitMessageRead,
   emitMessageFailed,
+  emitConversationUpdated,
+  emitConversationMessage,
 } from '../sockets/index.js';
 
+// Delivery progression used to ignore stale receipts
+const STATUS_RANK = {
+  pending: 0,
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3,
+};
+
 class MessageService {
   /**
    * Send a message
    * @param {Object} data - Message data
-   * @returns {Promise<Object>} Created message
+   * @param {string} data.teamId - Team the sender acts for
+   * @param {string} [data.userId] - Sending user (null for automations)
+   * @param {string} data.whatsappAccountId - Account to send from
+   * @param {string} [data.to] - Recipient phone (or `contactId`)
+   * @param {string} [data.type] - One of OUTBOUND_MESSAGE_TYPES; structured fields per messageTypes.js
+   * @param {string} [data.replyToMessageId] - Message to quote, or to react to for Reaction
+   * @param {string} [data.purpose] - 'marketing' applies the team's quiet hours and frequency caps
+   * @param {string} [data.source] - Marketing source ('flow', ...) with `referenceId`
+   * @returns {Promise<Object>} Created message; `suppressed` with a `reason` when a cap blocked it
    */
   async sendMessage(data) {
     const {
+      teamId,
       userId,
       whatsappAccountId,
       to,
-      type,
+      contactId,
+      type = 'Text',
       content,
       mediaUrl,
       mediaFile,
+      replyToMessageId,
       scheduledFor,
-      campaignId,
     } = data;
 
     try {
@@ -46,31 +77,49 @@ class MessageService {
         throw new Error('WhatsApp account not found');
       }
 
-      if (whatsappAccount.userId !== userId) {
+      if (whatsappAccount.teamId !== teamId) {
         throw new Error('Unauthorized access to WhatsApp account');
       }
 
-      if (whatsappAccount.connectionStatus !== 'Connected') {
+      if (whatsappAccount.status !== 'connected') {
         throw new Error('WhatsApp account is not connected');
       }
 
       // Check daily limit
-      if (whatsappAccount.messagesSentToday >= whatsappAccount.dailyLimit) {
+      if (whatsappAccount.messagesSentToday >= whatsappAccount.dailyMessageLimit) {
         throw new Error('Daily message limit reached');
       }
 
-      // Find or create contact
-      let contact = await contactModel.findByPhone(whatsappAccountId, to);
+      // Find or create contact; numbers without a country code are in the team's default country
+      let phone = to;
+      if (!contactId) {
+        phone = (await phoneNumberService.parseTeamPhone(teamId, to)).phone || to;
+      }
+      let contact = contactId
+        ? await contactModel.findById(contactId)
+        : await contactModel.findByPhone(teamId, phone, to);
+      if (!contact && contactId) {
+        throw new Error('Contact not found');
+      }
       if (!contact) {
         contact = await contactModel.create({
-          userId,
-          whatsappAccountId,
-          phone: to,
-          name: to, // Use phone as name initially
+          id: uuidv4(),
+          teamId,
+          phone,
           source: 'WhatsApp',
         });
       }
 
+      // Resolve the provider ID of the quoted / reacted-to message
+      let contextMessageId = null;
+      if (replyToMessageId) {
+        const replyTo = await messageModel.findById(replyToMessageId);
+        if (!replyTo || replyTo.accountId !== whatsappAccountId || !replyTo.whatsappMessageId) {
+          throw new Error('Reply-to message not found');
+        }
+        contextMessageId = replyTo.whatsappMessageId;
+      }
+
       // Handle media upload if file is provided
       let finalMediaUrl = mediaUrl;
       if (mediaFile) {
@@ -78,40 +127,88 @@ class MessageService {
         finalMediaUrl = uploadResult.url;
       }
 
+      const payload = buildPayload(type, data);
+      const messageContent = describeMessage(type, content, payload);
+
+      const conversation = await conversationModel.touchForMessage({
+        teamId,
+        accountId: whatsappAccountId,
+        contactId: contact.id,
+        preview: messageContent || `[${type}]`,
+        inbound: false,
+      });
+
       // Create message record
       const message = await messageModel.create({
-        userId,
-        whatsappAccountId,
+        id: uuidv4(),
+        conversationId: conversation.id,
+        accountId: whatsappAccountId,
         contactId: contact.id,
-        campaignId,
-        direction: 'Outbound',
-        type,
-        content,
+        senderType: 'user',
+        senderId: userId || null,
+        messageType: type,
+        content: type === 'Buttons' || type === 'List' ? content : messageContent,
         mediaUrl: finalMediaUrl,
-        whatsappMessageId: `temp_${uuidv4()}`, // Temporary ID until sent
-        status: 'Queued',
-        scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
-        isFromBot: false,
+        payload,
+        contextMessageId,
+        status: 'queued',
       });
 
       // Queue message for sending
       const delay = scheduledFor ? new Date(scheduledFor).getTime() - Date.now() : 0;
-      await queueMessage(message.id, {
+      const queueOptions = {
         delay: Math.max(0, delay),
         priority: scheduledFor ? 7 : 5, // Lower priority for scheduled messages
-      });
+      };
+
+      if (data.purpose === 'marketing') {
+        const queued = await addMessageJob(
+          {
+            messageId: message.id,
+            teamId,
+            contactId: contact.id,
+            purpose: 'marketing',
+            source: data.source,
+            referenceId: data.referenceId,
+          },
+          queueOptions
+        );
+
+        if (queued.status === 'suppressed') {
+          const suppressed = await messageModel.updateStatus(message.id, 'Failed', {
+            errorMessage: queued.reason,
+          });
+          emitMessageStatusUpdate(whatsappAccount.userId, message.id, 'failed', {
+            contactId: contact.id,
+            whatsappAccountId,
+            error: queued.reason,
+          });
+          emitConversationMessage(teamId, conversation.id, suppressed);
+
+          return { ...suppressed, suppressed: true, reason: queued.reason };
+        }
+      } else {
+        await queueMessage(message.id, queueOptions);
+      }
 
       // Update WhatsApp account message count
       await whatsappAccountModel.incrementMessagesSent(whatsappAccountId);
 
       // Update contact last message timestamp
-      await contactModel.updateLastMessage(contact.id, 'Outbound');
+      await contactModel.update(contact.id, { lastContactedAt: new Date() });
 
       // Emit Socket.io event
-      emitMessageStatusUpdate(userId, message.id, 'Queued', {
+      emitMessageStatusUpdate(whatsappAccount.userId, message.id, 'queued', {
         contactId: contact.id,
         whatsappAccountId,
       });
+      emitConversationMessage(teamId, conversation.id, message);
+      emitConversationUpdated(teamId, conversation, 'message');
+
+      // Replies from a user stop the SLA response timers (automations don't count)
+      if (userId && !data.isFromBot) {
+        await slaService.recordAgentReply(conversation.id, message.createdAt);
+      }
 
       logger.info('Message queued for sending', {
         messageId: message.id,
@@ -138,11 +235,25 @@ class MessageService {
    * @returns {Promise<Object>} Created message
    */
   async handleIncomingMessage(data) {
-    const { whatsappAccountId, from, type, content, mediaUrl, whatsappMessageId, timestamp } = data;
+    const {
+      whatsappAccountId,
+      from,
+      type,
+      content,
+      mediaUrl,
+      payload,
+      interactiveReplyId,
+      contextMessageId,
+      whatsappMessageId,
+      timestamp,
+    } = data;
 
     try {
-      // Check if message already exists
-      const existingMessage = await messageModel.findByWhatsAppMessageId(whatsappMessageId);
+      // Check if message already exists (provider retries deliver the same message again)
+      const existingMessage = await messageModel.findByWhatsAppMessageId(
+        whatsappAccountId,
+        whatsappMessageId
+      );
       if (existingMessage) {
         logger.info('Message already processed', { whatsappMessageId });
         return existingMessage;
@@ -154,50 +265,100 @@ class MessageService {
         throw new Error('WhatsApp account not found');
       }
 
-      // Find or create contact
-      let contact = await contactModel.findByPhone(whatsappAccountId, from);
+      // Find or create contact; senders' numbers include their country code
+      const phone = normalizePhone(from) || from;
+      let contact = await contactModel.findByPhone(whatsappAccount.teamId, phone, from);
       if (!contact) {
         contact = await contactModel.create({
-          userId: whatsappAccount.userId,
-          whatsappAccountId,
-          phone: from,
-          name: from, // Use phone as name initially
+          id: uuidv4(),
+          teamId: whatsappAccount.teamId,
+          phone,
           source: 'WhatsApp',
         });
       }
 
+      const receivedAt = timestamp ? new Date(timestamp) : new Date();
+
+      const { id: conversationId } = await conversationModel.findOrCreate({
+        teamId: whatsappAccount.teamId,
+        accountId: whatsappAccountId,
+        contactId: contact.id,
+      });
+
       // Create message record
-      const message = await messageModel.create({
-        userId: whatsappAccount.userId,
-        whatsappAccountId,
+      let message;
+      try {
+        message = await messageModel.create({
+          id: uuidv4(),
+          conversationId,
+          accountId: whatsappAccountId,
+          contactId: contact.id,
+          senderType: 'contact',
+          messageType: type,
+          content,
+          mediaUrl,
+          payload,
+          interactiveReplyId,
+          contextMessageId,
+          whatsappMessageId,
+          status: 'delivered', // Inbound messages are already delivered
+          deliveredAt: receivedAt,
+          createdAt: receivedAt,
+        });
+      } catch (error) {
+        // A concurrent retry of the same delivery won the unique (account, whatsapp_message_id) race
+        if (error.code === 'P2002') {
+          logger.info('Message already processed', { whatsappMessageId });
+          return messageModel.findByWhatsAppMessageId(whatsappAccountId, whatsappMessageId);
+        }
+        throw error;
+      }
+
+      // Only the delivery that stored the message bumps the unread count and preview
+      const conversation = await conversationModel.touchForMessage({
+        teamId: whatsappAccount.teamId,
+        accountId: whatsappAccountId,
         contactId: contact.id,
-        direction: 'Inbound',
-        type,
-        content,
-        mediaUrl,
-        whatsappMessageId,
-        status: 'Delivered', // Inbound messages are already delivered
-        deliveredAt: timestamp ? new Date(timestamp) : new Date(),
-        isFromBot: false,
+        preview: describeMessage(type, content, payload) || `[${type}]`,
+        inbound: true,
+        at: receivedAt,
       });
 
       // Update WhatsApp account received count
       await whatsappAccountModel.incrementMessagesReceived(whatsappAccountId);
 
-      // Update contact last message timestamp and unread count
-      await contactModel.updateLastMessage(contact.id, 'Inbound');
-      await contactModel.incrementUnreadCount(contact.id);
+      // Update contact last message timestamp
+      await contactModel.update(contact.id, { lastContactedAt: receivedAt });
+
+      // Score the contact's engagement again (async, don't wait; never rejects)
+      engagementScoreService.recalculateContact(contact.id);
 
       // Emit Socket.io event
       emitMessageReceived(whatsappAccount.userId, contact.id, message);
+      emitConversationMessage(whatsappAccount.teamId, conversation.id, message);
+      emitConversationUpdated(whatsappAccount.teamId, conversation, 'message');
 
       logger.info('Incoming message processed', {
         messageId: message.id,
         contactId: contact.id,
+        conversationId: conversation.id,
         type,
         whatsappMessageId,
       });
 
+      // STOP/START keywords are answered automatically and go no further
+      if (await this.handleConsentKeyword(whatsappAccount, contact, message)) {
+        return message;
+      }
+
+      // Start or advance the SLA timers (never rejects)
+      await slaService.recordInboundMessage(conversation, message);
+
+      // Route unassigned conversations to an agent (async, don't wait; never rejects)
+      if (!conversation.assignedAgentId) {
+        assignmentService.autoAssignConversation(conversation.id, { reason: 'incoming_message' });
+      }
+
       // Check for chatbot triggers (async, don't wait)
       chatbotConversationService.handleIncomingMessage(message, contact).catch((error) => {
         logger.error('Error checking chatbot triggers', {
@@ -206,6 +367,18 @@ class MessageService {
         });
       });
 
+      // Start flows listening for inbound messages (async, don't wait)
+      triggerOnMessageReceived(
+        message,
+        { id: contact.id, team_id: whatsappAccount.teamId },
+        { id: conversation.id, account_id: whatsappAccountId }
+      ).catch((error) => {
+        logger.error('Error firing message received flow triggers', {
+          error: error.message,
+          messageId: message.id,
+        });
+      });
+
       return message;
     } catch (error) {
       logger.error('Failed to handle incoming message', {
@@ -218,31 +391,100 @@ class MessageService {
     }
   }
 
+  /**
+   * Apply an opt-out/opt-in keyword and send the confirmation reply
+   * @param {Object} whatsappAccount - Account the message arrived on
+   * @param {Object} contact - Sender
+   * @param {Object} message - Inbound message
+   * @returns {Promise<boolean>} Whether the message was a consent keyword (never rejects)
+   */
+  async handleConsentKeyword(whatsappAccount, contact, message) {
+    let result;
+    try {
+      result = await consentService.handleInboundKeyword(whatsappAccount.teamId, contact, message);
+    } catch (error) {
+      logger.error('Error applying consent keyword', {
+        error: error.message,
+        messageId: message.id,
+      });
+      return false;
+    }
+
+    if (!result) {
+      return false;
+    }
+
+    if (result.reply) {
+      try {
+        await this.sendMessage({
+          teamId: whatsappAccount.teamId,
+          whatsappAccountId: whatsappAccount.id,
+          contactId: contact.id,
+          type: 'Text',
+          content: result.reply,
+          isFromBot: true,
+        });
+      } catch (error) {
+        logger.error('Failed to send consent confirmation', {
+          error: error.message,
+          contactId: contact.id,
+          keyword: result.keyword,
+        });
+      }
+    }
+
+    return true;
+  }
+
   /**
    * Update message status (for delivery and read receipts)
+   * @param {string} accountId - WhatsApp account the receipt came from
    * @param {string} whatsappMessageId - WhatsApp message ID
    * @param {string} status - New status
+   * @param {Object} details - Optional receipt details ({ errorMessage })
    * @returns {Promise<Object>} Updated message
    */
-  async updateMessageStatus(whatsappMessageId, status) {
+  async updateMessageStatus(accountId, whatsappMessageId, status, details = {}) {
     try {
-      const message = await messageModel.findByWhatsAppMessageId(whatsappMessageId);
+      const message = await messageModel.findByWhatsAppMessageId(accountId, whatsappMessageId);
       if (!message) {
         logger.warn('Message not found for status update', { whatsappMessageId, status });
         return null;
       }
 
-      const updatedMessage = await messageModel.updateStatus(message.id, status);
+      // Receipts can arrive out of order or be redelivered; never move a message backwards
+      const normalized = status.toLowerCase();
+      const fromStatuses =
+        normalized === 'failed'
+          ? ['pending', 'queued', 'sent', 'delivered']
+          : Object.keys(STATUS_RANK).filter((s) => STATUS_RANK[s] < STATUS_RANK[normalized]);
+
+      const updatedMessage = await messageModel.advanceStatus(
+        message.id,
+        normalized,
+        fromStatuses,
+        details.errorMessage ? { errorMessage: details.errorMessage } : {}
+      );
+
+      if (!updatedMessage) {
+        logger.debug('Ignoring stale message status', { whatsappMessageId, status });
+        return message;
+      }
+
+      const account = await whatsappAccountModel.findById(message.accountId);
+      const userId = account?.userId;
 
       // Emit Socket.io event based on status
-      if (status === 'Sent') {
-        emitMessageSent(message.userId, message.contactId, updatedMessage);
-      } else if (status === 'Delivered') {
-        emitMessageDelivered(message.userId, message.id, updatedMessage.deliveredAt);
-      } else if (status === 'Read') {
-        emitMessageRead(message.userId, message.id, updatedMessage.readAt);
-      } else if (status === 'Failed') {
-        emitMessageFailed(message.userId, message.id, updatedMessage.errorMessage);
+      if (normalized === 'sent') {
+        emitMessageSent(userId, message.contactId, updatedMessage);
+      } else if (normalized === 'delivered') {
+        emitMessageDelivered(userId, message.id, updatedMessage.deliveredAt);
+      } else if (normalized === 'read') {
+        emitMessageRead(userId, message.id, updatedMessage.readAt);
+        // Reads count towards the contact's engagement score (async, don't wait; never rejects)
+        if (message.contactId) engagementScoreService.recalculateContact(message.contactId);
+      } else if (normalized === 'failed') {
+        emitMessageFailed(userId, message.id, updatedMessage.errorMessage);
       }
 
       logger.info('Message status updated', {
@@ -371,16 +613,16 @@ class MessageService {
         throw new Error('Message not found');
       }
 
-      if (message.userId !== userId) {
+      if (message.senderId !== userId) {
         throw new Error('Unauthorized access to message');
       }
 
-      if (message.status !== 'Failed') {
+      if (message.status !== 'failed') {
         throw new Error('Only failed messages can be retried');
       }
 
-      // Update status to Queued
-      await messageModel.updateStatus(messageId, 'Queued', {
+      // Update status to queued
+      await messageModel.updateStatus(messageId, 'queued', {
         errorMessage: null,
       });
 
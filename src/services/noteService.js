@@ -0,0 +1,333 @@
+/**
+ * Note Service
+ *
+ * Internal notes that agents leave on a conversation for each other. Notes are
+ * stored next to the conversation's messages and shown in its timeline, but
+ * are never sent over WhatsApp. Team members @mentioned in a note get a socket
+ * notification and an email.
+ */
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import messageModel from '../models/message.js';
+import emailService from './emailService.js';
+import { emitConversationNote, emitSystemNotification } from '../sockets/index.js';
+import logger from '../utils/logger.js';
+
+const authorSelect = {
+  id: true,
+  email: true,
+  first_name: true,
+  last_name: true,
+  avatar_url: true,
+};
+
+/**
+ * Map a conversation_notes row with its author to the API shape
+ */
+function mapNote(note) {
+  if (!note) return null;
+
+  return {
+    id: note.id,
+    conversationId: note.conversation_id,
+    contactId: note.contact_id,
+    content: note.content,
+    mentions: note.mentions || [],
+    author: note.users
+      ? {
+          id: note.users.id,
+          email: note.users.email,
+          firstName: note.users.first_name,
+          lastName: note.users.last_name,
+          avatarUrl: note.users.avatar_url,
+        }
+      : { id: note.author_id },
+    createdAt: note.created_at,
+    updatedAt: note.updated_at,
+  };
+}
+
+function displayName(user) {
+  return [user?.first_name, user?.last_name].filter(Boolean).join(' ') || user?.email;
+}
+
+/**
+ * Load mentioned users, which must be the team owner or active members
+ * @param {string[]} userIds - Mentioned user IDs
+ * @returns {Promise<Object[]>} users rows ({ id, email, first_name, last_name })
+ */
+async function resolveMentions(teamId, userIds = []) {
+  const ids = [...new Set(userIds)];
+  if (ids.length === 0) return [];
+
+  const [team, members] = await Promise.all([
+    prisma.teams.findUnique({ where: { id: teamId }, select: { owner_id: true } }),
+    prisma.team_members.findMany({
+      where: { team_id: teamId, status: 'Active', user_id: { in: ids } },
+      select: { user_id: true },
+    }),
+  ]);
+
+  const allowed = new Set(members.map((member) => member.user_id));
+  if (team) allowed.add(team.owner_id);
+
+  if (ids.some((id) => !allowed.has(id))) {
+    throw new Error('Mentioned user is not a team member');
+  }
+
+  return prisma.users.findMany({
+    where: { id: { in: ids }, is_active: true },
+    select: { id: true, email: true, first_name: true, last_name: true },
+  });
+}
+
+/**
+ * Notify mentioned users by socket and email (never the author)
+ * @param {Object} note - conversation_notes row
+ * @param {Object[]} users - Mentioned users
+ * @param {Object} author - users row of the note author
+ */
+async function notifyMentions(note, users, author) {
+  const recipients = users.filter((user) => user.id !== note.author_id);
+  if (recipients.length === 0) return;
+
+  const conversation = await prisma.conversations.findUnique({
+    where: { id: note.conversation_id },
+    include: { contacts: { select: { first_name: true, last_name: true, phone: true } } },
+  });
+
+  const contactName = displayName(conversation?.contacts) || conversation?.contacts?.phone;
+  const authorName = displayName(author);
+  const title = `${authorName} mentioned you in a note on ${contactName}`;
+
+  for (const user of recipients) {
+    emitSystemNotification(user.id, {
+      type: 'note_mention',
+      title,
+      conversationId: note.conversation_id,
+      noteId: note.id,
+      authorId: note.author_id,
+    });
+
+    try {
+      await emailService.sendMentionNotification(user, {
+        title,
+        authorName,
+        contactName,
+        content: note.content,
+        conversationId: note.conversation_id,
+      });
+    } catch (error) {
+      // The socket notification already went out
+      logger.error(`Failed to send mention email to ${user.email}:`, error);
+    }
+  }
+}
+
+/**
+ * Add an internal note to a conversation
+ * @param {string} userId - Author
+ * @param {Object} data - { content, mentions: userId[] }
+ * @returns {Promise<Object|null>} Note, or null if the conversation is not in the team
+ */
+async function createNote(teamId, userId, conversationId, data) {
+  const conversation = await prisma.conversations.findFirst({
+    where: { id: conversationId, team_id: teamId },
+    select: { id: true, contact_id: true },
+  });
+
+  if (!conversation) {
+    return null;
+  }
+
+  const mentioned = await resolveMentions(teamId, data.mentions);
+
+  const note = await prisma.conversation_notes.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: teamId,
+      conversation_id: conversation.id,
+      contact_id: conversation.contact_id,
+      author_id: userId,
+      content: data.content,
+      mentions: mentioned.map((user) => user.id),
+      updated_at: new Date(),
+    },
+    include: { users: { select: authorSelect } },
+  });
+
+  const mapped = mapNote(note);
+  emitConversationNote(teamId, conversationId, mapped, 'created');
+  await notifyMentions(note, mentioned, note.users);
+
+  logger.info(`Note ${note.id} added to conversation ${conversationId}`, {
+    teamId,
+    mentions: mentioned.length,
+  });
+
+  return mapped;
+}
+
+/**
+ * List a conversation's notes, newest first
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object|null>} { notes, pagination }, or null if the conversation is not in the team
+ */
+async function getNotes(teamId, conversationId, options = {}) {
+  const { page = 1, limit = 50 } = options;
+
+  const conversation = await prisma.conversations.findFirst({
+    where: { id: conversationId, team_id: teamId },
+    select: { id: true },
+  });
+
+  if (!conversation) {
+    return null;
+  }
+
+  const where = { conversation_id: conversationId };
+
+  const [notes, total] = await Promise.all([
+    prisma.conversation_notes.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { created_at: 'desc' },
+      include: { users: { select: authorSelect } },
+    }),
+    prisma.conversation_notes.count({ where }),
+  ]);
+
+  return {
+    notes: notes.map(mapNote),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Find a note of the team, checking that the user wrote it
+ */
+async function findOwnNote(teamId, userId, noteId, action) {
+  const note = await prisma.conversation_notes.findFirst({
+    where: { id: noteId, team_id: teamId },
+  });
+
+  if (note && note.author_id !== userId) {
+    throw new Error(`Only the author can ${action} a note`);
+  }
+
+  return note;
+}
+
+/**
+ * Edit a note; newly mentioned users are notified
+ * @param {Object} data - { content, mentions }
+ * @returns {Promise<Object|null>} Updated note, or null if not found
+ */
+async function updateNote(teamId, userId, noteId, data) {
+  const existing = await findOwnNote(teamId, userId, noteId, 'edit');
+
+  if (!existing) {
+    return null;
+  }
+
+  const updateData = { updated_at: new Date() };
+  let newlyMentioned = [];
+
+  if (data.content !== undefined) updateData.content = data.content;
+  if (data.mentions !== undefined) {
+    const mentioned = await resolveMentions(teamId, data.mentions);
+    const previous = new Set(existing.mentions || []);
+    updateData.mentions = mentioned.map((user) => user.id);
+    newlyMentioned = mentioned.filter((user) => !previous.has(user.id));
+  }
+
+  const note = await prisma.conversation_notes.update({
+    where: { id: noteId },
+    data: updateData,
+    include: { users: { select: authorSelect } },
+  });
+
+  const mapped = mapNote(note);
+  emitConversationNote(teamId, note.conversation_id, mapped, 'updated');
+  await notifyMentions(note, newlyMentioned, note.users);
+
+  return mapped;
+}
+
+/**
+ * Delete a note
+ * @returns {Promise<boolean>} Whether a note was deleted
+ */
+async function deleteNote(teamId, userId, noteId) {
+  const existing = await findOwnNote(teamId, userId, noteId, 'delete');
+
+  if (!existing) {
+    return false;
+  }
+
+  await prisma.conversation_notes.delete({ where: { id: noteId } });
+  emitConversationNote(teamId, existing.conversation_id, { id: noteId }, 'deleted');
+
+  return true;
+}
+
+/**
+ * Messages and notes of a conversation in one timeline, newest first
+ * Paginate by passing the `nextBefore` of the previous page as `before`.
+ * @param {Object} options - { before, limit }
+ * @returns {Promise<Object|null>} { items, nextBefore }, or null if the conversation is not in the team
+ */
+async function getConversationTimeline(teamId, conversationId, options = {}) {
+  const { before, limit = 50 } = options;
+
+  const conversation = await prisma.conversations.findFirst({
+    where: { id: conversationId, team_id: teamId },
+    select: { id: true },
+  });
+
+  if (!conversation) {
+    return null;
+  }
+
+  const beforeDate = before ? new Date(before) : undefined;
+
+  const [messages, notes] = await Promise.all([
+    messageModel.findByConversationId(conversationId, { take: limit, before: beforeDate }),
+    prisma.conversation_notes.findMany({
+      where: {
+        conversation_id: conversationId,
+        ...(beforeDate && { created_at: { lt: beforeDate } }),
+      },
+      take: limit,
+      orderBy: { created_at: 'desc' },
+      include: { users: { select: authorSelect } },
+    }),
+  ]);
+
+  const items = [
+    ...messages.map((message) => ({ kind: 'message', ...message })),
+    ...notes.map((note) => ({ kind: 'note', ...mapNote(note) })),
+  ]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit);
+
+  return {
+    items,
+    nextBefore: items.length === limit ? items[items.length - 1].createdAt : null,
+  };
+}
+
+export default {
+  createNote,
+  getNotes,
+  updateNote,
+  deleteNote,
+  getConversationTimeline,
+};
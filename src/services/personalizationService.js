@@ -0,0 +1,319 @@
+/**
+ * Personalization Service
+ *
+ * Renders message content written in the personalization template language
+ * (src/utils/personalization.js) for a contact, cart or order, and checks
+ * content before it is sent. Campaigns, flow send_message nodes, abandoned
+ * cart recovery and order notifications all render through here, with dates
+ * and amounts formatted in the contact's locale and time zone.
+ */
+
+import prisma from '../config/database.js';
+import { getContactTimezone } from './sendTimeService.js';
+import { renderTemplate, analyzeTemplate, isValidLocale } from '../utils/personalization.js';
+
+export const PERSONALIZATION_CONTEXTS = ['campaign', 'flow', 'abandoned_cart', 'order'];
+
+const DEFAULT_SETTINGS = {
+  // Locale and time zone for contacts without their own (custom fields `locale`, `timezone`)
+  locale: 'en-US',
+  timezone: 'UTC',
+};
+
+// Contact columns available as {{contact.<field>}} and at the top level
+const CONTACT_FIELDS = [
+  'first_name',
+  'last_name',
+  'full_name',
+  'phone',
+  'email',
+  'company',
+  'city',
+  'country',
+];
+
+const ITEM_SCHEMA = {
+  name: true,
+  quantity: true,
+  price: true,
+  total: true,
+  sku: true,
+  variant: true,
+};
+
+const CART_SCHEMA = {
+  customer_name: true,
+  customer_email: true,
+  customer_phone: true,
+  url: true,
+  total: true,
+  currency: true,
+  item_count: true,
+  abandoned_at: true,
+  expires_at: true,
+  items: { $item: ITEM_SCHEMA },
+};
+
+const ORDER_SCHEMA = {
+  number: true,
+  status: true,
+  total: true,
+  currency: true,
+  customer_name: true,
+  customer_email: true,
+  customer_phone: true,
+  tracking_number: true,
+  tracking_url: true,
+  fulfillment_status: true,
+  payment_status: true,
+  item_count: true,
+  created_at: true,
+  items: { $item: ITEM_SCHEMA },
+};
+
+// Variables the flow executor sets on every execution
+const FLOW_VARIABLES = {
+  trigger: '*',
+  lastMessageId: true,
+  messageSkipped: true,
+  conditionResult: true,
+};
+
+/**
+ * Get the team's personalization defaults merged over the defaults
+ * @returns {Promise<Object>} Settings
+ */
+async function getSettings(teamId) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  return { ...DEFAULT_SETTINGS, ...(team?.settings?.personalization || {}) };
+}
+
+/**
+ * Update the team's personalization defaults
+ * @param {Object} data - Partial settings
+ * @returns {Promise<Object|null>} Settings, or null if the team does not exist
+ */
+async function updateSettings(teamId, data) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  if (!team) {
+    return null;
+  }
+
+  const personalization = { ...(team.settings?.personalization || {}), ...data };
+
+  await prisma.teams.update({
+    where: { id: teamId },
+    data: { settings: { ...(team.settings || {}), personalization } },
+  });
+
+  return { ...DEFAULT_SETTINGS, ...personalization };
+}
+
+/**
+ * Locale and time zone for a contact: its `locale`/`timezone` custom fields, then the team's
+ * @param {Object|null} contact - Contact row
+ * @param {Object} settings - From getSettings
+ * @returns {Object} { locale, timezone }
+ */
+export function getContactRenderOptions(contact, settings = DEFAULT_SETTINGS) {
+  const locale = contact?.custom_fields?.locale;
+
+  return {
+    locale: isValidLocale(locale) ? locale : settings.locale,
+    timezone: getContactTimezone(contact, settings.timezone),
+  };
+}
+
+/**
+ * Number of a Prisma decimal or numeric string
+ */
+function toAmount(value) {
+  return value === null || value === undefined ? null : Number(String(value));
+}
+
+/**
+ * Line items of Shopify and WooCommerce carts and orders in one shape
+ */
+function mapItems(items) {
+  return (Array.isArray(items) ? items : []).map((item) => {
+    const quantity = Number(item.quantity) || 1;
+    const price = toAmount(item.price ?? item.unit_price);
+
+    return {
+      name: item.title || item.name || item.product_name || '',
+      quantity,
+      price,
+      total: toAmount(item.total) ?? (price !== null ? price * quantity : null),
+      sku: item.sku || null,
+      variant: item.variant_title || item.variation || null,
+    };
+  });
+}
+
+/**
+ * Build the variables a template is rendered with
+ * Contact fields are available as {{contact.first_name}} and {{first_name}},
+ * custom fields as {{custom_fields.<key>}}. The camelCase names campaigns
+ * have always offered ({{firstName}}, {{name}}) stay available. Extra
+ * variables (campaign template variables, flow variables) cannot replace
+ * contact, custom_fields, cart or order.
+ * @param {Object} sources - { contact, cart, order, variables }
+ * @returns {Object}
+ */
+export function buildContext({ contact = null, cart = null, order = null, variables = {} } = {}) {
+  const customFields =
+    contact?.custom_fields && typeof contact.custom_fields === 'object'
+      ? contact.custom_fields
+      : {};
+  const fields = {
+    first_name: contact?.first_name || '',
+    last_name: contact?.last_name || '',
+    full_name: [contact?.first_name, contact?.last_name].filter(Boolean).join(' '),
+    phone: contact?.phone || '',
+    email: contact?.email || '',
+    company: contact?.company || '',
+    city: contact?.city || '',
+    country: contact?.country || '',
+  };
+
+  const context = {
+    ...fields,
+    firstName: fields.first_name,
+    lastName: fields.last_name,
+    name: fields.full_name || 'there',
+    ...(variables || {}),
+    // Flows have always read custom fields as {{contact.<key>}}
+    contact: { ...customFields, ...fields, custom_fields: customFields },
+    custom_fields: customFields,
+  };
+
+  if (cart) {
+    const items = mapItems(cart.items);
+    context.cart = {
+      customer_name: cart.customer_name || '',
+      customer_email: cart.customer_email || '',
+      customer_phone: cart.customer_phone || '',
+      url: cart.cart_url || '',
+      total: toAmount(cart.total_amount),
+      currency: cart.currency,
+      item_count: items.length,
+      abandoned_at: cart.abandoned_at,
+      expires_at: cart.expires_at,
+      items,
+    };
+  }
+
+  if (order) {
+    const items = mapItems(order.items);
+    context.order = {
+      number: order.order_number,
+      status: order.status ? String(order.status).toLowerCase() : '',
+      total: toAmount(order.total_amount),
+      currency: order.currency,
+      customer_name: order.customer_name || '',
+      customer_email: order.customer_email || '',
+      customer_phone: order.customer_phone || '',
+      tracking_number: order.tracking_number || '',
+      tracking_url: order.tracking_url || '',
+      fulfillment_status: order.fulfillment_status || '',
+      payment_status: order.payment_status || '',
+      item_count: items.length,
+      created_at: order.created_at,
+      items,
+    };
+  }
+
+  return context;
+}
+
+/**
+ * Render content for a contact, cart or order
+ * Amounts default to the cart's or order's currency.
+ * @param {string} content - Template text
+ * @param {Object} sources - { contact, cart, order, variables }
+ * @param {Object} settings - From getSettings
+ * @returns {string}
+ * @throws {TemplateSyntaxError}
+ */
+export function renderContent(content, sources = {}, settings = DEFAULT_SETTINGS) {
+  return renderTemplate(content, buildContext(sources), {
+    ...getContactRenderOptions(sources.contact, settings),
+    currency: sources.cart?.currency || sources.order?.currency,
+  });
+}
+
+/**
+ * Custom field keys the team has defined or its contacts use
+ * @returns {Promise<Array<string>>}
+ */
+async function getCustomFieldKeys(teamId) {
+  const [rows, definitions] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT DISTINCT jsonb_object_keys(custom_fields) AS key
+      FROM contacts
+      WHERE team_id = ${teamId} AND deleted_at IS NULL AND jsonb_typeof(custom_fields) = 'object'
+    `,
+    prisma.custom_field_definitions.findMany({
+      where: { team_id: teamId },
+      select: { key: true },
+    }),
+  ]);
+
+  return [...new Set([...rows.map((row) => row.key), ...definitions.map((row) => row.key)])];
+}
+
+/**
+ * Variables known to content of a context
+ * @param {string} context - One of PERSONALIZATION_CONTEXTS
+ * @param {Array<string>} customFieldKeys - Team's custom field keys
+ * @param {Array<string>} variables - Extra variable names (template or flow variables)
+ * @returns {Object} Schema for analyzeTemplate
+ */
+export function getContextSchema(context, customFieldKeys = [], variables = []) {
+  const customFields = Object.fromEntries(customFieldKeys.map((key) => [key, '*']));
+  const fields = Object.fromEntries(CONTACT_FIELDS.map((field) => [field, true]));
+
+  return {
+    ...fields,
+    firstName: true,
+    lastName: true,
+    name: true,
+    ...Object.fromEntries(variables.map((name) => [name, '*'])),
+    ...(context === 'flow' ? FLOW_VARIABLES : {}),
+    contact: { ...customFields, ...fields, custom_fields: customFields },
+    custom_fields: customFields,
+    ...(context === 'abandoned_cart' ? { cart: CART_SCHEMA } : {}),
+    ...(context === 'order' ? { order: ORDER_SCHEMA } : {}),
+  };
+}
+
+/**
+ * Check content before it is sent
+ * Syntax errors make content invalid; unknown variables only render empty,
+ * so they are reported without failing the check.
+ * @param {string} content - Template text
+ * @param {Object} options - { context, variables }
+ * @returns {Promise<Object>} { valid, errors, variables, unknownVariables }
+ */
+async function validateContent(teamId, content, { context = 'campaign', variables = [] } = {}) {
+  const customFieldKeys = await getCustomFieldKeys(teamId);
+  return analyzeTemplate(content, getContextSchema(context, customFieldKeys, variables));
+}
+
+export default {
+  getSettings,
+  updateSettings,
+  getContactRenderOptions,
+  buildContext,
+  renderContent,
+  getContextSchema,
+  validateContent,
+};
@@ -0,0 +1,228 @@
+/**
+ * Phone Number Service
+ *
+ * Keeps contacts.phone in E.164 so the same number is one contact. Numbers
+ * without a country code are read as numbers of the contact's country, else
+ * of the team's default country. Contacts stored before numbers were
+ * normalized are fixed by normalizeTeamPhones; the ones it cannot fix (the
+ * number does not parse, or another contact already has it) are reported.
+ */
+
+import prisma from '../config/database.js';
+import { isSupportedCountry, parsePhone } from '../utils/phone.js';
+import logger from '../utils/logger.js';
+
+// Contacts are checked in batches when normalizing a team
+const BATCH_SIZE = 500;
+
+const DEFAULT_SETTINGS = {
+  // Country of numbers written without a country code (ISO 3166-1 alpha-2)
+  defaultCountry: null,
+};
+
+/**
+ * Get the team's phone number settings merged over the defaults
+ * @returns {Promise<Object>} Settings
+ */
+async function getSettings(teamId) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  return { ...DEFAULT_SETTINGS, ...(team?.settings?.phone || {}) };
+}
+
+/**
+ * Update the team's phone number settings
+ * @param {Object} data - Partial settings
+ * @returns {Promise<Object|null>} Settings, or null if the team does not exist
+ */
+async function updateSettings(teamId, data) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  if (!team) {
+    return null;
+  }
+
+  const settings = { ...DEFAULT_SETTINGS, ...(team.settings?.phone || {}), ...data };
+  if (settings.defaultCountry) {
+    settings.defaultCountry = settings.defaultCountry.toUpperCase();
+  }
+
+  await prisma.teams.update({
+    where: { id: teamId },
+    data: {
+      settings: { ...(team.settings || {}), phone: settings },
+      updated_at: new Date(),
+    },
+  });
+
+  return settings;
+}
+
+/**
+ * Country numbers without a country code are read in
+ * @param {string} [country] - Contact, store or import country; used when supported
+ * @param {string} [defaultCountry] - Team default country
+ * @returns {string|null}
+ */
+export function resolveCountry(country, defaultCountry) {
+  return isSupportedCountry(country) ? country.toUpperCase() : defaultCountry || null;
+}
+
+/**
+ * Parse a phone number for a team
+ * @param {string} teamId - Team ID
+ * @param {string} phone - Number as entered or imported
+ * @param {string} [country] - Country of the contact, if known
+ * @returns {Promise<Object>} { phone, country, error, warning } - see parsePhone
+ */
+async function parseTeamPhone(teamId, phone, country = null) {
+  const { defaultCountry } = await getSettings(teamId);
+  return parsePhone(phone, resolveCountry(country, defaultCountry));
+}
+
+/**
+ * Normalize the phone numbers of the team's contacts to E.164
+ * A contact keeps its number when the number cannot be parsed, or when the
+ * normalized number belongs to another contact (merge the two instead).
+ * @param {string} teamId - Team ID
+ * @param {Object} options - { dryRun } - dryRun reports without saving
+ * @returns {Promise<Object>} { checked, valid, normalized, unfixable, contacts, dryRun }
+ */
+async function normalizeTeamPhones(teamId, { dryRun = false } = {}) {
+  const { defaultCountry } = await getSettings(teamId);
+  const result = { checked: 0, valid: 0, normalized: 0, unfixable: 0, contacts: [], dryRun };
+  // Normalized number -> contact it was given to in this run
+  const claimed = new Map();
+  let cursor;
+
+  for (;;) {
+    const contacts = await prisma.contacts.findMany({
+      where: { team_id: teamId, deleted_at: null },
+      select: { id: true, phone: true, country: true, first_name: true, last_name: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    if (contacts.length === 0) {
+      break;
+    }
+
+    for (const contact of contacts) {
+      result.checked++;
+
+      const parsed = parsePhone(contact.phone, resolveCountry(contact.country, defaultCountry));
+      if (parsed.phone === contact.phone) {
+        result.valid++;
+        continue;
+      }
+
+      const report = (reason, conflictingContactId = null) => {
+        result.unfixable++;
+        result.contacts.push({
+          id: contact.id,
+          phone: contact.phone,
+          firstName: contact.first_name,
+          lastName: contact.last_name,
+          reason,
+          conflictingContactId,
+        });
+      };
+
+      if (!parsed.phone) {
+        report(parsed.error);
+        continue;
+      }
+
+      let ownerId = claimed.get(parsed.phone);
+      if (!ownerId) {
+        const owner = await prisma.contacts.findUnique({
+          where: { team_id_phone: { team_id: teamId, phone: parsed.phone } },
+          select: { id: true },
+        });
+        ownerId = owner?.id;
+      }
+
+      if (ownerId && ownerId !== contact.id) {
+        report('Another contact has this phone number', ownerId);
+        continue;
+      }
+
+      if (!dryRun) {
+        await prisma.contacts.update({
+          where: { id: contact.id },
+          data: { phone: parsed.phone, updated_at: new Date() },
+        });
+      }
+      claimed.set(parsed.phone, contact.id);
+      result.normalized++;
+    }
+
+    cursor = contacts[contacts.length - 1].id;
+  }
+
+  logger.info('Contact phone numbers normalized', {
+    teamId,
+    dryRun,
+    checked: result.checked,
+    normalized: result.normalized,
+    unfixable: result.unfixable,
+  });
+
+  return result;
+}
+
+/**
+ * Normalize the phone numbers of every team's contacts (one-off migration)
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Array<Object>>} normalizeTeamPhones result per team, with teamId
+ */
+async function normalizeAllPhones({ dryRun = false } = {}) {
+  const teams = await prisma.teams.findMany({ select: { id: true } });
+  const results = [];
+
+  for (const team of teams) {
+    try {
+      results.push({ teamId: team.id, ...(await normalizeTeamPhones(team.id, { dryRun })) });
+    } catch (error) {
+      logger.error('Failed to normalize team phone numbers', {
+        error: error.message,
+        teamId: team.id,
+      });
+      results.push({ teamId: team.id, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Contacts whose phone number is not in E.164 and cannot be normalized
+ * @param {string} teamId - Team ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { contacts, total, fixable } - fixable: numbers normalizing would fix
+ */
+async function getPhoneReport(teamId, { page = 1, limit = 50 } = {}) {
+  const result = await normalizeTeamPhones(teamId, { dryRun: true });
+
+  return {
+    contacts: result.contacts.slice((page - 1) * limit, page * limit),
+    total: result.unfixable,
+    fixable: result.normalized,
+  };
+}
+
+export default {
+  getSettings,
+  updateSettings,
+  parseTeamPhone,
+  normalizeTeamPhones,
+  normalizeAllPhones,
+  getPhoneReport,
+};
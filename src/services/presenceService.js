@@ -0,0 +1,211 @@
+/**
+ * Presence Service
+ *
+ * Tracks whether team members are online, away or offline and whether they
+ * are inside their weekly working hours.
+ *
+ * Presence follows Socket.IO connections: an agent's first socket moves them
+ * from offline to online, and their last socket disconnecting moves them back
+ * to offline. While connected, agents can switch between online, away and
+ * offline themselves. Working hours are evaluated in the user's time zone
+ * (users.timezone).
+ */
+
+import prisma from '../config/database.js';
+import { emitPresenceUpdated } from '../sockets/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Local weekday and HH:mm time of a moment in a time zone
+ * Unknown time zones fall back to UTC
+ */
+function getLocalTime(date, timezone) {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || 'UTC',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    });
+  } catch {
+    return getLocalTime(date, 'UTC');
+  }
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(date).map((part) => [part.type, part.value])
+  );
+
+  return { day: parts.weekday.toLowerCase(), time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * Whether a moment falls inside a weekly schedule
+ * @param {Object|null} workingHours - { mon: [{ start: '09:00', end: '17:00' }], ... };
+ *   null means no schedule (always working)
+ * @param {string} timezone - IANA time zone
+ * @param {Date} date - Moment to check (default now)
+ * @returns {boolean}
+ */
+export function isWithinWorkingHours(workingHours, timezone, date = new Date()) {
+  if (!workingHours) {
+    return true;
+  }
+
+  const { day, time } = getLocalTime(date, timezone);
+  const shifts = workingHours[day] || [];
+
+  return shifts.some((shift) => time >= shift.start && time < shift.end);
+}
+
+/**
+ * Presence entry for the team feed
+ */
+function mapPresence(member) {
+  const timezone = member.users?.timezone || 'UTC';
+
+  return {
+    userId: member.user_id,
+    email: member.users?.email,
+    firstName: member.users?.first_name,
+    lastName: member.users?.last_name,
+    avatarUrl: member.users?.avatar_url,
+    role: member.role,
+    presence: member.presence,
+    presenceChangedAt: member.presence_changed_at,
+    lastSeenAt: member.last_seen_at,
+    timezone,
+    workingHours: member.working_hours,
+    isWorkingHours: isWithinWorkingHours(member.working_hours, timezone),
+  };
+}
+
+const memberInclude = {
+  users: {
+    select: { email: true, first_name: true, last_name: true, avatar_url: true, timezone: true },
+  },
+};
+
+/**
+ * Store a presence change and broadcast it to the team
+ * @param {Object} member - team_members row
+ */
+async function applyPresence(member, presence) {
+  const now = new Date();
+
+  const updated = await prisma.team_members.update({
+    where: { id: member.id },
+    data: {
+      presence,
+      presence_changed_at: now,
+      last_seen_at: now,
+    },
+    include: memberInclude,
+  });
+
+  const entry = mapPresence(updated);
+  emitPresenceUpdated(member.team_id, entry);
+  logger.debug(`Presence of ${member.user_id} in team ${member.team_id}: ${presence}`);
+
+  return entry;
+}
+
+/**
+ * Set a member's own presence
+ * @param {string} status - online | away | offline
+ * @returns {Promise<Object|null>} Presence entry, or null if the user is not a team member
+ */
+async function setPresence(teamId, userId, status) {
+  const member = await prisma.team_members.findFirst({
+    where: { team_id: teamId, user_id: userId },
+  });
+
+  if (!member) {
+    return null;
+  }
+
+  return applyPresence(member, status);
+}
+
+/**
+ * A member's first socket connected: offline members come online
+ */
+async function handleConnect(teamId, userId) {
+  try {
+    const member = await prisma.team_members.findFirst({
+      where: { team_id: teamId, user_id: userId },
+    });
+
+    if (!member) {
+      return;
+    }
+
+    if (member.presence === 'offline') {
+      await applyPresence(member, 'online');
+    } else {
+      await prisma.team_members.update({
+        where: { id: member.id },
+        data: { last_seen_at: new Date() },
+      });
+    }
+  } catch (error) {
+    logger.error(`Failed to record presence on connect for ${userId}:`, error);
+  }
+}
+
+/**
+ * A member's last socket disconnected: they go offline
+ */
+async function handleDisconnect(teamId, userId) {
+  try {
+    const member = await prisma.team_members.findFirst({
+      where: { team_id: teamId, user_id: userId },
+    });
+
+    if (!member) {
+      return;
+    }
+
+    if (member.presence !== 'offline') {
+      await applyPresence(member, 'offline');
+    } else {
+      await prisma.team_members.update({
+        where: { id: member.id },
+        data: { last_seen_at: new Date() },
+      });
+    }
+  } catch (error) {
+    logger.error(`Failed to record presence on disconnect for ${userId}:`, error);
+  }
+}
+
+/**
+ * Live presence of the team's active members
+ * @returns {Promise<Object>} { members, summary: { online, away, offline, workingHours } }
+ */
+async function getTeamPresence(teamId) {
+  const members = await prisma.team_members.findMany({
+    where: { team_id: teamId, status: 'Active' },
+    include: memberInclude,
+    orderBy: { created_at: 'asc' },
+  });
+
+  const entries = members.map(mapPresence);
+  const summary = { online: 0, away: 0, offline: 0, workingHours: 0 };
+
+  for (const entry of entries) {
+    summary[entry.presence] = (summary[entry.presence] || 0) + 1;
+    if (entry.isWorkingHours) summary.workingHours += 1;
+  }
+
+  return { members: entries, summary };
+}
+
+export default {
+  setPresence,
+  handleConnect,
+  handleDisconnect,
+  getTeamPresence,
+  isWithinWorkingHours,
+};
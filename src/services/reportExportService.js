@@ -65,7 +65,13 @@ async function generateCSV(data, reportType, filename) {
           { id: 'replied', title: 'Replied' },
           { id: 'deliveryRate', title: 'Delivery Rate (%)' },
           { id: 'readRate', title: 'Read Rate (%)' },
-          { id: 'replyRate', title: 'Reply Rate (%)' }
+          { id: 'replyRate', title: 'Reply Rate (%)' },
+          { id: 'clicks', title: 'Clicks' },
+          { id: 'clickRate', title: 'Click Rate (%)' },
+          { id: 'orders', title: 'Orders' },
+          { id: 'revenue', title: `Revenue (${data.attribution?.currency || 'USD'})` },
+          { id: 'cost', title: `Cost (${data.attribution?.currency || 'USD'})` },
+          { id: 'roi', title: 'ROI' }
         ];
         records = data.topCampaigns || [];
         break;
@@ -285,6 +291,13 @@ function generateCampaignsPDF(doc, data) {
   doc.text(`Average Delivery Rate: ${data.rates?.avgDelivery || 0}%`);
   doc.text(`Average Read Rate: ${data.rates?.avgRead || 0}%`);
   doc.text(`Average Reply Rate: ${data.rates?.avgReply || 0}%`);
+  doc.text(`Link Clicks: ${data.summary?.totalClicks || 0} (${data.rates?.avgClick || 0}%)`);
+  doc.text(
+    `Attributed Orders: ${data.summary?.totalOrders || 0} (${formatAttributionModel(data.attribution)})`
+  );
+  doc.text(`Revenue: ${formatAmount(data.summary?.revenue, data.attribution)}`);
+  doc.text(`Cost: ${formatAmount(data.summary?.cost, data.attribution)}`);
+  doc.text(`ROI: ${formatROI(data.summary?.roi)}`);
   doc.moveDown();
 
   // Top Campaigns
@@ -295,10 +308,37 @@ function generateCampaignsPDF(doc, data) {
     data.topCampaigns.slice(0, 10).forEach((campaign, index) => {
       doc.text(`${index + 1}. ${campaign.name}`);
       doc.text(`   Recipients: ${campaign.recipients}, Delivery: ${campaign.deliveryRate}%, Read: ${campaign.readRate}%`);
+      doc.text(
+        `   Clicks: ${campaign.clicks || 0}, Orders: ${campaign.orders || 0}, Revenue: ${formatAmount(campaign.revenue, data.attribution)}, ROI: ${formatROI(campaign.roi)}`
+      );
     });
   }
 }
 
+/**
+ * Amount in the currency campaign revenue is reported in
+ */
+function formatAmount(value, attribution) {
+  return `${(value || 0).toFixed(2)} ${attribution?.currency || 'USD'}`;
+}
+
+/**
+ * ROI ratio as a percentage; campaigns without a cost have none
+ */
+function formatROI(roi) {
+  return roi === null || roi === undefined ? 'n/a' : `${Math.round(roi * 100)}%`;
+}
+
+/**
+ * Attribution model and window revenue is credited with
+ */
+function formatAttributionModel(attribution) {
+  if (!attribution) {
+    return 'last touch';
+  }
+  return `${attribution.model.replace('_', ' ')}, ${attribution.windowDays}-day window`;
+}
+
 /**
  * Generate Contacts section in PDF
  */
@@ -502,12 +542,36 @@ async function generateCampaignsExcel(workbook, data) {
   sheet.addRow(['Messages Sent', data.summary?.totalSent || 0]);
   sheet.addRow(['Avg Delivery Rate', `${data.rates?.avgDelivery || 0}%`]);
   sheet.addRow(['Avg Read Rate', `${data.rates?.avgRead || 0}%`]);
+  sheet.addRow(['Link Clicks', data.summary?.totalClicks || 0]);
+  sheet.addRow([
+    'Attributed Orders',
+    data.summary?.totalOrders || 0,
+    formatAttributionModel(data.attribution),
+  ]);
+  sheet.addRow(['Revenue', formatAmount(data.summary?.revenue, data.attribution)]);
+  sheet.addRow(['Cost', formatAmount(data.summary?.cost, data.attribution)]);
+  sheet.addRow(['ROI', formatROI(data.summary?.roi)]);
   sheet.addRow([]);
 
   // Top campaigns
   if (data.topCampaigns && data.topCampaigns.length > 0) {
     sheet.addRow(['Top Performing Campaigns']);
-    sheet.addRow(['Name', 'Recipients', 'Sent', 'Delivered', 'Read', 'Replied', 'Delivery Rate', 'Read Rate', 'Reply Rate']);
+    sheet.addRow([
+      'Name',
+      'Recipients',
+      'Sent',
+      'Delivered',
+      'Read',
+      'Replied',
+      'Delivery Rate',
+      'Read Rate',
+      'Reply Rate',
+      'Clicks',
+      'Click Rate',
+      'Orders',
+      'Revenue',
+      'ROI',
+    ]);
     
     data.topCampaigns.forEach(campaign => {
       sheet.addRow([
@@ -519,7 +583,12 @@ async function generateCampaignsExcel(workbook, data) {
         campaign.replied,
         `${campaign.deliveryRate}%`,
         `${campaign.readRate}%`,
-        `${campaign.replyRate}%`
+        `${campaign.replyRate}%`,
+        campaign.clicks || 0,
+        `${campaign.clickRate || 0}%`,
+        campaign.orders || 0,
+        formatAmount(campaign.revenue, data.attribution),
+        formatROI(campaign.roi)
       ]);
     });
   }
@@ -4,19 +4,26 @@
  * Business logic for contact segmentation
  */
 
+import { Prisma } from '@prisma/client';
 import prisma from '../config/database.js';
 import redis from '../config/redis.js';
 import logger from '../utils/logger.js';
+import customFieldService from './customFieldService.js';
+import { CUSTOM_FIELD_OPERATORS, coerceValue } from '../utils/customFields.js';
 
 const SEGMENT_CACHE_TTL = 300; // 5 minutes
 
+// Operators of custom fields that take no value
+const VALUELESS_OPERATORS = ['has_key', 'is_empty', 'is_not_empty'];
+
 /**
  * Evaluate segment conditions against contacts
  * @param {Object} conditions - Segment conditions
  * @param {String} teamId - Team ID
+ * @param {Object} [customFieldTypes] - Types of the team's custom fields by key (getFieldTypes)
  * @returns {Object} Prisma where clause
  */
-function buildSegmentQuery(conditions, teamId) {
+function buildSegmentQuery(conditions, teamId, customFieldTypes = {}) {
   const where = { team_id: teamId, deleted_at: null };
 
   if (!conditions || !conditions.rules || conditions.rules.length === 0) {
@@ -60,7 +67,7 @@ function buildSegmentQuery(conditions, teamId) {
         break;
 
       case 'custom_fields':
-        queries.push(buildCustomFieldQuery(ruleOperator, value));
+        queries.push(buildCustomFieldQuery(ruleOperator, value, customFieldTypes));
         break;
 
       default:
@@ -209,11 +216,108 @@ function buildTagQuery(operator, value) {
   }
 }
 
+/**
+ * Type a custom field rule compares values as
+ * Fields without a definition are compared as the operator implies: numbers
+ * for number comparisons, dates for before/after and between dates.
+ * @returns {string|null} null for equality on an undefined field, which compares values as stored
+ */
+function getCustomFieldRuleType(operator, key, operand, customFieldTypes) {
+  if (customFieldTypes[key]) return customFieldTypes[key];
+
+  switch (operator) {
+    case 'greater_than':
+    case 'greater_than_or_equal':
+    case 'less_than':
+    case 'less_than_or_equal':
+      return 'number';
+    case 'before':
+    case 'after':
+      return 'date';
+    case 'between':
+      return Array.isArray(operand) && operand.every((bound) => !Number.isNaN(Number(bound)))
+        ? 'number'
+        : 'date';
+    case 'contains':
+    case 'not_contains':
+    case 'starts_with':
+    case 'ends_with':
+      return 'text';
+    case 'has_any':
+    case 'has_all':
+    case 'has_none':
+      return 'multi_select';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a rule's value to the type of its custom field
+ * @returns {Object} { value, error }
+ */
+function toCustomFieldValue(type, key, value) {
+  if (!type || type === 'select' || type === 'multi_select') {
+    return { value, error: null };
+  }
+
+  return coerceValue({ label: `Custom field ${key}`, type }, value);
+}
+
+/**
+ * Check the custom field rules of segment conditions
+ * Rules on a defined field must use an operator of its type and values of its type.
+ * @param {Object} conditions - Segment conditions
+ * @param {Object} customFieldTypes - Types of the team's custom fields by key
+ * @throws {Error} For the first invalid rule
+ */
+function validateCustomFieldRules(conditions, customFieldTypes) {
+  const rules = (conditions?.rules || []).filter((rule) => rule.field === 'custom_fields');
+
+  for (const { operator, value } of rules) {
+    if (!value || typeof value.key !== 'string' || !value.key) {
+      throw new Error('Custom field rules need a key');
+    }
+
+    const { key, value: operand } = value;
+    const definedType = customFieldTypes[key];
+
+    if (
+      definedType &&
+      !['has_key', 'key_equals', ...CUSTOM_FIELD_OPERATORS[definedType]].includes(operator)
+    ) {
+      throw new Error(`Operator ${operator} cannot be used on ${definedType} custom field ${key}`);
+    }
+
+    if (VALUELESS_OPERATORS.includes(operator)) continue;
+
+    if (operator === 'between' && (!Array.isArray(operand) || operand.length !== 2)) {
+      throw new Error(`Between on custom field ${key} needs two values`);
+    }
+
+    const type = getCustomFieldRuleType(operator, key, operand, customFieldTypes);
+    const operands = operator === 'between' || Array.isArray(operand) ? operand : [operand];
+
+    for (const item of operands) {
+      const { error } = toCustomFieldValue(type, key, item);
+      if (error) throw new Error(error);
+    }
+  }
+}
+
 /**
  * Build custom field query
+ * Values are compared by the type of the custom field (see getCustomFieldRuleType).
  */
-function buildCustomFieldQuery(operator, value) {
+function buildCustomFieldQuery(operator, value, customFieldTypes = {}) {
   const { key, value: fieldValue } = value;
+  const type = getCustomFieldRuleType(operator, key, fieldValue, customFieldTypes);
+  const toValue = (item) => {
+    const result = toCustomFieldValue(type, key, item);
+    return result.error ? item : result.value;
+  };
+  const filter = (condition) => ({ custom_fields: { path: [key], ...condition } });
+  const values = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
 
   switch (operator) {
     case 'has_key':
@@ -224,17 +328,79 @@ function buildCustomFieldQuery(operator, value) {
         },
       };
     case 'key_equals':
+    case 'equals':
+      return filter({ equals: toValue(fieldValue) });
+    case 'not_equals':
+      return { NOT: filter({ equals: toValue(fieldValue) }) };
+    case 'contains':
+      return filter({ string_contains: String(fieldValue) });
+    case 'not_contains':
+      return { NOT: filter({ string_contains: String(fieldValue) }) };
+    case 'starts_with':
+      return filter({ string_starts_with: String(fieldValue) });
+    case 'ends_with':
+      return filter({ string_ends_with: String(fieldValue) });
+    case 'greater_than':
+    case 'after':
+      return filter({ gt: toValue(fieldValue) });
+    case 'greater_than_or_equal':
+      return filter({ gte: toValue(fieldValue) });
+    case 'less_than':
+    case 'before':
+      return filter({ lt: toValue(fieldValue) });
+    case 'less_than_or_equal':
+      return filter({ lte: toValue(fieldValue) });
+    case 'between':
+      if (Array.isArray(fieldValue) && fieldValue.length === 2) {
+        return {
+          AND: [filter({ gte: toValue(fieldValue[0]) }), filter({ lte: toValue(fieldValue[1]) })],
+        };
+      }
+      return {};
+    case 'has_any':
       return {
-        custom_fields: {
-          path: [key],
-          equals: fieldValue,
+        OR: values.map((item) =>
+          filter(type === 'select' ? { equals: item } : { array_contains: [item] })
+        ),
+      };
+    case 'has_all':
+      return filter({ array_contains: values });
+    case 'has_none':
+      return {
+        NOT: {
+          OR: values.map((item) =>
+            filter(type === 'select' ? { equals: item } : { array_contains: [item] })
+          ),
         },
       };
+    case 'is_empty':
+      return {
+        OR: [filter({ equals: Prisma.AnyNull }), filter({ equals: '' }), filter({ equals: [] })],
+      };
+    case 'is_not_empty':
+      return {
+        AND: [
+          filter({ not: Prisma.AnyNull }),
+          { NOT: filter({ equals: '' }) },
+          { NOT: filter({ equals: [] }) },
+        ],
+      };
     default:
       return {};
   }
 }
 
+/**
+ * Build the where clause of segment conditions with the team's custom field types
+ * @param {Object} conditions - Segment conditions
+ * @param {String} teamId - Team ID
+ * @returns {Promise<Object>} Prisma where clause
+ */
+async function buildTeamSegmentQuery(conditions, teamId) {
+  const customFieldTypes = await customFieldService.getFieldTypes(teamId);
+  return buildSegmentQuery(conditions, teamId, customFieldTypes);
+}
+
 /**
  * Create a new segment
  */
@@ -255,8 +421,11 @@ async function createSegment(teamId, data) {
     throw new Error('Segment with this name already exists');
   }
 
+  const customFieldTypes = await customFieldService.getFieldTypes(teamId);
+  validateCustomFieldRules(conditions, customFieldTypes);
+
   // Calculate initial contact count
-  const where = buildSegmentQuery(conditions, teamId);
+  const where = buildSegmentQuery(conditions, teamId, customFieldTypes);
   const contactCount = await prisma.contacts.count({ where });
 
   const segment = await prisma.segments.create({
@@ -323,7 +492,10 @@ async function updateSegment(segmentId, teamId, data) {
   let lastCalculatedAt = segment.last_calculated_at;
 
   if (conditions && JSON.stringify(conditions) !== JSON.stringify(segment.conditions)) {
-    const where = buildSegmentQuery(conditions, teamId);
+    const customFieldTypes = await customFieldService.getFieldTypes(teamId);
+    validateCustomFieldRules(conditions, customFieldTypes);
+
+    const where = buildSegmentQuery(conditions, teamId, customFieldTypes);
     contactCount = await prisma.contacts.count({ where });
     lastCalculatedAt = new Date();
 
@@ -371,7 +543,7 @@ async function getSegmentContacts(segmentId, teamId, options = {}) {
 
   const { page = 1, limit = 50, sortBy = 'created_at', sortOrder = 'desc' } = options;
 
-  const where = buildSegmentQuery(segment.conditions, teamId);
+  const where = await buildTeamSegmentQuery(segment.conditions, teamId);
 
   const [contacts, total] = await Promise.all([
     prisma.contacts.findMany({
@@ -407,7 +579,7 @@ async function getSegmentContacts(segmentId, teamId, options = {}) {
 async function recalculateSegmentCount(segmentId, teamId) {
   const segment = await getSegmentById(segmentId, teamId);
 
-  const where = buildSegmentQuery(segment.conditions, teamId);
+  const where = await buildTeamSegmentQuery(segment.conditions, teamId);
   const contactCount = await prisma.contacts.count({ where });
 
   await prisma.segments.update({
@@ -452,4 +624,6 @@ export default {
   recalculateSegmentCount,
   getCachedSegmentCount,
   buildSegmentQuery,
+  buildTeamSegmentQuery,
+  validateCustomFieldRules,
 };
@@ -0,0 +1,242 @@
+/**
+ * Send Time Service
+ *
+ * Send-time optimization for campaigns. Each contact gets a send slot at the
+ * local hour they usually read or reply to messages; contacts without enough
+ * history are sent inside the team's default delivery window. All slots fall
+ * within 24 hours of the campaign start.
+ */
+
+import prisma from '../config/database.js';
+import { getCalendarParts, getNextOccurrence } from '../utils/recurrence.js';
+import { getCountryTimezone, isValidTimezone } from '../utils/timezones.js';
+
+// Every contact is sent within this many hours of the campaign start
+export const DELIVERY_HORIZON_HOURS = 24;
+
+// Engagement older than this does not count towards a contact's best hour
+const HISTORY_DAYS = 90;
+
+// Contacts are loaded in chunks to keep the history queries small
+const CHUNK_SIZE = 1000;
+
+const DEFAULT_SETTINGS = {
+  // Window (team time zone unless the contact's is known) for contacts without history
+  windowStart: '10:00',
+  windowEnd: '18:00',
+  timezone: 'UTC',
+  // Reads and replies needed before a contact's own best hour is used
+  minSamples: 3,
+};
+
+/**
+ * Get the team's send time settings merged over the defaults
+ * @returns {Promise<Object>} Settings
+ */
+async function getSettings(teamId) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  return { ...DEFAULT_SETTINGS, ...(team?.settings?.sendTime || {}) };
+}
+
+/**
+ * Update the team's send time settings
+ * @param {Object} data - Partial settings
+ * @returns {Promise<Object|null>} Settings, or null if the team does not exist
+ */
+async function updateSettings(teamId, data) {
+  const team = await prisma.teams.findUnique({
+    where: { id: teamId },
+    select: { settings: true },
+  });
+
+  if (!team) {
+    return null;
+  }
+
+  const sendTime = { ...(team.settings?.sendTime || {}), ...data };
+
+  await prisma.teams.update({
+    where: { id: teamId },
+    data: { settings: { ...(team.settings || {}), sendTime } },
+  });
+
+  return { ...DEFAULT_SETTINGS, ...sendTime };
+}
+
+/**
+ * Time zone of a contact: the `timezone` custom field, then the country, then the fallback
+ * @param {Object} contact - Contact row
+ * @param {string} fallback - Time zone used when the contact's is unknown
+ * @returns {string} IANA time zone
+ */
+export function getContactTimezone(contact, fallback = 'UTC') {
+  const customTimezone = contact?.custom_fields?.timezone;
+  if (isValidTimezone(customTimezone)) {
+    return customTimezone;
+  }
+
+  return getCountryTimezone(contact?.country) || fallback;
+}
+
+/**
+ * Local hours at which each contact read or replied to messages
+ * Reads are outbound messages' read_at; replies are the contact's inbound messages.
+ * @param {Array<string>} contactIds
+ * @returns {Promise<Map<string, Array<Date>>>} Engagement moments per contact
+ */
+async function getEngagementHistory(contactIds, now = new Date()) {
+  const since = new Date(now.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const history = new Map();
+
+  const add = (contactId, moment) => {
+    if (!history.has(contactId)) history.set(contactId, []);
+    history.get(contactId).push(moment);
+  };
+
+  for (let i = 0; i < contactIds.length; i += CHUNK_SIZE) {
+    const chunk = contactIds.slice(i, i + CHUNK_SIZE);
+
+    const [reads, replies] = await Promise.all([
+      prisma.messages.findMany({
+        where: {
+          contact_id: { in: chunk },
+          senderType: { not: 'contact' },
+          read_at: { gte: since },
+        },
+        select: { contact_id: true, read_at: true },
+      }),
+      prisma.messages.findMany({
+        where: {
+          contact_id: { in: chunk },
+          senderType: 'contact',
+          created_at: { gte: since },
+        },
+        select: { contact_id: true, created_at: true },
+      }),
+    ]);
+
+    reads.forEach((message) => add(message.contact_id, message.read_at));
+    replies.forEach((message) => add(message.contact_id, message.created_at));
+  }
+
+  return history;
+}
+
+/**
+ * Local hour with the most engagement, or null with fewer than minSamples moments
+ * @param {Array<Date>} moments
+ * @param {string} timezone
+ * @param {number} minSamples
+ * @returns {number|null} Hour of day (0-23)
+ */
+export function getBestHour(moments, timezone, minSamples = DEFAULT_SETTINGS.minSamples) {
+  if (!moments || moments.length < minSamples) {
+    return null;
+  }
+
+  const counts = new Array(24).fill(0);
+  moments.forEach((moment) => {
+    counts[getCalendarParts(moment, timezone).hour]++;
+  });
+
+  return counts.indexOf(Math.max(...counts));
+}
+
+/**
+ * Whether a local 'HH:mm' time is inside a window; windows may cross midnight
+ */
+function isWithinWindow(time, start, end) {
+  return start <= end ? time >= start && time < end : time >= start || time < end;
+}
+
+/**
+ * Earliest moment at or after `now` at a local hour, or inside a local window
+ * @param {Object} slot - { hour } or { windowStart, windowEnd }
+ * @returns {Date}
+ */
+function getSlotStart(slot, timezone, now) {
+  const parts = getCalendarParts(now, timezone);
+  const localTime = `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+
+  if (slot.hour !== undefined) {
+    if (parts.hour === slot.hour) {
+      return now;
+    }
+
+    const time = `${String(slot.hour).padStart(2, '0')}:00`;
+    return getNextOccurrence({ frequency: 'daily', time, timezone }, now);
+  }
+
+  if (isWithinWindow(localTime, slot.windowStart, slot.windowEnd)) {
+    return now;
+  }
+
+  return getNextOccurrence({ frequency: 'daily', time: slot.windowStart, timezone }, now);
+}
+
+/**
+ * Plan a send time for every recipient of a campaign
+ * Slots start within the delivery horizon. Sends are planned in slot order and
+ * each one is at least the throttle's spacing after the previous, across all
+ * slots and time zones, so the campaign never sends above messagesPerMinute;
+ * when the horizon cannot hold every send, the last ones go out after it.
+ * @param {Object} campaign - Campaign row (team_id, throttle_config, send_time_config)
+ * @param {Array<Object>} recipients - campaign_messages rows including `contacts`
+ * @param {Date} now - Campaign start
+ * @returns {Promise<Map<string, Object>>} Per recipient id: { sendAt, timezone, source: 'history'|'window' }
+ */
+async function planSendTimes(campaign, recipients, now = new Date()) {
+  const settings = {
+    ...(await getSettings(campaign.team_id)),
+    ...(campaign.send_time_config || {}),
+  };
+  const messagesPerMinute = campaign.throttle_config?.messagesPerMinute || 20;
+  const spacing = Math.ceil(60000 / messagesPerMinute);
+  const horizonEnd = now.getTime() + DELIVERY_HORIZON_HOURS * 60 * 60 * 1000;
+
+  const history = await getEngagementHistory(
+    [...new Set(recipients.map((recipient) => recipient.contact_id))],
+    now
+  );
+
+  const slots = recipients.map((recipient) => {
+    const timezone = getContactTimezone(recipient.contacts, settings.timezone);
+    const bestHour = getBestHour(history.get(recipient.contact_id), timezone, settings.minSamples);
+    const slot =
+      bestHour !== null
+        ? { hour: bestHour }
+        : { windowStart: settings.windowStart, windowEnd: settings.windowEnd };
+
+    return {
+      recipientId: recipient.id,
+      slotStart: Math.min(getSlotStart(slot, timezone, now).getTime(), horizonEnd),
+      timezone,
+      source: bestHour !== null ? 'history' : 'window',
+    };
+  });
+
+  // One cursor over every slot: close slots of different time zones share the throttle
+  const plan = new Map();
+  let cursor = -Infinity;
+
+  slots
+    .sort((a, b) => a.slotStart - b.slotStart)
+    .forEach(({ recipientId, slotStart, timezone, source }) => {
+      cursor = Math.max(slotStart, cursor + spacing);
+      plan.set(recipientId, { sendAt: new Date(cursor), timezone, source });
+    });
+
+  return plan;
+}
+
+export default {
+  getSettings,
+  updateSettings,
+  getContactTimezone,
+  getBestHour,
+  planSendTimes,
+};
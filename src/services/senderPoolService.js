@@ -0,0 +1,302 @@
+/**
+ * Sender Pool Service
+ *
+ * Spreads a campaign over a pool of WhatsApp accounts. Recipients are split by
+ * account health score, each contact sticks to the account it first heard from,
+ * and sends fail over to another account of the pool when theirs disconnects or
+ * reaches its daily message limit.
+ */
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import whatsappService from './whatsappService.js';
+import logger from '../utils/logger.js';
+
+// Assignments are loaded in chunks to keep the queries small
+const CHUNK_SIZE = 1000;
+
+const ACCOUNT_SELECT = {
+  id: true,
+  name: true,
+  phone: true,
+  status: true,
+  is_active: true,
+  health_score: true,
+  daily_message_limit: true,
+  messages_sent_today: true,
+};
+
+/**
+ * Account IDs a campaign sends from: its sender pool, or only its own account
+ * @param {Object} campaign - Campaign row (account_id, sender_pool)
+ * @returns {Array<string>}
+ */
+export function getPoolAccountIds(campaign) {
+  return campaign.sender_pool?.accountIds?.length
+    ? campaign.sender_pool.accountIds
+    : [campaign.account_id];
+}
+
+/**
+ * Whether an account may take more sends today
+ * Accounts with a zero health score (offline for hours) are left out.
+ * @param {Object} account - whatsapp_accounts row
+ * @returns {boolean}
+ */
+export function isAccountAvailable(account) {
+  return (
+    account.is_active &&
+    account.status === 'connected' &&
+    account.health_score > 0 &&
+    account.messages_sent_today < account.daily_message_limit
+  );
+}
+
+/**
+ * Pick an account at random, weighted by health score
+ * @param {Array<Object>} accounts - Available accounts
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Object|null} Account, or null when none is given
+ */
+export function pickAccount(accounts, random = Math.random) {
+  const totalWeight = accounts.reduce((sum, account) => sum + account.health_score, 0);
+
+  if (accounts.length === 0 || totalWeight <= 0) {
+    return null;
+  }
+
+  let threshold = random() * totalWeight;
+  for (const account of accounts) {
+    threshold -= account.health_score;
+    if (threshold < 0) {
+      return account;
+    }
+  }
+
+  return accounts[accounts.length - 1];
+}
+
+/**
+ * Check that every account of a pool belongs to the team and is active
+ * @param {string} teamId
+ * @param {Array<string>} accountIds
+ * @returns {Promise<Array<string>>} Unique account IDs
+ */
+async function validatePool(teamId, accountIds) {
+  const uniqueIds = [...new Set(accountIds)];
+  const accounts = await prisma.whatsapp_accounts.findMany({
+    where: { id: { in: uniqueIds }, team_id: teamId, is_active: true, deleted_at: null },
+    select: { id: true },
+  });
+
+  const found = new Set(accounts.map((account) => account.id));
+  const missing = uniqueIds.filter((id) => !found.has(id));
+  if (missing.length > 0) {
+    throw new Error(`Sender pool account not found or inactive: ${missing.join(', ')}`);
+  }
+
+  return uniqueIds;
+}
+
+/**
+ * Accounts of a campaign's pool that can send right now
+ * @param {Object} campaign - Campaign row
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAvailableAccounts(campaign) {
+  const accounts = await prisma.whatsapp_accounts.findMany({
+    where: { id: { in: getPoolAccountIds(campaign) } },
+    select: ACCOUNT_SELECT,
+  });
+
+  return accounts.filter(isAccountAvailable);
+}
+
+/**
+ * Choose the sending account of every recipient of a campaign run
+ * Contacts keep their assigned account while it is in the pool and available;
+ * others get an account weighted by health score, without planning more sends
+ * than an account has left today. New and failed-over assignments are saved.
+ * @param {Object} campaign - Campaign row
+ * @param {Array<Object>} recipients - campaign_messages rows
+ * @returns {Promise<Map<string, string|null>>} Per recipient id, the account id (null when
+ *   every account of the pool is out of capacity)
+ */
+async function planSenders(campaign, recipients) {
+  const accounts = await getAvailableAccounts(campaign);
+  const poolIds = new Set(getPoolAccountIds(campaign));
+  const remaining = new Map(
+    accounts.map((account) => [
+      account.id,
+      account.daily_message_limit - account.messages_sent_today,
+    ])
+  );
+
+  const contactIds = [...new Set(recipients.map((recipient) => recipient.contact_id))];
+  const assignments = new Map();
+  for (let i = 0; i < contactIds.length; i += CHUNK_SIZE) {
+    const rows = await prisma.contact_senders.findMany({
+      where: { contact_id: { in: contactIds.slice(i, i + CHUNK_SIZE) } },
+      select: { contact_id: true, account_id: true },
+    });
+    rows.forEach((row) => assignments.set(row.contact_id, row.account_id));
+  }
+
+  const plan = new Map();
+  const newAssignments = [];
+  const failovers = [];
+
+  for (const recipient of recipients) {
+    const assigned = assignments.get(recipient.contact_id);
+    let accountId = assigned && remaining.get(assigned) > 0 ? assigned : null;
+
+    if (!accountId) {
+      const account = pickAccount(accounts.filter((a) => remaining.get(a.id) > 0));
+      accountId = account?.id || null;
+
+      if (accountId && !assigned) {
+        newAssignments.push(recipient.contact_id);
+        assignments.set(recipient.contact_id, accountId);
+      } else if (accountId && poolIds.has(assigned)) {
+        // The contact's account is in the pool but cannot send; it moves for good
+        failovers.push(recipient.contact_id);
+        assignments.set(recipient.contact_id, accountId);
+      }
+    }
+
+    if (accountId) {
+      remaining.set(accountId, remaining.get(accountId) - 1);
+    }
+    plan.set(recipient.id, accountId);
+  }
+
+  const now = new Date();
+  if (newAssignments.length > 0) {
+    await prisma.contact_senders.createMany({
+      data: newAssignments.map((contactId) => ({
+        id: crypto.randomUUID(),
+        contact_id: contactId,
+        account_id: assignments.get(contactId),
+        updated_at: now,
+      })),
+      skipDuplicates: true,
+    });
+  }
+
+  for (const contactId of failovers) {
+    await prisma.contact_senders.update({
+      where: { contact_id: contactId },
+      data: { account_id: assignments.get(contactId), updated_at: now },
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * Account to send a queued campaign message from, failing over when the planned one cannot send
+ * Campaigns without a sender pool always send from the planned account.
+ * @param {string} campaignId
+ * @param {string} contactId
+ * @param {string} accountId - Planned account
+ * @returns {Promise<string|null>} Account id, or null when no account of the pool can send
+ */
+async function resolveSender(campaignId, contactId, accountId) {
+  const campaign = await prisma.campaigns.findUnique({
+    where: { id: campaignId },
+    select: { id: true, account_id: true, sender_pool: true },
+  });
+
+  if (!campaign?.sender_pool) {
+    return accountId;
+  }
+
+  const accounts = await prisma.whatsapp_accounts.findMany({
+    where: { id: { in: getPoolAccountIds(campaign) } },
+    select: ACCOUNT_SELECT,
+  });
+  const available = accounts.filter(
+    (account) => isAccountAvailable(account) && whatsappService.isAccountConnected(account.id)
+  );
+
+  if (available.some((account) => account.id === accountId)) {
+    return accountId;
+  }
+
+  const fallback = pickAccount(available);
+  if (!fallback) {
+    return null;
+  }
+
+  // The contact hears from the new account from now on
+  await prisma.contact_senders.upsert({
+    where: { contact_id: contactId },
+    create: {
+      id: crypto.randomUUID(),
+      contact_id: contactId,
+      account_id: fallback.id,
+      updated_at: new Date(),
+    },
+    update: { account_id: fallback.id, updated_at: new Date() },
+  });
+
+  logger.warn('Campaign message failed over to another sender', {
+    campaignId: campaign.id,
+    contactId,
+    fromAccountId: accountId,
+    toAccountId: fallback.id,
+  });
+
+  return fallback.id;
+}
+
+/**
+ * Per-account state and send counts of a campaign's pool
+ * @param {Object} campaign - Campaign row
+ * @returns {Promise<Array<Object>>}
+ */
+async function getPoolStats(campaign) {
+  const [accounts, counts] = await Promise.all([
+    prisma.whatsapp_accounts.findMany({
+      where: { id: { in: getPoolAccountIds(campaign) } },
+      select: ACCOUNT_SELECT,
+    }),
+    prisma.campaign_messages.groupBy({
+      by: ['account_id', 'status'],
+      where: { campaign_id: campaign.id, account_id: { not: null } },
+      _count: { id: true },
+    }),
+  ]);
+
+  return accounts.map((account) => {
+    const countOf = (statuses) =>
+      counts
+        .filter((c) => c.account_id === account.id && statuses.includes(c.status))
+        .reduce((sum, c) => sum + c._count.id, 0);
+
+    return {
+      accountId: account.id,
+      name: account.name,
+      phone: account.phone,
+      status: account.status,
+      healthScore: account.health_score,
+      available: isAccountAvailable(account),
+      dailyMessageLimit: account.daily_message_limit,
+      messagesSentToday: account.messages_sent_today,
+      queued: countOf(['queued']),
+      sent: countOf(['sent', 'delivered', 'read']),
+      failed: countOf(['failed']),
+    };
+  });
+}
+
+export default {
+  getPoolAccountIds,
+  isAccountAvailable,
+  pickAccount,
+  validatePool,
+  getAvailableAccounts,
+  planSenders,
+  resolveSender,
+  getPoolStats,
+};
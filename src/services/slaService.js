@@ -0,0 +1,563 @@
+/**
+ * SLA Service
+ *
+ * Conversation SLA policies and timers.
+ *
+ * A policy sets up to three targets in minutes:
+ * - first response: first inbound message of a cycle -> first agent reply
+ * - next response:  later inbound message waiting for a reply -> agent reply
+ * - resolution:     first inbound message of a cycle -> conversation closed
+ *
+ * Policies are matched like assignment rules: by descending priority, on the
+ * WhatsApp account and contact tags. Each open period of a conversation is one
+ * SLA cycle (conversation_slas), started by an inbound message and ended when
+ * the conversation is closed. Timers use messages.created_at; only replies sent
+ * by a user count as responses (automations and chatbots do not).
+ *
+ * A cron job checks running timers every minute and alerts the assigned agent
+ * (or the team's supervisors when unassigned) once the warning threshold
+ * (warning_percent of the target) is reached, and again on breach. Breaches
+ * also alert supervisors.
+ */
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import emailService from './emailService.js';
+import { emitSystemNotification } from '../sockets/index.js';
+import logger from '../utils/logger.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const METRICS = {
+  first_response: {
+    label: 'First response',
+    target: 'first_response_minutes',
+    due: 'first_response_due_at',
+  },
+  next_response: {
+    label: 'Next response',
+    target: 'next_response_minutes',
+    due: 'next_response_due_at',
+  },
+  resolution: {
+    label: 'Resolution',
+    target: 'resolution_minutes',
+    due: 'resolution_due_at',
+  },
+};
+
+const SUPERVISOR_ROLES = ['Admin', 'Manager'];
+
+/**
+ * Map an SLA policy to camelCase
+ */
+function mapPolicy(dbPolicy) {
+  if (!dbPolicy) return null;
+  return {
+    id: dbPolicy.id,
+    teamId: dbPolicy.team_id,
+    name: dbPolicy.name,
+    accountId: dbPolicy.account_id,
+    contactTags: dbPolicy.contact_tags,
+    firstResponseMinutes: dbPolicy.first_response_minutes,
+    nextResponseMinutes: dbPolicy.next_response_minutes,
+    resolutionMinutes: dbPolicy.resolution_minutes,
+    warningPercent: dbPolicy.warning_percent,
+    priority: dbPolicy.priority,
+    isActive: dbPolicy.is_active,
+    createdAt: dbPolicy.created_at,
+    updatedAt: dbPolicy.updated_at,
+  };
+}
+
+/**
+ * Map an SLA cycle to camelCase
+ */
+function mapCycle(dbCycle) {
+  if (!dbCycle) return null;
+  return {
+    id: dbCycle.id,
+    conversationId: dbCycle.conversation_id,
+    policyId: dbCycle.policy_id,
+    status: dbCycle.status,
+    startedAt: dbCycle.started_at,
+    firstResponseDueAt: dbCycle.first_response_due_at,
+    firstRespondedAt: dbCycle.first_responded_at,
+    nextResponseDueAt: dbCycle.next_response_due_at,
+    resolutionDueAt: dbCycle.resolution_due_at,
+    resolvedAt: dbCycle.resolved_at,
+    firstResponseBreached: dbCycle.first_response_breached,
+    nextResponses: dbCycle.next_responses,
+    nextResponseBreaches: dbCycle.next_response_breaches,
+    resolutionBreached: dbCycle.resolution_breached,
+  };
+}
+
+/**
+ * Map policy fields from the API to database columns
+ */
+function toPolicyData(data) {
+  const policyData = {};
+  if (data.name !== undefined) policyData.name = data.name;
+  if (data.accountId !== undefined) policyData.account_id = data.accountId;
+  if (data.contactTags !== undefined) policyData.contact_tags = data.contactTags;
+  if (data.firstResponseMinutes !== undefined) {
+    policyData.first_response_minutes = data.firstResponseMinutes;
+  }
+  if (data.nextResponseMinutes !== undefined) {
+    policyData.next_response_minutes = data.nextResponseMinutes;
+  }
+  if (data.resolutionMinutes !== undefined) policyData.resolution_minutes = data.resolutionMinutes;
+  if (data.warningPercent !== undefined) policyData.warning_percent = data.warningPercent;
+  if (data.priority !== undefined) policyData.priority = data.priority;
+  if (data.isActive !== undefined) policyData.is_active = data.isActive;
+  return policyData;
+}
+
+/**
+ * Create an SLA policy
+ */
+async function createPolicy(teamId, data) {
+  const policy = await prisma.sla_policies.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: teamId,
+      ...toPolicyData(data),
+      updated_at: new Date(),
+    },
+  });
+
+  logger.info(`SLA policy created: ${policy.id}`, { teamId });
+  return mapPolicy(policy);
+}
+
+/**
+ * List the team's SLA policies in evaluation order
+ */
+async function getPolicies(teamId) {
+  const policies = await prisma.sla_policies.findMany({
+    where: { team_id: teamId },
+    orderBy: [{ priority: 'desc' }, { created_at: 'asc' }],
+  });
+  return policies.map(mapPolicy);
+}
+
+/**
+ * Update an SLA policy (running cycles keep their due times)
+ * @returns {Promise<Object|null>} Updated policy, or null if not found
+ */
+async function updatePolicy(teamId, policyId, data) {
+  const existing = await prisma.sla_policies.findFirst({
+    where: { id: policyId, team_id: teamId },
+  });
+
+  if (!existing) {
+    return null;
+  }
+
+  const policy = await prisma.sla_policies.update({
+    where: { id: policyId },
+    data: { ...toPolicyData(data), updated_at: new Date() },
+  });
+
+  return mapPolicy(policy);
+}
+
+/**
+ * Delete an SLA policy (past cycles are kept without a policy)
+ * @returns {Promise<boolean>} Whether a policy was deleted
+ */
+async function deletePolicy(teamId, policyId) {
+  const { count } = await prisma.sla_policies.deleteMany({
+    where: { id: policyId, team_id: teamId },
+  });
+  return count > 0;
+}
+
+/**
+ * Current and past SLA cycles of a conversation, newest first
+ * @returns {Promise<Array|null>} Cycles, or null if the conversation is not in the team
+ */
+async function getConversationSla(teamId, conversationId) {
+  const conversation = await prisma.conversations.findFirst({
+    where: { id: conversationId, team_id: teamId },
+    select: { id: true },
+  });
+
+  if (!conversation) {
+    return null;
+  }
+
+  const cycles = await prisma.conversation_slas.findMany({
+    where: { conversation_id: conversationId },
+    orderBy: { started_at: 'desc' },
+  });
+
+  return cycles.map(mapCycle);
+}
+
+/**
+ * First active policy matching the conversation's account and contact tags
+ */
+async function findPolicy(conversation) {
+  const policies = await prisma.sla_policies.findMany({
+    where: { team_id: conversation.teamId, is_active: true },
+    orderBy: [{ priority: 'desc' }, { created_at: 'asc' }],
+  });
+
+  if (policies.length === 0) {
+    return null;
+  }
+
+  const tagged = await prisma.contact_tags.findMany({
+    where: { contact_id: conversation.contactId },
+    select: { tags: { select: { name: true } } },
+  });
+  const contactTags = tagged.map((ct) => ct.tags.name);
+
+  return (
+    policies.find((policy) => {
+      if (policy.account_id && policy.account_id !== conversation.accountId) {
+        return false;
+      }
+      const tags = policy.contact_tags || [];
+      return tags.length === 0 || tags.some((tag) => contactTags.includes(tag));
+    }) || null
+  );
+}
+
+const addMinutes = (date, minutes) =>
+  minutes ? new Date(new Date(date).getTime() + minutes * MINUTE_MS) : null;
+
+/**
+ * Start or advance the SLA cycle for an inbound message
+ * @param {Object} conversation - Conversation (model shape) the message belongs to
+ * @param {Object} message - Inbound message (model shape)
+ */
+async function recordInboundMessage(conversation, message) {
+  try {
+    const receivedAt = message.createdAt || new Date();
+
+    const cycle = await prisma.conversation_slas.findFirst({
+      where: { conversation_id: conversation.id, status: 'active' },
+      include: { sla_policies: true },
+    });
+
+    if (!cycle) {
+      const policy = await findPolicy(conversation);
+      if (!policy) {
+        return;
+      }
+
+      await prisma.conversation_slas.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: conversation.teamId,
+          conversation_id: conversation.id,
+          policy_id: policy.id,
+          account_id: conversation.accountId,
+          started_at: receivedAt,
+          first_response_due_at: addMinutes(receivedAt, policy.first_response_minutes),
+          resolution_due_at: addMinutes(receivedAt, policy.resolution_minutes),
+          updated_at: new Date(),
+        },
+      });
+      return;
+    }
+
+    // The contact writes again after being answered: the next-response timer starts
+    const waitingForFirstResponse = !cycle.first_responded_at;
+    const nextResponseMinutes = cycle.sla_policies?.next_response_minutes;
+
+    if (!waitingForFirstResponse && !cycle.next_response_due_at && nextResponseMinutes) {
+      await prisma.conversation_slas.update({
+        where: { id: cycle.id },
+        data: {
+          next_response_due_at: addMinutes(receivedAt, nextResponseMinutes),
+          updated_at: new Date(),
+        },
+      });
+    }
+  } catch (error) {
+    // SLA tracking must never break message processing
+    logger.error('Error recording inbound message for SLA', {
+      error: error.message,
+      conversationId: conversation.id,
+    });
+  }
+}
+
+/**
+ * Stop the response timers for an agent reply
+ * @param {string} conversationId - Conversation ID
+ * @param {Date} repliedAt - Reply time (messages.created_at)
+ */
+async function recordAgentReply(conversationId, repliedAt = new Date()) {
+  try {
+    const cycle = await prisma.conversation_slas.findFirst({
+      where: { conversation_id: conversationId, status: 'active' },
+    });
+
+    if (!cycle) {
+      return;
+    }
+
+    const data = {};
+
+    if (!cycle.first_responded_at) {
+      data.first_responded_at = repliedAt;
+      if (cycle.first_response_due_at && repliedAt > cycle.first_response_due_at) {
+        data.first_response_breached = true;
+      }
+    } else if (cycle.next_response_due_at) {
+      data.next_response_due_at = null;
+      // Counted here unless the timer check already counted it as a breach
+      if (!hasAlert(cycle, 'next_response', 'breach', cycle.next_response_due_at)) {
+        data.next_responses = { increment: 1 };
+        if (repliedAt > cycle.next_response_due_at) {
+          data.next_response_breaches = { increment: 1 };
+        }
+      }
+    }
+
+    if (Object.keys(data).length > 0) {
+      await prisma.conversation_slas.update({
+        where: { id: cycle.id },
+        data: { ...data, updated_at: new Date() },
+      });
+    }
+  } catch (error) {
+    logger.error('Error recording agent reply for SLA', { error: error.message, conversationId });
+  }
+}
+
+/**
+ * End the SLA cycle of a closed conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Date} resolvedAt - Close time
+ */
+async function resolveConversation(conversationId, resolvedAt = new Date()) {
+  try {
+    const cycle = await prisma.conversation_slas.findFirst({
+      where: { conversation_id: conversationId, status: 'active' },
+    });
+
+    if (!cycle) {
+      return;
+    }
+
+    const lateNextResponse =
+      cycle.next_response_due_at &&
+      resolvedAt > cycle.next_response_due_at &&
+      !hasAlert(cycle, 'next_response', 'breach', cycle.next_response_due_at);
+
+    await prisma.conversation_slas.update({
+      where: { id: cycle.id },
+      data: {
+        status: 'resolved',
+        resolved_at: resolvedAt,
+        next_response_due_at: null,
+        resolution_breached:
+          cycle.resolution_breached ||
+          (!!cycle.resolution_due_at && resolvedAt > cycle.resolution_due_at),
+        ...(lateNextResponse && {
+          next_responses: { increment: 1 },
+          next_response_breaches: { increment: 1 },
+        }),
+        updated_at: new Date(),
+      },
+    });
+  } catch (error) {
+    logger.error('Error resolving conversation SLA', { error: error.message, conversationId });
+  }
+}
+
+/**
+ * Alerts already sent are keyed by metric, type and due time
+ */
+function alertKey(metric, type, dueAt) {
+  return `${metric}:${type}:${new Date(dueAt).toISOString()}`;
+}
+
+function hasAlert(cycle, metric, type, dueAt) {
+  return (cycle.alerts || []).includes(alertKey(metric, type, dueAt));
+}
+
+/**
+ * Timers of a cycle that are still running
+ */
+function runningTimers(cycle) {
+  const timers = [];
+  if (cycle.first_response_due_at && !cycle.first_responded_at) timers.push('first_response');
+  if (cycle.next_response_due_at) timers.push('next_response');
+  if (cycle.resolution_due_at) timers.push('resolution');
+  return timers;
+}
+
+/**
+ * Send warnings and breach alerts for running SLA timers (cron)
+ * @returns {Promise<Object>} { checked, warnings, breaches }
+ */
+async function checkSlaTimers(now = new Date()) {
+  const cycles = await prisma.conversation_slas.findMany({
+    where: {
+      status: 'active',
+      OR: [
+        { first_response_due_at: { not: null }, first_responded_at: null },
+        { next_response_due_at: { not: null } },
+        { resolution_due_at: { not: null } },
+      ],
+    },
+    include: {
+      sla_policies: true,
+      conversations: {
+        select: {
+          id: true,
+          assigned_agent_id: true,
+          contacts: { select: { phone: true, first_name: true, last_name: true } },
+          whatsapp_accounts: { select: { name: true, phone: true } },
+        },
+      },
+    },
+  });
+
+  const result = { checked: cycles.length, warnings: 0, breaches: 0 };
+
+  for (const cycle of cycles) {
+    const alerts = [...(cycle.alerts || [])];
+    const data = {};
+
+    for (const metric of runningTimers(cycle)) {
+      const dueAt = cycle[METRICS[metric].due];
+      const targetMinutes = cycle.sla_policies?.[METRICS[metric].target];
+      const warningPercent = cycle.sla_policies?.warning_percent ?? 80;
+
+      let type = null;
+      if (now >= dueAt) {
+        type = 'breach';
+      } else if (targetMinutes) {
+        const warnAt = dueAt.getTime() - (targetMinutes * MINUTE_MS * (100 - warningPercent)) / 100;
+        if (now.getTime() >= warnAt) type = 'warning';
+      }
+
+      if (!type || alerts.includes(alertKey(metric, type, dueAt))) {
+        continue;
+      }
+
+      alerts.push(alertKey(metric, type, dueAt));
+
+      if (type === 'breach') {
+        if (metric === 'first_response') data.first_response_breached = true;
+        if (metric === 'next_response') {
+          data.next_responses = { increment: 1 };
+          data.next_response_breaches = { increment: 1 };
+        }
+        if (metric === 'resolution') data.resolution_breached = true;
+        result.breaches += 1;
+      } else {
+        result.warnings += 1;
+      }
+
+      await sendAlert(cycle, metric, type, dueAt);
+    }
+
+    if (alerts.length !== (cycle.alerts || []).length) {
+      await prisma.conversation_slas.update({
+        where: { id: cycle.id },
+        data: { ...data, alerts, updated_at: new Date() },
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Users to alert: the assigned agent, plus the owner and Admins/Managers on
+ * breaches or when nobody is assigned
+ */
+async function getAlertRecipients(teamId, assignedAgentId, type) {
+  const recipientIds = new Set();
+  if (assignedAgentId) recipientIds.add(assignedAgentId);
+
+  if (type === 'breach' || !assignedAgentId) {
+    const [team, supervisors] = await Promise.all([
+      prisma.teams.findUnique({ where: { id: teamId }, select: { owner_id: true } }),
+      prisma.team_members.findMany({
+        where: { team_id: teamId, status: 'Active', role: { in: SUPERVISOR_ROLES } },
+        select: { user_id: true },
+      }),
+    ]);
+    if (team) recipientIds.add(team.owner_id);
+    supervisors.forEach((member) => recipientIds.add(member.user_id));
+  }
+
+  return prisma.users.findMany({
+    where: { id: { in: [...recipientIds] }, is_active: true },
+    select: { id: true, email: true, first_name: true },
+  });
+}
+
+/**
+ * Notify recipients of an SLA warning or breach by socket and email
+ */
+async function sendAlert(cycle, metric, type, dueAt) {
+  const { conversations: conversation } = cycle;
+  const contact = conversation.contacts;
+  const contactName =
+    [contact?.first_name, contact?.last_name].filter(Boolean).join(' ') || contact?.phone;
+  const account = conversation.whatsapp_accounts;
+
+  const alert = {
+    type,
+    metric,
+    metricLabel: METRICS[metric].label,
+    conversationId: conversation.id,
+    contactName,
+    accountName: account?.name || account?.phone,
+    policyName: cycle.sla_policies?.name,
+    dueAt,
+  };
+
+  const title =
+    type === 'breach'
+      ? `SLA breached: ${alert.metricLabel.toLowerCase()} for ${contactName}`
+      : `SLA warning: ${alert.metricLabel.toLowerCase()} for ${contactName} due soon`;
+
+  const recipients = await getAlertRecipients(cycle.team_id, conversation.assigned_agent_id, type);
+
+  for (const user of recipients) {
+    emitSystemNotification(user.id, {
+      type: type === 'breach' ? 'sla_breach' : 'sla_warning',
+      title,
+      conversationId: conversation.id,
+      metric,
+      dueAt,
+    });
+
+    try {
+      await emailService.sendSlaAlert(user, { ...alert, title });
+    } catch (error) {
+      // Don't fail the check if email fails, the socket notification went out
+      logger.error(`Failed to send SLA ${type} email to ${user.email}:`, error);
+    }
+  }
+
+  logger.info(`SLA ${type} for conversation ${conversation.id}`, {
+    metric,
+    dueAt,
+    recipients: recipients.length,
+  });
+}
+
+export default {
+  createPolicy,
+  getPolicies,
+  updatePolicy,
+  deletePolicy,
+  getConversationSla,
+  recordInboundMessage,
+  recordAgentReply,
+  resolveConversation,
+  checkSlaTimers,
+};
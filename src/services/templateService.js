@@ -0,0 +1,568 @@
+/**
+ * Template Service
+ *
+ * Business logic for WhatsApp message templates and their approval lifecycle
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import prisma from '../config/database.js';
+import transportManager from './whatsapp/transportManager.js';
+import { emitSystemNotification } from '../sockets/index.js';
+import logger from '../utils/logger.js';
+
+// Statuses whose content may still be edited (edits send the template back for approval)
+const EDITABLE_STATUSES = ['draft', 'rejected', 'paused'];
+
+// Statuses that are waiting on the provider
+const PENDING_STATUSES = ['pending'];
+
+// Header types whose content is a media URL rather than text
+const MEDIA_HEADER_TYPES = ['IMAGE', 'VIDEO', 'DOCUMENT'];
+
+const PLACEHOLDER_REGEX = /{{\s*(\d+)\s*}}/g;
+
+/**
+ * Extract positional placeholders ({{1}}, {{2}}, ...) from template text
+ * @param {String} text - Template text
+ * @returns {Number[]} Sorted, de-duplicated placeholder indexes
+ */
+function extractPlaceholders(text) {
+  if (!text) return [];
+
+  const indexes = new Set();
+  for (const match of text.matchAll(PLACEHOLDER_REGEX)) {
+    indexes.add(parseInt(match[1], 10));
+  }
+
+  return [...indexes].sort((a, b) => a - b);
+}
+
+/**
+ * Get the placeholders a template expects values for
+ * @param {Object} template - Template record
+ * @returns {Object} { header: Number[], body: Number[] }
+ */
+function getTemplatePlaceholders(template) {
+  const headerType = (template.header_type || '').toUpperCase();
+
+  return {
+    header: headerType === 'TEXT' ? extractPlaceholders(template.header_content) : [],
+    body: extractPlaceholders(template.body),
+  };
+}
+
+/**
+ * Validate template content against WhatsApp placeholder rules
+ * Body placeholders must be numbered sequentially from {{1}}; a text header may use only {{1}}
+ * @param {Object} template - { body, header_type, header_content }
+ * @returns {String[]} Validation errors (empty when valid)
+ */
+function validateTemplateContent(template) {
+  const errors = [];
+  const { header, body } = getTemplatePlaceholders(template);
+
+  body.forEach((index, position) => {
+    if (index !== position + 1) {
+      errors.push(`Body placeholders must be sequential starting at {{1}}, found {{${index}}}`);
+    }
+  });
+
+  if (header.length > 1 || (header.length === 1 && header[0] !== 1)) {
+    errors.push('Header text may only contain a single {{1}} placeholder');
+  }
+
+  const headerType = (template.header_type || '').toUpperCase();
+  if (MEDIA_HEADER_TYPES.includes(headerType) && !template.header_content) {
+    errors.push(`${headerType} header requires a media URL in headerContent`);
+  }
+
+  return [...new Set(errors)];
+}
+
+/**
+ * Validate campaign template variables against a template's placeholders
+ * Body {{n}} is filled from key "n", a text header {{1}} from key "header".
+ * Non-numeric keys are treated as named contact variables and ignored here.
+ * @param {Object} template - Template record
+ * @param {Object} templateVariables - campaigns.template_variables
+ * @returns {String[]} Validation errors (empty when valid)
+ */
+function validateTemplateVariables(template, templateVariables = {}) {
+  const errors = [];
+  const variables = templateVariables || {};
+  const { header, body } = getTemplatePlaceholders(template);
+
+  for (const index of body) {
+    if (isBlank(variables[String(index)])) {
+      errors.push(`Missing value for body placeholder {{${index}}}`);
+    }
+  }
+
+  if (header.length > 0 && isBlank(variables.header)) {
+    errors.push('Missing value for header placeholder {{1}}');
+  }
+
+  for (const key of Object.keys(variables)) {
+    if (/^\d+$/.test(key) && !body.includes(parseInt(key, 10))) {
+      errors.push(`Template ${template.name} has no placeholder {{${key}}}`);
+    }
+  }
+
+  return errors;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Replace positional placeholders with values
+ */
+function fillPlaceholders(text, values) {
+  if (!text) return text;
+  return text.replace(PLACEHOLDER_REGEX, (match, index) => values[index] ?? '');
+}
+
+/**
+ * Build the outbound message for a template
+ * Cloud API accounts send the approved template by name with parameters;
+ * other transports fall back to the rendered text in `content`.
+ * @param {Object} template - Template record
+ * @param {Object} values - Placeholder values keyed by "1", "2", ... and "header"
+ * @returns {Object} { templateName, templateLanguage, templateComponents, content, mediaUrl }
+ */
+function buildTemplateMessage(template, values = {}) {
+  const { header, body } = getTemplatePlaceholders(template);
+  const headerType = (template.header_type || '').toUpperCase();
+  const components = [];
+
+  if (header.length > 0) {
+    components.push({
+      type: 'header',
+      parameters: [{ type: 'text', text: String(values.header ?? '') }],
+    });
+  } else if (MEDIA_HEADER_TYPES.includes(headerType)) {
+    const mediaType = headerType.toLowerCase();
+    components.push({
+      type: 'header',
+      parameters: [{ type: mediaType, [mediaType]: { link: template.header_content } }],
+    });
+  }
+
+  if (body.length > 0) {
+    components.push({
+      type: 'body',
+      parameters: body.map((index) => ({ type: 'text', text: String(values[index] ?? '') })),
+    });
+  }
+
+  const headerText =
+    headerType === 'TEXT' ? fillPlaceholders(template.header_content, { 1: values.header }) : null;
+
+  return {
+    templateName: template.name,
+    templateLanguage: template.language,
+    templateComponents: components,
+    content: [headerText, fillPlaceholders(template.body, values), template.footer]
+      .filter(Boolean)
+      .join('\n\n'),
+    mediaUrl: MEDIA_HEADER_TYPES.includes(headerType) ? template.header_content : null,
+  };
+}
+
+/**
+ * Map API payload (camelCase) to database columns
+ */
+function toDbData(data) {
+  const dbData = {};
+
+  if (data.name !== undefined) dbData.name = data.name;
+  if (data.category !== undefined) dbData.category = data.category;
+  if (data.language !== undefined) dbData.language = data.language;
+  if (data.headerType !== undefined) dbData.header_type = data.headerType;
+  if (data.headerContent !== undefined) dbData.header_content = data.headerContent;
+  if (data.body !== undefined) dbData.body = data.body;
+  if (data.footer !== undefined) dbData.footer = data.footer;
+  if (data.buttons !== undefined) dbData.buttons = data.buttons;
+
+  return dbData;
+}
+
+/**
+ * Throw if template content breaks placeholder rules
+ */
+function assertValidContent(template) {
+  const errors = validateTemplateContent(template);
+  if (errors.length > 0) {
+    throw new Error(`Invalid template: ${errors.join('; ')}`);
+  }
+}
+
+/**
+ * Create a new template (saved as draft until submitted)
+ */
+async function createTemplate(teamId, data) {
+  const account = await prisma.whatsapp_accounts.findFirst({
+    where: { id: data.accountId, team_id: teamId, deleted_at: null },
+  });
+
+  if (!account) {
+    throw new Error('WhatsApp account not found');
+  }
+
+  const dbData = toDbData(data);
+  assertValidContent(dbData);
+
+  const existing = await prisma.templates.findFirst({
+    where: { account_id: account.id, name: dbData.name },
+  });
+
+  if (existing) {
+    throw new Error(`Template with name ${dbData.name} already exists for this account`);
+  }
+
+  const template = await prisma.templates.create({
+    data: {
+      id: uuidv4(),
+      team_id: teamId,
+      account_id: account.id,
+      ...dbData,
+      status: 'draft',
+      updated_at: new Date(),
+    },
+  });
+
+  logger.info(`Template created: ${template.id} (${template.name})`);
+
+  return template;
+}
+
+/**
+ * Get templates with filters and pagination
+ */
+async function getTemplates(teamId, filters = {}) {
+  const {
+    page = 1,
+    limit = 20,
+    accountId,
+    status,
+    category,
+    language,
+    search,
+    sortBy = 'created_at',
+    sortOrder = 'desc',
+  } = filters;
+
+  const where = { team_id: teamId };
+
+  if (accountId) where.account_id = accountId;
+  if (status) where.status = status;
+  if (category) where.category = category;
+  if (language) where.language = language;
+  if (search) {
+    where.OR = [
+      { name: { contains: search, mode: 'insensitive' } },
+      { body: { contains: search, mode: 'insensitive' } },
+    ];
+  }
+
+  const [templates, total] = await Promise.all([
+    prisma.templates.findMany({
+      where,
+      skip: (page - 1) * limit,
+      take: limit,
+      orderBy: { [sortBy]: sortOrder },
+      include: {
+        whatsapp_accounts: { select: { id: true, name: true, phone: true, type: true } },
+      },
+    }),
+    prisma.templates.count({ where }),
+  ]);
+
+  return {
+    templates,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get template by ID, including the placeholders it expects
+ */
+async function getTemplateById(teamId, templateId) {
+  const template = await prisma.templates.findFirst({
+    where: { id: templateId, team_id: teamId },
+    include: {
+      whatsapp_accounts: { select: { id: true, name: true, phone: true, type: true } },
+      _count: { select: { campaigns: true } },
+    },
+  });
+
+  if (!template) {
+    return null;
+  }
+
+  return { ...template, placeholders: getTemplatePlaceholders(template) };
+}
+
+/**
+ * Update template content
+ * Approved templates are locked; edits to rejected/paused ones return them to draft
+ */
+async function updateTemplate(teamId, templateId, data) {
+  const existing = await prisma.templates.findFirst({
+    where: { id: templateId, team_id: teamId },
+  });
+
+  if (!existing) {
+    return null;
+  }
+
+  if (!EDITABLE_STATUSES.includes(existing.status)) {
+    throw new Error(`Cannot update template with status: ${existing.status}`);
+  }
+
+  const dbData = toDbData(data);
+  assertValidContent({ ...existing, ...dbData });
+
+  if (dbData.name && dbData.name !== existing.name && existing.meta_template_id) {
+    throw new Error('Cannot rename a template that has already been submitted');
+  }
+
+  const template = await prisma.templates.update({
+    where: { id: templateId },
+    data: {
+      ...dbData,
+      status: 'draft',
+      rejection_reason: null,
+      updated_at: new Date(),
+    },
+  });
+
+  logger.info(`Template updated: ${templateId}`);
+
+  return template;
+}
+
+/**
+ * Delete template (and its provider copy, when submitted)
+ */
+async function deleteTemplate(teamId, templateId) {
+  const template = await prisma.templates.findFirst({
+    where: { id: templateId, team_id: teamId },
+    include: { _count: { select: { campaigns: true } } },
+  });
+
+  if (!template) {
+    return null;
+  }
+
+  if (template._count.campaigns > 0) {
+    throw new Error('Cannot delete template used by campaigns');
+  }
+
+  if (template.meta_template_id) {
+    const transport = await getTemplateTransport(template.account_id);
+    if (transport && typeof transport.deleteTemplate === 'function') {
+      await transport.deleteTemplate(template.name, template.meta_template_id);
+    }
+  }
+
+  await prisma.templates.delete({ where: { id: templateId } });
+
+  logger.info(`Template deleted: ${templateId}`);
+
+  return true;
+}
+
+/**
+ * Resolve the transport used for template approval calls
+ */
+async function getTemplateTransport(accountId) {
+  const existing = transportManager.getTransport(accountId);
+  if (existing) {
+    return existing;
+  }
+
+  const account = await prisma.whatsapp_accounts.findUnique({ where: { id: accountId } });
+  return account ? transportManager.createTransport(account) : null;
+}
+
+/**
+ * Submit template for WhatsApp approval
+ * Cloud API accounts go through Meta review; other transports send free-form
+ * text, so their templates are approved locally.
+ */
+async function submitTemplate(teamId, templateId, examples = {}) {
+  const template = await prisma.templates.findFirst({
+    where: { id: templateId, team_id: teamId },
+  });
+
+  if (!template) {
+    return null;
+  }
+
+  if (!['draft', 'rejected'].includes(template.status)) {
+    throw new Error(`Cannot submit template with status: ${template.status}`);
+  }
+
+  assertValidContent(template);
+
+  const transport = await getTemplateTransport(template.account_id);
+  let data;
+
+  if (transport && typeof transport.submitTemplate === 'function') {
+    const result = await transport.submitTemplate(template, examples);
+    data = {
+      status: result.status || 'pending',
+      meta_template_id: result.metaTemplateId,
+      rejection_reason: result.rejectionReason || null,
+    };
+  } else {
+    data = { status: 'approved', rejection_reason: null };
+  }
+
+  const updated = await prisma.templates.update({
+    where: { id: templateId },
+    data: { ...data, updated_at: new Date() },
+  });
+
+  logger.info(`Template submitted: ${templateId} (status: ${updated.status})`);
+
+  return updated;
+}
+
+/**
+ * Poll the provider for a template's approval status
+ * @returns {Promise<Object|null>} Updated template, or null if not found
+ */
+async function syncTemplateStatus(teamId, templateId) {
+  const template = await prisma.templates.findFirst({
+    where: { id: templateId, team_id: teamId },
+  });
+
+  if (!template) {
+    return null;
+  }
+
+  if (!template.meta_template_id) {
+    throw new Error('Template has not been submitted for approval');
+  }
+
+  return refreshTemplateStatus(template);
+}
+
+/**
+ * Fetch and store the provider status of a submitted template
+ */
+async function refreshTemplateStatus(template) {
+  const transport = await getTemplateTransport(template.account_id);
+
+  if (!transport || typeof transport.getTemplateStatus !== 'function') {
+    return template;
+  }
+
+  const result = await transport.getTemplateStatus(template.meta_template_id);
+
+  if (result.status === template.status && result.rejectionReason === template.rejection_reason) {
+    return template;
+  }
+
+  const updated = await prisma.templates.update({
+    where: { id: template.id },
+    data: {
+      status: result.status,
+      rejection_reason: result.status === 'rejected' ? result.rejectionReason || null : null,
+      updated_at: new Date(),
+    },
+    include: { whatsapp_accounts: { select: { user_id: true } } },
+  });
+
+  emitSystemNotification(updated.whatsapp_accounts.user_id, {
+    type: 'template_status',
+    title: `Template ${updated.name} ${updated.status}`,
+    message: updated.rejection_reason || undefined,
+    templateId: updated.id,
+    status: updated.status,
+  });
+
+  logger.info(`Template ${template.id} status changed: ${template.status} -> ${updated.status}`);
+
+  return updated;
+}
+
+/**
+ * Poll every template still awaiting review (fallback for missed webhooks)
+ * @returns {Promise<Object>} { checked, updated, failed }
+ */
+async function syncPendingTemplates() {
+  const templates = await prisma.templates.findMany({
+    where: { status: { in: PENDING_STATUSES }, meta_template_id: { not: null } },
+  });
+
+  const result = { checked: templates.length, updated: 0, failed: 0 };
+
+  for (const template of templates) {
+    try {
+      const updated = await refreshTemplateStatus(template);
+      if (updated.status !== template.status) {
+        result.updated++;
+      }
+    } catch (error) {
+      result.failed++;
+      logger.error(`Failed to sync template ${template.id} status:`, error);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check a campaign's template reference and variables
+ * @throws {Error} When the template is missing, unusable or variables don't match
+ */
+async function assertCampaignTemplate(teamId, accountId, templateId, templateVariables) {
+  const template = await prisma.templates.findFirst({
+    where: { id: templateId, team_id: teamId },
+  });
+
+  if (!template) {
+    throw new Error('Template not found');
+  }
+
+  if (template.account_id !== accountId) {
+    throw new Error('Template not found for the selected WhatsApp account');
+  }
+
+  if (template.status !== 'approved') {
+    throw new Error(`Template ${template.name} is not approved (status: ${template.status})`);
+  }
+
+  const errors = validateTemplateVariables(template, templateVariables);
+  if (errors.length > 0) {
+    throw new Error(`Invalid template variables: ${errors.join('; ')}`);
+  }
+
+  return template;
+}
+
+export default {
+  extractPlaceholders,
+  getTemplatePlaceholders,
+  validateTemplateContent,
+  validateTemplateVariables,
+  buildTemplateMessage,
+  createTemplate,
+  getTemplates,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  submitTemplate,
+  syncTemplateStatus,
+  syncPendingTemplates,
+  assertCampaignTemplate,
+};
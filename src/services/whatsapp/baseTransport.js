@@ -0,0 +1,137 @@
+/**
+ * Base WhatsApp Transport
+ * Abstract class that every WhatsApp transport (whatsapp-web.js, Cloud API, ...) must extend.
+ *
+ * A transport owns the connection for a single whatsapp_accounts row. Inbound messages and
+ * delivery receipts are normalized here and pushed through whatsappEvents, so every transport
+ * feeds the same messageHandler.handleIncomingMessage / handleMessageAck path.
+ */
+
+import whatsappEvents from '../../events/whatsappEvents.js';
+import logger from '../../utils/logger.js';
+
+class BaseWhatsAppTransport {
+  /**
+   * @param {Object} account - WhatsApp account ({ id, userId, teamId, type, ... })
+   * @param {Object} credentials - Decrypted transport credentials (may be empty)
+   */
+  constructor(account, credentials = {}) {
+    if (this.constructor === BaseWhatsAppTransport) {
+      throw new Error(
+        'BaseWhatsAppTransport is an abstract class and cannot be instantiated directly'
+      );
+    }
+
+    this.accountId = account.id;
+    this.userId = account.userId || account.user_id;
+    this.teamId = account.teamId || account.team_id;
+    this.credentials = credentials;
+    this.name = 'BaseTransport';
+  }
+
+  /**
+   * Open the connection for this account
+   * @returns {Promise<Object>} Connection result ({ status, phone?, displayName? })
+   */
+  async connect() {
+    throw new Error('connect() must be implemented by transport');
+  }
+
+  /**
+   * Close the connection and release resources
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    throw new Error('disconnect() must be implemented by transport');
+  }
+
+  /**
+   * Whether the transport can currently send messages
+   * @returns {boolean}
+   */
+  isConnected() {
+    throw new Error('isConnected() must be implemented by transport');
+  }
+
+  /**
+   * Send a message
+   * @param {string} _to - Recipient phone number
+   * @param {Object} _message - Message ({ type, content, mediaUrl, payload, contextMessageId, ... });
+   *   see messageTypes.js for the structured payload of each type
+   * @returns {Promise<Object>} { whatsappMessageId, timestamp }
+   */
+  async sendMessage(_to, _message) {
+    throw new Error('sendMessage() must be implemented by transport');
+  }
+
+  /**
+   * Download media attached to an inbound message
+   * @param {*} _mediaRef - Transport specific media reference
+   * @returns {Promise<Object|null>} { buffer, mimetype, filename }
+   */
+  async downloadMedia(_mediaRef) {
+    throw new Error('downloadMedia() must be implemented by transport');
+  }
+
+  /**
+   * Transport information exposed to health checks
+   * @returns {Object|null}
+   */
+  getInfo() {
+    return null;
+  }
+
+  /**
+   * Hand a normalized inbound message to the shared message pipeline
+   * @param {Object} message - { from, type, content, mediaUrl, whatsappMessageId, timestamp,
+   *   payload?, interactiveReplyId?, contextMessageId? }
+   */
+  receive(message) {
+    whatsappEvents.emitIncomingMessage(this.accountId, {
+      whatsappAccountId: this.accountId,
+      ...message,
+    });
+  }
+
+  /**
+   * Hand a delivery/read receipt to the shared message pipeline
+   * @param {string} whatsappMessageId - Provider message ID
+   * @param {string} status - Sent, Delivered, Read or Failed
+   * @param {Object} details - Optional extra data (e.g. error message)
+   */
+  ack(whatsappMessageId, status, details = {}) {
+    whatsappEvents.emitMessageAck(this.accountId, whatsappMessageId, status, details);
+  }
+
+  /**
+   * Store downloaded media and return its public URL
+   * @param {Object} media - { buffer, mimetype, filename }
+   * @returns {Promise<string|null>} Media URL
+   */
+  async storeMedia(media) {
+    if (!media) {
+      return null;
+    }
+
+    try {
+      const { uploadToS3 } = await import('../../utils/fileUpload.js');
+
+      const result = await uploadToS3(
+        {
+          buffer: media.buffer,
+          mimetype: media.mimetype,
+          originalname: media.filename || `media_${Date.now()}`,
+          size: media.buffer.length,
+        },
+        'messages'
+      );
+
+      return result.url;
+    } catch (error) {
+      logger.error(`[${this.name}] Error storing media for account ${this.accountId}:`, error);
+      return null;
+    }
+  }
+}
+
+export default BaseWhatsAppTransport;
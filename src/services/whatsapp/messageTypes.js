@@ -0,0 +1,168 @@
+/**
+ * WhatsApp Message Types
+ * Shared definitions and helpers for structured (non-text) messages across transports
+ *
+ * Structured content travels on the message as `payload`:
+ * - Buttons:  { buttons: [{ id, title }], header?, footer? }           (content = body text)
+ * - List:     { buttonText, sections: [{ title?, rows: [{ id, title, description? }] }], header?, footer? }
+ * - Location: { location: { latitude, longitude, name?, address? } }
+ * - Contact:  { contacts: [{ name, firstName?, lastName?, organization?, phones: [{ phone, type? }], emails: [{ email, type? }] }] }
+ * - Reaction: { emoji }                                               (contextMessageId = reacted message)
+ *
+ * Inbound button/list replies use the ButtonReply/ListReply types and carry the
+ * selected option ID as `interactiveReplyId`.
+ */
+
+// Types that can be sent
+export const OUTBOUND_MESSAGE_TYPES = [
+  'Text',
+  'Image',
+  'Video',
+  'Audio',
+  'Document',
+  'Template',
+  'Buttons',
+  'List',
+  'Location',
+  'Contact',
+  'Sticker',
+  'Reaction',
+];
+
+// Types that only arrive from contacts
+export const INBOUND_REPLY_TYPES = ['ButtonReply', 'ListReply'];
+
+export const MESSAGE_TYPES = [...OUTBOUND_MESSAGE_TYPES, ...INBOUND_REPLY_TYPES];
+
+/**
+ * Extract the structured payload fields from a message-like object
+ * @param {Object} data - Message data (API body, flow node, ...)
+ * @returns {Object|null} Payload for messages.payload, or null for plain messages
+ */
+export function buildPayload(type, data = {}) {
+  switch (type) {
+    case 'Buttons':
+      return pick(data, ['buttons', 'header', 'footer']);
+    case 'List':
+      return pick(data, ['buttonText', 'sections', 'header', 'footer']);
+    case 'Location':
+      return pick(data, ['location']);
+    case 'Contact':
+      return pick(data, ['contacts']);
+    case 'Reaction':
+      return { emoji: data.emoji ?? data.content ?? '' };
+    default:
+      return null;
+  }
+}
+
+function pick(source, keys) {
+  const result = {};
+  for (const key of keys) {
+    if (source[key] !== undefined && source[key] !== null) {
+      result[key] = source[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Human readable text for a structured message (conversation previews, text fallbacks)
+ */
+export function describeMessage(type, content, payload = {}) {
+  switch (type) {
+    case 'Location': {
+      const { name, address, latitude, longitude } = payload?.location || {};
+      return [name, address].filter(Boolean).join(', ') || `${latitude}, ${longitude}`;
+    }
+    case 'Contact':
+      return (payload?.contacts || []).map((c) => c.name).join(', ');
+    case 'Reaction':
+      return payload?.emoji || content || '';
+    default:
+      return content || '';
+  }
+}
+
+/**
+ * Render a contact card as a vCard 3.0 string
+ */
+export function buildVCard(contact) {
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeVCard(contact.name)}`];
+
+  if (contact.firstName || contact.lastName) {
+    lines.push(
+      `N:${escapeVCard(contact.lastName || '')};${escapeVCard(contact.firstName || '')};;;`
+    );
+  }
+
+  if (contact.organization) {
+    lines.push(`ORG:${escapeVCard(contact.organization)}`);
+  }
+
+  for (const { phone, type = 'CELL' } of contact.phones || []) {
+    const waid = phone.replace(/[^\d]/g, '');
+    lines.push(`TEL;type=${type};waid=${waid}:${phone}`);
+  }
+
+  for (const { email, type = 'INTERNET' } of contact.emails || []) {
+    lines.push(`EMAIL;type=${type}:${email}`);
+  }
+
+  lines.push('END:VCARD');
+  return lines.join('\n');
+}
+
+/**
+ * Parse a vCard string into the contact card shape
+ */
+export function parseVCard(vcard) {
+  const contact = { name: '', phones: [], emails: [] };
+
+  for (const rawLine of (vcard || '').split(/\r?\n/)) {
+    const separator = rawLine.indexOf(':');
+    if (separator === -1) continue;
+
+    const [property, ...params] = rawLine.slice(0, separator).split(';');
+    const value = unescapeVCard(rawLine.slice(separator + 1).trim());
+    const typeParam = params.find((p) => p.toLowerCase().startsWith('type='));
+    const type = typeParam ? typeParam.split('=')[1].toUpperCase() : undefined;
+
+    switch (property.toUpperCase()) {
+      case 'FN':
+        contact.name = value;
+        break;
+      case 'N': {
+        const [lastName, firstName] = value.split(';');
+        if (firstName) contact.firstName = firstName;
+        if (lastName) contact.lastName = lastName;
+        break;
+      }
+      case 'ORG':
+        contact.organization = value.split(';')[0];
+        break;
+      case 'TEL':
+        contact.phones.push({ phone: value, ...(type && { type }) });
+        break;
+      case 'EMAIL':
+        contact.emails.push({ email: value, ...(type && { type }) });
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!contact.name) {
+    contact.name = [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+  }
+
+  return contact;
+}
+
+function escapeVCard(value) {
+  return String(value).replace(/([,;\\])/g, '\\$1');
+}
+
+function unescapeVCard(value) {
+  return value.replace(/\\([,;\\])/g, '$1');
+}
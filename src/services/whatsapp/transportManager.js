@@ -0,0 +1,101 @@
+import WebJsTransport from './transports/webJsTransport.js';
+import CloudApiTransport from './transports/cloudApiTransport.js';
+import { decryptCredentials } from '../../utils/encryption.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * WhatsApp Transport Manager
+ * Picks the transport for an account from whatsapp_accounts.type and keeps
+ * the live transport instances keyed by account ID
+ */
+class TransportManager {
+  constructor() {
+    this.transports = {
+      business: WebJsTransport,
+      personal: WebJsTransport,
+      cloud_api: CloudApiTransport,
+    };
+    this.active = new Map();
+  }
+
+  /**
+   * Get list of supported account types
+   * @returns {Array<string>} Account types
+   */
+  getSupportedTypes() {
+    return Object.keys(this.transports);
+  }
+
+  /**
+   * Create (or return the existing) transport for an account
+   * @param {Object} account - whatsapp_accounts row or model ({ id, type, credentials_encrypted, ... })
+   * @returns {BaseWhatsAppTransport} Transport instance
+   */
+  createTransport(account) {
+    if (this.active.has(account.id)) {
+      return this.active.get(account.id);
+    }
+
+    const type = account.type || 'business';
+    const TransportClass = this.transports[type];
+
+    if (!TransportClass) {
+      throw new Error(`Unsupported WhatsApp account type: ${type}`);
+    }
+
+    const encrypted = account.credentials_encrypted || account.credentialsEncrypted;
+    let credentials = {};
+
+    if (encrypted) {
+      try {
+        credentials = decryptCredentials(encrypted);
+      } catch (error) {
+        logger.error(`Error decrypting transport credentials for account ${account.id}:`, error);
+        throw new Error('Failed to initialize WhatsApp transport');
+      }
+    }
+
+    const transport = new TransportClass(account, credentials);
+    this.active.set(account.id, transport);
+
+    logger.info(`Created ${transport.name} transport for account ${account.id}`);
+    return transport;
+  }
+
+  /**
+   * Get active transport for account
+   * @param {string} accountId - WhatsApp account ID
+   * @returns {BaseWhatsAppTransport|undefined}
+   */
+  getTransport(accountId) {
+    return this.active.get(accountId);
+  }
+
+  /**
+   * Forget the transport for an account (does not disconnect it)
+   * @param {string} accountId - WhatsApp account ID
+   */
+  removeTransport(accountId) {
+    this.active.delete(accountId);
+  }
+
+  /**
+   * Whether the account has a connected transport
+   * @param {string} accountId - WhatsApp account ID
+   * @returns {boolean}
+   */
+  isConnected(accountId) {
+    const transport = this.active.get(accountId);
+    return !!transport && transport.isConnected();
+  }
+
+  /**
+   * Iterate over active transports
+   * @returns {Iterator<[string, BaseWhatsAppTransport]>}
+   */
+  entries() {
+    return this.active.entries();
+  }
+}
+
+export default new TransportManager();
@@ -0,0 +1,500 @@
+import axios from 'axios';
+import BaseWhatsAppTransport from '../baseTransport.js';
+import config from '../../../config/index.js';
+import logger from '../../../utils/logger.js';
+import { WhatsAppConnectionError, WhatsAppNotConnectedError } from '../../../utils/errors.js';
+import { describeMessage } from '../messageTypes.js';
+
+// Cloud API status -> internal message status
+const STATUS_MAP = {
+  sent: 'Sent',
+  delivered: 'Delivered',
+  read: 'Read',
+  failed: 'Failed',
+};
+
+// Cloud API template status -> templates.status
+export const TEMPLATE_STATUS_MAP = {
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PENDING: 'pending',
+  IN_APPEAL: 'pending',
+  PAUSED: 'paused',
+  DISABLED: 'disabled',
+  PENDING_DELETION: 'disabled',
+  FLAGGED: 'flagged',
+};
+
+// Inbound Cloud API message types that carry downloadable media
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+/**
+ * Meta WhatsApp Cloud API Transport
+ * Talks to the Graph API over HTTPS; inbound traffic arrives through webhooks
+ *
+ * Credentials: { phoneNumberId, accessToken, businessAccountId, appSecret, verifyToken, baseUrl? }
+ */
+class CloudApiTransport extends BaseWhatsAppTransport {
+  constructor(account, credentials = {}) {
+    super(account, credentials);
+    this.name = 'CloudApi';
+    this.baseUrl = (credentials.baseUrl || config.whatsapp.cloudApi.baseUrl).replace(/\/$/, '');
+    this.apiVersion = credentials.apiVersion || config.whatsapp.cloudApi.apiVersion;
+    this.info = null;
+    this.connected = false;
+
+    this.client = axios.create({
+      baseURL: `${this.baseUrl}/${this.apiVersion}`,
+      headers: { Authorization: `Bearer ${credentials.accessToken}` },
+      timeout: 30000,
+    });
+  }
+
+  /**
+   * Verify credentials by fetching the phone number profile
+   */
+  async connect() {
+    const { phoneNumberId, accessToken } = this.credentials;
+
+    if (!phoneNumberId || !accessToken) {
+      throw new WhatsAppConnectionError(
+        'Cloud API credentials require phoneNumberId and accessToken',
+        this.accountId
+      );
+    }
+
+    const profile = await this.request(
+      'GET',
+      `/${phoneNumberId}?fields=display_phone_number,verified_name,quality_rating`
+    );
+
+    this.info = {
+      phoneNumberId,
+      phone: (profile.display_phone_number || '').replace(/[^\d]/g, ''),
+      displayName: profile.verified_name || 'WhatsApp Business',
+      qualityRating: profile.quality_rating || null,
+    };
+    this.connected = true;
+
+    logger.info(`[CloudApi] Connected account ${this.accountId} (${this.info.phone})`);
+
+    return {
+      status: 'connected',
+      phone: this.info.phone,
+      displayName: this.info.displayName,
+    };
+  }
+
+  async disconnect() {
+    this.connected = false;
+    this.info = null;
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  getInfo() {
+    return this.info;
+  }
+
+  /**
+   * Send message via the Cloud API
+   */
+  async sendMessage(to, message) {
+    if (!this.isConnected()) {
+      throw new WhatsAppNotConnectedError('Cloud API transport is not connected', this.accountId);
+    }
+
+    const payload = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: to.replace(/[^\d]/g, ''),
+      ...this.buildMessageBody(message),
+      // Quote the message being replied to (reactions reference it in their own body)
+      ...(message.contextMessageId &&
+        message.type !== 'Reaction' && { context: { message_id: message.contextMessageId } }),
+    };
+
+    const response = await this.request(
+      'POST',
+      `/${this.credentials.phoneNumberId}/messages`,
+      payload
+    );
+
+    return {
+      whatsappMessageId: response.messages?.[0]?.id,
+      timestamp: Math.floor(Date.now() / 1000),
+    };
+  }
+
+  /**
+   * Build the type specific part of a Cloud API message payload
+   * @param {Object} message - { type, content, mediaUrl, filename, payload, contextMessageId,
+   *   templateName, templateLanguage, templateComponents }
+   */
+  buildMessageBody(message) {
+    const { type = 'Text', content, mediaUrl, filename, payload = {} } = message;
+
+    switch (type) {
+      case 'Text':
+        return { type: 'text', text: { body: content, preview_url: /https?:\/\//.test(content) } };
+      case 'Image':
+      case 'Video':
+        return {
+          type: type.toLowerCase(),
+          [type.toLowerCase()]: { link: mediaUrl, ...(content && { caption: content }) },
+        };
+      case 'Document':
+        return {
+          type: 'document',
+          document: {
+            link: mediaUrl,
+            ...(content && { caption: content }),
+            ...(filename && { filename }),
+          },
+        };
+      case 'Audio':
+        return { type: 'audio', audio: { link: mediaUrl } };
+      case 'Sticker':
+        return { type: 'sticker', sticker: { link: mediaUrl } };
+      case 'Buttons':
+        return {
+          type: 'interactive',
+          interactive: {
+            type: 'button',
+            ...this.buildInteractiveFrame(content, payload),
+            action: {
+              buttons: payload.buttons.map(({ id, title }) => ({
+                type: 'reply',
+                reply: { id, title },
+              })),
+            },
+          },
+        };
+      case 'List':
+        return {
+          type: 'interactive',
+          interactive: {
+            type: 'list',
+            ...this.buildInteractiveFrame(content, payload),
+            action: {
+              button: payload.buttonText,
+              sections: payload.sections.map((section) => ({
+                ...(section.title && { title: section.title }),
+                rows: section.rows.map(({ id, title, description }) => ({
+                  id,
+                  title,
+                  ...(description && { description }),
+                })),
+              })),
+            },
+          },
+        };
+      case 'Location':
+        return { type: 'location', location: payload.location };
+      case 'Contact':
+        return {
+          type: 'contacts',
+          contacts: payload.contacts.map((contact) => ({
+            name: {
+              formatted_name: contact.name,
+              first_name: contact.firstName || contact.name,
+              ...(contact.lastName && { last_name: contact.lastName }),
+            },
+            ...(contact.organization && { org: { company: contact.organization } }),
+            phones: (contact.phones || []).map(({ phone, type: phoneType = 'CELL' }) => ({
+              phone,
+              type: phoneType,
+            })),
+            emails: (contact.emails || []).map(({ email, type: emailType = 'WORK' }) => ({
+              email,
+              type: emailType,
+            })),
+          })),
+        };
+      case 'Reaction':
+        return {
+          type: 'reaction',
+          reaction: { message_id: message.contextMessageId, emoji: payload.emoji ?? content },
+        };
+      case 'Template':
+        return {
+          type: 'template',
+          template: {
+            name: message.templateName,
+            language: { code: message.templateLanguage || 'en' },
+            ...(message.templateComponents && { components: message.templateComponents }),
+          },
+        };
+      default:
+        throw new Error(`Unsupported message type for Cloud API: ${type}`);
+    }
+  }
+
+  /**
+   * Header, body and footer shared by button and list messages
+   */
+  buildInteractiveFrame(content, payload) {
+    return {
+      ...(payload.header && { header: { type: 'text', text: payload.header } }),
+      body: { text: content },
+      ...(payload.footer && { footer: { text: payload.footer } }),
+    };
+  }
+
+  /**
+   * Submit a message template for Meta review
+   * @param {Object} template - templates record
+   * @param {Object} examples - Sample values { header, body: [] } required by review for placeholders
+   * @returns {Promise<Object>} { metaTemplateId, status }
+   */
+  async submitTemplate(template, examples = {}) {
+    const response = await this.request(
+      'POST',
+      `/${this.getBusinessAccountId()}/message_templates`,
+      {
+        name: template.name,
+        language: template.language,
+        category: template.category,
+        components: this.buildTemplateComponents(template, examples),
+      }
+    );
+
+    return {
+      metaTemplateId: String(response.id),
+      status: TEMPLATE_STATUS_MAP[response.status] || 'pending',
+    };
+  }
+
+  /**
+   * Fetch the review status of a submitted template
+   * @param {string} metaTemplateId - Template ID returned on submission
+   * @returns {Promise<Object>} { status, rejectionReason }
+   */
+  async getTemplateStatus(metaTemplateId) {
+    const response = await this.request(
+      'GET',
+      `/${metaTemplateId}?fields=name,status,rejected_reason`
+    );
+    const reason = response.rejected_reason;
+
+    return {
+      status: TEMPLATE_STATUS_MAP[response.status] || 'pending',
+      rejectionReason: reason && reason !== 'NONE' ? reason : null,
+    };
+  }
+
+  /**
+   * Delete a template from the business account
+   */
+  async deleteTemplate(name, metaTemplateId) {
+    const query = `name=${encodeURIComponent(name)}${metaTemplateId ? `&hsm_id=${metaTemplateId}` : ''}`;
+    await this.request('DELETE', `/${this.getBusinessAccountId()}/message_templates?${query}`);
+  }
+
+  getBusinessAccountId() {
+    if (!this.credentials.businessAccountId) {
+      throw new WhatsAppConnectionError(
+        'Cloud API credentials require businessAccountId for template management',
+        this.accountId
+      );
+    }
+    return this.credentials.businessAccountId;
+  }
+
+  /**
+   * Build Graph API template components from a templates record
+   */
+  buildTemplateComponents(template, examples = {}) {
+    const components = [];
+    const headerType = (template.header_type || '').toUpperCase();
+    const bodyVariables = (template.body.match(/{{\s*\d+\s*}}/g) || []).length;
+
+    if (headerType === 'TEXT') {
+      components.push({
+        type: 'HEADER',
+        format: 'TEXT',
+        text: template.header_content,
+        ...(/{{\s*1\s*}}/.test(template.header_content) && {
+          example: { header_text: [examples.header || 'example'] },
+        }),
+      });
+    } else if (headerType) {
+      components.push({
+        type: 'HEADER',
+        format: headerType,
+        example: { header_handle: [template.header_content] },
+      });
+    }
+
+    components.push({
+      type: 'BODY',
+      text: template.body,
+      ...(bodyVariables > 0 && {
+        example: {
+          body_text: [
+            Array.from(
+              { length: bodyVariables },
+              (_, i) => examples.body?.[i] || `example_${i + 1}`
+            ),
+          ],
+        },
+      }),
+    });
+
+    if (template.footer) {
+      components.push({ type: 'FOOTER', text: template.footer });
+    }
+
+    if (Array.isArray(template.buttons) && template.buttons.length > 0) {
+      components.push({ type: 'BUTTONS', buttons: template.buttons });
+    }
+
+    return components;
+  }
+
+  /**
+   * Download media by Cloud API media ID
+   * @param {string} mediaId - Media ID from an inbound webhook
+   */
+  async downloadMedia(mediaId) {
+    try {
+      const meta = await this.request('GET', `/${mediaId}`);
+
+      // Media URLs are absolute and still require the bearer token
+      const response = await axios.get(meta.url, {
+        headers: { Authorization: `Bearer ${this.credentials.accessToken}` },
+        responseType: 'arraybuffer',
+        timeout: 60000,
+      });
+
+      return {
+        buffer: Buffer.from(response.data),
+        mimetype: meta.mime_type || response.headers['content-type'],
+        filename: `${mediaId}`,
+      };
+    } catch (error) {
+      logger.error(`[CloudApi] Error downloading media ${mediaId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Process the `value` object of a Cloud API webhook change
+   * Pushes inbound messages and status updates into the shared message pipeline
+   * @param {Object} value - entry[].changes[].value
+   * @returns {Promise<Object>} { messages, statuses } processed counts
+   */
+  async handleWebhookValue(value = {}) {
+    const result = { messages: 0, statuses: 0 };
+
+    for (const msg of value.messages || []) {
+      this.receive(await this.normalizeInboundMessage(msg));
+      result.messages++;
+    }
+
+    for (const status of value.statuses || []) {
+      const mapped = STATUS_MAP[status.status];
+      if (!mapped) continue;
+
+      const error = status.errors?.[0];
+      this.ack(status.id, mapped, {
+        timestamp: status.timestamp ? Number(status.timestamp) * 1000 : Date.now(),
+        ...(error && { errorMessage: error.error_data?.details || error.title || error.message }),
+      });
+      result.statuses++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert a Cloud API inbound message to the internal message shape
+   */
+  async normalizeInboundMessage(msg) {
+    let type = msg.type.charAt(0).toUpperCase() + msg.type.slice(1);
+    let content = '';
+    let mediaUrl = null;
+    let payload = null;
+    let interactiveReplyId = null;
+    let contextMessageId = msg.context?.id || null;
+
+    if (msg.type === 'text') {
+      content = msg.text?.body || '';
+    } else if (MEDIA_TYPES.includes(msg.type)) {
+      const media = msg[msg.type] || {};
+      content = media.caption || '';
+      mediaUrl = media.id ? await this.storeMedia(await this.downloadMedia(media.id)) : null;
+    } else if (msg.type === 'interactive') {
+      // Reply to one of our button or list messages
+      const reply = msg.interactive?.button_reply || msg.interactive?.list_reply || {};
+      type = msg.interactive?.type === 'list_reply' ? 'ListReply' : 'ButtonReply';
+      content = reply.title || '';
+      interactiveReplyId = reply.id || null;
+      if (reply.description) {
+        payload = { description: reply.description };
+      }
+    } else if (msg.type === 'button') {
+      // Quick reply button on a template message
+      type = 'ButtonReply';
+      content = msg.button?.text || '';
+      interactiveReplyId = msg.button?.payload || msg.button?.text || null;
+    } else if (msg.type === 'location') {
+      payload = { location: msg.location };
+      content = describeMessage('Location', '', payload);
+    } else if (msg.type === 'contacts') {
+      type = 'Contact';
+      payload = {
+        contacts: (msg.contacts || []).map((contact) => ({
+          name: contact.name?.formatted_name || '',
+          ...(contact.name?.first_name && { firstName: contact.name.first_name }),
+          ...(contact.name?.last_name && { lastName: contact.name.last_name }),
+          ...(contact.org?.company && { organization: contact.org.company }),
+          phones: (contact.phones || []).map(({ phone, wa_id, type: phoneType }) => ({
+            phone: phone || wa_id,
+            ...(phoneType && { type: phoneType }),
+          })),
+          emails: (contact.emails || []).map(({ email, type: emailType }) => ({
+            email,
+            ...(emailType && { type: emailType }),
+          })),
+        })),
+      };
+      content = describeMessage('Contact', '', payload);
+    } else if (msg.type === 'reaction') {
+      payload = { emoji: msg.reaction?.emoji || '' };
+      content = payload.emoji;
+      contextMessageId = msg.reaction?.message_id || null;
+    }
+
+    return {
+      from: msg.from,
+      type,
+      content,
+      mediaUrl,
+      whatsappMessageId: msg.id,
+      timestamp: msg.timestamp ? Number(msg.timestamp) * 1000 : Date.now(),
+      ...(payload && { payload }),
+      ...(interactiveReplyId && { interactiveReplyId }),
+      ...(contextMessageId && { contextMessageId }),
+    };
+  }
+
+  /**
+   * Perform a Graph API request
+   */
+  async request(method, path, body) {
+    try {
+      const response = await this.client.request({ method, url: path, data: body });
+      return response.data;
+    } catch (error) {
+      const message =
+        error.response?.data?.error?.message || `Cloud API request failed: ${error.message}`;
+      logger.error(`[CloudApi] ${method} ${path} failed for account ${this.accountId}: ${message}`);
+      throw new WhatsAppConnectionError(message, this.accountId);
+    }
+  }
+}
+
+export default CloudApiTransport;
@@ -0,0 +1,495 @@
+import pkg from 'whatsapp-web.js';
+const { Client, LocalAuth, MessageMedia, Buttons, List, Location } = pkg;
+import path from 'path';
+import fs from 'fs/promises';
+import BaseWhatsAppTransport from '../baseTransport.js';
+import prisma from '../../../config/database.js';
+import logger from '../../../utils/logger.js';
+import { WhatsAppNotConnectedError } from '../../../utils/errors.js';
+import { buildVCard, parseVCard, describeMessage } from '../messageTypes.js';
+import {
+  emitWhatsAppConnectionStatus,
+  emitWhatsAppQRCode,
+  emitWhatsAppReady,
+  emitWhatsAppDisconnected,
+} from '../../../sockets/index.js';
+
+/**
+ * whatsapp-web.js Transport
+ * Drives a headless WhatsApp Web session (QR code pairing) for a single account
+ */
+class WebJsTransport extends BaseWhatsAppTransport {
+  constructor(account, credentials = {}) {
+    super(account, credentials);
+    this.name = 'WebJs';
+    this.client = null;
+    this.reconnectAttempts = 0;
+    this.maxReconnectAttempts = 5;
+  }
+
+  /**
+   * Create the whatsapp-web.js client and start the session
+   */
+  async connect() {
+    if (!this.client) {
+      this.client = await this.createClient();
+    }
+
+    await this.client.initialize();
+
+    return {
+      status: 'connecting',
+      message: 'QR code will be generated shortly. Please scan it with your WhatsApp mobile app.',
+    };
+  }
+
+  /**
+   * Destroy the client and remove the local session directory
+   */
+  async disconnect() {
+    if (this.client) {
+      await this.client.destroy();
+      this.client = null;
+    }
+
+    try {
+      await fs.rm(this.getSessionPath(), { recursive: true, force: true });
+    } catch (error) {
+      logger.warn(`Failed to clean up session directory for account ${this.accountId}:`, error);
+    }
+  }
+
+  isConnected() {
+    return !!(this.client && this.client.info);
+  }
+
+  getInfo() {
+    return this.client ? this.client.info || null : null;
+  }
+
+  getSessionPath() {
+    return path.join(process.cwd(), 'sessions', this.accountId);
+  }
+
+  /**
+   * Initialize whatsapp-web.js client with LocalAuth
+   */
+  async createClient() {
+    logger.info(`Initializing WhatsApp client for account ${this.accountId}`);
+
+    // Create session directory
+    const sessionPath = this.getSessionPath();
+    await fs.mkdir(sessionPath, { recursive: true });
+
+    const puppeteerConfig = {
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu',
+      ],
+    };
+
+    // Only set executablePath if explicitly provided via environment variable
+    // This allows Puppeteer to auto-detect Chrome/Chromium in different environments
+    if (process.env.CHROME_EXECUTABLE_PATH) {
+      puppeteerConfig.executablePath = process.env.CHROME_EXECUTABLE_PATH;
+    }
+
+    const client = new Client({
+      authStrategy: new LocalAuth({
+        clientId: this.accountId,
+        dataPath: sessionPath,
+      }),
+      puppeteer: puppeteerConfig,
+    });
+
+    this.setupClientEventHandlers(client);
+
+    return client;
+  }
+
+  /**
+   * Set up event handlers for WhatsApp client
+   */
+  setupClientEventHandlers(client) {
+    const { accountId } = this;
+
+    // QR Code generation
+    client.on('qr', async (qr) => {
+      try {
+        // SECURITY: Never log raw QR code - it's a session credential
+        logger.info(`QR code generated for account ${accountId}`);
+
+        const qrCodeExpiry = new Date(Date.now() + 2 * 60 * 1000);
+
+        await prisma.whatsapp_accounts.update({
+          where: { id: accountId },
+          data: { status: 'connecting', updated_at: new Date() },
+        });
+
+        emitWhatsAppQRCode(this.userId, accountId, qr, qrCodeExpiry);
+      } catch (error) {
+        logger.error(`Error handling QR code for account ${accountId}:`, error);
+      }
+    });
+
+    // Client ready
+    client.on('ready', async () => {
+      try {
+        logger.info(`WhatsApp client ready for account ${accountId}`);
+
+        const info = client.info;
+
+        await prisma.whatsapp_accounts.update({
+          where: { id: accountId },
+          data: {
+            phone: info.wid.user,
+            name: info.pushname || 'WhatsApp User',
+            status: 'connected',
+            health_score: 100,
+            last_connected_at: new Date(),
+            updated_at: new Date(),
+          },
+        });
+
+        this.reconnectAttempts = 0;
+
+        emitWhatsAppReady(this.userId, accountId, {
+          phoneNumber: info.wid.user,
+          displayName: info.pushname || 'WhatsApp User',
+        });
+      } catch (error) {
+        logger.error(`Error handling ready event for account ${accountId}:`, error);
+      }
+    });
+
+    // Authentication success
+    client.on('authenticated', async () => {
+      try {
+        logger.info(`WhatsApp client authenticated for account ${accountId}`);
+
+        await prisma.whatsapp_accounts.update({
+          where: { id: accountId },
+          data: { status: 'connected', updated_at: new Date() },
+        });
+
+        emitWhatsAppConnectionStatus(this.userId, accountId, 'Connected', {
+          message: 'WhatsApp authenticated successfully',
+        });
+      } catch (error) {
+        logger.error(`Error handling authenticated event for account ${accountId}:`, error);
+      }
+    });
+
+    // Authentication failure
+    client.on('auth_failure', async (message) => {
+      try {
+        logger.error(`Authentication failed for account ${accountId}:`, message);
+
+        await prisma.whatsapp_accounts.update({
+          where: { id: accountId },
+          data: { status: 'failed', health_score: 0, updated_at: new Date() },
+        });
+
+        emitWhatsAppConnectionStatus(this.userId, accountId, 'Failed', {
+          message: 'Authentication failed',
+          error: message,
+        });
+
+        this.client = null;
+      } catch (error) {
+        logger.error(`Error handling auth_failure for account ${accountId}:`, error);
+      }
+    });
+
+    // Disconnected
+    client.on('disconnected', async (reason) => {
+      try {
+        logger.warn(`WhatsApp client disconnected for account ${accountId}. Reason: ${reason}`);
+
+        await prisma.whatsapp_accounts.update({
+          where: { id: accountId },
+          data: { status: 'disconnected', updated_at: new Date() },
+        });
+
+        emitWhatsAppDisconnected(this.userId, accountId, reason);
+
+        // Attempt automatic reconnection with exponential backoff
+        if (this.reconnectAttempts < this.maxReconnectAttempts) {
+          const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
+          this.reconnectAttempts++;
+
+          logger.info(
+            `Attempting reconnection ${this.reconnectAttempts}/${this.maxReconnectAttempts} for account ${accountId} in ${delay}ms`
+          );
+
+          emitWhatsAppConnectionStatus(this.userId, accountId, 'Reconnecting', {
+            attempt: this.reconnectAttempts,
+            maxAttempts: this.maxReconnectAttempts,
+            nextAttemptIn: delay,
+          });
+
+          setTimeout(async () => {
+            try {
+              await client.initialize();
+            } catch (error) {
+              logger.error(`Reconnection attempt failed for account ${accountId}:`, error);
+            }
+          }, delay);
+        } else {
+          logger.error(`Max reconnection attempts reached for account ${accountId}`);
+          await prisma.whatsapp_accounts.update({
+            where: { id: accountId },
+            data: { health_score: 0, updated_at: new Date() },
+          });
+          emitWhatsAppConnectionStatus(this.userId, accountId, 'Failed', {
+            message: 'Max reconnection attempts reached',
+          });
+          this.client = null;
+        }
+      } catch (error) {
+        logger.error(`Error handling disconnected event for account ${accountId}:`, error);
+      }
+    });
+
+    client.on('loading_screen', (percent, message) => {
+      logger.info(`Loading screen for account ${accountId}: ${percent}% - ${message}`);
+    });
+
+    client.on('change_state', (state) => {
+      logger.info(`State changed for account ${accountId}: ${state}`);
+    });
+
+    // Incoming messages
+    client.on('message', async (msg) => {
+      try {
+        logger.info(`Incoming message for account ${accountId}`, {
+          from: msg.from,
+          type: msg.type,
+          hasMedia: msg.hasMedia,
+        });
+
+        const quoted = msg.hasQuotedMsg ? await msg.getQuotedMessage() : null;
+
+        this.receive({
+          from: msg.from.replace('@c.us', ''),
+          ...this.normalizeInboundContent(msg),
+          mediaUrl: msg.hasMedia ? await this.storeMedia(await this.downloadMedia(msg)) : null,
+          whatsappMessageId: msg.id._serialized,
+          timestamp: msg.timestamp * 1000, // Convert to milliseconds
+          ...(quoted && { contextMessageId: quoted.id._serialized }),
+        });
+      } catch (error) {
+        logger.error(`Error handling incoming message for account ${accountId}:`, error);
+      }
+    });
+
+    // Emoji reactions (sent, changed or removed) arrive separately from messages
+    client.on('message_reaction', async (reaction) => {
+      try {
+        if (reaction.id?.fromMe) {
+          return;
+        }
+
+        this.receive({
+          from: reaction.senderId.replace('@c.us', ''),
+          type: 'Reaction',
+          content: reaction.reaction || '',
+          mediaUrl: null,
+          payload: { emoji: reaction.reaction || '' },
+          contextMessageId: reaction.msgId?._serialized || null,
+          whatsappMessageId: reaction.id._serialized,
+          timestamp: (reaction.timestamp || Math.floor(Date.now() / 1000)) * 1000,
+        });
+      } catch (error) {
+        logger.error(`Error handling message reaction for account ${accountId}:`, error);
+      }
+    });
+
+    // Message acknowledgement (delivery and read receipts)
+    client.on('message_ack', async (msg, ack) => {
+      try {
+        // ack values: 1 = sent, 2 = delivered, 3 = read, 4 = played (for voice messages)
+        let status;
+        if (ack === 1) {
+          status = 'Sent';
+        } else if (ack === 2) {
+          status = 'Delivered';
+        } else if (ack === 3 || ack === 4) {
+          status = 'Read';
+        }
+
+        if (status) {
+          this.ack(msg.id._serialized, status);
+        }
+      } catch (error) {
+        logger.error(`Error handling message ack for account ${accountId}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Map a whatsapp-web.js message to the internal type, content and structured payload
+   * @param {Object} msg - whatsapp-web.js message
+   */
+  normalizeInboundContent(msg) {
+    switch (msg.type) {
+      case 'chat':
+        return { type: 'Text', content: msg.body || '' };
+      case 'buttons_response':
+      case 'template_button_reply':
+        return {
+          type: 'ButtonReply',
+          content: msg.body || '',
+          interactiveReplyId: msg.selectedButtonId || msg.body || null,
+        };
+      case 'list_response':
+        return {
+          type: 'ListReply',
+          content: msg.body || '',
+          interactiveReplyId: msg.selectedRowId || null,
+        };
+      case 'location': {
+        const { latitude, longitude, name, address, description } = msg.location || {};
+        const payload = {
+          location: {
+            latitude: Number(latitude),
+            longitude: Number(longitude),
+            ...((name || description) && { name: name || description }),
+            ...(address && { address }),
+          },
+        };
+        return { type: 'Location', content: describeMessage('Location', '', payload), payload };
+      }
+      case 'vcard':
+      case 'multi_vcard': {
+        const payload = { contacts: (msg.vCards || []).map(parseVCard) };
+        return { type: 'Contact', content: describeMessage('Contact', '', payload), payload };
+      }
+      case 'ptt':
+        return { type: 'Audio', content: msg.body || '' };
+      default:
+        return {
+          type: msg.type.charAt(0).toUpperCase() + msg.type.slice(1),
+          content: msg.body || '',
+        };
+    }
+  }
+
+  /**
+   * Download media from a whatsapp-web.js message
+   * @param {Object} msg - whatsapp-web.js message
+   */
+  async downloadMedia(msg) {
+    try {
+      const media = await msg.downloadMedia();
+      if (!media) {
+        return null;
+      }
+
+      return {
+        buffer: Buffer.from(media.data, 'base64'),
+        mimetype: media.mimetype,
+        filename: media.filename,
+      };
+    } catch (error) {
+      logger.error(`Error downloading media for account ${this.accountId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Send message via WhatsApp Web
+   */
+  async sendMessage(to, message) {
+    if (!this.isConnected()) {
+      throw new WhatsAppNotConnectedError('WhatsApp client is not active', this.accountId);
+    }
+
+    const { type, content, mediaUrl, payload = {}, contextMessageId } = message;
+
+    // Format phone number for WhatsApp
+    const chatId = to.includes('@') ? to : `${to.replace(/^\+/, '')}@c.us`;
+    const options = contextMessageId ? { quotedMessageId: contextMessageId } : {};
+
+    let sentMessage;
+    if (type === 'Text' || !type) {
+      sentMessage = await this.client.sendMessage(chatId, content, options);
+    } else if (['Image', 'Document', 'Video'].includes(type) && mediaUrl) {
+      const media = await MessageMedia.fromUrl(mediaUrl);
+      sentMessage = await this.client.sendMessage(chatId, media, {
+        ...options,
+        caption: content || '',
+      });
+    } else if (type === 'Audio' && mediaUrl) {
+      const media = await MessageMedia.fromUrl(mediaUrl);
+      sentMessage = await this.client.sendMessage(chatId, media, {
+        ...options,
+        sendAudioAsVoice: true,
+      });
+    } else if (type === 'Sticker' && mediaUrl) {
+      const media = await MessageMedia.fromUrl(mediaUrl);
+      sentMessage = await this.client.sendMessage(chatId, media, {
+        ...options,
+        sendMediaAsSticker: true,
+      });
+    } else if (type === 'Template' && mediaUrl) {
+      // WhatsApp Web has no template messages; send the rendered text instead
+      const media = await MessageMedia.fromUrl(mediaUrl);
+      sentMessage = await this.client.sendMessage(chatId, media, { caption: content || '' });
+    } else if (type === 'Template') {
+      sentMessage = await this.client.sendMessage(chatId, content);
+    } else if (type === 'Buttons') {
+      const buttons = new Buttons(
+        content,
+        payload.buttons.map(({ id, title }) => ({ id, body: title })),
+        payload.header,
+        payload.footer
+      );
+      sentMessage = await this.client.sendMessage(chatId, buttons, options);
+    } else if (type === 'List') {
+      const list = new List(
+        content,
+        payload.buttonText,
+        payload.sections,
+        payload.header,
+        payload.footer
+      );
+      sentMessage = await this.client.sendMessage(chatId, list, options);
+    } else if (type === 'Location') {
+      const { latitude, longitude, name, address } = payload.location;
+      const location = new Location(latitude, longitude, { name, address });
+      sentMessage = await this.client.sendMessage(chatId, location, options);
+    } else if (type === 'Contact') {
+      // Each card is sent as its own vCard message; the last one identifies the send
+      for (const contact of payload.contacts) {
+        sentMessage = await this.client.sendMessage(chatId, buildVCard(contact), {
+          ...options,
+          parseVCards: true,
+        });
+      }
+    } else if (type === 'Reaction') {
+      const target = await this.client.getMessageById(contextMessageId);
+      if (!target) {
+        throw new Error(`Message to react to was not found: ${contextMessageId}`);
+      }
+      await target.react(payload.emoji ?? content ?? '');
+      // Reactions have no message ID of their own in whatsapp-web.js
+      return { whatsappMessageId: null, timestamp: Math.floor(Date.now() / 1000) };
+    } else {
+      throw new Error(`Unsupported message type for WhatsApp Web: ${type}`);
+    }
+
+    return {
+      whatsappMessageId: sentMessage.id._serialized,
+      timestamp: sentMessage.timestamp,
+    };
+  }
+}
+
+export default WebJsTransport;
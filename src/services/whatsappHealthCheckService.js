@@ -193,9 +193,9 @@ class WhatsAppHealthCheckService {
       const existingClient = whatsappService.getActiveClient(account.id);
 
       if (existingClient) {
-        // Try to reinitialize existing client
+        // Try to reconnect existing transport
         try {
-          await existingClient.initialize();
+          await existingClient.connect();
           logger.info(`Successfully reinitialized client for account ${account.id}`);
           return true;
         } catch (error) {
@@ -1,22 +1,16 @@
-import pkg from 'whatsapp-web.js';
-const { Client, LocalAuth } = pkg;
 import crypto from 'crypto';
 import path from 'path';
 import fs from 'fs/promises';
 import prisma from '../config/database.js';
 import WhatsAppAccountModel from '../models/whatsappAccount.js';
+import transportManager from './whatsapp/transportManager.js';
+import templateService from './templateService.js';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import { encryptCredentials } from '../utils/encryption.js';
+import { normalizePhone } from '../utils/phone.js';
 import { NotFoundError, BadRequestError, WhatsAppConnectionError } from '../utils/errors.js';
-import {
-  emitWhatsAppConnectionStatus,
-  emitWhatsAppQRCode,
-  emitWhatsAppReady,
-  emitWhatsAppDisconnected,
-} from '../sockets/index.js';
-import whatsappEvents from '../events/whatsappEvents.js';
-
-// Store active WhatsApp clients
-const activeClients = new Map();
+import { emitWhatsAppReady } from '../sockets/index.js';
 
 // Encryption configuration
 // CRITICAL: ENCRYPTION_KEY must be set in environment variables
@@ -93,344 +87,6 @@ function decryptSessionData(encryptedData) {
   }
 }
 
-/**
- * Initialize WhatsApp client with automatic reconnection
- */
-async function initializeClient(accountId, userId) {
-  try {
-    logger.info(`Initializing WhatsApp client for account ${accountId}`);
-
-    // Check if client already exists
-    if (activeClients.has(accountId)) {
-      logger.info(`Client already exists for account ${accountId}`);
-      return activeClients.get(accountId);
-    }
-
-    // Create session directory
-    const sessionPath = path.join(process.cwd(), 'sessions', accountId);
-    await fs.mkdir(sessionPath, { recursive: true });
-
-    // Initialize client with LocalAuth
-    const puppeteerConfig = {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu',
-      ],
-    };
-
-    // Only set executablePath if explicitly provided via environment variable
-    // This allows Puppeteer to auto-detect Chrome/Chromium in different environments
-    if (process.env.CHROME_EXECUTABLE_PATH) {
-      puppeteerConfig.executablePath = process.env.CHROME_EXECUTABLE_PATH;
-    }
-
-    const client = new Client({
-      authStrategy: new LocalAuth({
-        clientId: accountId,
-        dataPath: sessionPath,
-      }),
-      puppeteer: puppeteerConfig,
-    });
-
-    // Store client metadata
-    client.accountId = accountId;
-    client.userId = userId;
-    client.reconnectAttempts = 0;
-    client.maxReconnectAttempts = 5;
-
-    // Set up event handlers
-    setupClientEventHandlers(client);
-
-    // Store client
-    activeClients.set(accountId, client);
-
-    return client;
-  } catch (error) {
-    logger.error(`Error initializing WhatsApp client for account ${accountId}:`, error);
-    throw error;
-  }
-}
-
-/**
- * Set up event handlers for WhatsApp client
- */
-function setupClientEventHandlers(client) {
-  const { accountId } = client;
-
-  // QR Code generation
-  client.on('qr', async (qr) => {
-    try {
-      logger.info(`QR code generated for account ${accountId}`);
-
-      // SECURITY: Never log raw QR code - it's a session credential
-      // QR code is securely stored in database and sent via WebSocket
-      logger.debug(`QR code generated for account ${accountId} (not displayed for security)`);
-
-      // For local development, QR can be accessed via API endpoint or WebSocket
-      // Never use qrcode-terminal.generate() as it exposes credentials in logs
-
-      // Store QR code in database with 2-minute expiry
-      const qrCodeExpiry = new Date(Date.now() + 2 * 60 * 1000);
-
-      await prisma.whatsapp_accounts.update({
-        where: { id: accountId },
-        data: {
-          qrCode: qr,
-          qrCodeExpiry,
-          connectionStatus: 'Connecting',
-        },
-      });
-
-      // Emit Socket.io event
-      emitWhatsAppQRCode(client.userId, accountId, qr, qrCodeExpiry);
-
-      logger.info(`QR code stored for account ${accountId}, expires at ${qrCodeExpiry}`);
-    } catch (error) {
-      logger.error(`Error handling QR code for account ${accountId}:`, error);
-    }
-  });
-
-  // Client ready
-  client.on('ready', async () => {
-    try {
-      logger.info(`WhatsApp client ready for account ${accountId}`);
-
-      // Get account info
-      const info = client.info;
-
-      // Update database
-      await prisma.whatsapp_accounts.update({
-        where: { id: accountId },
-        data: {
-          phoneNumber: info.wid.user,
-          displayName: info.pushname || 'WhatsApp User',
-          connectionStatus: 'Connected',
-          healthStatus: 'Healthy',
-          lastConnectedAt: new Date(),
-          qrCode: null,
-          qrCodeExpiry: null,
-        },
-      });
-
-      // Reset reconnect attempts
-      client.reconnectAttempts = 0;
-
-      // Emit Socket.io event
-      emitWhatsAppReady(client.userId, accountId, {
-        phoneNumber: info.wid.user,
-        displayName: info.pushname || 'WhatsApp User',
-      });
-
-      logger.info(`Account ${accountId} connected successfully`);
-    } catch (error) {
-      logger.error(`Error handling ready event for account ${accountId}:`, error);
-    }
-  });
-
-  // Authentication success
-  client.on('authenticated', async () => {
-    try {
-      logger.info(`WhatsApp client authenticated for account ${accountId}`);
-
-      await prisma.whatsapp_accounts.update({
-        where: { id: accountId },
-        data: {
-          connectionStatus: 'Connected',
-          qrCode: null,
-          qrCodeExpiry: null,
-        },
-      });
-
-      // Emit Socket.io event
-      emitWhatsAppConnectionStatus(client.userId, accountId, 'Connected', {
-        message: 'WhatsApp authenticated successfully',
-      });
-    } catch (error) {
-      logger.error(`Error handling authenticated event for account ${accountId}:`, error);
-    }
-  });
-
-  // Authentication failure
-  client.on('auth_failure', async (message) => {
-    try {
-      logger.error(`Authentication failed for account ${accountId}:`, message);
-
-      await prisma.whatsapp_accounts.update({
-        where: { id: accountId },
-        data: {
-          connectionStatus: 'Failed',
-          healthStatus: 'Critical',
-        },
-      });
-
-      // Emit Socket.io event
-      emitWhatsAppConnectionStatus(client.userId, accountId, 'Failed', {
-        message: 'Authentication failed',
-        error: message,
-      });
-
-      // Remove client from active clients
-      activeClients.delete(accountId);
-    } catch (error) {
-      logger.error(`Error handling auth_failure for account ${accountId}:`, error);
-    }
-  });
-
-  // Disconnected
-  client.on('disconnected', async (reason) => {
-    try {
-      logger.warn(`WhatsApp client disconnected for account ${accountId}. Reason: ${reason}`);
-
-      await prisma.whatsapp_accounts.update({
-        where: { id: accountId },
-        data: {
-          connectionStatus: 'Disconnected',
-          lastDisconnectedAt: new Date(),
-        },
-      });
-
-      // Emit Socket.io event
-      emitWhatsAppDisconnected(client.userId, accountId, reason);
-
-      // Attempt automatic reconnection with exponential backoff
-      if (client.reconnectAttempts < client.maxReconnectAttempts) {
-        const delay = Math.min(1000 * Math.pow(2, client.reconnectAttempts), 30000);
-        client.reconnectAttempts++;
-
-        logger.info(
-          `Attempting reconnection ${client.reconnectAttempts}/${client.maxReconnectAttempts} for account ${accountId} in ${delay}ms`
-        );
-
-        // Emit reconnection attempt status
-        emitWhatsAppConnectionStatus(client.userId, accountId, 'Reconnecting', {
-          attempt: client.reconnectAttempts,
-          maxAttempts: client.maxReconnectAttempts,
-          nextAttemptIn: delay,
-        });
-
-        setTimeout(async () => {
-          try {
-            await client.initialize();
-          } catch (error) {
-            logger.error(`Reconnection attempt failed for account ${accountId}:`, error);
-          }
-        }, delay);
-      } else {
-        logger.error(`Max reconnection attempts reached for account ${accountId}`);
-        await prisma.whatsapp_accounts.update({
-          where: { id: accountId },
-          data: {
-            healthStatus: 'Critical',
-          },
-        });
-        emitWhatsAppConnectionStatus(client.userId, accountId, 'Failed', {
-          message: 'Max reconnection attempts reached',
-        });
-        activeClients.delete(accountId);
-      }
-    } catch (error) {
-      logger.error(`Error handling disconnected event for account ${accountId}:`, error);
-    }
-  });
-
-  // Loading screen
-  client.on('loading_screen', (percent, message) => {
-    logger.info(`Loading screen for account ${accountId}: ${percent}% - ${message}`);
-  });
-
-  // Change state
-  client.on('change_state', (state) => {
-    logger.info(`State changed for account ${accountId}: ${state}`);
-  });
-
-  // Incoming messages
-  client.on('message', async (msg) => {
-    try {
-      logger.info(`Incoming message for account ${accountId}`, {
-        from: msg.from,
-        type: msg.type,
-        hasMedia: msg.hasMedia,
-      });
-
-      // Emit event instead of directly calling messageService
-      // This breaks the circular dependency
-      whatsappEvents.emitIncomingMessage(accountId, {
-        whatsappAccountId: accountId,
-        from: msg.from.replace('@c.us', ''),
-        type: msg.type === 'chat' ? 'Text' : msg.type.charAt(0).toUpperCase() + msg.type.slice(1),
-        content: msg.body || '',
-        mediaUrl: msg.hasMedia ? await getMediaUrl(msg) : null,
-        whatsappMessageId: msg.id._serialized,
-        timestamp: msg.timestamp * 1000, // Convert to milliseconds
-      });
-    } catch (error) {
-      logger.error(`Error handling incoming message for account ${accountId}:`, error);
-    }
-  });
-
-  // Message acknowledgement (delivery and read receipts)
-  client.on('message_ack', async (msg, ack) => {
-    try {
-      // ack values: 1 = sent, 2 = delivered, 3 = read, 4 = played (for voice messages)
-      let status;
-      if (ack === 1) {
-        status = 'Sent';
-      } else if (ack === 2) {
-        status = 'Delivered';
-      } else if (ack === 3 || ack === 4) {
-        status = 'Read';
-      }
-
-      if (status) {
-        // Emit event instead of directly calling messageService
-        // This breaks the circular dependency
-        whatsappEvents.emitMessageAck(accountId, msg.id._serialized, status);
-      }
-    } catch (error) {
-      logger.error(`Error handling message ack for account ${accountId}:`, error);
-    }
-  });
-}
-
-/**
- * Get media URL from message
- */
-async function getMediaUrl(msg) {
-  try {
-    const media = await msg.downloadMedia();
-    if (!media) {
-      return null;
-    }
-
-    // Import file upload utility
-    const { uploadToS3 } = await import('../utils/fileUpload.js');
-
-    // Convert media to buffer
-    const buffer = Buffer.from(media.data, 'base64');
-
-    // Create file object
-    const file = {
-      buffer,
-      mimetype: media.mimetype,
-      originalname: media.filename || `media_${Date.now()}`,
-      size: buffer.length,
-    };
-
-    // Upload to S3
-    const result = await uploadToS3(file, 'messages');
-    return result.url;
-  } catch (error) {
-    logger.error('Error getting media URL:', error);
-    return null;
-  }
-}
-
 /**
  * Connect WhatsApp account
  */
@@ -438,32 +94,79 @@ async function connectWhatsAppAccount(userId, teamId, accountData) {
   try {
     logger.info(`Connecting WhatsApp account for user ${userId}`);
 
+    const type = accountData.type || 'business';
+    const isCloudApi = type === 'cloud_api';
+
     // Create WhatsApp account record using model
     const accountId = crypto.randomUUID();
+
+    // Cloud API accounts receive traffic through a per-account webhook
+    const webhookUrl = isCloudApi
+      ? `${config.app.url}/api/${config.app.apiVersion}/webhooks/whatsapp/${accountId}`
+      : undefined;
+    const webhookSecret = isCloudApi
+      ? accountData.credentials?.verifyToken || crypto.randomBytes(24).toString('hex')
+      : undefined;
+
     const account = await WhatsAppAccountModel.create({
       id: accountId,
       userId,
       teamId,
       name: accountData.displayName || 'WhatsApp Account',
       phone: accountData.phoneNumber || 'pending',
-      type: 'business',
+      type,
       status: 'disconnected',
       healthScore: 100,
+      credentialsEncrypted: accountData.credentials
+        ? encryptCredentials(accountData.credentials)
+        : undefined,
+      webhookUrl,
+      webhookSecret,
       dailyMessageLimit: 1000,
       messagesSentToday: 0,
       isActive: true,
     });
 
-    // Initialize client
-    const client = await initializeClient(account.id, userId);
+    // Start the transport selected by account type
+    const transport = transportManager.createTransport(account);
+
+    let result;
+    try {
+      result = await transport.connect();
+    } catch (error) {
+      transportManager.removeTransport(account.id);
+      await WhatsAppAccountModel.updateStatus(account.id, 'failed');
+      throw error;
+    }
 
-    // Start client
-    await client.initialize();
+    // Cloud API accounts connect synchronously, there is no QR step
+    if (result.status === 'connected') {
+      await WhatsAppAccountModel.update(account.id, {
+        phone: result.phone || account.phone,
+        name: accountData.displayName || result.displayName,
+        status: 'connected',
+        lastConnectedAt: new Date(),
+      });
+
+      emitWhatsAppReady(userId, account.id, {
+        phoneNumber: result.phone,
+        displayName: result.displayName,
+      });
+
+      return {
+        accountId: account.id,
+        type,
+        status: 'Connected',
+        message: 'WhatsApp Cloud API account connected successfully',
+        webhook: { url: webhookUrl, verifyToken: webhookSecret },
+      };
+    }
 
     return {
       accountId: account.id,
+      type,
       status: 'Connecting',
-      message: 'QR code will be generated shortly. Please scan it with your WhatsApp mobile app.',
+      message: result.message,
     };
   } catch (error) {
     logger.error('Error connecting WhatsApp account:', error);
@@ -484,27 +187,14 @@ async function disconnectWhatsAppAccount(accountId) {
       throw new NotFoundError('WhatsApp account not found', 'WhatsAppAccount');
     }
 
-    const client = activeClients.get(accountId);
-
-    if (client) {
-      // Destroy client
-      await client.destroy();
-
-      // Remove from active clients
-      activeClients.delete(accountId);
-    }
+    // Transport may not be loaded (e.g. after restart), create it so its resources are released
+    const transport = transportManager.createTransport(account);
+    await transport.disconnect();
+    transportManager.removeTransport(accountId);
 
     // Update database using model
     await WhatsAppAccountModel.updateStatus(accountId, 'disconnected');
 
-    // Clean up session directory
-    const sessionPath = path.join(process.cwd(), 'sessions', accountId);
-    try {
-      await fs.rm(sessionPath, { recursive: true, force: true });
-    } catch (error) {
-      logger.warn(`Failed to clean up session directory for account ${accountId}:`, error);
-    }
-
     return {
       accountId,
       status: 'disconnected',
@@ -578,8 +268,8 @@ async function getAccountHealth(accountId) {
       throw new NotFoundError('WhatsApp account not found');
     }
 
-    const client = activeClients.get(accountId);
-    const isClientActive = client && client.info;
+    const transport = transportManager.getTransport(accountId);
+    const isClientActive = transportManager.isConnected(accountId);
 
     // Calculate health metrics
     const usagePercentage = (account.messagesSentToday / account.dailyLimit) * 100;
@@ -606,7 +296,8 @@ async function getAccountHealth(accountId) {
       healthStatus,
       usagePercentage: Math.round(usagePercentage),
       isClientActive,
-      clientInfo: isClientActive ? client.info : null,
+      transportType: transport ? transport.name : null,
+      clientInfo: isClientActive ? transport.getInfo() : null,
     };
   } catch (error) {
     logger.error(`Error getting account health for ${accountId}:`, error);
@@ -628,18 +319,17 @@ async function getUserWhatsAppAccounts(userId) {
 }
 
 /**
- * Get active client for account
+ * Get active transport for account
  */
 function getActiveClient(accountId) {
-  return activeClients.get(accountId);
+  return transportManager.getTransport(accountId);
 }
 
 /**
  * Check if account is connected
  */
 function isAccountConnected(accountId) {
-  const client = activeClients.get(accountId);
-  return client && client.info;
+  return transportManager.isConnected(accountId);
 }
 
 /**
@@ -660,6 +350,8 @@ async function restoreActiveConnections() {
         team_id: true,
         phone: true,
         name: true,
+        type: true,
+        credentials_encrypted: true,
       },
     });
 
@@ -667,11 +359,12 @@ async function restoreActiveConnections() {
 
     for (const account of connectedAccounts) {
       try {
-        const client = await initializeClient(account.id, account.user_id);
-        await client.initialize();
+        const transport = transportManager.createTransport(account);
+        await transport.connect();
         logger.info(`Restored connection for account ${account.id}`);
       } catch (error) {
         logger.error(`Failed to restore connection for account ${account.id}:`, error);
+        transportManager.removeTransport(account.id);
         await prisma.whatsapp_accounts.update({
           where: { id: account.id },
           data: {
@@ -695,15 +388,15 @@ async function cleanupInactiveClients() {
   try {
     logger.info('Cleaning up inactive WhatsApp clients...');
 
-    for (const [accountId, client] of activeClients.entries()) {
-      if (!client.info) {
+    for (const [accountId, transport] of transportManager.entries()) {
+      if (!transport.isConnected()) {
         logger.info(`Removing inactive client for account ${accountId}`);
         try {
-          await client.destroy();
+          await transport.disconnect();
         } catch (error) {
           logger.warn(`Error destroying client for account ${accountId}:`, error);
         }
-        activeClients.delete(accountId);
+        transportManager.removeTransport(accountId);
       }
     }
 
@@ -749,11 +442,11 @@ async function cleanupOrphanedSessions() {
         // Remove session if:
         // 1. Account doesn't exist in database
         // 2. Account is not active
-        // 3. Account is disconnected and not in activeClients
+        // 3. Account is disconnected and has no active transport
         const shouldCleanup =
           !account ||
           !account.is_active ||
-          (account.status === 'disconnected' && !activeClients.has(accountId));
+          (account.status === 'disconnected' && !transportManager.getTransport(accountId));
 
         if (shouldCleanup) {
           const sessionPath = path.join(sessionsDir, sessionDir);
@@ -782,8 +475,7 @@ async function resetDailyMessageCounters() {
 
     await prisma.whatsapp_accounts.updateMany({
       data: {
-        messagesSentToday: 0,
-        messagesReceivedToday: 0,
+        messages_sent_today: 0,
       },
     });
 
@@ -824,8 +516,7 @@ async function sendMessage(accountId, userId, messageData) {
     }
 
     // Check if client is connected
-    const client = activeClients.get(accountId);
-    if (!client || !client.info) {
+    if (!transportManager.isConnected(accountId)) {
       throw new WhatsAppNotConnectedError('WhatsApp account is not connected', accountId);
     }
 
@@ -847,7 +538,7 @@ async function sendMessage(accountId, userId, messageData) {
     // Queue the message for processing
     const { default: messageQueue } = await import('../queues/index.js');
 
-    const job = await messageQueue.addMessageJob({
+    const { job } = await messageQueue.addMessageJob({
       whatsappAccountId: accountId,
       userId,
       contactId: messageData.contactId,
@@ -877,56 +568,54 @@ async function sendMessage(accountId, userId, messageData) {
 
 /**
  * Process WhatsApp message (called by message worker)
- * This is the actual function that sends the message via WhatsApp Web
+ * This is the actual function that sends the message through the account's transport
  */
 async function processWhatsAppMessage(messageData) {
   const { WhatsAppNotConnectedError } = await import('../utils/errors.js');
 
   try {
-    const { whatsappAccountId, to, type, content, mediaUrl } = messageData;
+    const { whatsappAccountId, templateId, templateVariables } = messageData;
 
-    // Get active client
-    const client = activeClients.get(whatsappAccountId);
-    if (!client || !client.info) {
+    // Chat IDs ('...@g.us') are sent to as they are; numbers go out in E.164
+    const to = messageData.to?.includes('@') ? messageData.to : normalizePhone(messageData.to);
+    if (!to) {
+      throw new BadRequestError(`Invalid recipient phone number: ${messageData.to}`);
+    }
+
+    // Get active transport
+    const transport = transportManager.getTransport(whatsappAccountId);
+    if (!transport || !transport.isConnected()) {
       throw new WhatsAppNotConnectedError('WhatsApp client is not active', whatsappAccountId);
     }
 
-    // Format phone number for WhatsApp
-    const chatId = to.includes('@') ? to : `${to}@c.us`;
-
-    // Send message via WhatsApp client
-    let sentMessage;
-    if (type === 'Text' || !type) {
-      sentMessage = await client.sendMessage(chatId, content);
-    } else if (type === 'Image' && mediaUrl) {
-      const { MessageMedia } = await import('whatsapp-web.js');
-      const media = await MessageMedia.fromUrl(mediaUrl);
-      sentMessage = await client.sendMessage(chatId, media, { caption: content || '' });
-    } else if (type === 'Document' && mediaUrl) {
-      const { MessageMedia } = await import('whatsapp-web.js');
-      const media = await MessageMedia.fromUrl(mediaUrl);
-      sentMessage = await client.sendMessage(chatId, media, { caption: content || '' });
-    } else if (type === 'Audio' && mediaUrl) {
-      const { MessageMedia } = await import('whatsapp-web.js');
-      const media = await MessageMedia.fromUrl(mediaUrl);
-      sentMessage = await client.sendMessage(chatId, media, { sendAudioAsVoice: true });
-    } else if (type === 'Video' && mediaUrl) {
-      const { MessageMedia } = await import('whatsapp-web.js');
-      const media = await MessageMedia.fromUrl(mediaUrl);
-      sentMessage = await client.sendMessage(chatId, media, { caption: content || '' });
+    // Campaign jobs use lowercase types ('text', 'template'); transports expect 'Text'
+    const type = messageData.type
+      ? messageData.type.charAt(0).toUpperCase() + messageData.type.slice(1)
+      : 'Text';
+    let message = { ...messageData, to, type };
+
+    if (type === 'Template') {
+      const template = await prisma.templates.findUnique({ where: { id: templateId } });
+      if (!template) {
+        throw new Error(`Template not found: ${templateId}`);
+      }
+      message = {
+        ...message,
+        ...templateService.buildTemplateMessage(template, templateVariables),
+      };
     }
 
+    const result = await transport.sendMessage(to, message);
+
     logger.info(`Message sent via WhatsApp`, {
       whatsappAccountId,
       to,
       type,
-      whatsappMessageId: sentMessage.id._serialized,
+      transport: transport.name,
+      whatsappMessageId: result.whatsappMessageId,
     });
 
-    return {
-      whatsappMessageId: sentMessage.id._serialized,
-      timestamp: sentMessage.timestamp,
-    };
+    return result;
   } catch (error) {
     logger.error('Error in processWhatsAppMessage:', error);
     throw error;
@@ -0,0 +1,186 @@
+/**
+ * WhatsApp Webhook Service
+ * Verifies and processes provider callbacks (Cloud API) for a single WhatsApp account
+ */
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import transportManager from './whatsapp/transportManager.js';
+import { TEMPLATE_STATUS_MAP } from './whatsapp/transports/cloudApiTransport.js';
+import { decryptCredentials } from '../utils/encryption.js';
+import { emitSystemNotification } from '../sockets/index.js';
+import logger from '../utils/logger.js';
+
+class WhatsAppWebhookService {
+  /**
+   * Load the account a webhook is addressed to, with decrypted credentials
+   * @param {string} accountId - WhatsApp account ID from the webhook URL
+   * @returns {Promise<Object|null>} Account with `credentials`, or null if unknown/inactive
+   */
+  async getWebhookAccount(accountId) {
+    const account = await prisma.whatsapp_accounts.findFirst({
+      where: { id: accountId, is_active: true, deleted_at: null },
+    });
+
+    if (!account) {
+      return null;
+    }
+
+    let credentials = {};
+    if (account.credentials_encrypted) {
+      try {
+        credentials = decryptCredentials(account.credentials_encrypted);
+      } catch (error) {
+        logger.error(`Failed to decrypt credentials for webhook account ${accountId}:`, error);
+      }
+    }
+
+    return { ...account, credentials };
+  }
+
+  /**
+   * Verify-token handshake (GET hub.mode=subscribe)
+   * @returns {string|null} Challenge to echo back, or null if verification failed
+   */
+  verifyHandshake(account, query) {
+    const mode = query['hub.mode'];
+    const token = query['hub.verify_token'];
+    const challenge = query['hub.challenge'];
+    const expected = account.credentials.verifyToken || account.webhook_secret;
+
+    if (mode !== 'subscribe' || !expected || !token || !safeEqual(token, expected)) {
+      return null;
+    }
+
+    return challenge;
+  }
+
+  /**
+   * Verify the X-Hub-Signature-256 header against the raw request body
+   * Meta signs with the app secret. The verify token (webhook_secret) is no
+   * substitute, as it is sent in clear in the handshake, so accounts without
+   * an app secret accept no webhook.
+   * @param {Object} account - Webhook account
+   * @param {Buffer|string} rawBody - Unparsed request body
+   * @param {string} signatureHeader - "sha256=<hex>"
+   * @returns {boolean}
+   */
+  verifySignature(account, rawBody, signatureHeader) {
+    const secret = account.credentials.appSecret;
+
+    if (!secret || !rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return safeEqual(signatureHeader.slice('sha256='.length), expected);
+  }
+
+  /**
+   * Process a verified webhook payload
+   * @param {Object} account - Webhook account
+   * @param {Object} payload - Parsed request body ({ object, entry: [{ changes: [...] }] })
+   * @returns {Promise<Object>} Processed counts
+   */
+  async processPayload(account, payload) {
+    const result = { messages: 0, statuses: 0, templates: 0 };
+
+    const transport =
+      transportManager.getTransport(account.id) || transportManager.createTransport(account);
+
+    if (typeof transport.handleWebhookValue !== 'function') {
+      logger.warn(`Webhook received for account ${account.id} whose transport has no webhooks`);
+      return result;
+    }
+
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field === 'messages') {
+          const counts = await transport.handleWebhookValue(change.value);
+          result.messages += counts.messages;
+          result.statuses += counts.statuses;
+        } else if (change.field === 'message_template_status_update') {
+          if (await this.updateTemplateStatus(account, change.value)) {
+            result.templates++;
+          }
+        } else {
+          logger.debug(`Ignoring webhook field ${change.field} for account ${account.id}`);
+        }
+      }
+    }
+
+    logger.info(`Processed webhook for account ${account.id}`, result);
+    return result;
+  }
+
+  /**
+   * Apply a template approval/rejection event
+   * The template is found by its Meta ID or name; events with neither are ignored.
+   * @returns {Promise<boolean>} Whether a template was updated
+   */
+  async updateTemplateStatus(account, value = {}) {
+    const status = TEMPLATE_STATUS_MAP[value.event];
+    if (!status) {
+      return false;
+    }
+
+    const metaTemplateId = value.message_template_id ? String(value.message_template_id) : null;
+    const name = value.message_template_name || null;
+
+    // A clause on an undefined value would match every template of the account
+    const clauses = [
+      ...(metaTemplateId ? [{ meta_template_id: metaTemplateId }] : []),
+      ...(name ? [{ name }] : []),
+    ];
+    if (clauses.length === 0) {
+      logger.warn(`Template status update without template ID or name on account ${account.id}`);
+      return false;
+    }
+
+    const template = await prisma.templates.findFirst({
+      where: {
+        account_id: account.id,
+        OR: clauses,
+      },
+    });
+
+    if (!template) {
+      logger.warn(`Template status update for unknown template on account ${account.id}`, {
+        name,
+        metaTemplateId,
+      });
+      return false;
+    }
+
+    await prisma.templates.update({
+      where: { id: template.id },
+      data: {
+        status,
+        meta_template_id: metaTemplateId || template.meta_template_id,
+        rejection_reason: status === 'rejected' ? value.reason || null : null,
+        updated_at: new Date(),
+      },
+    });
+
+    emitSystemNotification(account.user_id, {
+      type: 'template_status',
+      title: `Template ${template.name} ${status}`,
+      message: value.reason && value.reason !== 'NONE' ? value.reason : undefined,
+      templateId: template.id,
+      status,
+    });
+
+    return true;
+  }
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+export default new WhatsAppWebhookService();
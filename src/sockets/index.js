@@ -8,6 +8,7 @@
 import {
   getIO,
   emitToUser,
+  emitToTeam,
   emitToWhatsAppAccount,
   emitToCampaign,
   emitToContact,
@@ -16,7 +17,15 @@ import {
 import { logger } from '../utils/logger.js';
 
 // Re-export socket utilities
-export { getIO, emitToUser, emitToWhatsAppAccount, emitToCampaign, emitToContact, broadcastEvent };
+export {
+  getIO,
+  emitToUser,
+  emitToTeam,
+  emitToWhatsAppAccount,
+  emitToCampaign,
+  emitToContact,
+  broadcastEvent,
+};
 export const getSocketIO = getIO; // Alias for backward compatibility
 
 /**
@@ -144,6 +153,60 @@ export const emitMessageFailed = (userId, messageId, error) => {
   logger.debug(`Message failed event emitted: ${messageId}`);
 };
 
+/**
+ * Inbox Events
+ * Sent to the whole team so every agent's inbox stays in sync
+ */
+
+export const emitConversationUpdated = (teamId, conversation, change) => {
+  const payload = {
+    conversation,
+    change,
+    timestamp: new Date().toISOString(),
+  };
+
+  emitToTeam(teamId, 'conversation:updated', payload);
+  logger.debug(`Conversation updated event emitted: ${conversation.id} - ${change}`);
+};
+
+export const emitConversationMessage = (teamId, conversationId, message) => {
+  const payload = {
+    conversationId,
+    message,
+    timestamp: new Date().toISOString(),
+  };
+
+  emitToTeam(teamId, 'conversation:message', payload);
+  logger.debug(`Conversation message event emitted: ${conversationId}`);
+};
+
+export const emitConversationNote = (teamId, conversationId, note, change) => {
+  const payload = {
+    conversationId,
+    note,
+    change,
+    timestamp: new Date().toISOString(),
+  };
+
+  emitToTeam(teamId, 'conversation:note', payload);
+  logger.debug(`Conversation note event emitted: ${conversationId} - ${change}`);
+};
+
+/**
+ * Presence Events
+ * Sent to the whole team so supervisors see who is working
+ */
+
+export const emitPresenceUpdated = (teamId, presence) => {
+  const payload = {
+    presence,
+    timestamp: new Date().toISOString(),
+  };
+
+  emitToTeam(teamId, 'presence:updated', payload);
+  logger.debug(`Presence updated event emitted: ${presence.userId} - ${presence.presence}`);
+};
+
 /**
  * Campaign Events
  */
@@ -356,6 +419,14 @@ export default {
   emitMessageRead,
   emitMessageFailed,
 
+  // Inbox events
+  emitConversationUpdated,
+  emitConversationMessage,
+  emitConversationNote,
+
+  // Presence events
+  emitPresenceUpdated,
+
   // Campaign events
   emitCampaignStarted,
   emitCampaignProgress,
@@ -0,0 +1,134 @@
+/**
+ * A/B Test Statistics
+ * Significance and Bayesian comparison of variant conversion rates
+ */
+
+// Monte Carlo draws used to estimate the probability of each variant being best
+const DEFAULT_DRAWS = 10000;
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ * @param {number} x
+ * @returns {number}
+ */
+export function normalCdf(x) {
+  const t = 1 / (1 + (0.3275911 * Math.abs(x)) / Math.SQRT2);
+  const erf =
+    1 -
+    t *
+      (0.254829592 +
+        t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+      Math.exp(-(x * x) / 2);
+
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided two-proportion z-test
+ * @param {number} conversionsA - Successes of the first variant
+ * @param {number} trialsA - Trials of the first variant
+ * @param {number} conversionsB - Successes of the second variant
+ * @param {number} trialsB - Trials of the second variant
+ * @returns {Object} { z, pValue } (pValue is 1 when either variant has no trials)
+ */
+export function twoProportionZTest(conversionsA, trialsA, conversionsB, trialsB) {
+  if (trialsA === 0 || trialsB === 0) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const rateA = conversionsA / trialsA;
+  const rateB = conversionsB / trialsB;
+  const pooled = (conversionsA + conversionsB) / (trialsA + trialsB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+
+  if (standardError === 0) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const z = (rateA - rateB) / standardError;
+
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function sampleNormal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Gamma(shape, 1) sample for shape >= 1 (Marsaglia & Tsang)
+ */
+function sampleGamma(shape, random) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = random();
+
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+}
+
+/**
+ * Beta(alpha, beta) sample for alpha, beta >= 1
+ */
+function sampleBeta(alpha, beta, random) {
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return x / (x + y);
+}
+
+/**
+ * Probability of each variant having the highest conversion rate
+ * Each rate has a Beta(conversions + 1, failures + 1) posterior (uniform prior).
+ * @param {Array<Object>} variants - [{ conversions, trials }]
+ * @param {Object} options - { draws, random } (random defaults to Math.random)
+ * @returns {Array<number>} Probabilities in the order of the variants
+ */
+export function probabilityToBeBest(
+  variants,
+  { draws = DEFAULT_DRAWS, random = Math.random } = {}
+) {
+  const wins = new Array(variants.length).fill(0);
+
+  if (variants.length === 0) {
+    return wins;
+  }
+
+  for (let i = 0; i < draws; i++) {
+    let best = 0;
+    let bestSample = -1;
+
+    variants.forEach(({ conversions, trials }, index) => {
+      const sample = sampleBeta(conversions + 1, trials - conversions + 1, random);
+      if (sample > bestSample) {
+        best = index;
+        bestSample = sample;
+      }
+    });
+
+    wins[best]++;
+  }
+
+  return wins.map((count) => count / draws);
+}
+
+export default {
+  normalCdf,
+  twoProportionZTest,
+  probabilityToBeBest,
+};
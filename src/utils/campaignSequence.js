@@ -0,0 +1,56 @@
+/**
+ * Campaign Sequence Utilities
+ * Step timing and enrollment windows of sequence campaigns
+ */
+
+// Conditions that take a contact out of a sequence before its next step
+export const SEQUENCE_EXIT_CONDITIONS = [
+  'replied',
+  'clicked',
+  'purchased',
+  'tag_added',
+  'opted_out',
+];
+
+export const DELAY_UNITS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Delay of a step after enrollment, in milliseconds
+ * @param {Object} step - Sequence step ({ delay: { value, unit } })
+ * @returns {number}
+ */
+export function getStepDelay(step) {
+  const { value = 0, unit = 'days' } = step?.delay || {};
+  return value * (DELAY_UNITS[unit] || DELAY_UNITS.days);
+}
+
+/**
+ * When a step is due for a contact enrolled at a given time
+ * @param {Date} enrolledAt - Enrollment time
+ * @param {Object} step - Sequence step
+ * @returns {Date}
+ */
+export function getStepDueAt(enrolledAt, step) {
+  return new Date(new Date(enrolledAt).getTime() + getStepDelay(step));
+}
+
+/**
+ * Whether contacts who join the audience are still enrolled
+ * @param {Object} sequenceConfig - Campaign sequence_config
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isEnrollmentOpen(sequenceConfig, now = new Date()) {
+  if (!sequenceConfig?.enrollNewContacts) return false;
+  return !sequenceConfig.enrollUntil || new Date(sequenceConfig.enrollUntil) > now;
+}
+
+export default {
+  getStepDelay,
+  getStepDueAt,
+  isEnrollmentOpen,
+};
@@ -0,0 +1,206 @@
+/**
+ * Contact Matching Utilities
+ * Finding contacts that are the same person: same phone number, same email or
+ * a very similar name
+ */
+
+import { getPhoneDigits, normalizePhone } from './phone.js';
+
+// Names at least this similar (0-1) are taken to be the same person
+export const NAME_SIMILARITY_THRESHOLD = 0.93;
+
+// Confidence of a match by reason; name matches scale with their similarity
+const MATCH_CONFIDENCE = {
+  phone: 1,
+  email: 0.9,
+  name: 0.8,
+};
+
+/**
+ * Lowercased email without surrounding spaces
+ * @param {string} email
+ * @returns {string|null}
+ */
+export function normalizeEmail(email) {
+  const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  return normalized || null;
+}
+
+/**
+ * Full name in lowercase without accents, punctuation or repeated spaces
+ * @param {string} firstName
+ * @param {string} lastName
+ * @returns {string}
+ */
+export function normalizeName(firstName, lastName) {
+  return [firstName, lastName]
+    .filter(Boolean)
+    .join(' ')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Jaro-Winkler similarity of two strings (0-1)
+ */
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(i + range + 1, b.length);
+    for (let j = Math.max(0, i - range); j < end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro =
+    (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Similarity of two normalized names (0-1), word by word and in either word order
+ * The least similar word decides, so a shared last name alone is not a match.
+ * @param {string} a - From normalizeName
+ * @param {string} b - From normalizeName
+ * @returns {number}
+ */
+export function getNameSimilarity(a, b) {
+  const aWords = a.split(' ');
+  const bWords = b.split(' ');
+
+  if (aWords.length !== bWords.length) {
+    return jaroWinkler(a, b);
+  }
+
+  const byWord = (x, y) => Math.min(...x.map((word, i) => jaroWinkler(word, y[i])));
+  return Math.max(byWord(aWords, bWords), byWord([...aWords].sort(), [...bWords].sort()));
+}
+
+/**
+ * Group contacts that are likely the same person
+ * Contacts match on the same E.164 phone number, the same email or, with
+ * matchNames, a first and last name at least NAME_SIMILARITY_THRESHOLD alike.
+ * Matches chain: if A matches B and B matches C, all three are one group.
+ * @param {Array<Object>} contacts - { id, phone, email, first_name, last_name }
+ * @param {Object} options - { matchNames }
+ * @returns {Array<Object>} { contactIds, reasons, confidence }, most confident first
+ */
+export function findDuplicateGroups(contacts, { matchNames = true } = {}) {
+  const parent = new Map(contacts.map((contact) => [contact.id, contact.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const links = [];
+  const link = (a, b, reason, confidence) => {
+    links.push({ a, b, reason, confidence });
+    parent.set(find(a), find(b));
+  };
+
+  const linkBuckets = (keyOf, reason) => {
+    const buckets = new Map();
+    contacts.forEach((contact) => {
+      const key = keyOf(contact);
+      if (!key) return;
+      if (buckets.has(key)) {
+        link(buckets.get(key), contact.id, reason, MATCH_CONFIDENCE[reason]);
+      } else {
+        buckets.set(key, contact.id);
+      }
+    });
+  };
+
+  linkBuckets((contact) => normalizePhone(contact.phone) || getPhoneDigits(contact.phone), 'phone');
+  linkBuckets((contact) => normalizeEmail(contact.email), 'email');
+
+  if (matchNames) {
+    // Only names with the same initials are compared
+    const blocks = new Map();
+    contacts.forEach((contact) => {
+      if (!contact.first_name || !contact.last_name) return;
+      const name = normalizeName(contact.first_name, contact.last_name);
+      const words = name.split(' ');
+      if (words.length < 2) return;
+
+      const key = words
+        .map((word) => word[0])
+        .sort()
+        .join('');
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push({ id: contact.id, name });
+    });
+
+    blocks.forEach((block) => {
+      for (let i = 0; i < block.length; i++) {
+        for (let j = i + 1; j < block.length; j++) {
+          const similarity = getNameSimilarity(block[i].name, block[j].name);
+          if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+            link(block[i].id, block[j].id, 'name', MATCH_CONFIDENCE.name * similarity);
+          }
+        }
+      }
+    });
+  }
+
+  const groups = new Map();
+  contacts.forEach((contact) => {
+    const root = find(contact.id);
+    if (!groups.has(root)) groups.set(root, { contactIds: [], reasons: new Set(), confidence: 0 });
+    groups.get(root).contactIds.push(contact.id);
+  });
+
+  links.forEach(({ a, reason, confidence }) => {
+    const group = groups.get(find(a));
+    group.reasons.add(reason);
+    group.confidence = Math.max(group.confidence, confidence);
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.contactIds.length > 1)
+    .map((group) => ({
+      contactIds: group.contactIds,
+      reasons: [...group.reasons],
+      confidence: Math.round(group.confidence * 100) / 100,
+    }))
+    .sort((a, b) => b.confidence - a.confidence || b.contactIds.length - a.contactIds.length);
+}
+
+export default {
+  normalizeEmail,
+  normalizeName,
+  getNameSimilarity,
+  findDuplicateGroups,
+};
@@ -0,0 +1,222 @@
+/**
+ * Custom Field Utilities
+ * Checking contacts.custom_fields values against the team's custom field
+ * definitions, which give each key a type, whether it is required and a default
+ */
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'select', 'multi_select'];
+
+// Keys read as contact columns by imports and exports, which custom fields cannot use
+export const RESERVED_KEYS = [
+  'id',
+  'phone',
+  'name',
+  'first_name',
+  'last_name',
+  'email',
+  'company',
+  'address',
+  'city',
+  'state',
+  'country',
+  'notes',
+  'tags',
+  'title',
+  'source',
+];
+
+/**
+ * Segment rule operators each type of custom field supports
+ * has_key and key_equals are the operators of fields without a definition.
+ */
+export const CUSTOM_FIELD_OPERATORS = {
+  text: [
+    'equals',
+    'not_equals',
+    'contains',
+    'not_contains',
+    'starts_with',
+    'ends_with',
+    'is_empty',
+    'is_not_empty',
+  ],
+  number: [
+    'equals',
+    'not_equals',
+    'greater_than',
+    'greater_than_or_equal',
+    'less_than',
+    'less_than_or_equal',
+    'between',
+    'is_empty',
+    'is_not_empty',
+  ],
+  date: ['equals', 'not_equals', 'before', 'after', 'between', 'is_empty', 'is_not_empty'],
+  boolean: ['equals', 'not_equals', 'is_empty', 'is_not_empty'],
+  select: ['equals', 'not_equals', 'has_any', 'has_none', 'is_empty', 'is_not_empty'],
+  multi_select: ['has_any', 'has_all', 'has_none', 'is_empty', 'is_not_empty'],
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Whether a value leaves a custom field unset
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isEmptyValue(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Option of a select field matching a value, ignoring case
+ */
+function findOption(options, value) {
+  const text = String(value).trim().toLowerCase();
+  return (options || []).find((option) => option.toLowerCase() === text);
+}
+
+/**
+ * Date part (YYYY-MM-DD) of a date or ISO 8601 string
+ * @returns {string|null} null if the value is not a date
+ */
+function toDateString(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}(T.+)?$/.test(value.trim())) {
+    return null;
+  }
+
+  const date = new Date(value.trim());
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+
+  // "2025-02-30" parses as March 2nd
+  const dateString = date.toISOString().slice(0, 10);
+  return value.trim().length === 10 && dateString !== value.trim() ? null : dateString;
+}
+
+/**
+ * Convert a value to a custom field's type
+ * Imports give every value as a string, so numbers, dates and booleans are
+ * read from their text. Dates are stored as YYYY-MM-DD so they compare in order.
+ * @param {Object} definition - { label, type, options }
+ * @param {*} value - Value that is not empty (see isEmptyValue)
+ * @returns {Object} { value, error }
+ */
+export function coerceValue(definition, value) {
+  const { label, type, options } = definition;
+
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { value: null, error: `${label} must be a number` };
+      }
+      return { value: number, error: null };
+    }
+
+    case 'date': {
+      const date = toDateString(value);
+      if (!date) {
+        return { value: null, error: `${label} must be a date (YYYY-MM-DD)` };
+      }
+      return { value: date, error: null };
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value, error: null };
+
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true, error: null };
+      if (FALSE_VALUES.includes(text)) return { value: false, error: null };
+      return { value: null, error: `${label} must be true or false` };
+    }
+
+    case 'select': {
+      const option = typeof value === 'object' ? undefined : findOption(options, value);
+      if (!option) {
+        return { value: null, error: `${label} must be one of: ${options.join(', ')}` };
+      }
+      return { value: option, error: null };
+    }
+
+    case 'multi_select': {
+      const values = Array.isArray(value) ? value : String(value).split(',');
+      const selected = [];
+
+      for (const item of values.filter((item) => !isEmptyValue(item))) {
+        const option = typeof item === 'object' ? undefined : findOption(options, item);
+        if (!option) {
+          return { value: null, error: `${label} must be any of: ${options.join(', ')}` };
+        }
+        if (!selected.includes(option)) selected.push(option);
+      }
+
+      return { value: selected, error: null };
+    }
+
+    default: {
+      if (typeof value === 'object') {
+        return { value: null, error: `${label} must be text` };
+      }
+      return { value: String(value), error: null };
+    }
+  }
+}
+
+/**
+ * Check a contact's custom fields against the team's definitions
+ * Values are converted to their field's type and empty values are removed.
+ * Keys without a definition are kept as they are.
+ * @param {Array<Object>} definitions - { key, label, type, required, defaultValue, options }
+ * @param {Object} values - Custom fields of the contact
+ * @param {Object} [options] - { applyDefaults } - fill missing fields with their default (new contacts)
+ * @returns {Object} { values, errors }
+ */
+export function validateCustomFields(definitions, values, { applyDefaults = false } = {}) {
+  const result = { ...(values || {}) };
+  const errors = [];
+
+  for (const definition of definitions) {
+    const { key } = definition;
+
+    if (isEmptyValue(result[key])) {
+      delete result[key];
+
+      if (applyDefaults && !isEmptyValue(definition.defaultValue)) {
+        result[key] = definition.defaultValue;
+      } else if (definition.required) {
+        errors.push(`${definition.label} is required`);
+      }
+      continue;
+    }
+
+    const { value, error } = coerceValue(definition, result[key]);
+    if (error) {
+      errors.push(error);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return { values: result, errors };
+}
+
+export default {
+  CUSTOM_FIELD_TYPES,
+  RESERVED_KEYS,
+  CUSTOM_FIELD_OPERATORS,
+  isEmptyValue,
+  coerceValue,
+  validateCustomFields,
+};
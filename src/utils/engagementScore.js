@@ -0,0 +1,79 @@
+/**
+ * Engagement Score Utilities
+ * Scoring of a contact's recent activity with weights and recency decay
+ */
+
+// Activity that earns a contact engagement points
+export const ENGAGEMENT_SIGNALS = ['inboundMessage', 'read', 'reply', 'click', 'order'];
+
+export const MAX_ENGAGEMENT_SCORE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Share of its weight an activity still earns: it halves every half-life
+ * @param {Date} at - When the activity happened
+ * @param {Date} now - Current time
+ * @param {number} halfLifeDays - Decay half-life in days
+ * @returns {number} Factor between 0 and 1
+ */
+export function getDecayFactor(at, now, halfLifeDays) {
+  const ageDays = Math.max(0, (now.getTime() - new Date(at).getTime()) / DAY_MS);
+  return 0.5 ** (ageDays / halfLifeDays);
+}
+
+/**
+ * Replies among a contact's messages: inbound messages that answer an outbound one
+ * Several inbound messages in a row are one reply.
+ * @param {Array<Object>} messages - { conversation_id, senderType, created_at }, oldest first
+ * @returns {Array<Date>} When each reply was received
+ */
+export function findReplies(messages) {
+  // Conversations whose latest message was sent to the contact
+  const awaiting = new Set();
+  const replies = [];
+
+  messages.forEach((message) => {
+    if (message.senderType !== 'contact') {
+      awaiting.add(message.conversation_id);
+    } else if (awaiting.delete(message.conversation_id)) {
+      replies.push(message.created_at);
+    }
+  });
+
+  return replies;
+}
+
+/**
+ * Score a contact's activity
+ * Each activity earns its signal's weight, decayed by its age; the total is
+ * rounded and capped at MAX_ENGAGEMENT_SCORE.
+ * @param {Object} activity - Signal -> Array of activity times
+ * @param {Object} settings - { weights, decayHalfLifeDays }
+ * @param {Date} now - Current time
+ * @returns {{ score: number, components: Object }} Score and each signal's count and points
+ */
+export function calculateEngagementScore(activity, settings, now = new Date()) {
+  const components = {};
+  let total = 0;
+
+  ENGAGEMENT_SIGNALS.forEach((signal) => {
+    const moments = activity[signal] || [];
+    const weight = settings.weights[signal] || 0;
+    const points = moments.reduce(
+      (sum, at) => sum + weight * getDecayFactor(at, now, settings.decayHalfLifeDays),
+      0
+    );
+
+    components[signal] = { count: moments.length, points: Math.round(points * 100) / 100 };
+    total += points;
+  });
+
+  return { score: Math.min(MAX_ENGAGEMENT_SCORE, Math.round(total)), components };
+}
+
+export default {
+  getDecayFactor,
+  findReplies,
+  calculateEngagementScore,
+};
@@ -123,6 +123,16 @@ export class WhatsAppMessageLimitError extends ApiError {
   }
 }
 
+/**
+ * Message content that is not a valid personalization template (400)
+ */
+export class TemplateSyntaxError extends ApiError {
+  constructor(message = 'Invalid template', line = null) {
+    super(message, 400, 'TEMPLATE_SYNTAX_ERROR');
+    this.line = line;
+  }
+}
+
 /**
  * Check if error is an ApiError
  */
@@ -159,6 +169,7 @@ export default {
   WhatsAppNotConnectedError,
   WhatsAppQRExpiredError,
   WhatsAppMessageLimitError,
+  TemplateSyntaxError,
   isApiError,
   handleError,
 };
@@ -8,6 +8,7 @@ import fs from 'fs';
 import csv from 'csv-parser';
 import xlsx from 'xlsx';
 import { Readable } from 'stream';
+import { parsePhone } from './phone.js';
 
 /**
  * Parse CSV file from buffer
@@ -47,21 +48,19 @@ export const parseExcel = (buffer) => {
 /**
  * Validate contact data
  * @param {Object} contact - Contact data
- * @returns {Object} - Validation result
+ * @param {Object} [options] - { defaultCountry } - country of numbers without a country code
+ * @returns {Object} - Validation result, with the phone number in E.164
  */
-export const validateContactData = (contact) => {
+export const validateContactData = (contact, { defaultCountry = null } = {}) => {
   const errors = [];
   const warnings = [];
 
-  // Required field: phone
-  if (!contact.phone || contact.phone.trim() === '') {
-    errors.push('Phone number is required');
-  } else {
-    // Basic phone validation (remove spaces, check if it's numeric)
-    const cleanPhone = contact.phone.replace(/\s+/g, '');
-    if (!/^\+?[0-9]{10,15}$/.test(cleanPhone)) {
-      warnings.push('Phone number format may be invalid');
-    }
+  // Required field: phone, parsed into E.164
+  const parsedPhone = parsePhone(contact.phone, defaultCountry);
+  if (parsedPhone.error) {
+    errors.push(parsedPhone.error);
+  } else if (parsedPhone.warning) {
+    warnings.push(parsedPhone.warning);
   }
 
   // Required field: name
@@ -81,6 +80,7 @@ export const validateContactData = (contact) => {
     isValid: errors.length === 0,
     errors,
     warnings,
+    phone: parsedPhone.phone,
   };
 };
 
@@ -166,35 +166,41 @@ export const normalizeContactData = (contact) => {
   return normalized;
 };
 
+/**
+ * Contact export columns and their labels, in the order they are written
+ * Columns of the team's custom fields can be exported as well (see contactService.getExportColumns).
+ */
+export const CONTACT_CSV_COLUMNS = {
+  phone: 'Phone',
+  name: 'Name',
+  email: 'Email',
+  company: 'Company',
+  jobTitle: 'Job Title',
+  address: 'Address',
+  city: 'City',
+  state: 'State',
+  country: 'Country',
+  postalCode: 'Postal Code',
+  tags: 'Tags',
+  source: 'Source',
+  lastMessageAt: 'Last Message At',
+  totalMessages: 'Total Messages',
+  createdAt: 'Created At',
+};
+
+export const CONTACT_CSV_HEADERS = Object.keys(CONTACT_CSV_COLUMNS);
+
 /**
  * Generate CSV from contacts
  * @param {Array} contacts - Array of contact objects
+ * @param {Array} [headers] - Columns to write, defaults to the contact export columns
  * @returns {String} - CSV string
  */
-export const generateCSV = (contacts) => {
+export const generateCSV = (contacts, headers = CONTACT_CSV_HEADERS) => {
   if (!contacts || contacts.length === 0) {
     return '';
   }
 
-  // Define headers
-  const headers = [
-    'phone',
-    'name',
-    'email',
-    'company',
-    'jobTitle',
-    'address',
-    'city',
-    'state',
-    'country',
-    'postalCode',
-    'tags',
-    'source',
-    'lastMessageAt',
-    'totalMessages',
-    'createdAt',
-  ];
-
   // Create CSV rows
   const rows = contacts.map((contact) => {
     return headers
@@ -1,4 +1,5 @@
 import { logger } from './logger.js';
+import { parseTemplate } from './personalization.js';
 
 /**
  * Flow Validator Utility
@@ -159,6 +160,14 @@ function validateNodeConfig(node) {
     case NODE_TYPES.SEND_MESSAGE:
       if (!node.config || !node.config.message) {
         errors.push(`Send message node ${node.id} must have a message in config`);
+      } else if (typeof node.config.message === 'string') {
+        try {
+          parseTemplate(node.config.message);
+        } catch (error) {
+          errors.push(
+            `Send message node ${node.id} message is not a valid template (line ${error.line}): ${error.message}`
+          );
+        }
       }
       if (
         node.config &&
@@ -167,6 +176,14 @@ function validateNodeConfig(node) {
       ) {
         errors.push(`Send message node ${node.id} has invalid messageType`);
       }
+      // Nodes without a purpose send marketing; transactional is opt-in (OTPs, order updates)
+      if (
+        node.config &&
+        node.config.purpose !== undefined &&
+        !['marketing', 'transactional'].includes(node.config.purpose)
+      ) {
+        errors.push(`Send message node ${node.id} purpose must be marketing or transactional`);
+      }
       break;
 
     case NODE_TYPES.CONDITION:
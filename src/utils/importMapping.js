@@ -0,0 +1,229 @@
+/**
+ * Import Mapping Utilities
+ * Mapping the columns of an imported file to contact fields. A mapping is an
+ * object of column header -> field, where field is one of IMPORT_FIELDS,
+ * "custom_fields.<key>" or null to ignore the column.
+ */
+
+import { RESERVED_KEYS } from './customFields.js';
+
+const CUSTOM_FIELD_PREFIX = 'custom_fields.';
+
+// Contact fields columns can be mapped to, and their labels
+export const IMPORT_FIELDS = {
+  phone: 'Phone',
+  name: 'Full Name',
+  first_name: 'First Name',
+  last_name: 'Last Name',
+  email: 'Email',
+  company: 'Company',
+  city: 'City',
+  country: 'Country',
+  notes: 'Notes',
+  tags: 'Tags',
+};
+
+// Headers (lowercase letters and digits only) each field is suggested for
+const FIELD_SYNONYMS = {
+  phone: [
+    'phone',
+    'phonenumber',
+    'phoneno',
+    'mobile',
+    'mobileno',
+    'mobilenumber',
+    'mobilephone',
+    'cell',
+    'cellphone',
+    'whatsapp',
+    'whatsappnumber',
+    'tel',
+    'telephone',
+    'telefono',
+    'telefone',
+    'numero',
+    'portable',
+  ],
+  name: ['name', 'fullname', 'contactname', 'nom', 'nomcomplet', 'nombre', 'nome'],
+  first_name: ['firstname', 'givenname', 'forename', 'prenom'],
+  last_name: ['lastname', 'surname', 'familyname', 'apellido', 'sobrenome'],
+  email: ['email', 'emailaddress', 'mail', 'courriel', 'correo', 'correoelectronico'],
+  company: [
+    'company',
+    'companyname',
+    'organization',
+    'organisation',
+    'business',
+    'entreprise',
+    'empresa',
+  ],
+  city: ['city', 'town', 'ville', 'ciudad', 'cidade'],
+  country: ['country', 'countrycode', 'pays', 'pais'],
+  notes: ['notes', 'note', 'comments', 'comment', 'remarks'],
+  tags: ['tags', 'tag', 'labels', 'label', 'groups', 'segments'],
+};
+
+/**
+ * Header reduced to lowercase letters and digits ("Mobile No." -> "mobileno")
+ */
+function simplifyHeader(header) {
+  return String(header)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Whether a mapping target is a contact field or a custom field key
+ * @param {string} field
+ * @returns {boolean}
+ */
+export function isImportField(field) {
+  if (field in IMPORT_FIELDS) return true;
+
+  const key = field.startsWith(CUSTOM_FIELD_PREFIX) && field.slice(CUSTOM_FIELD_PREFIX.length);
+  return Boolean(key) && /^[a-z][a-z0-9_]{0,49}$/.test(key) && !RESERVED_KEYS.includes(key);
+}
+
+/**
+ * Column headers of parsed rows, in file order
+ * Excel rows leave out empty cells, so headers are collected over all rows.
+ * @param {Array<Object>} rows - Parsed rows
+ * @returns {Array<string>}
+ */
+export function getFileHeaders(rows) {
+  const headers = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((header) => headers.add(header)));
+  return [...headers];
+}
+
+/**
+ * Suggest the field of each column from its header
+ * Headers matching a custom field's key or label are mapped to it; columns
+ * that match nothing, or a field an earlier column took, are ignored.
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Object>} definitions - Team's custom field definitions ({ key, label })
+ * @returns {Object} header -> field or null
+ */
+export function suggestColumnMapping(headers, definitions = []) {
+  const taken = new Set();
+  const mapping = {};
+
+  for (const header of headers) {
+    const simplified = simplifyHeader(header);
+    const definition = definitions.find(
+      (item) => simplifyHeader(item.key) === simplified || simplifyHeader(item.label) === simplified
+    );
+    const field = definition
+      ? `${CUSTOM_FIELD_PREFIX}${definition.key}`
+      : Object.keys(FIELD_SYNONYMS).find((name) => FIELD_SYNONYMS[name].includes(simplified));
+
+    if (field && (field === 'tags' || !taken.has(field))) {
+      mapping[header] = field;
+      taken.add(field);
+    } else {
+      mapping[header] = null;
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Check a column mapping against the file's headers
+ * Phone and a name (full name or first name) must be mapped; other fields but
+ * tags can be mapped from one column only.
+ * @param {Object} mapping - header -> field or null
+ * @param {Array<string>} headers - Column headers of the file
+ * @returns {Array<string>} Errors, empty if the mapping is valid
+ */
+export function validateColumnMapping(mapping, headers) {
+  const errors = [];
+  const mapped = new Map();
+
+  Object.entries(mapping || {}).forEach(([header, field]) => {
+    if (!headers.includes(header)) {
+      errors.push(`Column "${header}" is not in the file`);
+    } else if (field && !isImportField(field)) {
+      errors.push(`Column "${header}" is mapped to unknown field ${field}`);
+    } else if (field) {
+      mapped.set(field, [...(mapped.get(field) || []), header]);
+    }
+  });
+
+  mapped.forEach((columns, field) => {
+    if (field !== 'tags' && columns.length > 1) {
+      errors.push(`${IMPORT_FIELDS[field] || field} is mapped from more than one column`);
+    }
+  });
+
+  if (!mapped.has('phone')) {
+    errors.push('Phone must be mapped to a column');
+  }
+  if (!mapped.has('name') && !mapped.has('first_name')) {
+    errors.push('Full name or first name must be mapped to a column');
+  }
+
+  return errors;
+}
+
+/**
+ * Text of a cell, trimmed
+ */
+function cellText(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Read a row through a column mapping
+ * Returns the shape of normalizeContactData so rows are validated and saved
+ * the same way, with the first and last names when they have their own
+ * columns. Tag columns hold comma-separated tags. The name is the full name
+ * column, else the first and last names.
+ * @param {Object} row - Parsed row
+ * @param {Object} mapping - header -> field or null
+ * @returns {Object} { phone, name, firstName, lastName, email, company, city, country, notes, tags, customFields }
+ */
+export function applyColumnMapping(row, mapping) {
+  const contact = { tags: [], customFields: {} };
+  const fields = {};
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    if (!field) return;
+
+    if (field === 'tags') {
+      cellText(row[header])
+        .split(',')
+        .map((tag) => tag.trim())
+        .filter((tag) => tag && !contact.tags.includes(tag))
+        .forEach((tag) => contact.tags.push(tag));
+    } else if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+      const value = typeof row[header] === 'string' ? row[header].trim() : row[header];
+      if (value !== undefined && value !== null && value !== '') {
+        contact.customFields[field.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+      }
+    } else {
+      fields[field] = cellText(row[header]);
+    }
+  });
+
+  contact.phone = (fields.phone || '').replace(/\s+/g, '');
+  contact.firstName = fields.first_name || '';
+  contact.lastName = fields.last_name || '';
+  contact.name = fields.name || [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+  ['email', 'company', 'city', 'country', 'notes'].forEach((field) => {
+    contact[field] = fields[field] || '';
+  });
+
+  return contact;
+}
+
+export default {
+  IMPORT_FIELDS,
+  isImportField,
+  getFileHeaders,
+  suggestColumnMapping,
+  validateColumnMapping,
+  applyColumnMapping,
+};
@@ -0,0 +1,98 @@
+/**
+ * Message Rendering
+ * {{variable}} substitution and personalization of campaign messages
+ */
+
+import { renderTemplate as renderPersonalized } from './personalization.js';
+
+/**
+ * Template variable rendering system
+ * Replaces {{variable}} placeholders with actual values
+ */
+export function renderTemplate(template, variables) {
+  if (!template) return template;
+
+  let rendered = template;
+
+  // Replace all {{variable}} patterns
+  Object.entries(variables).forEach(([key, value]) => {
+    const regex = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
+    rendered = rendered.replace(regex, value || '');
+  });
+
+  // Remove any remaining unreplaced variables
+  rendered = rendered.replace(/{{[^}]+}}/g, '');
+
+  return rendered;
+}
+
+/**
+ * Content a recipient gets: the campaign's, that of its A/B test variant, or
+ * that of its step of a sequence
+ * @param {Object} campaign - Campaign row
+ * @param {string|null} variantId - Variant of the recipient
+ * @param {number} step - Sequence step of the message
+ * @returns {Object} { messageContent, messageType, templateId, templateVariables }
+ */
+export function getMessageContent(campaign, variantId, step = 0) {
+  const source =
+    campaign.is_ab_test && variantId
+      ? campaign.ab_test_config?.variants?.find((v) => v.id === variantId)
+      : campaign.is_sequence
+        ? campaign.sequence_config?.steps?.[step]
+        : null;
+
+  if (source) {
+    return {
+      messageContent: source.messageContent,
+      messageType: source.messageType,
+      templateId: source.templateId || null,
+      templateVariables: source.templateVariables || {},
+    };
+  }
+
+  return {
+    messageContent: campaign.message_content,
+    messageType: campaign.messageType,
+    templateId: campaign.template_id,
+    templateVariables: campaign.template_variables,
+  };
+}
+
+/**
+ * Render message content for a recipient
+ * Content and template placeholder values are personalization templates
+ * ({{first_name | "there"}}, {{#if ...}}); see src/utils/personalization.js.
+ * @param {Object} content - From getMessageContent
+ * @param {Object} context - From personalizationService.buildContext
+ * @param {Object} options - { locale, timezone, currency }
+ * @returns {Object} { type, content, templateId, templateVariables }
+ * @throws {TemplateSyntaxError}
+ */
+export function renderMessage(content, context, options = {}) {
+  const renderedTemplateVariables = Object.fromEntries(
+    Object.entries(content.templateVariables || {}).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? renderPersonalized(value, context, options) : value,
+    ])
+  );
+  // Jobs carry the plain values only, not the contact, cart or order objects
+  const plainVariables = Object.fromEntries(
+    Object.entries(context).filter(([, value]) => value === null || typeof value !== 'object')
+  );
+
+  return {
+    type: content.messageType || 'text',
+    content: content.messageContent
+      ? renderPersonalized(content.messageContent, context, options)
+      : content.messageContent,
+    templateId: content.templateId,
+    templateVariables: { ...plainVariables, ...renderedTemplateVariables },
+  };
+}
+
+export default {
+  renderTemplate,
+  getMessageContent,
+  renderMessage,
+};
@@ -0,0 +1,731 @@
+/**
+ * Personalization Template Language
+ *
+ * Safe templating for message content. Templates only read values from the
+ * context they are rendered with; there is no code execution.
+ *
+ *   {{first_name}}                         Variable (dotted paths: {{cart.total}})
+ *   {{first_name | "there"}}               Default when the value is empty
+ *   {{order.total | currency}}             Filters, with arguments: {{created_at | date: "long"}}
+ *   {{#if cart.total > 100}}...{{else if vip}}...{{else}}...{{/if}}
+ *   {{#each cart.items as item}}{{loop.number}}. {{item.name}}{{else}}No items{{/each}}
+ *   {{! comment }}
+ *
+ * Conditions compare with == != > >= < <= and contains, and combine with and,
+ * or and not.
+ */
+
+import { TemplateSyntaxError } from './errors.js';
+
+// Items rendered by a single {{#each}} at most
+export const MAX_LOOP_ITERATIONS = 100;
+
+// Blocks nested inside each other at most
+const MAX_DEPTH = 10;
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+const KEYWORDS = ['and', 'or', 'not', 'contains', 'true', 'false', 'null'];
+
+const COMPARISON_OPERATORS = ['==', '!=', '>', '>=', '<', '<=', 'contains'];
+
+/**
+ * Filters: name -> (value, args, options) => value
+ */
+const FILTERS = {
+  default: (value, [fallback]) => (isEmpty(value) ? fallback : value),
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  trim: (value) => toText(value).trim(),
+  truncate: (value, [length = 50]) => {
+    const text = toText(value);
+    return text.length > length ? `${text.slice(0, Math.max(0, length - 1))}…` : text;
+  },
+  number: (value, [decimals], options) => {
+    const number = toNumber(value);
+    if (Number.isNaN(number)) return value;
+    return format(
+      () =>
+        new Intl.NumberFormat(options.locale, {
+          ...(decimals !== undefined && {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals,
+          }),
+        }).format(number),
+      value
+    );
+  },
+  currency: (value, [currency], options) => {
+    const number = toNumber(value);
+    if (Number.isNaN(number)) return value;
+    return format(
+      () =>
+        new Intl.NumberFormat(options.locale, {
+          style: 'currency',
+          currency: currency || options.currency || 'USD',
+        }).format(number),
+      value
+    );
+  },
+  date: (value, [style = 'medium'], options) =>
+    formatDate(value, { dateStyle: DATE_STYLES.includes(style) ? style : 'medium' }, options),
+  time: (value, [style = 'short'], options) =>
+    formatDate(value, { timeStyle: DATE_STYLES.includes(style) ? style : 'short' }, options),
+  datetime: (value, [style = 'medium'], options) =>
+    formatDate(
+      value,
+      { dateStyle: DATE_STYLES.includes(style) ? style : 'medium', timeStyle: 'short' },
+      options
+    ),
+};
+
+export const FILTER_NAMES = Object.keys(FILTERS);
+
+/**
+ * Whether a value counts as missing for defaults and conditions
+ */
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === '' ||
+    value === false ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Number of a value; numeric strings and Prisma decimals are converted
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined || value === '' || typeof value === 'boolean') {
+    return NaN;
+  }
+  return Number(String(value));
+}
+
+/**
+ * Text of a value as it is written into a message
+ * Missing values and objects render as an empty string.
+ */
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) {
+    return value
+      .filter((item) => item !== null && typeof item !== 'object')
+      .map(String)
+      .join(', ');
+  }
+  if (typeof value === 'object') {
+    return typeof value.toFixed === 'function' ? String(value) : '';
+  }
+  return String(value);
+}
+
+/**
+ * Run a locale formatter, falling back to the raw value on an unknown locale or currency
+ */
+function format(formatter, value) {
+  try {
+    return formatter();
+  } catch {
+    return toText(value);
+  }
+}
+
+function formatDate(value, style, options) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isEmpty(value) || Number.isNaN(date.getTime())) return value;
+
+  return format(
+    () =>
+      new Intl.DateTimeFormat(options.locale, { ...style, timeZone: options.timezone }).format(
+        date
+      ),
+    value
+  );
+}
+
+/**
+ * Split an expression into tokens
+ * @returns {Array<Object>} [{ type: 'string'|'number'|'word'|'op', value }]
+ */
+function tokenizeExpression(source, line) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        throw new TemplateSyntaxError(`Unterminated string in "${source.trim()}"`, line);
+      }
+      tokens.push({ type: 'string', value });
+      i = j + 1;
+    } else if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^-?\d+(\.\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_][\w-]*(\.[\w-]+)*/);
+      tokens.push({ type: 'word', value: match[0] });
+      i += match[0].length;
+    } else {
+      const op = ['==', '!=', '>=', '<='].find((candidate) => source.startsWith(candidate, i));
+      if (op) {
+        tokens.push({ type: 'op', value: op });
+        i += 2;
+      } else if ('><|:,'.includes(char)) {
+        tokens.push({ type: 'op', value: char });
+        i++;
+      } else {
+        throw new TemplateSyntaxError(`Unexpected "${char}" in "${source.trim()}"`, line);
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser over the tokens of one expression
+ */
+class ExpressionParser {
+  constructor(source, line) {
+    this.source = source.trim();
+    this.line = line;
+    this.tokens = tokenizeExpression(source, line);
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isAt(type, value) {
+    const token = this.peek();
+    return Boolean(token) && token.type === type && (value === undefined || token.value === value);
+  }
+
+  error(message) {
+    return new TemplateSyntaxError(`${message} in "${this.source}"`, this.line);
+  }
+
+  expectEnd() {
+    if (this.peek()) {
+      throw this.error(`Unexpected "${this.peek().value}"`);
+    }
+  }
+
+  // operand := string | number | true | false | null | path
+  parseOperand() {
+    const token = this.next();
+
+    if (!token) throw this.error('Missing value');
+    if (token.type === 'string' || token.type === 'number') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'word') {
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true' };
+      }
+      if (token.value === 'null') return { type: 'literal', value: null };
+      if (!KEYWORDS.includes(token.value)) {
+        return { type: 'path', path: token.value };
+      }
+    }
+
+    throw this.error(`Unexpected "${token.value}"`);
+  }
+
+  // output := operand ('|' (string | filter (':' operand (',' operand)*)?))*
+  parseOutput() {
+    const value = this.parseOperand();
+    const filters = [];
+
+    while (this.isAt('op', '|')) {
+      this.next();
+
+      if (this.isAt('string') || this.isAt('number')) {
+        filters.push({ name: 'default', args: [{ type: 'literal', value: this.next().value }] });
+        continue;
+      }
+
+      const name = this.next();
+      if (!name || name.type !== 'word') throw this.error('Missing filter name');
+      if (!FILTERS[name.value]) throw this.error(`Unknown filter "${name.value}"`);
+
+      const args = [];
+      if (this.isAt('op', ':')) {
+        this.next();
+        args.push(this.parseOperand());
+        while (this.isAt('op', ',')) {
+          this.next();
+          args.push(this.parseOperand());
+        }
+      }
+
+      filters.push({ name: name.value, args });
+    }
+
+    this.expectEnd();
+    return { value, filters };
+  }
+
+  // condition := and ('or' and)*
+  parseCondition() {
+    let left = this.parseAnd();
+    while (this.isAt('word', 'or')) {
+      this.next();
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isAt('word', 'and')) {
+      this.next();
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isAt('word', 'not')) {
+      this.next();
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseOperand();
+    const token = this.peek();
+
+    if (token && COMPARISON_OPERATORS.includes(token.value) && token.type !== 'string') {
+      this.next();
+      return { type: 'compare', operator: token.value, left, right: this.parseOperand() };
+    }
+
+    return { type: 'truthy', operand: left };
+  }
+}
+
+/**
+ * Parse a template into a tree of nodes
+ * @param {string} source - Template text
+ * @returns {Array<Object>} Nodes
+ * @throws {TemplateSyntaxError}
+ */
+export function parseTemplate(source) {
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  const text = source || '';
+  const tagRegex = /{{([\s\S]*?)}}/g;
+  let lastIndex = 0;
+  let match;
+
+  const lineAt = (index) => text.slice(0, index).split('\n').length;
+  const current = () => stack[stack.length - 1];
+  // Nodes are appended to the open branch of the innermost block
+  const target = () => {
+    const block = current();
+    if (block.type === 'if') return block.branches[block.branches.length - 1].body;
+    if (block.type === 'each') return block.inElse ? block.elseBody : block.body;
+    return block.body;
+  };
+
+  while ((match = tagRegex.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      target().push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = tagRegex.lastIndex;
+
+    const line = lineAt(match.index);
+    const tag = match[1].trim();
+    const block = current();
+
+    if (tag.startsWith('!')) {
+      continue;
+    }
+
+    if (tag === '') {
+      throw new TemplateSyntaxError('Empty {{ }}', line);
+    }
+
+    if (/^#if\s/.test(tag)) {
+      const parser = new ExpressionParser(tag.slice(3), line);
+      const condition = parser.parseCondition();
+      parser.expectEnd();
+      const node = { type: 'if', branches: [{ condition, body: [] }], line };
+      target().push(node);
+      stack.push(node);
+    } else if (/^else\s+if\s/.test(tag)) {
+      if (block.type !== 'if' || block.branches.some((branch) => !branch.condition)) {
+        throw new TemplateSyntaxError('{{else if}} outside of {{#if}}', line);
+      }
+      const parser = new ExpressionParser(tag.replace(/^else\s+if/, ''), line);
+      const condition = parser.parseCondition();
+      parser.expectEnd();
+      block.branches.push({ condition, body: [] });
+    } else if (tag === 'else') {
+      if (block.type === 'if' && block.branches.every((branch) => branch.condition)) {
+        block.branches.push({ condition: null, body: [] });
+      } else if (block.type === 'each' && !block.inElse) {
+        block.inElse = true;
+      } else {
+        throw new TemplateSyntaxError('{{else}} outside of {{#if}} or {{#each}}', line);
+      }
+    } else if (/^#each\s/.test(tag)) {
+      const eachMatch = tag.match(/^#each\s+([A-Za-z_][\w-]*(?:\.[\w-]+)*)\s+as\s+([A-Za-z_]\w*)$/);
+      if (!eachMatch) {
+        throw new TemplateSyntaxError(`Expected {{#each list as item}}, found "{{${tag}}}"`, line);
+      }
+      if (KEYWORDS.includes(eachMatch[2]) || eachMatch[2] === 'loop') {
+        throw new TemplateSyntaxError(`"${eachMatch[2]}" cannot name a loop item`, line);
+      }
+      const node = {
+        type: 'each',
+        path: eachMatch[1],
+        alias: eachMatch[2],
+        body: [],
+        elseBody: [],
+        line,
+      };
+      target().push(node);
+      stack.push(node);
+    } else if (tag === '/if' || tag === '/each') {
+      if (block.type !== tag.slice(1)) {
+        throw new TemplateSyntaxError(`Unexpected {{${tag}}}`, line);
+      }
+      delete block.inElse;
+      stack.pop();
+    } else if (/^[#/]/.test(tag) || /^else\b/.test(tag)) {
+      throw new TemplateSyntaxError(`Unknown block "{{${tag}}}"`, line);
+    } else {
+      const parser = new ExpressionParser(tag, line);
+      target().push({ type: 'output', ...parser.parseOutput(), line });
+    }
+
+    if (stack.length > MAX_DEPTH + 1) {
+      throw new TemplateSyntaxError(`Blocks nest more than ${MAX_DEPTH} deep`, line);
+    }
+  }
+
+  if (stack.length > 1) {
+    const block = current();
+    throw new TemplateSyntaxError(`{{#${block.type}}} is never closed`, block.line);
+  }
+
+  if (lastIndex < text.length) {
+    root.body.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  return root.body;
+}
+
+/**
+ * Value at a dotted path; only own properties are read
+ */
+function lookup(scopes, path) {
+  const [first, ...rest] = path.split('.');
+  const scope = scopes.find((candidate) => Object.hasOwn(candidate, first));
+  if (!scope) return undefined;
+
+  return rest.reduce((value, key) => {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+      return undefined;
+    }
+    return value[key];
+  }, scope[first]);
+}
+
+function evaluateOperand(operand, scopes) {
+  return operand.type === 'literal' ? operand.value : lookup(scopes, operand.path);
+}
+
+function compare(operator, left, right) {
+  if (operator === 'contains') {
+    if (Array.isArray(left)) return left.some((item) => String(item) === String(right));
+    return toText(left).toLowerCase().includes(toText(right).toLowerCase());
+  }
+
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  const numeric = !Number.isNaN(leftNumber) && !Number.isNaN(rightNumber);
+  const a = numeric ? leftNumber : toText(left);
+  const b = numeric ? rightNumber : toText(right);
+
+  switch (operator) {
+    case '==':
+      return a === b;
+    case '!=':
+      return a !== b;
+    case '>':
+      return a > b;
+    case '>=':
+      return a >= b;
+    case '<':
+      return a < b;
+    default:
+      return a <= b;
+  }
+}
+
+function evaluateCondition(condition, scopes) {
+  switch (condition.type) {
+    case 'or':
+      return (
+        evaluateCondition(condition.left, scopes) || evaluateCondition(condition.right, scopes)
+      );
+    case 'and':
+      return (
+        evaluateCondition(condition.left, scopes) && evaluateCondition(condition.right, scopes)
+      );
+    case 'not':
+      return !evaluateCondition(condition.operand, scopes);
+    case 'compare':
+      return compare(
+        condition.operator,
+        evaluateOperand(condition.left, scopes),
+        evaluateOperand(condition.right, scopes)
+      );
+    default: {
+      const value = evaluateOperand(condition.operand, scopes);
+      return !isEmpty(value) && value !== 0 && value !== '0';
+    }
+  }
+}
+
+function renderNodes(nodes, scopes, options) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+
+      case 'output': {
+        let value = evaluateOperand(node.value, scopes);
+        for (const filter of node.filters) {
+          const args = filter.args.map((arg) => evaluateOperand(arg, scopes));
+          value = FILTERS[filter.name](value, args, options);
+        }
+        output += toText(value);
+        break;
+      }
+
+      case 'if': {
+        const branch = node.branches.find(
+          (candidate) => !candidate.condition || evaluateCondition(candidate.condition, scopes)
+        );
+        if (branch) output += renderNodes(branch.body, scopes, options);
+        break;
+      }
+
+      case 'each': {
+        const list = lookup(scopes, node.path);
+        const items = Array.isArray(list) ? list.slice(0, MAX_LOOP_ITERATIONS) : [];
+
+        if (items.length === 0) {
+          output += renderNodes(node.elseBody, scopes, options);
+          break;
+        }
+
+        items.forEach((item, index) => {
+          const loop = {
+            index,
+            number: index + 1,
+            first: index === 0,
+            last: index === items.length - 1,
+          };
+          output += renderNodes(node.body, [{ [node.alias]: item, loop }, ...scopes], options);
+        });
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template
+ * Missing variables render as an empty string.
+ * @param {string|Array<Object>} template - Template text, or nodes from parseTemplate
+ * @param {Object} context - Variables
+ * @param {Object} options - { locale, timezone, currency } used by the formatting filters
+ * @returns {string}
+ * @throws {TemplateSyntaxError}
+ */
+export function renderTemplate(template, context = {}, options = {}) {
+  if (!template) return template;
+
+  const nodes = Array.isArray(template) ? template : parseTemplate(template);
+  return renderNodes(nodes, [context || {}], {
+    locale: options.locale || 'en-US',
+    timezone: options.timezone || 'UTC',
+    currency: options.currency,
+  });
+}
+
+/**
+ * Whether a path is known to a schema
+ * A schema maps keys to true (known value), '*' (anything below is known) or a
+ * nested schema; `$item` describes the items of a list.
+ */
+function isKnownPath(schema, path) {
+  let node = schema;
+
+  for (const key of path.split('.')) {
+    if (node === '*') return true;
+    if (!node || typeof node !== 'object') return false;
+    // Lists have a length
+    if (key === 'length' && node.$item) return true;
+    if (key === '$item' || !Object.hasOwn(node, key)) return false;
+    node = node[key];
+  }
+
+  return true;
+}
+
+function getSchemaAt(schema, path) {
+  return path.split('.').reduce((node, key) => {
+    if (node === '*') return '*';
+    return node && typeof node === 'object' && Object.hasOwn(node, key) ? node[key] : null;
+  }, schema);
+}
+
+/**
+ * Check a template's syntax and the variables it uses
+ * @param {string} source - Template text
+ * @param {Object|null} schema - Known variables (see isKnownPath); null skips the check
+ * @returns {Object} { valid, errors: [{ message, line }], variables, unknownVariables }
+ */
+export function analyzeTemplate(source, schema = null) {
+  let nodes;
+  try {
+    nodes = parseTemplate(source);
+  } catch (error) {
+    if (!(error instanceof TemplateSyntaxError)) throw error;
+    return {
+      valid: false,
+      errors: [{ message: error.message, line: error.line }],
+      variables: [],
+      unknownVariables: [],
+    };
+  }
+
+  const variables = new Set();
+  const unknown = new Set();
+
+  const visitOperand = (operand, scope) => {
+    if (!operand || operand.type !== 'path') return;
+
+    const [first] = operand.path.split('.');
+    const local = scope.find((entry) => Object.hasOwn(entry, first));
+    if (local) {
+      const rest = operand.path.slice(first.length + 1);
+      if (rest && !isKnownPath(local[first], rest)) unknown.add(operand.path);
+      return;
+    }
+
+    variables.add(operand.path);
+    if (schema && !isKnownPath(schema, operand.path)) unknown.add(operand.path);
+  };
+
+  const visitCondition = (condition, scope) => {
+    if (!condition) return;
+    if (condition.type === 'or' || condition.type === 'and') {
+      visitCondition(condition.left, scope);
+      visitCondition(condition.right, scope);
+    } else if (condition.type === 'not') {
+      visitCondition(condition.operand, scope);
+    } else if (condition.type === 'truthy') {
+      visitOperand(condition.operand, scope);
+    } else if (condition.type === 'compare') {
+      visitOperand(condition.left, scope);
+      visitOperand(condition.right, scope);
+    }
+  };
+
+  const visit = (list, scope) => {
+    for (const node of list) {
+      if (node.type === 'output') {
+        visitOperand(node.value, scope);
+        node.filters.forEach((filter) => filter.args.forEach((arg) => visitOperand(arg, scope)));
+      } else if (node.type === 'if') {
+        node.branches.forEach((branch) => {
+          visitCondition(branch.condition, scope);
+          visit(branch.body, scope);
+        });
+      } else if (node.type === 'each') {
+        visitOperand({ type: 'path', path: node.path }, scope);
+        const listSchema = schema ? getSchemaAt(schema, node.path) : null;
+        const itemSchema = !schema ? '*' : listSchema === '*' ? '*' : listSchema?.$item || '*';
+        visit(node.body, [
+          {
+            [node.alias]: itemSchema,
+            loop: { index: true, number: true, first: true, last: true },
+          },
+          ...scope,
+        ]);
+        visit(node.elseBody, scope);
+      }
+    }
+  };
+
+  visit(nodes, []);
+
+  return {
+    valid: true,
+    errors: [],
+    variables: [...variables],
+    unknownVariables: [...unknown],
+  };
+}
+
+/**
+ * Whether a string is a BCP 47 locale the formatting filters understand
+ * @param {string} locale
+ * @returns {boolean}
+ */
+export function isValidLocale(locale) {
+  if (typeof locale !== 'string' || !locale) return false;
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+export default {
+  parseTemplate,
+  renderTemplate,
+  analyzeTemplate,
+  isValidLocale,
+  FILTER_NAMES,
+  MAX_LOOP_ITERATIONS,
+};
@@ -0,0 +1,244 @@
+/**
+ * Phone Utilities
+ * Parsing contact phone numbers, which imports and stores write in any format,
+ * into E.164 ("+14155552671")
+ */
+
+/**
+ * Countries numbers can be parsed for: calling code, lengths of the national
+ * number (without the trunk prefix) and the trunk prefix dialled before it
+ * within the country. Countries sharing a calling code list the one numbers
+ * are attributed to first.
+ */
+const COUNTRIES = {
+  US: { code: '1', lengths: [10], trunk: '1' },
+  CA: { code: '1', lengths: [10], trunk: '1' },
+  MX: { code: '52', lengths: [10] },
+  BR: { code: '55', lengths: [10, 11], trunk: '0' },
+  AR: { code: '54', lengths: [10, 11], trunk: '0' },
+  CO: { code: '57', lengths: [10] },
+  CL: { code: '56', lengths: [9] },
+  PE: { code: '51', lengths: [8, 9] },
+  GB: { code: '44', lengths: [9, 10], trunk: '0' },
+  IE: { code: '353', lengths: [7, 8, 9], trunk: '0' },
+  FR: { code: '33', lengths: [9], trunk: '0' },
+  DE: { code: '49', lengths: [7, 8, 9, 10, 11], trunk: '0' },
+  ES: { code: '34', lengths: [9] },
+  PT: { code: '351', lengths: [9] },
+  IT: { code: '39', lengths: [6, 7, 8, 9, 10, 11] },
+  NL: { code: '31', lengths: [9], trunk: '0' },
+  BE: { code: '32', lengths: [8, 9], trunk: '0' },
+  CH: { code: '41', lengths: [9], trunk: '0' },
+  AT: { code: '43', lengths: [7, 8, 9, 10, 11, 12, 13], trunk: '0' },
+  SE: { code: '46', lengths: [7, 8, 9], trunk: '0' },
+  NO: { code: '47', lengths: [8] },
+  DK: { code: '45', lengths: [8] },
+  FI: { code: '358', lengths: [6, 7, 8, 9, 10], trunk: '0' },
+  PL: { code: '48', lengths: [9] },
+  CZ: { code: '420', lengths: [9] },
+  GR: { code: '30', lengths: [10] },
+  RO: { code: '40', lengths: [9], trunk: '0' },
+  TR: { code: '90', lengths: [10], trunk: '0' },
+  RU: { code: '7', lengths: [10], trunk: '8' },
+  UA: { code: '380', lengths: [9], trunk: '0' },
+  IL: { code: '972', lengths: [8, 9], trunk: '0' },
+  AE: { code: '971', lengths: [8, 9], trunk: '0' },
+  SA: { code: '966', lengths: [8, 9], trunk: '0' },
+  QA: { code: '974', lengths: [8] },
+  KW: { code: '965', lengths: [8] },
+  EG: { code: '20', lengths: [9, 10], trunk: '0' },
+  MA: { code: '212', lengths: [9], trunk: '0' },
+  NG: { code: '234', lengths: [8, 10], trunk: '0' },
+  GH: { code: '233', lengths: [9], trunk: '0' },
+  KE: { code: '254', lengths: [9], trunk: '0' },
+  ZA: { code: '27', lengths: [9], trunk: '0' },
+  IN: { code: '91', lengths: [10], trunk: '0' },
+  PK: { code: '92', lengths: [9, 10], trunk: '0' },
+  BD: { code: '880', lengths: [10], trunk: '0' },
+  LK: { code: '94', lengths: [9], trunk: '0' },
+  NP: { code: '977', lengths: [8, 10] },
+  CN: { code: '86', lengths: [10, 11], trunk: '0' },
+  HK: { code: '852', lengths: [8] },
+  TW: { code: '886', lengths: [8, 9], trunk: '0' },
+  JP: { code: '81', lengths: [9, 10], trunk: '0' },
+  KR: { code: '82', lengths: [8, 9, 10], trunk: '0' },
+  SG: { code: '65', lengths: [8] },
+  MY: { code: '60', lengths: [9, 10], trunk: '0' },
+  ID: { code: '62', lengths: [9, 10, 11, 12], trunk: '0' },
+  TH: { code: '66', lengths: [8, 9], trunk: '0' },
+  VN: { code: '84', lengths: [9, 10], trunk: '0' },
+  PH: { code: '63', lengths: [10], trunk: '0' },
+  AU: { code: '61', lengths: [9], trunk: '0' },
+  NZ: { code: '64', lengths: [8, 9, 10], trunk: '0' },
+};
+
+export const SUPPORTED_COUNTRIES = Object.keys(COUNTRIES);
+
+// Calling code -> country numbers with that code are attributed to
+const COUNTRY_BY_CODE = new Map();
+Object.entries(COUNTRIES).forEach(([country, { code }]) => {
+  if (!COUNTRY_BY_CODE.has(code)) COUNTRY_BY_CODE.set(code, country);
+});
+
+/**
+ * Digits of a phone number without formatting or the leading '+'
+ * Two numbers written differently ("+34 600 11 22 33", "34600112233") share their digits.
+ * @param {string} phone
+ * @returns {string}
+ */
+export function getPhoneDigits(phone) {
+  return typeof phone === 'string' ? phone.replace(/\D/g, '') : '';
+}
+
+/**
+ * Whether a phone number can be an international (E.164) number once formatting is removed
+ * @param {string} phone
+ * @returns {boolean}
+ */
+export function isValidPhone(phone) {
+  if (typeof phone !== 'string') return false;
+  return /^\+?[1-9]\d{7,14}$/.test(phone.replace(/[\s().-]/g, ''));
+}
+
+function invalid(error) {
+  return { phone: null, country: null, error, warning: null };
+}
+
+/**
+ * Country of an international number's digits, by its calling code
+ * @returns {string|null} ISO 3166-1 alpha-2 code
+ */
+function findCountry(digits) {
+  for (let length = 1; length <= 3; length++) {
+    const country = COUNTRY_BY_CODE.get(digits.slice(0, length));
+    if (country) return country;
+  }
+  return null;
+}
+
+/**
+ * Parse an international number's digits (country code first)
+ * Numbers of countries not in COUNTRIES are only checked for their length.
+ */
+function parseInternational(digits) {
+  const country = findCountry(digits);
+
+  if (digits.startsWith('0')) {
+    return invalid('Phone number has an invalid country code');
+  }
+
+  if (digits.length < 8 || digits.length > 15) {
+    return invalid('Phone number has the wrong number of digits');
+  }
+
+  let warning = null;
+  if (!country) {
+    warning = 'Country of the phone number is not recognized';
+  } else if (!COUNTRIES[country].lengths.includes(digits.length - COUNTRIES[country].code.length)) {
+    warning = `Phone number has an unusual number of digits for ${country}`;
+  }
+
+  return { phone: `+${digits}`, country, error: null, warning };
+}
+
+/**
+ * Parse a phone number into E.164
+ * Numbers starting with '+' or '00' include their country code. Other numbers
+ * are national numbers of the default country (with or without its trunk
+ * prefix, e.g. "0412 345 678" in AU) or international numbers written without
+ * the '+'; without a default country they must include their country code.
+ * @param {string|number} phone
+ * @param {string} [defaultCountry] - ISO 3166-1 alpha-2 code, e.g. 'IN'
+ * @returns {Object} { phone, country, error, warning } - phone is null when error is set
+ */
+export function parsePhone(phone, defaultCountry = null) {
+  const value = typeof phone === 'number' ? String(phone) : phone;
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    return invalid('Phone number is required');
+  }
+
+  const compact = value.trim().replace(/[\s().\-/]/g, '');
+  if (!/^(\+|00)?\d+$/.test(compact)) {
+    return invalid('Phone number contains invalid characters');
+  }
+
+  if (compact.startsWith('+') || compact.startsWith('00')) {
+    return parseInternational(compact.replace(/^(\+|00)/, ''));
+  }
+
+  const country = defaultCountry && COUNTRIES[defaultCountry.toUpperCase()];
+  if (defaultCountry && !country) {
+    return invalid(`Country ${defaultCountry} is not supported`);
+  }
+
+  if (country) {
+    const { code, lengths, trunk } = country;
+    const national = [
+      trunk && compact.startsWith(trunk) && compact.slice(trunk.length),
+      compact,
+      compact.startsWith(code) && compact.slice(code.length),
+    ].find((digits) => digits && lengths.includes(digits.length));
+
+    if (national) {
+      return {
+        phone: `+${code}${national}`,
+        country: defaultCountry.toUpperCase(),
+        error: null,
+        warning: null,
+      };
+    }
+  }
+
+  const international = parseInternational(compact);
+  if (international.phone && !international.warning) {
+    return international;
+  }
+
+  return invalid(
+    country
+      ? `Phone number is not a valid ${defaultCountry.toUpperCase()} number`
+      : 'Phone number must include its country code'
+  );
+}
+
+/**
+ * Forms a number may have been stored in before numbers were normalized to E.164
+ * The digits of the normalized number ("919876543210") and the number as received.
+ * @param {string} phone - Normalized number
+ * @param {string} [rawPhone] - Number as received or entered
+ * @returns {Array<string>} Distinct forms, without the normalized number itself
+ */
+export function getLegacyPhoneForms(phone, rawPhone = null) {
+  const forms = [getPhoneDigits(phone), rawPhone, getPhoneDigits(rawPhone)];
+  return [...new Set(forms.filter((form) => form && form !== phone))];
+}
+
+/**
+ * E.164 form of a phone number ("+34 600 11 22 33" -> "+34600112233")
+ * @param {string} phone
+ * @param {string} [defaultCountry] - Country of numbers without a country code
+ * @returns {string|null} Normalized number, or null if it cannot be parsed
+ */
+export function normalizePhone(phone, defaultCountry = null) {
+  return parsePhone(phone, defaultCountry).phone;
+}
+
+/**
+ * Whether a country code is one numbers can be parsed for
+ * @param {string} country - ISO 3166-1 alpha-2 code
+ * @returns {boolean}
+ */
+export function isSupportedCountry(country) {
+  return typeof country === 'string' && country.toUpperCase() in COUNTRIES;
+}
+
+export default {
+  SUPPORTED_COUNTRIES,
+  getPhoneDigits,
+  getLegacyPhoneForms,
+  isValidPhone,
+  parsePhone,
+  normalizePhone,
+  isSupportedCountry,
+};
@@ -0,0 +1,144 @@
+/**
+ * Recurrence Utilities
+ * Next-occurrence calculation for daily, weekly, monthly and cron schedules
+ */
+
+import cronParser from 'cron-parser';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Upper bound on cron matches inspected when looking for an occurrence with the right interval
+const MAX_CANDIDATES = 1000;
+
+/**
+ * Local calendar date, weekday and time of a moment in a time zone
+ * @returns {Object} { year, month, day, weekday (0 = Sunday), hour, minute }
+ */
+export function getCalendarParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  });
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(date).map((part) => [part.type, part.value])
+  );
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+  };
+}
+
+/**
+ * Index of the day, week (starting Monday) or month a calendar date falls in
+ */
+function getPeriodIndex(frequency, parts) {
+  const dayNumber = Date.UTC(parts.year, parts.month - 1, parts.day) / 86400000;
+
+  switch (frequency) {
+    case 'weekly':
+      // 1970-01-01 was a Thursday
+      return Math.floor((dayNumber + 3) / 7);
+    case 'monthly':
+      return parts.year * 12 + parts.month - 1;
+    default:
+      return dayNumber;
+  }
+}
+
+/**
+ * Check a 5 or 6 field cron expression
+ * @param {string} expression
+ * @returns {boolean}
+ */
+export function isValidCronExpression(expression) {
+  try {
+    cronParser.parseExpression(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Cron expression matching every day/week/month of a schedule, ignoring its interval
+ * Time, weekdays and day of month default to those of the anchor (first run).
+ */
+function toCronExpression(config, anchor) {
+  if (config.frequency === 'cron') {
+    return config.cronExpression;
+  }
+
+  const [hour, minute] = config.time
+    ? config.time.split(':').map(Number)
+    : [anchor.hour, anchor.minute];
+
+  switch (config.frequency) {
+    case 'weekly': {
+      const days = config.daysOfWeek?.length ? config.daysOfWeek : [anchor.weekday];
+      return `${minute} ${hour} * * ${days.join(',')}`;
+    }
+    case 'monthly':
+      return `${minute} ${hour} ${config.dayOfMonth || anchor.day} * *`;
+    default:
+      return `${minute} ${hour} * * *`;
+  }
+}
+
+/**
+ * Next occurrence of a recurring schedule after a moment
+ * Intervals count from the schedule's `startAt` (e.g. every 2nd week from the
+ * week of the first run). Months without the requested day are skipped.
+ * @param {Object} config - { frequency: daily|weekly|monthly|cron, interval, time ('HH:mm'),
+ *   daysOfWeek (0 = Sunday), dayOfMonth, cronExpression, timezone, startAt, endDate }
+ * @param {Date} after - Occurrences at or before this moment are ignored
+ * @returns {Date|null} Next occurrence, or null when the schedule has ended
+ */
+export function getNextOccurrence(config, after = new Date()) {
+  const timezone = config.timezone || 'UTC';
+  const startAt = config.startAt ? new Date(config.startAt) : after;
+  const endDate = config.endDate ? new Date(config.endDate) : null;
+  const interval = config.frequency === 'cron' ? 1 : config.interval || 1;
+
+  const anchor = getCalendarParts(startAt, timezone);
+  const anchorPeriod = getPeriodIndex(config.frequency, anchor);
+
+  // The start itself is a valid first occurrence
+  const currentDate = startAt > after ? new Date(startAt.getTime() - 1000) : after;
+  const iterator = cronParser.parseExpression(toCronExpression(config, anchor), {
+    currentDate,
+    tz: timezone,
+  });
+
+  for (let i = 0; i < MAX_CANDIDATES; i++) {
+    const candidate = iterator.next().toDate();
+
+    if (endDate && candidate > endDate) {
+      return null;
+    }
+
+    const period = getPeriodIndex(config.frequency, getCalendarParts(candidate, timezone));
+    if ((period - anchorPeriod) % interval === 0) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+export default {
+  getCalendarParts,
+  isValidCronExpression,
+  getNextOccurrence,
+};
@@ -0,0 +1,185 @@
+/**
+ * Time Zone Utilities
+ * Country to time zone lookup for contacts without an explicit time zone
+ */
+
+/**
+ * Representative IANA time zone per ISO 3166-1 alpha-2 country code
+ * Countries spanning several zones use the zone of their largest population.
+ */
+const COUNTRY_TIMEZONES = {
+  AE: 'Asia/Dubai',
+  AR: 'America/Argentina/Buenos_Aires',
+  AT: 'Europe/Vienna',
+  AU: 'Australia/Sydney',
+  BD: 'Asia/Dhaka',
+  BE: 'Europe/Brussels',
+  BO: 'America/La_Paz',
+  BR: 'America/Sao_Paulo',
+  CA: 'America/Toronto',
+  CH: 'Europe/Zurich',
+  CL: 'America/Santiago',
+  CN: 'Asia/Shanghai',
+  CO: 'America/Bogota',
+  CR: 'America/Costa_Rica',
+  CZ: 'Europe/Prague',
+  DE: 'Europe/Berlin',
+  DK: 'Europe/Copenhagen',
+  DO: 'America/Santo_Domingo',
+  EC: 'America/Guayaquil',
+  EG: 'Africa/Cairo',
+  ES: 'Europe/Madrid',
+  FI: 'Europe/Helsinki',
+  FR: 'Europe/Paris',
+  GB: 'Europe/London',
+  GH: 'Africa/Accra',
+  GR: 'Europe/Athens',
+  GT: 'America/Guatemala',
+  HK: 'Asia/Hong_Kong',
+  ID: 'Asia/Jakarta',
+  IE: 'Europe/Dublin',
+  IL: 'Asia/Jerusalem',
+  IN: 'Asia/Kolkata',
+  IT: 'Europe/Rome',
+  JP: 'Asia/Tokyo',
+  KE: 'Africa/Nairobi',
+  KR: 'Asia/Seoul',
+  MA: 'Africa/Casablanca',
+  MX: 'America/Mexico_City',
+  MY: 'Asia/Kuala_Lumpur',
+  NG: 'Africa/Lagos',
+  NL: 'Europe/Amsterdam',
+  NO: 'Europe/Oslo',
+  NZ: 'Pacific/Auckland',
+  PA: 'America/Panama',
+  PE: 'America/Lima',
+  PH: 'Asia/Manila',
+  PK: 'Asia/Karachi',
+  PL: 'Europe/Warsaw',
+  PT: 'Europe/Lisbon',
+  PY: 'America/Asuncion',
+  RO: 'Europe/Bucharest',
+  RU: 'Europe/Moscow',
+  SA: 'Asia/Riyadh',
+  SE: 'Europe/Stockholm',
+  SG: 'Asia/Singapore',
+  TH: 'Asia/Bangkok',
+  TR: 'Europe/Istanbul',
+  UA: 'Europe/Kyiv',
+  US: 'America/New_York',
+  UY: 'America/Montevideo',
+  VE: 'America/Caracas',
+  VN: 'Asia/Ho_Chi_Minh',
+  ZA: 'Africa/Johannesburg',
+};
+
+/**
+ * Common English country names, for contacts imported with free-text countries
+ */
+const COUNTRY_NAMES = {
+  argentina: 'AR',
+  australia: 'AU',
+  austria: 'AT',
+  bangladesh: 'BD',
+  belgium: 'BE',
+  bolivia: 'BO',
+  brazil: 'BR',
+  canada: 'CA',
+  chile: 'CL',
+  china: 'CN',
+  colombia: 'CO',
+  'costa rica': 'CR',
+  'czech republic': 'CZ',
+  czechia: 'CZ',
+  denmark: 'DK',
+  'dominican republic': 'DO',
+  ecuador: 'EC',
+  egypt: 'EG',
+  finland: 'FI',
+  france: 'FR',
+  germany: 'DE',
+  ghana: 'GH',
+  greece: 'GR',
+  guatemala: 'GT',
+  'hong kong': 'HK',
+  india: 'IN',
+  indonesia: 'ID',
+  ireland: 'IE',
+  israel: 'IL',
+  italy: 'IT',
+  japan: 'JP',
+  kenya: 'KE',
+  malaysia: 'MY',
+  mexico: 'MX',
+  morocco: 'MA',
+  netherlands: 'NL',
+  'new zealand': 'NZ',
+  nigeria: 'NG',
+  norway: 'NO',
+  pakistan: 'PK',
+  panama: 'PA',
+  paraguay: 'PY',
+  peru: 'PE',
+  philippines: 'PH',
+  poland: 'PL',
+  portugal: 'PT',
+  romania: 'RO',
+  russia: 'RU',
+  'saudi arabia': 'SA',
+  singapore: 'SG',
+  'south africa': 'ZA',
+  'south korea': 'KR',
+  spain: 'ES',
+  sweden: 'SE',
+  switzerland: 'CH',
+  thailand: 'TH',
+  turkey: 'TR',
+  ukraine: 'UA',
+  'united arab emirates': 'AE',
+  'united kingdom': 'GB',
+  uk: 'GB',
+  'united states': 'US',
+  usa: 'US',
+  uruguay: 'UY',
+  venezuela: 'VE',
+  vietnam: 'VN',
+};
+
+/**
+ * Check an IANA time zone name
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Time zone of a country given as ISO code or English name
+ * @param {string} country
+ * @returns {string|null} IANA time zone, or null when the country is unknown
+ */
+export function getCountryTimezone(country) {
+  if (!country || typeof country !== 'string') {
+    return null;
+  }
+
+  const value = country.trim();
+  const code = value.length === 2 ? value.toUpperCase() : COUNTRY_NAMES[value.toLowerCase()];
+
+  return COUNTRY_TIMEZONES[code] || null;
+}
+
+export default {
+  isValidTimezone,
+  getCountryTimezone,
+};
@@ -5,6 +5,139 @@
  */
 
 import Joi from 'joi';
+import { isValidCronExpression } from '../utils/recurrence.js';
+import { isValidTimezone } from '../utils/timezones.js';
+import { SEQUENCE_EXIT_CONDITIONS, DELAY_UNITS, getStepDelay } from '../utils/campaignSequence.js';
+
+const timeSchema = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({
+    'string.pattern.base': 'Time must be in HH:mm format',
+  });
+
+const timezoneSchema = Joi.string()
+  .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error('string.timezone')))
+  .messages({
+    'string.timezone': 'Unknown time zone',
+  });
+
+/**
+ * Recurrence of a recurring campaign
+ */
+const recurringConfigSchema = Joi.object({
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly', 'cron').required().messages({
+    'any.only': 'Frequency must be one of: daily, weekly, monthly, cron',
+  }),
+  interval: Joi.number()
+    .integer()
+    .min(1)
+    .max(365)
+    .when('frequency', {
+      is: 'cron',
+      then: Joi.forbidden(),
+      otherwise: Joi.optional().default(1),
+    }),
+  time: timeSchema.when('frequency', { is: 'cron', then: Joi.forbidden() }),
+  daysOfWeek: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .min(1)
+    .unique()
+    .when('frequency', { is: 'weekly', otherwise: Joi.forbidden() }),
+  dayOfMonth: Joi.number()
+    .integer()
+    .min(1)
+    .max(31)
+    .when('frequency', { is: 'monthly', otherwise: Joi.forbidden() }),
+  cronExpression: Joi.string()
+    .max(100)
+    .custom((value, helpers) =>
+      isValidCronExpression(value) ? value : helpers.error('string.cron')
+    )
+    .when('frequency', { is: 'cron', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'string.cron': 'Invalid cron expression',
+    }),
+  timezone: timezoneSchema.default('UTC'),
+  startAt: Joi.date().optional(),
+  endDate: Joi.date().greater('now').optional(),
+  maxOccurrences: Joi.number().integer().min(1).optional(),
+});
+
+/**
+ * Send-time optimization of a campaign; the window overrides the team default
+ */
+const sendTimeOptimizationSchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  windowStart: timeSchema.optional(),
+  windowEnd: timeSchema.optional(),
+});
+
+/**
+ * Additional WhatsApp accounts a campaign sends from, next to its own
+ */
+const senderPoolSchema = Joi.object({
+  accountIds: Joi.array().items(Joi.string().uuid()).min(1).max(20).unique().required().messages({
+    'array.min': 'A sender pool needs at least one additional account',
+    'array.max': 'A sender pool can have at most 20 additional accounts',
+  }),
+});
+
+/**
+ * Steps of a sequence campaign, each sent a delay after the contact was enrolled
+ */
+const sequenceStepsSchema = Joi.array()
+  .items(
+    Joi.object({
+      name: Joi.string().min(1).max(100).optional(),
+      delay: Joi.object({
+        value: Joi.number().integer().min(0).required(),
+        unit: Joi.string()
+          .valid(...Object.keys(DELAY_UNITS))
+          .default('days'),
+      }).default({ value: 0, unit: 'days' }),
+      messageType: Joi.string().valid('text', 'template', 'image', 'video', 'document').required(),
+      messageContent: Joi.string().when('messageType', {
+        is: 'template',
+        then: Joi.string().allow(null, '').optional(),
+        otherwise: Joi.string().required().max(4096),
+      }),
+      templateId: Joi.string().uuid().when('messageType', {
+        is: 'template',
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+      }),
+      templateVariables: Joi.object().when('messageType', {
+        is: 'template',
+        then: Joi.optional(),
+        otherwise: Joi.forbidden(),
+      }),
+    })
+  )
+  .min(1)
+  .max(20)
+  .custom((steps, helpers) => {
+    const delays = steps.map(getStepDelay);
+    if (delays.some((delay, index) => index > 0 && delay < delays[index - 1])) {
+      return helpers.error('array.delayOrder');
+    }
+    if (delays[delays.length - 1] > 365 * DELAY_UNITS.days) {
+      return helpers.error('array.delayMax');
+    }
+    return steps;
+  })
+  .messages({
+    'array.min': 'A sequence needs at least one step',
+    'array.max': 'A sequence can have at most 20 steps',
+    'array.delayOrder': 'Step delays are counted from enrollment and cannot decrease',
+    'array.delayMax': 'Steps cannot be sent more than 365 days after enrollment',
+  });
+
+const exitConditionsSchema = Joi.array()
+  .items(Joi.string().valid(...SEQUENCE_EXIT_CONDITIONS))
+  .unique()
+  .messages({
+    'any.only': `Exit conditions must be among: ${SEQUENCE_EXIT_CONDITIONS.join(', ')}`,
+  });
 
 /**
  * Schema for creating a new campaign
@@ -22,7 +155,17 @@ export const createCampaignSchema = Joi.object({
     'string.guid': 'Invalid WhatsApp account ID format',
   }),
 
-  templateId: Joi.string().uuid().allow(null).optional(),
+  templateId: Joi.string()
+    .uuid()
+    .allow(null)
+    .when('messageType', {
+      is: 'template',
+      then: Joi.string().uuid().required(),
+      otherwise: Joi.optional(),
+    })
+    .messages({
+      'any.required': 'Template ID is required for template messages',
+    }),
 
   messageType: Joi.string()
     .valid('text', 'template', 'image', 'video', 'document')
@@ -85,12 +228,7 @@ export const createCampaignSchema = Joi.object({
       'date.greater': 'Scheduled time must be in the future',
     }),
 
-  recurringConfig: Joi.object({
-    frequency: Joi.string().valid('daily', 'weekly', 'monthly').required(),
-    interval: Joi.number().integer().min(1).max(365).required(),
-    endDate: Joi.date().greater('now').optional(),
-    maxOccurrences: Joi.number().integer().min(1).optional(),
-  }).when('scheduleType', {
+  recurringConfig: recurringConfigSchema.when('scheduleType', {
     is: 'recurring',
     then: Joi.required(),
     otherwise: Joi.forbidden(),
@@ -99,6 +237,18 @@ export const createCampaignSchema = Joi.object({
   throttleConfig: Joi.object({
     messagesPerMinute: Joi.number().integer().min(1).max(100).default(10),
   }).default({ messagesPerMinute: 10 }),
+
+  sendTimeOptimization: sendTimeOptimizationSchema.optional(),
+
+  // Replace links in the message with per-recipient tracked links
+  trackLinks: Joi.boolean().default(true),
+
+  // Templates are approved per account, so template campaigns send from their own account
+  senderPool: senderPoolSchema
+    .when('messageType', { is: 'template', then: Joi.forbidden(), otherwise: Joi.optional() })
+    .messages({
+      'any.unknown': 'Sender pools cannot be used with template messages',
+    }),
 });
 
 /**
@@ -110,9 +260,19 @@ export const updateCampaignSchema = Joi.object({
   messageContent: Joi.string().max(4096).optional(),
   templateVariables: Joi.object().optional(),
   scheduledAt: Joi.date().greater('now').optional(),
+  recurringConfig: recurringConfigSchema.optional(),
   throttleConfig: Joi.object({
     messagesPerMinute: Joi.number().integer().min(1).max(100),
   }).optional(),
+  sendTimeOptimization: sendTimeOptimizationSchema.allow(null).optional(),
+  senderPool: senderPoolSchema.allow(null).optional(),
+  trackLinks: Joi.boolean().optional(),
+  // Sequence campaigns only
+  steps: sequenceStepsSchema.optional(),
+  exitConditions: exitConditionsSchema.optional(),
+  exitTags: Joi.array().items(Joi.string()).optional(),
+  enrollNewContacts: Joi.boolean().optional(),
+  enrollUntil: Joi.date().greater('now').allow(null).optional(),
   status: Joi.string().valid('draft', 'scheduled', 'paused').optional().messages({
     'any.only': 'Status can only be updated to: draft, scheduled, paused',
   }),
@@ -152,13 +312,75 @@ export const campaignIdSchema = Joi.object({
 export const listRecipientsSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(50),
-  status: Joi.string().valid('pending', 'sent', 'delivered', 'read', 'failed').optional(),
+  status: Joi.string()
+    .valid(
+      'pending',
+      'queued',
+      'sent',
+      'delivered',
+      'read',
+      'failed',
+      'suppressed',
+      'holdout',
+      'awaiting_rollout'
+    )
+    .optional(),
+  step: Joi.number().integer().min(0).optional(),
   sortBy: Joi.string()
     .valid('created_at', 'sent_at', 'delivered_at', 'read_at', 'status')
     .default('created_at'),
   sortOrder: Joi.string().valid('asc', 'desc').default('asc'),
 });
 
+/**
+ * Schema for listing the runs of a recurring campaign
+ */
+export const listRunsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('scheduled', 'running', 'paused', 'completed', 'failed').optional(),
+});
+
+/**
+ * Schema for updating the team's send-time optimization defaults
+ */
+export const updateSendTimeSettingsSchema = Joi.object({
+  windowStart: timeSchema.optional(),
+  windowEnd: timeSchema.optional(),
+  timezone: timezoneSchema.optional(),
+  minSamples: Joi.number().integer().min(1).max(100).optional(),
+}).min(1);
+
+/**
+ * Schema for the team's messaging prices
+ */
+export const updatePricingSettingsSchema = Joi.object({
+  currency: Joi.string().length(3).uppercase().optional(),
+  defaultRate: Joi.number().min(0).optional(),
+  countryRates: Joi.object()
+    .pattern(/^[A-Z]{2}$/, Joi.number().min(0))
+    .optional()
+    .messages({
+      'object.unknown': 'Country rates must be keyed by ISO 3166-1 alpha-2 country code',
+    }),
+}).min(1);
+
+/**
+ * Schema for the team's order attribution settings
+ */
+export const updateAttributionSettingsSchema = Joi.object({
+  windowDays: Joi.number().integer().min(1).max(90).optional(),
+  model: Joi.string().valid('first_touch', 'last_touch').optional(),
+  requireClick: Joi.boolean().optional(),
+}).min(1);
+
+/**
+ * Schema for previewing a campaign
+ */
+export const previewCampaignSchema = Joi.object({
+  sampleSize: Joi.number().integer().min(0).max(10).default(3),
+});
+
 /**
  * Schema for creating an A/B test campaign
  */
@@ -189,7 +411,7 @@ export const createABTestSchema = Joi.object({
       })
     )
     .min(2)
-    .max(5)
+    .max(10)
     .required()
     .custom((variants, helpers) => {
       // Validate that percentages sum to 100
@@ -203,7 +425,7 @@ export const createABTestSchema = Joi.object({
     })
     .messages({
       'array.min': 'At least 2 variants are required for A/B testing',
-      'array.max': 'Maximum 5 variants allowed for A/B testing',
+      'array.max': 'Maximum 10 variants allowed for A/B testing',
     }),
 
   audienceType: Joi.string().valid('all', 'segment', 'custom', 'tags').required().messages({
@@ -261,4 +483,117 @@ export const createABTestSchema = Joi.object({
   }),
 
   autoSelectWinner: Joi.boolean().default(true),
+
+  holdoutPercentage: Joi.number().min(0).max(50).default(0).messages({
+    'number.max': 'Holdout cannot exceed 50% of the audience',
+  }),
+
+  testCohortPercentage: Joi.number().min(1).max(100).default(100).messages({
+    'number.min': 'Test cohort must be at least 1% of the audience',
+  }),
+
+  minSampleSize: Joi.number().integer().min(1).max(100000).default(100),
+
+  confidenceLevel: Joi.number().valid(0.9, 0.95, 0.99).default(0.95).messages({
+    'any.only': 'Confidence level must be one of: 0.9, 0.95, 0.99',
+  }),
+
+  rolloutIfInconclusive: Joi.boolean().default(true),
+
+  trackLinks: Joi.boolean().default(true),
+});
+
+/**
+ * Schema for creating a sequence campaign
+ */
+export const createSequenceSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required().messages({
+    'string.empty': 'Campaign name is required',
+    'string.max': 'Campaign name must not exceed 255 characters',
+  }),
+
+  description: Joi.string().max(1000).allow(null, '').optional(),
+
+  accountId: Joi.string().uuid().required().messages({
+    'string.empty': 'WhatsApp account ID is required',
+    'string.guid': 'Invalid WhatsApp account ID format',
+  }),
+
+  steps: sequenceStepsSchema.required(),
+
+  exitConditions: exitConditionsSchema.default(['replied', 'opted_out']),
+
+  // Tags that end the sequence when added; without them any tag does
+  exitTags: Joi.array()
+    .items(Joi.string())
+    .when('exitConditions', {
+      is: Joi.array().items(Joi.string().valid('tag_added').required(), Joi.any()),
+      then: Joi.optional(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      'any.unknown': 'Exit tags require the tag_added exit condition',
+    }),
+
+  audienceType: Joi.string().valid('all', 'segment', 'custom', 'tags').required().messages({
+    'any.only': 'Audience type must be one of: all, segment, custom, tags',
+  }),
+
+  audienceConfig: Joi.object({
+    segmentId: Joi.string().uuid().when('...audienceType', {
+      is: 'segment',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    contactIds: Joi.array().items(Joi.string().uuid()).min(1).max(10000).when('...audienceType', {
+      is: 'custom',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    tags: Joi.array().items(Joi.string()).min(1).when('...audienceType', {
+      is: 'tags',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    excludeContactIds: Joi.array().items(Joi.string().uuid()).optional(),
+  }).required(),
+
+  // Contacts who join the audience later are enrolled too; a custom audience never changes
+  enrollNewContacts: Joi.boolean()
+    .when('audienceType', {
+      is: 'custom',
+      then: Joi.boolean().valid(false).default(false),
+      otherwise: Joi.boolean().default(true),
+    })
+    .messages({
+      'any.only': 'A custom audience cannot enroll new contacts',
+    }),
+
+  enrollUntil: Joi.date().greater('now').optional().messages({
+    'date.greater': 'Enrollment end must be in the future',
+  }),
+
+  scheduleType: Joi.string().valid('now', 'scheduled').default('now').messages({
+    'any.only': 'Schedule type must be one of: now, scheduled',
+  }),
+
+  scheduledAt: Joi.date()
+    .when('scheduleType', {
+      is: 'scheduled',
+      then: Joi.date().greater('now').required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      'date.greater': 'Scheduled time must be in the future',
+    }),
+
+  throttleConfig: Joi.object({
+    messagesPerMinute: Joi.number().integer().min(1).max(100).default(10),
+  }).default({ messagesPerMinute: 10 }),
+
+  sendTimeOptimization: sendTimeOptimizationSchema.optional(),
+
+  trackLinks: Joi.boolean().default(true),
+
+  senderPool: senderPoolSchema.optional(),
 });
@@ -0,0 +1,90 @@
+/**
+ * Canned Response Validation Schemas
+ *
+ * Joi validation schemas for saved replies
+ */
+
+import Joi from 'joi';
+
+const MEDIA_TYPES = ['Image', 'Video', 'Audio', 'Document'];
+
+/**
+ * Shortcode as typed in the composer; a leading slash is optional
+ */
+export const shortcodeField = Joi.string()
+  .pattern(/^\/?[a-zA-Z0-9_-]+$/)
+  .max(50)
+  .messages({
+    'string.pattern.base': 'Shortcode may only contain letters, numbers, underscores and hyphens',
+  });
+
+const cannedResponseFields = {
+  shortcode: shortcodeField,
+  title: Joi.string().min(1).max(100),
+  content: Joi.string().max(4096).messages({
+    'string.max': 'Content must not exceed 4096 characters',
+  }),
+  category: Joi.string().max(50).allow(null),
+  mediaUrl: Joi.string().uri().allow(null).messages({
+    'string.uri': 'Media URL must be a valid URL',
+  }),
+  mediaType: Joi.string()
+    .valid(...MEDIA_TYPES)
+    .when('mediaUrl', {
+      is: Joi.string().required(),
+      then: Joi.required(),
+      otherwise: Joi.optional().allow(null),
+    })
+    .messages({
+      'any.only': `Media type must be one of: ${MEDIA_TYPES.join(', ')}`,
+      'any.required': 'Media type is required when a media URL is set',
+    }),
+};
+
+/**
+ * Schema for creating a canned response
+ */
+export const createCannedResponseSchema = Joi.object({
+  ...cannedResponseFields,
+  shortcode: cannedResponseFields.shortcode.required(),
+  title: cannedResponseFields.title.required(),
+  content: cannedResponseFields.content.required(),
+});
+
+/**
+ * Schema for updating a canned response
+ */
+export const updateCannedResponseSchema = Joi.object(cannedResponseFields).min(1);
+
+/**
+ * Schema for listing canned responses
+ */
+export const listCannedResponsesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  category: Joi.string().max(50).optional(),
+  search: Joi.string().max(100).optional(),
+  sortBy: Joi.string()
+    .valid('shortcode', 'title', 'usage_count', 'last_used_at', 'created_at')
+    .default('shortcode'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('asc'),
+});
+
+/**
+ * Schema for previewing a canned response for a contact
+ */
+export const previewCannedResponseSchema = Joi.object({
+  contactId: Joi.string().uuid().required().messages({
+    'string.guid': 'Invalid contact ID format',
+    'any.required': 'Contact ID is required',
+  }),
+});
+
+/**
+ * Schema for canned response ID parameter
+ */
+export const cannedResponseIdSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.guid': 'Invalid canned response ID format',
+  }),
+});
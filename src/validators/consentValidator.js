@@ -0,0 +1,84 @@
+/**
+ * Consent Validation Schemas
+ *
+ * Joi validation schemas for contact consent and keyword settings
+ */
+
+import Joi from 'joi';
+
+const PURPOSES = ['marketing', 'transactional'];
+const STATUSES = ['opted_in', 'opted_out'];
+const MANUAL_SOURCES = ['agent', 'api', 'form', 'import', 'other'];
+
+const keywordList = Joi.array()
+  .items(
+    Joi.string()
+      .trim()
+      .pattern(/^[a-zA-Z0-9]+$/)
+      .max(20)
+      .messages({
+        'string.pattern.base': 'Keywords may only contain letters and numbers',
+      })
+  )
+  .min(1)
+  .max(20);
+
+/**
+ * Schema for updating the team's consent settings
+ */
+export const updateConsentSettingsSchema = Joi.object({
+  optOutKeywords: keywordList,
+  optInKeywords: keywordList,
+  keywordPurposes: Joi.array()
+    .items(Joi.string().valid(...PURPOSES))
+    .min(1)
+    .unique(),
+  sendConfirmation: Joi.boolean(),
+  optOutReply: Joi.string().max(1024).allow(''),
+  optInReply: Joi.string().max(1024).allow(''),
+  requireMarketingOptIn: Joi.boolean(),
+}).min(1);
+
+/**
+ * Schema for recording a consent change for a contact
+ */
+export const recordConsentSchema = Joi.object({
+  purpose: Joi.string()
+    .valid(...PURPOSES)
+    .required(),
+  status: Joi.string()
+    .valid(...STATUSES)
+    .required(),
+  source: Joi.string()
+    .valid(...MANUAL_SOURCES)
+    .default('agent'),
+  proofMessageId: Joi.string().uuid().optional().messages({
+    'string.guid': 'Invalid proof message ID format',
+  }),
+  occurredAt: Joi.date().iso().max('now').optional(),
+  note: Joi.string().max(500).optional(),
+});
+
+/**
+ * Schema for exporting the consent history
+ */
+export const exportConsentSchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  contactId: Joi.string().uuid().optional(),
+  purpose: Joi.string()
+    .valid(...PURPOSES)
+    .optional(),
+  status: Joi.string()
+    .valid(...STATUSES)
+    .optional(),
+});
+
+/**
+ * Schema for contact ID parameter
+ */
+export const contactIdSchema = Joi.object({
+  contactId: Joi.string().uuid().required().messages({
+    'string.guid': 'Invalid contact ID format',
+  }),
+});
@@ -1,4 +1,9 @@
 import Joi from 'joi';
+import { MERGE_FIELDS } from '../services/contactMergeService.js';
+import { countrySchema } from './phoneNumberValidator.js';
+
+// What imports do with rows whose phone number the team already has
+const DUPLICATE_STRATEGIES = ['skip', 'update', 'merge'];
 
 /**
  * Contact Validation Schemas
@@ -12,11 +17,13 @@ export const createContactSchema = Joi.object({
     'string.uuid': 'WhatsApp account ID must be a valid UUID',
     'any.required': 'WhatsApp account ID is required',
   }),
+  // National numbers are read in the contact's country or the team's default country
   phone: Joi.string()
-    .pattern(/^\+[1-9]\d{1,14}$/)
+    .trim()
+    .pattern(/^\+?(?:[\s().\-/]*\d){7,15}[\s().\-/]*$/)
     .required()
     .messages({
-      'string.pattern.base': 'Phone must be in E.164 format (e.g., +1234567890)',
+      'string.pattern.base': 'Phone must be a number of 7 to 15 digits (e.g., +919876543210)',
       'any.required': 'Phone number is required',
     }),
   name: Joi.string().min(2).max(100).required().messages({
@@ -82,6 +89,36 @@ export const importContactsSchema = Joi.object({
     'string.uuid': 'WhatsApp account ID must be a valid UUID',
     'any.required': 'WhatsApp account ID is required',
   }),
+  // Overrides the team's default country for numbers without a country code
+  defaultCountry: countrySchema.optional(),
+  duplicateStrategy: Joi.string()
+    .valid(...DUPLICATE_STRATEGIES)
+    .optional()
+    .default('skip'),
+});
+
+/**
+ * Import preview validation schema
+ */
+export const previewImportSchema = Joi.object({
+  whatsappAccountId: Joi.string().uuid().required().messages({
+    'string.empty': 'WhatsApp account ID is required',
+    'string.uuid': 'WhatsApp account ID must be a valid UUID',
+    'any.required': 'WhatsApp account ID is required',
+  }),
+});
+
+/**
+ * Uploaded import dry run and start validation schema
+ * Options left out are those of the last dry run, else the suggested mapping.
+ */
+export const runImportSchema = Joi.object({
+  // Column header -> contact field, custom_fields.<key>, or null to ignore the column
+  mapping: Joi.object().pattern(Joi.string(), Joi.string().max(100).allow(null)).min(1).optional(),
+  duplicateStrategy: Joi.string()
+    .valid(...DUPLICATE_STRATEGIES)
+    .optional(),
+  defaultCountry: countrySchema.optional(),
 });
 
 /**
@@ -96,6 +133,42 @@ export const exportContactsSchema = Joi.object({
   source: Joi.string().optional(),
   startDate: Joi.date().iso().optional(),
   endDate: Joi.date().iso().optional(),
+  columns: Joi.string().max(2000).optional(),
+});
+
+/**
+ * Find duplicate contacts validation schema
+ */
+export const findDuplicatesSchema = Joi.object({
+  matchNames: Joi.boolean().optional().default(true),
+  minConfidence: Joi.number().min(0).max(1).optional().default(0),
+  limit: Joi.number().integer().min(1).max(200).optional().default(50),
+});
+
+/**
+ * Merge contacts validation schema
+ */
+export const mergeContactsSchema = Joi.object({
+  primaryContactId: Joi.string().uuid().required().messages({
+    'string.uuid': 'Primary contact ID must be a valid UUID',
+    'any.required': 'Primary contact ID is required',
+  }),
+  duplicateContactIds: Joi.array()
+    .items(Joi.string().uuid().invalid(Joi.ref('...primaryContactId')))
+    .min(1)
+    .max(20)
+    .unique()
+    .required()
+    .messages({
+      'any.invalid': 'Cannot merge a contact into itself',
+      'array.min': 'At least one duplicate contact is required',
+      'array.max': 'At most 20 contacts can be merged at once',
+      'any.required': 'Duplicate contact IDs are required',
+    }),
+  // Contact to take a field from, when it should not follow the merge rules
+  fieldSources: Joi.object(
+    Object.fromEntries(MERGE_FIELDS.map((field) => [field, Joi.string().uuid()]))
+  ).optional(),
 });
 
 /**
@@ -0,0 +1,56 @@
+/**
+ * Custom Field Validation Schemas
+ *
+ * Joi validation schemas for the team's contact custom field definitions
+ */
+
+import Joi from 'joi';
+import { CUSTOM_FIELD_TYPES } from '../utils/customFields.js';
+
+const customFieldFields = {
+  label: Joi.string().trim().min(1).max(100),
+  required: Joi.boolean(),
+  defaultValue: Joi.alternatives()
+    .try(Joi.string().allow(''), Joi.number(), Joi.boolean(), Joi.array().items(Joi.string()))
+    .allow(null),
+  options: Joi.array().items(Joi.string().trim().min(1).max(100)).unique().max(100),
+  position: Joi.number().integer().min(0),
+};
+
+/**
+ * Schema for defining a custom field
+ */
+export const createCustomFieldSchema = Joi.object({
+  ...customFieldFields,
+  key: Joi.string()
+    .pattern(/^[a-z][a-z0-9_]*$/)
+    .max(50)
+    .required()
+    .messages({
+      'string.pattern.base':
+        'Key must start with a lowercase letter and contain only lowercase letters, numbers and underscores',
+    }),
+  label: customFieldFields.label.required(),
+  type: Joi.string()
+    .valid(...CUSTOM_FIELD_TYPES)
+    .required()
+    .messages({
+      'any.only': `Type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`,
+    }),
+  required: customFieldFields.required.default(false),
+  options: customFieldFields.options.default([]),
+});
+
+/**
+ * Schema for updating a custom field definition (the key and type cannot change)
+ */
+export const updateCustomFieldSchema = Joi.object(customFieldFields).min(1);
+
+/**
+ * Schema for custom field ID parameter
+ */
+export const customFieldIdSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.guid': 'Invalid custom field ID format',
+  }),
+});
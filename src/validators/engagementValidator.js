@@ -0,0 +1,32 @@
+/**
+ * Engagement Validation Schemas
+ *
+ * Joi validation schemas for engagement scoring settings and score history
+ */
+
+import Joi from 'joi';
+
+const weightSchema = Joi.number().min(0).max(100);
+
+/**
+ * Schema for updating the team's engagement scoring settings
+ */
+export const updateEngagementSchema = Joi.object({
+  weights: Joi.object({
+    inboundMessage: weightSchema,
+    read: weightSchema,
+    reply: weightSchema,
+    click: weightSchema,
+    order: weightSchema,
+  }).min(1),
+  decayHalfLifeDays: Joi.number().integer().min(1).max(365),
+  lookbackDays: Joi.number().integer().min(1).max(730),
+  historyDays: Joi.number().integer().min(7).max(1825),
+}).min(1);
+
+/**
+ * Schema for score history and trend queries
+ */
+export const historyQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).default(30),
+});
@@ -0,0 +1,267 @@
+/**
+ * Inbox Validation Schemas
+ *
+ * Joi validation schemas for the shared team inbox
+ */
+
+import Joi from 'joi';
+import { messageContentFields } from './messageValidator.js';
+import { shortcodeField } from './cannedResponseValidator.js';
+
+/**
+ * Schema for listing conversations
+ */
+export const listConversationsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  view: Joi.string().valid('all', 'mine', 'unassigned').default('all').messages({
+    'any.only': 'View must be one of: all, mine, unassigned',
+  }),
+  status: Joi.string().valid('open', 'snoozed', 'closed').optional(),
+  starred: Joi.boolean().optional(),
+  accountId: Joi.string().uuid().optional(),
+  tag: Joi.string().max(100).optional(),
+  search: Joi.string().max(255).optional(),
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+});
+
+/**
+ * Schema for paginating a conversation thread
+ */
+export const listMessagesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+/**
+ * Schema for paginating a conversation timeline (messages and notes)
+ * Pass the previous page's nextBefore as `before`
+ */
+export const timelineSchema = Joi.object({
+  before: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+const noteFields = {
+  content: Joi.string().trim().min(1).max(4096).messages({
+    'string.empty': 'Note content is required',
+    'string.max': 'Note must not exceed 4096 characters',
+  }),
+  mentions: Joi.array().items(Joi.string().uuid()).unique().max(20).messages({
+    'string.guid': 'Mentions must be user IDs',
+  }),
+};
+
+/**
+ * Schema for adding an internal note (mentions are team member user IDs)
+ */
+export const createNoteSchema = Joi.object({
+  content: noteFields.content.required(),
+  mentions: noteFields.mentions.default([]),
+});
+
+/**
+ * Schema for editing an internal note
+ */
+export const updateNoteSchema = Joi.object(noteFields).min(1);
+
+/**
+ * Schema for note ID parameter
+ */
+export const noteIdSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.guid': 'Invalid note ID format',
+  }),
+});
+
+/**
+ * Schema for replying to a conversation, either with message content or with
+ * a canned response (by ID or shortcode) that supplies the content
+ */
+export const replySchema = Joi.alternatives().conditional(
+  Joi.object().or('cannedResponseId', 'shortcode').unknown(),
+  {
+    then: Joi.object({
+      cannedResponseId: Joi.string().uuid().messages({
+        'string.guid': 'Invalid canned response ID format',
+      }),
+      shortcode: shortcodeField,
+    })
+      .xor('cannedResponseId', 'shortcode')
+      .messages({
+        'object.xor': 'Use either a canned response ID or a shortcode, not both',
+      }),
+    otherwise: Joi.object({
+      ...messageContentFields,
+    }),
+  }
+);
+
+/**
+ * Schema for starring a conversation
+ */
+export const starSchema = Joi.object({
+  starred: Joi.boolean().default(true),
+});
+
+/**
+ * Schema for snoozing a conversation
+ */
+export const snoozeSchema = Joi.object({
+  until: Joi.date().iso().greater('now').required().messages({
+    'date.base': 'Snooze time must be a valid date',
+    'date.greater': 'Snooze time must be in the future',
+    'any.required': 'Snooze time is required',
+  }),
+});
+
+/**
+ * Schema for assigning a conversation (null agentId unassigns)
+ */
+export const assignSchema = Joi.object({
+  agentId: Joi.string().uuid().allow(null).required().messages({
+    'string.guid': 'Invalid agent ID format',
+    'any.required': 'Agent ID is required (null to unassign)',
+  }),
+});
+
+const ruleFields = {
+  name: Joi.string().min(1).max(100),
+  strategy: Joi.string().valid('round_robin', 'least_open', 'skill').messages({
+    'any.only': 'Strategy must be one of: round_robin, least_open, skill',
+  }),
+  accountId: Joi.string().uuid().allow(null),
+  contactTags: Joi.array().items(Joi.string().max(100)).unique(),
+  agentIds: Joi.array().items(Joi.string().uuid()).unique(),
+  priority: Joi.number().integer().min(0).max(1000),
+  isActive: Joi.boolean(),
+};
+
+/**
+ * Schema for creating an assignment rule
+ */
+export const createRuleSchema = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  strategy: ruleFields.strategy.default('round_robin'),
+});
+
+/**
+ * Schema for updating an assignment rule
+ */
+export const updateRuleSchema = Joi.object(ruleFields).min(1);
+
+const timeOfDay = Joi.string()
+  .pattern(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/)
+  .messages({ 'string.pattern.base': 'Times must be HH:mm (00:00-24:00)' });
+
+const shift = Joi.object({
+  start: timeOfDay.required(),
+  end: timeOfDay.required(),
+}).custom((value, helpers) =>
+  value.start < value.end ? value : helpers.message('Shift end must be after its start')
+);
+
+/**
+ * Weekly working hours in the user's time zone, e.g.
+ * { mon: [{ start: '09:00', end: '17:00' }], ... } (days without shifts are off)
+ */
+const workingHoursSchema = Joi.object(
+  Object.fromEntries(
+    ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'].map((day) => [
+      day,
+      Joi.array().items(shift).max(5),
+    ])
+  )
+);
+
+/**
+ * Schema for an agent's routing settings
+ */
+export const agentRoutingSchema = Joi.object({
+  skills: Joi.array().items(Joi.string().max(100)).unique(),
+  isAvailable: Joi.boolean(),
+  workingHours: workingHoursSchema.allow(null),
+}).min(1);
+
+/**
+ * Schema for setting your own presence
+ */
+export const presenceSchema = Joi.object({
+  status: Joi.string().valid('online', 'away', 'offline').required().messages({
+    'any.only': 'Status must be one of: online, away, offline',
+    'any.required': 'Status is required',
+  }),
+});
+
+/**
+ * Schema for agent user ID parameter
+ */
+export const agentIdSchema = Joi.object({
+  userId: Joi.string().uuid().required().messages({
+    'string.guid': 'Invalid user ID format',
+  }),
+});
+
+const targetMinutes = Joi.number()
+  .integer()
+  .min(1)
+  .max(60 * 24 * 30)
+  .allow(null);
+
+const slaPolicyFields = {
+  name: Joi.string().min(1).max(100),
+  accountId: Joi.string().uuid().allow(null),
+  contactTags: Joi.array().items(Joi.string().max(100)).unique(),
+  firstResponseMinutes: targetMinutes,
+  nextResponseMinutes: targetMinutes,
+  resolutionMinutes: targetMinutes,
+  warningPercent: Joi.number().integer().min(1).max(99),
+  priority: Joi.number().integer().min(0).max(1000),
+  isActive: Joi.boolean(),
+};
+
+/**
+ * Schema for creating an SLA policy (at least one target)
+ */
+export const createSlaPolicySchema = Joi.object({
+  ...slaPolicyFields,
+  name: slaPolicyFields.name.required(),
+})
+  .or('firstResponseMinutes', 'nextResponseMinutes', 'resolutionMinutes')
+  .messages({
+    'object.missing':
+      'At least one SLA target (first response, next response, resolution) is required',
+  });
+
+/**
+ * Schema for updating an SLA policy
+ */
+export const updateSlaPolicySchema = Joi.object(slaPolicyFields).min(1);
+
+/**
+ * Schema for SLA policy ID parameter
+ */
+export const slaPolicyIdSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.guid': 'Invalid SLA policy ID format',
+  }),
+});
+
+/**
+ * Schema for conversation ID parameter
+ */
+export const conversationIdSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.guid': 'Invalid conversation ID format',
+  }),
+});
+
+/**
+ * Schema for assignment rule ID parameter
+ */
+export const ruleIdSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.guid': 'Invalid rule ID format',
+  }),
+});
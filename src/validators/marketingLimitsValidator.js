@@ -0,0 +1,41 @@
+/**
+ * Marketing Limits Validation Schemas
+ *
+ * Joi validation schemas for quiet hours and frequency caps
+ */
+
+import Joi from 'joi';
+import { isValidTimezone } from '../utils/timezones.js';
+
+const timeSchema = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({
+    'string.pattern.base': 'Time must be in HH:mm format',
+  });
+
+const capSchema = Joi.number().integer().min(1).max(100).allow(null);
+
+/**
+ * Schema for updating the team's marketing limits
+ */
+export const updateMarketingLimitsSchema = Joi.object({
+  quietHours: Joi.object({
+    enabled: Joi.boolean(),
+    start: timeSchema,
+    end: timeSchema,
+  })
+    .min(1)
+    .custom((value, helpers) =>
+      value.start && value.start === value.end ? helpers.error('quietHours.empty') : value
+    )
+    .messages({
+      'quietHours.empty': 'Quiet hours must start and end at different times',
+    }),
+  maxPerDay: capSchema,
+  maxPerWeek: capSchema,
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error('string.timezone')))
+    .messages({
+      'string.timezone': 'Unknown time zone',
+    }),
+}).min(1);
@@ -4,6 +4,153 @@
  */
 
 import Joi from 'joi';
+import { MESSAGE_TYPES, OUTBOUND_MESSAGE_TYPES } from '../services/whatsapp/messageTypes.js';
+
+/**
+ * Message type and content fields, shared with other endpoints that send messages
+ */
+export const messageContentFields = {
+  type: Joi.string()
+    .valid(...OUTBOUND_MESSAGE_TYPES.filter((type) => type !== 'Template'))
+    .default('Text')
+    .messages({
+      'any.only': `Type must be one of: ${OUTBOUND_MESSAGE_TYPES.filter((type) => type !== 'Template').join(', ')}`,
+    }),
+  content: Joi.string()
+    .max(4096)
+    .when('type', {
+      is: Joi.valid('Text', 'Buttons', 'List'),
+      then: Joi.required(),
+      otherwise: Joi.optional().allow(''),
+    })
+    .when('type', { is: Joi.valid('Buttons', 'List'), then: Joi.string().max(1024) })
+    .messages({
+      'string.empty': 'Message content is required',
+      'string.max': 'Message content is too long for this message type',
+      'any.required': 'Message content is required',
+    }),
+  mediaUrl: Joi.string()
+    .uri()
+    .when('type', {
+      is: Joi.valid('Image', 'Video', 'Audio', 'Document', 'Sticker'),
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    })
+    .messages({
+      'string.uri': 'Media URL must be a valid URL',
+      'any.required': 'Media URL is required for media messages',
+    }),
+  header: Joi.string()
+    .max(60)
+    .when('type', {
+      is: Joi.valid('Buttons', 'List'),
+      then: Joi.optional(),
+      otherwise: Joi.forbidden(),
+    }),
+  footer: Joi.string()
+    .max(60)
+    .when('type', {
+      is: Joi.valid('Buttons', 'List'),
+      then: Joi.optional(),
+      otherwise: Joi.forbidden(),
+    }),
+  buttons: Joi.array()
+    .items(
+      Joi.object({
+        id: Joi.string().max(256).required(),
+        title: Joi.string().max(20).required(),
+      })
+    )
+    .min(1)
+    .max(3)
+    .unique('id')
+    .when('type', { is: 'Buttons', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'array.max': 'Button messages support at most 3 buttons',
+      'array.unique': 'Button IDs must be unique',
+    }),
+  buttonText: Joi.string()
+    .max(20)
+    .when('type', { is: 'List', then: Joi.required(), otherwise: Joi.forbidden() }),
+  sections: Joi.array()
+    .items(
+      Joi.object({
+        title: Joi.string().max(24).optional(),
+        rows: Joi.array()
+          .items(
+            Joi.object({
+              id: Joi.string().max(200).required(),
+              title: Joi.string().max(24).required(),
+              description: Joi.string().max(72).optional(),
+            })
+          )
+          .min(1)
+          .required(),
+      })
+    )
+    .min(1)
+    .max(10)
+    .custom((sections, helpers) => {
+      const rows = sections.flatMap((section) => section.rows);
+      if (rows.length > 10) {
+        return helpers.message('List messages support at most 10 rows in total');
+      }
+      if (new Set(rows.map((row) => row.id)).size !== rows.length) {
+        return helpers.message('List row IDs must be unique');
+      }
+      return sections;
+    })
+    .when('type', { is: 'List', then: Joi.required(), otherwise: Joi.forbidden() }),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    name: Joi.string().max(255).optional(),
+    address: Joi.string().max(500).optional(),
+  }).when('type', { is: 'Location', then: Joi.required(), otherwise: Joi.forbidden() }),
+  contacts: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().max(255).required(),
+        firstName: Joi.string().max(255).optional(),
+        lastName: Joi.string().max(255).optional(),
+        organization: Joi.string().max(255).optional(),
+        phones: Joi.array()
+          .items(
+            Joi.object({
+              phone: Joi.string().max(30).required(),
+              type: Joi.string().valid('CELL', 'MAIN', 'IPHONE', 'HOME', 'WORK').optional(),
+            })
+          )
+          .min(1)
+          .required(),
+        emails: Joi.array()
+          .items(
+            Joi.object({
+              email: Joi.string().email().required(),
+              type: Joi.string().valid('HOME', 'WORK').optional(),
+            })
+          )
+          .optional(),
+      })
+    )
+    .min(1)
+    .max(10)
+    .when('type', { is: 'Contact', then: Joi.required(), otherwise: Joi.forbidden() }),
+  emoji: Joi.string()
+    .max(10)
+    .allow('')
+    .when('type', { is: 'Reaction', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'Emoji is required for reactions (empty string removes a reaction)',
+    }),
+  replyToMessageId: Joi.string()
+    .uuid()
+    .when('type', { is: 'Reaction', then: Joi.required(), otherwise: Joi.optional() })
+    .messages({
+      'string.guid': 'Invalid reply-to message ID format',
+      'any.required': 'Reactions require the ID of the message being reacted to',
+    }),
+};
 
 /**
  * Validate send message request
@@ -23,20 +170,7 @@ export const validateSendMessage = (req, res, next) => {
         'string.pattern.base': 'Phone number must be in E.164 format',
         'any.required': 'Phone number is required',
       }),
-    type: Joi.string()
-      .valid('Text', 'Image', 'Video', 'Audio', 'Document')
-      .default('Text')
-      .messages({
-        'any.only': 'Type must be one of: Text, Image, Video, Audio, Document',
-      }),
-    content: Joi.string().max(4096).required().messages({
-      'string.empty': 'Message content is required',
-      'string.max': 'Message content must not exceed 4096 characters',
-      'any.required': 'Message content is required',
-    }),
-    mediaUrl: Joi.string().uri().optional().messages({
-      'string.uri': 'Media URL must be a valid URL',
-    }),
+    ...messageContentFields,
     scheduledFor: Joi.date().iso().greater('now').optional().messages({
       'date.base': 'Scheduled date must be a valid date',
       'date.greater': 'Scheduled date must be in the future',
@@ -83,14 +217,18 @@ export const validateGetMessages = (req, res, next) => {
     direction: Joi.string().valid('Inbound', 'Outbound').optional().messages({
       'any.only': 'Direction must be either Inbound or Outbound',
     }),
-    type: Joi.string().valid('Text', 'Image', 'Video', 'Audio', 'Document').optional().messages({
-      'any.only': 'Type must be one of: Text, Image, Video, Audio, Document',
-    }),
+    type: Joi.string()
+      .valid(...MESSAGE_TYPES)
+      .optional()
+      .messages({
+        'any.only': `Type must be one of: ${MESSAGE_TYPES.join(', ')}`,
+      }),
     status: Joi.string()
-      .valid('Queued', 'Sent', 'Delivered', 'Read', 'Failed')
+      .valid('queued', 'sent', 'delivered', 'read', 'failed')
+      .insensitive()
       .optional()
       .messages({
-        'any.only': 'Status must be one of: Queued, Sent, Delivered, Read, Failed',
+        'any.only': 'Status must be one of: queued, sent, delivered, read, failed',
       }),
     startDate: Joi.date().iso().optional().messages({
       'date.base': 'Start date must be a valid date',
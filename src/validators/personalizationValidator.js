@@ -0,0 +1,38 @@
+/**
+ * Personalization Validation Schemas
+ *
+ * Joi validation schemas for personalization settings and content checks
+ */
+
+import Joi from 'joi';
+import { isValidTimezone } from '../utils/timezones.js';
+import { isValidLocale } from '../utils/personalization.js';
+import { PERSONALIZATION_CONTEXTS } from '../services/personalizationService.js';
+
+/**
+ * Schema for updating the team's personalization defaults
+ */
+export const updatePersonalizationSchema = Joi.object({
+  locale: Joi.string()
+    .custom((value, helpers) => (isValidLocale(value) ? value : helpers.error('string.locale')))
+    .messages({
+      'string.locale': 'Unknown locale',
+    }),
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error('string.timezone')))
+    .messages({
+      'string.timezone': 'Unknown time zone',
+    }),
+}).min(1);
+
+/**
+ * Schema for checking message content before it is sent
+ */
+export const validateContentSchema = Joi.object({
+  content: Joi.string().allow('').max(10000).required(),
+  context: Joi.string()
+    .valid(...PERSONALIZATION_CONTEXTS)
+    .default('campaign'),
+  // Names of extra variables the content is rendered with (campaign template variables)
+  variables: Joi.array().items(Joi.string().max(100)).max(100).default([]),
+});
@@ -0,0 +1,40 @@
+/**
+ * Phone Number Validation Schemas
+ *
+ * Joi validation schemas for phone number settings and normalization
+ */
+
+import Joi from 'joi';
+import { SUPPORTED_COUNTRIES } from '../utils/phone.js';
+
+/**
+ * Country numbers without a country code are read in (ISO 3166-1 alpha-2)
+ */
+export const countrySchema = Joi.string()
+  .uppercase()
+  .valid(...SUPPORTED_COUNTRIES)
+  .messages({
+    'any.only': 'Country must be a supported ISO 3166-1 alpha-2 code (e.g., US, IN, GB)',
+  });
+
+/**
+ * Schema for updating the team's phone number settings
+ */
+export const updatePhoneSettingsSchema = Joi.object({
+  defaultCountry: countrySchema.allow(null).required(),
+});
+
+/**
+ * Schema for normalizing the team's contact phone numbers
+ */
+export const normalizePhonesSchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+});
+
+/**
+ * Schema for the report of numbers that cannot be normalized
+ */
+export const phoneReportQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
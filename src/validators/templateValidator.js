@@ -0,0 +1,144 @@
+/**
+ * Template Validation Schemas
+ *
+ * Joi validation schemas for WhatsApp message template operations
+ */
+
+import Joi from 'joi';
+
+const buttonSchema = Joi.object({
+  type: Joi.string().valid('QUICK_REPLY', 'URL', 'PHONE_NUMBER', 'COPY_CODE').required(),
+  text: Joi.string().max(25).required(),
+  url: Joi.string().uri().when('type', {
+    is: 'URL',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  phone_number: Joi.string().max(20).when('type', {
+    is: 'PHONE_NUMBER',
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  example: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())).optional(),
+});
+
+const templateContent = {
+  headerType: Joi.string()
+    .valid('TEXT', 'IMAGE', 'VIDEO', 'DOCUMENT')
+    .allow(null)
+    .optional()
+    .messages({
+      'any.only': 'Header type must be one of: TEXT, IMAGE, VIDEO, DOCUMENT',
+    }),
+
+  headerContent: Joi.when('headerType', {
+    is: 'TEXT',
+    then: Joi.string().max(60).required(),
+    otherwise: Joi.when('headerType', {
+      is: Joi.valid('IMAGE', 'VIDEO', 'DOCUMENT').required(),
+      then: Joi.string().uri().required(),
+      otherwise: Joi.string().allow(null, '').optional(),
+    }),
+  }).messages({
+    'string.max': 'Text header must not exceed 60 characters',
+    'string.uri': 'Media header content must be a valid URL',
+  }),
+
+  footer: Joi.string().max(60).allow(null, '').optional(),
+
+  buttons: Joi.array().items(buttonSchema).max(10).optional(),
+};
+
+/**
+ * Schema for creating a template
+ */
+export const createTemplateSchema = Joi.object({
+  accountId: Joi.string().uuid().required().messages({
+    'string.empty': 'WhatsApp account ID is required',
+    'string.guid': 'Invalid WhatsApp account ID format',
+  }),
+
+  name: Joi.string()
+    .pattern(/^[a-z0-9_]+$/)
+    .max(512)
+    .required()
+    .messages({
+      'string.pattern.base':
+        'Template name may only contain lowercase letters, numbers and underscores',
+    }),
+
+  category: Joi.string().valid('MARKETING', 'UTILITY', 'AUTHENTICATION').required().messages({
+    'any.only': 'Category must be one of: MARKETING, UTILITY, AUTHENTICATION',
+  }),
+
+  language: Joi.string()
+    .pattern(/^[a-z]{2,3}(_[A-Z]{2})?$/)
+    .default('en')
+    .messages({
+      'string.pattern.base': 'Language must be a locale code such as en or en_US',
+    }),
+
+  body: Joi.string().min(1).max(1024).required().messages({
+    'string.empty': 'Template body is required',
+    'string.max': 'Template body must not exceed 1024 characters',
+  }),
+
+  ...templateContent,
+});
+
+/**
+ * Schema for updating a template
+ */
+export const updateTemplateSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-z0-9_]+$/)
+    .max(512)
+    .optional()
+    .messages({
+      'string.pattern.base':
+        'Template name may only contain lowercase letters, numbers and underscores',
+    }),
+  category: Joi.string().valid('MARKETING', 'UTILITY', 'AUTHENTICATION').optional(),
+  language: Joi.string()
+    .pattern(/^[a-z]{2,3}(_[A-Z]{2})?$/)
+    .optional(),
+  body: Joi.string().min(1).max(1024).optional(),
+  ...templateContent,
+}).min(1);
+
+/**
+ * Schema for submitting a template for approval
+ * Examples are sample placeholder values shown to WhatsApp reviewers
+ */
+export const submitTemplateSchema = Joi.object({
+  examples: Joi.object({
+    header: Joi.string().max(60).optional(),
+    body: Joi.array().items(Joi.string().max(1024)).optional(),
+  }).default({}),
+});
+
+/**
+ * Schema for listing templates with filters
+ */
+export const listTemplatesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  accountId: Joi.string().uuid().optional(),
+  status: Joi.string()
+    .valid('draft', 'pending', 'approved', 'rejected', 'paused', 'disabled', 'flagged')
+    .optional(),
+  category: Joi.string().valid('MARKETING', 'UTILITY', 'AUTHENTICATION').optional(),
+  language: Joi.string().max(10).optional(),
+  search: Joi.string().max(255).optional(),
+  sortBy: Joi.string().valid('created_at', 'updated_at', 'name', 'status').default('created_at'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+});
+
+/**
+ * Schema for template ID parameter
+ */
+export const templateIdSchema = Joi.object({
+  id: Joi.string().uuid().required().messages({
+    'string.guid': 'Invalid template ID format',
+  }),
+});
@@ -14,6 +14,24 @@ export const connectAccountSchema = Joi.object({
     'string.min': 'Display name must be at least 2 characters',
     'string.max': 'Display name must not exceed 100 characters',
   }),
+  type: Joi.string().valid('business', 'personal', 'cloud_api').default('business').messages({
+    'any.only': 'Account type must be one of: business, personal, cloud_api',
+  }),
+  credentials: Joi.when('type', {
+    is: 'cloud_api',
+    then: Joi.object({
+      phoneNumberId: Joi.string().required(),
+      accessToken: Joi.string().required(),
+      businessAccountId: Joi.string().optional(),
+      appSecret: Joi.string().optional(),
+      verifyToken: Joi.string().optional(),
+    })
+      .required()
+      .messages({
+        'any.required': 'Credentials are required for Cloud API accounts',
+      }),
+    otherwise: Joi.forbidden(),
+  }),
 });
 
 /**
@@ -58,7 +76,10 @@ export const getMessagesSchema = Joi.object({
   contactId: Joi.string().uuid().optional(),
   direction: Joi.string().valid('Inbound', 'Outbound').optional(),
   type: Joi.string().valid('Text', 'Image', 'Video', 'Audio', 'Document').optional(),
-  status: Joi.string().valid('Queued', 'Sent', 'Delivered', 'Read', 'Failed').optional(),
+  status: Joi.string()
+    .valid('queued', 'sent', 'delivered', 'read', 'failed')
+    .insensitive()
+    .optional(),
   startDate: Joi.date().iso().optional(),
   endDate: Joi.date().iso().optional(),
   limit: Joi.number().integer().min(1).max(100).default(50).optional(),
@@ -6,33 +6,23 @@
  */
 
 import { PrismaClient } from '@prisma/client';
-import { campaignQueue, messageQueue } from '../queues/index.js';
+import { campaignQueue, addMessageJob } from '../queues/index.js';
 import logger from '../utils/logger.js';
-import { getSocketIO } from '../sockets/index.js';
+import { getSocketIO, emitCampaignProgress } from '../sockets/index.js';
+import consentService from '../services/consentService.js';
+import sendTimeService from '../services/sendTimeService.js';
+import marketingLimitsService from '../services/marketingLimitsService.js';
+import senderPoolService from '../services/senderPoolService.js';
+import campaignAttributionService from '../services/campaignAttributionService.js';
+import personalizationService, {
+  buildContext,
+  getContactRenderOptions,
+} from '../services/personalizationService.js';
+import { renderTemplate, getMessageContent, renderMessage } from '../utils/messageRendering.js';
+import { isEnrollmentOpen } from '../utils/campaignSequence.js';
 
 const prisma = new PrismaClient();
 
-/**
- * Template variable rendering system
- * Replaces {{variable}} placeholders with actual values
- */
-function renderTemplate(template, variables) {
-  if (!template) return template;
-
-  let rendered = template;
-
-  // Replace all {{variable}} patterns
-  Object.entries(variables).forEach(([key, value]) => {
-    const regex = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-    rendered = rendered.replace(regex, value || '');
-  });
-
-  // Remove any remaining unreplaced variables
-  rendered = rendered.replace(/{{[^}]+}}/g, '');
-
-  return rendered;
-}
-
 /**
  * Sleep utility for rate limiting
  */
@@ -172,8 +162,15 @@ async function processCampaign(job) {
       return;
     }
 
-    // Verify WhatsApp account is connected
-    if (campaign.whatsapp_accounts.status !== 'connected') {
+    // Verify WhatsApp account is connected; a sender pool needs any one of its accounts
+    if (campaign.sender_pool) {
+      const senders = await senderPoolService.getAvailableAccounts(campaign);
+      if (senders.length === 0) {
+        throw new Error(
+          `No WhatsApp account of the sender pool of campaign ${campaignId} can send`
+        );
+      }
+    } else if (campaign.whatsapp_accounts.status !== 'connected') {
       throw new Error(
         `WhatsApp account ${campaign.account_id} is not connected. Status: ${campaign.whatsapp_accounts.status}`
       );
@@ -184,7 +181,8 @@ async function processCampaign(job) {
       where: { id: campaignId },
       data: {
         status: 'running',
-        started_at: new Date(),
+        // A sequence is queued again for each step; it started with the first
+        started_at: (campaign.is_sequence && campaign.started_at) || new Date(),
         updated_at: new Date(),
       },
     });
@@ -213,7 +211,9 @@ async function processCampaign(job) {
 
     if (recipients.length === 0) {
       logger.info(`No pending recipients for campaign ${campaignId}`);
-      await completeCampaign(campaignId, campaign.user_id);
+      if (!(await hasAwaitingRollout(campaignId)) && !(await hasSequenceSteps(campaign))) {
+        await completeCampaign(campaignId, campaign.user_id);
+      }
       return;
     }
 
@@ -251,6 +251,20 @@ async function processCampaign(job) {
       }
     }
 
+    const consentSettings = await consentService.getSettings(campaign.team_id);
+    const personalizationSettings = await personalizationService.getSettings(campaign.team_id);
+
+    // With send-time optimization every message waits in the queue for its planned slot
+    const sendPlan = campaign.send_time_config?.enabled
+      ? await sendTimeService.planSendTimes(campaign, recipients)
+      : null;
+    let hasDeferredMessages = false;
+
+    // Sender pools spread recipients over their accounts; the message worker fails over at send time
+    const senderPlan = campaign.sender_pool
+      ? await senderPoolService.planSenders(campaign, recipients)
+      : null;
+
     // Process recipients in batches
     let processedCount = 0;
     const totalRecipients = recipients.length;
@@ -278,70 +292,111 @@ async function processCampaign(job) {
       // Process each recipient in the batch
       for (const recipient of batch) {
         try {
-          // Build template variables
-          const variables = {
-            firstName: recipient.contacts.first_name || '',
-            lastName: recipient.contacts.last_name || '',
-            name:
-              `${recipient.contacts.first_name || ''} ${recipient.contacts.last_name || ''}`.trim() ||
-              'there',
-            phone: recipient.contacts.phone || '',
-            email: recipient.contacts.email || '',
-            company: recipient.contacts.company || '',
-            ...(campaign.template_variables || {}),
-          };
-
-          // Get message content and type based on variant (for A/B tests)
-          let messageContent = campaign.message_content;
-          let messageType = campaign.messageType;
-          let templateId = campaign.template_id;
-          let templateVariables = campaign.template_variables;
-
-          if (campaign.is_ab_test && recipient.variant_id) {
-            const variant = campaign.ab_test_config.variants.find(
-              (v) => v.id === recipient.variant_id
-            );
-            if (variant) {
-              messageContent = variant.messageContent;
-              messageType = variant.messageType;
-              templateId = variant.templateId || null;
-              templateVariables = variant.templateVariables || {};
-            }
+          // Consent may have changed since the audience was calculated
+          const consent = await consentService.checkConsent(
+            campaign.team_id,
+            recipient.contact_id,
+            'marketing',
+            consentSettings
+          );
+
+          if (!consent.allowed) {
+            await prisma.campaign_messages.update({
+              where: { id: recipient.id },
+              data: {
+                status: 'suppressed',
+                error_message: consent.reason,
+              },
+            });
+            processedCount++;
+            continue;
+          }
+
+          // Render the content of the recipient's variant (for A/B tests) or step (for
+          // sequences); recipients outside the test cohort get the winning variant once
+          // it is rolled out
+          const message = renderMessage(
+            getMessageContent(
+              campaign,
+              recipient.variant_id || campaign.winning_variant_id,
+              recipient.step
+            ),
+            buildContext({ contact: recipient.contacts, variables: campaign.template_variables }),
+            getContactRenderOptions(recipient.contacts, personalizationSettings)
+          );
+
+          // Each recipient gets their own links, so clicks can be traced back to them
+          if (campaign.track_links && message.type !== 'template' && message.content) {
+            message.content = await campaignAttributionService.trackLinks(message.content, {
+              teamId: campaign.team_id,
+              campaignId: campaign.id,
+              campaignMessageId: recipient.id,
+              contactId: recipient.contact_id,
+            });
           }
 
-          // Render message content
-          const renderedContent = renderTemplate(messageContent, variables);
+          const plannedAt = sendPlan?.get(recipient.id)?.sendAt || null;
+          const accountId = senderPlan?.get(recipient.id) || campaign.account_id;
 
-          // Queue message for sending
-          await messageQueue.add(
+          // Queue message for sending; quiet hours and frequency caps may defer or suppress it
+          const queued = await addMessageJob(
             {
               campaignId: campaign.id,
               campaignMessageId: recipient.id,
-              accountId: campaign.account_id,
+              accountId,
               contactId: recipient.contact_id,
               to: recipient.contacts.phone,
-              type: messageType || 'text',
-              content: renderedContent,
-              templateId: templateId,
-              templateVariables: { ...variables, ...templateVariables },
+              type: message.type,
+              content: message.content,
+              templateId: message.templateId,
+              templateVariables: message.templateVariables,
+              scheduledFor: plannedAt?.toISOString(),
+              teamId: campaign.team_id,
+              purpose: 'marketing',
+              source: 'campaign',
+              referenceId: recipient.id,
             },
             {
               priority: campaign.priority === 'high' ? 1 : campaign.priority === 'low' ? 10 : 5,
               attempts: 3,
+              delay: plannedAt ? Math.max(0, plannedAt.getTime() - Date.now()) : 0,
             }
           );
 
+          if (queued.status === 'suppressed') {
+            await prisma.campaign_messages.update({
+              where: { id: recipient.id },
+              data: {
+                status: 'suppressed',
+                error_message: queued.reason,
+              },
+            });
+            processedCount++;
+            continue;
+          }
+
+          const isDeferred = queued.status === 'deferred';
+          const scheduledFor = plannedAt || isDeferred ? queued.sendAt : null;
+          hasDeferredMessages = hasDeferredMessages || isDeferred;
+
           // Update recipient status to queued
           await prisma.campaign_messages.update({
             where: { id: recipient.id },
             data: {
               status: 'queued',
               queued_at: new Date(),
+              scheduled_for: scheduledFor,
+              account_id: accountId,
             },
           });
 
           processedCount++;
 
+          // Scheduled messages report progress as they are sent
+          if (sendPlan) {
+            continue;
+          }
+
           // Emit progress update every 100 messages
           if (processedCount % 100 === 0) {
             const progress = ((processedCount / totalRecipients) * 100).toFixed(2);
@@ -381,12 +436,20 @@ async function processCampaign(job) {
       }
 
       // Delay between batches if configured
-      if (delayBetweenBatches > 0 && i + batchSize < totalRecipients) {
+      if (!sendPlan && delayBetweenBatches > 0 && i + batchSize < totalRecipients) {
         logger.info(`Waiting ${delayBetweenBatches}ms before next batch`);
         await sleep(delayBetweenBatches);
       }
     }
 
+    // Optimized campaigns, and campaigns with messages deferred past quiet hours,
+    // run until their last scheduled message is sent
+    if (sendPlan || hasDeferredMessages) {
+      logger.info(`Campaign ${campaignId} scheduled ${processedCount} messages by send time`);
+      await updateScheduledCampaignProgress(campaignId);
+      return;
+    }
+
     // Final progress update
     io.to(campaign.user_id).emit('campaign:progress', {
       campaignId,
@@ -398,6 +461,18 @@ async function processCampaign(job) {
     // Update final stats
     await updateCampaignStats(campaignId);
 
+    // A/B tests keep running until the winner is rolled out to the rest of the audience
+    if (await hasAwaitingRollout(campaignId)) {
+      logger.info(`Campaign ${campaignId} sent its test cohort, awaiting winner rollout`);
+      return;
+    }
+
+    // Sequences keep running until their contacts have had every step
+    if (await hasSequenceSteps(campaign)) {
+      logger.info(`Campaign ${campaignId} sent its due sequence steps, awaiting the next ones`);
+      return;
+    }
+
     // Complete campaign
     await completeCampaign(campaignId, campaign.user_id);
 
@@ -434,6 +509,31 @@ async function processCampaign(job) {
   }
 }
 
+/**
+ * Whether an A/B test campaign still has recipients waiting for the winning variant
+ */
+async function hasAwaitingRollout(campaignId) {
+  const awaiting = await prisma.campaign_messages.count({
+    where: { campaign_id: campaignId, status: 'awaiting_rollout' },
+  });
+
+  return awaiting > 0;
+}
+
+/**
+ * Whether a sequence campaign still has steps to send or contacts to enroll
+ */
+async function hasSequenceSteps(campaign) {
+  if (!campaign.is_sequence) return false;
+  if (isEnrollmentOpen(campaign.sequence_config)) return true;
+
+  const active = await prisma.campaign_enrollments.count({
+    where: { campaign_id: campaign.id, status: 'active' },
+  });
+
+  return active > 0;
+}
+
 /**
  * Complete campaign execution
  */
@@ -487,6 +587,80 @@ async function completeCampaign(campaignId, userId) {
   }
 }
 
+/**
+ * Whether a send-time optimized message may still be sent when its slot comes
+ * Messages of a paused campaign go back to pending, so resuming plans them again.
+ */
+export async function isScheduledMessageSendable(campaignId, campaignMessageId) {
+  const campaign = await prisma.campaigns.findUnique({
+    where: { id: campaignId },
+    select: { status: true },
+  });
+
+  if (campaign?.status === 'paused') {
+    const message = await prisma.campaign_messages.findUnique({
+      where: { id: campaignMessageId },
+      select: { contact_id: true, status: true },
+    });
+
+    if (message?.status === 'queued') {
+      await prisma.campaign_messages.update({
+        where: { id: campaignMessageId },
+        data: { status: 'pending', scheduled_for: null },
+      });
+      // Resuming reserves the send again
+      await marketingLimitsService.releaseSend(message.contact_id, campaignMessageId);
+    }
+  }
+
+  return campaign?.status === 'running';
+}
+
+/**
+ * Report progress of a send-time optimized campaign, completing it once no message waits
+ * Called after each scheduled message is sent or finally fails.
+ */
+export async function updateScheduledCampaignProgress(campaignId) {
+  try {
+    const campaign = await prisma.campaigns.findUnique({
+      where: { id: campaignId },
+      select: { id: true, user_id: true, status: true, is_sequence: true, sequence_config: true },
+    });
+
+    if (campaign?.status !== 'running') return;
+
+    const [totalRecipients, waiting] = await Promise.all([
+      prisma.campaign_messages.count({
+        where: { campaign_id: campaignId, status: { not: 'holdout' } },
+      }),
+      prisma.campaign_messages.count({
+        where: {
+          campaign_id: campaignId,
+          status: { in: ['pending', 'queued', 'awaiting_rollout'] },
+        },
+      }),
+    ]);
+
+    const processedCount = totalRecipients - waiting;
+    const percentage =
+      totalRecipients > 0 ? parseFloat(((processedCount / totalRecipients) * 100).toFixed(2)) : 100;
+
+    emitCampaignProgress(campaign.user_id, campaignId, {
+      processedCount,
+      totalRecipients,
+      percentage,
+    });
+
+    if (waiting === 0 && !(await hasSequenceSteps(campaign))) {
+      await completeCampaign(campaignId, campaign.user_id);
+    } else if (waiting === 0 || processedCount % 50 === 0) {
+      await updateCampaignStats(campaignId);
+    }
+  } catch (error) {
+    logger.error(`Error updating scheduled progress of campaign ${campaignId}:`, error);
+  }
+}
+
 /**
  * Initialize campaign worker
  */
@@ -519,4 +693,6 @@ export default {
   renderTemplate,
   calculateCampaignMetrics,
   updateCampaignStats,
+  isScheduledMessageSendable,
+  updateScheduledCampaignProgress,
 };
@@ -110,6 +110,7 @@ const processChatbotConversation = async (job) => {
     });
 
     const sentMessage = await messageService.sendMessage({
+      teamId: contact.team_id,
       userId: chatbot.user_id,
       whatsappAccountId: chatbot.account_id,
       to: contact.phone,
@@ -183,6 +184,7 @@ const processChatbotConversation = async (job) => {
         });
 
         await messageService.sendMessage({
+          teamId: contact.team_id,
           userId: chatbot.user_id,
           whatsappAccountId: chatbot.account_id,
           to: contact.phone,
@@ -248,6 +250,7 @@ const getOrCreateConversation = async (chatbot, contactId) => {
       });
 
       const welcomeMsg = await messageService.sendMessage({
+        teamId: contact.team_id,
         userId: chatbot.user_id,
         whatsappAccountId: chatbot.account_id,
         to: contact.phone,
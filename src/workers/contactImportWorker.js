@@ -1,22 +1,91 @@
 /**
  * Contact Import Worker
  *
- * Processes contact import jobs from the queue
+ * Processes contact import jobs from the queue, and dry runs of previewed imports
  */
 
+import crypto from 'crypto';
+import { Prisma } from '@prisma/client';
 import contactImportQueue from '../queues/contactImportQueue.js';
 import prisma from '../config/database.js';
 import logger from '../utils/logger.js';
 import { validateContactData, normalizeContactData } from '../utils/fileParser.js';
+import { resolveCountry } from '../services/phoneNumberService.js';
+import customFieldService from '../services/customFieldService.js';
+import { MERGE_FIELDS, resolveMergedFields } from '../services/contactMergeService.js';
+import { validateCustomFields } from '../utils/customFields.js';
+import { applyColumnMapping } from '../utils/importMapping.js';
 
 // Batch size for processing
 const BATCH_SIZE = 100;
 
+/**
+ * Save an import's progress
+ * Dry runs record their counts in dry_run and leave the import's own counts alone.
+ */
+async function saveProgress(importId, dryRun, results, data = {}) {
+  const counts = {
+    imported: results.imported,
+    updated: results.updated,
+    merged: results.merged,
+    skipped: results.skipped,
+    failed: results.failed,
+  };
+
+  if (dryRun) {
+    await prisma.contact_imports.update({
+      where: { id: importId },
+      data: {
+        dry_run: {
+          status: data.status,
+          ...counts,
+          errors: results.errors.slice(0, 100),
+          completedAt: data.completed_at || null,
+        },
+      },
+    });
+    return;
+  }
+
+  await prisma.contact_imports.update({
+    where: { id: importId },
+    data: {
+      ...data,
+      imported_count: counts.imported,
+      updated_count: counts.updated,
+      merged_count: counts.merged,
+      skipped_count: counts.skipped,
+      failed_count: counts.failed,
+    },
+  });
+}
+
 /**
  * Process contact import job
+ * Jobs of a previewed import carry a column mapping and read the file's rows
+ * from the import record; a dry run counts what the import would do without
+ * saving contacts.
  */
 contactImportQueue.process(async (job) => {
-  const { userId, whatsappAccountId, teamId, contacts, importId } = job.data;
+  const {
+    userId,
+    whatsappAccountId,
+    teamId,
+    importId,
+    defaultCountry,
+    mapping = null,
+    duplicateStrategy = 'skip',
+    dryRun = false,
+  } = job.data;
+
+  let { contacts } = job.data;
+  if (!contacts) {
+    const importRecord = await prisma.contact_imports.findUnique({
+      where: { id: importId },
+      select: { rows: true },
+    });
+    contacts = importRecord?.rows || [];
+  }
 
   logger.info(`Starting contact import job ${job.id}`, {
     userId,
@@ -24,11 +93,15 @@ contactImportQueue.process(async (job) => {
     teamId,
     totalContacts: contacts.length,
     importId,
+    duplicateStrategy,
+    dryRun,
   });
 
   const results = {
     totalContacts: contacts.length,
     imported: 0,
+    updated: 0,
+    merged: 0,
     skipped: 0,
     failed: 0,
     errors: [],
@@ -36,20 +109,39 @@ contactImportQueue.process(async (job) => {
 
   try {
     // Update import status to processing
-    await prisma.contact_imports.update({
-      where: { id: importId },
-      data: {
-        status: 'Processing',
-        started_at: new Date(),
-      },
-    });
+    if (dryRun) {
+      await saveProgress(importId, true, results, { status: 'Processing' });
+    } else {
+      await prisma.contact_imports.update({
+        where: { id: importId },
+        data: {
+          status: 'Processing',
+          started_at: new Date(),
+        },
+      });
+    }
+
+    const context = {
+      teamId,
+      defaultCountry,
+      mapping,
+      duplicateStrategy,
+      dryRun,
+      // Custom fields of each contact are checked against the team's definitions
+      definitions: await customFieldService.getDefinitions(teamId),
+      // Contacts a dry run would have saved by phone, so later rows with the number find them
+      dryRunContacts: new Map(),
+      tagIds: new Map(),
+    };
 
     // Process contacts in batches
     for (let i = 0; i < contacts.length; i += BATCH_SIZE) {
       const batch = contacts.slice(i, i + BATCH_SIZE);
-      const batchResults = await processBatch(batch, teamId);
+      const batchResults = await processBatch(batch, context);
 
       results.imported += batchResults.imported;
+      results.updated += batchResults.updated;
+      results.merged += batchResults.merged;
       results.skipped += batchResults.skipped;
       results.failed += batchResults.failed;
       results.errors.push(...batchResults.errors);
@@ -59,32 +151,26 @@ contactImportQueue.process(async (job) => {
       await job.progress(progress);
 
       // Update import record with progress
-      await prisma.contact_imports.update({
-        where: { id: importId },
-        data: {
-          processed_count: i + batch.length,
-          imported_count: results.imported,
-          skipped_count: results.skipped,
-          failed_count: results.failed,
-        },
+      await saveProgress(importId, dryRun, results, {
+        status: 'Processing',
+        processed_count: i + batch.length,
       });
     }
 
-    // Update import status to completed
-    await prisma.contact_imports.update({
-      where: { id: importId },
-      data: {
-        status: 'Completed',
-        completed_at: new Date(),
-        processed_count: results.totalContacts,
-        imported_count: results.imported,
-        skipped_count: results.skipped,
-        failed_count: results.failed,
-        errors: results.errors.slice(0, 100), // Store first 100 errors
-      },
+    // Update import status to completed; the file's rows are no longer needed
+    await saveProgress(importId, dryRun, results, {
+      status: 'Completed',
+      completed_at: new Date(),
+      processed_count: results.totalContacts,
+      errors: results.errors.slice(0, 100), // Store first 100 errors
+      ...(!dryRun && { rows: Prisma.DbNull }),
     });
 
-    logger.info(`Contact import job ${job.id} completed successfully`, results);
+    logger.info(`Contact import job ${job.id} completed successfully`, {
+      ...results,
+      errors: results.errors.length,
+      dryRun,
+    });
 
     return results;
   } catch (error) {
@@ -94,37 +180,183 @@ contactImportQueue.process(async (job) => {
     });
 
     // Update import status to failed
-    await prisma.contact_imports.update({
-      where: { id: importId },
-      data: {
-        status: 'Failed',
-        completed_at: new Date(),
-        errors: [{ message: error.message }],
-      },
-    });
+    if (dryRun) {
+      await saveProgress(
+        importId,
+        true,
+        { ...results, errors: [{ message: error.message }] },
+        { status: 'Failed', completed_at: new Date() }
+      );
+    } else {
+      await prisma.contact_imports.update({
+        where: { id: importId },
+        data: {
+          status: 'Failed',
+          completed_at: new Date(),
+          errors: [{ message: error.message }],
+        },
+      });
+    }
 
     throw error;
   }
 });
 
+/**
+ * Find the contact a phone number belongs to
+ * Contacts merged into another keep their number, so it leads to the contact
+ * they were merged into.
+ * @returns {Promise<Object|null>} Contact, or null if the team has none with the number
+ * @throws {Error} If the number belongs to a deleted contact
+ */
+async function findExistingContact(teamId, phone) {
+  const contact = await prisma.contacts.findUnique({
+    where: { team_id_phone: { team_id: teamId, phone } },
+  });
+
+  if (!contact || !contact.deleted_at) {
+    return contact;
+  }
+
+  const primary =
+    contact.merged_into_id &&
+    (await prisma.contacts.findFirst({
+      where: { id: contact.merged_into_id, deleted_at: null },
+    }));
+
+  if (!primary) {
+    throw new Error('Phone number belongs to a deleted contact');
+  }
+
+  return primary;
+}
+
+/**
+ * Split an imported name into first and last name
+ * Mapped first and last name columns are kept as they are.
+ */
+function splitName(normalized) {
+  if (normalized.firstName || normalized.lastName) {
+    return { firstName: normalized.firstName || '', lastName: normalized.lastName || '' };
+  }
+
+  const nameParts = normalized.name.trim().split(' ');
+  return { firstName: nameParts[0] || '', lastName: nameParts.slice(1).join(' ') || '' };
+}
+
+/**
+ * Contact fields of an imported row, as stored
+ */
+function toContactFields(normalized) {
+  const { firstName, lastName } = splitName(normalized);
+
+  return {
+    first_name: firstName,
+    last_name: lastName,
+    email: normalized.email || null,
+    company: normalized.company || null,
+    city: normalized.city || null,
+    country: normalized.country || null,
+    notes: normalized.notes || null,
+  };
+}
+
+/**
+ * Changes to make to an existing contact
+ * update: the row's values replace the contact's, empty cells leave them as they are.
+ * merge: the contact keeps its values and only takes the row's for fields it has
+ * no value for, as when merging duplicates; notes are appended.
+ * Custom fields are combined the same way.
+ * @returns {Object} Contact data, with the combined custom_fields
+ */
+function resolveExistingChanges(existing, imported, customFields, duplicateStrategy) {
+  if (duplicateStrategy === 'merge') {
+    const merged = resolveMergedFields(existing, [
+      { ...imported, id: null, custom_fields: customFields, updated_at: new Date() },
+    ]);
+    const data = { notes: merged.notes, custom_fields: merged.custom_fields };
+    MERGE_FIELDS.forEach((field) => {
+      if (field in imported) data[field] = merged[field];
+    });
+    return data;
+  }
+
+  const data = Object.fromEntries(Object.entries(imported).filter(([, value]) => value));
+  data.custom_fields = { ...(existing.custom_fields || {}), ...customFields };
+  return data;
+}
+
+/**
+ * IDs of the team's tags with these names, creating the missing ones
+ * Tags found are cached for the rest of the job.
+ */
+async function resolveTagIds(teamId, names, cache) {
+  for (const name of names.filter((tagName) => !cache.has(tagName))) {
+    const tag = await prisma.tags.upsert({
+      where: { team_id_name: { team_id: teamId, name } },
+      update: {},
+      create: {
+        id: crypto.randomUUID(),
+        team_id: teamId,
+        name,
+        color: '#3B82F6',
+        updated_at: new Date(),
+      },
+    });
+    cache.set(name, tag.id);
+  }
+
+  return names.map((name) => cache.get(name));
+}
+
+/**
+ * Tag a contact with the row's tags
+ */
+async function applyTags(contactId, tags, context) {
+  if (tags.length === 0) return;
+
+  const tagIds = await resolveTagIds(context.teamId, tags, context.tagIds);
+
+  await prisma.contact_tags.createMany({
+    data: tagIds.map((tagId) => ({
+      id: crypto.randomUUID(),
+      contact_id: contactId,
+      tag_id: tagId,
+    })),
+    skipDuplicates: true,
+  });
+}
+
 /**
  * Process a batch of contacts
+ * Numbers without a country code are read in the contact's country, else defaultCountry.
+ * Rows whose number the team already has are skipped, or update or merge into
+ * the contact depending on the duplicate strategy.
+ * @param {Array<Object>} batch - Parsed rows
+ * @param {Object} context - { teamId, defaultCountry, definitions, mapping, duplicateStrategy, dryRun, dryRunContacts, tagIds }
  */
-async function processBatch(batch, teamId) {
+async function processBatch(batch, context) {
+  const { teamId, defaultCountry, definitions, mapping, duplicateStrategy, dryRun } = context;
   const results = {
     imported: 0,
+    updated: 0,
+    merged: 0,
     skipped: 0,
     failed: 0,
     errors: [],
   };
 
   for (const rawContact of batch) {
-    try {
-      // Normalize contact data
-      const normalized = normalizeContactData(rawContact);
+    // Rows of previewed imports are read through the mapping the user chose
+    const normalized = mapping
+      ? applyColumnMapping(rawContact, mapping)
+      : normalizeContactData(rawContact);
 
+    try {
       // Validate contact data
-      const validation = validateContactData(normalized);
+      const validation = validateContactData(normalized, {
+        defaultCountry: resolveCountry(normalized.country, defaultCountry),
+      });
 
       if (!validation.isValid) {
         results.failed++;
@@ -137,49 +369,67 @@ async function processBatch(batch, teamId) {
       }
 
       // Check for duplicate
-      const existing = await prisma.contacts.findFirst({
-        where: {
-          team_id: teamId,
-          phone: normalized.phone,
-          deleted_at: null,
-        },
-      });
+      const existing =
+        (dryRun && context.dryRunContacts.get(validation.phone)) ||
+        (await findExistingContact(teamId, validation.phone));
 
-      if (existing) {
+      if (existing && duplicateStrategy === 'skip') {
         results.skipped++;
         continue;
       }
 
-      // Split name into first and last name
-      const nameParts = normalized.name.trim().split(' ');
-      const firstName = nameParts[0] || '';
-      const lastName = nameParts.slice(1).join(' ') || '';
+      const imported = toContactFields(normalized);
+      const changes = existing
+        ? resolveExistingChanges(existing, imported, normalized.customFields, duplicateStrategy)
+        : { ...imported, custom_fields: normalized.customFields };
 
-      // Create contact
-      await prisma.contacts.create({
-        data: {
-          id: (await import('uuid')).v4(),
-          team_id: teamId,
-          phone: normalized.phone,
-          first_name: firstName,
-          last_name: lastName,
-          email: normalized.email || null,
-          company: normalized.company || null,
-          city: normalized.city || null,
-          country: normalized.country || null,
-          custom_fields: normalized.customFields || {},
-          notes: normalized.notes || null,
-          source: 'Import',
-          updated_at: new Date(),
-        },
+      // Required custom fields are checked on the contact's combined custom fields
+      const customFields = validateCustomFields(definitions, changes.custom_fields, {
+        applyDefaults: !existing,
       });
 
-      results.imported++;
+      if (customFields.errors.length > 0) {
+        results.failed++;
+        results.errors.push({
+          phone: normalized.phone,
+          name: normalized.name,
+          errors: customFields.errors,
+        });
+        continue;
+      }
+
+      const data = { ...changes, custom_fields: customFields.values, updated_at: new Date() };
+
+      if (dryRun) {
+        context.dryRunContacts.set(validation.phone, { ...existing, ...data });
+      } else {
+        const contact = existing
+          ? await prisma.contacts.update({ where: { id: existing.id }, data })
+          : await prisma.contacts.create({
+              data: {
+                ...data,
+                id: crypto.randomUUID(),
+                team_id: teamId,
+                phone: validation.phone,
+                source: 'Import',
+              },
+            });
+
+        await applyTags(contact.id, normalized.tags || [], context);
+      }
+
+      if (!existing) {
+        results.imported++;
+      } else if (duplicateStrategy === 'merge') {
+        results.merged++;
+      } else {
+        results.updated++;
+      }
     } catch (error) {
       results.failed++;
       results.errors.push({
-        phone: rawContact.phone || 'unknown',
-        name: rawContact.name || 'unknown',
+        phone: normalized.phone || 'unknown',
+        name: normalized.name || 'unknown',
         errors: [error.message],
       });
       logger.error('Failed to import contact', {
@@ -5,180 +5,225 @@
 
 import { messageQueue } from '../queues/index.js';
 import messageModel from '../models/message.js';
+import contactModel from '../models/contact.js';
 import whatsappService from '../services/whatsappService.js';
+import senderPoolService from '../services/senderPoolService.js';
+import whatsappAccountModel from '../models/whatsappAccount.js';
+import { isScheduledMessageSendable, updateScheduledCampaignProgress } from './campaignWorker.js';
 import logger from '../utils/logger.js';
 
 /**
- * Process message sending jobs
- * Only start processing if not in test environment
+ * Send the message of a message job
+ * Campaign messages count towards the sending account's daily limit once sent;
+ * other messages were counted when they were queued (see messageService.sendMessage).
+ * @param {Object} job - Bull job
+ * @returns {Promise<Object>} Send result
  */
-if (process.env.NODE_ENV !== 'test') {
-  // Process with concurrency of 10
-  messageQueue.process(10, async (job) => {
-    const {
-      messageId,
-      campaignId,
-      campaignMessageId,
-      accountId,
-      contactId,
-      to,
-      type,
-      content,
-      templateId,
-      templateVariables,
-      retryCount = 0,
-    } = job.data;
-
-    logger.info(`Processing message job`, {
-      jobId: job.id,
-      messageId,
-      campaignId,
-      campaignMessageId,
-      retryCount,
-      attempt: job.attemptsMade,
-    });
+export async function processMessageJob(job) {
+  const {
+    messageId,
+    campaignId,
+    campaignMessageId,
+    accountId,
+    contactId,
+    to,
+    type,
+    content,
+    templateId,
+    templateVariables,
+    scheduledFor,
+    retryCount = 0,
+  } = job.data;
 
-    try {
-      let message;
-      const isCampaignMessage = !!campaignId;
-
-      // Handle campaign messages differently
-      if (isCampaignMessage) {
-        // Send message directly for campaign
-        const result = await whatsappService.sendMessage({
-          whatsappAccountId: accountId,
-          to,
-          type,
-          content,
-          templateId,
-          templateVariables,
-        });
-
-        // Update campaign message status
-        const { PrismaClient } = await import('@prisma/client');
-        const prisma = new PrismaClient();
-
-        await prisma.campaign_messages.update({
-          where: { id: campaignMessageId },
-          data: {
-            status: 'sent',
-            whatsapp_message_id: result.whatsappMessageId,
-            sent_at: new Date(),
-          },
-        });
+  logger.info(`Processing message job`, {
+    jobId: job.id,
+    messageId,
+    campaignId,
+    campaignMessageId,
+    retryCount,
+    attempt: job.attemptsMade,
+  });
 
-        await prisma.$disconnect();
+  try {
+    let message;
+    const isCampaignMessage = !!campaignId;
 
-        logger.info(`Campaign message sent successfully`, {
+    // Handle campaign messages differently
+    if (isCampaignMessage) {
+      // Send-time optimized messages wait for their slot; the campaign may have been paused since
+      if (scheduledFor && !(await isScheduledMessageSendable(campaignId, campaignMessageId))) {
+        logger.info(`Campaign is no longer running, skipping scheduled message`, {
           jobId: job.id,
           campaignId,
           campaignMessageId,
-          whatsappMessageId: result.whatsappMessageId,
         });
+        return { campaignMessageId, status: 'skipped', skipped: true };
+      }
 
-        return {
-          campaignMessageId,
-          whatsappMessageId: result.whatsappMessageId,
-          status: 'sent',
-        };
-      } else {
-        // Handle regular messages
-        message = await messageModel.findById(messageId);
+      // Sender pools fail over to another account when the planned one cannot send
+      const senderId = await senderPoolService.resolveSender(campaignId, contactId, accountId);
+      if (!senderId) {
+        throw new Error('No WhatsApp account of the sender pool can send');
+      }
 
-        if (!message) {
-          throw new Error(`Message not found: ${messageId}`);
-        }
+      // Send message directly for campaign
+      const result = await whatsappService.processWhatsAppMessage({
+        whatsappAccountId: senderId,
+        to,
+        type,
+        content,
+        templateId,
+        templateVariables,
+      });
 
-        // Check if message is already sent
-        if (
-          message.status === 'Sent' ||
-          message.status === 'Delivered' ||
-          message.status === 'Read'
-        ) {
-          logger.info(`Message already sent, skipping`, { messageId });
-          return { messageId, status: message.status, skipped: true };
-        }
+      // Update campaign message status
+      const { PrismaClient } = await import('@prisma/client');
+      const prisma = new PrismaClient();
 
-        // Send message via WhatsApp service
-        const result = await whatsappService.sendMessage({
-          whatsappAccountId: message.whatsappAccountId,
-          to: message.contact.phone,
-          type: message.type,
-          content: message.content,
-          mediaUrl: message.mediaUrl,
-        });
+      await prisma.campaign_messages.update({
+        where: { id: campaignMessageId },
+        data: {
+          status: 'sent',
+          whatsapp_message_id: result.whatsappMessageId,
+          sent_at: new Date(),
+          account_id: senderId,
+        },
+      });
 
-        // Update message status to Sent
-        await messageModel.updateStatus(messageId, 'Sent', {
-          whatsappMessageId: result.whatsappMessageId || message.whatsappMessageId,
-          sentAt: new Date(),
-        });
+      await prisma.$disconnect();
 
-        logger.info(`Message sent successfully`, {
-          jobId: job.id,
-          messageId,
-          whatsappMessageId: result.whatsappMessageId,
-        });
+      // Counts towards the account's daily message limit
+      await whatsappAccountModel.incrementMessagesSent(senderId);
 
-        return {
-          messageId,
-          whatsappMessageId: result.whatsappMessageId,
-          status: 'Sent',
-        };
+      if (scheduledFor) {
+        await updateScheduledCampaignProgress(campaignId);
       }
-    } catch (error) {
-      logger.error(`Message job failed`, {
+
+      logger.info(`Campaign message sent successfully`, {
         jobId: job.id,
-        messageId,
         campaignId,
         campaignMessageId,
-        error: error.message,
-        attempt: job.attemptsMade,
-        stack: error.stack,
+        whatsappMessageId: result.whatsappMessageId,
       });
 
-      // Update message status to Failed if this is the last attempt
-      if (job.attemptsMade >= job.opts.attempts) {
-        try {
-          if (campaignMessageId) {
-            // Update campaign message status
-            const { PrismaClient } = await import('@prisma/client');
-            const prisma = new PrismaClient();
-
-            await prisma.campaign_messages.update({
-              where: { id: campaignMessageId },
-              data: {
-                status: 'failed',
-                error_message: error.message,
-                failed_at: new Date(),
-              },
-            });
-
-            await prisma.$disconnect();
-
-            logger.error(`Campaign message marked as failed after ${job.attemptsMade} attempts`, {
-              campaignMessageId,
-            });
-          } else if (messageId) {
-            await messageModel.updateStatus(messageId, 'Failed', {
-              errorMessage: error.message,
-            });
-            logger.error(`Message marked as failed after ${job.attemptsMade} attempts`, {
-              messageId,
-            });
+      return {
+        campaignMessageId,
+        whatsappMessageId: result.whatsappMessageId,
+        status: 'sent',
+      };
+    } else {
+      // Handle regular messages
+      message = await messageModel.findById(messageId);
+
+      if (!message) {
+        throw new Error(`Message not found: ${messageId}`);
+      }
+
+      // Check if message is already sent
+      if (['sent', 'delivered', 'read'].includes(message.status)) {
+        logger.info(`Message already sent, skipping`, { messageId });
+        return { messageId, status: message.status, skipped: true };
+      }
+
+      const contact = await contactModel.findById(message.contactId);
+      if (!contact) {
+        throw new Error(`Contact not found: ${message.contactId}`);
+      }
+
+      // Send message via WhatsApp service
+      const result = await whatsappService.processWhatsAppMessage({
+        whatsappAccountId: message.accountId,
+        to: contact.phone,
+        type: message.messageType,
+        content: message.content,
+        mediaUrl: message.mediaUrl,
+        contextMessageId: message.contextMessageId,
+        payload: message.payload,
+      });
+
+      // Update message status to Sent
+      await messageModel.updateStatus(messageId, 'Sent', {
+        whatsappMessageId: result.whatsappMessageId || message.whatsappMessageId,
+        sentAt: new Date(),
+      });
+
+      logger.info(`Message sent successfully`, {
+        jobId: job.id,
+        messageId,
+        whatsappMessageId: result.whatsappMessageId,
+      });
+
+      return {
+        messageId,
+        whatsappMessageId: result.whatsappMessageId,
+        status: 'Sent',
+      };
+    }
+  } catch (error) {
+    logger.error(`Message job failed`, {
+      jobId: job.id,
+      messageId,
+      campaignId,
+      campaignMessageId,
+      error: error.message,
+      attempt: job.attemptsMade,
+      stack: error.stack,
+    });
+
+    // Update message status to Failed if this is the last attempt
+    if (job.attemptsMade >= job.opts.attempts) {
+      try {
+        if (campaignMessageId) {
+          // Update campaign message status
+          const { PrismaClient } = await import('@prisma/client');
+          const prisma = new PrismaClient();
+
+          await prisma.campaign_messages.update({
+            where: { id: campaignMessageId },
+            data: {
+              status: 'failed',
+              error_message: error.message,
+              failed_at: new Date(),
+            },
+          });
+
+          await prisma.$disconnect();
+
+          if (scheduledFor) {
+            await updateScheduledCampaignProgress(campaignId);
           }
-        } catch (updateError) {
-          logger.error(`Failed to update message status`, {
-            messageId,
+
+          logger.error(`Campaign message marked as failed after ${job.attemptsMade} attempts`, {
             campaignMessageId,
-            error: updateError.message,
+          });
+        } else if (messageId) {
+          await messageModel.updateStatus(messageId, 'Failed', {
+            errorMessage: error.message,
+          });
+          logger.error(`Message marked as failed after ${job.attemptsMade} attempts`, {
+            messageId,
           });
         }
+      } catch (updateError) {
+        logger.error(`Failed to update message status`, {
+          messageId,
+          campaignMessageId,
+          error: updateError.message,
+        });
       }
-
-      throw error;
     }
-  });
+
+    throw error;
+  }
+}
+
+/**
+ * Process message sending jobs
+ * Only start processing if not in test environment
+ */
+if (process.env.NODE_ENV !== 'test') {
+  // Process with concurrency of 10
+  messageQueue.process(10, processMessageJob);
 
   /**
    * Queue event handlers
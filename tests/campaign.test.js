@@ -2,6 +2,20 @@ import request from 'supertest';
 import { PrismaClient } from '@prisma/client';
 import crypto from 'crypto';
 import app from '../src/app.js';
+import {
+  processABTestRollouts,
+  selectWinner,
+  processRecurringCampaigns,
+  processSequenceCampaigns,
+} from '../src/services/campaignService.js';
+import { probabilityToBeBest, twoProportionZTest } from '../src/utils/abTestStatistics.js';
+import { getNextOccurrence } from '../src/utils/recurrence.js';
+import sendTimeService from '../src/services/sendTimeService.js';
+import senderPoolService, { pickAccount } from '../src/services/senderPoolService.js';
+import { estimateSendDuration } from '../src/services/campaignPreviewService.js';
+import campaignAttributionService, {
+  findLinks,
+} from '../src/services/campaignAttributionService.js';
 
 const prisma = new PrismaClient();
 
@@ -10,7 +24,7 @@ let sharedTestUser;
 let sharedAccessToken;
 let sharedWhatsappAccount;
 let sharedSegment;
-let sharedContacts = [];
+const sharedContacts = [];
 
 // Global setup before all tests
 beforeAll(async () => {
@@ -275,6 +289,25 @@ describe('Campaign Management', () => {
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
     });
+
+    test('should fail with invalid personalization syntax', async () => {
+      const response = await request(app)
+        .post('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({
+          name: 'Test Campaign - Invalid Syntax',
+          accountId: sharedWhatsappAccount.id,
+          messageType: 'text',
+          messageContent: 'Hello {{first_name | "there"}}!\n{{#if custom_fields.vip}}VIP offer',
+          audienceType: 'all',
+          audienceConfig: {},
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        'Invalid template syntax in message content (line 2): {{#if}} is never closed'
+      );
+    });
   });
 
   describe('Campaign Scheduling and Execution', () => {
@@ -885,6 +918,1061 @@ describe('Campaign Management', () => {
         expect(variant.metrics).toHaveProperty('total');
       });
     });
+
+    const createExperiment = (name, options) =>
+      request(app)
+        .post('/api/v1/campaigns/ab-test')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({
+          name,
+          accountId: sharedWhatsappAccount.id,
+          variants: [
+            { name: 'Variant A', messageType: 'text', messageContent: 'Variant A', percentage: 50 },
+            { name: 'Variant B', messageType: 'text', messageContent: 'Variant B', percentage: 50 },
+          ],
+          audienceType: 'custom',
+          audienceConfig: { contactIds: sharedContacts.map((c) => c.id) },
+          ...options,
+        });
+
+    test('should split the audience into holdout, test cohort and rollout audience', async () => {
+      const response = await createExperiment('Test Campaign - Holdout', {
+        holdoutPercentage: 20,
+        testCohortPercentage: 50,
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.total_recipients).toBe(8);
+      expect(response.body.data.ab_test_config.rolloutStatus).toBe('awaiting');
+
+      const messages = await prisma.campaign_messages.findMany({
+        where: { campaign_id: response.body.data.id },
+      });
+      const countOf = (status) => messages.filter((m) => m.status === status).length;
+      const [variantA, variantB] = response.body.data.ab_test_config.variants;
+
+      expect(countOf('holdout')).toBe(2);
+      expect(countOf('awaiting_rollout')).toBe(4);
+      expect(messages.filter((m) => m.variant_id === variantA.id)).toHaveLength(2);
+      expect(messages.filter((m) => m.variant_id === variantB.id)).toHaveLength(2);
+    });
+
+    test('should report significance and the minimum sample size guard', async () => {
+      const createResponse = await createExperiment('Test Campaign - Significance', {
+        minSampleSize: 5,
+      });
+      const campaignId = createResponse.body.data.id;
+      const [variantA] = createResponse.body.data.ab_test_config.variants;
+
+      await prisma.campaign_messages.updateMany({
+        where: { campaign_id: campaignId, variant_id: variantA.id },
+        data: { status: 'read' },
+      });
+      await prisma.campaign_messages.updateMany({
+        where: { campaign_id: campaignId, variant_id: { not: variantA.id } },
+        data: { status: 'delivered' },
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/campaigns/${campaignId}/ab-test/results`)
+        .set('Authorization', `Bearer ${sharedAccessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.analysis).toMatchObject({
+        winnerCriteria: 'read_rate',
+        leaderVariantId: variantA.id,
+        hasMinimumSample: true,
+        significant: true,
+        recommendedWinnerId: variantA.id,
+      });
+
+      const leader = response.body.data.variants.find((v) => v.variantId === variantA.id);
+      expect(leader.statistics.conversionRate).toBe(100);
+      expect(leader.statistics.pValue).toBeNull();
+      expect(leader.statistics.probabilityToBeBest).toBeGreaterThan(0.9);
+    });
+
+    test('should roll out the leader once the test window ends', async () => {
+      const createResponse = await createExperiment('Test Campaign - Rollout', {
+        testCohortPercentage: 40,
+        testDuration: 1,
+        minSampleSize: 1000,
+      });
+      const campaignId = createResponse.body.data.id;
+      const [variantA] = createResponse.body.data.ab_test_config.variants;
+
+      await prisma.campaigns.update({
+        where: { id: campaignId },
+        data: {
+          status: 'running',
+          ab_test_config: {
+            ...createResponse.body.data.ab_test_config,
+            testStartedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+          },
+        },
+      });
+      await prisma.campaign_messages.updateMany({
+        where: { campaign_id: campaignId, variant_id: variantA.id },
+        data: { status: 'read' },
+      });
+      await prisma.campaign_messages.updateMany({
+        where: { campaign_id: campaignId, status: 'pending' },
+        data: { status: 'delivered' },
+      });
+
+      await processABTestRollouts();
+
+      const campaign = await prisma.campaigns.findUnique({ where: { id: campaignId } });
+      expect(campaign.winning_variant_id).toBe(variantA.id);
+      expect(campaign.status).toBe('scheduled');
+      expect(campaign.ab_test_config.rolloutStatus).toBe('rolled_out');
+      // Below the minimum sample size the result cannot be significant
+      expect(campaign.ab_test_config.decision).toMatchObject({
+        reason: 'inconclusive',
+        rolloutSize: 6,
+      });
+
+      const pending = await prisma.campaign_messages.count({
+        where: { campaign_id: campaignId, status: 'pending', variant_id: null },
+      });
+      expect(pending).toBe(6);
+    });
+
+    test('should roll out only one of two winners picked at the same time', async () => {
+      const createResponse = await createExperiment('Test Campaign - Concurrent Winners', {
+        testCohortPercentage: 40,
+        autoSelectWinner: false,
+      });
+      const campaignId = createResponse.body.data.id;
+      const variantIds = createResponse.body.data.ab_test_config.variants.map((v) => v.id);
+
+      const results = await Promise.allSettled(
+        variantIds.map((variantId) => selectWinner(sharedTestUser.teamId, campaignId, variantId))
+      );
+      const picked = results.filter((r) => r.status === 'fulfilled');
+      const rejected = results.filter((r) => r.status === 'rejected');
+
+      expect(picked).toHaveLength(1);
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].reason.message).toBe('A winning variant has already been selected');
+
+      const campaign = await prisma.campaigns.findUnique({ where: { id: campaignId } });
+      expect(campaign.winning_variant_id).toBe(picked[0].value.winning_variant_id);
+      expect(campaign.ab_test_config.decision).toMatchObject({
+        reason: 'manual',
+        variantId: campaign.winning_variant_id,
+        rolloutSize: 6,
+      });
+    });
+
+    test('should mark an inconclusive test without rolling it out when configured', async () => {
+      const createResponse = await createExperiment('Test Campaign - Inconclusive', {
+        testCohortPercentage: 40,
+        testDuration: 1,
+        rolloutIfInconclusive: false,
+      });
+      const campaignId = createResponse.body.data.id;
+
+      await prisma.campaigns.update({
+        where: { id: campaignId },
+        data: {
+          status: 'running',
+          ab_test_config: {
+            ...createResponse.body.data.ab_test_config,
+            testStartedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+          },
+        },
+      });
+      await prisma.campaign_messages.updateMany({
+        where: { campaign_id: campaignId, status: 'pending' },
+        data: { status: 'delivered' },
+      });
+
+      await processABTestRollouts();
+
+      const campaign = await prisma.campaigns.findUnique({ where: { id: campaignId } });
+      expect(campaign.winning_variant_id).toBeNull();
+      expect(campaign.ab_test_config.rolloutStatus).toBe('inconclusive');
+
+      const awaiting = await prisma.campaign_messages.count({
+        where: { campaign_id: campaignId, status: 'awaiting_rollout' },
+      });
+      expect(awaiting).toBe(6);
+    });
+
+    describe('Statistics', () => {
+      test('should compute a two-proportion z-test', () => {
+        const { z, pValue } = twoProportionZTest(120, 1000, 90, 1000);
+
+        expect(z).toBeCloseTo(2.19, 2);
+        expect(pValue).toBeCloseTo(0.0287, 3);
+        expect(twoProportionZTest(0, 0, 5, 10).pValue).toBe(1);
+      });
+
+      test('should estimate the probability of each variant being best', () => {
+        const [clearWinner, loser] = probabilityToBeBest([
+          { conversions: 150, trials: 1000 },
+          { conversions: 100, trials: 1000 },
+        ]);
+
+        expect(clearWinner).toBeGreaterThan(0.99);
+        expect(clearWinner + loser).toBeCloseTo(1, 10);
+
+        const tied = probabilityToBeBest([
+          { conversions: 50, trials: 100 },
+          { conversions: 50, trials: 100 },
+        ]);
+        expect(tied[0]).toBeGreaterThan(0.4);
+        expect(tied[0]).toBeLessThan(0.6);
+      });
+    });
+  });
+
+  describe('Recurring Campaigns', () => {
+    let series;
+
+    test('should compute occurrences with an interval in the series time zone', () => {
+      const config = {
+        frequency: 'weekly',
+        interval: 2,
+        daysOfWeek: [1, 3],
+        time: '10:30',
+        timezone: 'Europe/Madrid',
+        startAt: '2025-11-10T09:00:00Z',
+      };
+
+      // Wednesday 12 Nov has passed; the week of 17 Nov is skipped
+      expect(getNextOccurrence(config, new Date('2025-11-12T12:00:00Z')).toISOString()).toBe(
+        '2025-11-24T09:30:00.000Z'
+      );
+      expect(
+        getNextOccurrence(
+          { ...config, endDate: '2025-11-20T00:00:00Z' },
+          new Date('2025-11-12T12:00:00Z')
+        )
+      ).toBeNull();
+    });
+
+    test('should create a recurring series without recipients', async () => {
+      const response = await request(app)
+        .post('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({
+          name: 'Test Campaign - Recurring',
+          accountId: sharedWhatsappAccount.id,
+          messageType: 'text',
+          messageContent: 'Weekly digest',
+          audienceType: 'all',
+          audienceConfig: {},
+          scheduleType: 'recurring',
+          recurringConfig: { frequency: 'daily', maxOccurrences: 2 },
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.status).toBe('scheduled');
+      expect(response.body.data.total_recipients).toBe(0);
+      expect(response.body.data.next_run_at).toBeTruthy();
+
+      series = response.body.data;
+
+      const recipients = await prisma.campaign_messages.count({
+        where: { campaign_id: series.id },
+      });
+      expect(recipients).toBe(0);
+    });
+
+    test('should reject an invalid cron expression', async () => {
+      const response = await request(app)
+        .post('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({
+          name: 'Test Campaign - Bad Cron',
+          accountId: sharedWhatsappAccount.id,
+          messageType: 'text',
+          messageContent: 'Hi',
+          audienceType: 'all',
+          audienceConfig: {},
+          scheduleType: 'recurring',
+          recurringConfig: { frequency: 'cron', cronExpression: 'every monday' },
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should start a run with its own recipients when due', async () => {
+      const result = await processRecurringCampaigns(new Date(series.next_run_at));
+      expect(result.started).toBeGreaterThanOrEqual(1);
+
+      const run = await prisma.campaigns.findFirst({ where: { parent_campaign_id: series.id } });
+      expect(run.run_number).toBe(1);
+      expect(run.total_recipients).toBe(sharedContacts.length);
+
+      const updated = await prisma.campaigns.findUnique({ where: { id: series.id } });
+      expect(updated.occurrence_count).toBe(1);
+      expect(updated.total_recipients).toBe(0);
+      expect(new Date(updated.next_run_at) > new Date(series.next_run_at)).toBe(true);
+    });
+
+    test('should skip an occurrence while the previous run is active', async () => {
+      const updated = await prisma.campaigns.findUnique({ where: { id: series.id } });
+      await processRecurringCampaigns(updated.next_run_at);
+
+      const runs = await prisma.campaigns.count({ where: { parent_campaign_id: series.id } });
+      expect(runs).toBe(1);
+    });
+
+    test('should pause and resume the series with its runs', async () => {
+      const pauseResponse = await request(app)
+        .post(`/api/v1/campaigns/${series.id}/pause`)
+        .set('Authorization', `Bearer ${sharedAccessToken}`);
+
+      expect(pauseResponse.status).toBe(200);
+      const pausedRun = await prisma.campaigns.findFirst({
+        where: { parent_campaign_id: series.id },
+      });
+      expect(pausedRun.status).toBe('paused');
+
+      const resumeResponse = await request(app)
+        .post(`/api/v1/campaigns/${series.id}/resume`)
+        .set('Authorization', `Bearer ${sharedAccessToken}`);
+
+      expect(resumeResponse.status).toBe(200);
+      const resumedRun = await prisma.campaigns.findUnique({ where: { id: pausedRun.id } });
+      expect(resumedRun.status).toBe('scheduled');
+    });
+
+    test('should complete the series after its last occurrence', async () => {
+      await prisma.campaigns.updateMany({
+        where: { parent_campaign_id: series.id },
+        data: { status: 'completed' },
+      });
+      const current = await prisma.campaigns.findUnique({ where: { id: series.id } });
+
+      await processRecurringCampaigns(current.next_run_at);
+
+      const completed = await prisma.campaigns.findUnique({ where: { id: series.id } });
+      expect(completed.status).toBe('completed');
+      expect(completed.occurrence_count).toBe(2);
+      expect(completed.next_run_at).toBeNull();
+    });
+
+    test('should list runs with series totals', async () => {
+      const response = await request(app)
+        .get(`/api/v1/campaigns/${series.id}/runs`)
+        .set('Authorization', `Bearer ${sharedAccessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.runs.map((run) => run.run_number)).toEqual([2, 1]);
+      expect(response.body.data.totals.runs).toBe(2);
+      expect(response.body.data.totals.total_recipients).toBe(sharedContacts.length * 2);
+    });
+
+    test('should list the series but not its runs', async () => {
+      const response = await request(app)
+        .get('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .query({ search: 'Recurring', page: 1, limit: 10 });
+
+      expect(response.body.data.map((campaign) => campaign.id)).toEqual([series.id]);
+    });
+  });
+
+  describe('Send Time Optimization', () => {
+    test('should resolve a contact time zone from custom fields, then country', () => {
+      expect(
+        sendTimeService.getContactTimezone({ custom_fields: { timezone: 'Asia/Kolkata' } }, 'UTC')
+      ).toBe('Asia/Kolkata');
+      expect(sendTimeService.getContactTimezone({ country: 'ES', custom_fields: {} }, 'UTC')).toBe(
+        'Europe/Madrid'
+      );
+      expect(sendTimeService.getContactTimezone({ country: 'Atlantis' }, 'Europe/London')).toBe(
+        'Europe/London'
+      );
+    });
+
+    test('should pick the local hour with most reads and replies', () => {
+      const moments = [
+        new Date('2025-11-03T19:10:00Z'),
+        new Date('2025-11-04T19:45:00Z'),
+        new Date('2025-11-05T08:00:00Z'),
+      ];
+
+      expect(sendTimeService.getBestHour(moments, 'Europe/Madrid', 3)).toBe(20);
+      expect(sendTimeService.getBestHour(moments.slice(0, 2), 'Europe/Madrid', 3)).toBeNull();
+    });
+
+    test('should update the team default window', async () => {
+      const response = await request(app)
+        .put('/api/v1/campaigns/send-time-settings')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({ windowStart: '10:00', windowEnd: '12:00', timezone: 'UTC' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ windowStart: '10:00', minSamples: 3 });
+    });
+
+    test('should reject an invalid window time', async () => {
+      const response = await request(app)
+        .put('/api/v1/campaigns/send-time-settings')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({ windowStart: '25:00' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should spread contacts without history over the default window', async () => {
+      const response = await request(app)
+        .post('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({
+          name: 'Test Campaign - Send Time',
+          accountId: sharedWhatsappAccount.id,
+          messageType: 'text',
+          messageContent: 'Hello {{firstName}}',
+          audienceType: 'all',
+          audienceConfig: {},
+          scheduleType: 'scheduled',
+          scheduledAt: new Date(Date.now() + 3600000).toISOString(),
+          throttleConfig: { messagesPerMinute: 10 },
+          sendTimeOptimization: { enabled: true },
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.send_time_config).toEqual({ enabled: true });
+
+      const campaign = await prisma.campaigns.findUnique({ where: { id: response.body.data.id } });
+      const recipients = await prisma.campaign_messages.findMany({
+        where: { campaign_id: campaign.id },
+        include: { contacts: true },
+      });
+
+      const now = new Date('2025-11-10T08:00:00Z');
+      const plan = await sendTimeService.planSendTimes(campaign, recipients, now);
+      const sendTimes = [...plan.values()]
+        .map((slot) => slot.sendAt.getTime())
+        .sort((a, b) => a - b);
+
+      expect(plan.size).toBe(recipients.length);
+      expect(new Date(sendTimes[0]).toISOString()).toBe('2025-11-10T10:00:00.000Z');
+      // 10 messages per minute
+      expect(sendTimes[1] - sendTimes[0]).toBe(6000);
+      expect([...plan.values()].every((slot) => slot.source === 'window')).toBe(true);
+    });
+
+    test('should keep the throttle across time zones and past the horizon', async () => {
+      const campaign = {
+        team_id: sharedTestUser.teamId,
+        throttle_config: { messagesPerMinute: 60 },
+      };
+      // Berlin is inside the window at the start; London's window opens 10 seconds later
+      const recipients = ['Europe/Berlin', 'Europe/London'].flatMap((timezone) =>
+        Array.from({ length: 20 }, () => ({
+          id: crypto.randomUUID(),
+          contact_id: crypto.randomUUID(),
+          contacts: { custom_fields: { timezone } },
+        }))
+      );
+
+      const now = new Date('2025-11-10T09:59:50Z');
+      const plan = await sendTimeService.planSendTimes(campaign, recipients, now);
+      const sendTimes = [...plan.values()]
+        .map((slot) => slot.sendAt.getTime())
+        .sort((a, b) => a - b);
+
+      expect(new Date(sendTimes[0]).toISOString()).toBe('2025-11-10T09:59:50.000Z');
+      sendTimes.slice(1).forEach((sendAt, i) => {
+        expect(sendAt - sendTimes[i]).toBeGreaterThanOrEqual(1000);
+      });
+
+      // From 10:00 London time the next day, 500 messages at 1 per minute run past the horizon
+      const londonRecipients = Array.from({ length: 500 }, () => ({
+        id: crypto.randomUUID(),
+        contact_id: crypto.randomUUID(),
+        contacts: { custom_fields: { timezone: 'Europe/London' } },
+      }));
+      const slowPlan = await sendTimeService.planSendTimes(
+        { ...campaign, throttle_config: { messagesPerMinute: 1 } },
+        londonRecipients,
+        new Date('2025-11-10T18:00:00Z')
+      );
+      const slowTimes = [...slowPlan.values()]
+        .map((slot) => slot.sendAt.getTime())
+        .sort((a, b) => a - b);
+
+      expect(new Date(slowTimes[499]).toISOString()).toBe('2025-11-11T18:19:00.000Z');
+      slowTimes.slice(1).forEach((sendAt, i) => {
+        expect(sendAt - slowTimes[i]).toBe(60000);
+      });
+    });
+  });
+
+  describe('Sender Pools', () => {
+    let secondAccount;
+    let poolCampaign;
+
+    beforeAll(async () => {
+      secondAccount = await prisma.whatsapp_accounts.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: sharedTestUser.teamId,
+          user_id: sharedTestUser.id,
+          name: 'Test Pool Account',
+          phone: '+1234567891',
+          type: 'business',
+          status: 'connected',
+          health_score: 50,
+          created_at: new Date(),
+          updated_at: new Date(),
+        },
+      });
+    });
+
+    test('should pick accounts weighted by health score', () => {
+      const accounts = [
+        { id: 'healthy', health_score: 100 },
+        { id: 'warning', health_score: 50 },
+      ];
+
+      expect(pickAccount(accounts, () => 0.5).id).toBe('healthy');
+      expect(pickAccount(accounts, () => 0.9).id).toBe('warning');
+      expect(pickAccount([{ id: 'critical', health_score: 0 }])).toBeNull();
+    });
+
+    test('should create a campaign with a sender pool including its own account', async () => {
+      const response = await request(app)
+        .post('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({
+          name: 'Test Campaign - Sender Pool',
+          accountId: sharedWhatsappAccount.id,
+          messageType: 'text',
+          messageContent: 'Hello {{firstName}}',
+          audienceType: 'all',
+          audienceConfig: {},
+          senderPool: { accountIds: [secondAccount.id] },
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.sender_pool.accountIds).toEqual([
+        sharedWhatsappAccount.id,
+        secondAccount.id,
+      ]);
+      poolCampaign = response.body.data;
+    });
+
+    test('should reject a sender pool with an account of another team', async () => {
+      const response = await request(app)
+        .post('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({
+          name: 'Test Campaign - Foreign Pool',
+          accountId: sharedWhatsappAccount.id,
+          messageType: 'text',
+          messageContent: 'Hello',
+          audienceType: 'all',
+          audienceConfig: {},
+          senderPool: { accountIds: [crypto.randomUUID()] },
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Sender pool account not found');
+    });
+
+    test('should keep each contact on the same sender across runs', async () => {
+      const recipients = await prisma.campaign_messages.findMany({
+        where: { campaign_id: poolCampaign.id },
+      });
+
+      const firstPlan = await senderPoolService.planSenders(poolCampaign, recipients);
+      const secondPlan = await senderPoolService.planSenders(poolCampaign, recipients);
+
+      expect([...secondPlan.entries()]).toEqual([...firstPlan.entries()]);
+      expect(
+        [...firstPlan.values()].every((accountId) =>
+          [sharedWhatsappAccount.id, secondAccount.id].includes(accountId)
+        )
+      ).toBe(true);
+    });
+
+    test('should fail contacts over when their sender reaches its daily limit', async () => {
+      const recipients = await prisma.campaign_messages.findMany({
+        where: { campaign_id: poolCampaign.id },
+      });
+      await prisma.whatsapp_accounts.update({
+        where: { id: secondAccount.id },
+        data: { messages_sent_today: 1000 },
+      });
+
+      const plan = await senderPoolService.planSenders(poolCampaign, recipients);
+
+      expect([...plan.values()].every((accountId) => accountId === sharedWhatsappAccount.id)).toBe(
+        true
+      );
+      const movedToSecond = await prisma.contact_senders.count({
+        where: { account_id: secondAccount.id },
+      });
+      expect(movedToSecond).toBe(0);
+    });
+
+    test('should report per-account stats of the pool', async () => {
+      const response = await request(app)
+        .get(`/api/v1/campaigns/${poolCampaign.id}`)
+        .set('Authorization', `Bearer ${sharedAccessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.senders).toHaveLength(2);
+      const second = response.body.data.senders.find((s) => s.accountId === secondAccount.id);
+      expect(second).toMatchObject({ healthScore: 50, available: false });
+    });
+  });
+
+  describe('Campaign Preview', () => {
+    let previewCampaign;
+
+    beforeAll(async () => {
+      const excludedContacts = [
+        { phone: '+15550009001', first_name: 'Blocked', is_blocked: true },
+        // Same number as the first shared contact, written differently
+        { phone: '1 555 000 0000', first_name: 'Duplicate' },
+        { phone: '12345', first_name: 'Invalid' },
+      ];
+
+      const extraIds = [];
+      for (const data of excludedContacts) {
+        const contact = await prisma.contacts.create({
+          data: {
+            id: crypto.randomUUID(),
+            team_id: sharedTestUser.teamId,
+            ...data,
+            created_at: new Date(),
+            updated_at: new Date(),
+          },
+        });
+        extraIds.push(contact.id);
+      }
+
+      const response = await request(app)
+        .post('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({
+          name: 'Test Campaign - Preview',
+          accountId: sharedWhatsappAccount.id,
+          messageType: 'text',
+          messageContent: 'Hi {{firstName}}',
+          audienceType: 'custom',
+          audienceConfig: {
+            contactIds: [...sharedContacts.slice(0, 3).map((c) => c.id), ...extraIds],
+          },
+        });
+      previewCampaign = response.body.data;
+
+      await request(app)
+        .put('/api/v1/campaigns/pricing-settings')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({ defaultRate: 0.05, countryRates: { US: 0.025 } });
+    });
+
+    test('should estimate the send duration from the throttle', () => {
+      expect(
+        estimateSendDuration(201, {
+          messagesPerMinute: 60,
+          batchSize: 100,
+          delayBetweenBatches: 5000,
+        })
+      ).toBe(210000);
+      expect(estimateSendDuration(0, {})).toBe(0);
+    });
+
+    test('should report recipients, exclusions, samples, time and cost', async () => {
+      const response = await request(app)
+        .get(`/api/v1/campaigns/${previewCampaign.id}/preview?sampleSize=2`)
+        .set('Authorization', `Bearer ${sharedAccessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.audience).toMatchObject({
+        recipients: 3,
+        excluded: {
+          blocked: 1,
+          optedOut: 0,
+          invalidPhone: 1,
+          duplicates: 1,
+          frequencyCapped: 0,
+        },
+      });
+      expect(response.body.data.samples).toHaveLength(2);
+      expect(response.body.data.samples[0]).toMatchObject({
+        contactId: sharedContacts[0].id,
+        content: 'Hi Test0',
+      });
+      expect(response.body.data.estimate).toMatchObject({
+        durationMinutes: 1,
+        messagesPerMinute: 20,
+        sendingAccounts: 1,
+      });
+      expect(response.body.data.cost).toMatchObject({ currency: 'USD', total: 0.15 });
+    });
+
+    test('should not queue or record anything', async () => {
+      const before = await prisma.campaign_messages.count({
+        where: { campaign_id: previewCampaign.id },
+      });
+
+      await request(app)
+        .get(`/api/v1/campaigns/${previewCampaign.id}/preview`)
+        .set('Authorization', `Bearer ${sharedAccessToken}`);
+
+      const campaign = await prisma.campaigns.findUnique({ where: { id: previewCampaign.id } });
+      expect(campaign.status).toBe(previewCampaign.status);
+      expect(await prisma.campaign_messages.count({ where: { campaign_id: campaign.id } })).toBe(
+        before
+      );
+      expect(await prisma.marketing_sends.count({ where: { reference_id: campaign.id } })).toBe(0);
+    });
+
+    test('should return 404 for an unknown campaign', async () => {
+      const response = await request(app)
+        .get(`/api/v1/campaigns/${crypto.randomUUID()}/preview`)
+        .set('Authorization', `Bearer ${sharedAccessToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Link Tracking and Attribution', () => {
+    const contact = () => sharedContacts[6];
+    let firstCampaign;
+    let lastCampaign;
+    let integrationId;
+
+    const createCampaign = async (name) => {
+      const response = await request(app)
+        .post('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({
+          name,
+          accountId: sharedWhatsappAccount.id,
+          messageType: 'text',
+          messageContent: 'Sale ends soon: https://shop.example.com/sale',
+          audienceType: 'custom',
+          audienceConfig: { contactIds: [contact().id] },
+        });
+      return response.body.data;
+    };
+
+    const sentAt = (campaign, daysAgo) =>
+      prisma.campaign_messages.updateMany({
+        where: { campaign_id: campaign.id },
+        data: { status: 'sent', sent_at: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000) },
+      });
+
+    beforeAll(async () => {
+      firstCampaign = await createCampaign('Test Campaign - Attribution First');
+      lastCampaign = await createCampaign('Test Campaign - Attribution Last');
+      await sentAt(firstCampaign, 3);
+      await sentAt(lastCampaign, 1);
+
+      integrationId = crypto.randomUUID();
+      await prisma.ecommerce_integrations.create({
+        data: {
+          id: integrationId,
+          team_id: sharedTestUser.teamId,
+          user_id: sharedTestUser.id,
+          provider: 'Shopify',
+          store_url: 'https://attribution-store.myshopify.com',
+          access_token_encrypted: 'encrypted-token',
+          is_active: true,
+        },
+      });
+    });
+
+    afterAll(async () => {
+      await prisma.ecommerce_integrations.deleteMany({ where: { id: integrationId } });
+      await prisma.analytics_events.deleteMany({ where: { team_id: sharedTestUser.teamId } });
+    });
+
+    test('should find links without trailing punctuation or tracked links', () => {
+      expect(
+        findLinks(
+          'See https://shop.example.com/sale?ref=wa. Or (https://shop.example.com/faq), ' +
+            'https://shop.example.com/sale?ref=wa again, https://go.example.com/l/abc',
+          'https://go.example.com/l/'
+        )
+      ).toEqual(['https://shop.example.com/sale?ref=wa', 'https://shop.example.com/faq']);
+    });
+
+    test('should track clicks per recipient and redirect', async () => {
+      const message = await prisma.campaign_messages.findFirst({
+        where: { campaign_id: lastCampaign.id },
+      });
+      const content = await campaignAttributionService.trackLinks(
+        'Sale ends soon: https://shop.example.com/sale',
+        {
+          teamId: sharedTestUser.teamId,
+          campaignId: lastCampaign.id,
+          campaignMessageId: message.id,
+          contactId: contact().id,
+        }
+      );
+      const code = content.match(/\/l\/([\w-]+)$/)[1];
+
+      const response = await request(app).get(`/l/${code}`);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('https://shop.example.com/sale');
+
+      const link = await prisma.tracked_links.findUnique({ where: { code } });
+      expect(link.clicks).toBe(1);
+      const clicked = await prisma.campaign_messages.findUnique({ where: { id: message.id } });
+      expect(clicked.clicked_at).not.toBeNull();
+      expect(
+        await prisma.analytics_events.count({
+          where: { team_id: sharedTestUser.teamId, event_type: 'campaign_link_clicked' },
+        })
+      ).toBe(1);
+    });
+
+    test('should return 404 for an unknown link', async () => {
+      const response = await request(app).get('/l/unknown');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should attribute orders to the first and last campaign touch', async () => {
+      const order = await prisma.ecommerce_orders.create({
+        data: {
+          id: crypto.randomUUID(),
+          integration_id: integrationId,
+          team_id: sharedTestUser.teamId,
+          contact_id: contact().id,
+          external_order_id: 'attribution-1',
+          order_number: '1001',
+          total_amount: 80,
+          currency: 'USD',
+          status: 'Completed',
+          items: [],
+        },
+      });
+
+      const attributions = await campaignAttributionService.attributeOrder(order);
+
+      expect(attributions).toHaveLength(2);
+      expect(attributions.find((a) => a.model === 'first_touch').campaign_id).toBe(
+        firstCampaign.id
+      );
+      expect(attributions.find((a) => a.model === 'last_touch').campaign_id).toBe(lastCampaign.id);
+    });
+
+    test('should not attribute orders outside the window', async () => {
+      await request(app)
+        .put('/api/v1/campaigns/attribution-settings')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({ windowDays: 2 });
+
+      const order = await prisma.ecommerce_orders.create({
+        data: {
+          id: crypto.randomUUID(),
+          integration_id: integrationId,
+          team_id: sharedTestUser.teamId,
+          contact_id: contact().id,
+          external_order_id: 'attribution-2',
+          order_number: '1002',
+          total_amount: 20,
+          currency: 'USD',
+          status: 'Completed',
+          items: [],
+        },
+      });
+
+      const attributions = await campaignAttributionService.attributeOrder(order);
+
+      expect(attributions.map((a) => a.campaign_id)).toEqual([lastCampaign.id, lastCampaign.id]);
+    });
+
+    test('should report clicks, revenue and ROI in campaign analytics', async () => {
+      const response = await request(app)
+        .get('/api/v1/analytics/campaigns')
+        .set('Authorization', `Bearer ${sharedAccessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.attribution).toMatchObject({
+        model: 'last_touch',
+        windowDays: 2,
+      });
+      const campaign = response.body.data.topCampaignsByRevenue.find(
+        (c) => c.id === lastCampaign.id
+      );
+      expect(campaign).toMatchObject({ clicks: 1, orders: 2, revenue: 100 });
+    });
+
+    test('should reject an unknown attribution model', async () => {
+      const response = await request(app)
+        .put('/api/v1/campaigns/attribution-settings')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({ model: 'linear' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Sequence Campaigns', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const contacts = () => sharedContacts.slice(7, 10);
+    const startedAt = new Date();
+    let sequence;
+
+    const markSent = () =>
+      prisma.campaign_messages.updateMany({
+        where: { campaign_id: sequence.id, status: 'pending' },
+        data: { status: 'sent', sent_at: new Date() },
+      });
+
+    const setRunning = () =>
+      prisma.campaigns.update({ where: { id: sequence.id }, data: { status: 'running' } });
+
+    test('should create a sequence and enroll its audience', async () => {
+      const response = await request(app)
+        .post('/api/v1/campaigns/sequence')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({
+          name: 'Test Campaign - Sequence',
+          accountId: sharedWhatsappAccount.id,
+          steps: [
+            { name: 'Welcome', messageType: 'text', messageContent: 'Welcome {{first_name}}!' },
+            { delay: { value: 2 }, messageType: 'text', messageContent: 'Did you see our guide?' },
+            { delay: { value: 7 }, messageType: 'text', messageContent: 'Last chance' },
+          ],
+          exitConditions: ['tag_added'],
+          exitTags: ['Sequence Customer'],
+          audienceType: 'custom',
+          audienceConfig: { contactIds: contacts().map((contact) => contact.id) },
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.is_sequence).toBe(true);
+      expect(response.body.data.total_recipients).toBe(3);
+      expect(response.body.data.sequence_config.enrollNewContacts).toBe(false);
+
+      sequence = response.body.data;
+
+      expect(await prisma.campaign_enrollments.count({ where: { campaign_id: sequence.id } })).toBe(
+        3
+      );
+      expect(await prisma.campaign_messages.count({ where: { campaign_id: sequence.id } })).toBe(0);
+    });
+
+    test('should reject steps whose delays decrease', async () => {
+      const response = await request(app)
+        .post('/api/v1/campaigns/sequence')
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .send({
+          name: 'Test Campaign - Bad Sequence',
+          accountId: sharedWhatsappAccount.id,
+          steps: [
+            { delay: { value: 2 }, messageType: 'text', messageContent: 'Second' },
+            { delay: { value: 1 }, messageType: 'text', messageContent: 'First' },
+          ],
+          audienceType: 'all',
+          audienceConfig: {},
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should send the first step when the sequence starts', async () => {
+      await setRunning();
+
+      const result = await processSequenceCampaigns(startedAt);
+
+      expect(result.advanced).toBe(1);
+      const messages = await prisma.campaign_messages.findMany({
+        where: { campaign_id: sequence.id },
+      });
+      expect(messages).toHaveLength(3);
+      expect(messages.every((message) => message.step === 0)).toBe(true);
+
+      const campaign = await prisma.campaigns.findUnique({ where: { id: sequence.id } });
+      expect(campaign.status).toBe('scheduled');
+    });
+
+    test('should wait for the delay of the next step', async () => {
+      await markSent();
+      await setRunning();
+
+      await processSequenceCampaigns(new Date(startedAt.getTime() + DAY));
+
+      expect(await prisma.campaign_messages.count({ where: { campaign_id: sequence.id } })).toBe(3);
+    });
+
+    test('should take contacts out of the sequence when an exit condition is met', async () => {
+      const tag = await prisma.tags.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: sharedTestUser.teamId,
+          name: 'Sequence Customer',
+          updated_at: new Date(),
+        },
+      });
+      await prisma.contact_tags.create({
+        data: { id: crypto.randomUUID(), contact_id: contacts()[0].id, tag_id: tag.id },
+      });
+
+      await processSequenceCampaigns(new Date(startedAt.getTime() + 2 * DAY));
+
+      const secondStep = await prisma.campaign_messages.findMany({
+        where: { campaign_id: sequence.id, step: 1 },
+      });
+      expect(secondStep.map((message) => message.contact_id).sort()).toEqual(
+        contacts()
+          .slice(1)
+          .map((contact) => contact.id)
+          .sort()
+      );
+
+      const exited = await prisma.campaign_enrollments.findFirst({
+        where: { campaign_id: sequence.id, contact_id: contacts()[0].id },
+      });
+      expect(exited.status).toBe('exited');
+      expect(exited.exit_reason).toBe('tag_added');
+    });
+
+    test('should report results per step', async () => {
+      await markSent();
+
+      const response = await request(app)
+        .get(`/api/v1/campaigns/${sequence.id}/sequence/results`)
+        .set('Authorization', `Bearer ${sharedAccessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.steps.map((step) => step.total)).toEqual([3, 2, 0]);
+      expect(response.body.data.steps[2].waiting).toBe(2);
+      expect(response.body.data.enrollments).toMatchObject({
+        total: 3,
+        active: 2,
+        exited: 1,
+        exitReasons: { tag_added: 1 },
+      });
+
+      const recipients = await request(app)
+        .get(`/api/v1/campaigns/${sequence.id}/recipients`)
+        .set('Authorization', `Bearer ${sharedAccessToken}`)
+        .query({ step: 1 });
+
+      expect(recipients.body.data).toHaveLength(2);
+    });
+
+    test('should complete contacts after the last step', async () => {
+      await setRunning();
+
+      await processSequenceCampaigns(new Date(startedAt.getTime() + 7 * DAY));
+
+      const completed = await prisma.campaign_enrollments.count({
+        where: { campaign_id: sequence.id, status: 'completed' },
+      });
+      expect(completed).toBe(2);
+      expect(
+        await prisma.campaign_messages.count({ where: { campaign_id: sequence.id, step: 2 } })
+      ).toBe(2);
+    });
   });
 
   describe('GET /api/v1/campaigns - List Campaigns', () => {
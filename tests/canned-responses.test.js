@@ -0,0 +1,210 @@
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import app from '../src/app.js';
+import cannedResponseService from '../src/services/cannedResponseService.js';
+
+const prisma = new PrismaClient();
+
+let testUser;
+let testTeam;
+let accessToken;
+let contact;
+let cannedResponse;
+
+beforeAll(async () => {
+  await prisma.$connect();
+
+  await prisma.users.deleteMany({ where: { email: 'cannedtest@example.com' } });
+
+  const bcrypt = await import('bcryptjs');
+  const hashedPassword = await bcrypt.hash('TestPassword123!', 12);
+
+  testUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'cannedtest@example.com',
+      password_hash: hashedPassword,
+      first_name: 'Canned',
+      last_name: 'Tester',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  testTeam = await prisma.teams.create({
+    data: {
+      id: crypto.randomUUID(),
+      name: 'Canned Responses Team',
+      slug: 'test-team-canned-' + Date.now(),
+      owner_id: testUser.id,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  contact = await prisma.contacts.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      phone: '+15557770001',
+      first_name: 'Rita',
+      custom_fields: { order_id: 'A-1001' },
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  const loginResponse = await request(app).post('/api/v1/auth/login').send({
+    email: 'cannedtest@example.com',
+    password: 'TestPassword123!',
+  });
+
+  accessToken = loginResponse.body.data.accessToken;
+});
+
+afterAll(async () => {
+  await prisma.canned_responses.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+  await prisma.users.deleteMany({ where: { id: testUser.id } });
+  await prisma.$disconnect();
+});
+
+describe('Canned Responses API', () => {
+  const api = (method, path, body) => {
+    const req = request(app)
+      [method](`/api/v1/canned-responses${path}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    return body ? req.send(body) : req;
+  };
+
+  describe('POST /api/v1/canned-responses', () => {
+    it('should create a canned response with a normalized shortcode', async () => {
+      const response = await api('post', '', {
+        shortcode: '/Refund',
+        title: 'Refund issued',
+        content: 'Hi {{first_name}}, we refunded order {{custom_fields.order_id}}.',
+        category: 'Billing',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.shortcode).toBe('refund');
+      expect(response.body.data.usageCount).toBe(0);
+      expect(response.body.data.variables).toEqual(['first_name', 'custom_fields.order_id']);
+
+      cannedResponse = response.body.data;
+    });
+
+    it('should reject a duplicate shortcode', async () => {
+      const response = await api('post', '', {
+        shortcode: 'refund',
+        title: 'Another refund',
+        content: 'Done',
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('already exists');
+    });
+
+    it('should require a media type with a media URL', async () => {
+      const response = await api('post', '', {
+        shortcode: 'policy',
+        title: 'Refund policy',
+        content: 'Our policy',
+        mediaUrl: 'https://example.com/policy.pdf',
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/v1/canned-responses', () => {
+    it('should find canned responses by shortcode prefix', async () => {
+      const response = await api('get', '?search=/ref');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((item) => item.id)).toContain(cannedResponse.id);
+    });
+
+    it('should list categories with counts', async () => {
+      const response = await api('get', '/categories');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([{ category: 'Billing', count: 1 }]);
+    });
+  });
+
+  describe('POST /api/v1/canned-responses/:id/preview', () => {
+    it('should fill contact variables', async () => {
+      const response = await api('post', `/${cannedResponse.id}/preview`, {
+        contactId: contact.id,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.type).toBe('Text');
+      expect(response.body.data.content).toBe('Hi Rita, we refunded order A-1001.');
+      expect(response.body.data.missingVariables).toEqual([]);
+    });
+
+    it('should return 404 for an unknown canned response', async () => {
+      const response = await api('post', `/${crypto.randomUUID()}/preview`, {
+        contactId: contact.id,
+      });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PUT and DELETE /api/v1/canned-responses/:id', () => {
+    it('should attach media to a canned response', async () => {
+      const response = await api('put', `/${cannedResponse.id}`, {
+        mediaUrl: 'https://example.com/receipt.pdf',
+        mediaType: 'Document',
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.mediaType).toBe('Document');
+    });
+
+    it('should count uses', async () => {
+      await cannedResponseService.recordUsage(cannedResponse.id);
+
+      const response = await api('get', `/${cannedResponse.id}`);
+
+      expect(response.body.data.usageCount).toBe(1);
+      expect(response.body.data.lastUsedAt).not.toBeNull();
+    });
+
+    it('should delete a canned response', async () => {
+      const response = await api('delete', `/${cannedResponse.id}`);
+      expect(response.status).toBe(200);
+
+      const missing = await api('get', `/${cannedResponse.id}`);
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('renderContent', () => {
+    it('should blank out variables without a value', () => {
+      const { content, missing } = cannedResponseService.renderContent(
+        'Hi {{ first_name }} {{last_name}}, code {{coupon}}',
+        { first_name: 'Rita', custom_fields: {} },
+        {}
+      );
+
+      expect(content).toBe('Hi Rita , code ');
+      expect(missing).toEqual(['last_name', 'coupon']);
+    });
+
+    it('should fall back to extra variables', () => {
+      const { content } = cannedResponseService.renderContent(
+        '{{contact.first_name}}: {{coupon}}',
+        { first_name: 'Rita' },
+        { coupon: 'SAVE10' }
+      );
+
+      expect(content).toBe('Rita: SAVE10');
+    });
+  });
+});
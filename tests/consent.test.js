@@ -0,0 +1,253 @@
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import app from '../src/app.js';
+import consentService, { normalizeKeyword } from '../src/services/consentService.js';
+
+const prisma = new PrismaClient();
+
+let testUser;
+let testTeam;
+let accessToken;
+let contact;
+let inboundMessage;
+
+beforeAll(async () => {
+  await prisma.$connect();
+
+  await prisma.users.deleteMany({ where: { email: 'consenttest@example.com' } });
+
+  const bcrypt = await import('bcryptjs');
+  const hashedPassword = await bcrypt.hash('TestPassword123!', 12);
+
+  testUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'consenttest@example.com',
+      password_hash: hashedPassword,
+      first_name: 'Consent',
+      last_name: 'Tester',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  testTeam = await prisma.teams.create({
+    data: {
+      id: crypto.randomUUID(),
+      name: 'Consent Team',
+      slug: 'test-team-consent-' + Date.now(),
+      owner_id: testUser.id,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  contact = await prisma.contacts.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      phone: '+15557780001',
+      first_name: 'Rita',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  const loginResponse = await request(app).post('/api/v1/auth/login').send({
+    email: 'consenttest@example.com',
+    password: 'TestPassword123!',
+  });
+
+  accessToken = loginResponse.body.data.accessToken;
+  inboundMessage = { id: crypto.randomUUID(), content: 'Stop!', createdAt: new Date() };
+});
+
+afterAll(async () => {
+  await prisma.consent_events.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.contact_consents.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+  await prisma.users.deleteMany({ where: { id: testUser.id } });
+  await prisma.$disconnect();
+});
+
+describe('Consent Management', () => {
+  const api = (method, path, body) => {
+    const req = request(app)
+      [method](`/api/v1/consent${path}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    return body ? req.send(body) : req;
+  };
+
+  describe('normalizeKeyword', () => {
+    it('should ignore case, whitespace and surrounding punctuation', () => {
+      expect(normalizeKeyword('  stop! ')).toBe('STOP');
+      expect(normalizeKeyword('"Unsubscribe."')).toBe('UNSUBSCRIBE');
+      expect(normalizeKeyword(undefined)).toBe('');
+    });
+  });
+
+  describe('handleInboundKeyword', () => {
+    it('should ignore messages that are not exactly a keyword', async () => {
+      const result = await consentService.handleInboundKeyword(testTeam.id, contact, {
+        id: crypto.randomUUID(),
+        content: 'please stop sending these',
+      });
+
+      expect(result).toBeNull();
+    });
+
+    it('should opt the contact out of marketing with the message as proof', async () => {
+      const result = await consentService.handleInboundKeyword(
+        testTeam.id,
+        contact,
+        inboundMessage
+      );
+
+      expect(result.action).toBe('opted_out');
+      expect(result.keyword).toBe('STOP');
+      expect(result.reply).toContain('unsubscribed');
+
+      const marketing = await consentService.checkConsent(testTeam.id, contact.id, 'marketing');
+      expect(marketing.allowed).toBe(false);
+
+      const transactional = await consentService.checkConsent(
+        testTeam.id,
+        contact.id,
+        'transactional'
+      );
+      expect(transactional.allowed).toBe(true);
+    });
+
+    it('should exclude opted-out contacts from marketing audiences', async () => {
+      const where = await consentService.getConsentWhere(testTeam.id, 'marketing');
+      const recipients = await prisma.contacts.findMany({
+        where: { team_id: testTeam.id, ...where },
+        select: { id: true },
+      });
+
+      expect(recipients).toEqual([]);
+    });
+  });
+
+  describe('GET /api/v1/consent/contacts/:contactId', () => {
+    it('should return current consent and history', async () => {
+      const response = await api('get', `/contacts/${contact.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.canReceive).toEqual({ marketing: false, transactional: true });
+      expect(response.body.data.consents[0]).toMatchObject({
+        purpose: 'marketing',
+        status: 'opted_out',
+        source: 'keyword',
+        proofMessageId: inboundMessage.id,
+      });
+      expect(response.body.data.history[0].keyword).toBe('STOP');
+    });
+
+    it('should return 404 for a contact outside the team', async () => {
+      const response = await api('get', `/contacts/${crypto.randomUUID()}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/consent/contacts/:contactId', () => {
+    it('should record an opt-in given on a form', async () => {
+      const response = await api('post', `/contacts/${contact.id}`, {
+        purpose: 'marketing',
+        status: 'opted_in',
+        source: 'form',
+        note: 'Checkout checkbox',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.status).toBe('opted_in');
+
+      const consent = await consentService.getContactConsent(testTeam.id, contact.id);
+      expect(consent.canReceive.marketing).toBe(true);
+      expect(consent.history).toHaveLength(2);
+      expect(consent.history[0].recordedBy).toBe(testUser.id);
+    });
+
+    it('should reject an unknown purpose', async () => {
+      const response = await api('post', `/contacts/${contact.id}`, {
+        purpose: 'newsletter',
+        status: 'opted_in',
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Consent settings', () => {
+    it('should return the default keywords', async () => {
+      const response = await api('get', '/settings');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.optOutKeywords).toContain('STOP');
+      expect(response.body.data.optInKeywords).toContain('START');
+    });
+
+    it('should normalize custom keywords', async () => {
+      const response = await api('put', '/settings', {
+        optOutKeywords: ['stop', 'Baja'],
+        sendConfirmation: false,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.optOutKeywords).toEqual(['STOP', 'BAJA']);
+
+      const result = await consentService.handleInboundKeyword(testTeam.id, contact, {
+        id: crypto.randomUUID(),
+        content: 'baja',
+      });
+      expect(result.action).toBe('opted_out');
+      expect(result.reply).toBeNull();
+    });
+
+    it('should reject a keyword used for both opt-out and opt-in', async () => {
+      const response = await api('put', '/settings', {
+        optInKeywords: ['START', 'BAJA'],
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('cannot be both');
+    });
+
+    it('should require an explicit marketing opt-in when configured', async () => {
+      await api('put', '/settings', { requireMarketingOptIn: true });
+
+      const other = await prisma.contacts.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: testTeam.id,
+          phone: '+15557780002',
+          created_at: new Date(),
+          updated_at: new Date(),
+        },
+      });
+
+      const consent = await consentService.checkConsent(testTeam.id, other.id, 'marketing');
+      expect(consent.allowed).toBe(false);
+      expect(consent.reason).toBe('Contact has not opted in to marketing messages');
+    });
+  });
+
+  describe('GET /api/v1/consent/export', () => {
+    it('should export the consent history as CSV', async () => {
+      const response = await api('get', `/export?contactId=${contact.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+
+      const lines = response.text.split('\n');
+      expect(lines[0]).toBe(
+        'occurredAt,contactId,phone,name,channel,purpose,status,source,keyword,proofMessageId,recordedBy,note'
+      );
+      expect(lines).toHaveLength(4);
+      expect(lines[1]).toContain('STOP');
+    });
+  });
+});
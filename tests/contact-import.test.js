@@ -0,0 +1,267 @@
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import app from '../src/app.js';
+import {
+  applyColumnMapping,
+  suggestColumnMapping,
+  validateColumnMapping,
+} from '../src/utils/importMapping.js';
+
+const prisma = new PrismaClient();
+
+let testUser;
+let testTeam;
+let whatsappAccount;
+let accessToken;
+
+beforeAll(async () => {
+  await prisma.$connect();
+
+  await prisma.whatsapp_accounts.deleteMany({ where: { phone: '+14155550200' } });
+  await prisma.users.deleteMany({ where: { email: 'contactimporttest@example.com' } });
+
+  const bcrypt = await import('bcryptjs');
+  const hashedPassword = await bcrypt.hash('TestPassword123!', 12);
+
+  testUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'contactimporttest@example.com',
+      password_hash: hashedPassword,
+      first_name: 'Import',
+      last_name: 'Tester',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  testTeam = await prisma.teams.create({
+    data: {
+      id: crypto.randomUUID(),
+      name: 'Contact Import Team',
+      slug: 'test-team-contact-import-' + Date.now(),
+      owner_id: testUser.id,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  whatsappAccount = await prisma.whatsapp_accounts.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      user_id: testUser.id,
+      name: 'Contact Import Account',
+      phone: '+14155550200',
+      type: 'business',
+      status: 'connected',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  await prisma.custom_field_definitions.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      key: 'plan',
+      label: 'Plan',
+      type: 'select',
+      options: ['Free', 'Pro'],
+      updated_at: new Date(),
+    },
+  });
+
+  const loginResponse = await request(app).post('/api/v1/auth/login').send({
+    email: 'contactimporttest@example.com',
+    password: 'TestPassword123!',
+  });
+
+  accessToken = loginResponse.body.data.accessToken;
+});
+
+afterAll(async () => {
+  await prisma.contact_imports.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.custom_field_definitions.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.whatsapp_accounts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+  await prisma.users.deleteMany({ where: { id: testUser.id } });
+  await prisma.$disconnect();
+});
+
+describe('Contact Import Mapping', () => {
+  const csvContent = [
+    'Mobile No.,Nom,Courriel,Plan,Source',
+    '+14155550201,Amélie Durand,amelie@example.com,pro,Salon',
+    '+14155550202,Bruno Petit,,free,',
+  ].join('\n');
+
+  const preview = () =>
+    request(app)
+      .post('/api/v1/contacts/import/preview')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .field('whatsappAccountId', whatsappAccount.id)
+      .attach('file', Buffer.from(csvContent), 'clients.csv');
+
+  const run = (importId, action, body = {}) =>
+    request(app)
+      .post(`/api/v1/contacts/import/${importId}/${action}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(body);
+
+  describe('Mapping helpers', () => {
+    const headers = ['Mobile No.', 'Nom', 'Prénom', 'Courriel', 'Plan', 'Tags', 'Labels'];
+
+    it('should suggest fields from headers in other languages', () => {
+      expect(suggestColumnMapping(headers, [{ key: 'plan', label: 'Plan' }])).toEqual({
+        'Mobile No.': 'phone',
+        Nom: 'name',
+        Prénom: 'first_name',
+        Courriel: 'email',
+        Plan: 'custom_fields.plan',
+        Tags: 'tags',
+        Labels: 'tags',
+      });
+    });
+
+    it('should report invalid mappings', () => {
+      expect(
+        validateColumnMapping(
+          { Fax: 'phone', Nom: 'nickname', Courriel: 'email', Plan: 'email' },
+          headers
+        )
+      ).toEqual([
+        'Column "Fax" is not in the file',
+        'Column "Nom" is mapped to unknown field nickname',
+        'Email is mapped from more than one column',
+        'Phone must be mapped to a column',
+        'Full name or first name must be mapped to a column',
+      ]);
+    });
+
+    it('should read rows through a mapping', () => {
+      const contact = applyColumnMapping(
+        { 'Mobile No.': '415 555 0201', Nom: 'Durand', Prénom: 'Amélie', Tags: 'vip, b2b' },
+        { 'Mobile No.': 'phone', Nom: 'last_name', Prénom: 'first_name', Tags: 'tags' }
+      );
+
+      expect(contact).toMatchObject({
+        phone: '4155550201',
+        name: 'Amélie Durand',
+        firstName: 'Amélie',
+        lastName: 'Durand',
+        tags: ['vip', 'b2b'],
+        customFields: {},
+      });
+    });
+  });
+
+  describe('Preview', () => {
+    it('should return headers, sample rows and a suggested mapping', async () => {
+      const response = await preview();
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.totalRows).toBe(2);
+      expect(response.body.data.headers).toEqual([
+        'Mobile No.',
+        'Nom',
+        'Courriel',
+        'Plan',
+        'Source',
+      ]);
+      expect(response.body.data.sampleRows[0].Nom).toBe('Amélie Durand');
+      expect(response.body.data.suggestedMapping).toEqual({
+        'Mobile No.': 'phone',
+        Nom: 'name',
+        Courriel: 'email',
+        Plan: 'custom_fields.plan',
+        Source: null,
+      });
+      expect(response.body.data.fields).toContainEqual({
+        key: 'custom_fields.plan',
+        label: 'Plan',
+        type: 'select',
+        required: false,
+        custom: true,
+      });
+
+      const status = await request(app)
+        .get(`/api/v1/contacts/import/${response.body.data.importId}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(status.body.data.status).toBe('Uploaded');
+    });
+
+    it('should reject unsupported files', async () => {
+      const response = await request(app)
+        .post('/api/v1/contacts/import/preview')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .field('whatsappAccountId', whatsappAccount.id)
+        .attach('file', Buffer.from('phone,name'), 'contacts.txt');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Unsupported file type. Please upload CSV or Excel file.');
+    });
+  });
+
+  describe('Dry run and start', () => {
+    it('should reject a mapping without a phone column', async () => {
+      const { body } = await preview();
+
+      const response = await run(body.data.importId, 'dry-run', {
+        mapping: { Nom: 'name', 'Mobile No.': null },
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        'Invalid column mapping: Phone must be mapped to a column'
+      );
+    });
+
+    it('should reject unknown duplicate strategies', async () => {
+      const { body } = await preview();
+
+      const response = await run(body.data.importId, 'dry-run', { duplicateStrategy: 'replace' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should queue a dry run without starting the import', async () => {
+      const { body } = await preview();
+
+      const response = await run(body.data.importId, 'dry-run', {
+        mapping: { ...body.data.suggestedMapping, Source: 'tags' },
+        duplicateStrategy: 'merge',
+      });
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.duplicateStrategy).toBe('merge');
+
+      const record = await prisma.contact_imports.findUnique({
+        where: { id: body.data.importId },
+      });
+      expect(record.status).toBe('Uploaded');
+      expect(record.mapping.Source).toBe('tags');
+      expect(record.dry_run).not.toBeNull();
+    });
+
+    it('should start an import with the options of its dry run', async () => {
+      const { body } = await preview();
+      await run(body.data.importId, 'dry-run', { duplicateStrategy: 'update' });
+
+      const response = await run(body.data.importId, 'start');
+      const again = await run(body.data.importId, 'start');
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.duplicateStrategy).toBe('update');
+      expect(again.status).toBe(409);
+    });
+
+    it('should return 404 for unknown imports', async () => {
+      const response = await run(crypto.randomUUID(), 'start');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
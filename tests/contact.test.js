@@ -3,6 +3,7 @@ import request from 'supertest';
 import { PrismaClient } from '@prisma/client';
 import crypto from 'crypto';
 import app from '../src/app.js';
+import { findDuplicateGroups } from '../src/utils/contactMatching.js';
 
 const prisma = new PrismaClient();
 
@@ -810,3 +811,220 @@ describe('Bulk Actions', () => {
     });
   });
 });
+
+describe('Duplicate Contacts', () => {
+  let testUser;
+  let accessToken;
+  let whatsappAccount;
+  let primary;
+  let duplicate;
+  let other;
+  let mergeTag;
+
+  beforeAll(async () => {
+    testUser = sharedTestUser;
+    accessToken = sharedAccessToken;
+    whatsappAccount = sharedWhatsappAccount;
+
+    const now = Date.now();
+    const createContact = (data, minutesAgo) =>
+      prisma.contacts.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: testUser.teamId,
+          created_at: new Date(now - minutesAgo * 60 * 1000),
+          updated_at: new Date(now - minutesAgo * 60 * 1000),
+          ...data,
+        },
+      });
+
+    primary = await createContact(
+      { phone: '+19876500101', first_name: 'John', last_name: 'Merger', source: 'shopify' },
+      10
+    );
+    duplicate = await createContact(
+      {
+        phone: '1 (987) 650-0101',
+        first_name: 'Jon',
+        last_name: 'Merger',
+        email: 'jon.merger@example.com',
+        company: 'Merge Corp',
+        source: 'woocommerce',
+      },
+      5
+    );
+    other = await createContact(
+      { phone: '+19876500102', first_name: 'Jane', last_name: 'Unrelated' },
+      5
+    );
+
+    mergeTag = await prisma.tags.create({
+      data: {
+        id: crypto.randomUUID(),
+        team_id: testUser.teamId,
+        name: 'Merge Tag',
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+    });
+    await prisma.contact_tags.create({
+      data: { id: crypto.randomUUID(), contact_id: duplicate.id, tag_id: mergeTag.id },
+    });
+
+    const conversation = await prisma.conversations.create({
+      data: {
+        id: crypto.randomUUID(),
+        team_id: testUser.teamId,
+        account_id: whatsappAccount.id,
+        contact_id: duplicate.id,
+        unread_count: 1,
+        updated_at: new Date(),
+      },
+    });
+    await prisma.messages.create({
+      data: {
+        id: crypto.randomUUID(),
+        conversation_id: conversation.id,
+        account_id: whatsappAccount.id,
+        contact_id: duplicate.id,
+        senderType: 'contact',
+        messageType: 'text',
+        content: 'Hello from the duplicate',
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.audit_logs.deleteMany({
+      where: { team_id: testUser.teamId, action: 'contact.merged' },
+    });
+    await prisma.messages.deleteMany({ where: { account_id: whatsappAccount.id } });
+    await prisma.conversations.deleteMany({ where: { team_id: testUser.teamId } });
+    await prisma.contact_tags.deleteMany({ where: { tag_id: mergeTag.id } });
+    await prisma.tags.delete({ where: { id: mergeTag.id } }).catch(() => {});
+  });
+
+  describe('findDuplicateGroups', () => {
+    test('should group contacts with the same number in different formats', () => {
+      const groups = findDuplicateGroups([
+        { id: 'a', phone: '+14155552671' },
+        { id: 'b', phone: '1 (415) 555-2671' },
+        { id: 'c', phone: '+14155552672' },
+      ]);
+
+      expect(groups).toEqual([{ contactIds: ['a', 'b'], reasons: ['phone'], confidence: 1 }]);
+    });
+
+    test('should match similar names but not different people', () => {
+      const groups = findDuplicateGroups([
+        { id: 'a', first_name: 'John', last_name: 'Smith' },
+        { id: 'b', first_name: 'Jon', last_name: 'Smith' },
+        { id: 'c', first_name: 'Michael', last_name: 'Brown' },
+        { id: 'd', first_name: 'Michelle', last_name: 'Brown' },
+      ]);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].contactIds).toEqual(['a', 'b']);
+      expect(groups[0].reasons).toEqual(['name']);
+    });
+  });
+
+  describe('GET /api/v1/contacts/duplicates', () => {
+    test('should return the group of duplicate contacts', async () => {
+      const response = await request(app)
+        .get('/api/v1/contacts/duplicates')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+
+      const group = response.body.data.find((g) =>
+        g.contacts.some((contact) => contact.id === primary.id)
+      );
+      expect(group.contacts.map((contact) => contact.id).sort()).toEqual(
+        [primary.id, duplicate.id].sort()
+      );
+      expect(group.reasons).toContain('phone');
+      expect(group.suggestedPrimaryId).toBe(primary.id);
+    });
+  });
+
+  describe('POST /api/v1/contacts/merge', () => {
+    test('should reject merging a contact into itself', async () => {
+      const response = await request(app)
+        .post('/api/v1/contacts/merge')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ primaryContactId: primary.id, duplicateContactIds: [primary.id] });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 404 for a contact of another team', async () => {
+      const response = await request(app)
+        .post('/api/v1/contacts/merge')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ primaryContactId: primary.id, duplicateContactIds: [crypto.randomUUID()] });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should move records onto the primary contact and delete the duplicate', async () => {
+      const response = await request(app)
+        .post('/api/v1/contacts/merge')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          primaryContactId: primary.id,
+          duplicateContactIds: [duplicate.id],
+          fieldSources: { source: duplicate.id },
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.mergedContactIds).toEqual([duplicate.id]);
+      expect(response.body.data.moved.messages).toBe(1);
+      expect(response.body.data.moved.contact_tags).toBe(1);
+
+      const merged = await prisma.contacts.findUnique({ where: { id: primary.id } });
+      expect(merged.phone).toBe('+19876500101');
+      expect(merged.first_name).toBe('John');
+      expect(merged.email).toBe('jon.merger@example.com');
+      expect(merged.company).toBe('Merge Corp');
+      expect(merged.source).toBe('woocommerce');
+
+      const deleted = await prisma.contacts.findUnique({ where: { id: duplicate.id } });
+      expect(deleted.deleted_at).not.toBeNull();
+      expect(deleted.merged_into_id).toBe(primary.id);
+
+      const messages = await prisma.messages.count({ where: { contact_id: primary.id } });
+      expect(messages).toBe(1);
+
+      const conversation = await prisma.conversations.findFirst({
+        where: { account_id: whatsappAccount.id, contact_id: primary.id },
+      });
+      expect(conversation).not.toBeNull();
+
+      const tags = await prisma.contact_tags.findMany({ where: { contact_id: primary.id } });
+      expect(tags.map((tag) => tag.tag_id)).toEqual([mergeTag.id]);
+
+      const auditLog = await prisma.audit_logs.findFirst({
+        where: { action: 'contact.merged', resource_id: primary.id },
+      });
+      expect(auditLog.user_id).toBe(testUser.id);
+      expect(auditLog.new_values.mergedContactIds).toEqual([duplicate.id]);
+    });
+
+    test('should no longer list merged contacts as duplicates', async () => {
+      const response = await request(app)
+        .get('/api/v1/contacts/duplicates')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(
+        response.body.data.some((g) => g.contacts.some((contact) => contact.id === other.id))
+      ).toBe(false);
+      expect(
+        response.body.data.some((g) => g.contacts.some((contact) => contact.id === duplicate.id))
+      ).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,365 @@
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import app from '../src/app.js';
+import { coerceValue, validateCustomFields } from '../src/utils/customFields.js';
+
+const prisma = new PrismaClient();
+
+let testUser;
+let testTeam;
+let whatsappAccount;
+let accessToken;
+
+beforeAll(async () => {
+  await prisma.$connect();
+
+  await prisma.whatsapp_accounts.deleteMany({ where: { phone: '+14155550100' } });
+  await prisma.users.deleteMany({ where: { email: 'customfieldstest@example.com' } });
+
+  const bcrypt = await import('bcryptjs');
+  const hashedPassword = await bcrypt.hash('TestPassword123!', 12);
+
+  testUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'customfieldstest@example.com',
+      password_hash: hashedPassword,
+      first_name: 'Custom',
+      last_name: 'Tester',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  testTeam = await prisma.teams.create({
+    data: {
+      id: crypto.randomUUID(),
+      name: 'Custom Fields Team',
+      slug: 'test-team-custom-fields-' + Date.now(),
+      owner_id: testUser.id,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  whatsappAccount = await prisma.whatsapp_accounts.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      user_id: testUser.id,
+      name: 'Custom Fields Account',
+      phone: '+14155550100',
+      type: 'business',
+      status: 'connected',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  const loginResponse = await request(app).post('/api/v1/auth/login').send({
+    email: 'customfieldstest@example.com',
+    password: 'TestPassword123!',
+  });
+
+  accessToken = loginResponse.body.data.accessToken;
+});
+
+afterAll(async () => {
+  await prisma.segments.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.custom_field_definitions.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.whatsapp_accounts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+  await prisma.users.deleteMany({ where: { id: testUser.id } });
+  await prisma.$disconnect();
+});
+
+describe('Custom Fields', () => {
+  const api = (method, path, body) => {
+    const req = request(app)[method](path).set('Authorization', `Bearer ${accessToken}`);
+    return body ? req.send(body) : req;
+  };
+
+  const createContact = (phone, customFields) =>
+    api('post', '/api/v1/contacts', {
+      whatsappAccountId: whatsappAccount.id,
+      phone,
+      name: 'Custom Contact',
+      customFields,
+    });
+
+  describe('validateCustomFields', () => {
+    const definitions = [
+      {
+        key: 'plan',
+        label: 'Plan',
+        type: 'select',
+        required: true,
+        defaultValue: 'Free',
+        options: ['Free', 'Pro'],
+      },
+      { key: 'seats', label: 'Seats', type: 'number', required: false, defaultValue: null },
+      { key: 'interests', label: 'Interests', type: 'multi_select', options: ['Shoes', 'Bags'] },
+    ];
+
+    it('should convert values to their field type', () => {
+      const result = validateCustomFields(definitions, {
+        plan: 'pro',
+        seats: '12',
+        interests: 'shoes, Bags',
+        nickname: 'Al',
+      });
+
+      expect(result.errors).toEqual([]);
+      expect(result.values).toEqual({
+        plan: 'Pro',
+        seats: 12,
+        interests: ['Shoes', 'Bags'],
+        nickname: 'Al',
+      });
+    });
+
+    it('should fill defaults and report invalid values', () => {
+      const result = validateCustomFields(
+        definitions,
+        { seats: 'many', interests: ['Hats'] },
+        { applyDefaults: true }
+      );
+
+      expect(result.values.plan).toBe('Free');
+      expect(result.errors).toEqual([
+        'Seats must be a number',
+        'Interests must be any of: Shoes, Bags',
+      ]);
+    });
+
+    it('should require required fields without defaults', () => {
+      expect(validateCustomFields(definitions, { seats: '' }).errors).toEqual(['Plan is required']);
+    });
+
+    it('should read dates and booleans from text', () => {
+      expect(coerceValue({ label: 'Renewal', type: 'date' }, '2025-06-01T10:00:00Z').value).toBe(
+        '2025-06-01'
+      );
+      expect(coerceValue({ label: 'Renewal', type: 'date' }, '2025-02-30').error).toBe(
+        'Renewal must be a date (YYYY-MM-DD)'
+      );
+      expect(coerceValue({ label: 'VIP', type: 'boolean' }, 'Yes').value).toBe(true);
+    });
+  });
+
+  describe('Definitions', () => {
+    let seatsField;
+
+    it('should define custom fields', async () => {
+      const responses = await Promise.all([
+        api('post', '/api/v1/custom-fields', { key: 'seats', label: 'Seats', type: 'number' }),
+        api('post', '/api/v1/custom-fields', {
+          key: 'renewal_date',
+          label: 'Renewal Date',
+          type: 'date',
+        }),
+        api('post', '/api/v1/custom-fields', {
+          key: 'plan',
+          label: 'Plan',
+          type: 'select',
+          required: true,
+          defaultValue: 'free',
+          options: ['Free', 'Pro'],
+        }),
+      ]);
+
+      responses.forEach((response) => expect(response.status).toBe(201));
+      seatsField = responses[0].body.data;
+      expect(responses[2].body.data).toMatchObject({ required: true, defaultValue: 'Free' });
+    });
+
+    it('should reject keys that are taken or reserved', async () => {
+      const duplicate = await api('post', '/api/v1/custom-fields', {
+        key: 'seats',
+        label: 'Seats',
+        type: 'text',
+      });
+      const reserved = await api('post', '/api/v1/custom-fields', {
+        key: 'email',
+        label: 'Email',
+        type: 'text',
+      });
+
+      expect(duplicate.status).toBe(400);
+      expect(duplicate.body.message).toBe('Custom field seats already exists');
+      expect(reserved.status).toBe(400);
+    });
+
+    it('should reject invalid definitions', async () => {
+      const noOptions = await api('post', '/api/v1/custom-fields', {
+        key: 'tier',
+        label: 'Tier',
+        type: 'select',
+      });
+      const badDefault = await api('post', '/api/v1/custom-fields', {
+        key: 'score',
+        label: 'Score',
+        type: 'number',
+        defaultValue: 'high',
+      });
+      const badKey = await api('post', '/api/v1/custom-fields', {
+        key: 'Bad Key',
+        label: 'Bad',
+        type: 'text',
+      });
+
+      expect(noOptions.status).toBe(400);
+      expect(badDefault.body.message).toBe('Invalid default value: Score must be a number');
+      expect(badKey.status).toBe(400);
+    });
+
+    it("should list the team's definitions", async () => {
+      const response = await api('get', '/api/v1/custom-fields');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((field) => field.key).sort()).toEqual([
+        'plan',
+        'renewal_date',
+        'seats',
+      ]);
+    });
+
+    it('should update a definition', async () => {
+      const response = await api('put', `/api/v1/custom-fields/${seatsField.id}`, {
+        label: 'Licensed Seats',
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ key: 'seats', label: 'Licensed Seats' });
+    });
+  });
+
+  describe('Contacts', () => {
+    it('should convert values and fill defaults on create', async () => {
+      const response = await createContact('+14155550101', {
+        seats: '25',
+        renewal_date: '2025-03-15',
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.customFields).toEqual({
+        seats: 25,
+        renewal_date: '2025-03-15',
+        plan: 'Free',
+      });
+    });
+
+    it('should reject invalid values', async () => {
+      const response = await createContact('+14155550102', { seats: 'lots' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid custom fields: Licensed Seats must be a number');
+    });
+
+    it('should check custom fields on update', async () => {
+      const created = await createContact('+14155550103', { seats: 5, plan: 'Pro' });
+
+      const missingPlan = await api('put', `/api/v1/contacts/${created.body.data.id}`, {
+        customFields: { seats: 8 },
+      });
+      const updated = await api('put', `/api/v1/contacts/${created.body.data.id}`, {
+        customFields: { seats: '8', plan: 'pro', renewal_date: '2025-09-01' },
+      });
+
+      expect(missingPlan.status).toBe(400);
+      expect(missingPlan.body.message).toBe('Invalid custom fields: Plan is required');
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.customFields).toEqual({
+        seats: 8,
+        plan: 'Pro',
+        renewal_date: '2025-09-01',
+      });
+    });
+  });
+
+  describe('Segments', () => {
+    const createSegment = (name, rules) =>
+      api('post', '/api/v1/contacts/segments', { name, conditions: { rules } });
+
+    it('should compare number custom fields as numbers', async () => {
+      const response = await createSegment('Large accounts', [
+        { field: 'custom_fields', operator: 'greater_than', value: { key: 'seats', value: 10 } },
+      ]);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.contact_count).toBe(1);
+    });
+
+    it('should match date ranges', async () => {
+      const response = await createSegment('Renewing in Q1', [
+        {
+          field: 'custom_fields',
+          operator: 'between',
+          value: { key: 'renewal_date', value: ['2025-01-01', '2025-03-31'] },
+        },
+      ]);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.contact_count).toBe(1);
+    });
+
+    it('should reject operators the field type does not support', async () => {
+      const response = await createSegment('Invalid rule', [
+        { field: 'custom_fields', operator: 'contains', value: { key: 'seats', value: '1' } },
+      ]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        'Operator contains cannot be used on number custom field seats'
+      );
+    });
+  });
+
+  describe('Export', () => {
+    it('should list custom fields as export columns', async () => {
+      const response = await api('get', '/api/v1/contacts/export/columns');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0]).toMatchObject({ key: 'phone', custom: false });
+      expect(response.body.data).toContainEqual({
+        key: 'seats',
+        label: 'Licensed Seats',
+        type: 'number',
+        custom: true,
+      });
+    });
+
+    it('should export the picked columns', async () => {
+      const response = await api('get', '/api/v1/contacts/export?columns=phone,seats,plan');
+
+      expect(response.status).toBe(200);
+
+      const [header, ...rows] = response.text.split('\n');
+      expect(header).toBe('phone,seats,plan');
+      expect(rows).toContain('+14155550101,25,Free');
+    });
+
+    it('should reject unknown columns', async () => {
+      const response = await api('get', '/api/v1/contacts/export?columns=phone,unknown');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Deleting definitions', () => {
+    it('should keep the values contacts store', async () => {
+      const { body } = await api('get', '/api/v1/custom-fields');
+      const seatsField = body.data.find((field) => field.key === 'seats');
+
+      const response = await api('delete', `/api/v1/custom-fields/${seatsField.id}`);
+      expect(response.status).toBe(200);
+
+      const contact = await prisma.contacts.findFirst({
+        where: { team_id: testTeam.id, phone: '+14155550101' },
+      });
+      expect(contact.custom_fields.seats).toBe(25);
+    });
+  });
+});
@@ -88,6 +88,22 @@ describe('Email Service', () => {
       expect(html).toContain('WhatsApp CRM');
       expect(html).toContain('https://example.com/login');
     });
+
+    it('should render note-mention email with data', async () => {
+      const html = await emailService.renderTemplate('note-mention', {
+        firstName: 'Ann',
+        authorName: 'Bob Agent',
+        contactName: 'Rita',
+        content: 'Can you check the refund?',
+        conversationUrl: 'https://example.com/inbox/abc',
+        appName: 'WhatsApp CRM',
+      });
+
+      expect(html).toContain('Ann');
+      expect(html).toContain('Bob Agent');
+      expect(html).toContain('Can you check the refund?');
+      expect(html).toContain('https://example.com/inbox/abc');
+    });
   });
 
   describe('Email Queue Functions', () => {
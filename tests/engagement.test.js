@@ -0,0 +1,280 @@
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import app from '../src/app.js';
+import engagementScoreService from '../src/services/engagementScoreService.js';
+import {
+  calculateEngagementScore,
+  findReplies,
+  getDecayFactor,
+} from '../src/utils/engagementScore.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let testUser;
+let testTeam;
+let accessToken;
+let whatsappAccount;
+let conversation;
+let contact;
+let quietContact;
+
+beforeAll(async () => {
+  await prisma.$connect();
+
+  await prisma.users.deleteMany({ where: { email: 'engagementtest@example.com' } });
+
+  const bcrypt = await import('bcryptjs');
+  const hashedPassword = await bcrypt.hash('TestPassword123!', 12);
+
+  testUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'engagementtest@example.com',
+      password_hash: hashedPassword,
+      first_name: 'Engagement',
+      last_name: 'Tester',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  testTeam = await prisma.teams.create({
+    data: {
+      id: crypto.randomUUID(),
+      name: 'Engagement Team',
+      slug: 'test-team-engagement-' + Date.now(),
+      owner_id: testUser.id,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  whatsappAccount = await prisma.whatsapp_accounts.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      user_id: testUser.id,
+      name: 'Engagement Account',
+      phone: '+1234500021',
+      status: 'disconnected',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  [contact, quietContact] = await Promise.all(
+    ['+15557770001', '+15557770002'].map((phone) =>
+      prisma.contacts.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: testTeam.id,
+          phone,
+          created_at: new Date(),
+          updated_at: new Date(),
+        },
+      })
+    )
+  );
+
+  conversation = await prisma.conversations.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      account_id: whatsappAccount.id,
+      contact_id: contact.id,
+      updated_at: new Date(),
+    },
+  });
+
+  const loginResponse = await request(app).post('/api/v1/auth/login').send({
+    email: 'engagementtest@example.com',
+    password: 'TestPassword123!',
+  });
+
+  accessToken = loginResponse.body.data.accessToken;
+});
+
+afterAll(async () => {
+  await prisma.engagement_score_history.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.messages.deleteMany({ where: { account_id: whatsappAccount.id } });
+  await prisma.conversations.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.whatsapp_accounts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+  await prisma.users.deleteMany({ where: { id: testUser.id } });
+  await prisma.$disconnect();
+});
+
+describe('Engagement Scoring', () => {
+  const api = (method, path, body) => {
+    const req = request(app)
+      [method](`/api/v1/engagement${path}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    return body ? req.send(body) : req;
+  };
+
+  describe('calculateEngagementScore', () => {
+    const settings = {
+      weights: { inboundMessage: 2, read: 1, reply: 5, click: 4, order: 15 },
+      decayHalfLifeDays: 30,
+    };
+    const now = new Date('2025-11-10T12:00:00Z');
+
+    it('should halve the worth of activity every half-life', () => {
+      expect(getDecayFactor(now, now, 30)).toBe(1);
+      expect(getDecayFactor(new Date(now.getTime() - 30 * DAY_MS), now, 30)).toBeCloseTo(0.5);
+      expect(getDecayFactor(new Date(now.getTime() - 60 * DAY_MS), now, 30)).toBeCloseTo(0.25);
+    });
+
+    it('should add up weighted, decayed activity', () => {
+      const result = calculateEngagementScore(
+        {
+          inboundMessage: [now],
+          reply: [now],
+          order: [new Date(now.getTime() - 30 * DAY_MS)],
+        },
+        settings,
+        now
+      );
+
+      expect(result.score).toBe(15);
+      expect(result.components.order).toEqual({ count: 1, points: 7.5 });
+      expect(result.components.click).toEqual({ count: 0, points: 0 });
+    });
+
+    it('should cap the score at 100', () => {
+      const orders = Array.from({ length: 10 }, () => now);
+
+      expect(calculateEngagementScore({ order: orders }, settings, now).score).toBe(100);
+    });
+
+    it('should count one reply per answered message', () => {
+      const at = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+      const replies = findReplies([
+        { conversation_id: 'c1', senderType: 'contact', created_at: at(0) },
+        { conversation_id: 'c1', senderType: 'user', created_at: at(1) },
+        { conversation_id: 'c1', senderType: 'contact', created_at: at(2) },
+        { conversation_id: 'c1', senderType: 'contact', created_at: at(3) },
+      ]);
+
+      expect(replies).toEqual([at(2)]);
+    });
+  });
+
+  describe('Settings', () => {
+    it('should return the default weights', async () => {
+      const response = await api('get', '/settings');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        weights: { inboundMessage: 2, read: 1, reply: 5, click: 4, order: 15 },
+        decayHalfLifeDays: 30,
+      });
+    });
+
+    it('should merge updated weights into the current ones', async () => {
+      const response = await api('put', '/settings', { weights: { order: 25 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.weights).toMatchObject({ order: 25, reply: 5 });
+
+      await api('put', '/settings', { weights: { order: 15 } });
+    });
+
+    it('should reject negative weights', async () => {
+      const response = await api('put', '/settings', { weights: { click: -1 } });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Recalculation', () => {
+    beforeAll(async () => {
+      const now = Date.now();
+      const message = (senderType, minutesAgo, data = {}) => ({
+        id: crypto.randomUUID(),
+        conversation_id: conversation.id,
+        account_id: whatsappAccount.id,
+        contact_id: contact.id,
+        senderType,
+        messageType: 'text',
+        content: 'Hello',
+        created_at: new Date(now - minutesAgo * 60 * 1000),
+        ...data,
+      });
+
+      await prisma.messages.createMany({
+        data: [
+          message('user', 10, { read_at: new Date(now - 8 * 60 * 1000) }),
+          message('contact', 5),
+        ],
+      });
+    });
+
+    it('should score a contact from its messages and record history', async () => {
+      const result = await engagementScoreService.recalculateContact(contact.id);
+
+      // Inbound message (2), read (1) and reply (5)
+      expect(result.score).toBe(8);
+
+      const stored = await prisma.contacts.findUnique({ where: { id: contact.id } });
+      expect(stored.engagement_score).toBe(8);
+
+      const history = await prisma.engagement_score_history.findMany({
+        where: { contact_id: contact.id },
+      });
+      expect(history).toHaveLength(1);
+      expect(history[0].score).toBe(8);
+    });
+
+    it('should keep one history row per contact per day', async () => {
+      await engagementScoreService.recalculateContact(contact.id);
+
+      const count = await prisma.engagement_score_history.count({
+        where: { contact_id: contact.id },
+      });
+      expect(count).toBe(1);
+    });
+
+    it('should not record history for contacts that stay at 0', async () => {
+      const result = await engagementScoreService.recalculateTeam(testTeam.id);
+
+      expect(result.contacts).toBe(2);
+
+      const count = await prisma.engagement_score_history.count({
+        where: { contact_id: quietContact.id },
+      });
+      expect(count).toBe(0);
+    });
+
+    it('should return a contact history', async () => {
+      const response = await api('get', `/contacts/${contact.id}/history?days=7`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.score).toBe(8);
+      expect(response.body.data.history).toHaveLength(1);
+      expect(response.body.data.history[0].components.reply).toEqual({ count: 1, points: 5 });
+    });
+
+    it('should return 404 for a contact of another team', async () => {
+      const response = await api('get', `/contacts/${crypto.randomUUID()}/history`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it("should return the daily average of the team's contacts", async () => {
+      const response = await api('get', '/trend?days=3');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(3);
+      expect(response.body.data[2]).toMatchObject({
+        averageScore: 4,
+        engagedContacts: 1,
+        contacts: 2,
+      });
+    });
+  });
+});
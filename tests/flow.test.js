@@ -5,6 +5,7 @@ import app from '../src/app.js';
 import { validateFlow, detectCycles, validateNodes, validateEdges } from '../src/utils/flowValidator.js';
 import * as flowTriggers from '../src/services/flowTriggers.js';
 import * as flowExecutor from '../src/services/flowExecutor.js';
+import consentService from '../src/services/consentService.js';
 
 const prisma = new PrismaClient();
 
@@ -463,6 +464,28 @@ describe('Flow API Tests', () => {
       expect(result.errors.some(e => e.includes('message'))).toBe(true);
     });
 
+    it('should reject an unknown send_message purpose', () => {
+      const flowData = {
+        name: 'Send Message Purpose Test',
+        triggerType: 'message_received',
+        nodes: [
+          { id: 'trigger-1', type: 'trigger', config: {} },
+          { id: 'send-1', type: 'send_message', config: { message: 'Hi', purpose: 'newsletter' } },
+          { id: 'end-1', type: 'end', config: {} },
+        ],
+        edges: [
+          { id: 'e1', source: 'trigger-1', target: 'send-1' },
+          { id: 'e2', source: 'send-1', target: 'end-1' },
+        ],
+      };
+
+      const result = validateFlow(flowData);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain(
+        'Send message node send-1 purpose must be marketing or transactional'
+      );
+    });
+
     it('should detect orphaned nodes', () => {
       const flowData = {
         name: 'Orphaned Node Test',
@@ -704,6 +727,64 @@ describe('Flow API Tests', () => {
       await prisma.flows.deleteMany({ where: { id: flow.id } });
     });
 
+    it('should skip a send_message node without purpose for contacts who opted out of marketing', async () => {
+      const optedOutContact = await prisma.contacts.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: sharedTeam.id,
+          phone: '+1234567893',
+          first_name: 'Stopped',
+          created_at: new Date(),
+          updated_at: new Date(),
+        },
+      });
+      await consentService.recordConsent(sharedTeam.id, optedOutContact.id, {
+        purpose: 'marketing',
+        status: 'opted_out',
+        source: 'keyword',
+        keyword: 'STOP',
+      });
+
+      const flow = await prisma.flows.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: sharedTeam.id,
+          user_id: sharedTestUser.id,
+          name: 'Test Flow - Opted Out',
+          triggerType: 'manual',
+          trigger_config: {},
+          nodes: [
+            { id: 'trigger-1', type: 'trigger', data: {} },
+            { id: 'send-1', type: 'send_message', data: { message: 'New arrivals!' } },
+            { id: 'end-1', type: 'end', data: {} },
+          ],
+          edges: [
+            { id: 'e1', source: 'trigger-1', target: 'send-1' },
+            { id: 'e2', source: 'send-1', target: 'end-1' },
+          ],
+          is_active: true,
+          created_at: new Date(),
+          updated_at: new Date(),
+        },
+      });
+
+      const execution = await flowExecutor.startFlowExecution(flow.id, optedOutContact.id, {});
+      // Trigger node, then the send_message node
+      await flowExecutor.processFlowExecution(execution.id);
+      await flowExecutor.processFlowExecution(execution.id);
+
+      const processed = await prisma.flow_executions.findUnique({ where: { id: execution.id } });
+      expect(processed.status).toBe('running');
+      expect(processed.current_node_id).toBe('send-1');
+      expect(processed.variables.messageSkipped).toBe('opted_out');
+      expect(processed.variables.lastMessageId).toBeNull();
+
+      // Clean up
+      await prisma.flow_executions.deleteMany({ where: { flow_id: flow.id } });
+      await prisma.flows.deleteMany({ where: { id: flow.id } });
+      await prisma.contacts.deleteMany({ where: { id: optedOutContact.id } });
+    });
+
     it('should execute condition node and branch correctly', async () => {
       const flow = await prisma.flows.create({
         data: {
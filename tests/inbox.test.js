@@ -0,0 +1,598 @@
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import app from '../src/app.js';
+import inboxService from '../src/services/inboxService.js';
+import assignmentService from '../src/services/assignmentService.js';
+import slaService from '../src/services/slaService.js';
+import noteService from '../src/services/noteService.js';
+
+const prisma = new PrismaClient();
+
+let testUser;
+let agentUser;
+let testTeam;
+let accessToken;
+let whatsappAccount;
+let assignedConversation;
+let unassignedConversation;
+
+beforeAll(async () => {
+  await prisma.$connect();
+
+  await prisma.users.deleteMany({
+    where: { email: { in: ['inboxtest@example.com', 'inboxagent@example.com'] } },
+  });
+
+  const bcrypt = await import('bcryptjs');
+  const hashedPassword = await bcrypt.hash('TestPassword123!', 12);
+
+  testUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'inboxtest@example.com',
+      password_hash: hashedPassword,
+      first_name: 'Inbox',
+      last_name: 'Tester',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  testTeam = await prisma.teams.create({
+    data: {
+      id: crypto.randomUUID(),
+      name: 'Inbox Team',
+      slug: 'test-team-inbox-' + Date.now(),
+      owner_id: testUser.id,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  agentUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'inboxagent@example.com',
+      password_hash: hashedPassword,
+      first_name: 'Inbox',
+      last_name: 'Agent',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  await prisma.team_members.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      user_id: agentUser.id,
+      email: agentUser.email,
+      role: 'Agent',
+      status: 'Active',
+      joined_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  const loginResponse = await request(app).post('/api/v1/auth/login').send({
+    email: 'inboxtest@example.com',
+    password: 'TestPassword123!',
+  });
+
+  accessToken = loginResponse.body.data.accessToken;
+
+  // Disconnected, so replies fail before reaching the send queue
+  whatsappAccount = await prisma.whatsapp_accounts.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      user_id: testUser.id,
+      name: 'Inbox Account',
+      phone: '+1234500001',
+      status: 'disconnected',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  const [vipContact, otherContact] = await Promise.all(
+    ['+15558880001', '+15558880002'].map((phone, i) =>
+      prisma.contacts.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: testTeam.id,
+          phone,
+          first_name: i === 0 ? 'Vera' : 'Oscar',
+          created_at: new Date(),
+          updated_at: new Date(),
+        },
+      })
+    )
+  );
+
+  const vipTag = await prisma.tags.create({
+    data: { id: crypto.randomUUID(), team_id: testTeam.id, name: 'vip', updated_at: new Date() },
+  });
+  await prisma.contact_tags.create({
+    data: { id: crypto.randomUUID(), contact_id: vipContact.id, tag_id: vipTag.id },
+  });
+
+  assignedConversation = await prisma.conversations.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      account_id: whatsappAccount.id,
+      contact_id: vipContact.id,
+      assigned_agent_id: testUser.id,
+      unread_count: 3,
+      last_message_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  unassignedConversation = await prisma.conversations.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      account_id: whatsappAccount.id,
+      contact_id: otherContact.id,
+      is_starred: true,
+      last_message_at: new Date(Date.now() - 60000),
+      updated_at: new Date(),
+    },
+  });
+
+  await prisma.messages.createMany({
+    data: Array.from({ length: 3 }, (_, i) => ({
+      id: crypto.randomUUID(),
+      conversation_id: assignedConversation.id,
+      account_id: whatsappAccount.id,
+      contact_id: vipContact.id,
+      senderType: 'contact',
+      messageType: 'Text',
+      content: `Message ${i + 1}`,
+      status: 'delivered',
+      created_at: new Date(Date.now() - (3 - i) * 1000),
+    })),
+  });
+});
+
+afterAll(async () => {
+  await prisma.messages.deleteMany({ where: { account_id: whatsappAccount.id } });
+  await prisma.conversations.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.activity_logs.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.tags.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.whatsapp_accounts.deleteMany({ where: { id: whatsappAccount.id } });
+  await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+  await prisma.users.deleteMany({ where: { id: { in: [testUser.id, agentUser.id] } } });
+  await prisma.$disconnect();
+});
+
+describe('Team Inbox API', () => {
+  const get = (path) =>
+    request(app).get(`/api/v1/inbox${path}`).set('Authorization', `Bearer ${accessToken}`);
+  const post = (path, body = {}) =>
+    request(app)
+      .post(`/api/v1/inbox${path}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(body);
+  const put = (path, body = {}) =>
+    request(app)
+      .put(`/api/v1/inbox${path}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send(body);
+
+  describe('GET /api/v1/inbox/conversations', () => {
+    it('should list team conversations, most recent first', async () => {
+      const response = await get('/conversations');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((c) => c.id)).toEqual([
+        assignedConversation.id,
+        unassignedConversation.id,
+      ]);
+      expect(response.body.data[0].contact.firstName).toBe('Vera');
+      expect(response.body.data[0].assignedAgent.id).toBe(testUser.id);
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    it('should filter by mine, unassigned, starred and tag', async () => {
+      const mine = await get('/conversations?view=mine');
+      const unassigned = await get('/conversations?view=unassigned');
+      const starred = await get('/conversations?starred=true');
+      const tagged = await get('/conversations?tag=vip');
+
+      expect(mine.body.data.map((c) => c.id)).toEqual([assignedConversation.id]);
+      expect(unassigned.body.data.map((c) => c.id)).toEqual([unassignedConversation.id]);
+      expect(starred.body.data.map((c) => c.id)).toEqual([unassignedConversation.id]);
+      expect(tagged.body.data.map((c) => c.id)).toEqual([assignedConversation.id]);
+    });
+
+    it('should reject unknown views', async () => {
+      const response = await get('/conversations?view=everything');
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/v1/inbox/conversations/:id/messages', () => {
+    it('should paginate the thread newest first', async () => {
+      const response = await get(`/conversations/${assignedConversation.id}/messages?limit=2`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((m) => m.content)).toEqual(['Message 3', 'Message 2']);
+      expect(response.body.pagination).toMatchObject({ total: 3, totalPages: 2 });
+    });
+
+    it('should return 404 for conversations outside the team', async () => {
+      const response = await get(`/conversations/${crypto.randomUUID()}/messages`);
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('conversation actions', () => {
+    it('should mark a conversation as read', async () => {
+      const response = await post(`/conversations/${assignedConversation.id}/read`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.unreadCount).toBe(0);
+    });
+
+    it('should star and unstar a conversation', async () => {
+      const starred = await post(`/conversations/${assignedConversation.id}/star`);
+      const unstarred = await post(`/conversations/${assignedConversation.id}/star`, {
+        starred: false,
+      });
+
+      expect(starred.body.data.isStarred).toBe(true);
+      expect(unstarred.body.data.isStarred).toBe(false);
+    });
+
+    it('should close and reopen a conversation', async () => {
+      const closed = await post(`/conversations/${assignedConversation.id}/close`);
+      expect(closed.body.data.status).toBe('closed');
+
+      const closedList = await get('/conversations?status=closed');
+      expect(closedList.body.data.map((c) => c.id)).toEqual([assignedConversation.id]);
+
+      const reopened = await post(`/conversations/${assignedConversation.id}/reopen`);
+      expect(reopened.body.data.status).toBe('open');
+    });
+
+    it('should snooze a conversation until the snooze expires', async () => {
+      const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const response = await post(`/conversations/${unassignedConversation.id}/snooze`, {
+        until,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('snoozed');
+      expect(new Date(response.body.data.snoozedUntil).toISOString()).toBe(until);
+
+      await prisma.conversations.update({
+        where: { id: unassignedConversation.id },
+        data: { snoozed_until: new Date(Date.now() - 1000) },
+      });
+
+      const result = await inboxService.wakeSnoozedConversations();
+      expect(result.reopened).toBeGreaterThanOrEqual(1);
+
+      const conversation = await prisma.conversations.findUnique({
+        where: { id: unassignedConversation.id },
+      });
+      expect(conversation.status).toBe('open');
+      expect(conversation.snoozed_until).toBeNull();
+    });
+
+    it('should reject snoozing into the past', async () => {
+      const response = await post(`/conversations/${unassignedConversation.id}/snooze`, {
+        until: new Date(Date.now() - 1000).toISOString(),
+      });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/v1/inbox/conversations/:id/reply', () => {
+    it('should refuse to reply from a disconnected account', async () => {
+      const response = await post(`/conversations/${assignedConversation.id}/reply`, {
+        type: 'Text',
+        content: 'Hello!',
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('WhatsApp account is not connected');
+    });
+
+    it('should validate the reply content', async () => {
+      const response = await post(`/conversations/${assignedConversation.id}/reply`, {
+        type: 'Buttons',
+        content: 'Pick one',
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an unknown canned response shortcode', async () => {
+      const response = await post(`/conversations/${assignedConversation.id}/reply`, {
+        shortcode: '/does-not-exist',
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Canned response not found');
+    });
+
+    it('should not accept both a canned response ID and a shortcode', async () => {
+      const response = await post(`/conversations/${assignedConversation.id}/reply`, {
+        cannedResponseId: crypto.randomUUID(),
+        shortcode: '/refund',
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('internal notes and mentions', () => {
+    let note;
+
+    it('should add a note mentioning a team member', async () => {
+      const response = await post(`/conversations/${assignedConversation.id}/notes`, {
+        content: '@Agent please follow up on this order',
+        mentions: [agentUser.id],
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.mentions).toEqual([agentUser.id]);
+      expect(response.body.data.author.id).toBe(testUser.id);
+
+      note = response.body.data;
+    });
+
+    it('should not store notes as messages', async () => {
+      const messages = await prisma.messages.count({
+        where: { conversation_id: assignedConversation.id, content: { contains: '@Agent' } },
+      });
+      expect(messages).toBe(0);
+    });
+
+    it('should reject mentions of users outside the team', async () => {
+      const response = await post(`/conversations/${assignedConversation.id}/notes`, {
+        content: 'Hello?',
+        mentions: [crypto.randomUUID()],
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Mentioned user is not a team member');
+    });
+
+    it('should show notes in the conversation timeline', async () => {
+      const response = await get(`/conversations/${assignedConversation.id}/timeline`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toContainEqual(
+        expect.objectContaining({ kind: 'note', id: note.id })
+      );
+    });
+
+    it('should include notes in the contact profile', async () => {
+      const response = await request(app)
+        .get(`/api/v1/contacts/${assignedConversation.contact_id}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.body.data.conversationNotes[0]).toMatchObject({
+        id: note.id,
+        content: note.content,
+      });
+    });
+
+    it('should only let the author edit a note', async () => {
+      await expect(
+        noteService.updateNote(testTeam.id, agentUser.id, note.id, { content: 'Edited' })
+      ).rejects.toThrow('Only the author can edit a note');
+
+      const response = await put(`/notes/${note.id}`, { content: 'Follow up tomorrow' });
+      expect(response.status).toBe(200);
+      expect(response.body.data.content).toBe('Follow up tomorrow');
+    });
+
+    it('should delete a note', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/inbox/notes/${note.id}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(response.status).toBe(200);
+
+      const notes = await get(`/conversations/${assignedConversation.id}/notes`);
+      expect(notes.body.data).toHaveLength(0);
+    });
+  });
+
+  describe('conversation assignment', () => {
+    it('should assign and unassign a conversation manually', async () => {
+      const assigned = await post(`/conversations/${unassignedConversation.id}/assign`, {
+        agentId: agentUser.id,
+      });
+      expect(assigned.status).toBe(200);
+      expect(assigned.body.data.assignedAgentId).toBe(agentUser.id);
+
+      const unassigned = await post(`/conversations/${unassignedConversation.id}/assign`, {
+        agentId: null,
+      });
+      expect(unassigned.body.data.assignedAgentId).toBeNull();
+
+      const logs = await prisma.activity_logs.findMany({
+        where: { team_id: testTeam.id, resource_id: unassignedConversation.id },
+        orderBy: { created_at: 'asc' },
+      });
+      expect(logs.map((log) => log.action)).toEqual([
+        'conversation.assigned',
+        'conversation.unassigned',
+      ]);
+    });
+
+    it('should refuse to assign users outside the team', async () => {
+      const response = await post(`/conversations/${unassignedConversation.id}/assign`, {
+        agentId: crypto.randomUUID(),
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Agent is not an active team member');
+    });
+
+    it('should manage assignment rules', async () => {
+      const created = await post('/assignment-rules', {
+        name: 'VIP',
+        strategy: 'skill',
+        contactTags: ['vip'],
+        priority: 10,
+      });
+      expect(created.status).toBe(201);
+
+      const updated = await put(`/assignment-rules/${created.body.data.id}`, { isActive: false });
+      expect(updated.body.data.isActive).toBe(false);
+
+      const invalid = await post('/assignment-rules', { name: 'Bad', strategy: 'random' });
+      expect(invalid.status).toBe(400);
+
+      const deleted = await request(app)
+        .delete(`/api/v1/inbox/assignment-rules/${created.body.data.id}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(deleted.status).toBe(200);
+    });
+
+    it('should auto-assign to available agents and skip unavailable ones', async () => {
+      await post('/assignment-rules', { name: 'Everyone', strategy: 'least_open' });
+
+      await put(`/agents/${agentUser.id}`, { isAvailable: false });
+      expect(await assignmentService.autoAssignConversation(unassignedConversation.id)).toBeNull();
+
+      const agents = await get('/agents');
+      expect(agents.body.data).toEqual([
+        expect.objectContaining({ userId: agentUser.id, isAvailable: false }),
+      ]);
+
+      await put(`/agents/${agentUser.id}`, { isAvailable: true });
+      await prisma.team_members.updateMany({
+        where: { team_id: testTeam.id, user_id: agentUser.id },
+        data: { presence: 'online' },
+      });
+      const conversation = await assignmentService.autoAssignConversation(
+        unassignedConversation.id,
+        { reason: 'incoming_message' }
+      );
+      expect(conversation.assignedAgentId).toBe(agentUser.id);
+    });
+  });
+
+  describe('presence and working hours', () => {
+    it('should show live team presence to supervisors', async () => {
+      const response = await get('/presence');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([
+        expect.objectContaining({ userId: agentUser.id, presence: 'online', timezone: 'UTC' }),
+      ]);
+      expect(response.body.summary).toMatchObject({ online: 1, workingHours: 1 });
+    });
+
+    it('should validate working hours', async () => {
+      const response = await put(`/agents/${agentUser.id}`, {
+        workingHours: { mon: [{ start: '17:00', end: '09:00' }] },
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('should not route to agents outside their working hours', async () => {
+      // A schedule with no shifts: never working
+      const updated = await put(`/agents/${agentUser.id}`, { workingHours: {} });
+      expect(updated.body.data.workingHours).toEqual({});
+
+      await post(`/conversations/${unassignedConversation.id}/assign`, { agentId: null });
+      expect(await assignmentService.autoAssignConversation(unassignedConversation.id)).toBeNull();
+
+      const presence = await get('/presence');
+      expect(presence.body.data[0].isWorkingHours).toBe(false);
+
+      const cleared = await put(`/agents/${agentUser.id}`, { workingHours: null });
+      expect(cleared.body.data.workingHours).toBeNull();
+    });
+  });
+
+  describe('SLA policies and timers', () => {
+    const minutes = (n) => n * 60 * 1000;
+    let conversation;
+
+    beforeAll(async () => {
+      const row = await prisma.conversations.findUnique({
+        where: { id: assignedConversation.id },
+      });
+      conversation = {
+        id: row.id,
+        teamId: row.team_id,
+        accountId: row.account_id,
+        contactId: row.contact_id,
+      };
+    });
+
+    it('should require at least one SLA target', async () => {
+      const response = await post('/sla-policies', { name: 'Empty' });
+      expect(response.status).toBe(400);
+    });
+
+    it('should time first response, next response and resolution', async () => {
+      const created = await post('/sla-policies', {
+        name: 'VIP SLA',
+        contactTags: ['vip'],
+        firstResponseMinutes: 10,
+        nextResponseMinutes: 30,
+        resolutionMinutes: 240,
+      });
+      expect(created.status).toBe(201);
+
+      const start = new Date(Date.now() - minutes(60));
+      await slaService.recordInboundMessage(conversation, { createdAt: start });
+
+      // 8 of 10 minutes: warning; 60 minutes: first response breached
+      const warned = await slaService.checkSlaTimers(new Date(start.getTime() + minutes(8)));
+      expect(warned.warnings).toBeGreaterThanOrEqual(1);
+      const breached = await slaService.checkSlaTimers(new Date());
+      expect(breached.breaches).toBeGreaterThanOrEqual(1);
+
+      await slaService.recordAgentReply(conversation.id, new Date(start.getTime() + minutes(20)));
+      await slaService.recordInboundMessage(conversation, {
+        createdAt: new Date(start.getTime() + minutes(25)),
+      });
+      await slaService.recordAgentReply(conversation.id, new Date(start.getTime() + minutes(30)));
+
+      const closed = await post(`/conversations/${assignedConversation.id}/close`);
+      expect(closed.status).toBe(200);
+
+      const sla = await get(`/conversations/${assignedConversation.id}/sla`);
+      expect(sla.body.data).toHaveLength(1);
+      expect(sla.body.data[0]).toMatchObject({
+        status: 'resolved',
+        firstResponseBreached: true,
+        nextResponses: 1,
+        nextResponseBreaches: 0,
+        resolutionBreached: false,
+      });
+
+      const metrics = await request(app)
+        .get('/api/v1/analytics/sla')
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(metrics.status).toBe(200);
+      expect(metrics.body.data.overall.firstResponse).toMatchObject({
+        measured: 1,
+        breached: 1,
+        complianceRate: 0,
+        avgMinutes: 20,
+      });
+      expect(metrics.body.data.overall.resolution.complianceRate).toBe(100);
+      expect(metrics.body.data.policies[0].name).toBe('VIP SLA');
+    });
+
+    it('should not alert twice for the same timer', async () => {
+      const result = await slaService.checkSlaTimers(new Date());
+      expect(result.breaches).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import app from '../src/app.js';
+import marketingLimitsService, {
+  getQuietHoursEnd,
+} from '../src/services/marketingLimitsService.js';
+
+const prisma = new PrismaClient();
+
+let testUser;
+let testTeam;
+let accessToken;
+let contact;
+
+beforeAll(async () => {
+  await prisma.$connect();
+
+  await prisma.users.deleteMany({ where: { email: 'marketinglimitstest@example.com' } });
+
+  const bcrypt = await import('bcryptjs');
+  const hashedPassword = await bcrypt.hash('TestPassword123!', 12);
+
+  testUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'marketinglimitstest@example.com',
+      password_hash: hashedPassword,
+      first_name: 'Limits',
+      last_name: 'Tester',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  testTeam = await prisma.teams.create({
+    data: {
+      id: crypto.randomUUID(),
+      name: 'Marketing Limits Team',
+      slug: 'test-team-limits-' + Date.now(),
+      owner_id: testUser.id,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  contact = await prisma.contacts.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      phone: '+34600112233',
+      first_name: 'Lucia',
+      country: 'ES',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  const loginResponse = await request(app).post('/api/v1/auth/login').send({
+    email: 'marketinglimitstest@example.com',
+    password: 'TestPassword123!',
+  });
+
+  accessToken = loginResponse.body.data.accessToken;
+});
+
+afterAll(async () => {
+  await prisma.marketing_sends.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+  await prisma.users.deleteMany({ where: { id: testUser.id } });
+  await prisma.$disconnect();
+});
+
+describe('Marketing Limits', () => {
+  const api = (method, path, body) => {
+    const req = request(app)
+      [method](`/api/v1/marketing-limits${path}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    return body ? req.send(body) : req;
+  };
+
+  describe('getQuietHoursEnd', () => {
+    const quietHours = { enabled: true, start: '21:00', end: '08:00' };
+
+    it('should return the end of quiet hours that cross midnight', () => {
+      // 23:30 in Madrid
+      const end = getQuietHoursEnd(quietHours, 'Europe/Madrid', new Date('2025-11-10T22:30:00Z'));
+
+      expect(end.toISOString()).toBe('2025-11-11T07:00:00.000Z');
+    });
+
+    it('should return null outside quiet hours or when disabled', () => {
+      const at = new Date('2025-11-10T12:00:00Z');
+
+      expect(getQuietHoursEnd(quietHours, 'Europe/Madrid', at)).toBeNull();
+      expect(
+        getQuietHoursEnd(
+          { ...quietHours, enabled: false },
+          'Europe/Madrid',
+          new Date('2025-11-10T22:30:00Z')
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe('Settings', () => {
+    it('should return quiet hours disabled and no caps by default', async () => {
+      const response = await api('get', '/settings');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        quietHours: { enabled: false },
+        maxPerDay: null,
+        maxPerWeek: null,
+      });
+    });
+
+    it('should enable quiet hours and caps', async () => {
+      const response = await api('put', '/settings', {
+        quietHours: { enabled: true },
+        maxPerDay: 1,
+        maxPerWeek: 3,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.quietHours).toEqual({
+        enabled: true,
+        start: '21:00',
+        end: '08:00',
+      });
+      expect(response.body.data.maxPerDay).toBe(1);
+    });
+
+    it('should reject quiet hours that start and end together', async () => {
+      const response = await api('put', '/settings', {
+        quietHours: { start: '22:00', end: '22:00' },
+      });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('reserveSend', () => {
+    it('should defer a send inside quiet hours to their end', async () => {
+      const decision = await marketingLimitsService.reserveSend(testTeam.id, contact.id, {
+        sendAt: new Date('2025-11-10T22:30:00Z'),
+        source: 'campaign',
+        referenceId: 'campaign-1',
+      });
+
+      expect(decision.action).toBe('defer');
+      expect(decision.sendAt.toISOString()).toBe('2025-11-11T07:00:00.000Z');
+    });
+
+    it('should suppress a second send on the same local day', async () => {
+      const decision = await marketingLimitsService.reserveSend(testTeam.id, contact.id, {
+        sendAt: new Date('2025-11-11T15:00:00Z'),
+        source: 'flow',
+      });
+
+      expect(decision.action).toBe('suppress');
+      expect(decision.reason).toBe('Frequency cap reached: 1 marketing message per day');
+    });
+
+    it('should allow the send again once the reservation is released', async () => {
+      await marketingLimitsService.releaseSend(contact.id, 'campaign-1');
+
+      const decision = await marketingLimitsService.reserveSend(testTeam.id, contact.id, {
+        sendAt: new Date('2025-11-11T15:00:00Z'),
+        source: 'abandoned_cart',
+      });
+
+      expect(decision.action).toBe('send');
+    });
+
+    it('should release only the reservation of the given reference', async () => {
+      await marketingLimitsService.reserveSend(testTeam.id, contact.id, {
+        sendAt: new Date('2025-11-17T12:00:00Z'),
+        source: 'campaign',
+        referenceId: 'campaign-message-2',
+      });
+      await marketingLimitsService.reserveSend(testTeam.id, contact.id, {
+        sendAt: new Date('2025-11-18T12:00:00Z'),
+        source: 'campaign',
+        referenceId: 'campaign-message-3',
+      });
+
+      const released = await marketingLimitsService.releaseSend(contact.id, 'campaign-message-2');
+      const reservations = await prisma.marketing_sends.findMany({
+        where: { contact_id: contact.id, reference_id: { startsWith: 'campaign-message-' } },
+      });
+
+      expect(released).toBe(true);
+      expect(reservations.map((reservation) => reservation.reference_id)).toEqual([
+        'campaign-message-3',
+      ]);
+    });
+
+    it('should not let concurrent sends pass a cap', async () => {
+      const decisions = await Promise.all(
+        [1, 2, 3].map(() =>
+          marketingLimitsService.reserveSend(testTeam.id, contact.id, {
+            sendAt: new Date('2025-11-20T12:00:00Z'),
+            source: 'flow',
+          })
+        )
+      );
+
+      expect(decisions.map((decision) => decision.action).sort()).toEqual([
+        'send',
+        'suppress',
+        'suppress',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { jest } from '@jest/globals';
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+
+jest.unstable_mockModule('../src/services/whatsappService.js', () => ({
+  default: {
+    processWhatsAppMessage: jest.fn(),
+  },
+}));
+
+const { default: whatsappService } = await import('../src/services/whatsappService.js');
+const { default: messageService } = await import('../src/services/messageService.js');
+const { processMessageJob } = await import('../src/workers/messageWorker.js');
+
+const prisma = new PrismaClient();
+
+let testUser;
+let testTeam;
+let whatsappAccount;
+
+beforeAll(async () => {
+  await prisma.$connect();
+
+  await prisma.whatsapp_accounts.deleteMany({ where: { phone: '+14155550300' } });
+  await prisma.users.deleteMany({ where: { email: 'messagestest@example.com' } });
+
+  testUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'messagestest@example.com',
+      password_hash: 'not-used',
+      first_name: 'Message',
+      last_name: 'Tester',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  testTeam = await prisma.teams.create({
+    data: {
+      id: crypto.randomUUID(),
+      name: 'Messages Team',
+      slug: 'test-team-messages-' + Date.now(),
+      owner_id: testUser.id,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  whatsappAccount = await prisma.whatsapp_accounts.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      user_id: testUser.id,
+      name: 'Messages Account',
+      phone: '+14155550300',
+      type: 'business',
+      status: 'connected',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+});
+
+afterAll(async () => {
+  await prisma.messages.deleteMany({ where: { conversations: { team_id: testTeam.id } } });
+  await prisma.conversations.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.whatsapp_accounts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+  await prisma.users.deleteMany({ where: { id: testUser.id } });
+  await prisma.$disconnect();
+});
+
+describe('Messages', () => {
+  const sentToday = async () =>
+    (
+      await prisma.whatsapp_accounts.findUnique({
+        where: { id: whatsappAccount.id },
+        select: { messages_sent_today: true },
+      })
+    ).messages_sent_today;
+
+  describe('Daily message count', () => {
+    it('should count a regular message once from queueing to sending', async () => {
+      whatsappService.processWhatsAppMessage.mockResolvedValue({
+        whatsappMessageId: 'wamid.messages-test-1',
+      });
+      const before = await sentToday();
+
+      const message = await messageService.sendMessage({
+        teamId: testTeam.id,
+        userId: testUser.id,
+        whatsappAccountId: whatsappAccount.id,
+        to: '+14155550301',
+        content: 'Hello',
+      });
+      const result = await processMessageJob({
+        id: 'job-1',
+        data: { messageId: message.id },
+        attemptsMade: 0,
+        opts: { attempts: 3 },
+      });
+
+      expect(result.status).toBe('Sent');
+      expect(whatsappService.processWhatsAppMessage).toHaveBeenCalledTimes(1);
+      expect(await sentToday()).toBe(before + 1);
+    });
+  });
+
+  describe('Incoming messages', () => {
+    const incoming = (accountId, whatsappMessageId) =>
+      messageService.handleIncomingMessage({
+        whatsappAccountId: accountId,
+        from: '14155550304',
+        type: 'Text',
+        content: 'Hi there',
+        whatsappMessageId,
+      });
+
+    it('should count a redelivered message once in the conversation', async () => {
+      // Creates the contact and conversation, so the deliveries below only race on the message
+      await incoming(whatsappAccount.id, 'wamid.messages-in-0');
+      await Promise.all([
+        incoming(whatsappAccount.id, 'wamid.messages-in-1'),
+        incoming(whatsappAccount.id, 'wamid.messages-in-1'),
+      ]);
+      await incoming(whatsappAccount.id, 'wamid.messages-in-1');
+
+      const messages = await prisma.messages.findMany({
+        where: { whatsapp_message_id: 'wamid.messages-in-1' },
+      });
+      const conversation = await prisma.conversations.findUnique({
+        where: { id: messages[0].conversation_id },
+      });
+
+      expect(messages).toHaveLength(1);
+      expect(conversation.unread_count).toBe(2);
+    });
+
+    it('should not mistake a message of another account for a redelivery', async () => {
+      const otherAccount = await prisma.whatsapp_accounts.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: testTeam.id,
+          user_id: testUser.id,
+          name: 'Other Messages Account',
+          phone: '+14155550305',
+          type: 'business',
+          status: 'connected',
+          created_at: new Date(),
+          updated_at: new Date(),
+        },
+      });
+
+      const message = await incoming(otherAccount.id, 'wamid.messages-in-1');
+
+      expect(message.accountId).toBe(otherAccount.id);
+      expect(
+        await prisma.messages.count({ where: { whatsapp_message_id: 'wamid.messages-in-1' } })
+      ).toBe(2);
+    });
+  });
+
+  describe('Retry', () => {
+    it('should queue a failed message again', async () => {
+      const message = await messageService.sendMessage({
+        teamId: testTeam.id,
+        userId: testUser.id,
+        whatsappAccountId: whatsappAccount.id,
+        to: '+14155550302',
+        content: 'Hello again',
+      });
+      await prisma.messages.update({
+        where: { id: message.id },
+        data: { status: 'failed', error_message: 'Network error' },
+      });
+
+      const retried = await messageService.retryMessage(message.id, testUser.id);
+
+      expect(retried.status).toBe('queued');
+      expect(retried.errorMessage).toBeNull();
+    });
+
+    it('should only retry failed messages', async () => {
+      const message = await messageService.sendMessage({
+        teamId: testTeam.id,
+        userId: testUser.id,
+        whatsappAccountId: whatsappAccount.id,
+        to: '+14155550303',
+        content: 'Hello once more',
+      });
+
+      await expect(messageService.retryMessage(message.id, testUser.id)).rejects.toThrow(
+        'Only failed messages can be retried'
+      );
+    });
+  });
+});
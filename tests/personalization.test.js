@@ -0,0 +1,210 @@
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import app from '../src/app.js';
+import { renderTemplate, analyzeTemplate } from '../src/utils/personalization.js';
+import { renderContent } from '../src/services/personalizationService.js';
+import { TemplateSyntaxError } from '../src/utils/errors.js';
+
+const prisma = new PrismaClient();
+
+let testUser;
+let testTeam;
+let accessToken;
+
+beforeAll(async () => {
+  await prisma.$connect();
+
+  await prisma.users.deleteMany({ where: { email: 'personalizationtest@example.com' } });
+
+  const bcrypt = await import('bcryptjs');
+  const hashedPassword = await bcrypt.hash('TestPassword123!', 12);
+
+  testUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'personalizationtest@example.com',
+      password_hash: hashedPassword,
+      first_name: 'Personal',
+      last_name: 'Tester',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  testTeam = await prisma.teams.create({
+    data: {
+      id: crypto.randomUUID(),
+      name: 'Personalization Team',
+      slug: 'test-team-personalization-' + Date.now(),
+      owner_id: testUser.id,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  await prisma.contacts.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      phone: '+34600112233',
+      first_name: 'Lucia',
+      custom_fields: { tier: 'gold' },
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  const loginResponse = await request(app).post('/api/v1/auth/login').send({
+    email: 'personalizationtest@example.com',
+    password: 'TestPassword123!',
+  });
+
+  accessToken = loginResponse.body.data.accessToken;
+});
+
+afterAll(async () => {
+  await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+  await prisma.users.deleteMany({ where: { id: testUser.id } });
+  await prisma.$disconnect();
+});
+
+describe('Personalization', () => {
+  const api = (method, path, body) => {
+    const req = request(app)
+      [method](`/api/v1/personalization${path}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    return body ? req.send(body) : req;
+  };
+
+  describe('renderTemplate', () => {
+    it('should render variables, defaults and filters', () => {
+      const rendered = renderTemplate('Hi {{first_name | "there"}}, {{ city | upper }}!', {
+        first_name: '',
+        city: 'Madrid',
+      });
+
+      expect(rendered).toBe('Hi there, MADRID!');
+    });
+
+    it('should render conditionals and loops over items', () => {
+      const template =
+        '{{#if total > 50 and not vip}}Big{{else if vip}}VIP{{else}}Small{{/if}}:' +
+        '{{#each items as item}}{{item.name}}{{#if not loop.last}}, {{/if}}{{else}}none{{/each}}';
+
+      expect(
+        renderTemplate(template, { total: 80, items: [{ name: 'Mug' }, { name: 'Cap' }] })
+      ).toBe('Big:Mug, Cap');
+      expect(renderTemplate(template, { total: 80, vip: true, items: [] })).toBe('VIP:none');
+    });
+
+    it('should format amounts and dates for the locale and time zone', () => {
+      const rendered = renderTemplate(
+        '{{total | currency}} {{at | date: "long"}} {{at | time}}',
+        { total: 1234.5, at: '2026-01-05T23:30:00Z' },
+        { locale: 'en-US', timezone: 'Europe/Madrid', currency: 'EUR' }
+      );
+
+      expect(rendered).toBe('€1,234.50 January 6, 2026 12:30 AM');
+    });
+
+    it('should not read inherited properties', () => {
+      expect(renderTemplate('{{name.constructor}}{{toString}}', { name: 'Ana' })).toBe('');
+    });
+
+    it('should throw a syntax error with the line', () => {
+      expect(() => renderTemplate('Hi\n{{#if vip}}VIP')).toThrow(TemplateSyntaxError);
+
+      let syntaxError;
+      try {
+        renderTemplate('Hi\n{{name | shout}}');
+      } catch (error) {
+        syntaxError = error;
+      }
+      expect(syntaxError.line).toBe(2);
+      expect(syntaxError.message).toContain('Unknown filter');
+    });
+  });
+
+  describe('renderContent', () => {
+    it('should render contact fields, custom fields and cart items in the contact locale', () => {
+      const contact = {
+        first_name: 'Lucia',
+        country: 'ES',
+        custom_fields: { locale: 'es-ES', tier: 'gold' },
+      };
+      const cart = {
+        cart_url: 'https://shop.example.com/cart',
+        total_amount: '20.00',
+        currency: 'EUR',
+        items: [{ title: 'Mug', quantity: 2, price: '10.00' }],
+      };
+
+      const rendered = renderContent(
+        '{{contact.first_name}} ({{custom_fields.tier}}): {{#each cart.items as item}}{{item.quantity}}x {{item.name}} {{item.total | currency}}{{/each}}',
+        { contact, cart }
+      );
+
+      expect(rendered).toBe('Lucia (gold): 2x Mug 20,00 €');
+    });
+  });
+
+  describe('analyzeTemplate', () => {
+    it('should report unknown variables, including loop item fields', () => {
+      const result = analyzeTemplate(
+        '{{first_name}} {{coupon}} {{#each items as item}}{{item.name}} {{item.color}}{{/each}}',
+        { first_name: true, items: { $item: { name: true } } }
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.unknownVariables).toEqual(['coupon', 'item.color']);
+    });
+  });
+
+  describe('POST /api/v1/personalization/validate', () => {
+    it('should know the team custom fields and the context variables', async () => {
+      const response = await api('post', '/validate', {
+        content: '{{custom_fields.tier}} {{custom_fields.size}} {{cart.url}} {{coupon}}',
+        context: 'abandoned_cart',
+        variables: ['coupon'],
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.valid).toBe(true);
+      expect(response.body.data.unknownVariables).toEqual(['custom_fields.size']);
+    });
+
+    it('should report syntax errors', async () => {
+      const response = await api('post', '/validate', { content: 'Hi {{#if vip}}VIP' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.valid).toBe(false);
+      expect(response.body.data.errors[0]).toEqual({ message: '{{#if}} is never closed', line: 1 });
+    });
+
+    it('should reject unknown contexts', async () => {
+      const response = await api('post', '/validate', { content: 'Hi', context: 'email' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Settings', () => {
+    it('should default to en-US and UTC', async () => {
+      const response = await api('get', '/settings');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ locale: 'en-US', timezone: 'UTC' });
+    });
+
+    it('should update the locale and reject unknown ones', async () => {
+      const updated = await api('put', '/settings', { locale: 'es-ES' });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.locale).toBe('es-ES');
+
+      const rejected = await api('put', '/settings', { locale: 'not a locale' });
+      expect(rejected.status).toBe(400);
+    });
+  });
+});
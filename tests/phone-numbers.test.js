@@ -0,0 +1,255 @@
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import app from '../src/app.js';
+import { parsePhone } from '../src/utils/phone.js';
+import { validateContactData } from '../src/utils/fileParser.js';
+import contactModel from '../src/models/contact.js';
+import contactService from '../src/services/contactService.js';
+
+const prisma = new PrismaClient();
+
+let testUser;
+let testTeam;
+let accessToken;
+let validContact;
+let localContact;
+let duplicateContact;
+let brokenContact;
+
+beforeAll(async () => {
+  await prisma.$connect();
+
+  await prisma.users.deleteMany({ where: { email: 'phonenumberstest@example.com' } });
+
+  const bcrypt = await import('bcryptjs');
+  const hashedPassword = await bcrypt.hash('TestPassword123!', 12);
+
+  testUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'phonenumberstest@example.com',
+      password_hash: hashedPassword,
+      first_name: 'Phone',
+      last_name: 'Tester',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  testTeam = await prisma.teams.create({
+    data: {
+      id: crypto.randomUUID(),
+      name: 'Phone Numbers Team',
+      slug: 'test-team-phone-numbers-' + Date.now(),
+      owner_id: testUser.id,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  [validContact, localContact, duplicateContact, brokenContact] = await Promise.all(
+    ['+919876543210', '98765 43211', '09876543210', 'call me'].map((phone) =>
+      prisma.contacts.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: testTeam.id,
+          phone,
+          created_at: new Date(),
+          updated_at: new Date(),
+        },
+      })
+    )
+  );
+
+  const loginResponse = await request(app).post('/api/v1/auth/login').send({
+    email: 'phonenumberstest@example.com',
+    password: 'TestPassword123!',
+  });
+
+  accessToken = loginResponse.body.data.accessToken;
+});
+
+afterAll(async () => {
+  await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.whatsapp_accounts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+  await prisma.users.deleteMany({ where: { id: testUser.id } });
+  await prisma.$disconnect();
+});
+
+describe('Phone Numbers', () => {
+  const api = (method, path, body) => {
+    const req = request(app)
+      [method](`/api/v1/phone-numbers${path}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    return body ? req.send(body) : req;
+  };
+
+  describe('parsePhone', () => {
+    it('should normalize international numbers in any format', () => {
+      expect(parsePhone('+91 98765 43210').phone).toBe('+919876543210');
+      expect(parsePhone('0044 7911 123456').phone).toBe('+447911123456');
+      expect(parsePhone('1 (415) 555-2671').phone).toBe('+14155552671');
+    });
+
+    it('should read national numbers in the default country', () => {
+      expect(parsePhone('09876543210', 'IN')).toMatchObject({
+        phone: '+919876543210',
+        country: 'IN',
+      });
+      expect(parsePhone('0412 345 678', 'AU').phone).toBe('+61412345678');
+      expect(parsePhone('919876543210', 'IN').phone).toBe('+919876543210');
+    });
+
+    it('should reject numbers that cannot be parsed', () => {
+      expect(parsePhone('98765 43210').error).toBe('Phone number must include its country code');
+      expect(parsePhone('123', 'GB').error).toBe('Phone number is not a valid GB number');
+      expect(parsePhone('call me').error).toBe('Phone number contains invalid characters');
+      expect(parsePhone('').error).toBe('Phone number is required');
+    });
+  });
+
+  describe('validateContactData', () => {
+    it('should return the number in E.164', () => {
+      const result = validateContactData(
+        { phone: '098765-43210', name: 'Priya' },
+        { defaultCountry: 'IN' }
+      );
+
+      expect(result.isValid).toBe(true);
+      expect(result.phone).toBe('+919876543210');
+    });
+
+    it('should report numbers that cannot be parsed as errors', () => {
+      const result = validateContactData({ phone: '98765 43210', name: 'Priya' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Phone number must include its country code');
+    });
+  });
+
+  describe('Settings', () => {
+    it('should have no default country by default', async () => {
+      const response = await api('get', '/settings');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ defaultCountry: null });
+    });
+
+    it('should update the default country', async () => {
+      const response = await api('put', '/settings', { defaultCountry: 'in' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.defaultCountry).toBe('IN');
+    });
+
+    it('should reject unsupported countries', async () => {
+      const response = await api('put', '/settings', { defaultCountry: 'XX' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Normalization', () => {
+    it('should preview the changes without saving them', async () => {
+      const response = await api('post', '/normalize', { dryRun: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        checked: 4,
+        valid: 1,
+        normalized: 1,
+        unfixable: 2,
+        dryRun: true,
+      });
+
+      const stored = await prisma.contacts.findUnique({ where: { id: localContact.id } });
+      expect(stored.phone).toBe('98765 43211');
+    });
+
+    it('should normalize the numbers it can fix', async () => {
+      const response = await api('post', '/normalize', {});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.normalized).toBe(1);
+
+      const stored = await prisma.contacts.findUnique({ where: { id: localContact.id } });
+      expect(stored.phone).toBe('+919876543211');
+    });
+
+    it('should report the contacts it could not fix', async () => {
+      const response = await api('get', '/report');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(2);
+      expect(response.body.fixable).toBe(0);
+
+      const byId = Object.fromEntries(response.body.data.map((contact) => [contact.id, contact]));
+      expect(byId[duplicateContact.id]).toMatchObject({
+        reason: 'Another contact has this phone number',
+        conflictingContactId: validContact.id,
+      });
+      expect(byId[brokenContact.id].reason).toBe('Phone number contains invalid characters');
+    });
+  });
+
+  describe('Contacts stored before normalization', () => {
+    let legacyContact;
+    let whatsappAccount;
+
+    beforeAll(async () => {
+      legacyContact = await prisma.contacts.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: testTeam.id,
+          phone: '919876543299',
+          created_at: new Date(),
+          updated_at: new Date(),
+        },
+      });
+
+      whatsappAccount = await prisma.whatsapp_accounts.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: testTeam.id,
+          user_id: testUser.id,
+          name: 'Phone Numbers Account',
+          phone: '+14155550400',
+          type: 'business',
+          status: 'connected',
+          created_at: new Date(),
+          updated_at: new Date(),
+        },
+      });
+    });
+
+    it('should be found by their normalized number', async () => {
+      const contact = await contactModel.findByPhone(
+        testTeam.id,
+        '+919876543299',
+        '+91 98765 43299'
+      );
+
+      expect(contact.id).toBe(legacyContact.id);
+    });
+
+    it('should not be created again', async () => {
+      await expect(
+        contactService.createContact(
+          { whatsappAccountId: whatsappAccount.id, phone: '+91 98765 43299', name: 'Asha' },
+          testUser.id
+        )
+      ).rejects.toThrow('Contact with this phone number already exists');
+    });
+
+    it('should read new national numbers in the team default country', async () => {
+      const contact = await contactService.createContact(
+        { whatsappAccountId: whatsappAccount.id, phone: '98765 43298', name: 'Asha' },
+        testUser.id
+      );
+
+      expect(contact.phone).toBe('+919876543298');
+    });
+  });
+});
@@ -0,0 +1,318 @@
+import request from 'supertest';
+import { PrismaClient } from '@prisma/client';
+import crypto from 'crypto';
+import app from '../src/app.js';
+
+const prisma = new PrismaClient();
+
+let testUser;
+let testTeam;
+let accessToken;
+let whatsappAccount;
+let contact;
+
+beforeAll(async () => {
+  await prisma.$connect();
+
+  await prisma.users.deleteMany({ where: { email: 'templatetest@example.com' } });
+
+  const bcrypt = await import('bcryptjs');
+  const hashedPassword = await bcrypt.hash('TestPassword123!', 12);
+
+  testUser = await prisma.users.create({
+    data: {
+      id: crypto.randomUUID(),
+      email: 'templatetest@example.com',
+      password_hash: hashedPassword,
+      first_name: 'Template',
+      last_name: 'Tester',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  testTeam = await prisma.teams.create({
+    data: {
+      id: crypto.randomUUID(),
+      name: 'Template Team',
+      slug: 'test-team-template-' + Date.now(),
+      owner_id: testUser.id,
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  await prisma.team_members.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      user_id: testUser.id,
+      role: 'owner',
+      permissions: [],
+      joined_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  const loginResponse = await request(app).post('/api/v1/auth/login').send({
+    email: 'templatetest@example.com',
+    password: 'TestPassword123!',
+  });
+
+  accessToken = loginResponse.body.data.accessToken;
+
+  // Non Cloud API accounts approve templates locally on submit
+  whatsappAccount = await prisma.whatsapp_accounts.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      user_id: testUser.id,
+      name: 'Template Account',
+      phone: '+1234500000',
+      type: 'business',
+      status: 'connected',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+
+  contact = await prisma.contacts.create({
+    data: {
+      id: crypto.randomUUID(),
+      team_id: testTeam.id,
+      phone: '+15557770001',
+      first_name: 'Template',
+      created_at: new Date(),
+      updated_at: new Date(),
+    },
+  });
+});
+
+afterAll(async () => {
+  await prisma.campaign_messages.deleteMany({ where: { campaigns: { team_id: testTeam.id } } });
+  await prisma.campaigns.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.templates.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.whatsapp_accounts.deleteMany({ where: { id: whatsappAccount.id } });
+  await prisma.team_members.deleteMany({ where: { team_id: testTeam.id } });
+  await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+  await prisma.users.deleteMany({ where: { id: testUser.id } });
+  await prisma.$disconnect();
+});
+
+describe('Template Management API', () => {
+  let templateId;
+
+  describe('POST /api/v1/templates', () => {
+    it('should create a draft template', async () => {
+      const response = await request(app)
+        .post('/api/v1/templates')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          accountId: whatsappAccount.id,
+          name: 'order_shipped',
+          category: 'UTILITY',
+          language: 'en_US',
+          body: 'Hi {{1}}, your order {{2}} has shipped',
+          footer: 'Reply STOP to opt out',
+          buttons: [{ type: 'QUICK_REPLY', text: 'Track order' }],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.status).toBe('draft');
+      templateId = response.body.data.id;
+    });
+
+    it('should reject non-sequential placeholders', async () => {
+      const response = await request(app)
+        .post('/api/v1/templates')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          accountId: whatsappAccount.id,
+          name: 'bad_placeholders',
+          category: 'UTILITY',
+          body: 'Hi {{1}}, your code is {{3}}',
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('sequential');
+    });
+
+    it('should reject duplicate names on the same account', async () => {
+      const response = await request(app)
+        .post('/api/v1/templates')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          accountId: whatsappAccount.id,
+          name: 'order_shipped',
+          category: 'UTILITY',
+          body: 'Duplicate',
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('already exists');
+    });
+
+    it('should reject names WhatsApp does not accept', async () => {
+      const response = await request(app)
+        .post('/api/v1/templates')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          accountId: whatsappAccount.id,
+          name: 'Order Shipped',
+          category: 'UTILITY',
+          body: 'Hello',
+        });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/v1/templates', () => {
+    it('should list templates with filters', async () => {
+      const response = await request(app)
+        .get('/api/v1/templates')
+        .query({ status: 'draft', accountId: whatsappAccount.id })
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should return placeholders with the template', async () => {
+      const response = await request(app)
+        .get(`/api/v1/templates/${templateId}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.placeholders).toEqual({ header: [], body: [1, 2] });
+    });
+  });
+
+  describe('PUT /api/v1/templates/:id', () => {
+    it('should update draft templates', async () => {
+      const response = await request(app)
+        .put(`/api/v1/templates/${templateId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ headerType: 'TEXT', headerContent: 'Order update for {{1}}' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.header_content).toBe('Order update for {{1}}');
+    });
+  });
+
+  describe('POST /api/v1/templates/:id/submit', () => {
+    it('should approve templates for accounts without provider review', async () => {
+      const response = await request(app)
+        .post(`/api/v1/templates/${templateId}/submit`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('approved');
+    });
+
+    it('should not allow editing approved templates', async () => {
+      const response = await request(app)
+        .put(`/api/v1/templates/${templateId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ body: 'Changed' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should refuse to sync templates that were never sent to WhatsApp', async () => {
+      const response = await request(app)
+        .post(`/api/v1/templates/${templateId}/sync`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Campaign template variables', () => {
+    const campaignData = () => ({
+      name: 'Template Campaign',
+      accountId: whatsappAccount.id,
+      templateId,
+      messageType: 'template',
+      audienceType: 'custom',
+      audienceConfig: { contactIds: [contact.id] },
+      scheduleType: 'now',
+    });
+
+    it('should reject campaigns missing placeholder values', async () => {
+      const response = await request(app)
+        .post('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ ...campaignData(), templateVariables: { 1: '{{firstName}}' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('{{2}}');
+      expect(response.body.message).toContain('header');
+    });
+
+    it('should reject values for placeholders the template does not have', async () => {
+      const response = await request(app)
+        .post('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          ...campaignData(),
+          templateVariables: { header: 'you', 1: 'a', 2: 'b', 3: 'c' },
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('{{3}}');
+    });
+
+    it('should create campaigns when every placeholder has a value', async () => {
+      const response = await request(app)
+        .post('/api/v1/campaigns')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          ...campaignData(),
+          templateVariables: { header: '{{firstName}}', 1: '{{firstName}}', 2: 'A-100' },
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.template_id).toBe(templateId);
+    });
+
+    it('should not delete templates used by campaigns', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/templates/${templateId}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/v1/templates/:id', () => {
+    it('should delete unused templates', async () => {
+      const created = await request(app)
+        .post('/api/v1/templates')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          accountId: whatsappAccount.id,
+          name: 'unused_template',
+          category: 'MARKETING',
+          body: 'Hello there',
+        });
+
+      const response = await request(app)
+        .delete(`/api/v1/templates/${created.body.data.id}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should return 404 for unknown templates', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/templates/${crypto.randomUUID()}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,521 @@
+/**
+ * WhatsApp Cloud API Transport Tests
+ * Runs the transport against a local HTTP stand-in for the Graph API
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import http from 'http';
+import CloudApiTransport from '../src/services/whatsapp/transports/cloudApiTransport.js';
+import whatsappEvents from '../src/events/whatsappEvents.js';
+
+describe('WhatsApp Cloud API Transport', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let transport;
+
+  const account = { id: 'account-1', user_id: 'user-1', team_id: 'team-1', type: 'cloud_api' };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        requests.push({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: body ? JSON.parse(body) : null,
+        });
+
+        const send = (status, data, type = 'application/json') => {
+          res.writeHead(status, { 'Content-Type': type });
+          res.end(type === 'application/json' ? JSON.stringify(data) : data);
+        };
+
+        if (req.headers.authorization !== 'Bearer test-token') {
+          return send(401, { error: { message: 'Invalid OAuth access token' } });
+        }
+
+        if (req.method === 'GET' && req.url.startsWith('/v21.0/phone-1?')) {
+          return send(200, {
+            id: 'phone-1',
+            display_phone_number: '+1 555-010-0000',
+            verified_name: 'Test Business',
+          });
+        }
+
+        if (req.method === 'POST' && req.url === '/v21.0/phone-1/messages') {
+          return send(200, { messages: [{ id: 'wamid.sent-1' }] });
+        }
+
+        if (req.method === 'GET' && req.url === '/v21.0/media-1') {
+          return send(200, { url: `${baseUrl}/files/media-1`, mime_type: 'image/jpeg' });
+        }
+
+        if (req.method === 'GET' && req.url === '/files/media-1') {
+          return send(200, 'binary-image', 'image/jpeg');
+        }
+
+        if (req.method === 'POST' && req.url === '/v21.0/waba-1/message_templates') {
+          return send(200, { id: '5550001', status: 'PENDING', category: 'UTILITY' });
+        }
+
+        if (req.method === 'GET' && req.url.startsWith('/v21.0/5550001?')) {
+          return send(200, {
+            name: 'order_shipped',
+            status: 'REJECTED',
+            rejected_reason: 'INVALID_FORMAT',
+          });
+        }
+
+        if (req.method === 'DELETE' && req.url.startsWith('/v21.0/waba-1/message_templates?')) {
+          return send(200, { success: true });
+        }
+
+        return send(404, { error: { message: 'Unknown path' } });
+      });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    transport = new CloudApiTransport(account, {
+      phoneNumberId: 'phone-1',
+      accessToken: 'test-token',
+      businessAccountId: 'waba-1',
+      baseUrl,
+      apiVersion: 'v21.0',
+    });
+    whatsappEvents.removeAllListeners();
+  });
+
+  describe('connect', () => {
+    it('should verify credentials and expose phone info', async () => {
+      const result = await transport.connect();
+
+      expect(result).toEqual({
+        status: 'connected',
+        phone: '15550100000',
+        displayName: 'Test Business',
+      });
+      expect(transport.isConnected()).toBe(true);
+      expect(transport.getInfo().phoneNumberId).toBe('phone-1');
+    });
+
+    it('should reject invalid access tokens', async () => {
+      transport = new CloudApiTransport(account, {
+        phoneNumberId: 'phone-1',
+        accessToken: 'wrong',
+        baseUrl,
+        apiVersion: 'v21.0',
+      });
+
+      await expect(transport.connect()).rejects.toThrow('Invalid OAuth access token');
+      expect(transport.isConnected()).toBe(false);
+    });
+
+    it('should require phoneNumberId and accessToken', async () => {
+      transport = new CloudApiTransport(account, { baseUrl });
+
+      await expect(transport.connect()).rejects.toThrow('phoneNumberId and accessToken');
+    });
+  });
+
+  describe('sendMessage', () => {
+    it('should refuse to send before connecting', async () => {
+      await expect(transport.sendMessage('15550001111', { type: 'Text' })).rejects.toThrow(
+        'not connected'
+      );
+    });
+
+    it('should send text messages', async () => {
+      await transport.connect();
+      const result = await transport.sendMessage('+1 555 000 1111', {
+        type: 'Text',
+        content: 'Hello',
+      });
+
+      expect(result.whatsappMessageId).toBe('wamid.sent-1');
+      expect(requests[1].body).toEqual({
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: '15550001111',
+        type: 'text',
+        text: { body: 'Hello', preview_url: false },
+      });
+    });
+
+    it('should send media messages by link', async () => {
+      await transport.connect();
+      await transport.sendMessage('15550001111', {
+        type: 'Image',
+        content: 'Caption',
+        mediaUrl: 'https://cdn.example.com/a.jpg',
+      });
+
+      expect(requests[1].body.type).toBe('image');
+      expect(requests[1].body.image).toEqual({
+        link: 'https://cdn.example.com/a.jpg',
+        caption: 'Caption',
+      });
+    });
+
+    it('should send reply button messages', async () => {
+      await transport.connect();
+      await transport.sendMessage('15550001111', {
+        type: 'Buttons',
+        content: 'Confirm your order?',
+        payload: {
+          header: 'Order #1001',
+          buttons: [
+            { id: 'confirm', title: 'Confirm' },
+            { id: 'cancel', title: 'Cancel' },
+          ],
+        },
+      });
+
+      expect(requests[1].body.type).toBe('interactive');
+      expect(requests[1].body.interactive).toEqual({
+        type: 'button',
+        header: { type: 'text', text: 'Order #1001' },
+        body: { text: 'Confirm your order?' },
+        action: {
+          buttons: [
+            { type: 'reply', reply: { id: 'confirm', title: 'Confirm' } },
+            { type: 'reply', reply: { id: 'cancel', title: 'Cancel' } },
+          ],
+        },
+      });
+    });
+
+    it('should send list messages', async () => {
+      await transport.connect();
+      await transport.sendMessage('15550001111', {
+        type: 'List',
+        content: 'Pick a slot',
+        payload: {
+          buttonText: 'Slots',
+          footer: 'Times are local',
+          sections: [
+            { title: 'Morning', rows: [{ id: 'slot-9', title: '09:00', description: 'Early' }] },
+          ],
+        },
+      });
+
+      expect(requests[1].body.interactive).toEqual({
+        type: 'list',
+        body: { text: 'Pick a slot' },
+        footer: { text: 'Times are local' },
+        action: {
+          button: 'Slots',
+          sections: [
+            { title: 'Morning', rows: [{ id: 'slot-9', title: '09:00', description: 'Early' }] },
+          ],
+        },
+      });
+    });
+
+    it('should send locations and contact cards', async () => {
+      await transport.connect();
+      const location = { latitude: 52.37, longitude: 4.89, name: 'Office' };
+      await transport.sendMessage('15550001111', { type: 'Location', payload: { location } });
+      await transport.sendMessage('15550001111', {
+        type: 'Contact',
+        payload: {
+          contacts: [{ name: 'Ada Lovelace', phones: [{ phone: '+15550002222' }], emails: [] }],
+        },
+      });
+
+      expect(requests[1].body).toMatchObject({ type: 'location', location });
+      expect(requests[2].body.contacts).toEqual([
+        {
+          name: { formatted_name: 'Ada Lovelace', first_name: 'Ada Lovelace' },
+          phones: [{ phone: '+15550002222', type: 'CELL' }],
+          emails: [],
+        },
+      ]);
+    });
+
+    it('should quote replies and react to messages', async () => {
+      await transport.connect();
+      await transport.sendMessage('15550001111', {
+        type: 'Text',
+        content: 'Sure',
+        contextMessageId: 'wamid.in-1',
+      });
+      await transport.sendMessage('15550001111', {
+        type: 'Reaction',
+        payload: { emoji: '👍' },
+        contextMessageId: 'wamid.in-1',
+      });
+
+      expect(requests[1].body.context).toEqual({ message_id: 'wamid.in-1' });
+      expect(requests[2].body.context).toBeUndefined();
+      expect(requests[2].body.reaction).toEqual({ message_id: 'wamid.in-1', emoji: '👍' });
+    });
+
+    it('should reject unsupported message types', async () => {
+      await transport.connect();
+
+      await expect(transport.sendMessage('15550001111', { type: 'Poll' })).rejects.toThrow(
+        'Unsupported message type'
+      );
+    });
+  });
+
+  describe('templates', () => {
+    const template = {
+      name: 'order_shipped',
+      category: 'UTILITY',
+      language: 'en_US',
+      header_type: 'TEXT',
+      header_content: 'Order for {{1}}',
+      body: 'Hi {{1}}, your order {{2}} has shipped',
+      footer: 'Thanks',
+      buttons: [{ type: 'QUICK_REPLY', text: 'Track order' }],
+    };
+
+    it('should submit templates with components and examples', async () => {
+      const result = await transport.submitTemplate(template, { body: ['Jane'] });
+
+      expect(result).toEqual({ metaTemplateId: '5550001', status: 'pending' });
+      expect(requests[0].body).toEqual({
+        name: 'order_shipped',
+        language: 'en_US',
+        category: 'UTILITY',
+        components: [
+          {
+            type: 'HEADER',
+            format: 'TEXT',
+            text: 'Order for {{1}}',
+            example: { header_text: ['example'] },
+          },
+          {
+            type: 'BODY',
+            text: 'Hi {{1}}, your order {{2}} has shipped',
+            example: { body_text: [['Jane', 'example_2']] },
+          },
+          { type: 'FOOTER', text: 'Thanks' },
+          { type: 'BUTTONS', buttons: [{ type: 'QUICK_REPLY', text: 'Track order' }] },
+        ],
+      });
+    });
+
+    it('should map review status and rejection reason', async () => {
+      const result = await transport.getTemplateStatus('5550001');
+
+      expect(result).toEqual({ status: 'rejected', rejectionReason: 'INVALID_FORMAT' });
+    });
+
+    it('should delete templates by name and id', async () => {
+      await transport.deleteTemplate('order_shipped', '5550001');
+
+      expect(requests[0].method).toBe('DELETE');
+      expect(requests[0].url).toBe(
+        '/v21.0/waba-1/message_templates?name=order_shipped&hsm_id=5550001'
+      );
+    });
+
+    it('should require businessAccountId for template management', async () => {
+      transport = new CloudApiTransport(account, { accessToken: 'test-token', baseUrl });
+
+      await expect(transport.submitTemplate(template)).rejects.toThrow('businessAccountId');
+    });
+
+    it('should send approved templates with parameters', async () => {
+      await transport.connect();
+      await transport.sendMessage('15550001111', {
+        type: 'Template',
+        templateName: 'order_shipped',
+        templateLanguage: 'en_US',
+        templateComponents: [{ type: 'body', parameters: [{ type: 'text', text: 'Jane' }] }],
+      });
+
+      expect(requests[1].body.template).toEqual({
+        name: 'order_shipped',
+        language: { code: 'en_US' },
+        components: [{ type: 'body', parameters: [{ type: 'text', text: 'Jane' }] }],
+      });
+    });
+  });
+
+  describe('downloadMedia', () => {
+    it('should resolve the media URL and download it with the access token', async () => {
+      const media = await transport.downloadMedia('media-1');
+
+      expect(media.mimetype).toBe('image/jpeg');
+      expect(media.buffer.toString()).toBe('binary-image');
+      expect(requests[1].headers.authorization).toBe('Bearer test-token');
+    });
+
+    it('should return null when the media cannot be fetched', async () => {
+      expect(await transport.downloadMedia('missing')).toBeNull();
+    });
+  });
+
+  describe('handleWebhookValue', () => {
+    it('should emit inbound messages to the shared pipeline', async () => {
+      const received = [];
+      whatsappEvents.onIncomingMessage((event) => received.push(event));
+
+      const result = await transport.handleWebhookValue({
+        messages: [
+          {
+            from: '15550001111',
+            id: 'wamid.in-1',
+            timestamp: '1700000000',
+            type: 'text',
+            text: { body: 'Hi there' },
+          },
+        ],
+      });
+
+      expect(result).toEqual({ messages: 1, statuses: 0 });
+      expect(received[0]).toEqual({
+        accountId: 'account-1',
+        message: {
+          whatsappAccountId: 'account-1',
+          from: '15550001111',
+          type: 'Text',
+          content: 'Hi there',
+          mediaUrl: null,
+          whatsappMessageId: 'wamid.in-1',
+          timestamp: 1700000000000,
+        },
+      });
+    });
+
+    it('should parse button and list replies with the selected option ID', async () => {
+      const received = [];
+      whatsappEvents.onIncomingMessage((event) => received.push(event.message));
+
+      await transport.handleWebhookValue({
+        messages: [
+          {
+            from: '15550001111',
+            id: 'wamid.in-2',
+            timestamp: '1700000000',
+            type: 'interactive',
+            context: { id: 'wamid.sent-1' },
+            interactive: {
+              type: 'button_reply',
+              button_reply: { id: 'confirm', title: 'Confirm' },
+            },
+          },
+          {
+            from: '15550001111',
+            id: 'wamid.in-3',
+            timestamp: '1700000000',
+            type: 'interactive',
+            interactive: { type: 'list_reply', list_reply: { id: 'slot-9', title: '09:00' } },
+          },
+        ],
+      });
+
+      expect(received[0]).toMatchObject({
+        type: 'ButtonReply',
+        content: 'Confirm',
+        interactiveReplyId: 'confirm',
+        contextMessageId: 'wamid.sent-1',
+      });
+      expect(received[1]).toMatchObject({
+        type: 'ListReply',
+        content: '09:00',
+        interactiveReplyId: 'slot-9',
+      });
+    });
+
+    it('should parse locations, contact cards and reactions', async () => {
+      const received = [];
+      whatsappEvents.onIncomingMessage((event) => received.push(event.message));
+
+      await transport.handleWebhookValue({
+        messages: [
+          {
+            from: '15550001111',
+            id: 'wamid.in-4',
+            type: 'location',
+            location: { latitude: 52.37, longitude: 4.89, name: 'Office' },
+          },
+          {
+            from: '15550001111',
+            id: 'wamid.in-5',
+            type: 'contacts',
+            contacts: [
+              {
+                name: { formatted_name: 'Ada Lovelace', first_name: 'Ada' },
+                phones: [{ phone: '+1 555 000 2222', wa_id: '15550002222', type: 'CELL' }],
+              },
+            ],
+          },
+          {
+            from: '15550001111',
+            id: 'wamid.in-6',
+            type: 'reaction',
+            reaction: { message_id: 'wamid.sent-1', emoji: '❤️' },
+          },
+        ],
+      });
+
+      expect(received[0]).toMatchObject({
+        type: 'Location',
+        content: 'Office',
+        payload: { location: { latitude: 52.37, longitude: 4.89, name: 'Office' } },
+      });
+      expect(received[1]).toMatchObject({
+        type: 'Contact',
+        content: 'Ada Lovelace',
+        payload: {
+          contacts: [
+            {
+              name: 'Ada Lovelace',
+              firstName: 'Ada',
+              phones: [{ phone: '+1 555 000 2222', type: 'CELL' }],
+              emails: [],
+            },
+          ],
+        },
+      });
+      expect(received[2]).toMatchObject({
+        type: 'Reaction',
+        content: '❤️',
+        payload: { emoji: '❤️' },
+        contextMessageId: 'wamid.sent-1',
+      });
+    });
+
+    it('should emit status updates as acks', async () => {
+      const acks = [];
+      whatsappEvents.onMessageAck((event) => acks.push(event));
+
+      const result = await transport.handleWebhookValue({
+        statuses: [
+          { id: 'wamid.sent-1', status: 'delivered', timestamp: '1700000000' },
+          {
+            id: 'wamid.sent-2',
+            status: 'failed',
+            timestamp: '1700000001',
+            errors: [{ code: 131026, title: 'Message undeliverable' }],
+          },
+          { id: 'wamid.sent-3', status: 'deleted' },
+        ],
+      });
+
+      expect(result).toEqual({ messages: 0, statuses: 2 });
+      expect(acks[0]).toMatchObject({ messageId: 'wamid.sent-1', ack: 'Delivered' });
+      expect(acks[1]).toMatchObject({
+        messageId: 'wamid.sent-2',
+        ack: 'Failed',
+        details: { errorMessage: 'Message undeliverable' },
+      });
+    });
+  });
+});
@@ -0,0 +1,376 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import crypto from 'crypto';
+import app from '../src/app.js';
+import prisma from '../src/config/database.js';
+import messageHandler from '../src/handlers/messageHandler.js';
+import { encryptCredentials } from '../src/utils/encryption.js';
+
+const APP_SECRET = 'test-app-secret';
+const VERIFY_TOKEN = 'test-verify-token';
+
+/**
+ * Sign a payload the way Meta does (X-Hub-Signature-256)
+ */
+function sign(body) {
+  return 'sha256=' + crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex');
+}
+
+/**
+ * Wait for the event-driven message pipeline to persist a row
+ */
+async function waitFor(fn, timeout = 3000) {
+  const started = Date.now();
+  while (Date.now() - started < timeout) {
+    const result = await fn();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  return null;
+}
+
+describe('WhatsApp Cloud API Webhooks', () => {
+  let testUser;
+  let testTeam;
+  let testAccount;
+  let webhookPath;
+
+  beforeAll(async () => {
+    messageHandler.initialize();
+
+    await prisma.users.deleteMany({ where: { email: 'webhook-test@example.com' } });
+
+    testUser = await prisma.users.create({
+      data: {
+        id: crypto.randomUUID(),
+        email: 'webhook-test@example.com',
+        password_hash: 'not-used',
+        first_name: 'Webhook',
+        last_name: 'Test',
+        created_at: new Date(),
+        updated_at: new Date(),
+      },
+    });
+
+    testTeam = await prisma.teams.create({
+      data: {
+        id: crypto.randomUUID(),
+        name: 'Webhook Team',
+        slug: 'test-team-webhook-' + Date.now(),
+        owner_id: testUser.id,
+        updated_at: new Date(),
+      },
+    });
+
+    testAccount = await prisma.whatsapp_accounts.create({
+      data: {
+        id: crypto.randomUUID(),
+        team_id: testTeam.id,
+        user_id: testUser.id,
+        name: 'Cloud Account',
+        phone: '15550100000',
+        type: 'cloud_api',
+        status: 'connected',
+        credentials_encrypted: encryptCredentials({
+          phoneNumberId: 'phone-1',
+          accessToken: 'token',
+          appSecret: APP_SECRET,
+          verifyToken: VERIFY_TOKEN,
+        }),
+        webhook_secret: VERIFY_TOKEN,
+        updated_at: new Date(),
+      },
+    });
+
+    await prisma.templates.create({
+      data: {
+        id: crypto.randomUUID(),
+        team_id: testTeam.id,
+        account_id: testAccount.id,
+        name: 'order_update',
+        category: 'UTILITY',
+        language: 'en',
+        body: 'Your order {{1}} has shipped',
+        updated_at: new Date(),
+      },
+    });
+
+    webhookPath = `/api/v1/webhooks/whatsapp/${testAccount.id}`;
+  });
+
+  afterAll(async () => {
+    await prisma.messages.deleteMany({ where: { account_id: testAccount.id } });
+    await prisma.conversations.deleteMany({ where: { account_id: testAccount.id } });
+    await prisma.contacts.deleteMany({ where: { team_id: testTeam.id } });
+    await prisma.templates.deleteMany({ where: { account_id: testAccount.id } });
+    await prisma.whatsapp_accounts.deleteMany({ where: { team_id: testTeam.id } });
+    await prisma.teams.deleteMany({ where: { id: testTeam.id } });
+    await prisma.users.deleteMany({ where: { id: testUser.id } });
+    await prisma.$disconnect();
+  });
+
+  describe('GET /api/v1/webhooks/whatsapp/:accountId', () => {
+    it('should echo the challenge for a valid verify token', async () => {
+      const response = await request(app).get(webhookPath).query({
+        'hub.mode': 'subscribe',
+        'hub.verify_token': VERIFY_TOKEN,
+        'hub.challenge': '12345',
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.text).toBe('12345');
+    });
+
+    it('should reject an invalid verify token', async () => {
+      const response = await request(app).get(webhookPath).query({
+        'hub.mode': 'subscribe',
+        'hub.verify_token': 'wrong',
+        'hub.challenge': '12345',
+      });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 for unknown accounts', async () => {
+      const response = await request(app)
+        .get(`/api/v1/webhooks/whatsapp/${crypto.randomUUID()}`)
+        .query({ 'hub.mode': 'subscribe', 'hub.verify_token': VERIFY_TOKEN });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/v1/webhooks/whatsapp/:accountId', () => {
+    const inboundPayload = {
+      object: 'whatsapp_business_account',
+      entry: [
+        {
+          id: 'waba-1',
+          changes: [
+            {
+              field: 'messages',
+              value: {
+                messaging_product: 'whatsapp',
+                messages: [
+                  {
+                    from: '15550009999',
+                    id: 'wamid.webhook-in-1',
+                    timestamp: String(Math.floor(Date.now() / 1000)),
+                    type: 'text',
+                    text: { body: 'Hello from webhook' },
+                  },
+                ],
+              },
+            },
+          ],
+        },
+      ],
+    };
+
+    it('should reject requests with an invalid signature', async () => {
+      const response = await request(app)
+        .post(webhookPath)
+        .set('X-Hub-Signature-256', 'sha256=deadbeef')
+        .send(inboundPayload);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject deliveries to accounts without an app secret', async () => {
+      const account = await prisma.whatsapp_accounts.create({
+        data: {
+          id: crypto.randomUUID(),
+          team_id: testTeam.id,
+          user_id: testUser.id,
+          name: 'Cloud Account Without App Secret',
+          phone: '15550100001',
+          type: 'cloud_api',
+          status: 'connected',
+          credentials_encrypted: encryptCredentials({
+            phoneNumberId: 'phone-2',
+            accessToken: 'token',
+            verifyToken: VERIFY_TOKEN,
+          }),
+          webhook_secret: VERIFY_TOKEN,
+          updated_at: new Date(),
+        },
+      });
+
+      // Signed with the verify token, which anyone who saw the handshake knows
+      const body = JSON.stringify(inboundPayload);
+      const signature =
+        'sha256=' + crypto.createHmac('sha256', VERIFY_TOKEN).update(body).digest('hex');
+
+      const response = await request(app)
+        .post(`/api/v1/webhooks/whatsapp/${account.id}`)
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', signature)
+        .send(body);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should store inbound messages once, even when the delivery is retried', async () => {
+      const body = JSON.stringify(inboundPayload);
+
+      for (let i = 0; i < 2; i++) {
+        const response = await request(app)
+          .post(webhookPath)
+          .set('Content-Type', 'application/json')
+          .set('X-Hub-Signature-256', sign(body))
+          .send(body);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.messages).toBe(1);
+      }
+
+      const message = await waitFor(() =>
+        prisma.messages.findFirst({ where: { whatsapp_message_id: 'wamid.webhook-in-1' } })
+      );
+
+      expect(message).not.toBeNull();
+      expect(message.senderType).toBe('contact');
+      expect(message.content).toBe('Hello from webhook');
+
+      // Give the retried delivery time to be processed
+      await new Promise((resolve) => setTimeout(resolve, 300));
+
+      const count = await prisma.messages.count({
+        where: { whatsapp_message_id: 'wamid.webhook-in-1' },
+      });
+      expect(count).toBe(1);
+
+      const conversation = await prisma.conversations.findUnique({
+        where: { id: message.conversation_id },
+      });
+      expect(conversation.unread_count).toBe(1);
+    });
+
+    it('should apply status updates to outbound messages', async () => {
+      const conversation = await prisma.conversations.findFirst({
+        where: { account_id: testAccount.id },
+      });
+
+      await prisma.messages.create({
+        data: {
+          id: crypto.randomUUID(),
+          conversation_id: conversation.id,
+          account_id: testAccount.id,
+          contact_id: conversation.contact_id,
+          senderType: 'user',
+          messageType: 'Text',
+          content: 'Outbound',
+          whatsapp_message_id: 'wamid.webhook-out-1',
+          status: 'sent',
+        },
+      });
+
+      const body = JSON.stringify({
+        object: 'whatsapp_business_account',
+        entry: [
+          {
+            changes: [
+              {
+                field: 'messages',
+                value: {
+                  statuses: [
+                    { id: 'wamid.webhook-out-1', status: 'read', timestamp: '1700000001' },
+                    { id: 'wamid.webhook-out-1', status: 'delivered', timestamp: '1700000000' },
+                  ],
+                },
+              },
+            ],
+          },
+        ],
+      });
+
+      const response = await request(app)
+        .post(webhookPath)
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', sign(body))
+        .send(body);
+
+      expect(response.status).toBe(200);
+
+      const message = await waitFor(() =>
+        prisma.messages.findFirst({
+          where: { whatsapp_message_id: 'wamid.webhook-out-1', status: 'read' },
+        })
+      );
+
+      // The late "delivered" receipt must not move the message back
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      const latest = await prisma.messages.findUnique({ where: { id: message.id } });
+      expect(latest.status).toBe('read');
+      expect(latest.read_at).not.toBeNull();
+    });
+
+    it('should record template approval status updates', async () => {
+      const body = JSON.stringify({
+        object: 'whatsapp_business_account',
+        entry: [
+          {
+            changes: [
+              {
+                field: 'message_template_status_update',
+                value: {
+                  event: 'REJECTED',
+                  message_template_id: 987654,
+                  message_template_name: 'order_update',
+                  message_template_language: 'en',
+                  reason: 'INVALID_FORMAT',
+                },
+              },
+            ],
+          },
+        ],
+      });
+
+      const response = await request(app)
+        .post(webhookPath)
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', sign(body))
+        .send(body);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.templates).toBe(1);
+
+      const template = await prisma.templates.findFirst({
+        where: { account_id: testAccount.id, name: 'order_update' },
+      });
+      expect(template.status).toBe('rejected');
+      expect(template.rejection_reason).toBe('INVALID_FORMAT');
+      expect(template.meta_template_id).toBe('987654');
+    });
+
+    it('should ignore template status updates without a template ID or name', async () => {
+      const body = JSON.stringify({
+        object: 'whatsapp_business_account',
+        entry: [
+          {
+            changes: [
+              {
+                field: 'message_template_status_update',
+                value: { event: 'APPROVED' },
+              },
+            ],
+          },
+        ],
+      });
+
+      const response = await request(app)
+        .post(webhookPath)
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', sign(body))
+        .send(body);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.templates).toBe(0);
+
+      const template = await prisma.templates.findFirst({
+        where: { account_id: testAccount.id, name: 'order_update' },
+      });
+      expect(template.status).toBe('rejected');
+    });
+  });
+});